@@ -0,0 +1,2 @@
+ALTER TABLE artwork DROP COLUMN IF EXISTS bid_increment_schedule;
+ALTER TABLE auctions DROP COLUMN IF EXISTS bid_increment_schedule;
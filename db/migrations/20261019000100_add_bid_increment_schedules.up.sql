@@ -0,0 +1,6 @@
+-- Tiered bid increment schedules (replaces the hard-coded $10 increment).
+-- JSONB array of { "upTo": number|null, "increment": number } tiers; the
+-- auction value is the default for every piece, the artwork value overrides
+-- it for a single piece. NULL on both falls back to a flat $10.
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS bid_increment_schedule JSONB;
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS bid_increment_schedule JSONB;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_artwork_closes_at;
+ALTER TABLE artwork DROP COLUMN IF EXISTS closes_at;
+ALTER TABLE auctions DROP COLUMN IF EXISTS soft_close_scope;
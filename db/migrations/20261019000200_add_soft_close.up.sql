@@ -0,0 +1,8 @@
+-- Anti-sniping soft close. auctions.auto_extend_minutes is the window and the
+-- extension length; soft_close_scope picks whether a late bid moves the whole
+-- auction or only the lot it landed on. artwork.closes_at overrides the
+-- auction close for a single lot (NULL = follow auctions.ends_at).
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS soft_close_scope VARCHAR(10) NOT NULL DEFAULT 'AUCTION'
+  CHECK (soft_close_scope IN ('AUCTION', 'ARTWORK'));
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS closes_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS idx_artwork_closes_at ON artwork(closes_at) WHERE closes_at IS NOT NULL;
@@ -0,0 +1 @@
+ALTER TABLE artwork DROP COLUMN IF EXISTS finalized_at;
@@ -0,0 +1,4 @@
+-- Staggered closing. A lot with its own closes_at is settled by the scheduler
+-- as soon as it passes, while the rest of the auction keeps running;
+-- finalized_at records that so endAuction doesn't settle it a second time.
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,2 @@
+ALTER TABLE auctions DROP COLUMN IF EXISTS buy_now_cutoff_percent;
+ALTER TABLE artwork DROP COLUMN IF EXISTS buy_now_price;
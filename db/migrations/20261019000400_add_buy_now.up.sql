@@ -0,0 +1,7 @@
+-- Buy-It-Now. artwork.buy_now_price lets a bidder buy a piece outright while
+-- bidding is open; auctions.buy_now_cutoff_percent withdraws that offer once
+-- the high bid reaches that share of the price.
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS buy_now_price DECIMAL(10, 2)
+  CHECK (buy_now_price IS NULL OR buy_now_price > 0);
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS buy_now_cutoff_percent INTEGER NOT NULL DEFAULT 75
+  CHECK (buy_now_cutoff_percent BETWEEN 1 AND 100);
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_bids_pending;
+ALTER TABLE bids DROP COLUMN IF EXISTS rejection_reason;
+ALTER TABLE bids DROP COLUMN IF EXISTS reviewed_at;
+ALTER TABLE bids DROP COLUMN IF EXISTS reviewed_by_user_id;
+UPDATE bids SET bid_status = 'REJECTED' WHERE bid_status = 'PENDING';
+ALTER TABLE bids DROP CONSTRAINT IF EXISTS bids_bid_status_check;
+ALTER TABLE bids ADD CONSTRAINT bids_bid_status_check
+  CHECK (bid_status IN ('ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED'));
@@ -0,0 +1,10 @@
+-- Bid approval queue. On auctions with require_approval_for_bids, new bids
+-- are stored PENDING and only count toward the high bid once an admin
+-- approves them; the reviewer columns record who decided and why.
+ALTER TABLE bids DROP CONSTRAINT IF EXISTS bids_bid_status_check;
+ALTER TABLE bids ADD CONSTRAINT bids_bid_status_check
+  CHECK (bid_status IN ('PENDING', 'ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED'));
+ALTER TABLE bids ADD COLUMN IF NOT EXISTS reviewed_by_user_id UUID REFERENCES users(id);
+ALTER TABLE bids ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE bids ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+CREATE INDEX IF NOT EXISTS idx_bids_pending ON bids(auction_id, placed_at) WHERE bid_status = 'PENDING';
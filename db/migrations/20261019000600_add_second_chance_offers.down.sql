@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS idx_bids_unpaid_wins;
+DROP TABLE IF EXISTS second_chance_offers;
+ALTER TABLE auctions DROP COLUMN IF EXISTS second_chance_offer_hours;
+ALTER TABLE auctions DROP COLUMN IF EXISTS payment_grace_hours;
+ALTER TABLE bids DROP COLUMN IF EXISTS won_at;
+UPDATE bids SET bid_status = 'CANCELLED' WHERE bid_status = 'VOIDED';
+ALTER TABLE bids DROP CONSTRAINT IF EXISTS bids_bid_status_check;
+ALTER TABLE bids ADD CONSTRAINT bids_bid_status_check
+  CHECK (bid_status IN ('PENDING', 'ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED'));
@@ -0,0 +1,33 @@
+-- Second-chance offers. An unpaid win past auctions.payment_grace_hours is
+-- VOIDED and the piece offered to the next-highest distinct bidder at their
+-- own bid; each offer is open for auctions.second_chance_offer_hours.
+-- bids.won_at starts the payment clock (NULL for wins made before this
+-- migration, which are never voided automatically).
+ALTER TABLE bids DROP CONSTRAINT IF EXISTS bids_bid_status_check;
+ALTER TABLE bids ADD CONSTRAINT bids_bid_status_check
+  CHECK (bid_status IN ('PENDING', 'ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED', 'VOIDED'));
+ALTER TABLE bids ADD COLUMN IF NOT EXISTS won_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS payment_grace_hours INTEGER NOT NULL DEFAULT 72
+  CHECK (payment_grace_hours BETWEEN 1 AND 720);
+ALTER TABLE auctions ADD COLUMN IF NOT EXISTS second_chance_offer_hours INTEGER NOT NULL DEFAULT 48
+  CHECK (second_chance_offer_hours BETWEEN 1 AND 720);
+
+CREATE TABLE IF NOT EXISTS second_chance_offers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+  bid_id UUID NOT NULL REFERENCES bids(id) ON DELETE CASCADE,
+  offered_to_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  offer_amount DECIMAL(10, 2) NOT NULL CHECK (offer_amount > 0),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  offer_status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+    CHECK (offer_status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_second_chance_artwork ON second_chance_offers(artwork_id);
+CREATE INDEX IF NOT EXISTS idx_second_chance_pending ON second_chance_offers(expires_at) WHERE offer_status = 'PENDING';
+-- At most one open offer per piece
+CREATE UNIQUE INDEX IF NOT EXISTS idx_second_chance_one_open ON second_chance_offers(artwork_id) WHERE offer_status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_bids_unpaid_wins ON bids(won_at) WHERE bid_status = 'ACCEPTED';
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_artwork_reserve_pending;
+ALTER TABLE artwork DROP COLUMN IF EXISTS reserve_decided_by_user_id;
+ALTER TABLE artwork DROP COLUMN IF EXISTS reserve_decided_at;
+ALTER TABLE artwork DROP COLUMN IF EXISTS reserve_status;
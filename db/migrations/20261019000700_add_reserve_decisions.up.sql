@@ -0,0 +1,9 @@
+-- Reserve-not-met outcomes. Bids below artwork.reserve_bid_amount are now
+-- allowed; a lot that closes under its reserve is held UNSOLD with
+-- reserve_status = 'PENDING_DECISION' (its top bid stays ACTIVE) until the
+-- teacher or school admin accepts that bid or releases the piece.
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS reserve_status VARCHAR(20)
+  CHECK (reserve_status IN ('PENDING_DECISION', 'ACCEPTED', 'RELEASED'));
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS reserve_decided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS reserve_decided_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_artwork_reserve_pending ON artwork(auction_id) WHERE reserve_status = 'PENDING_DECISION';
@@ -0,0 +1,6 @@
+-- Bid provenance. bids.ip_address / user_agent were always written as
+-- placeholders; they now carry the real client address (behind the trusted
+-- proxy) and browser, and session_jti ties each bid to the login session
+-- (JWT id) it was placed from. Auto-bids placed by the proxy engine leave
+-- all three NULL.
+ALTER TABLE bids ADD COLUMN IF NOT EXISTS session_jti VARCHAR(64);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS auction_paddles;
+ALTER TABLE bids DROP COLUMN IF EXISTS entered_by_user_id;
+ALTER TABLE users DROP COLUMN IF EXISTS is_guest;
@@ -0,0 +1,19 @@
+-- Paddle numbers and clerk entry for live (in-person) events.
+-- Each bidder registered for an auction gets a short per-auction paddle
+-- number; volunteers key paper bid-sheet bids in against that number.
+-- Walk-in guests without accounts get a lightweight BIDDER row flagged
+-- is_guest (no usable password). bids.entered_by_user_id records the clerk
+-- who keyed a paper bid in.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_guest BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE bids ADD COLUMN IF NOT EXISTS entered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS auction_paddles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  paddle_number INTEGER NOT NULL CHECK (paddle_number > 0),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  registered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (auction_id, paddle_number),
+  UNIQUE (auction_id, user_id)
+);
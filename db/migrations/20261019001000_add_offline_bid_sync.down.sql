@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_qr_scans_offline_nonce;
+ALTER TABLE qr_code_scans DROP COLUMN IF EXISTS sync_message;
+ALTER TABLE qr_code_scans DROP COLUMN IF EXISTS sync_status;
+ALTER TABLE qr_code_scans DROP COLUMN IF EXISTS bid_id;
+ALTER TABLE qr_code_scans DROP COLUMN IF EXISTS offline_nonce;
+DROP INDEX IF EXISTS idx_qr_codes_artwork_unique;
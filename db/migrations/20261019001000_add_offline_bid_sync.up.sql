@@ -0,0 +1,16 @@
+-- Offline bid capture from QR-code artwork pages.
+-- A QR scan made online issues the bidder a signing key for that scan; bids
+-- queued while offline are signed with it and replayed on reconnect. Each
+-- synced bid is recorded as an offline_scan row (created_at = when it was
+-- captured offline, synced_at = when it reached the server) with its outcome.
+-- qr_codes rows are created lazily, one per artwork.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_codes_artwork_unique ON qr_codes(artwork_id);
+
+ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS offline_nonce VARCHAR(64);
+ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS bid_id UUID REFERENCES bids(id) ON DELETE SET NULL;
+ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS sync_status VARCHAR(20)
+  CHECK (sync_status IN ('PENDING', 'ACCEPTED', 'REJECTED'));
+ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS sync_message TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_scans_offline_nonce
+  ON qr_code_scans(scanned_by_user_id, offline_nonce) WHERE offline_nonce IS NOT NULL;
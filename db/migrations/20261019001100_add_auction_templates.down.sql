@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_artwork_carried_over_from;
+ALTER TABLE artwork DROP COLUMN IF EXISTS carried_over_from_artwork_id;
+DROP TABLE IF EXISTS auction_templates;
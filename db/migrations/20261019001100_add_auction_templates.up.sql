@@ -0,0 +1,22 @@
+-- Auction templates and cloning.
+-- A template is a school's saved auction settings (fees, visibility, gateway,
+-- charity, increments, description) plus the dates of the auction it was
+-- saved from; a new DRAFT created from it has those dates shifted.
+-- Unsold pieces carried over from an ended auction are copied into the new
+-- one; carried_over_from_artwork_id links the copy back so a piece is only
+-- carried over once.
+CREATE TABLE IF NOT EXISTS auction_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL CHECK (length(trim(name)) > 0),
+  settings JSONB NOT NULL,
+  source_auction_id UUID REFERENCES auctions(id) ON DELETE SET NULL,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (school_id, name)
+);
+
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS carried_over_from_artwork_id UUID REFERENCES artwork(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_artwork_carried_over_from
+  ON artwork(carried_over_from_artwork_id) WHERE carried_over_from_artwork_id IS NOT NULL;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_auction_invitations_user;
+DROP TABLE IF EXISTS auction_invitations;
+DROP INDEX IF EXISTS idx_auction_invite_codes_auction;
+DROP TABLE IF EXISTS auction_invite_codes;
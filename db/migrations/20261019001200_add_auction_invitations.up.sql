@@ -0,0 +1,33 @@
+-- Invite-only auctions.
+-- An INVITED_ONLY auction is visible (and biddable) only to the people on its
+-- guest list. Organizers add guests by email, or hand out shareable invite
+-- codes; redeeming a code adds the redeemer to the guest list. A guest-list
+-- email is linked to an account (user_id) the first time that account opens
+-- the auction.
+CREATE TABLE IF NOT EXISTS auction_invite_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  code VARCHAR(32) NOT NULL UNIQUE,
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  use_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_auction_invite_codes_auction ON auction_invite_codes(auction_id);
+
+CREATE TABLE IF NOT EXISTS auction_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('GUEST_LIST', 'INVITE_CODE')),
+  invite_code_id UUID REFERENCES auction_invite_codes(id) ON DELETE SET NULL,
+  invited_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (auction_id, email)
+);
+CREATE INDEX IF NOT EXISTS idx_auction_invitations_user
+  ON auction_invitations(user_id) WHERE user_id IS NOT NULL;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_artwork_school_id;
+ALTER TABLE artwork DROP COLUMN IF EXISTS school_id;
+DROP INDEX IF EXISTS idx_auction_partner_schools_school;
+DROP TABLE IF EXISTS auction_partner_schools;
@@ -0,0 +1,25 @@
+-- Joint multi-school auctions.
+-- The auction's own school_id is the host. The host invites partner schools,
+-- and each partner accepts (choosing the payment gateway its pieces are paid
+-- through) or declines. Each piece records the school it belongs to, so
+-- partner teachers review their own students' work and proceeds split per
+-- school. Pieces from before this change belong to their auction's school.
+CREATE TABLE IF NOT EXISTS auction_partner_schools (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  partner_status VARCHAR(20) NOT NULL DEFAULT 'INVITED' CHECK (partner_status IN ('INVITED', 'ACCEPTED', 'DECLINED')),
+  payment_gateway_id UUID REFERENCES payment_gateways(id) ON DELETE RESTRICT,
+  invited_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (auction_id, school_id)
+);
+CREATE INDEX IF NOT EXISTS idx_auction_partner_schools_school ON auction_partner_schools(school_id);
+
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id) ON DELETE SET NULL;
+UPDATE artwork aw SET school_id = a.school_id
+  FROM auctions a
+  WHERE a.id = aw.auction_id AND aw.school_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_artwork_school_id ON artwork(school_id);
@@ -0,0 +1,11 @@
+-- Auction-ending reminders.
+-- One row per auction and reminder offset (minutes before ends_at), claimed
+-- by the scheduler before it sends: the primary key makes each reminder go
+-- out at most once, however many instances run or how often they restart.
+CREATE TABLE IF NOT EXISTS auction_ending_reminders (
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  reminder_minutes INTEGER NOT NULL CHECK (reminder_minutes > 0),
+  recipient_count INTEGER,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (auction_id, reminder_minutes)
+);
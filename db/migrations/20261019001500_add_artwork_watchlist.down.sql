@@ -0,0 +1,3 @@
+ALTER TABLE IF EXISTS notification_preferences DROP COLUMN IF EXISTS email_watchlist;
+DROP INDEX IF EXISTS idx_artwork_watchlist_artwork;
+DROP TABLE IF EXISTS artwork_watchlist;
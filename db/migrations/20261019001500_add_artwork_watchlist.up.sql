@@ -0,0 +1,31 @@
+-- Watching single pieces. auction_watchlist (created at boot) covers whole
+-- auctions; artwork_watchlist lets a bidder follow one piece and be told when
+-- someone bids on it. last_alerted_at throttles those alerts on busy pieces.
+CREATE TABLE IF NOT EXISTS artwork_watchlist (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+  last_alerted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, artwork_id)
+);
+CREATE INDEX IF NOT EXISTS idx_artwork_watchlist_artwork ON artwork_watchlist(artwork_id);
+
+-- Watchlist alerts have their own email toggle. The per-user preference table
+-- the email helpers read was only ever documented, so create it here too.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  email_outbid BOOLEAN DEFAULT true,
+  email_auction_ending BOOLEAN DEFAULT true,
+  email_winner BOOLEAN DEFAULT true,
+  email_payment BOOLEAN DEFAULT true,
+  email_security BOOLEAN DEFAULT true,
+  email_watchlist BOOLEAN DEFAULT true,
+  sms_outbid BOOLEAN DEFAULT false,
+  sms_auction_ending BOOLEAN DEFAULT false,
+  sms_winner BOOLEAN DEFAULT true,
+  unsubscribe_token VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS email_watchlist BOOLEAN DEFAULT true;
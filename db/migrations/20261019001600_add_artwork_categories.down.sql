@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_artwork_tags_tag;
+DROP TABLE IF EXISTS artwork_tags;
+DROP INDEX IF EXISTS idx_artwork_search_vector;
+ALTER TABLE artwork DROP COLUMN IF EXISTS search_vector;
+ALTER TABLE artwork DROP COLUMN IF EXISTS artist_statement;
@@ -0,0 +1,20 @@
+-- Browsing large auctions: an artist statement, teacher-assigned tags, and a
+-- full-text vector over title, artist statement and description. Medium,
+-- grade band, size class and price band are derived at query time
+-- (src/utils/artworkFacets.js).
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS artist_statement TEXT;
+ALTER TABLE artwork ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(artist_statement, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'C')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_artwork_search_vector ON artwork USING GIN (search_vector);
+
+CREATE TABLE IF NOT EXISTS artwork_tags (
+  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+  tag VARCHAR(40) NOT NULL,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (artwork_id, tag)
+);
+CREATE INDEX IF NOT EXISTS idx_artwork_tags_tag ON artwork_tags(tag);
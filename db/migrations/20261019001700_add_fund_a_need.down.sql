@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_transactions_pledge_id;
+ALTER TABLE transactions DROP COLUMN IF EXISTS pledge_id;
+ALTER TABLE transactions ALTER COLUMN artwork_id SET NOT NULL;
+DROP INDEX IF EXISTS idx_fund_a_need_pledges_user;
+DROP INDEX IF EXISTS idx_fund_a_need_pledges_item;
+DROP TABLE IF EXISTS fund_a_need_pledges;
+DROP INDEX IF EXISTS idx_fund_a_need_items_auction;
+DROP TABLE IF EXISTS fund_a_need_items;
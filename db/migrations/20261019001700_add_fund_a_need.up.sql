@@ -0,0 +1,37 @@
+-- Fund-a-Need ("raise your paddle") items: donation-style items inside an
+-- auction with fixed giving levels and unlimited pledges. Each pledge is
+-- charged through the normal payment flow, so transactions can now point at
+-- a pledge instead of a piece of artwork.
+CREATE TABLE IF NOT EXISTS fund_a_need_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  giving_levels DECIMAL(10, 2)[] NOT NULL,
+  goal_amount DECIMAL(10, 2) CHECK (goal_amount IS NULL OR goal_amount > 0),
+  item_status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (item_status IN ('OPEN', 'CLOSED')),
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_fund_a_need_items_auction ON fund_a_need_items(auction_id);
+
+CREATE TABLE IF NOT EXISTS fund_a_need_pledges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id UUID NOT NULL REFERENCES fund_a_need_items(id) ON DELETE RESTRICT,
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  paddle_number INT,
+  entered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  pledge_status VARCHAR(20) NOT NULL DEFAULT 'PLEDGED' CHECK (pledge_status IN ('PLEDGED', 'PAID', 'CANCELLED')),
+  transaction_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_fund_a_need_pledges_item ON fund_a_need_pledges(item_id);
+CREATE INDEX IF NOT EXISTS idx_fund_a_need_pledges_user ON fund_a_need_pledges(user_id);
+
+ALTER TABLE transactions ALTER COLUMN artwork_id DROP NOT NULL;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pledge_id UUID REFERENCES fund_a_need_pledges(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_transactions_pledge_id ON transactions(pledge_id);
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_transactions_invoice_id;
+ALTER TABLE transactions DROP COLUMN IF EXISTS invoice_id;
+DROP INDEX IF EXISTS transactions_gateway_charge_line_key;
+ALTER TABLE transactions ADD CONSTRAINT transactions_gateway_transaction_id_key UNIQUE (gateway_transaction_id);
+DROP INDEX IF EXISTS idx_payment_invoices_buyer;
+DROP TABLE IF EXISTS payment_invoices;
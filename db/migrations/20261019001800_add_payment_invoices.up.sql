@@ -0,0 +1,27 @@
+-- Consolidated checkout: one charge pays every piece a buyer won in an
+-- auction plus their Fund-a-Need pledges. The charge is recorded once as an
+-- invoice and split into one transactions row per piece or pledge, so those
+-- rows now share a gateway transaction id.
+CREATE TABLE IF NOT EXISTS payment_invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  gateway_id UUID REFERENCES payment_gateways(id) ON DELETE RESTRICT,
+  gateway_transaction_id VARCHAR(500),
+  hammer_total DECIMAL(10, 2) NOT NULL,
+  platform_fee_total DECIMAL(10, 2) NOT NULL,
+  pledge_total DECIMAL(10, 2) NOT NULL,
+  total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount > 0),
+  invoice_status VARCHAR(20) NOT NULL CHECK (invoice_status IN ('PAID', 'FAILED')),
+  idempotency_key UUID UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_payment_invoices_buyer ON payment_invoices(buyer_user_id, auction_id);
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_gateway_transaction_id_key;
+-- Still one row per piece or pledge of a charge. COALESCE because artwork
+-- rows have no pledge_id and pledge rows no artwork_id, and NULLs never clash.
+CREATE UNIQUE INDEX IF NOT EXISTS transactions_gateway_charge_line_key
+  ON transactions(gateway_transaction_id, COALESCE(artwork_id, pledge_id));
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES payment_invoices(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_transactions_invoice_id ON transactions(invoice_id);
@@ -0,0 +1,33 @@
+DROP VIEW IF EXISTS auction_winners;
+CREATE VIEW auction_winners AS
+SELECT
+  a.id as auction_id,
+  a.school_id,
+  aw.id as artwork_id,
+  aw.title as artwork_title,
+  u.id as winner_user_id,
+  u.email as winner_email,
+  u.first_name,
+  u.last_name,
+  b.bid_amount,
+  b.placed_at as winning_bid_time,
+  CASE
+    WHEN t.id IS NOT NULL THEN 'PAID'
+    ELSE 'AWAITING_PAYMENT'
+  END as payment_status
+FROM auctions a
+JOIN artwork aw ON a.id = aw.auction_id
+JOIN bids b ON aw.id = b.artwork_id AND b.bid_status = 'ACTIVE'
+JOIN users u ON b.placed_by_user_id = u.id
+LEFT JOIN transactions t ON a.id = t.auction_id AND aw.id = t.artwork_id AND u.id = t.buyer_user_id
+WHERE a.auction_status = 'ENDED'
+  AND b.placed_at = (
+    SELECT MAX(placed_at)
+    FROM bids
+    WHERE artwork_id = aw.id
+      AND bid_status = 'ACTIVE'
+  );
+
+DROP INDEX IF EXISTS idx_offline_payments_received_by;
+DROP INDEX IF EXISTS idx_offline_payments_auction;
+DROP TABLE IF EXISTS offline_payments;
@@ -0,0 +1,52 @@
+-- Offline payments: cash, check and school store payments taken at pickup
+-- and keyed in by a school admin against a win. received_by_user_id is the
+-- volunteer whose cash drawer holds the money, for end-of-night reconciling.
+CREATE TABLE IF NOT EXISTS offline_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  artwork_id UUID NOT NULL UNIQUE REFERENCES artwork(id) ON DELETE RESTRICT,
+  buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  payment_method VARCHAR(20) NOT NULL CHECK (payment_method IN ('CASH', 'CHECK', 'SCHOOL_STORE')),
+  check_number VARCHAR(50),
+  received_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  recorded_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  notes TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT check_number_check CHECK (payment_method <> 'CHECK' OR check_number IS NOT NULL)
+);
+CREATE INDEX IF NOT EXISTS idx_offline_payments_auction ON offline_payments(auction_id);
+CREATE INDEX IF NOT EXISTS idx_offline_payments_received_by ON offline_payments(received_by_user_id);
+
+-- Winners are the ACCEPTED bids left by closing; a win is paid by a completed
+-- online transaction or an offline payment.
+DROP VIEW IF EXISTS auction_winners;
+CREATE VIEW auction_winners AS
+SELECT
+  a.id as auction_id,
+  a.school_id,
+  aw.id as artwork_id,
+  aw.title as artwork_title,
+  u.id as winner_user_id,
+  u.email as winner_email,
+  u.first_name,
+  u.last_name,
+  b.bid_amount,
+  b.placed_at as winning_bid_time,
+  CASE
+    WHEN t.id IS NOT NULL OR op.id IS NOT NULL THEN 'PAID'
+    ELSE 'AWAITING_PAYMENT'
+  END as payment_status,
+  COALESCE(op.payment_method, CASE WHEN t.id IS NOT NULL THEN 'ONLINE' END) as payment_method
+FROM auctions a
+JOIN artwork aw ON a.id = aw.auction_id
+JOIN bids b ON aw.id = b.artwork_id AND b.bid_status = 'ACCEPTED'
+JOIN users u ON b.placed_by_user_id = u.id
+LEFT JOIN LATERAL (
+  SELECT id FROM transactions
+  WHERE artwork_id = aw.id AND buyer_user_id = u.id AND transaction_status = 'COMPLETED'
+  LIMIT 1
+) t ON true
+LEFT JOIN offline_payments op ON op.artwork_id = aw.id
+WHERE a.auction_status = 'ENDED';
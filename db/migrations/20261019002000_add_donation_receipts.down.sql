@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_donation_receipts_auction;
+DROP INDEX IF EXISTS idx_donation_receipts_donor;
+DROP TABLE IF EXISTS donation_receipts;
+ALTER TABLE schools DROP COLUMN IF EXISTS receipt_signatory_title;
+ALTER TABLE schools DROP COLUMN IF EXISTS receipt_signatory_name;
+ALTER TABLE schools DROP COLUMN IF EXISTS tax_id;
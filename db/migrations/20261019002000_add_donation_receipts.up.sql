@@ -0,0 +1,31 @@
+-- Tax-deductible donation receipts for charity auctions (auctions with a
+-- charity_beneficiary_name). One receipt per completed payment, online or
+-- offline; the deductible portion is what was paid over the piece's fair
+-- market value (artwork.estimated_value). The issuing school's tax ID and
+-- signatory are configurable and read when a receipt is rendered.
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS tax_id VARCHAR(50);
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS receipt_signatory_name VARCHAR(255);
+ALTER TABLE schools ADD COLUMN IF NOT EXISTS receipt_signatory_title VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS donation_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  receipt_number BIGSERIAL UNIQUE,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE RESTRICT,
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  donor_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  transaction_id UUID UNIQUE REFERENCES transactions(id) ON DELETE RESTRICT,
+  offline_payment_id UUID UNIQUE REFERENCES offline_payments(id) ON DELETE RESTRICT,
+  description VARCHAR(255) NOT NULL,
+  amount_paid DECIMAL(10, 2) NOT NULL,
+  fair_market_value DECIMAL(10, 2) NOT NULL,
+  deductible_amount DECIMAL(10, 2) NOT NULL,
+  tax_year INT NOT NULL,
+  paid_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  emailed_at TIMESTAMP WITH TIME ZONE,
+  reissue_count INT NOT NULL DEFAULT 0,
+  CONSTRAINT receipt_source_check CHECK ((transaction_id IS NULL) <> (offline_payment_id IS NULL)),
+  CONSTRAINT receipt_amount_check CHECK (amount_paid > 0 AND fair_market_value >= 0 AND deductible_amount >= 0)
+);
+CREATE INDEX IF NOT EXISTS idx_donation_receipts_donor ON donation_receipts(donor_user_id, tax_year);
+CREATE INDEX IF NOT EXISTS idx_donation_receipts_auction ON donation_receipts(auction_id);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_settlement_statements_school;
+DROP TABLE IF EXISTS settlement_statements;
+ALTER TABLE payment_gateways DROP COLUMN IF EXISTS processing_fee_fixed;
+ALTER TABLE payment_gateways DROP COLUMN IF EXISTS processing_fee_percentage;
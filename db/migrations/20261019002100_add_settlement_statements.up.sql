@@ -0,0 +1,41 @@
+-- Per-auction settlement statements: what each school actually receives.
+-- One statement per (auction, school) — joint auctions pay each school through
+-- its own gateway. Generated when the auction ends and refreshed while DRAFT;
+-- once a SITE_ADMIN approves it the figures are locked. line_items keeps the
+-- per-payment detail the totals were built from.
+-- Gateway processing fees are estimated from each gateway's rate.
+ALTER TABLE payment_gateways ADD COLUMN IF NOT EXISTS processing_fee_percentage DECIMAL(5, 2) NOT NULL DEFAULT 2.90;
+ALTER TABLE payment_gateways ADD COLUMN IF NOT EXISTS processing_fee_fixed DECIMAL(10, 2) NOT NULL DEFAULT 0.30;
+
+CREATE TABLE IF NOT EXISTS settlement_statements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE RESTRICT,
+  payment_gateway_id UUID REFERENCES payment_gateways(id) ON DELETE SET NULL,
+  settlement_account_name VARCHAR(255),
+  settlement_account_last_four VARCHAR(4),
+  currency_code VARCHAR(3) NOT NULL DEFAULT 'USD',
+  statement_status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (statement_status IN ('DRAFT', 'APPROVED')),
+  platform_fee_percentage DECIMAL(5, 2) NOT NULL,
+  platform_fee_minimum DECIMAL(10, 2) NOT NULL,
+  platform_fee_waived BOOLEAN NOT NULL DEFAULT FALSE,
+  fee_waiver_reason TEXT,
+  sale_count INT NOT NULL DEFAULT 0,
+  minimum_fee_applied_count INT NOT NULL DEFAULT 0,
+  gross_hammer DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  buyer_fees_collected DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  offline_collected DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  refunds_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  chargebacks_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  platform_fee_due DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  gateway_fees DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  net_payable DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  line_items JSONB NOT NULL DEFAULT '[]',
+  generated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  approved_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT settlement_statement_unique UNIQUE (auction_id, school_id),
+  CONSTRAINT settlement_approval_check CHECK (statement_status <> 'APPROVED' OR approved_at IS NOT NULL)
+);
+CREATE INDEX IF NOT EXISTS idx_settlement_statements_school ON settlement_statements(school_id);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_payment_webhook_events_refund;
+DROP INDEX IF EXISTS idx_payment_webhook_events_charge;
+DROP INDEX IF EXISTS idx_payment_webhook_events_status;
+DROP TABLE IF EXISTS payment_webhook_events;
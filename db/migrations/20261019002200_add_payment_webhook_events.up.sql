@@ -0,0 +1,28 @@
+-- Every inbound payment gateway webhook, stored before it is acted on.
+-- (gateway_type, gateway_event_id) is unique so a gateway retry of the same
+-- event is recognised and not applied twice. Events that fail stay FAILED
+-- with the error and can be re-driven by a SITE_ADMIN once the cause is fixed.
+-- gateway_charge_id is the charge the event is about (transactions.gateway_transaction_id).
+-- gateway_refund_id is set once a refund event has been applied, so a gateway
+-- that reports the same refund in more than one event only counts it once.
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gateway_type VARCHAR(50) NOT NULL CHECK (gateway_type IN ('STRIPE', 'SQUARE', 'PAYPAL', 'AUTHORIZE_NET')),
+  gateway_event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  gateway_charge_id VARCHAR(500),
+  gateway_refund_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  processing_status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED' CHECK (processing_status IN ('RECEIVED', 'PROCESSING', 'PROCESSED', 'IGNORED', 'FAILED')),
+  attempt_count INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transactions_updated INT NOT NULL DEFAULT 0,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT payment_webhook_event_unique UNIQUE (gateway_type, gateway_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_status ON payment_webhook_events(processing_status, received_at);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_charge ON payment_webhook_events(gateway_charge_id);
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_refund ON payment_webhook_events(gateway_type, gateway_refund_id) WHERE gateway_refund_id IS NOT NULL;
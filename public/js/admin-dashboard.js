@@ -253,6 +253,10 @@ class AdminDashboard {
 
     // Payment gateway section
     this.initGatewaySection();
+    this.initReceiptSection();
+    document.getElementById('settlement-load-btn')?.addEventListener('click', () => this.loadSettlements());
+    document.getElementById('webhook-load-btn')?.addEventListener('click', () => this.loadWebhookEvents());
+    document.getElementById('webhook-status-filter')?.addEventListener('change', () => this.loadWebhookEvents());
   }
 
   /**
@@ -384,6 +388,385 @@ class AdminDashboard {
     }
   }
 
+  /**
+     * Donation receipt settings for the school picked in the gateway section,
+     * and bulk re-issue by tax year.
+     */
+  initReceiptSection() {
+    const form = document.getElementById('receipt-settings-form');
+    const schoolSelect = document.getElementById('gateway-school-select');
+    if (!form || !schoolSelect) {return;}
+
+    const yearInput = document.getElementById('receipt-reissue-year');
+    if (yearInput) {yearInput.value = new Date().getFullYear();}
+
+    schoolSelect.addEventListener('change', () => this.loadReceiptSettings());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveReceiptSettings();
+    });
+    document.getElementById('receipt-reissue-btn')?.addEventListener('click', () => this.reissueReceipts());
+
+    if (schoolSelect.value) {this.loadReceiptSettings();}
+  }
+
+  /**
+     * Fill the receipt settings form for the selected school.
+     */
+  async loadReceiptSettings() {
+    const schoolId = document.getElementById('gateway-school-select')?.value;
+    const statusEl = document.getElementById('receipt-settings-status');
+    if (!schoolId) {return;}
+    try {
+      const res = await fetch(`/api/schools/${encodeURIComponent(schoolId)}/receipt-settings`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      const data = await res.json();
+      if (!data.success) {
+        if (statusEl) {statusEl.innerHTML = `<p style="color:var(--color-error)">${this.escapeHtml(data.message)}</p>`;}
+        return;
+      }
+      document.getElementById('receipt-tax-id').value = data.data.taxId || '';
+      document.getElementById('receipt-signatory-name').value = data.data.signatoryName || '';
+      document.getElementById('receipt-signatory-title').value = data.data.signatoryTitle || '';
+      if (statusEl) {statusEl.innerHTML = '';}
+    } catch (err) {
+      console.error('Load receipt settings error:', err);
+      if (statusEl) {statusEl.innerHTML = '<p style="color:var(--color-error)">Request failed. Please try again.</p>';}
+    }
+  }
+
+  /**
+     * Save the receipt settings form for the selected school.
+     */
+  async saveReceiptSettings() {
+    const schoolId = document.getElementById('gateway-school-select')?.value;
+    const statusEl = document.getElementById('receipt-settings-status');
+    if (!schoolId) {
+      if (statusEl) {statusEl.innerHTML = '<p style="color:var(--color-error)">Please select a school first.</p>';}
+      return;
+    }
+    try {
+      const res = await fetch(`/api/schools/${encodeURIComponent(schoolId)}/receipt-settings`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        },
+        body: JSON.stringify({
+          taxId: document.getElementById('receipt-tax-id').value,
+          signatoryName: document.getElementById('receipt-signatory-name').value,
+          signatoryTitle: document.getElementById('receipt-signatory-title').value
+        })
+      });
+      const data = await res.json();
+      if (statusEl) {
+        const color = data.success ? 'var(--color-success, green)' : 'var(--color-error, red)';
+        statusEl.innerHTML = `<p style="color:${color}">${this.escapeHtml(data.message)}</p>`;
+      }
+    } catch (err) {
+      console.error('Save receipt settings error:', err);
+      if (statusEl) {statusEl.innerHTML = '<p style="color:var(--color-error)">Request failed. Please try again.</p>';}
+    }
+  }
+
+  /**
+     * Re-issue and re-send every donation receipt for a tax year
+     * (school admins: their own school's receipts).
+     */
+  async reissueReceipts() {
+    const statusEl = document.getElementById('receipt-settings-status');
+    const taxYear = parseInt(document.getElementById('receipt-reissue-year')?.value, 10);
+    if (!taxYear) {
+      if (statusEl) {statusEl.innerHTML = '<p style="color:var(--color-error)">Enter a tax year.</p>';}
+      return;
+    }
+    if (!confirm(`Re-issue and email every ${taxYear} donation receipt to its donor?`)) {return;}
+    try {
+      const res = await fetch('/api/admin/receipts/reissue', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        },
+        body: JSON.stringify({ taxYear })
+      });
+      const data = await res.json();
+      if (!data.success) {
+        if (statusEl) {statusEl.innerHTML = `<p style="color:var(--color-error)">${this.escapeHtml(data.message)}</p>`;}
+        return;
+      }
+      const message = `${data.reissued} receipt(s) re-issued, ${data.issued} newly issued.`;
+      if (statusEl) {statusEl.innerHTML = `<p style="color:var(--color-success, green)">${this.escapeHtml(message)}</p>`;}
+      UIComponents.createToast({ message, type: 'success' });
+    } catch (err) {
+      console.error('Re-issue receipts error:', err);
+      if (statusEl) {statusEl.innerHTML = '<p style="color:var(--color-error)">Request failed. Please try again.</p>';}
+    }
+  }
+
+  /**
+     * Fill the settlement auction picker with ended auctions.
+     */
+  async loadSettlementAuctions() {
+    const select = document.getElementById('settlement-auction');
+    if (!select) {return;}
+    try {
+      const res = await fetch('/api/admin/auctions?status=ENDED', {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      const data = await res.json();
+      if (!data.success) {return;}
+      const previous = select.value;
+      select.innerHTML = '<option value="">— Select an ended auction —</option>' + data.auctions.map(a =>
+        `<option value="${this.escapeHtml(a.id)}">${this.escapeHtml(a.title)}</option>`).join('');
+      if (data.auctions.some(a => a.id === previous)) {select.value = previous;}
+    } catch (err) {
+      console.error('Load settlement auctions error:', err);
+    }
+  }
+
+  /**
+     * Show the settlement statements for the selected auction.
+     */
+  async loadSettlements() {
+    const auctionId = document.getElementById('settlement-auction')?.value;
+    const list = document.getElementById('settlement-list');
+    if (!list || !auctionId) {return;}
+
+    list.innerHTML = '<p class="loading-message">Loading...</p>';
+    try {
+      const res = await fetch(`/api/admin/auctions/${encodeURIComponent(auctionId)}/settlements`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      const data = await res.json();
+      if (!data.success) {throw new Error(data.message || 'Failed to load statements');}
+      this.renderSettlements(data.statements);
+    } catch (err) {
+      console.error('Load settlements error:', err);
+      list.innerHTML = `<p class="error-message">${this.escapeHtml(err.message)}</p>`;
+    }
+  }
+
+  /**
+     * Render settlement statements with export, waiver and approval actions.
+     */
+  renderSettlements(statements) {
+    const list = document.getElementById('settlement-list');
+    const isSiteAdmin = JSON.parse(localStorage.getItem('user') || '{}').role === 'SITE_ADMIN';
+    const money = (n) => UIComponents.formatCurrency(n);
+
+    if (statements.length === 0) {
+      list.innerHTML = '<p class="text-muted">No statements for this auction.</p>';
+      return;
+    }
+
+    list.innerHTML = statements.map(st => {
+      const locked = st.status === 'APPROVED';
+      const account = st.settlementAccountName
+        ? `${this.escapeHtml(st.settlementAccountName)}${st.settlementAccountLastFour ? ` ****${this.escapeHtml(st.settlementAccountLastFour)}` : ''}`
+        : 'No settlement account on file';
+      const feeRow = st.platformFeeWaived
+        ? `Waived — ${this.escapeHtml(st.feeWaiverReason || '')}`
+        : `-${money(st.platformFeeDue)} <small>(${st.platformFeePercentage}%, min ${money(st.platformFeeMinimum)}${st.minimumFeeAppliedCount ? `, minimum on ${st.minimumFeeAppliedCount}` : ''})</small>`;
+      const actions = [
+        `<button class="btn btn-secondary btn-sm" data-settlement-export="csv" data-id="${st.statementId}">CSV</button>`,
+        `<button class="btn btn-secondary btn-sm" data-settlement-export="pdf" data-id="${st.statementId}">PDF</button>`,
+        isSiteAdmin && !locked && st.platformFeeWaivable
+          ? `<button class="btn btn-secondary btn-sm" data-settlement-waive="${st.platformFeeWaived ? 'false' : 'true'}" data-id="${st.statementId}">${st.platformFeeWaived ? 'Restore fee' : 'Waive fee'}</button>`
+          : '',
+        isSiteAdmin && !locked
+          ? `<button class="btn btn-primary btn-sm" data-settlement-approve data-id="${st.statementId}">Approve &amp; lock</button>`
+          : ''
+      ].join(' ');
+
+      const statusLabel = locked
+        ? `Approved ${new Date(st.approvedAt).toLocaleDateString()} by ${this.escapeHtml(st.approvedByName || '')}`
+        : 'Draft';
+
+      return `
+        <div class="section-box">
+          <h4>${this.escapeHtml(st.schoolName)} <small>${statusLabel}</small></h4>
+          <p class="section-help">Pays to: ${account}</p>
+          <table class="admin-table">
+            <tbody>
+              <tr><th scope="row">Gross hammer (${st.saleCount} payments)</th><td>${money(st.grossHammer)}</td></tr>
+              <tr><th scope="row">Buyer platform fees collected</th><td>${money(st.buyerFeesCollected)}</td></tr>
+              <tr><th scope="row">Refunds</th><td>-${money(st.refundsTotal)}</td></tr>
+              <tr><th scope="row">Chargebacks</th><td>-${money(st.chargebacksTotal)}</td></tr>
+              <tr><th scope="row">Platform fee</th><td>${feeRow}</td></tr>
+              <tr><th scope="row">Gateway fees (estimated)</th><td>-${money(st.gatewayFees)}</td></tr>
+              <tr><th scope="row">Net payable</th><td><strong>${money(st.netPayable)}</strong></td></tr>
+              <tr><th scope="row">Collected offline (not in payout)</th><td>${money(st.offlineCollected)}</td></tr>
+            </tbody>
+          </table>
+          <div style="margin-top:0.5rem;">${actions}</div>
+        </div>`;
+    }).join('');
+
+    list.querySelectorAll('[data-settlement-export]').forEach(btn => {
+      btn.addEventListener('click', () => this.exportSettlement(btn.dataset.id, btn.dataset.settlementExport));
+    });
+    list.querySelectorAll('[data-settlement-waive]').forEach(btn => {
+      btn.addEventListener('click', () => this.waiveSettlementFee(btn.dataset.id, btn.dataset.settlementWaive === 'true'));
+    });
+    list.querySelectorAll('[data-settlement-approve]').forEach(btn => {
+      btn.addEventListener('click', () => this.approveSettlement(btn.dataset.id));
+    });
+  }
+
+  /**
+     * Download a settlement statement as CSV or PDF.
+     */
+  async exportSettlement(statementId, format) {
+    try {
+      const response = await fetch(`/api/admin/settlements/${encodeURIComponent(statementId)}/export?format=${format}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `settlement-${statementId.slice(0, 8)}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      a.remove();
+    } catch (error) {
+      console.error('Export settlement error:', error);
+      UIComponents.createToast({ message: 'Failed to export statement', type: 'error' });
+    }
+  }
+
+  /**
+     * Waive (or restore) the platform fee on a draft statement.
+     */
+  async waiveSettlementFee(statementId, waived) {
+    const reason = waived ? prompt('Reason for waiving the platform fee:') : null;
+    if (waived && !reason) {return;}
+    try {
+      const res = await fetch(`/api/admin/settlements/${encodeURIComponent(statementId)}/fee-waiver`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        },
+        body: JSON.stringify({ waived, reason })
+      });
+      const data = await res.json();
+      if (!data.success) {throw new Error(data.message);}
+      this.loadSettlements();
+    } catch (error) {
+      console.error('Settlement fee waiver error:', error);
+      UIComponents.createToast({ message: error.message || 'Failed to update fee waiver', type: 'error' });
+    }
+  }
+
+  /**
+     * Approve and lock a settlement statement.
+     */
+  async approveSettlement(statementId) {
+    if (!confirm('Approve this statement? Its figures will be locked.')) {return;}
+    try {
+      const res = await fetch(`/api/admin/settlements/${encodeURIComponent(statementId)}/approve`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      const data = await res.json();
+      if (!data.success) {throw new Error(data.message);}
+      UIComponents.createToast({ message: data.message, type: 'success' });
+      this.loadSettlements();
+    } catch (error) {
+      console.error('Approve settlement error:', error);
+      UIComponents.createToast({ message: error.message || 'Failed to approve statement', type: 'error' });
+    }
+  }
+
+  /**
+     * List stored payment webhook events (SITE_ADMIN only).
+     */
+  async loadWebhookEvents() {
+    const section = document.getElementById('webhook-events-section');
+    const list = document.getElementById('webhook-events-list');
+    if (!section || !list) {return;}
+    if (JSON.parse(localStorage.getItem('user') || '{}').role !== 'SITE_ADMIN') {return;}
+    section.style.display = '';
+
+    const status = document.getElementById('webhook-status-filter')?.value || '';
+    list.innerHTML = '<p class="loading-message">Loading...</p>';
+    try {
+      const res = await fetch(`/api/admin/webhook-events?status=${encodeURIComponent(status)}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      const data = await res.json();
+      if (!data.success) {throw new Error(data.message || 'Failed to load webhook events');}
+      this.renderWebhookEvents(data.events, data.total);
+    } catch (err) {
+      console.error('Load webhook events error:', err);
+      list.innerHTML = `<p class="error-message">${this.escapeHtml(err.message)}</p>`;
+    }
+  }
+
+  /**
+     * Render the webhook event table with a re-drive button on failed events.
+     */
+  renderWebhookEvents(events, total) {
+    const list = document.getElementById('webhook-events-list');
+    if (!events.length) {
+      list.innerHTML = '<p class="empty-message">No webhook events.</p>';
+      return;
+    }
+
+    const rows = events.map(ev => `
+      <tr>
+        <td>${new Date(ev.receivedAt).toLocaleString()}</td>
+        <td>${this.escapeHtml(ev.gatewayType)}</td>
+        <td>${this.escapeHtml(ev.eventType)}<br><small>${this.escapeHtml(ev.gatewayEventId)}</small></td>
+        <td>${this.escapeHtml(ev.gatewayChargeId || '—')}</td>
+        <td>${this.escapeHtml(ev.status)}${ev.lastError ? `<br><small>${this.escapeHtml(ev.lastError)}</small>` : ''}</td>
+        <td>${ev.attemptCount}</td>
+        <td>${ev.status === 'FAILED'
+    ? `<button class="btn btn-secondary btn-sm" data-webhook-redrive="${this.escapeHtml(ev.eventId)}">Re-drive</button>`
+    : ''}</td>
+      </tr>`).join('');
+
+    list.innerHTML = `
+      <p class="section-help">Showing ${events.length} of ${total}</p>
+      <table class="admin-table">
+        <thead>
+          <tr><th>Received</th><th>Gateway</th><th>Event</th><th>Charge</th><th>Status</th><th>Attempts</th><th></th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+
+    list.querySelectorAll('[data-webhook-redrive]').forEach(btn => {
+      btn.addEventListener('click', () => this.redriveWebhookEvent(btn.dataset.webhookRedrive));
+    });
+  }
+
+  /**
+     * Process a failed webhook event again.
+     */
+  async redriveWebhookEvent(eventId) {
+    try {
+      const res = await fetch(`/api/admin/webhook-events/${encodeURIComponent(eventId)}/redrive`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      const data = await res.json();
+      if (!data.success) {throw new Error(data.message);}
+      UIComponents.createToast({ message: data.message, type: data.event.status === 'FAILED' ? 'error' : 'success' });
+      this.loadWebhookEvents();
+    } catch (error) {
+      console.error('Re-drive webhook event error:', error);
+      UIComponents.createToast({ message: error.message || 'Failed to re-drive event', type: 'error' });
+    }
+  }
+
   /**
      * Setup tab navigation
      */
@@ -427,7 +810,11 @@ class AdminDashboard {
 
       if (panelId === 'auctions-tab') {this.loadAuctions();}
       else if (panelId === 'users-tab') {this.loadUsers();}
-      else if (panelId === 'payments-tab') {this.loadPayments();}
+      else if (panelId === 'payments-tab') {
+        this.loadPayments();
+        this.loadSettlementAuctions();
+        this.loadWebhookEvents();
+      }
       else if (panelId === 'reports-tab') {this.loadReports();}
     }
 
@@ -478,6 +865,8 @@ class AdminDashboard {
       return;
     }
 
+    const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+
     auctions.forEach(auction => {
       const row = document.createElement('tr');
       const status = auction.auction_status || auction.status || '';
@@ -487,11 +876,13 @@ class AdminDashboard {
         'PENDING_APPROVAL': 'warning', 'ENDED': 'error', 'CANCELLED': 'error'
       }[status] || 'default';
 
-      const canApprove  = ['DRAFT', 'PENDING_APPROVAL'].includes(status);
-      const canActivate = status === 'APPROVED';
-      const canReject   = ['DRAFT', 'PENDING_APPROVAL'].includes(status);
-      const canCancel   = ['APPROVED', 'LIVE'].includes(status);
-      const canDelete   = ['DRAFT', 'CANCELLED', 'ENDED'].includes(status);
+      // A partner school in a joint auction manages its own pieces, not the auction
+      const isHost      = currentUser.role !== 'SCHOOL_ADMIN' || auction.school_id === (currentUser.school_id || currentUser.schoolId);
+      const canApprove  = isHost && ['DRAFT', 'PENDING_APPROVAL'].includes(status);
+      const canActivate = isHost && status === 'APPROVED';
+      const canReject   = isHost && ['DRAFT', 'PENDING_APPROVAL'].includes(status);
+      const canCancel   = isHost && ['APPROVED', 'LIVE'].includes(status);
+      const canDelete   = isHost && ['DRAFT', 'CANCELLED', 'ENDED'].includes(status);
 
       const schoolName  = this.escapeHtml(auction.school_name  || auction.school_id || '—');
       const gatewayName = this.escapeHtml(auction.gateway_name || auction.gateway_type || '—');
@@ -509,7 +900,8 @@ class AdminDashboard {
                     ${canActivate ? `<button class="btn btn-sm btn-success" data-activate-auction="${auction.id}">Go Live</button>` : ''}
                     ${canReject   ? `<button class="btn btn-sm btn-warning" data-reject-auction="${auction.id}">Reject</button>`    : ''}
                     ${canCancel   ? `<button class="btn btn-sm btn-warning" data-cancel-auction="${auction.id}">Cancel</button>`    : ''}
-                    <button class="btn btn-sm btn-primary" data-edit-auction="${auction.id}">Edit</button>
+                    ${isHost      ? `<button class="btn btn-sm btn-primary" data-edit-auction="${auction.id}">Edit</button>`       : ''}
+                    <a class="btn btn-sm btn-secondary" href="/auction-partners.html?id=${encodeURIComponent(auction.id)}">Schools</a>
                     ${canDelete  ? `<button class="btn btn-sm btn-danger"  data-delete-auction="${auction.id}">Delete</button>`   : ''}
                 </td>
             `;
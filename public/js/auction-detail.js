@@ -12,6 +12,8 @@ class AuctionDetail {
     this.isUserLoggedIn = false;
     this.countdownInterval = null;
     this.websocket = null;
+    this.watchedArtworkIds = new Set();
+    this.artworkFilter = { q: '', medium: '', gradeBand: '', priceBand: '', tag: '' };
     this.init();
   }
 
@@ -30,6 +32,9 @@ class AuctionDetail {
     // Check login status
     this.checkLoginStatus();
 
+    // Mark what the user already watches
+    this.loadWatchedState();
+
     // Set up event listeners
     this.attachEventListeners();
 
@@ -38,6 +43,10 @@ class AuctionDetail {
 
     // Connect to WebSocket for real-time updates
     this.connectWebSocket();
+
+    // Send any bids queued while offline, now and whenever the connection returns
+    this.syncOfflineBids();
+    globalThis.addEventListener('online', () => this.syncOfflineBids());
   }
 
   /**
@@ -73,6 +82,7 @@ class AuctionDetail {
       this.auction = data.auction;
       this.displayAuction();
       this.loadArtwork();
+      this.loadFundANeed();
     } catch (error) {
       console.error('Load auction error:', error);
       this.showError('Failed to load auction');
@@ -346,12 +356,22 @@ class AuctionDetail {
       biddingForm.addEventListener('submit', (e) => this.submitBid(e, biddingForm));
     }
 
+    const buyNowBtn = document.getElementById('buy-now-btn');
+    if (buyNowBtn) {
+      buyNowBtn.addEventListener('click', () => this.buyNow());
+    }
+
     // Watch list button
     const watchBtn = document.getElementById('watchlist-btn');
     if (watchBtn) {
       watchBtn.addEventListener('click', () => this.toggleWatchlist());
     }
 
+    const watchPieceBtn = document.getElementById('watch-piece-btn');
+    if (watchPieceBtn) {
+      watchPieceBtn.addEventListener('click', () => this.toggleWatchPiece());
+    }
+
     // Share button
     const shareBtn = document.getElementById('share-btn');
     if (shareBtn) {
@@ -440,15 +460,16 @@ class AuctionDetail {
     e.preventDefault();
 
     const bidAmount = form.querySelector('#bid-amount')?.value;
+    const maxBidAmount = form.querySelector('#max-bid-amount')?.value;
 
     if (!bidAmount || Number.isNaN(Number.parseFloat(bidAmount))) {
       UIComponents.showAlert('Please enter a valid bid amount', 'warning');
       return;
     }
 
-    const currentBid = this.currentPiece?.currentBid ?? 0;
-    const minBid = currentBid + 10;
-    if (Number.parseFloat(bidAmount) < minBid) {
+    // Server-computed from the auction's increment schedule (see loadBiddingState)
+    const minBid = this.currentPiece?.nextMinimumBid ?? null;
+    if (minBid !== null && Number.parseFloat(bidAmount) < minBid) {
       UIComponents.showAlert(
         `Minimum bid is ${UIComponents.formatCurrency(minBid)}`,
         'warning'
@@ -456,9 +477,21 @@ class AuctionDetail {
       return;
     }
 
-    try {
-      const loader = UIComponents.showLoading('Placing bid...');
+    if (maxBidAmount && Number.parseFloat(maxBidAmount) < Number.parseFloat(bidAmount)) {
+      UIComponents.showAlert('Maximum bid cannot be lower than your bid', 'warning');
+      return;
+    }
+
+    // No connection: keep the bid on the device if this piece was opened from its QR code
+    if (!navigator.onLine) {
+      if (!(await this.queueOfflineBid(form, bidAmount, maxBidAmount))) {
+        UIComponents.showAlert('You\'re offline. Reconnect to place your bid.', 'error');
+      }
+      return;
+    }
 
+    const loader = UIComponents.showLoading('Placing bid...');
+    try {
       const response = await fetch('/api/bidding/place', {
         method: 'POST',
         headers: {
@@ -467,7 +500,8 @@ class AuctionDetail {
         },
         body: JSON.stringify({
           artworkId: this.currentPiece?.id,
-          bidAmount: Number.parseFloat(bidAmount)
+          bidAmount: Number.parseFloat(bidAmount),
+          ...(maxBidAmount && { maxAmount: Number.parseFloat(maxBidAmount) })
         })
       });
 
@@ -479,15 +513,30 @@ class AuctionDetail {
         return;
       }
 
-      UIComponents.createToast({
-        message: 'Bid placed successfully!',
-        type: 'success'
-      });
+      // Auctions that vet bids hold this one until an organizer approves it
+      if (data.data?.pending) {
+        UIComponents.createToast({
+          message: 'Your bid is awaiting organizer approval',
+          type: 'info'
+        });
+      } else if (data.data?.isWinning === false) {
+        // An existing maximum bid can out-reach this one without changing the leader
+        UIComponents.createToast({
+          message: data.data.message || 'Another bidder\'s maximum bid is higher',
+          type: 'warning'
+        });
+      } else {
+        UIComponents.createToast({
+          message: 'Bid placed successfully!',
+          type: 'success'
+        });
+      }
 
       // Update auction with new bid
       this.auction.currentBid = data.biddingState?.currentBid ?? this.auction.currentBid;
       this.auction.totalBids = data.biddingState?.totalBids ?? this.auction.totalBids;
       this.updateBidInfo();
+      this.applyBiddingState(data.biddingState);
 
       // Clear form
       form.reset();
@@ -495,7 +544,7 @@ class AuctionDetail {
       // Show leading-bidder banner
       const banner = document.getElementById('leading-bidder-banner');
       const pieceEl = document.getElementById('leading-bidder-piece');
-      if (banner && pieceEl) {
+      if (banner && pieceEl && data.data?.isWinning !== false) {
         pieceEl.textContent = this.currentPiece?.title ? ` on "${this.currentPiece.title}"` : '';
         banner.hidden = false;
       }
@@ -503,6 +552,11 @@ class AuctionDetail {
       // Reload bid history
       this.loadBidHistory();
     } catch (error) {
+      UIComponents.hideLoading(loader);
+      // fetch rejects with a TypeError when the network drops mid-request
+      if (error instanceof TypeError && await this.queueOfflineBid(form, bidAmount, maxBidAmount)) {
+        return;
+      }
       console.error('Submit bid error:', error);
       UIComponents.createToast({
         message: 'Connection error',
@@ -511,6 +565,105 @@ class AuctionDetail {
     }
   }
 
+  /**
+     * Queue a bid on the device while offline (see offline-bids.js).
+     * @returns {boolean} true if handled here (queued, or the bidder was told why not)
+     */
+  async queueOfflineBid(form, bidAmount, maxBidAmount) {
+    const queue = globalThis.OfflineBidQueue;
+    const artworkId = this.currentPiece?.id;
+    if (!queue || !artworkId || !queue.canQueue(artworkId)) { return false; }
+
+    if (maxBidAmount) {
+      UIComponents.showAlert('Maximum bids need a connection. Clear it to save just your bid offline.', 'warning');
+      return true;
+    }
+
+    await queue.enqueue(artworkId, Number.parseFloat(bidAmount));
+    form.reset();
+    UIComponents.createToast({
+      message: 'You\'re offline. Your bid is saved on this device and will be sent when you reconnect.',
+      type: 'info'
+    });
+    return true;
+  }
+
+  /**
+     * Sync bids queued offline and tell the bidder what happened to each.
+     * The server replays them oldest-first against the current bidding state.
+     */
+  async syncOfflineBids() {
+    const queue = globalThis.OfflineBidQueue;
+    if (!queue || !this.isUserLoggedIn) { return; }
+
+    let synced = false;
+    for (let outcomes = await queue.sync(); outcomes; outcomes = await queue.sync()) {
+      synced = true;
+      for (const outcome of outcomes) {
+        if (outcome.status === 'DUPLICATE') { continue; }
+        const amount = UIComponents.formatCurrency(Number(outcome.amount));
+        const accepted = outcome.status === 'ACCEPTED';
+        UIComponents.createToast({
+          message: accepted
+            ? `Offline bid of ${amount} sent: ${outcome.message}`
+            : `Offline bid of ${amount} was not accepted: ${outcome.message}`,
+          type: accepted && outcome.isWinning !== false ? 'success' : 'warning'
+        });
+      }
+    }
+
+    if (synced) {
+      this.loadBidHistory();
+      this.loadBiddingState();
+    }
+  }
+
+  /**
+     * Buy the selected piece outright at its Buy-It-Now price
+     */
+  async buyNow() {
+    const piece = this.currentPiece;
+    if (!piece?.buyNowPrice) {return;}
+
+    const price = UIComponents.formatCurrency(Number(piece.buyNowPrice));
+    if (!globalThis.confirm(`Buy "${piece.title}" now for ${price}? Bidding on this piece will close immediately.`)) {return;}
+
+    try {
+      const loader = UIComponents.showLoading('Completing purchase...');
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch('/api/bidding/buy-now', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token && { 'Authorization': `Bearer ${token}` })
+        },
+        body: JSON.stringify({ artworkId: piece.id })
+      });
+
+      const data = await response.json();
+      UIComponents.hideLoading(loader);
+
+      if (!response.ok) {
+        UIComponents.showAlert(data.message || 'Purchase failed', 'error');
+        this.loadBiddingState();
+        return;
+      }
+
+      piece.sold = true;
+      UIComponents.createToast({
+        message: `You bought "${piece.title}" for ${price}! Check your email for payment details.`,
+        type: 'success'
+      });
+      this.disableBidding('You bought this piece with Buy-It-Now. Thank you!');
+    } catch (error) {
+      console.error('Buy now error:', error);
+      UIComponents.createToast({
+        message: 'Connection error',
+        type: 'error'
+      });
+    }
+  }
+
   /**
      * Start countdown timer
      */
@@ -521,7 +674,9 @@ class AuctionDetail {
 
     const now = Date.now();
     const startTime = this.auction.startTime ? new Date(this.auction.startTime).getTime() : null;
-    const endTime = this.auction.endTime ? new Date(this.auction.endTime).getTime() : null;
+    // A piece with its own staggered close counts down to that instead
+    const closesAt = this.currentPiece?.closesAt || this.auction.endTime;
+    const endTime = closesAt ? new Date(closesAt).getTime() : null;
 
     // Upcoming auction — count down to start time
     if (startTime && startTime > now) {
@@ -555,6 +710,22 @@ class AuctionDetail {
     countdownEl.textContent = '--:--:--';
   }
 
+  /**
+     * Show the bidding form again (logged-in users only) after switching to a
+     * piece that is still open
+     */
+  enableBidding() {
+    if (!this.isUserLoggedIn) {return;}
+    const formContainer = document.getElementById('bidding-form-container');
+    if (formContainer) {
+      formContainer.style.display = 'block';
+    }
+    const closedAlert = document.getElementById('auction-closed');
+    if (closedAlert) {
+      closedAlert.style.display = 'none';
+    }
+  }
+
   /**
      * Hide the bidding form. Pass a message to show the closed/info alert,
      * or omit it to silently hide the form (e.g. for upcoming auctions).
@@ -616,6 +787,87 @@ class AuctionDetail {
     }
   }
 
+  /**
+     * Load which of this auction's pieces (and whether the auction itself)
+     * the user watches
+     */
+  async loadWatchedState() {
+    if (!this.isUserLoggedIn) {return;}
+    try {
+      const response = await fetch('/api/user/watchlist', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        }
+      });
+      if (!response.ok) {return;}
+
+      const data = await response.json();
+      this.watchedArtworkIds = new Set((data.artwork || []).map(piece => piece.artworkId));
+      const watchesAuction = (data.auctions || []).some(auction => auction.auctionId === this.auctionId);
+      document.getElementById('watchlist-btn')?.classList.toggle('watched', watchesAuction);
+      this.updateWatchPieceButton();
+    } catch (error) {
+      console.error('Load watchlist error:', error);
+    }
+  }
+
+  /**
+     * Reflect whether the selected piece is watched
+     */
+  updateWatchPieceButton() {
+    const btn = document.getElementById('watch-piece-btn');
+    if (!btn) {return;}
+    btn.hidden = !this.isUserLoggedIn || !this.currentPiece;
+    const watched = !!this.currentPiece && this.watchedArtworkIds.has(this.currentPiece.id);
+    btn.classList.toggle('watched', watched);
+    btn.setAttribute('aria-pressed', String(watched));
+    const label = btn.querySelector('.watch-piece-label');
+    if (label) {label.textContent = watched ? 'Watching piece' : 'Watch piece';}
+  }
+
+  /**
+     * Toggle the selected piece on the user's watchlist
+     */
+  async toggleWatchPiece() {
+    const artworkId = this.currentPiece?.id;
+    if (!artworkId) {return;}
+    const isWatched = this.watchedArtworkIds.has(artworkId);
+
+    try {
+      const response = await fetch(
+        `/api/auctions/${encodeURIComponent(this.auctionId)}/artwork/${encodeURIComponent(artworkId)}/watchlist`,
+        {
+          method: isWatched ? 'DELETE' : 'POST',
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+          }
+        }
+      );
+
+      if (!response.ok) {
+        UIComponents.createToast({
+          message: 'Failed to update watchlist',
+          type: 'error'
+        });
+        return;
+      }
+
+      if (isWatched) {
+        this.watchedArtworkIds.delete(artworkId);
+      } else {
+        this.watchedArtworkIds.add(artworkId);
+      }
+      this.updateWatchPieceButton();
+      UIComponents.createToast({
+        message: isWatched ? 'Stopped watching this piece' : 'Watching this piece — we\'ll email you when it gets a new bid',
+        type: 'success',
+        duration: 2000
+      });
+    } catch (error) {
+      console.error('Watch piece toggle error:', error);
+    }
+  }
+
   /**
      * Show share options modal
      */
@@ -731,6 +983,93 @@ class AuctionDetail {
       countEl.textContent = `${artworks.length} pieces`;
       countEl.hidden = false;
     }
+
+    this.initArtworkFilter(artworks);
+  }
+
+  /**
+     * Show the piece filter above the thumbnail strip and wire it to the
+     * artwork search endpoint, scoped to this auction.
+     * @param {Array} artworks
+     */
+  initArtworkFilter(artworks) {
+    const form = document.getElementById('artwork-filter');
+    if (!form || form.dataset.bound) {return;}
+    form.dataset.bound = 'true';
+    form.hidden = false;
+
+    const debouncedFilter = UIComponents.debounce(() => this.filterArtwork(artworks), 400);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.filterArtwork(artworks);
+    });
+    document.getElementById('artwork-filter-q')?.addEventListener('input', (e) => {
+      this.artworkFilter.q = e.target.value.trim();
+      debouncedFilter();
+    });
+    form.querySelectorAll('select[data-facet]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.artworkFilter[e.target.dataset.facet] = e.target.value;
+        this.filterArtwork(artworks);
+      });
+    });
+
+    this.filterArtwork(artworks);
+  }
+
+  /**
+     * Hide thumbnails that don't match the filter and refresh facet counts.
+     * @param {Array} artworks
+     */
+  async filterArtwork(artworks) {
+    const params = new URLSearchParams({ auctionId: this.auctionId, limit: 100 });
+    for (const [key, value] of Object.entries(this.artworkFilter)) {
+      if (value !== '') {params.set(key, value);}
+    }
+
+    try {
+      const token = localStorage.getItem('auth_token');
+      const fetchOptions = token ? { headers: { 'Authorization': `Bearer ${token}` } } : {};
+      const response = await fetch(`/api/auctions/artwork/search?${params}`, fetchOptions);
+      const data = await response.json();
+      if (!response.ok || !data.success) {return;}
+
+      document.querySelectorAll('#artwork-filter select[data-facet]').forEach(select => {
+        const facet = select.dataset.facet;
+        const selected = this.artworkFilter[facet];
+        select.replaceChildren(select.options[0]);
+        (data.facets[facet === 'tag' ? 'tags' : facet] || []).forEach(({ value, label, count }) => {
+          select.add(new Option(`${label} (${count})`, String(value)));
+        });
+        if (selected && !Array.from(select.options).some(o => o.value === selected)) {
+          select.add(new Option(`${selected} (0)`, selected));
+        }
+        select.value = selected;
+      });
+
+      // Search pages at 100 pieces; fetch the rest of the matches for big auctions
+      const filtering = Object.values(this.artworkFilter).some(Boolean);
+      const matches = new Set(data.artwork.map(piece => String(piece.id)));
+      while (filtering && matches.size < data.total) {
+        params.set('offset', matches.size);
+        const page = await (await fetch(`/api/auctions/artwork/search?${params}`, fetchOptions)).json();
+        if (!page.success || page.artwork.length === 0) {break;}
+        page.artwork.forEach(piece => matches.add(String(piece.id)));
+      }
+      document.querySelectorAll('#artwork-thumbnails .artwork-thumb').forEach(btn => {
+        const piece = artworks[Number(btn.dataset.index)];
+        btn.hidden = filtering && !matches.has(String(piece?.id));
+      });
+
+      const countEl = document.getElementById('artwork-piece-count');
+      if (countEl) {
+        countEl.textContent = filtering
+          ? `${data.total} of ${artworks.length} pieces`
+          : `${artworks.length} pieces`;
+      }
+    } catch (error) {
+      console.warn('Could not filter artwork:', error);
+    }
   }
 
   /**
@@ -773,8 +1112,87 @@ class AuctionDetail {
 
     const minBidHelpEl = document.getElementById('min-bid-amount');
     if (minBidHelpEl) {
-      const current = piece.currentBid == null ? Number(piece.startingPrice ?? 0) : Number(piece.currentBid);
-      minBidHelpEl.textContent = UIComponents.formatCurrency(current + 10);
+      minBidHelpEl.textContent = piece.nextMinimumBid == null ? '-' : UIComponents.formatCurrency(piece.nextMinimumBid);
+    }
+
+    // Staggered lots close on their own clock
+    if (this.auction) {
+      clearInterval(this.countdownInterval);
+      this.startCountdown();
+    }
+
+    this.updateWatchPieceButton();
+    this.loadBiddingState();
+  }
+
+  /**
+     * Fetch the server's bidding state for the selected piece. The next minimum
+     * bid depends on the auction's tiered increment schedule, so it is never
+     * computed client-side.
+     */
+  async loadBiddingState() {
+    if (!this.currentPiece) {return;}
+    try {
+      const token = localStorage.getItem('auth_token');
+      const response = await fetch(`/api/bidding/artwork/${this.currentPiece.id}/state`, {
+        headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+      });
+      if (!response.ok) {return;}
+      const data = await response.json();
+      this.applyBiddingState(data.data);
+    } catch (error) {
+      console.warn('Could not load bidding state:', error);
+    }
+  }
+
+  /**
+     * Apply a bidding state (from the state endpoint or a bid response) to the
+     * selected piece and refresh the minimum-bid hints.
+     * @param {object} state
+     */
+  applyBiddingState(state) {
+    if (!state || !this.currentPiece || state.artworkId !== this.currentPiece.id) {return;}
+    this.currentPiece.nextMinimumBid = state.nextMinimumBid;
+    this.currentPiece.currentBid = state.currentBid;
+    if (this.auction) {this.auction.minBidIncrement = state.bidIncrement;}
+
+    const minBidHelpEl = document.getElementById('min-bid-amount');
+    if (minBidHelpEl && state.nextMinimumBid != null) {
+      minBidHelpEl.textContent = UIComponents.formatCurrency(Number(state.nextMinimumBid));
+    }
+    const minIncrementEl = document.getElementById('display-minimum-increment');
+    if (minIncrementEl && state.bidIncrement != null) {
+      minIncrementEl.textContent = UIComponents.formatCurrency(Number(state.bidIncrement));
+    }
+    const bidInput = document.getElementById('bid-amount');
+    if (bidInput && state.nextMinimumBid != null) {
+      bidInput.min = String(state.nextMinimumBid);
+    }
+
+    // Only whether the reserve is met is public, never the amount
+    const reserveNoteEl = document.getElementById('reserve-note');
+    if (reserveNoteEl) {reserveNoteEl.hidden = !state.reserveNotMet;}
+
+    // Buy-now is withdrawn server-side once bidding gets close to the price
+    this.currentPiece.buyNowPrice = state.buyNowPrice;
+    const buyNowContainer = document.getElementById('buy-now-container');
+    if (buyNowContainer) {
+      buyNowContainer.hidden = !state.buyNowAvailable;
+      const priceEl = document.getElementById('buy-now-price');
+      if (priceEl && state.buyNowPrice != null) {
+        priceEl.textContent = UIComponents.formatCurrency(Number(state.buyNowPrice));
+      }
+    }
+
+    // Pieces can close individually (staggered close, buy-now), so the form
+    // follows the selected piece rather than the auction as a whole
+    if (state.sold) {
+      this.currentPiece.sold = true;
+      this.disableBidding('This piece has been sold');
+    } else if (state.auctionActive) {
+      this.enableBidding();
+    } else if (this.auction?.status === 'LIVE') {
+      this.disableBidding('Bidding on this piece has closed');
     }
   }
 
@@ -889,14 +1307,25 @@ class AuctionDetail {
         const bidData = data.data || data;
         this.handleNewBid(bidData);
         this.handlePriceUpdate(bidData);
+        if (bidData.artworkId && bidData.artworkId === this.currentPiece?.id) {
+          this.loadBiddingState();
+        }
         break;
       }
 
+      case 'fund_a_need_update':
+        this.handleFundANeedUpdate(data.data || {});
+        break;
+
       case 'auction_status_change':
         if (data.status === 'ENDED' || data.status === 'CLOSED') {
           this.handleAuctionEnded(data);
         } else if (data.status === 'ENDING_SOON') {
           this.handleAuctionEnding(data);
+        } else if (data.status === 'EXTENDED') {
+          this.handleAuctionExtended(data.details || {});
+        } else if (data.status === 'LOT_CLOSED') {
+          this.handleLotClosed(data.details || {});
         }
         break;
 
@@ -906,6 +1335,107 @@ class AuctionDetail {
     }
   }
 
+  /**
+     * Load the auction's Fund-a-Need items; the section stays hidden when
+     * there are none.
+     */
+  async loadFundANeed() {
+    try {
+      const response = await fetch(`/api/auctions/${this.auctionId}/fund-a-need`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('auth_token')}` }
+      });
+      if (!response.ok) {return;}
+      const data = await response.json();
+      this.fundANeedItems = data.items || [];
+      this.renderFundANeed();
+    } catch (error) {
+      console.error('Load Fund-a-Need error:', error);
+    }
+  }
+
+  renderFundANeed() {
+    const section = document.getElementById('fund-a-need-section');
+    const container = document.getElementById('fund-a-need-items');
+    if (!section || !container) {return;}
+    section.hidden = this.fundANeedItems.length === 0;
+    container.textContent = '';
+
+    const pledgeable = this.auction?.status === 'LIVE';
+    for (const item of this.fundANeedItems) {
+      const card = document.createElement('div');
+      card.className = 'fund-a-need-item';
+      card.dataset.itemId = item.itemId;
+
+      const title = document.createElement('h3');
+      title.textContent = item.title;
+      card.appendChild(title);
+      if (item.description) {
+        const desc = document.createElement('p');
+        desc.textContent = item.description;
+        card.appendChild(desc);
+      }
+
+      const total = document.createElement('p');
+      total.className = 'fund-a-need-total';
+      total.textContent = `${UIComponents.formatCurrency(item.totalPledged)} raised`
+        + (item.goalAmount ? ` of ${UIComponents.formatCurrency(item.goalAmount)}` : '')
+        + ` · ${item.pledgeCount} pledge${item.pledgeCount === 1 ? '' : 's'}`;
+      card.appendChild(total);
+
+      const levels = document.createElement('div');
+      levels.className = 'fan-levels';
+      for (const level of item.givingLevels) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-secondary';
+        btn.textContent = UIComponents.formatCurrency(level);
+        btn.disabled = !pledgeable || item.status !== 'OPEN';
+        btn.addEventListener('click', () => this.pledgeFundANeed(item, level));
+        levels.appendChild(btn);
+      }
+      card.appendChild(levels);
+      container.appendChild(card);
+    }
+  }
+
+  async pledgeFundANeed(item, amount) {
+    const ok = await UIComponents.showConfirmation(
+      `Pledge ${UIComponents.formatCurrency(amount)} to "${item.title}"?`, 'Fund-a-Need'
+    );
+    if (!ok) {return;}
+    try {
+      const response = await fetch(`/api/auctions/${this.auctionId}/fund-a-need/${item.itemId}/pledges`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        },
+        body: JSON.stringify({ amount })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        UIComponents.showAlert(data.message || 'Pledge failed', 'error');
+        return;
+      }
+      this.handleFundANeedUpdate(data.totals);
+      UIComponents.showAlert('Thank you! Your pledge is waiting in your dashboard to pay.', 'success');
+    } catch (error) {
+      console.error('Fund-a-Need pledge error:', error);
+      UIComponents.showAlert('Pledge failed', 'error');
+    }
+  }
+
+  /**
+     * Live running total from another pledger (or our own)
+     */
+  handleFundANeedUpdate(totals) {
+    const item = (this.fundANeedItems || []).find(i => i.itemId === totals.itemId);
+    if (!item) {return;}
+    item.pledgeCount = totals.pledgeCount;
+    item.totalPledged = totals.totalPledged;
+    this.renderFundANeed();
+  }
+
   /**
      * Handle new bid notification
      */
@@ -919,8 +1449,8 @@ class AuctionDetail {
 
     this.displayBidHistory();
 
-    // Check if current user was outbid
-    if (data.outbidCurrentUser) {
+    // Check if current user was outbid (a bid a proxy absorbed leaves the lead alone)
+    if (data.outbidCurrentUser && data.leaderChanged !== false) {
       UIComponents.createToast({
         message: 'You have been outbid!',
         type: 'warning',
@@ -958,6 +1488,41 @@ class AuctionDetail {
     });
   }
 
+  /**
+     * Handle a soft-close extension: a late bid pushed the close out, either
+     * for the whole auction or for a single piece.
+     */
+  handleAuctionExtended(details) {
+    if (details.artworkId) {
+      const piece = (this.artworks || []).find(p => p.id === details.artworkId);
+      if (piece) {piece.closesAt = details.endTime;}
+    }
+    if (details.auctionEndTime && this.auction) {
+      this.auction.endTime = details.auctionEndTime;
+    }
+    if (this.auction) {
+      clearInterval(this.countdownInterval);
+      this.startCountdown();
+    }
+    if (!details.artworkId || details.artworkId === this.currentPiece?.id) {
+      UIComponents.createToast({
+        message: 'A late bid extended the bidding time',
+        type: 'info'
+      });
+    }
+  }
+
+  /**
+     * Handle a staggered lot closing while the rest of the auction runs on
+     */
+  handleLotClosed(details) {
+    const piece = (this.artworks || []).find(p => p.id === details.artworkId);
+    if (piece) {piece.closesAt = piece.closesAt || new Date().toISOString();}
+    if (details.artworkId && details.artworkId === this.currentPiece?.id && !this.currentPiece.sold) {
+      this.disableBidding(details.buyNow ? 'This piece was bought with Buy-It-Now' : 'Bidding on this piece has closed');
+    }
+  }
+
   /**
      * Handle auction ended notification
      */
@@ -1018,6 +1583,8 @@ class AuctionDetail {
     } else if (!this.isVisitor && this.focusArtworkId) {
       document.getElementById('bidding-form-container')
         ?.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+      // Arrived by QR code: register the scan so bids can be queued if the Wi-Fi drops
+      globalThis.OfflineBidQueue?.registerScan(this.auctionId, target.id);
     }
   }
 
@@ -0,0 +1,174 @@
+/**
+ * Guest-list management for an invite-only auction.
+ *   /auction-invites.html?id=<auctionId>
+ * Organizers paste guest emails (each gets an invitation email) and mint
+ * shareable invite codes that bidders redeem at /invite.html?code=<code>.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  UIComponents.initializeNavbar();
+
+  const auctionId = new URLSearchParams(globalThis.location.search).get('id');
+  if (!auctionId) {
+    globalThis.location.assign('/teacher-dashboard.html');
+    return;
+  }
+
+  if (!window.authManager || !window.authManager.isAuthenticated()) {
+    const returnTo = encodeURIComponent(globalThis.location.pathname + globalThis.location.search);
+    globalThis.location.assign(`/login.html?returnTo=${returnTo}`);
+    return;
+  }
+  const user = window.authManager.getUser?.() ?? null;
+  if (!user || !['TEACHER', 'SCHOOL_ADMIN', 'SITE_ADMIN'].includes(user.role)) {
+    globalThis.location.assign('/auctions.html');
+    return;
+  }
+
+  const base = '/api/auctions/' + encodeURIComponent(auctionId);
+  const emailsInput = document.getElementById('invites-emails');
+  const guestsBtn = document.getElementById('invites-guests-btn');
+  const guestsStatus = document.getElementById('invites-guests-status');
+  const guestList = document.getElementById('invites-guest-list');
+  const maxUsesInput = document.getElementById('invites-max-uses');
+  const expiresInput = document.getElementById('invites-expires');
+  const codeBtn = document.getElementById('invites-code-btn');
+  const codeStatus = document.getElementById('invites-code-status');
+  const codeList = document.getElementById('invites-code-list');
+
+  function cell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+  }
+
+  function actionCell(label, onClick) {
+    const td = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-secondary btn-sm';
+    btn.textContent = label;
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      await onClick();
+      btn.disabled = false;
+    });
+    td.appendChild(btn);
+    return td;
+  }
+
+  function codeIsLive(c) {
+    if (c.revoked_at) { return false; }
+    if (c.expires_at && new Date(c.expires_at) <= new Date()) { return false; }
+    return c.max_uses === null || c.use_count < c.max_uses;
+  }
+
+  function renderGuests(invitations) {
+    guestList.textContent = '';
+    for (const inv of invitations) {
+      const row = document.createElement('tr');
+      row.append(
+        cell(inv.email),
+        cell(inv.source === 'INVITE_CODE' ? 'Code ' + (inv.invite_code || '') : 'Guest list'),
+        cell(inv.user_id ? 'Joined' : 'Invited'),
+        actionCell('Remove', async () => {
+          try {
+            await window.apiClient.delete(base + '/invitations/' + encodeURIComponent(inv.id));
+            await load();
+          } catch (err) {
+            guestsStatus.textContent = err.message || 'Could not remove guest.';
+          }
+        })
+      );
+      guestList.appendChild(row);
+    }
+  }
+
+  function renderCodes(codes) {
+    codeList.textContent = '';
+    for (const c of codes) {
+      const row = document.createElement('tr');
+      const link = globalThis.location.origin + '/invite.html?code=' + encodeURIComponent(c.code);
+      const codeTd = document.createElement('td');
+      const anchor = document.createElement('a');
+      anchor.href = link;
+      anchor.textContent = c.code;
+      codeTd.appendChild(anchor);
+      row.append(
+        codeTd,
+        cell(c.use_count + (c.max_uses ? ' / ' + c.max_uses : '')),
+        cell(c.expires_at ? new Date(c.expires_at).toLocaleString() : 'Never'),
+        codeIsLive(c)
+          ? actionCell('Revoke', async () => {
+            try {
+              await window.apiClient.delete(base + '/invite-codes/' + encodeURIComponent(c.id));
+              await load();
+            } catch (err) {
+              codeStatus.textContent = err.message || 'Could not revoke code.';
+            }
+          })
+          : cell(c.revoked_at ? 'Revoked' : 'Closed')
+      );
+      codeList.appendChild(row);
+    }
+  }
+
+  async function load() {
+    try {
+      const data = await window.apiClient.get(base + '/invitations');
+      renderGuests(data.invitations || []);
+      renderCodes(data.codes || []);
+    } catch (err) {
+      guestsStatus.textContent = err.message || 'Could not load invitations.';
+    }
+  }
+
+  try {
+    const auctionData = await window.apiClient.get(base);
+    document.getElementById('invites-auction-title').textContent = auctionData.auction?.title || '';
+  } catch (err) {
+    guestsStatus.textContent = err.message || 'Could not load auction.';
+  }
+  await load();
+
+  document.getElementById('invites-guests-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    guestsBtn.disabled = true;
+    guestsStatus.textContent = '';
+    try {
+      const result = await window.apiClient.post(base + '/invitations', { emails: emailsInput.value });
+      const parts = [`${result.added.length} invited`];
+      if (result.alreadyInvited.length) { parts.push(`${result.alreadyInvited.length} already on the list`); }
+      if (result.invalid.length) { parts.push(`skipped: ${result.invalid.join(', ')}`); }
+      guestsStatus.textContent = parts.join('; ') + '.';
+      emailsInput.value = '';
+      await load();
+    } catch (err) {
+      guestsStatus.textContent = err.message === 'NO_VALID_EMAILS'
+        ? 'No valid email addresses found.'
+        : (err.message || 'Could not invite guests.');
+    } finally {
+      guestsBtn.disabled = false;
+    }
+  });
+
+  document.getElementById('invites-code-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    codeBtn.disabled = true;
+    codeStatus.textContent = '';
+    const body = {};
+    if (maxUsesInput.value) { body.maxUses = Number(maxUsesInput.value); }
+    if (expiresInput.value) { body.expiresAt = new Date(expiresInput.value).toISOString(); }
+    try {
+      const result = await window.apiClient.post(base + '/invite-codes', body);
+      codeStatus.textContent = 'Created code ' + result.code.code + '.';
+      maxUsesInput.value = '';
+      expiresInput.value = '';
+      await load();
+    } catch (err) {
+      codeStatus.textContent = err.message || 'Could not create code.';
+    } finally {
+      codeBtn.disabled = false;
+    }
+  });
+});
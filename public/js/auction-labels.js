@@ -14,6 +14,7 @@ class AuctionLabels {
       return;
     }
     if (!this.checkAuth()) { return; }
+    this.setPdfLinks();
     await this.loadData();
     this.renderLabels();
     this.generateQRCodes();
@@ -34,6 +35,15 @@ class AuctionLabels {
     return true;
   }
 
+  /** Server-rendered catalog and paper bid sheets (download links) */
+  setPdfLinks() {
+    const base = `/api/auctions/${encodeURIComponent(this.auctionId)}`;
+    const catalog = document.getElementById('catalog-pdf-link');
+    if (catalog) { catalog.href = `${base}/catalog.pdf`; }
+    const sheets = document.getElementById('bid-sheets-pdf-link');
+    if (sheets) { sheets.href = `${base}/bid-sheets.pdf`; }
+  }
+
   async loadData() {
     const headers = {};
 
@@ -0,0 +1,207 @@
+/**
+ * Joint (multi-school) auctions.
+ *   /auction-partners.html?id=<auctionId>   schools in the auction, per-school proceeds;
+ *                                           the host school invites and removes partners
+ *   /auction-partners.html                  invitations waiting on the user's school
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  UIComponents.initializeNavbar();
+
+  if (!window.authManager || !window.authManager.isAuthenticated()) {
+    const returnTo = encodeURIComponent(globalThis.location.pathname + globalThis.location.search);
+    globalThis.location.assign(`/login.html?returnTo=${returnTo}`);
+    return;
+  }
+  const user = window.authManager.getUser?.() ?? null;
+  if (!user || !['SCHOOL_ADMIN', 'SITE_ADMIN'].includes(user.role)) {
+    globalThis.location.assign('/auctions.html');
+    return;
+  }
+
+  const auctionId = new URLSearchParams(globalThis.location.search).get('id');
+  const money = (n) => (n === null || n === undefined ? '—' : '$' + Number(n).toFixed(2));
+
+  function cell(text) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    return td;
+  }
+
+  function actionCell(label, onClick, className = 'btn btn-secondary btn-sm') {
+    const td = document.createElement('td');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = className;
+    btn.textContent = label;
+    btn.addEventListener('click', async () => {
+      btn.disabled = true;
+      await onClick();
+      btn.disabled = false;
+    });
+    td.appendChild(btn);
+    return td;
+  }
+
+  if (!auctionId) {
+    await showPendingInvitations();
+    return;
+  }
+
+  const base = '/api/auctions/' + encodeURIComponent(auctionId) + '/partners';
+  const statusEl = document.getElementById('partners-status');
+  const list = document.getElementById('partners-list');
+  const inviteForm = document.getElementById('partners-invite-form');
+  const searchInput = document.getElementById('partners-search');
+  const schoolSelect = document.getElementById('partners-school');
+  document.getElementById('partners-auction').style.display = '';
+
+  function render(data) {
+    document.getElementById('partners-auction-title').textContent = data.title || '';
+    const isHost = user.role === 'SITE_ADMIN' || user.schoolId === data.hostSchoolId;
+    inviteForm.style.display = isHost ? '' : 'none';
+    list.textContent = '';
+    for (const school of data.schools) {
+      const row = document.createElement('tr');
+      row.append(
+        cell(school.schoolName),
+        cell(school.role === 'HOST' ? 'Host' : 'Partner'),
+        cell(school.status),
+        cell(school.pieceCount ?? '—'),
+        cell(school.soldCount ?? '—'),
+        cell(money(school.proceeds)),
+        isHost && school.role === 'PARTNER'
+          ? actionCell('Remove', async () => {
+            try {
+              await window.apiClient.delete(base + '/' + encodeURIComponent(school.schoolId));
+              await load();
+            } catch (err) {
+              statusEl.textContent = err.message === 'PARTNER_HAS_ARTWORK'
+                ? school.schoolName + ' still has pieces in this auction.'
+                : (err.message || 'Could not remove school.');
+            }
+          })
+          : cell('')
+      );
+      list.appendChild(row);
+    }
+  }
+
+  async function load() {
+    try {
+      render(await window.apiClient.get(base));
+    } catch (err) {
+      statusEl.textContent = err.message || 'Could not load schools.';
+    }
+  }
+
+  let searchTimer = null;
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    const query = searchInput.value.trim();
+    if (query.length < 2) { return; }
+    searchTimer = setTimeout(async () => {
+      try {
+        const result = await window.apiClient.get('/api/schools/search/' + encodeURIComponent(query) + '?limit=20');
+        schoolSelect.textContent = '';
+        for (const school of result.data || []) {
+          const option = document.createElement('option');
+          option.value = school.id;
+          option.textContent = school.name + (school.city ? ' — ' + school.city + ', ' + school.state_province : '');
+          schoolSelect.appendChild(option);
+        }
+      } catch (err) {
+        statusEl.textContent = err.message || 'School search failed.';
+      }
+    }, 300);
+  });
+
+  inviteForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!schoolSelect.value) { return; }
+    const btn = document.getElementById('partners-invite-btn');
+    btn.disabled = true;
+    statusEl.textContent = '';
+    try {
+      await window.apiClient.post(base, { schoolId: schoolSelect.value });
+      statusEl.textContent = 'Invitation sent. The school\'s admins will be emailed.';
+      await load();
+    } catch (err) {
+      const messages = {
+        PARTNER_ALREADY_INVITED: 'That school has already been invited.',
+        INVALID_PARTNER_SCHOOL: 'The host school cannot be its own partner.',
+        SCHOOL_NOT_FOUND: 'That school does not have an active account.',
+        AUCTION_NOT_EDITABLE: 'Partners can only be changed before the auction starts.'
+      };
+      statusEl.textContent = messages[err.message] || err.message || 'Could not invite school.';
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  await load();
+
+  async function showPendingInvitations() {
+    const section = document.getElementById('partners-pending');
+    const pendingStatus = document.getElementById('partners-pending-status');
+    const pendingList = document.getElementById('partners-pending-list');
+    const gatewaySelect = document.getElementById('partners-gateway');
+    section.style.display = '';
+
+    if (user.schoolId) {
+      try {
+        const result = await window.apiClient.get('/api/admin/schools/' + encodeURIComponent(user.schoolId) + '/gateways');
+        for (const gateway of (result.gateways || []).filter(g => g.is_active)) {
+          const option = document.createElement('option');
+          option.value = gateway.id;
+          option.textContent = gateway.gateway_name || gateway.gateway_type;
+          gatewaySelect.appendChild(option);
+        }
+      } catch (err) {
+        console.warn('Could not load payment gateways:', err.message);
+      }
+    }
+
+    async function respond(invitation, accept) {
+      try {
+        await window.apiClient.post('/api/auctions/' + encodeURIComponent(invitation.auctionId) + '/partners/respond', {
+          accept,
+          paymentGatewayId: accept ? gatewaySelect.value || null : null
+        });
+        pendingStatus.textContent = accept
+          ? 'Joined ' + invitation.title + '. Your teachers can now submit artwork to it.'
+          : 'Declined ' + invitation.title + '.';
+        await loadPending();
+      } catch (err) {
+        pendingStatus.textContent = err.message === 'PARTNER_GATEWAY_REQUIRED'
+          ? 'Set up an active payment gateway for your school before joining.'
+          : (err.message || 'Could not respond to the invitation.');
+      }
+    }
+
+    async function loadPending() {
+      try {
+        const result = await window.apiClient.get('/api/auctions/partner-invitations');
+        pendingList.textContent = '';
+        if (!result.invitations.length) {
+          pendingStatus.textContent = pendingStatus.textContent || 'No invitations waiting.';
+        }
+        for (const invitation of result.invitations) {
+          const row = document.createElement('tr');
+          row.append(
+            cell(invitation.title),
+            cell(invitation.hostSchoolName),
+            cell(new Date(invitation.startsAt).toLocaleString()),
+            actionCell('Accept', () => respond(invitation, true), 'btn btn-primary btn-sm'),
+            actionCell('Decline', () => respond(invitation, false))
+          );
+          pendingList.appendChild(row);
+        }
+      } catch (err) {
+        pendingStatus.textContent = err.message || 'Could not load invitations.';
+      }
+    }
+
+    await loadPending();
+  }
+});
@@ -15,6 +15,10 @@ class AuctionsPage {
       sortBy: 'newest'
     };
     this.auctions = [];
+    // Artwork search across every open auction (the filter bar)
+    this.artworkSearch = { q: '', medium: '', grade: '', gradeBand: '', sizeClass: '', priceBand: '', tag: '' };
+    this.artworkOffset = 0;
+    this.artworkPageSize = 24;
     this.init();
   }
 
@@ -23,7 +27,9 @@ class AuctionsPage {
      */
   init() {
     this.attachEventListeners();
+    this.attachArtworkSearchListeners();
     this.loadAuctions();
+    this.searchArtwork();
   }
 
   /**
@@ -124,6 +130,194 @@ class AuctionsPage {
     });
   }
 
+  /**
+     * Attach filter bar listeners: search box, facet selects, filter chips
+     */
+  attachArtworkSearchListeners() {
+    const form = document.getElementById('artwork-search-form');
+    if (!form) {return;}
+
+    const debouncedSearch = UIComponents.debounce(() => this.searchArtwork(), 400);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.searchArtwork();
+    });
+    document.getElementById('bar-search')?.addEventListener('input', (e) => {
+      this.artworkSearch.q = e.target.value.trim();
+      debouncedSearch();
+    });
+    form.querySelectorAll('select[data-facet]').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.artworkSearch[e.target.dataset.facet] = e.target.value;
+        this.searchArtwork();
+      });
+    });
+
+    document.getElementById('active-filters')?.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-clear-facet]');
+      if (!chip) {return;}
+      const facet = chip.dataset.clearFacet;
+      this.artworkSearch[facet] = '';
+      if (facet === 'q') {
+        document.getElementById('bar-search').value = '';
+      }
+      this.searchArtwork();
+    });
+
+    document.getElementById('artwork-results-more')?.addEventListener('click', () => {
+      this.searchArtwork({ append: true });
+    });
+  }
+
+  /**
+     * Whether any search text or facet is set
+     */
+  hasArtworkSearch() {
+    return Object.values(this.artworkSearch).some(Boolean);
+  }
+
+  /**
+     * Search artwork and refresh the facet selects. Without an active search
+     * only the facets are refreshed and the auction list stays in view.
+     */
+  async searchArtwork({ append = false } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(this.artworkSearch)) {
+      if (value !== '') {params.set(key, value);}
+    }
+    this.artworkOffset = append ? this.artworkOffset + this.artworkPageSize : 0;
+    params.set('limit', this.artworkPageSize);
+    params.set('offset', this.artworkOffset);
+
+    try {
+      const token = localStorage.getItem('auth_token');
+      const fetchOptions = token ? { headers: { 'Authorization': `Bearer ${token}` } } : {};
+      const response = await fetch(`/api/auctions/artwork/search?${params}`, fetchOptions);
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Search failed');
+      }
+
+      this.renderArtworkFacets(data.facets);
+      this.renderActiveArtworkFilters();
+      this.renderArtworkResults(data, append);
+    } catch (error) {
+      console.error('Artwork search error:', error);
+      UIComponents.createToast({
+        message: 'Failed to search artwork',
+        type: 'error'
+      });
+    }
+  }
+
+  /**
+     * Fill each facet select with its values and counts, keeping the selection
+     */
+  renderArtworkFacets(facets) {
+    document.querySelectorAll('#artwork-search-form select[data-facet]').forEach(select => {
+      const facet = select.dataset.facet;
+      const values = facets[facet === 'tag' ? 'tags' : facet] || [];
+      const selected = this.artworkSearch[facet];
+      const placeholder = select.options[0];
+      select.replaceChildren(placeholder);
+      values.forEach(({ value, label, count }) => {
+        const option = document.createElement('option');
+        option.value = String(value);
+        option.textContent = `${label} (${count})`;
+        select.appendChild(option);
+      });
+      // A selection with no matches left still shows, so it can be cleared
+      if (selected && !values.some(v => String(v.value) === selected)) {
+        const option = document.createElement('option');
+        option.value = selected;
+        option.textContent = `${selected} (0)`;
+        select.appendChild(option);
+      }
+      select.value = selected;
+    });
+  }
+
+  /**
+     * One removable chip per active filter
+     */
+  renderActiveArtworkFilters() {
+    const container = document.getElementById('active-filters');
+    if (!container) {return;}
+    container.replaceChildren();
+    for (const [facet, value] of Object.entries(this.artworkSearch)) {
+      if (!value) {continue;}
+      const select = document.querySelector(`#artwork-search-form select[data-facet="${facet}"]`);
+      const label = select ? select.selectedOptions[0]?.textContent.replace(/ \(\d+\)$/, '') : `“${value}”`;
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.dataset.clearFacet = facet;
+      chip.setAttribute('aria-label', `Remove filter ${label}`);
+      chip.textContent = `${label} ×`;
+      container.appendChild(chip);
+    }
+  }
+
+  /**
+     * Show matching pieces in place of the auction list while searching
+     */
+  renderArtworkResults(data, append) {
+    const section = document.getElementById('artwork-results');
+    const grid = document.getElementById('artwork-results-grid');
+    if (!section || !grid) {return;}
+
+    const searching = this.hasArtworkSearch();
+    section.hidden = !searching;
+    document.querySelector('.auctions-main')?.classList.toggle('is-searching-artwork', searching);
+    if (!searching) {return;}
+
+    if (!append) {grid.replaceChildren();}
+    data.artwork.forEach(piece => grid.appendChild(this.createArtworkResultCard(piece)));
+
+    const count = document.getElementById('artwork-results-count');
+    if (count) {
+      count.textContent = data.total === 1 ? '1 piece matches' : `${data.total} pieces match`;
+    }
+    const more = document.getElementById('artwork-results-more');
+    if (more) {
+      more.hidden = this.artworkOffset + data.artwork.length >= data.total;
+    }
+  }
+
+  /**
+     * Create a search result card linking to the piece in its auction
+     */
+  createArtworkResultCard(piece) {
+    const card = document.createElement('div');
+    card.className = 'auction-card artwork-result-card';
+    card.setAttribute('role', 'listitem');
+    const imageSrc = /^https?:\/\/|^\//.test(piece.imageUrl || '') ? piece.imageUrl : '/images/placeholder-art.svg';
+    const href = `/auction-detail.html?id=${encodeURIComponent(piece.auctionId)}&artwork=${encodeURIComponent(piece.id)}`;
+    const timeRemaining = UIComponents.formatTimeRemaining(new Date(piece.closesAt) - Date.now());
+    const details = [piece.medium, piece.artistName].filter(Boolean).map(v => this.escapeHtml(v)).join(' · ');
+
+    card.innerHTML = `
+            <div class="auction-card-image">
+                <img src="${this.escapeHtml(imageSrc)}" alt="${this.escapeHtml(piece.title)}" loading="lazy">
+                ${piece.sold ? '<span class="status-badge status-ended">Sold</span>' : ''}
+            </div>
+            <div class="auction-card-body">
+                <h3 class="auction-title">${this.escapeHtml(piece.title)}</h3>
+                <p class="auction-school">${details}</p>
+                <p class="auction-school">${this.escapeHtml(piece.auctionTitle)}</p>
+                <div class="auction-stats">
+                    <span class="current-bid"><strong>${UIComponents.formatCurrency(piece.price)}</strong></span>
+                    <span class="bid-count">${piece.bidCount} bids</span>
+                </div>
+                <p class="time-remaining">${timeRemaining}</p>
+                <div class="auction-actions">
+                    <a href="${href}" class="btn btn-primary">View</a>
+                </div>
+            </div>
+        `;
+    return card;
+  }
+
   /**
      * Load auctions from API
      */
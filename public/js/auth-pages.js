@@ -172,6 +172,8 @@ class AuthPages {
     const inviteToken = urlParams.get('token');
     const inviteEmail = urlParams.get('email');
     const roleParam = (urlParams.get('role') || '').toUpperCase();
+    // Invite code for an invite-only auction (?invite=...) — invitees register as bidders
+    this.auctionInviteCode = urlParams.get('invite');
 
     if (inviteToken && inviteEmail) {
       this.isStudentInvite = true;
@@ -212,8 +214,8 @@ class AuthPages {
         this.showStep(form, this.currentStep);
         window.scrollTo(0, 0);
       });
-    } else if (roleParam === 'BIDDER') {
-      // Direct BIDDER link — apply bidder mode immediately, skip chooser
+    } else if (roleParam === 'BIDDER' || this.auctionInviteCode) {
+      // Direct BIDDER or auction invite link — apply bidder mode immediately, skip chooser
       this._applyBidderMode(form);
       const paymentFieldset = document.getElementById('step-payment-fieldset');
       if (paymentFieldset) {paymentFieldset.remove();}
@@ -539,6 +541,7 @@ class AuthPages {
       ...(accountType !== 'bidder' && { schoolId: this.formData.school_id }),
       accountType,
       ...(this.inviteToken && { registrationToken: this.inviteToken }),
+      ...(accountType === 'bidder' && this.auctionInviteCode && { inviteCode: this.auctionInviteCode }),
       ...(this.isStudentInvite && { canBid: !this.formData.skipPayment })
     };
 
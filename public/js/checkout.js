@@ -46,39 +46,64 @@
   }
 
   // ── Order summary ────────────────────────────────────────────────────────────
-  function renderOrderSummary(win) {
+  // One invoice per auction: every won piece with its platform fee, plus pledges
+  function renderInvoiceSummary(invoice) {
     const el = document.getElementById('order-summary');
     if (!el) { return; }
 
-    const platformFeeRate = 0.0365; // 3.65 % — matches backend default
-    const fee = win.winningBid * platformFeeRate;
-    const total = win.winningBid + fee;
+    const itemLines = invoice.items.map(item => `
+      <div class="order-line">
+        <span>${escapeHtml(item.title)}</span>
+        <span>${formatCurrency(item.hammerAmount)}</span>
+      </div>`).join('');
+    const pledgeLines = invoice.pledges.map(pledge => `
+      <div class="order-line">
+        <span>Fund-a-Need: ${escapeHtml(pledge.title)}</span>
+        <span>${formatCurrency(pledge.amount)}</span>
+      </div>`).join('');
 
     el.innerHTML = `
       <div class="order-line">
         <span>Auction</span>
-        <span>${escapeHtml(win.auctionTitle || '')}</span>
+        <span>${escapeHtml(invoice.auctionTitle || '')}</span>
       </div>
-      ${win.artworkTitle ? `<div class="order-line"><span>Artwork</span><span>${escapeHtml(win.artworkTitle)}</span></div>` : ''}
-      <div class="order-line">
-        <span>Winning bid</span>
-        <span>${formatCurrency(win.winningBid)}</span>
+      ${itemLines}
+      ${invoice.items.length ? `<div class="order-line"><span>Platform fees</span><span>${formatCurrency(invoice.platformFeeTotal)}</span></div>` : ''}
+      ${pledgeLines}
+      <div class="order-line order-total">
+        <span>Total due</span>
+        <span>${formatCurrency(invoice.totalAmount)}</span>
       </div>
+    `;
+
+    // Update pay button label with amount
+    const btn = document.getElementById('pay-btn');
+    if (btn) { btn.textContent = `Pay ${formatCurrency(invoice.totalAmount)}`; }
+
+    return invoice.totalAmount;
+  }
+
+  // A Fund-a-Need pledge is a donation: charged exactly as pledged, no fee
+  function renderPledgeSummary(pledge) {
+    const el = document.getElementById('order-summary');
+    if (!el) { return; }
+
+    el.innerHTML = `
       <div class="order-line">
-        <span>Platform fee (3.65%)</span>
-        <span>${formatCurrency(fee)}</span>
+        <span>Auction</span>
+        <span>${escapeHtml(pledge.auctionTitle || '')}</span>
       </div>
+      <div class="order-line"><span>Fund-a-Need</span><span>${escapeHtml(pledge.itemTitle || '')}</span></div>
       <div class="order-line order-total">
-        <span>Total due</span>
-        <span>${formatCurrency(total)}</span>
+        <span>Pledge</span>
+        <span>${formatCurrency(pledge.amount)}</span>
       </div>
     `;
 
-    // Update pay button label with amount
     const btn = document.getElementById('pay-btn');
-    if (btn) { btn.textContent = `Pay ${formatCurrency(total)}`; }
+    if (btn) { btn.textContent = `Pay ${formatCurrency(pledge.amount)}`; }
 
-    return total;
+    return pledge.amount;
   }
 
   // ── Pre-fill shipping address from profile ──────────────────────────────────
@@ -101,31 +126,47 @@
   document.addEventListener('DOMContentLoaded', async () => {
     if (!window.authManager || !window.authManager.isAuthenticated()) { return redirectToLogin(); }
 
-    // Parse auctionId from ?auctionId=<id>
+    // Parse ?auctionId=<id> (that auction's invoice) or ?pledgeId=<id> (one Fund-a-Need pledge)
     const params = new URLSearchParams(window.location.search);
-    const auctionId = params.get('auctionId');
-    if (!auctionId) {
+    const pledgeId = params.get('pledgeId');
+    let auctionId = params.get('auctionId');
+    if (!auctionId && !pledgeId) {
       showError('No auction specified. Please go back to your dashboard.');
       return;
     }
 
-    // ── 1. Fetch win details ──────────────────────────────────────────────────
-    let win;
+    // ── 1. Fetch invoice or pledge details ────────────────────────────────────
+    let invoice;
+    let pledge;
     try {
-      const res = await fetch(`/api/user/wins/${encodeURIComponent(auctionId)}`, {
+      const url = pledgeId
+        ? `/api/user/pledges/${encodeURIComponent(pledgeId)}`
+        : `/api/payments/invoices/${encodeURIComponent(auctionId)}`;
+      const res = await fetch(url, {
       });
       const data = await res.json();
       if (!res.ok || !data.success) {
-        showError(data.message || 'Could not load your win details. Please try again.');
+        showError(data.message || 'Could not load your order details. Please try again.');
         return;
       }
-      win = data.win;
+      invoice = data.invoice;
+      pledge = data.pledge;
     } catch (err) {
       showError('Network error loading order details. Please try again.');
       return;
     }
 
-    const totalAmount = renderOrderSummary(win);
+    if (pledge?.paid) {
+      showError('This pledge has already been paid. Thank you!');
+      return;
+    }
+    if (invoice && invoice.items.length === 0 && invoice.pledges.length === 0) {
+      showError('Everything from this auction is paid. Thank you!');
+      return;
+    }
+    if (pledge) { auctionId = pledge.auctionId; }
+
+    const totalAmount = pledge ? renderPledgeSummary(pledge) : renderInvoiceSummary(invoice);
     await prefillAddress();
 
     // ── 2. Init Stripe Elements ───────────────────────────────────────────────
@@ -202,9 +243,10 @@
         return;
       }
 
-      // POST to backend — token only, no raw card data
+      // POST to backend — token only, no raw card data. A win checkout pays
+      // the whole invoice in one charge; a pledge is paid on its own.
       try {
-        const res = await fetch('/api/payments', {
+        const res = await fetch(pledge ? '/api/payments' : `/api/payments/invoices/${encodeURIComponent(auctionId)}`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
@@ -213,7 +255,10 @@
             auctionId,
             amount: totalAmount,
             paymentToken: stripeToken.id,
-            description: `Payment for ${win.auctionTitle}`,
+            ...(pledge && {
+              pledgeId: pledge.pledgeId,
+              description: `Fund-a-Need pledge: ${pledge.itemTitle}`
+            }),
             shippingAddress: { line1, city, state, zip, country }
           })
         });
@@ -221,7 +266,8 @@
         const data = await res.json();
 
         if (res.ok && data.success) {
-          window.location.href = `/thank-you.html?transactionId=${encodeURIComponent(data.data?.transactionId || '')}`;
+          const transactionId = data.data?.transactionId || data.data?.transactionIds?.[0] || '';
+          window.location.href = `/thank-you.html?transactionId=${encodeURIComponent(transactionId)}`;
           return;
         }
 
@@ -0,0 +1,265 @@
+/**
+ * Clerk entry page for gallery nights: volunteers key in paper bid-sheet bids
+ * by paddle number, record Fund-a-Need paddle raises and hand out paddles to
+ * walk-ins.
+ *   /clerk-entry.html?id=<auctionId>
+ * Bids go through the same validation as online bids; the server tags each
+ * one with the clerk who entered it.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  UIComponents.initializeNavbar();
+
+  const auctionId = new URLSearchParams(globalThis.location.search).get('id');
+  if (!auctionId) {
+    globalThis.location.assign('/teacher-dashboard.html');
+    return;
+  }
+
+  if (!window.authManager || !window.authManager.isAuthenticated()) {
+    const returnTo = encodeURIComponent(globalThis.location.pathname + globalThis.location.search);
+    globalThis.location.assign(`/login.html?returnTo=${returnTo}`);
+    return;
+  }
+  const user = window.authManager.getUser?.() ?? null;
+  if (!user || !['TEACHER', 'SCHOOL_ADMIN', 'SITE_ADMIN'].includes(user.role)) {
+    globalThis.location.assign('/auctions.html');
+    return;
+  }
+
+  const base = '/api/auctions/' + encodeURIComponent(auctionId);
+  const paddleInput = document.getElementById('clerk-paddle');
+  const paddleName = document.getElementById('clerk-paddle-name');
+  const artworkSelect = document.getElementById('clerk-artwork');
+  const amountInput = document.getElementById('clerk-amount');
+  const bidBtn = document.getElementById('clerk-bid-btn');
+  const bidStatus = document.getElementById('clerk-bid-status');
+  const walkinBtn = document.getElementById('walkin-btn');
+  const walkinStatus = document.getElementById('walkin-status');
+  const paddleList = document.getElementById('clerk-paddle-list');
+  const fanItemSelect = document.getElementById('fan-item');
+  const fanPaddleInput = document.getElementById('fan-paddle');
+  const fanPaddleName = document.getElementById('fan-paddle-name');
+  const fanLevels = document.getElementById('fan-levels');
+  const fanStatus = document.getElementById('fan-status');
+
+  const paddles = new Map();
+  let fanItems = [];
+
+  function fullName(p) {
+    return [p.firstName, p.lastName].filter(Boolean).join(' ');
+  }
+
+  async function loadPaddles() {
+    try {
+      const data = await window.apiClient.get(base + '/paddles');
+      paddles.clear();
+      paddleList.textContent = '';
+      for (const p of data.paddles) {
+        paddles.set(p.paddleNumber, p);
+        const row = document.createElement('tr');
+        const num = document.createElement('td');
+        num.textContent = '#' + p.paddleNumber;
+        const name = document.createElement('td');
+        name.textContent = fullName(p);
+        const tag = document.createElement('td');
+        tag.textContent = p.guest ? 'Guest' : '';
+        row.append(num, name, tag);
+        paddleList.appendChild(row);
+      }
+    } catch (err) {
+      bidStatus.textContent = err.message || 'Could not load paddles.';
+    }
+  }
+
+  try {
+    const [auctionData, artworkData] = await Promise.all([
+      window.apiClient.get(base),
+      window.apiClient.get(base + '/artwork')
+    ]);
+    document.getElementById('clerk-auction-title').textContent = auctionData.auction?.title || '';
+    for (const piece of artworkData.artwork || []) {
+      if (piece.sold) { continue; }
+      const opt = document.createElement('option');
+      opt.value = piece.id;
+      opt.textContent = piece.title + (piece.currentBid ? ` (current $${Number(piece.currentBid).toFixed(2)})` : '');
+      artworkSelect.appendChild(opt);
+    }
+  } catch (err) {
+    bidStatus.textContent = err.message || 'Could not load this auction.';
+    return;
+  }
+  await loadPaddles();
+
+  // Echo the bidder's name as the paddle is typed so a misread number is caught before submitting
+  function echoPaddle(input, output) {
+    const p = paddles.get(parseInt(input.value, 10));
+    output.textContent = p ? fullName(p) : (input.value ? 'No bidder holds this paddle' : '');
+  }
+  paddleInput.addEventListener('input', () => echoPaddle(paddleInput, paddleName));
+  fanPaddleInput.addEventListener('input', () => echoPaddle(fanPaddleInput, fanPaddleName));
+
+  // ── Fund-a-Need ──────────────────────────────────────────────────────────
+
+  function renderFanLevels() {
+    const item = fanItems.find(i => i.itemId === fanItemSelect.value);
+    fanLevels.textContent = '';
+    document.getElementById('fan-projector-link').href = '/fund-a-need.html?id=' + encodeURIComponent(auctionId)
+      + (item ? '&item=' + encodeURIComponent(item.itemId) : '');
+    if (!item) {
+      fanStatus.textContent = fanItems.length ? '' : 'No Fund-a-Need items yet.';
+      return;
+    }
+    fanStatus.textContent = `${UIComponents.formatCurrency(item.totalPledged)} from ${item.pledgeCount} pledge${item.pledgeCount === 1 ? '' : 's'}`
+      + (item.status === 'CLOSED' ? ' — closed' : '');
+    for (const level of item.givingLevels) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-primary';
+      btn.textContent = UIComponents.formatCurrency(level);
+      btn.disabled = item.status !== 'OPEN';
+      btn.addEventListener('click', () => recordPledge(item, level, btn));
+      fanLevels.appendChild(btn);
+    }
+  }
+
+  async function loadFanItems() {
+    try {
+      const data = await window.apiClient.get(base + '/fund-a-need');
+      fanItems = data.items || [];
+      const selected = fanItemSelect.value;
+      fanItemSelect.textContent = '';
+      for (const item of fanItems) {
+        const opt = document.createElement('option');
+        opt.value = item.itemId;
+        opt.textContent = item.title + (item.status === 'CLOSED' ? ' (closed)' : '');
+        fanItemSelect.appendChild(opt);
+      }
+      if (fanItems.some(i => i.itemId === selected)) {
+        fanItemSelect.value = selected;
+      }
+      renderFanLevels();
+    } catch (err) {
+      fanStatus.textContent = err.message || 'Could not load Fund-a-Need items.';
+    }
+  }
+
+  async function recordPledge(item, amount, btn) {
+    const paddleNumber = parseInt(fanPaddleInput.value, 10);
+    if (!paddleNumber) {
+      fanStatus.textContent = 'Enter the paddle number first.';
+      fanPaddleInput.focus();
+      return;
+    }
+    btn.disabled = true;
+    try {
+      const result = await window.apiClient.post(`${base}/fund-a-need/${encodeURIComponent(item.itemId)}/clerk-pledges`, {
+        paddleNumber,
+        amount
+      });
+      Object.assign(item, result.totals);
+      renderFanLevels();
+      fanStatus.textContent = `Paddle #${result.paddleNumber} (${result.bidderName}) — ${UIComponents.formatCurrency(amount)}. `
+        + fanStatus.textContent;
+      fanPaddleInput.value = '';
+      fanPaddleName.textContent = '';
+      fanPaddleInput.focus();
+    } catch (err) {
+      fanStatus.textContent = err.message || 'Could not record the pledge.';
+      btn.disabled = false;
+    }
+  }
+
+  fanItemSelect.addEventListener('change', renderFanLevels);
+  document.getElementById('clerk-fan-form').addEventListener('submit', e => e.preventDefault());
+
+  // Only admins set items up; clerks just record pledges
+  if (['SCHOOL_ADMIN', 'SITE_ADMIN'].includes(user.role)) {
+    document.getElementById('fan-create').hidden = false;
+    document.getElementById('fan-create-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const createBtn = document.getElementById('fan-create-btn');
+      const givingLevels = document.getElementById('fan-levels-input').value
+        .split(',').map(v => parseFloat(v.replace(/[$\s]/g, ''))).filter(v => !Number.isNaN(v));
+      createBtn.disabled = true;
+      try {
+        const data = await window.apiClient.post(base + '/fund-a-need', {
+          title: document.getElementById('fan-title').value.trim(),
+          description: document.getElementById('fan-description').value.trim(),
+          givingLevels,
+          goalAmount: document.getElementById('fan-goal').value
+        });
+        e.target.reset();
+        fanItemSelect.value = '';
+        await loadFanItems();
+        fanItemSelect.value = data.item.itemId;
+        renderFanLevels();
+      } catch (err) {
+        fanStatus.textContent = err.message || 'Could not add the item.';
+      } finally {
+        createBtn.disabled = false;
+      }
+    });
+  }
+  await loadFanItems();
+
+  document.getElementById('clerk-bid-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const paddleNumber = parseInt(paddleInput.value, 10);
+    const bidAmount = parseFloat(amountInput.value);
+    if (!paddleNumber || !artworkSelect.value || Number.isNaN(bidAmount) || bidAmount <= 0) {
+      bidStatus.textContent = 'Enter a paddle number, artwork and amount.';
+      return;
+    }
+
+    bidBtn.disabled = true;
+    bidStatus.textContent = 'Recording…';
+    try {
+      const result = await window.apiClient.post(base + '/clerk-bids', {
+        paddleNumber,
+        artworkId: artworkSelect.value,
+        bidAmount
+      });
+      const title = artworkSelect.options[artworkSelect.selectedIndex].textContent;
+      bidStatus.textContent = `Paddle #${result.paddleNumber} (${result.bidderName}) — ${title}: ${result.message}`;
+      paddleInput.value = '';
+      amountInput.value = '';
+      paddleName.textContent = '';
+      paddleInput.focus();
+    } catch (err) {
+      bidStatus.textContent = err.message || 'Could not record the bid.';
+    } finally {
+      bidBtn.disabled = false;
+    }
+  });
+
+  document.getElementById('clerk-walkin-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const firstName = document.getElementById('walkin-first').value.trim();
+    const email = document.getElementById('walkin-email').value.trim();
+    if (!firstName && !email) {
+      walkinStatus.textContent = 'Enter at least a first name.';
+      return;
+    }
+
+    walkinBtn.disabled = true;
+    walkinStatus.textContent = 'Assigning…';
+    try {
+      const data = await window.apiClient.post(base + '/paddles', {
+        firstName,
+        lastName: document.getElementById('walkin-last').value.trim(),
+        email,
+        phoneNumber: document.getElementById('walkin-phone').value.trim()
+      });
+      walkinStatus.textContent = data.paddle.created
+        ? `Paddle #${data.paddle.paddleNumber} assigned${data.paddle.guest ? ' (guest)' : ''}.`
+        : `Already registered as paddle #${data.paddle.paddleNumber}.`;
+      e.target.reset();
+      await loadPaddles();
+    } catch (err) {
+      walkinStatus.textContent = err.message || 'Could not assign a paddle.';
+    } finally {
+      walkinBtn.disabled = false;
+    }
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Fund-a-Need projector screen for the paddle raise at a gallery night.
+ *   /fund-a-need.html?id=<auctionId>&item=<itemId>
+ * Shows the item's running total, progress to the goal and the latest
+ * paddles, updated live from fund_a_need_update WebSocket events. Without
+ * ?item= the auction's first open item is shown.
+ */
+
+'use strict';
+
+const RECENT_PLEDGES = 8;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const params = new URLSearchParams(globalThis.location.search);
+  const auctionId = params.get('id');
+  if (!auctionId) {
+    globalThis.location.assign('/auctions.html');
+    return;
+  }
+  if (!window.authManager || !window.authManager.isAuthenticated()) {
+    const returnTo = encodeURIComponent(globalThis.location.pathname + globalThis.location.search);
+    globalThis.location.assign(`/login.html?returnTo=${returnTo}`);
+    return;
+  }
+
+  const base = '/api/auctions/' + encodeURIComponent(auctionId);
+  const totalEl = document.getElementById('fan-total');
+  const countEl = document.getElementById('fan-count');
+  const recentEl = document.getElementById('fan-recent');
+  let item = null;
+
+  function render() {
+    document.getElementById('fan-item-title').textContent = item.title;
+    totalEl.textContent = UIComponents.formatCurrency(item.totalPledged);
+    countEl.textContent = `${item.pledgeCount} pledge${item.pledgeCount === 1 ? '' : 's'}`;
+    const goal = document.getElementById('fan-goal');
+    goal.hidden = !item.goalAmount;
+    if (item.goalAmount) {
+      const percent = Math.min(100, Math.round((item.totalPledged / item.goalAmount) * 100));
+      document.getElementById('fan-goal-fill').style.width = percent + '%';
+      document.getElementById('fan-goal-bar').setAttribute('aria-valuenow', String(percent));
+      document.getElementById('fan-goal-label').textContent =
+        `${percent}% of our ${UIComponents.formatCurrency(item.goalAmount)} goal`;
+    }
+  }
+
+  function addRecent(lastPledge) {
+    const li = document.createElement('li');
+    li.textContent = (lastPledge.paddleNumber ? `Paddle #${lastPledge.paddleNumber}` : 'Online pledge')
+      + ' — ' + UIComponents.formatCurrency(lastPledge.amount);
+    recentEl.prepend(li);
+    while (recentEl.children.length > RECENT_PLEDGES) {
+      recentEl.lastElementChild.remove();
+    }
+  }
+
+  try {
+    const [auctionData, itemData] = await Promise.all([
+      window.apiClient.get(base),
+      window.apiClient.get(base + '/fund-a-need')
+    ]);
+    document.getElementById('fan-auction-title').textContent = auctionData.auction?.title || '';
+    const items = itemData.items || [];
+    item = items.find(i => i.itemId === params.get('item'))
+      || items.find(i => i.status === 'OPEN')
+      || items[0];
+  } catch (err) {
+    countEl.textContent = err.message || 'Could not load this auction.';
+    return;
+  }
+  if (!item) {
+    countEl.textContent = 'No Fund-a-Need items for this auction yet.';
+    return;
+  }
+  document.getElementById('fan-item-description').textContent = item.description || '';
+  render();
+
+  let reconnects = 0;
+  function connect() {
+    const protocol = globalThis.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const ws = new WebSocket(`${protocol}//${globalThis.location.host}/ws`);
+    ws.addEventListener('open', () => { reconnects = 0; });
+    ws.addEventListener('message', (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (data.type === 'authenticated') {
+        ws.send(JSON.stringify({ type: 'subscribe', auctionId }));
+      } else if (data.type === 'fund_a_need_update' && data.data?.itemId === item.itemId) {
+        Object.assign(item, data.data);
+        render();
+        if (data.data.lastPledge) {
+          addRecent(data.data.lastPledge);
+        }
+      }
+    });
+    // The projector runs all evening, so keep retrying with a gentle backoff
+    ws.addEventListener('close', () => {
+      reconnects += 1;
+      setTimeout(connect, Math.min(30000, 2000 * reconnects));
+    });
+  }
+  connect();
+});
@@ -0,0 +1,113 @@
+/**
+ * Invite-only auction landing page. Two kinds of link arrive here:
+ *   /invite.html?code=<code>     shareable invite code — accept it to join the guest list
+ *   /invite.html?auction=<id>    guest-list email — sign in with the invited address
+ * With neither, the visitor can type a code in. Visitors without an account
+ * register as bidders straight from the invite.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  UIComponents.initializeNavbar();
+
+  const statusEl = document.getElementById('invite-status');
+  const detailsEl = document.getElementById('invite-details');
+  const codeForm = document.getElementById('invite-code-form');
+  const actionsEl = document.getElementById('invite-actions');
+  const loginEl = document.getElementById('invite-login');
+  const successEl = document.getElementById('invite-success');
+
+  const params = new URLSearchParams(window.location.search);
+  const code = (params.get('code') || '').trim();
+  const auctionId = params.get('auction');
+  const user = window.authManager ? window.authManager.getUser() : null;
+  const returnTo = encodeURIComponent(window.location.pathname + window.location.search);
+
+  function showAuctionLink(id) {
+    document.getElementById('invite-auction-link').href = '/auction-detail.html?id=' + encodeURIComponent(id);
+    successEl.style.display = '';
+  }
+
+  function showLogin(registerHref) {
+    document.getElementById('invite-login-link').href = '/login.html?returnTo=' + returnTo;
+    document.getElementById('invite-register-link').href = registerHref;
+    loginEl.style.display = '';
+  }
+
+  // Guest-list invitation: the invited email address is the key
+  if (auctionId) {
+    if (!user) {
+      statusEl.textContent = 'You have been invited to a private auction. Log in — or create a bidder account — with the email address the invitation was sent to.';
+      showLogin('/register.html?role=BIDDER');
+      return;
+    }
+    try {
+      const data = await window.apiClient.get('/api/auctions/' + encodeURIComponent(auctionId));
+      statusEl.textContent = 'You\'re on the guest list for ' + data.auction.title + '.';
+      showAuctionLink(auctionId);
+    } catch (err) {
+      // Someone not on the guest list gets the same "not found" as for a missing auction
+      statusEl.textContent = err.message === 'Auction not found'
+        ? 'This invitation was sent to a different email address. Log in with the address the invitation went to.'
+        : 'Could not open the auction. Please try again.';
+    }
+    return;
+  }
+
+  if (!code) {
+    statusEl.textContent = 'Enter the invite code you were given.';
+    codeForm.style.display = '';
+    codeForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const entered = document.getElementById('invite-code-input').value.trim();
+      if (entered) {
+        window.location.search = '?code=' + encodeURIComponent(entered);
+      }
+    });
+    return;
+  }
+
+  let invite;
+  try {
+    const data = await window.apiClient.get('/api/auctions/invites/' + encodeURIComponent(code));
+    invite = data.invite;
+  } catch (err) {
+    statusEl.textContent = err.message === 'INVITE_CODE_USED_UP'
+      ? 'This invite code has already been used the maximum number of times. Ask the organizers for a new one.'
+      : 'This invite code is not valid. Check it with the organizers.';
+    return;
+  }
+
+  document.getElementById('invite-auction').textContent = invite.title;
+  document.getElementById('invite-school').textContent = invite.schoolName || '—';
+  document.getElementById('invite-dates').textContent =
+    new Date(invite.startsAt).toLocaleString() + ' – ' + new Date(invite.endsAt).toLocaleString();
+  detailsEl.style.display = '';
+
+  if (!user) {
+    statusEl.textContent = 'You have been invited to a private auction. Log in, or create a free bidder account to accept.';
+    showLogin('/register.html?invite=' + encodeURIComponent(code));
+    return;
+  }
+
+  statusEl.textContent = 'You have been invited to a private auction.';
+  actionsEl.style.display = '';
+
+  const acceptBtn = document.getElementById('invite-accept-btn');
+  acceptBtn.addEventListener('click', async () => {
+    acceptBtn.disabled = true;
+    statusEl.textContent = 'Accepting…';
+    try {
+      const result = await window.apiClient.post('/api/auctions/invites/redeem', { code });
+      actionsEl.style.display = 'none';
+      statusEl.textContent = result.alreadyInvited
+        ? 'You\'re already on the guest list.'
+        : 'You\'re in! You can now view the auction and bid.';
+      showAuctionLink(result.auctionId);
+    } catch (err) {
+      acceptBtn.disabled = false;
+      statusEl.textContent = err.message === 'INVITE_CODE_USED_UP'
+        ? 'Sorry — this invite code has just been used up.'
+        : 'Could not accept the invitation. Please try again.';
+    }
+  });
+});
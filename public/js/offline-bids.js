@@ -0,0 +1,132 @@
+/**
+ * Offline Bid Queue
+ * Lets a bidder who reached an artwork through its QR code keep bidding when
+ * the venue Wi-Fi drops. Opening the page online registers the scan and
+ * stores a signing key for that artwork; bids made offline are signed with it
+ * (so the capture time can be trusted) and held in localStorage, then synced
+ * when the connection returns. The server replays them oldest-first and
+ * reports each outcome, which is shown as a toast.
+ */
+
+const OfflineBidQueue = {
+  KEYS_STORAGE: 'sag_offline_keys',
+  QUEUE_STORAGE: 'sag_offline_bids',
+
+  _read(name, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(name)) ?? fallback;
+    } catch {
+      return fallback;
+    }
+  },
+
+  _write(name, value) {
+    localStorage.setItem(name, JSON.stringify(value));
+  },
+
+  _userId() {
+    return window.authManager?.getUser?.()?.id ?? null;
+  },
+
+  /**
+   * Record an online QR scan and keep the signing key it issues.
+   * Silently does nothing when offline or when the server declines.
+   */
+  async registerScan(auctionId, artworkId) {
+    const userId = this._userId();
+    if (!userId || !navigator.onLine || !globalThis.crypto?.subtle) { return; }
+    try {
+      const data = await window.apiClient.post('/api/bidding/offline/scan', { auctionId, artworkId });
+      if (!data.data?.offlineEnabled) { return; }
+      const now = Date.now();
+      const keys = Object.fromEntries(
+        Object.entries(this._read(this.KEYS_STORAGE, {}))
+          .filter(([, k]) => Date.parse(k.expiresAt) > now)
+      );
+      keys[artworkId] = {
+        userId,
+        scanId: data.data.scanId,
+        key: data.data.offlineKey,
+        expiresAt: data.data.expiresAt
+      };
+      this._write(this.KEYS_STORAGE, keys);
+    } catch (err) {
+      console.warn('Offline bidding unavailable:', err.message);
+    }
+  },
+
+  /** Whether a bid on this artwork can be queued right now */
+  canQueue(artworkId) {
+    const k = this._read(this.KEYS_STORAGE, {})[artworkId];
+    return !!k && k.userId === this._userId() && Date.parse(k.expiresAt) > Date.now();
+  },
+
+  /**
+   * Sign and queue a bid made while offline.
+   * @returns {boolean} false if this artwork has no usable signing key
+   */
+  async enqueue(artworkId, amount) {
+    if (!this.canQueue(artworkId)) { return false; }
+    const k = this._read(this.KEYS_STORAGE, {})[artworkId];
+    const bid = {
+      userId: k.userId,
+      scanId: k.scanId,
+      artworkId,
+      amount: Math.round(amount * 100) / 100,
+      placedAt: new Date().toISOString(),
+      nonce: globalThis.crypto.randomUUID()
+    };
+    bid.signature = await this._sign(k.key, bid);
+    const queue = this._read(this.QUEUE_STORAGE, []);
+    queue.push(bid);
+    this._write(this.QUEUE_STORAGE, queue);
+    return true;
+  },
+
+  /** Queued bids belonging to the logged-in user */
+  pending() {
+    const userId = this._userId();
+    return this._read(this.QUEUE_STORAGE, []).filter(b => b.userId === userId);
+  },
+
+  /**
+   * Send the queue to the server. Bids the server answered (accepted,
+   * rejected or already synced) leave the queue; on a network failure
+   * everything stays for the next attempt.
+   * @returns {Array|null} per-bid outcomes, or null if nothing was sent
+   */
+  async sync() {
+    const mine = this.pending();
+    if (mine.length === 0 || !navigator.onLine || this._syncing) { return null; }
+    this._syncing = true;
+    try {
+      const data = await window.apiClient.post('/api/bidding/offline/sync', {
+        bids: mine.slice(0, 50).map(({ userId, ...bid }) => bid)
+      });
+      const answered = new Set(data.data.map(o => o.nonce));
+      this._write(this.QUEUE_STORAGE, this._read(this.QUEUE_STORAGE, []).filter(b => !answered.has(b.nonce)));
+      return data.data;
+    } catch (err) {
+      console.warn('Offline bid sync failed, will retry:', err.message);
+      return null;
+    } finally {
+      this._syncing = false;
+    }
+  },
+
+  /**
+   * HMAC-SHA256 over the same canonical string the server checks
+   * (see services/offlineBidService signingPayload).
+   */
+  async _sign(key, bid) {
+    const enc = new TextEncoder();
+    const cryptoKey = await globalThis.crypto.subtle.importKey(
+      'raw', enc.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const payload = `${bid.scanId}|${bid.artworkId}|${bid.amount.toFixed(2)}|${bid.placedAt}|${bid.nonce}`;
+    const sig = await globalThis.crypto.subtle.sign('HMAC', cryptoKey, enc.encode(payload));
+    return Array.from(new Uint8Array(sig), b => b.toString(16).padStart(2, '0')).join('');
+  }
+};
+
+globalThis.OfflineBidQueue = OfflineBidQueue;
@@ -0,0 +1,89 @@
+/**
+ * Second-chance offer page. Link arrives by email when a winner didn't pay:
+ *   /second-chance.html?offer=<id>&token=<raw>
+ * Must be logged in as the bidder the offer was made to. Accepting makes the
+ * piece a win (pay from the dashboard); declining passes it to the next bidder.
+ */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  UIComponents.initializeNavbar();
+
+  const statusEl = document.getElementById('offer-status');
+  const detailsEl = document.getElementById('offer-details');
+  const actionsEl = document.getElementById('offer-actions');
+  const successEl = document.getElementById('offer-success');
+  const loginEl = document.getElementById('offer-login');
+
+  const params = new URLSearchParams(window.location.search);
+  const offerId = params.get('offer');
+  const token = params.get('token');
+
+  if (!offerId || !token) {
+    statusEl.textContent = 'This offer link is invalid or incomplete. Please use the link from your email.';
+    return;
+  }
+
+  const user = window.authManager ? window.authManager.getUser() : null;
+  if (!user) {
+    statusEl.textContent = 'Please log in with the account you bid from, then open this offer link again from your email.';
+    loginEl.style.display = '';
+    return;
+  }
+
+  const base = '/api/bidding/second-chance/' + encodeURIComponent(offerId);
+
+  let offer;
+  try {
+    const data = await window.apiClient.get(base + '?token=' + encodeURIComponent(token));
+    offer = data.data;
+  } catch (err) {
+    statusEl.textContent = err.message || 'Could not load this offer.';
+    return;
+  }
+
+  document.getElementById('offer-artwork').textContent = offer.artworkTitle;
+  document.getElementById('offer-auction').textContent = offer.auctionTitle;
+  document.getElementById('offer-amount').textContent = '$' + offer.amount.toFixed(2);
+  document.getElementById('offer-expires').textContent = new Date(offer.expiresAt).toLocaleString();
+  detailsEl.style.display = '';
+
+  if (offer.status !== 'PENDING' || offer.expired) {
+    statusEl.textContent = offer.expired || offer.status === 'EXPIRED'
+      ? 'This offer has expired.'
+      : 'You have already answered this offer.';
+    return;
+  }
+
+  statusEl.textContent = 'The winning bidder didn\'t complete their purchase, so this piece is available to you at your bid.';
+  actionsEl.style.display = '';
+
+  const acceptBtn = document.getElementById('offer-accept-btn');
+  const declineBtn = document.getElementById('offer-decline-btn');
+
+  async function respond(action) {
+    acceptBtn.disabled = true;
+    declineBtn.disabled = true;
+    statusEl.textContent = action === 'accept' ? 'Accepting…' : 'Declining…';
+    try {
+      await window.apiClient.post(base + '/' + action, { token });
+      actionsEl.style.display = 'none';
+      if (action === 'accept') {
+        statusEl.textContent = 'It\'s yours! You can pay for it from your dashboard.';
+        successEl.style.display = '';
+      } else {
+        statusEl.textContent = 'Thanks for letting us know. The piece will be offered to the next bidder.';
+      }
+    } catch (err) {
+      acceptBtn.disabled = false;
+      declineBtn.disabled = false;
+      statusEl.textContent = err.message || 'Could not record your answer.';
+    }
+  }
+
+  acceptBtn.addEventListener('click', () => respond('accept'));
+  declineBtn.addEventListener('click', () => {
+    if (globalThis.confirm('Pass on this piece? It will be offered to the next bidder.')) {
+      respond('decline');
+    }
+  });
+});
@@ -153,6 +153,10 @@ class TeacherDashboard {
     if (createAuctionBtn2) {
       createAuctionBtn2.addEventListener('click', () => this.showAuctionModal());
     }
+    const fromTemplateBtn = document.getElementById('from-template-btn');
+    if (fromTemplateBtn) {
+      fromTemplateBtn.addEventListener('click', () => this.createFromTemplate());
+    }
 
     // Review submissions quick-action in hero
     const reviewSubmissionsBtn = document.getElementById('review-submissions-btn');
@@ -1015,6 +1019,15 @@ class TeacherDashboard {
       console.error('Error loading submissions:', error);
     }
 
+    try {
+      const reserveResponse = await this.apiClient.request('GET', '/api/teacher/reserve-decisions');
+      if (reserveResponse.success) {
+        this.displayReserveDecisions(reserveResponse.data || []);
+      }
+    } catch (error) {
+      console.error('Error loading reserve decisions:', error);
+    }
+
     try {
       // Load auctions
       const auctionsResponse = await this.apiClient.request('GET', '/api/teacher/auctions');
@@ -1081,6 +1094,7 @@ class TeacherDashboard {
                     <h4 style="margin:0;">${this.escapeHtml(s.title)}</h4>
                     <p style="margin:0;font-size:0.85rem;color:#666;">By ${this.escapeHtml(s.studentName)} &middot; ${this.escapeHtml(s.auctionTitle)}</p>
                     ${s.medium ? `<p style="margin:0;font-size:0.8rem;color:#888;">${this.escapeHtml(s.medium)}</p>` : ''}
+                    ${s.tags?.length ? `<p style="margin:0;font-size:0.8rem;color:#888;">Tags: ${this.escapeHtml(s.tags.join(', '))}</p>` : ''}
                     <p style="margin:0;font-size:0.85rem;">Starting bid: <strong>$${Number(s.startingBid).toFixed(2)}</strong></p>
                     <p class="status" style="margin:0.25rem 0;">
                         <span class="badge badge-${s.status.toLowerCase()}" style="font-size:0.78rem;">${statusLabel[s.status] || s.status}</span>
@@ -1161,6 +1175,18 @@ class TeacherDashboard {
       ? null : `$${Number(s.startingBid).toFixed(2)}`);
     set('modal-artwork-status',      s.status);
 
+    // Browsing tags
+    const tagsInput = document.getElementById('modal-artwork-tags');
+    const tagsForm = document.getElementById('modal-artwork-tags-form');
+    if (tagsInput && tagsForm) {
+      tagsInput.value = (s.tags || []).join(', ');
+      tagsForm.onsubmit = async (e) => {
+        e.preventDefault();
+        const tags = tagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
+        await this.saveSubmissionTags(s, tags);
+      };
+    }
+
     // QR code pointing to the auction detail page
     const qrContainer = document.getElementById('modal-artwork-qr');
     if (qrContainer) {
@@ -1217,6 +1243,23 @@ class TeacherDashboard {
     }
   }
 
+  async saveSubmissionTags(s, tags) {
+    try {
+      const response = await this.apiClient.request('PUT', `/api/teacher/submissions/${s.id}/tags`, { body: { tags } });
+      if (response.success) {
+        s.tags = response.tags;
+        this.uiComponents.createToast({ message: 'Tags saved.', type: 'success' });
+        const data = await this.apiClient.request('GET', '/api/teacher/submissions');
+        if (data.success) {this.displaySubmissions(data.data);}
+      } else {
+        this.uiComponents.showAlert(response.message || 'Could not save tags.', 'error');
+      }
+    } catch (err) {
+      console.error('Save tags error:', err);
+      this.uiComponents.showAlert(err.message || 'Could not save tags.', 'error');
+    }
+  }
+
   async rejectSubmission(id) {
     const reason = prompt('Optional: Enter a reason for rejection (shown to the student):') ?? '';
     try {
@@ -1233,6 +1276,65 @@ class TeacherDashboard {
     }
   }
 
+  /**
+     * Display lots that closed under their reserve and await a decision.
+     * @param {Array} lots - Array of lot objects from /api/teacher/reserve-decisions
+     */
+  displayReserveDecisions(lots) {
+    const section = document.getElementById('reserve-decisions');
+    const list = document.getElementById('reserve-decisions-list');
+    if (!section || !list) {return;}
+
+    section.style.display = lots.length > 0 ? '' : 'none';
+    list.innerHTML = lots.map(lot => `
+            <div class="card" style="margin-bottom:0.75rem;padding:1rem;display:flex;justify-content:space-between;align-items:center;flex-wrap:wrap;gap:0.5rem;">
+                <div>
+                    <h4 style="margin:0 0 0.25rem;">${this.escapeHtml(lot.title)}</h4>
+                    <p style="margin:0;font-size:0.85rem;color:#666;">${this.escapeHtml(lot.auctionTitle)}</p>
+                    <p style="margin:0;font-size:0.85rem;">
+                        Top bid: <strong>${lot.topBid == null ? 'none' : `$${Number(lot.topBid).toFixed(2)}`}</strong>
+                        ${lot.topBidderName ? `by ${this.escapeHtml(lot.topBidderName)}` : ''}
+                        &middot; Reserve: $${Number(lot.reservePrice).toFixed(2)}
+                    </p>
+                </div>
+                <div style="display:flex;gap:0.5rem;">
+                    ${lot.topBid == null ? '' : `<button class="btn btn-primary" style="font-size:0.85rem;" data-reserve-accept="${this.escapeHtml(lot.id)}">Accept Bid</button>`}
+                    <button class="btn btn-secondary" style="font-size:0.85rem;" data-reserve-release="${this.escapeHtml(lot.id)}">Release</button>
+                </div>
+            </div>`).join('');
+
+    list.querySelectorAll('[data-reserve-accept]').forEach(btn => {
+      btn.addEventListener('click', () => this.decideReserve(btn.dataset.reserveAccept, 'ACCEPT'));
+    });
+    list.querySelectorAll('[data-reserve-release]').forEach(btn => {
+      btn.addEventListener('click', () => this.decideReserve(btn.dataset.reserveRelease, 'RELEASE'));
+    });
+  }
+
+  /**
+     * Accept the top bid on, or release, a lot that missed its reserve.
+     * @param {string} id - Artwork ID
+     * @param {'ACCEPT'|'RELEASE'} decision
+     */
+  async decideReserve(id, decision) {
+    const question = decision === 'ACCEPT'
+      ? 'Sell this piece to the top bidder even though the reserve was not met?'
+      : 'Release this piece unsold? The top bidder will not be charged.';
+    if (!confirm(question)) {return;}
+    try {
+      const response = await this.apiClient.request('POST', `/api/teacher/reserve-decisions/${id}`, { body: { decision } });
+      if (response.success) {
+        this.uiComponents.createToast({ message: response.message || 'Decision saved.', type: 'success' });
+        const data = await this.apiClient.request('GET', '/api/teacher/reserve-decisions');
+        if (data.success) {this.displayReserveDecisions(data.data || []);}
+      } else {
+        this.uiComponents.showAlert(response.message || 'Could not save decision.', 'error');
+      }
+    } catch (err) {
+      console.error('Reserve decision error:', err);
+    }
+  }
+
   /**
      * Display teacher's auctions
      * @param {Array} auctions - Array of auction objects
@@ -1269,6 +1371,10 @@ class TeacherDashboard {
                     </div>
                     <div style="display:flex; gap:0.5rem; flex-shrink:0;">
                         ${isDraft ? `<button class="btn btn-sm btn-secondary edit-auction-btn" data-auction-id="${this.escapeHtml(auction.id)}">Edit</button>` : ''}
+                        ${status === 'LIVE' ? `<a href="/clerk-entry.html?id=${this.escapeHtml(auction.id)}" class="btn btn-sm btn-secondary">Clerk Entry</a>` : ''}
+                        ${auction.visibility === 'INVITED_ONLY' ? `<a href="/auction-invites.html?id=${this.escapeHtml(auction.id)}" class="btn btn-sm btn-secondary">Invites</a>` : ''}
+                        <button class="btn btn-sm btn-secondary clone-auction-btn" data-auction-id="${this.escapeHtml(auction.id)}" data-status="${this.escapeHtml(status)}">Clone</button>
+                        <button class="btn btn-sm btn-secondary save-template-btn" data-auction-id="${this.escapeHtml(auction.id)}" data-title="${this.escapeHtml(auction.title || '')}">Save as Template</button>
                         <a href="/auction-detail.html?id=${this.escapeHtml(auction.id)}" class="btn btn-sm btn-primary">View</a>
                     </div>
                 </div>
@@ -1279,6 +1385,89 @@ class TeacherDashboard {
     list.querySelectorAll('.edit-auction-btn').forEach(btn => {
       btn.addEventListener('click', () => this.showAuctionModal(btn.dataset.auctionId));
     });
+    list.querySelectorAll('.clone-auction-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.cloneAuction(btn.dataset.auctionId, btn.dataset.status));
+    });
+    list.querySelectorAll('.save-template-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.saveAuctionTemplate(btn.dataset.auctionId, btn.dataset.title));
+    });
+  }
+
+  /**
+     * Ask how many days to move the dates by. 364 keeps the weekday a year on.
+     * @returns {number|null} Whole days, or null if cancelled/invalid
+     */
+  _askDateOffset() {
+    const answer = prompt('Move the dates forward by how many days? (364 keeps the same weekday next year)', '364');
+    if (answer === null) {return null;}
+    const days = Number(answer.trim());
+    if (!Number.isInteger(days) || days < 0) {
+      this.showMessage('Enter a whole number of days.', 'error');
+      return null;
+    }
+    return days;
+  }
+
+  async _reloadAuctions() {
+    const auctionsRes = await this.apiClient.request('GET', '/api/teacher/auctions');
+    if (auctionsRes.success) {this.displayAuctions(auctionsRes.data);}
+  }
+
+  /**
+     * New draft with this auction's settings; an ended auction can bring its unsold pieces along.
+     */
+  async cloneAuction(auctionId, status) {
+    const offsetDays = this._askDateOffset();
+    if (offsetDays === null) {return;}
+    const carryOverUnsold = status === 'ENDED'
+      && confirm('Carry the pieces that went unsold over into the new auction?');
+    try {
+      const result = await this.apiClient.request('POST', `/api/auctions/${auctionId}/clone`, {
+        body: { offsetDays, carryOverUnsold }
+      });
+      this.showMessage(carryOverUnsold
+        ? `Draft auction created with ${result.carriedOverCount} unsold piece(s) carried over.`
+        : 'Draft auction created.', 'success');
+      await this._reloadAuctions();
+    } catch (err) {
+      this.showMessage(err.message || 'Could not clone auction.', 'error');
+    }
+  }
+
+  async saveAuctionTemplate(auctionId, title) {
+    const name = prompt('Template name:', title || '');
+    if (!name?.trim()) {return;}
+    try {
+      await this.apiClient.request('POST', `/api/auctions/${auctionId}/template`, { body: { name: name.trim() } });
+      this.showMessage(`Saved as template "${name.trim()}". Saving again under the same name replaces it.`, 'success');
+    } catch (err) {
+      this.showMessage(err.message || 'Could not save template.', 'error');
+    }
+  }
+
+  async createFromTemplate() {
+    try {
+      const { templates = [] } = await this.apiClient.request('GET', '/api/auctions/templates/list');
+      if (templates.length === 0) {
+        this.showMessage('No templates yet. Use "Save as Template" on an auction first.', 'info');
+        return;
+      }
+      const menu = templates.map((t, i) => `${i + 1}. ${t.name}`).join('\n');
+      const choice = prompt(`Create a draft from which template?\n${menu}`, '1');
+      if (choice === null) {return;}
+      const template = templates[Number(choice) - 1];
+      if (!template) {
+        this.showMessage('Pick a template by its number.', 'error');
+        return;
+      }
+      const offsetDays = this._askDateOffset();
+      if (offsetDays === null) {return;}
+      await this.apiClient.request('POST', `/api/auctions/templates/${template.id}/auctions`, { body: { offsetDays } });
+      this.showMessage(`Draft auction created from "${template.name}".`, 'success');
+      await this._reloadAuctions();
+    } catch (err) {
+      this.showMessage(err.message || 'Could not create auction from template.', 'error');
+    }
   }
 
   /**
@@ -1330,11 +1519,41 @@ class TeacherDashboard {
       const end   = a.endTime || a.ends_at;
       if (start) {document.getElementById('auction-start').value = String(start).slice(0, 16);}
       if (end)   {document.getElementById('auction-end').value   = String(end).slice(0, 16);}
+      document.getElementById('auction-bid-increments').value = this._formatBidIncrements(a.bidIncrements);
+      document.getElementById('auction-visibility').value = a.visibility || 'SCHOOL_ONLY';
     } catch (err) {
       console.error('Failed to load auction for editing:', err);
     }
   }
 
+  /**
+     * Parse the "20:1, 100:5, 25" shorthand into increment tiers. Each
+     * "limit:increment" pair applies below the limit; the bare number is the
+     * increment above the last limit. Blank means the flat default (null).
+     * @param {string} text
+     * @returns {Array|null}
+     */
+  _parseBidIncrements(text) {
+    const parts = text.split(',').map(p => p.trim()).filter(Boolean);
+    if (parts.length === 0) {return null;}
+    const tiers = parts.map(part => {
+      const [a, b] = part.split(':').map(n => Number.parseFloat(n));
+      return b === undefined ? { upTo: null, increment: a } : { upTo: a, increment: b };
+    });
+    const valid = tiers.every(t => t.increment > 0 && (t.upTo === null || t.upTo > 0))
+      && tiers.filter(t => t.upTo === null).length === 1;
+    if (!valid) {
+      throw new Error('Bid increments must look like "20:1, 100:5, 25" with one final increment.');
+    }
+    return tiers;
+  }
+
+  /** Inverse of _parseBidIncrements for prefilling the edit form */
+  _formatBidIncrements(tiers) {
+    if (!Array.isArray(tiers)) {return '';}
+    return tiers.map(t => (t.upTo === null ? `${t.increment}` : `${t.upTo}:${t.increment}`)).join(', ');
+  }
+
   /** Hide the auction modal */
   hideAuctionModal() {
     const modal = document.getElementById('auction-form-modal');
@@ -1371,7 +1590,16 @@ class TeacherDashboard {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${token}`
     };
-    const body = JSON.stringify({ title, description, startTime, endTime });
+    let bidIncrements;
+    try {
+      bidIncrements = this._parseBidIncrements(document.getElementById('auction-bid-increments')?.value || '');
+    } catch (err) {
+      this.showMessage(err.message, 'error');
+      return;
+    }
+
+    const visibility = document.getElementById('auction-visibility')?.value || 'SCHOOL_ONLY';
+    const body = JSON.stringify({ title, description, startTime, endTime, bidIncrements, visibility });
 
     try {
       const url    = auctionId ? `/api/auctions/${auctionId}` : '/api/auctions';
@@ -103,6 +103,7 @@ class UserDashboard {
     this.loadActiveBids();
     this.loadBidHistory();
     this.loadWins();
+    this.loadWatchlist();
   }
 
   /**
@@ -217,6 +218,8 @@ class UserDashboard {
         this.loadBidHistory();
       } else if (tabName === 'wins') {
         this.loadWins();
+      } else if (tabName === 'watchlist') {
+        this.loadWatchlist();
       } else if (tabName === 'my-artwork') {
         this.loadArtworkSubmissions();
       }
@@ -359,6 +362,135 @@ class UserDashboard {
     } catch (error) {
       console.error('Load wins error:', error);
     }
+    this.loadPledges();
+    this.loadReceipts();
+  }
+
+  /**
+     * Load Fund-a-Need pledges (shown under wins; each is paid on its own)
+     */
+  async loadPledges() {
+    try {
+      const response = await fetch('/api/user/pledges', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        this.displayPledges(data.pledges || []);
+      }
+    } catch (error) {
+      console.error('Load pledges error:', error);
+    }
+  }
+
+  /**
+     * Display Fund-a-Need pledges
+     */
+  displayPledges(pledges) {
+    const list = document.getElementById('pledges-list');
+    if (!list) {return;}
+
+    list.innerHTML = '';
+
+    if (pledges.length === 0) {
+      list.innerHTML = '<p class="text-muted">No pledges yet</p>';
+      return;
+    }
+
+    pledges.forEach(pledge => {
+      const item = document.createElement('div');
+      item.className = 'win-item';
+      item.setAttribute('role', 'listitem');
+
+      const statusHtml = pledge.paid
+        ? '<div class="win-status win-delivered">✅ Paid — thank you!</div>'
+        : `<div class="win-status win-awaiting">
+             <a href="/checkout.html?pledgeId=${encodeURIComponent(pledge.pledgeId)}"
+                class="btn btn-primary btn-sm">Pay now</a>
+           </div>`;
+
+      item.innerHTML = `
+                <div class="win-info">
+                    <h4><a href="/auction-detail.html?id=${encodeURIComponent(pledge.auctionId)}">${this.escapeHtml(pledge.auctionTitle)}</a></h4>
+                    <p class="win-artwork">${this.escapeHtml(pledge.itemTitle)}</p>
+                    <p class="win-amount">Pledge: <strong>${UIComponents.formatCurrency(pledge.amount)}</strong></p>
+                </div>
+                ${statusHtml}
+            `;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+     * Load charity donation receipts (shown under wins)
+     */
+  async loadReceipts() {
+    try {
+      const response = await fetch('/api/user/receipts', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        this.displayReceipts(data.receipts || []);
+      }
+    } catch (error) {
+      console.error('Load receipts error:', error);
+    }
+  }
+
+  /**
+     * Display donation receipts, with a year-end statement link per tax year
+     */
+  displayReceipts(receipts) {
+    const list = document.getElementById('receipts-list');
+    const statements = document.getElementById('receipt-statements');
+    if (!list) {return;}
+
+    list.innerHTML = '';
+    if (statements) {statements.innerHTML = '';}
+
+    if (receipts.length === 0) {
+      list.innerHTML = '<p class="text-muted">No donation receipts yet</p>';
+      return;
+    }
+
+    const years = [...new Set(receipts.map(r => r.taxYear))];
+    if (statements) {
+      statements.innerHTML = years.map(year => `
+                <p>${year} year-end statement:
+                    <a href="/api/user/receipts/statements/${year}" target="_blank" rel="noopener">View</a> ·
+                    <a href="/api/user/receipts/statements/${year}?format=pdf">PDF</a>
+                </p>`).join('');
+    }
+
+    receipts.forEach(receipt => {
+      const item = document.createElement('div');
+      item.className = 'win-item';
+      item.setAttribute('role', 'listitem');
+
+      const link = `/api/user/receipts/${encodeURIComponent(receipt.receiptId)}`;
+      item.innerHTML = `
+                <div class="win-info">
+                    <h4>${this.escapeHtml(receipt.receiptNumber)} — ${this.escapeHtml(receipt.beneficiary)}</h4>
+                    <p class="win-artwork">${this.escapeHtml(receipt.description)} · ${this.escapeHtml(receipt.auctionTitle)}</p>
+                    <p class="win-amount">Paid ${UIComponents.formatCurrency(receipt.amountPaid)} ·
+                        Deductible <strong>${UIComponents.formatCurrency(receipt.deductibleAmount)}</strong></p>
+                </div>
+                <div class="win-status">
+                    <a href="${link}" target="_blank" rel="noopener" class="btn btn-secondary btn-sm">View</a>
+                    <a href="${link}?format=pdf" class="btn btn-secondary btn-sm">PDF</a>
+                </div>
+            `;
+      list.appendChild(item);
+    });
   }
 
   /**
@@ -417,6 +549,184 @@ class UserDashboard {
     }
   }
 
+  /**
+     * Load watched auctions and pieces
+     */
+  async loadWatchlist() {
+    try {
+      const response = await fetch('/api/user/watchlist', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        this.displayWatchlist(data.auctions || [], data.artwork || []);
+      }
+    } catch (error) {
+      console.error('Load watchlist error:', error);
+    }
+  }
+
+  /**
+     * Display watchlist: current bid, time left and quick-bid buttons per piece
+     */
+  displayWatchlist(auctions, artwork) {
+    const badge = document.getElementById('watchlist-count');
+    if (badge) {
+      badge.textContent = auctions.length + artwork.length;
+    }
+
+    const artworkList = document.getElementById('watchlist-artwork-list');
+    if (artworkList) {
+      artworkList.innerHTML = artwork.length === 0
+        ? '<p class="text-muted">You aren\'t watching any pieces. Use "Watch piece" on an auction page to add one.</p>'
+        : '';
+      artwork.forEach(piece => {
+        const item = document.createElement('div');
+        item.className = 'bid-item watchlist-item';
+        item.setAttribute('role', 'listitem');
+        const timeLeft = piece.biddable
+          ? UIComponents.formatTimeRemaining(new Date(piece.closesAt) - Date.now())
+          : 'Bidding closed';
+        let bidLabel = 'No bids yet';
+        if (piece.currentBid !== null) {
+          bidLabel = `${UIComponents.formatCurrency(piece.currentBid)}${piece.isLeading ? ' (you\'re leading)' : ''}`;
+        }
+        item.innerHTML = `
+                <div class="bid-info">
+                    <h4><a href="/auction-detail.html?id=${encodeURIComponent(piece.auctionId)}">${this.escapeHtml(piece.title)}</a></h4>
+                    <p class="auction-school">${this.escapeHtml(piece.auctionTitle)}</p>
+                </div>
+                <div class="bid-amount">
+                    <strong>${bidLabel}</strong>
+                </div>
+                <div class="bid-time">${timeLeft}</div>
+                <div class="watchlist-actions"></div>
+            `;
+        const actions = item.querySelector('.watchlist-actions');
+        if (!piece.isLeading) {
+          piece.quickBids.forEach(amount => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn btn-primary btn-sm';
+            btn.textContent = `Bid ${UIComponents.formatCurrency(amount)}`;
+            btn.addEventListener('click', () => this.quickBid(piece, amount, btn));
+            actions.appendChild(btn);
+          });
+        }
+        const unwatchBtn = document.createElement('button');
+        unwatchBtn.type = 'button';
+        unwatchBtn.className = 'btn btn-secondary btn-sm';
+        unwatchBtn.textContent = 'Unwatch';
+        unwatchBtn.addEventListener('click', () => this.unwatch(
+          `/api/auctions/${encodeURIComponent(piece.auctionId)}/artwork/${encodeURIComponent(piece.artworkId)}/watchlist`
+        ));
+        actions.appendChild(unwatchBtn);
+        artworkList.appendChild(item);
+      });
+    }
+
+    const auctionList = document.getElementById('watchlist-auctions-list');
+    if (auctionList) {
+      auctionList.innerHTML = auctions.length === 0
+        ? '<p class="text-muted">You aren\'t watching any auctions.</p>'
+        : '';
+      auctions.forEach(auction => {
+        const item = document.createElement('div');
+        item.className = 'bid-item watchlist-item';
+        item.setAttribute('role', 'listitem');
+        let timeLeft = 'Ended';
+        if (auction.status === 'LIVE') {
+          timeLeft = `${UIComponents.formatTimeRemaining(new Date(auction.endsAt) - Date.now())} left`;
+        } else if (['APPROVED', 'PENDING_APPROVAL', 'DRAFT'].includes(auction.status)) {
+          timeLeft = `Opens ${UIComponents.formatDateTime(auction.startsAt)}`;
+        }
+        item.innerHTML = `
+                <div class="bid-info">
+                    <h4><a href="/auction-detail.html?id=${encodeURIComponent(auction.auctionId)}">${this.escapeHtml(auction.title)}</a></h4>
+                    <p class="auction-school">${this.escapeHtml(auction.schoolName || 'N/A')} &middot; ${auction.pieceCount} pieces</p>
+                </div>
+                <div class="bid-amount">
+                    ${auction.highestBid !== null ? `Top bid <strong>${UIComponents.formatCurrency(auction.highestBid)}</strong>` : 'No bids yet'}
+                </div>
+                <div class="bid-time">${timeLeft}</div>
+                <div class="watchlist-actions"></div>
+            `;
+        const unwatchBtn = document.createElement('button');
+        unwatchBtn.type = 'button';
+        unwatchBtn.className = 'btn btn-secondary btn-sm';
+        unwatchBtn.textContent = 'Unwatch';
+        unwatchBtn.addEventListener('click', () => this.unwatch(
+          `/api/auctions/${encodeURIComponent(auction.auctionId)}/watchlist`
+        ));
+        item.querySelector('.watchlist-actions').appendChild(unwatchBtn);
+        auctionList.appendChild(item);
+      });
+    }
+  }
+
+  /**
+     * Place a bid straight from the watchlist
+     */
+  async quickBid(piece, amount, btn) {
+    const confirmed = await UIComponents.showConfirmation(
+      `Bid ${UIComponents.formatCurrency(amount)} on "${piece.title}"?`,
+      'Confirm bid'
+    );
+    if (!confirmed) {return;}
+
+    btn.disabled = true;
+    try {
+      const response = await fetch('/api/bidding/place', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        },
+        body: JSON.stringify({ artworkId: piece.artworkId, bidAmount: amount })
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        UIComponents.showAlert(`Bid of ${UIComponents.formatCurrency(amount)} placed`, 'success');
+      } else {
+        UIComponents.showAlert(data.message || 'Failed to place bid', 'error');
+      }
+    } catch (error) {
+      console.error('Quick bid error:', error);
+      UIComponents.showAlert('Failed to place bid', 'error');
+    } finally {
+      this.loadWatchlist();
+      this.loadActiveBids();
+    }
+  }
+
+  /**
+     * Stop watching an auction or piece
+     */
+  async unwatch(url) {
+    try {
+      const response = await fetch(url, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
+        }
+      });
+
+      if (!response.ok) {
+        UIComponents.showAlert('Failed to update watchlist', 'error');
+      }
+    } catch (error) {
+      console.error('Unwatch error:', error);
+    } finally {
+      this.loadWatchlist();
+    }
+  }
+
   /**
      * Save profile information
      */
@@ -922,6 +1232,7 @@ class UserDashboard {
     const height        = document.getElementById('artwork-height')?.value;
     const depth         = document.getElementById('artwork-depth')?.value || null;
     const description   = document.getElementById('artwork-description')?.value?.trim();
+    const artistStatement = document.getElementById('artwork-statement')?.value?.trim();
     const imageFile     = document.getElementById('artwork-image')?.files[0];
 
     if (!auctionId || !title || !artistName || !startingBid) {
@@ -944,7 +1255,7 @@ class UserDashboard {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('auth_token')}`
         },
-        body: JSON.stringify({ auctionId, title, artistName, medium, startingBid, width, height, depth, description, imageData })
+        body: JSON.stringify({ auctionId, title, artistName, medium, startingBid, width, height, depth, description, artistStatement, imageData })
       });
 
       const data = await response.json();
@@ -33,6 +33,9 @@ CREATE TABLE schools (
   theme_preset VARCHAR(50),
   theme_colors JSONB,
   grade_band VARCHAR(20) CHECK (grade_band IN ('ELEMENTARY','MIDDLE','HIGH')),
+  tax_id VARCHAR(50),
+  receipt_signatory_name VARCHAR(255),
+  receipt_signatory_title VARCHAR(255),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   CONSTRAINT school_name_check CHECK (length(trim(name)) > 0),
@@ -88,6 +91,7 @@ CREATE TABLE users (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   deleted_at TIMESTAMP WITH TIME ZONE,
   grade_level VARCHAR(20),
+  is_guest BOOLEAN NOT NULL DEFAULT FALSE,
   CONSTRAINT user_email_check CHECK (email ~ '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}$')
 );
 
@@ -239,6 +243,9 @@ CREATE TABLE payment_gateways (
   currency_code VARCHAR(3) DEFAULT 'USD',
   settlement_account_name VARCHAR(255),
   settlement_account_last_four VARCHAR(4),
+  -- Processing fee the gateway keeps per charge; used to estimate gateway fees on settlement statements
+  processing_fee_percentage DECIMAL(5, 2) NOT NULL DEFAULT 2.90,
+  processing_fee_fixed DECIMAL(10, 2) NOT NULL DEFAULT 0.30,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   created_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT
@@ -268,6 +275,11 @@ CREATE TABLE auctions (
   visibility VARCHAR(20) NOT NULL DEFAULT 'SCHOOL_ONLY' CHECK (visibility IN ('PUBLIC', 'SCHOOL_ONLY', 'INVITED_ONLY')),
   require_approval_for_bids BOOLEAN DEFAULT FALSE,
   auto_extend_minutes INT DEFAULT 0,
+  soft_close_scope VARCHAR(10) NOT NULL DEFAULT 'AUCTION' CHECK (soft_close_scope IN ('AUCTION', 'ARTWORK')),
+  buy_now_cutoff_percent INTEGER NOT NULL DEFAULT 75 CHECK (buy_now_cutoff_percent BETWEEN 1 AND 100),
+  payment_grace_hours INTEGER NOT NULL DEFAULT 72 CHECK (payment_grace_hours BETWEEN 1 AND 720),
+  second_chance_offer_hours INTEGER NOT NULL DEFAULT 48 CHECK (second_chance_offer_hours BETWEEN 1 AND 720),
+  bid_increment_schedule JSONB,
   published_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
@@ -286,9 +298,12 @@ CREATE INDEX idx_auctions_ends_at ON auctions(ends_at);
 CREATE TABLE artwork (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  -- School the piece belongs to; in a joint auction, a partner school
+  school_id UUID REFERENCES schools(id) ON DELETE SET NULL,
   created_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
   title VARCHAR(255) NOT NULL,
   description TEXT,
+  artist_statement TEXT,
   artist_name VARCHAR(255) NOT NULL,
   artist_grade VARCHAR(20),
   medium VARCHAR(100),
@@ -298,12 +313,26 @@ CREATE TABLE artwork (
   estimated_value DECIMAL(10, 2),
   starting_bid_amount DECIMAL(10, 2) NOT NULL,
   reserve_bid_amount DECIMAL(10, 2),
+  buy_now_price DECIMAL(10, 2) CHECK (buy_now_price IS NULL OR buy_now_price > 0),
+  bid_increment_schedule JSONB,
+  closes_at TIMESTAMP WITH TIME ZONE,
+  finalized_at TIMESTAMP WITH TIME ZONE,
+  reserve_status VARCHAR(20) CHECK (reserve_status IN ('PENDING_DECISION', 'ACCEPTED', 'RELEASED')),
+  reserve_decided_at TIMESTAMP WITH TIME ZONE,
+  reserve_decided_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
   image_url VARCHAR(2083),
   image_storage_key VARCHAR(500),
   artwork_status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (artwork_status IN ('DRAFT', 'SUBMITTED', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED', 'WITHDRAWN', 'SOLD', 'UNSOLD')),
   approved_at TIMESTAMP WITH TIME ZONE,
   approved_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
   rejection_reason TEXT,
+  carried_over_from_artwork_id UUID REFERENCES artwork(id) ON DELETE SET NULL,
+  -- Full-text search over title, artist statement and description
+  search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(artist_statement, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   deleted_at TIMESTAMP WITH TIME ZONE,
@@ -315,6 +344,54 @@ CREATE TABLE artwork (
 CREATE INDEX idx_artwork_auction_id ON artwork(auction_id);
 CREATE INDEX idx_artwork_status ON artwork(artwork_status);
 CREATE INDEX idx_artwork_created_by ON artwork(created_by_user_id);
+CREATE INDEX idx_artwork_school_id ON artwork(school_id);
+CREATE INDEX idx_artwork_reserve_pending ON artwork(auction_id) WHERE reserve_status = 'PENDING_DECISION';
+CREATE INDEX idx_artwork_carried_over_from ON artwork(carried_over_from_artwork_id) WHERE carried_over_from_artwork_id IS NOT NULL;
+CREATE INDEX idx_artwork_search_vector ON artwork USING GIN (search_vector);
+
+-- Teacher-assigned tags for browsing ("portrait", "landscape", "ceramics")
+CREATE TABLE artwork_tags (
+  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+  tag VARCHAR(40) NOT NULL,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (artwork_id, tag)
+);
+
+CREATE INDEX idx_artwork_tags_tag ON artwork_tags(tag);
+
+-- Fund-a-Need ("raise your paddle") items: fixed giving levels, unlimited pledges
+CREATE TABLE fund_a_need_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  giving_levels DECIMAL(10, 2)[] NOT NULL,
+  goal_amount DECIMAL(10, 2) CHECK (goal_amount IS NULL OR goal_amount > 0),
+  item_status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (item_status IN ('OPEN', 'CLOSED')),
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_fund_a_need_items_auction ON fund_a_need_items(auction_id);
+
+CREATE TABLE fund_a_need_pledges (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id UUID NOT NULL REFERENCES fund_a_need_items(id) ON DELETE RESTRICT,
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  paddle_number INT,
+  entered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  pledge_status VARCHAR(20) NOT NULL DEFAULT 'PLEDGED' CHECK (pledge_status IN ('PLEDGED', 'PAID', 'CANCELLED')),
+  transaction_id UUID,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_fund_a_need_pledges_item ON fund_a_need_pledges(item_id);
+CREATE INDEX idx_fund_a_need_pledges_user ON fund_a_need_pledges(user_id);
 
 -- Bids Table
 CREATE TABLE bids (
@@ -325,10 +402,16 @@ CREATE TABLE bids (
   bid_amount DECIMAL(10, 2) NOT NULL,
   is_auto_bid BOOLEAN DEFAULT FALSE,
   auto_bid_max_amount DECIMAL(10, 2),
-  bid_status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (bid_status IN ('ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED')),
+  bid_status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (bid_status IN ('PENDING', 'ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED', 'VOIDED')),
   placed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
   ip_address INET,
   user_agent TEXT,
+  session_jti VARCHAR(64),
+  entered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_by_user_id UUID REFERENCES users(id),
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
+  won_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
   CONSTRAINT bid_amount_check CHECK (bid_amount > 0),
@@ -340,6 +423,132 @@ CREATE INDEX idx_bids_artwork_id ON bids(artwork_id);
 CREATE INDEX idx_bids_placed_by ON bids(placed_by_user_id);
 CREATE INDEX idx_bids_status ON bids(bid_status);
 CREATE INDEX idx_bids_placed_at ON bids(placed_at);
+CREATE INDEX idx_bids_pending ON bids(auction_id, placed_at) WHERE bid_status = 'PENDING';
+CREATE INDEX idx_bids_unpaid_wins ON bids(won_at) WHERE bid_status = 'ACCEPTED';
+
+-- Second-chance offers: a voided (unpaid) win offered to the next bidder
+CREATE TABLE second_chance_offers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+  bid_id UUID NOT NULL REFERENCES bids(id) ON DELETE CASCADE,
+  offered_to_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  offer_amount DECIMAL(10, 2) NOT NULL CHECK (offer_amount > 0),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  offer_status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (offer_status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED')),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_second_chance_artwork ON second_chance_offers(artwork_id);
+CREATE INDEX idx_second_chance_pending ON second_chance_offers(expires_at) WHERE offer_status = 'PENDING';
+CREATE UNIQUE INDEX idx_second_chance_one_open ON second_chance_offers(artwork_id) WHERE offer_status = 'PENDING';
+
+-- Paddle numbers: short per-auction bidder numbers for live events and
+-- clerk-entered paper bids
+CREATE TABLE auction_paddles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  paddle_number INTEGER NOT NULL CHECK (paddle_number > 0),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  registered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (auction_id, paddle_number),
+  UNIQUE (auction_id, user_id)
+);
+
+-- Auction templates: a school's saved auction settings, used to start a new
+-- DRAFT with the dates shifted
+CREATE TABLE auction_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL CHECK (length(trim(name)) > 0),
+  settings JSONB NOT NULL,
+  source_auction_id UUID REFERENCES auctions(id) ON DELETE SET NULL,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (school_id, name)
+);
+
+-- Invite codes for INVITED_ONLY auctions: shareable, optionally capped or
+-- expiring; redeeming one adds the redeemer to the guest list
+CREATE TABLE auction_invite_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  code VARCHAR(32) NOT NULL UNIQUE,
+  max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+  use_count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_auction_invite_codes_auction ON auction_invite_codes(auction_id);
+
+-- Guest list of an INVITED_ONLY auction. user_id is filled in once the
+-- invited email's account opens the auction (or redeems a code).
+CREATE TABLE auction_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('GUEST_LIST', 'INVITE_CODE')),
+  invite_code_id UUID REFERENCES auction_invite_codes(id) ON DELETE SET NULL,
+  invited_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (auction_id, email)
+);
+
+CREATE INDEX idx_auction_invitations_user ON auction_invitations(user_id) WHERE user_id IS NOT NULL;
+
+-- Joint auctions: partner schools invited by the host (auctions.school_id).
+-- An accepted partner's pieces are paid through its own gateway.
+CREATE TABLE auction_partner_schools (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+  partner_status VARCHAR(20) NOT NULL DEFAULT 'INVITED' CHECK (partner_status IN ('INVITED', 'ACCEPTED', 'DECLINED')),
+  payment_gateway_id UUID REFERENCES payment_gateways(id) ON DELETE RESTRICT,
+  invited_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (auction_id, school_id)
+);
+
+CREATE INDEX idx_auction_partner_schools_school ON auction_partner_schools(school_id);
+
+-- Ending-soon reminders the scheduler has sent; the key makes each one go out once.
+CREATE TABLE auction_ending_reminders (
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  reminder_minutes INTEGER NOT NULL CHECK (reminder_minutes > 0),
+  recipient_count INTEGER,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (auction_id, reminder_minutes)
+);
+
+-- Watchlists: whole auctions, or single pieces. Watchers are alerted when a
+-- watched auction goes LIVE, when a watched piece is bid on, and before close.
+CREATE TABLE auction_watchlist (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, auction_id)
+);
+
+CREATE TABLE artwork_watchlist (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+  last_alerted_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, artwork_id)
+);
+
+CREATE INDEX idx_artwork_watchlist_artwork ON artwork_watchlist(artwork_id);
 
 -- ============================================================================
 -- 2. Payment Tables
@@ -368,11 +577,32 @@ CREATE TABLE payment_methods (
 CREATE INDEX idx_payment_methods_user_id ON payment_methods(user_id);
 CREATE INDEX idx_payment_methods_default ON payment_methods(is_default) WHERE is_default = TRUE;
 
+-- Payment invoices: one charge covering a buyer's pieces and pledges in an
+-- auction, split into one transactions row per piece or pledge
+CREATE TABLE payment_invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  gateway_id UUID REFERENCES payment_gateways(id) ON DELETE RESTRICT,
+  gateway_transaction_id VARCHAR(500),
+  hammer_total DECIMAL(10, 2) NOT NULL,
+  platform_fee_total DECIMAL(10, 2) NOT NULL,
+  pledge_total DECIMAL(10, 2) NOT NULL,
+  total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount > 0),
+  invoice_status VARCHAR(20) NOT NULL CHECK (invoice_status IN ('PAID', 'FAILED')),
+  idempotency_key UUID UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_payment_invoices_buyer ON payment_invoices(buyer_user_id, auction_id);
+
 -- Transactions (Audit Trail)
 CREATE TABLE transactions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
-  artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE RESTRICT,
+  artwork_id UUID REFERENCES artwork(id) ON DELETE RESTRICT,
+  pledge_id UUID REFERENCES fund_a_need_pledges(id) ON DELETE RESTRICT,
+  invoice_id UUID REFERENCES payment_invoices(id) ON DELETE RESTRICT,
   buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
   payment_method_id UUID NOT NULL REFERENCES payment_methods(id) ON DELETE RESTRICT,
   gateway_id UUID NOT NULL REFERENCES payment_gateways(id) ON DELETE RESTRICT,
@@ -380,7 +610,7 @@ CREATE TABLE transactions (
   hammer_amount DECIMAL(10, 2) NOT NULL,
   platform_fee DECIMAL(10, 2) NOT NULL,
   total_amount DECIMAL(10, 2) NOT NULL,
-  gateway_transaction_id VARCHAR(500) NOT NULL UNIQUE,
+  gateway_transaction_id VARCHAR(500) NOT NULL,
   transaction_status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (transaction_status IN ('PENDING', 'AUTHORIZED', 'CHARGED', 'COMPLETED', 'FAILED', 'CANCELLED', 'REFUNDED', 'CHARGEBACK')),
   payment_gateway_response JSONB,
   idempotency_key UUID UNIQUE,
@@ -396,6 +626,11 @@ CREATE INDEX idx_transactions_buyer_user_id ON transactions(buyer_user_id);
 CREATE INDEX idx_transactions_status ON transactions(transaction_status);
 CREATE INDEX idx_transactions_created_at ON transactions(created_at);
 CREATE INDEX idx_transactions_gateway_id ON transactions(gateway_transaction_id);
+-- An invoice charge is split into one row per piece or pledge; the same line
+-- can't be recorded twice for one charge (COALESCE: NULLs never clash)
+CREATE UNIQUE INDEX transactions_gateway_charge_line_key ON transactions(gateway_transaction_id, COALESCE(artwork_id, pledge_id));
+CREATE INDEX idx_transactions_pledge_id ON transactions(pledge_id);
+CREATE INDEX idx_transactions_invoice_id ON transactions(invoice_id);
 
 -- Refunds
 CREATE TABLE refunds (
@@ -416,6 +651,119 @@ CREATE TABLE refunds (
 CREATE INDEX idx_refunds_transaction_id ON refunds(transaction_id);
 CREATE INDEX idx_refunds_status ON refunds(refund_status);
 
+-- Offline payments: cash, check or school store payments for a win, taken at
+-- pickup and keyed in by a school admin. received_by_user_id is the volunteer
+-- whose cash drawer holds the money.
+CREATE TABLE offline_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  artwork_id UUID NOT NULL UNIQUE REFERENCES artwork(id) ON DELETE RESTRICT,
+  buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  payment_method VARCHAR(20) NOT NULL CHECK (payment_method IN ('CASH', 'CHECK', 'SCHOOL_STORE')),
+  check_number VARCHAR(50),
+  received_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  recorded_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  notes TEXT,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT check_number_check CHECK (payment_method <> 'CHECK' OR check_number IS NOT NULL)
+);
+
+CREATE INDEX idx_offline_payments_auction ON offline_payments(auction_id);
+CREATE INDEX idx_offline_payments_received_by ON offline_payments(received_by_user_id);
+
+-- Donation receipts: one per completed payment in a charity auction. The
+-- deductible portion is the amount paid over fair market value.
+CREATE TABLE donation_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  receipt_number BIGSERIAL UNIQUE,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE RESTRICT,
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  donor_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+  transaction_id UUID UNIQUE REFERENCES transactions(id) ON DELETE RESTRICT,
+  offline_payment_id UUID UNIQUE REFERENCES offline_payments(id) ON DELETE RESTRICT,
+  description VARCHAR(255) NOT NULL,
+  amount_paid DECIMAL(10, 2) NOT NULL,
+  fair_market_value DECIMAL(10, 2) NOT NULL,
+  deductible_amount DECIMAL(10, 2) NOT NULL,
+  tax_year INT NOT NULL,
+  paid_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  issued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  emailed_at TIMESTAMP WITH TIME ZONE,
+  reissue_count INT NOT NULL DEFAULT 0,
+  CONSTRAINT receipt_source_check CHECK ((transaction_id IS NULL) <> (offline_payment_id IS NULL)),
+  CONSTRAINT receipt_amount_check CHECK (amount_paid > 0 AND fair_market_value >= 0 AND deductible_amount >= 0)
+);
+
+CREATE INDEX idx_donation_receipts_donor ON donation_receipts(donor_user_id, tax_year);
+CREATE INDEX idx_donation_receipts_auction ON donation_receipts(auction_id);
+
+-- Settlement statements: per auction and school, what the school actually
+-- receives (gross hammer, platform fee with minimum/waiver, gateway fees,
+-- refunds, chargebacks, net payable to the settlement account). DRAFT
+-- statements are refreshed from live payments; APPROVED ones are locked.
+CREATE TABLE settlement_statements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+  school_id UUID NOT NULL REFERENCES schools(id) ON DELETE RESTRICT,
+  payment_gateway_id UUID REFERENCES payment_gateways(id) ON DELETE SET NULL,
+  settlement_account_name VARCHAR(255),
+  settlement_account_last_four VARCHAR(4),
+  currency_code VARCHAR(3) NOT NULL DEFAULT 'USD',
+  statement_status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (statement_status IN ('DRAFT', 'APPROVED')),
+  platform_fee_percentage DECIMAL(5, 2) NOT NULL,
+  platform_fee_minimum DECIMAL(10, 2) NOT NULL,
+  platform_fee_waived BOOLEAN NOT NULL DEFAULT FALSE,
+  fee_waiver_reason TEXT,
+  sale_count INT NOT NULL DEFAULT 0,
+  minimum_fee_applied_count INT NOT NULL DEFAULT 0,
+  gross_hammer DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  buyer_fees_collected DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  offline_collected DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  refunds_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  chargebacks_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  platform_fee_due DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  gateway_fees DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  net_payable DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  line_items JSONB NOT NULL DEFAULT '[]',
+  generated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  approved_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT settlement_statement_unique UNIQUE (auction_id, school_id),
+  CONSTRAINT settlement_approval_check CHECK (statement_status <> 'APPROVED' OR approved_at IS NOT NULL)
+);
+
+CREATE INDEX idx_settlement_statements_school ON settlement_statements(school_id);
+
+-- Inbound payment gateway webhooks, stored before they are acted on.
+-- (gateway_type, gateway_event_id) is unique so gateway retries are not
+-- applied twice; FAILED events keep their error and can be re-driven.
+-- gateway_charge_id matches transactions.gateway_transaction_id;
+-- gateway_refund_id marks the refund an applied refund event recorded.
+CREATE TABLE payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  gateway_type VARCHAR(50) NOT NULL CHECK (gateway_type IN ('STRIPE', 'SQUARE', 'PAYPAL', 'AUTHORIZE_NET')),
+  gateway_event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  gateway_charge_id VARCHAR(500),
+  gateway_refund_id VARCHAR(255),
+  payload JSONB NOT NULL,
+  processing_status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED' CHECK (processing_status IN ('RECEIVED', 'PROCESSING', 'PROCESSED', 'IGNORED', 'FAILED')),
+  attempt_count INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  transactions_updated INT NOT NULL DEFAULT 0,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  last_attempt_at TIMESTAMP WITH TIME ZONE,
+  processed_at TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT payment_webhook_event_unique UNIQUE (gateway_type, gateway_event_id)
+);
+
+CREATE INDEX idx_payment_webhook_events_status ON payment_webhook_events(processing_status, received_at);
+CREATE INDEX idx_payment_webhook_events_charge ON payment_webhook_events(gateway_charge_id);
+CREATE INDEX idx_payment_webhook_events_refund ON payment_webhook_events(gateway_type, gateway_refund_id) WHERE gateway_refund_id IS NOT NULL;
+
 -- ============================================================================
 -- 3. Authentication & Session Tables
 -- ============================================================================
@@ -558,6 +906,7 @@ CREATE TABLE qr_codes (
 
 CREATE INDEX idx_qr_codes_auction_id ON qr_codes(auction_id);
 CREATE INDEX idx_qr_codes_artwork_id ON qr_codes(artwork_id);
+CREATE UNIQUE INDEX idx_qr_codes_artwork_unique ON qr_codes(artwork_id);
 
 -- QR Code Scans
 CREATE TABLE qr_code_scans (
@@ -569,11 +918,17 @@ CREATE TABLE qr_code_scans (
   device_type VARCHAR(50),
   offline_scan BOOLEAN DEFAULT FALSE,
   synced_at TIMESTAMP WITH TIME ZONE,
+  -- Offline bid sync: one row per replayed bid (created_at = captured offline)
+  offline_nonce VARCHAR(64),
+  bid_id UUID REFERENCES bids(id) ON DELETE SET NULL,
+  sync_status VARCHAR(20) CHECK (sync_status IN ('PENDING', 'ACCEPTED', 'REJECTED')),
+  sync_message TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX idx_qr_scans_qr_code_id ON qr_code_scans(qr_code_id);
 CREATE INDEX idx_qr_scans_user_id ON qr_code_scans(scanned_by_user_id);
+CREATE UNIQUE INDEX idx_qr_scans_offline_nonce ON qr_code_scans(scanned_by_user_id, offline_nonce) WHERE offline_nonce IS NOT NULL;
 
 -- Notifications
 CREATE TABLE notifications (
@@ -595,6 +950,24 @@ CREATE INDEX idx_notifications_user_id ON notifications(user_id);
 CREATE INDEX idx_notifications_is_read ON notifications(is_read);
 CREATE INDEX idx_notifications_created_at ON notifications(created_at);
 
+-- Per-user email/SMS opt-outs; a missing row means the defaults below
+CREATE TABLE notification_preferences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  email_outbid BOOLEAN DEFAULT true,
+  email_auction_ending BOOLEAN DEFAULT true,
+  email_winner BOOLEAN DEFAULT true,
+  email_payment BOOLEAN DEFAULT true,
+  email_security BOOLEAN DEFAULT true,
+  email_watchlist BOOLEAN DEFAULT true,
+  sms_outbid BOOLEAN DEFAULT false,
+  sms_auction_ending BOOLEAN DEFAULT false,
+  sms_winner BOOLEAN DEFAULT true,
+  unsubscribe_token VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================================================
 -- 6. System Configuration Tables
 -- ============================================================================
@@ -696,21 +1069,21 @@ SELECT
   b.bid_amount,
   b.placed_at as winning_bid_time,
   CASE 
-    WHEN t.id IS NOT NULL THEN 'PAID'
+    WHEN t.id IS NOT NULL OR op.id IS NOT NULL THEN 'PAID'
     ELSE 'AWAITING_PAYMENT'
-  END as payment_status
+  END as payment_status,
+  COALESCE(op.payment_method, CASE WHEN t.id IS NOT NULL THEN 'ONLINE' END) as payment_method
 FROM auctions a
 JOIN artwork aw ON a.id = aw.auction_id
-JOIN bids b ON aw.id = b.artwork_id AND b.bid_status = 'ACTIVE'
+JOIN bids b ON aw.id = b.artwork_id AND b.bid_status = 'ACCEPTED'
 JOIN users u ON b.placed_by_user_id = u.id
-LEFT JOIN transactions t ON a.id = t.auction_id AND aw.id = t.artwork_id AND u.id = t.buyer_user_id
-WHERE a.auction_status = 'ENDED'
-  AND b.placed_at = (
-    SELECT MAX(placed_at) 
-    FROM bids 
-    WHERE artwork_id = aw.id 
-      AND bid_status = 'ACTIVE'
-  );
+LEFT JOIN LATERAL (
+  SELECT id FROM transactions
+  WHERE artwork_id = aw.id AND buyer_user_id = u.id AND transaction_status = 'COMPLETED'
+  LIMIT 1
+) t ON true
+LEFT JOIN offline_payments op ON op.artwork_id = aw.id
+WHERE a.auction_status = 'ENDED';
 
 -- User active sessions view
 CREATE VIEW user_active_sessions AS
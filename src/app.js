@@ -109,7 +109,15 @@ function createApp(db) {
   app.use(enforceJsonContentType);
   // 15mb so an 8 MB image (client cap) survives ~33% base64 inflation
   // (~10.7 MB) plus JSON field overhead without a 413.
-  app.use(express.json({ limit: '15mb' }));
+  app.use(express.json({
+    limit: '15mb',
+    // Gateways sign the exact bytes they sent, so webhooks keep the raw body
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+        req.rawBody = buf.toString('utf8');
+      }
+    }
+  }));
   app.use(express.urlencoded({ limit: '15mb', extended: true }));
   app.use(cookieParser());
 
@@ -10,6 +10,7 @@ const AdminService = require('../services/adminService');
 const adminService = new AdminService();
 const ValidationUtils = require('../utils/validationUtils');
 const { EmailProvider, EmailTemplateService } = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
 
 const _smtpPort = parseInt(process.env.SMTP_PORT) || 587;
 const emailProvider = new EmailProvider({
@@ -49,10 +50,24 @@ class AdminController {
     this.extendAuction = this.extendAuction.bind(this);
     this.closeForcibly = this.closeForcibly.bind(this);
     this.deleteAuction = this.deleteAuction.bind(this);
+    this.listPendingBids = this.listPendingBids.bind(this);
+    this.approveBid = this.approveBid.bind(this);
+    this.rejectBid = this.rejectBid.bind(this);
+    this.getArtworkBidHistory = this.getArtworkBidHistory.bind(this);
     this.getPaymentById = this.getPaymentById.bind(this);
     this.listPayments = this.listPayments.bind(this);
     this.processRefund = this.processRefund.bind(this);
     this.getPaymentStatistics = this.getPaymentStatistics.bind(this);
+    this.recordOfflinePayment = this.recordOfflinePayment.bind(this);
+    this.getCashDrawer = this.getCashDrawer.bind(this);
+    this.reissueDonationReceipts = this.reissueDonationReceipts.bind(this);
+    this.getSettlements = this.getSettlements.bind(this);
+    this.setSettlementFeeWaiver = this.setSettlementFeeWaiver.bind(this);
+    this.approveSettlement = this.approveSettlement.bind(this);
+    this.exportSettlement = this.exportSettlement.bind(this);
+    this.listWebhookEvents = this.listWebhookEvents.bind(this);
+    this.getWebhookEvent = this.getWebhookEvent.bind(this);
+    this.redriveWebhookEvent = this.redriveWebhookEvent.bind(this);
     this.exportRevenueReport = this.exportRevenueReport.bind(this);
     this.exportActivityReport = this.exportActivityReport.bind(this);
     this.exportPerformanceReport = this.exportPerformanceReport.bind(this);
@@ -62,6 +77,7 @@ class AdminController {
     this.generateCOPPAReport = this.generateCOPPAReport.bind(this);
     this.generateFERPAReport = this.generateFERPAReport.bind(this);
     this.generateCCPAReport = this.generateCCPAReport.bind(this);
+    this.generateBidIntegrityReport = this.generateBidIntegrityReport.bind(this);
     this.getAuditLogs = this.getAuditLogs.bind(this);
     this.getDashboardStats = this.getDashboardStats.bind(this);
     this.getSystemHealth = this.getSystemHealth.bind(this);
@@ -666,6 +682,122 @@ class AdminController {
     }
   }
 
+  /**
+   * ========== BID APPROVAL ENDPOINTS (3 methods) ==========
+   */
+
+  /**
+   * GET /api/admin/bids/pending?auctionId=
+   * List bids awaiting review
+   */
+  async listPendingBids(req, res) {
+    try {
+      const { auctionId } = req.query;
+      const adminId = req.user.id;
+
+      const bids = await adminService.listPendingBids(auctionId || null, adminId);
+
+      return res.status(200).json({
+        success: true,
+        bids,
+        count: bids.length
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * POST /api/admin/bids/:bidId/approve
+   * Approve a pending bid
+   */
+  async approveBid(req, res) {
+    try {
+      const { bidId } = req.params;
+      const adminId = req.user.id;
+
+      const result = await adminService.approveBid(bidId, adminId);
+
+      // Best-effort: the approval is committed whether or not pages hear about it
+      if (result.leaderChanged) {
+        try {
+          realtimeService.broadcastBidUpdate(result.auctionId, {
+            bidId: result.bidId,
+            artworkId: result.artworkId,
+            amount: result.bidAmount
+          });
+          if (result.extension) {
+            realtimeService.broadcastAuctionStatusChange(result.extension.auctionId, 'EXTENDED', {
+              scope: result.extension.scope,
+              artworkId: result.extension.artworkId,
+              endTime: result.extension.endTime,
+              auctionEndTime: result.extension.auctionEndTime
+            });
+          }
+        } catch (broadcastErr) {
+          console.error('[broadcast] approved bid update failed:', broadcastErr.message);
+        }
+      }
+
+      return res.status(200).json({
+        success: true,
+        result
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * POST /api/admin/bids/:bidId/reject
+   * Reject a pending bid
+   */
+  async rejectBid(req, res) {
+    try {
+      const { bidId } = req.params;
+      const { reason } = req.body;
+      const adminId = req.user.id;
+
+      if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_REASON'
+        });
+      }
+
+      const result = await adminService.rejectBid(bidId, reason?.trim() || null, adminId);
+
+      return res.status(200).json({
+        success: true,
+        result
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * GET /api/admin/artwork/:artworkId/bids
+   * Full bid history for a piece, with client IP, user agent and session
+   */
+  async getArtworkBidHistory(req, res) {
+    try {
+      const { artworkId } = req.params;
+      const adminId = req.user.id;
+
+      const history = await adminService.getArtworkBidHistory(artworkId, adminId);
+
+      return res.status(200).json({
+        success: true,
+        artwork: history.artwork,
+        bids: history.bids,
+        count: history.bids.length
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
   /**
    * ========== PAYMENT MANAGEMENT ENDPOINTS (4 methods) ==========
    */
@@ -755,6 +887,199 @@ class AdminController {
     }
   }
 
+  /**
+   * POST /api/admin/artwork/:artworkId/offline-payments
+   * Record a cash, check or school store payment against a win
+   */
+  async recordOfflinePayment(req, res) {
+    try {
+      const { artworkId } = req.params;
+      const { method, amount, checkNumber, receivedByUserId, notes } = req.body;
+      const adminId = req.user.id;
+
+      const payment = await adminService.recordOfflinePayment(
+        artworkId,
+        { method, amount, checkNumber, receivedByUserId, notes },
+        adminId
+      );
+
+      return res.status(201).json({
+        success: true,
+        payment
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * GET /api/admin/auctions/:auctionId/cash-drawer
+   * Offline payment totals per volunteer for end-of-night reconciliation
+   */
+  async getCashDrawer(req, res) {
+    try {
+      const { auctionId } = req.params;
+      const adminId = req.user.id;
+
+      const cashDrawer = await adminService.getCashDrawer(auctionId, adminId);
+
+      return res.status(200).json({
+        success: true,
+        cashDrawer
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * POST /api/admin/receipts/reissue
+   * Re-issue and re-send charity donation receipts for an auction or tax year
+   */
+  async reissueDonationReceipts(req, res) {
+    try {
+      const { auctionId, taxYear } = req.body;
+      const adminId = req.user.id;
+
+      const result = await adminService.reissueDonationReceipts(
+        { auctionId: auctionId || null, taxYear: taxYear ?? null },
+        adminId
+      );
+
+      return res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * GET /api/admin/auctions/:auctionId/settlements
+   * Per-school settlement statements for an ended auction
+   */
+  async getSettlements(req, res) {
+    try {
+      const statements = await adminService.getSettlements(req.params.auctionId, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        statements
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * PUT /api/admin/settlements/:statementId/fee-waiver
+   * Waive or restore the platform fee on a draft statement
+   */
+  async setSettlementFeeWaiver(req, res) {
+    try {
+      const { waived, reason } = req.body;
+      const statement = await adminService.setSettlementFeeWaiver(
+        req.params.statementId,
+        { waived: waived === true, reason },
+        req.user.id
+      );
+
+      return res.status(200).json({
+        success: true,
+        statement
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * POST /api/admin/settlements/:statementId/approve
+   * Approve and lock a settlement statement
+   */
+  async approveSettlement(req, res) {
+    try {
+      const statement = await adminService.approveSettlement(req.params.statementId, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Settlement statement approved',
+        statement
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * GET /api/admin/settlements/:statementId/export?format=csv|pdf
+   * Download a settlement statement
+   */
+  async exportSettlement(req, res) {
+    try {
+      const file = await adminService.exportSettlement(req.params.statementId, req.query.format || 'csv', req.user.id);
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+      return res.status(200).send(file.body);
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * GET /api/admin/webhook-events?status=&gateway=&chargeId=&page=&limit=
+   * Stored payment gateway webhook events
+   */
+  async listWebhookEvents(req, res) {
+    try {
+      const { status, gateway, chargeId, page, limit } = req.query;
+      const result = await adminService.listWebhookEvents({ status, gateway, chargeId, page, limit }, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * GET /api/admin/webhook-events/:eventId
+   * One webhook event with its payload and affected transactions
+   */
+  async getWebhookEvent(req, res) {
+    try {
+      const event = await adminService.getWebhookEvent(req.params.eventId, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        event
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
+  /**
+   * POST /api/admin/webhook-events/:eventId/redrive
+   * Process a failed webhook event again
+   */
+  async redriveWebhookEvent(req, res) {
+    try {
+      const event = await adminService.redriveWebhookEvent(req.params.eventId, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        message: event.status === 'FAILED' ? 'Webhook event failed again' : 'Webhook event processed',
+        event
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
   /**
    * GET /api/admin/payments/statistics
    * Get payment statistics
@@ -968,6 +1293,32 @@ class AdminController {
     }
   }
 
+  /**
+   * GET /api/admin/reports/bid-integrity?auctionId=
+   * Shill-bidding / collusion report for one auction
+   */
+  async generateBidIntegrityReport(req, res) {
+    try {
+      const { auctionId } = req.query;
+
+      if (!auctionId) {
+        return res.status(400).json({
+          success: false,
+          error: 'AUCTION_ID_REQUIRED'
+        });
+      }
+
+      const report = await adminService.generateBidIntegrityReport(auctionId, req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        report
+      });
+    } catch (error) {
+      return this.handleError(error, res);
+    }
+  }
+
   /**
    * ========== AUDIT LOG & DASHBOARD ENDPOINTS (3 methods) ==========
    */
@@ -1075,6 +1426,10 @@ class AdminController {
       'USER_NOT_FOUND': { status: 404, message: 'User not found' },
       'AUCTION_NOT_FOUND': { status: 404, message: 'Auction not found' },
       'PAYMENT_NOT_FOUND': { status: 404, message: 'Payment not found' },
+      'BID_NOT_FOUND': { status: 404, message: 'Bid not found' },
+      'ARTWORK_NOT_FOUND': { status: 404, message: 'Artwork not found' },
+      'BID_NOT_PENDING': { status: 409, message: 'Bid has already been reviewed' },
+      'BIDDING_CLOSED': { status: 400, message: 'Bidding on this artwork has closed' },
       'INSUFFICIENT_PERMISSIONS': { status: 403, message: 'Insufficient permissions' },
       'CROSS_SCHOOL_ACCESS_DENIED': { status: 403, message: 'Cross-school access denied' },
       'INVALID_ROLE': { status: 400, message: 'Invalid role' },
@@ -1089,7 +1444,25 @@ class AdminController {
       'EMAIL_ALREADY_IN_USE': { status: 409, message: 'Email address is already in use by another account' },
       'NO_FIELDS_TO_UPDATE': { status: 400, message: 'No fields provided to update' },
       'CANNOT_DELETE_SELF': { status: 400, message: 'You cannot delete your own account' },
-      'CANNOT_DELETE_SITE_ADMIN': { status: 403, message: 'Site admin accounts cannot be deleted' }
+      'CANNOT_DELETE_SITE_ADMIN': { status: 403, message: 'Site admin accounts cannot be deleted' },
+      'WIN_NOT_FOUND': { status: 404, message: 'This piece has no winning bid' },
+      'ALREADY_PAID': { status: 409, message: 'This piece has already been paid for' },
+      'INVALID_PAYMENT_METHOD': { status: 400, message: 'Payment method must be CASH, CHECK or SCHOOL_STORE' },
+      'CHECK_NUMBER_REQUIRED': { status: 400, message: 'A check number is required for check payments' },
+      'INVALID_AMOUNT': { status: 400, message: 'Amount must be a positive dollar amount' },
+      'RECEIVER_NOT_FOUND': { status: 400, message: 'The volunteer who received the payment was not found' },
+      'REISSUE_SCOPE_REQUIRED': { status: 400, message: 'Choose an auction or a tax year to re-issue' },
+      'INVALID_TAX_YEAR': { status: 400, message: 'Tax year must be a four-digit year' },
+      'NOT_CHARITY_AUCTION': { status: 400, message: 'This auction has no charity beneficiary, so it issues no donation receipts' },
+      'AUCTION_NOT_ENDED': { status: 409, message: 'Settlement statements are available once the auction has ended' },
+      'STATEMENT_NOT_FOUND': { status: 404, message: 'Settlement statement not found' },
+      'STATEMENT_LOCKED': { status: 409, message: 'This settlement statement has been approved and can no longer change' },
+      'FEE_NOT_WAIVABLE': { status: 400, message: 'The platform fee for this auction cannot be waived' },
+      'WAIVER_REASON_REQUIRED': { status: 400, message: 'A reason is required to waive the platform fee' },
+      'INVALID_EXPORT_FORMAT': { status: 400, message: 'Export format must be csv or pdf' },
+      'INVALID_EVENT_STATUS': { status: 400, message: 'Unknown webhook event status' },
+      'EVENT_NOT_FOUND': { status: 404, message: 'Webhook event not found' },
+      'EVENT_NOT_REDRIVABLE': { status: 409, message: 'Only failed webhook events can be re-driven' }
     };
 
     const errorType = error.message;
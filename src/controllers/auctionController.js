@@ -9,6 +9,112 @@ const { pool } = require('../models/index');
 const { schoolCanManage } = require('../utils/auctionTenancy');
 const roleHierarchyUtils = require('../utils/roleHierarchyUtils');
 const { publicArtistName } = require('../utils/piiUtils');
+const paddleService = require('../services/paddleService');
+const catalogService = require('../services/catalogService');
+const auctionTemplateService = require('../services/auctionTemplateService');
+const auctionInviteService = require('../services/auctionInviteService');
+const jointAuctionService = require('../services/jointAuctionService');
+const artworkSearchService = require('../services/artworkSearchService');
+const fundANeedService = require('../services/fundANeedService');
+const realtimeService = require('../services/realtimeService');
+const { parseSearchFilters } = require('../utils/artworkFacets');
+const { requestContext } = require('../utils/requestContext');
+
+/** paddleService error codes → HTTP status; anything else (e.g. bid validation) is a 400 */
+const PADDLE_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: 404,
+  PADDLE_NOT_FOUND: 404,
+  INSUFFICIENT_PERMISSIONS: 403,
+  CROSS_SCHOOL_ACCESS_DENIED: 403,
+  AUCTION_CLOSED: 409
+};
+
+/** auctionTemplateService error codes → HTTP status; createAuction validation is a 400 */
+const TEMPLATE_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: 404,
+  TEMPLATE_NOT_FOUND: 404,
+  INSUFFICIENT_PERMISSIONS: 403,
+  CROSS_SCHOOL_ACCESS_DENIED: 403,
+  SOURCE_AUCTION_NOT_ENDED: 409,
+  NO_PAYMENT_GATEWAY: 409
+};
+
+/** auctionInviteService error codes → HTTP status; bad input is a 400 */
+const INVITE_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: 404,
+  INVITATION_NOT_FOUND: 404,
+  INVITE_CODE_NOT_FOUND: 404,
+  INVITE_CODE_INVALID: 404,
+  INSUFFICIENT_PERMISSIONS: 403,
+  CROSS_SCHOOL_ACCESS_DENIED: 403,
+  INVITE_CODE_USED_UP: 409
+};
+
+/** jointAuctionService error codes → HTTP status; bad input is a 400 */
+const PARTNER_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: 404,
+  SCHOOL_NOT_FOUND: 404,
+  PARTNER_INVITATION_NOT_FOUND: 404,
+  INSUFFICIENT_PERMISSIONS: 403,
+  AUCTION_NOT_EDITABLE: 409,
+  PARTNER_ALREADY_INVITED: 409,
+  PARTNER_ALREADY_RESPONDED: 409,
+  PARTNER_HAS_ARTWORK: 409
+};
+
+/** artworkSearchService error codes → HTTP status */
+const SEARCH_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: 404,
+  INVALID_SEARCH_FILTER: 400
+};
+
+/** fundANeedService / clerk pledge error codes → HTTP status */
+const FUND_A_NEED_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: 404,
+  FUND_A_NEED_NOT_FOUND: 404,
+  PADDLE_NOT_FOUND: 404,
+  INSUFFICIENT_PERMISSIONS: 403,
+  CROSS_SCHOOL_ACCESS_DENIED: 403,
+  AUCTION_CLOSED: 409,
+  FUND_A_NEED_CLOSED: 409,
+  INVALID_TITLE: 400,
+  INVALID_GIVING_LEVELS: 400,
+  INVALID_GIVING_LEVEL: 400,
+  INVALID_GOAL_AMOUNT: 400
+};
+
+/**
+ * Push a Fund-a-Need item's new running total to the projector screen.
+ * Only the paddle number and amount of the pledge are shown, never a name.
+ */
+function broadcastPledge(auctionId, { pledge, totals }) {
+  realtimeService.broadcastFundANeedUpdate(auctionId, {
+    ...totals,
+    lastPledge: { amount: pledge.amount, paddleNumber: pledge.paddleNumber }
+  });
+}
+
+/**
+ * Flag the INVITED_ONLY auctions the viewer is a guest of, so
+ * canViewAuction can show them to that viewer.
+ */
+async function withViewerInvites(user, auctions) {
+  if (!user || !auctions.some(a => a.visibility === 'INVITED_ONLY')) {
+    return auctions;
+  }
+  const invited = await auctionInviteService.invitedAuctionIds(user.id);
+  return auctions.map(a => (a.visibility === 'INVITED_ONLY'
+    ? { ...a, viewerInvited: invited.has(a.id || a.auctionId) }
+    : a));
+}
+
+function sendServiceError(res, error, context, statusMap = PADDLE_ERROR_STATUS) {
+  const status = statusMap[error.message];
+  if (!status) {
+    console.error(`Error ${context}:`, error);
+  }
+  return res.status(status || 400).json({ success: false, message: error.message });
+}
 
 class AuctionController {
   /**
@@ -17,7 +123,7 @@ class AuctionController {
    */
   async createAuction(req, res) {
     try {
-      const { title, description, schoolId, charityBeneficiaryName, startTime, endTime, platformFeePercentage, autoExtendMinutes, artworkIds, paymentGatewayId } = req.body;
+      const { title, description, schoolId, charityBeneficiaryName, startTime, endTime, platformFeePercentage, autoExtendMinutes, artworkIds, paymentGatewayId, bidIncrements, artworkBidIncrements, artworkClosingTimes, softCloseScope, buyNowCutoffPercent, artworkBuyNowPrices, requireApprovalForBids, paymentGraceHours, secondChanceOfferHours, visibility, charityWebsiteUrl } = req.body;
 
       // Validate user role
       if (!['SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'].includes(req.user?.role)) {
@@ -84,7 +190,18 @@ class AuctionController {
         autoExtendMinutes,
         artworkIds,
         createdByUserId: req.user.id,
-        paymentGatewayId: resolvedGatewayId
+        paymentGatewayId: resolvedGatewayId,
+        bidIncrements,
+        artworkBidIncrements,
+        artworkClosingTimes,
+        softCloseScope,
+        buyNowCutoffPercent,
+        artworkBuyNowPrices,
+        requireApprovalForBids,
+        paymentGraceHours,
+        secondChanceOfferHours,
+        visibility,
+        charityWebsiteUrl
       });
 
       return res.status(201).json(result);
@@ -96,6 +213,12 @@ class AuctionController {
           message: 'One or more selected artworks do not belong to your school'
         });
       }
+      if (error.message === 'ARTWORK_NOT_IN_AUCTION') {
+        return res.status(400).json({
+          success: false,
+          message: 'Per-artwork settings can only be changed for artwork in this auction'
+        });
+      }
       return res.status(400).json({
         success: false,
         message: error.message || 'Error creating auction'
@@ -135,13 +258,13 @@ class AuctionController {
       const artworkResult = await pool.query(
         `SELECT aw.id, aw.title, aw.image_url, aw.medium,
                 aw.dimensions_width_cm, aw.dimensions_height_cm,
-                aw.starting_bid_amount,
+                aw.starting_bid_amount, aw.artwork_status,
                 (SELECT MAX(bid_amount) FROM bids
                  WHERE artwork_id = aw.id AND bid_status = 'ACTIVE') AS current_high_bid
          FROM   artwork aw
          WHERE  aw.auction_id = $1
            AND  aw.deleted_at IS NULL
-           AND  aw.artwork_status = 'APPROVED'
+           AND  aw.artwork_status IN ('APPROVED', 'SOLD')
          ORDER  BY aw.created_at ASC`,
         [auctionId]
       );
@@ -171,7 +294,8 @@ class AuctionController {
             : null,
           startingPrice: aw.starting_bid_amount,
           currentBid: aw.current_high_bid || null,
-          bidCount: null
+          bidCount: null,
+          sold: aw.artwork_status === 'SOLD'
         }))
       });
     } catch (error) {
@@ -184,13 +308,16 @@ class AuctionController {
    * GET /api/auctions/carousel
    * Returns up to 20 approved artwork items with images for the homepage carousel.
    * Public — no auth required. Order is randomised per request.
+   * Pieces in invite-only auctions are never shown.
    */
   async getCarouselArtwork(req, res) {
     try {
       const result = await pool.query(
         `SELECT aw.id, aw.title, aw.artist_name, aw.medium, aw.image_url, aw.auction_id
          FROM   artwork aw
+         LEFT JOIN auctions au ON au.id = aw.auction_id
          WHERE  aw.artwork_status = 'APPROVED'
+           AND  au.visibility IS DISTINCT FROM 'INVITED_ONLY'
            AND  aw.image_url IS NOT NULL
            AND  aw.deleted_at IS NULL
          ORDER  BY RANDOM()
@@ -231,8 +358,10 @@ class AuctionController {
       // edit-prefill flow 403s on drafts the owner is explicitly allowed to
       // edit (see updateAuction / canEditAuction). Gallery visibility rules
       // still apply to everyone else.
+      // requireAuctionAccess has already checked an invite-only guest list.
       const isOwner = !!(req.user?.id && result?.createdBy && req.user.id === result.createdBy);
-      if (!isOwner && !roleHierarchyUtils.canViewAuction(req.user, result)) {
+      const viewable = { ...result, viewerInvited: req.auctionAccessGranted === true };
+      if (!isOwner && !roleHierarchyUtils.canViewAuction(req.user, viewable)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to view this auction'
@@ -306,6 +435,12 @@ class AuctionController {
       return res.status(200).json(result);
     } catch (error) {
       console.error('Error updating auction:', error);
+      if (error.message === 'ARTWORK_NOT_IN_AUCTION') {
+        return res.status(400).json({
+          success: false,
+          message: 'Per-artwork settings can only be changed for artwork in this auction'
+        });
+      }
       return res.status(400).json({
         success: false,
         message: error.message || 'Error updating auction'
@@ -494,6 +629,7 @@ class AuctionController {
    * - SCHOOL_ADMIN: own school only
    * - TEACHER: approved auctions in own school
    * - STUDENT/BIDDER: approved auctions in own school
+   * - INVITED_ONLY: staff of the school and guests only
    */
   async listAuctions(req, res) {
     try {
@@ -513,12 +649,13 @@ class AuctionController {
       if (req.user) {
         filteredAuctions = roleHierarchyUtils.filterAuctionsByRole(
           req.user,
-          result.auctions || []
+          await withViewerInvites(req.user, result.auctions || [])
         );
       } else {
-        // Unauthenticated public access: show only APPROVED/LIVE auctions
+        // Unauthenticated public access: show only APPROVED/LIVE auctions,
+        // never invite-only ones
         filteredAuctions = (result.auctions || []).filter(a =>
-          ['APPROVED', 'LIVE'].includes(a.auction_status || a.status)
+          ['APPROVED', 'LIVE'].includes(a.auction_status || a.status) && a.visibility !== 'INVITED_ONLY'
         );
       }
 
@@ -537,13 +674,42 @@ class AuctionController {
     }
   }
 
+  /**
+   * GET /api/auctions/artwork/search
+   * Full-text search and faceted browsing across the pieces of every
+   * auction the viewer may see (the same role rules as listAuctions), or of
+   * one auction with ?auctionId=. Returns a page of pieces and facet counts.
+   */
+  async searchArtwork(req, res) {
+    try {
+      const filters = parseSearchFilters(req.query);
+      const candidates = await artworkSearchService.searchableAuctions();
+      let visible = req.user
+        ? roleHierarchyUtils.filterAuctionsByRole(req.user, await withViewerInvites(req.user, candidates))
+        : candidates.filter(a => a.visibility !== 'INVITED_ONLY');
+      if (filters.auctionId) {
+        visible = visible.filter(a => a.id === filters.auctionId);
+        if (visible.length === 0) {
+          throw new Error('AUCTION_NOT_FOUND');
+        }
+      }
+
+      const result = await artworkSearchService.search(visible.map(a => a.id), filters);
+      return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'searching artwork', SEARCH_ERROR_STATUS);
+    }
+  }
+
   /**
    * GET /api/auctions/active/list
-   * Get all currently active auctions
+   * Get all currently active auctions (invite-only ones to staff and guests only)
    */
   async getActiveAuctions(req, res) {
     try {
-      const result = await auctionService.getActiveAuctions();
+      const active = await auctionService.getActiveAuctions();
+      const result = (await withViewerInvites(req.user, active))
+        .filter(a => roleHierarchyUtils.canSeeInviteOnlyAuction(req.user, a));
 
       return res.status(200).json({
         success: true,
@@ -701,6 +867,9 @@ class AuctionController {
         startingPrice: piece.starting_bid_amount,
         currentBid: piece.current_bid,
         bidCount: parseInt(piece.bid_count),
+        closesAt: piece.closes_at || null,
+        buyNowPrice: piece.buy_now_price || null,
+        sold: piece.artwork_status === 'SOLD',
         artistName: publicArtistName(piece.artist_name)
         // createdByUserId removed from public response (child-safety: Task 5)
       }));
@@ -718,6 +887,506 @@ class AuctionController {
       });
     }
   }
+
+  /**
+   * POST /api/auctions/:auctionId/paddles/me
+   * Register the caller as a bidder, assigning their paddle number
+   * Access: any authenticated user
+   */
+  async registerPaddle(req, res) {
+    try {
+      const paddle = await paddleService.registerBidder(req.params.auctionId, req.user.id);
+      return res.status(paddle.created ? 201 : 200).json({ success: true, paddle });
+    } catch (error) {
+      return sendServiceError(res, error, 'registering paddle');
+    }
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/paddles/me
+   * The caller's paddle number, if registered
+   */
+  async getMyPaddle(req, res) {
+    try {
+      const paddle = await paddleService.getPaddle(req.params.auctionId, req.user.id);
+      return res.status(200).json({ success: true, paddle });
+    } catch (error) {
+      return sendServiceError(res, error, 'retrieving paddle');
+    }
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/paddles
+   * Every registered paddle, for the clerk's lookup sheet
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async listPaddles(req, res) {
+    try {
+      const paddles = await paddleService.listPaddles(req.params.auctionId, req.user);
+      return res.status(200).json({
+        success: true,
+        paddles: paddles.map(row => ({
+          paddleNumber: row.paddle_number,
+          userId: row.user_id,
+          firstName: row.first_name,
+          lastName: row.last_name,
+          guest: row.is_guest,
+          registeredAt: row.created_at
+        }))
+      });
+    } catch (error) {
+      return sendServiceError(res, error, 'listing paddles');
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/paddles
+   * Register a walk-in at the door; creates a guest bidder when the email
+   * doesn't match an account
+   * Body: { firstName, lastName?, email?, phoneNumber? }
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async registerWalkIn(req, res) {
+    try {
+      const { firstName, lastName, email, phoneNumber } = req.body || {};
+      const paddle = await paddleService.registerWalkIn(
+        req.params.auctionId,
+        {
+          firstName: firstName ? String(firstName).trim() : null,
+          lastName: lastName ? String(lastName).trim() : null,
+          email: email ? String(email).trim().toLowerCase() : null,
+          phoneNumber: phoneNumber ? String(phoneNumber).trim() : null
+        },
+        req.user
+      );
+      return res.status(paddle.created ? 201 : 200).json({ success: true, paddle });
+    } catch (error) {
+      return sendServiceError(res, error, 'registering walk-in');
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/clerk-bids
+   * Key in a paper bid-sheet bid for a paddle number
+   * Body: { paddleNumber, artworkId, bidAmount }
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async placeClerkBid(req, res) {
+    try {
+      const { paddleNumber, artworkId, bidAmount } = req.body || {};
+      const paddle = parseInt(paddleNumber, 10);
+      const amount = parseFloat(bidAmount);
+
+      if (!artworkId || !Number.isInteger(paddle) || paddle <= 0 || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'paddleNumber, artworkId and a positive bidAmount are required'
+        });
+      }
+
+      const result = await paddleService.placeClerkBid(
+        req.params.auctionId,
+        { paddleNumber: paddle, artworkId, bidAmount: amount },
+        req.user,
+        requestContext(req)
+      );
+      return res.status(201).json(result);
+    } catch (error) {
+      return sendServiceError(res, error, 'placing clerk bid');
+    }
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/fund-a-need
+   * Fund-a-Need items with their giving levels and running totals
+   * Access: Authenticated users who can see the auction
+   */
+  async listFundANeedItems(req, res) {
+    try {
+      const items = await fundANeedService.listItems(req.params.auctionId);
+      return res.json({ success: true, items });
+    } catch (error) {
+      return sendServiceError(res, error, 'listing Fund-a-Need items', FUND_A_NEED_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/fund-a-need
+   * Body: { title, description?, givingLevels: number[], goalAmount? }
+   * Access: site_admin, school_admin (own school)
+   */
+  async createFundANeedItem(req, res) {
+    try {
+      const { title, description, givingLevels, goalAmount } = req.body || {};
+      const item = await fundANeedService.createItem(
+        req.params.auctionId,
+        { title, description, givingLevels, goalAmount },
+        req.user
+      );
+      return res.status(201).json({ success: true, item });
+    } catch (error) {
+      return sendServiceError(res, error, 'creating Fund-a-Need item', FUND_A_NEED_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/fund-a-need/:itemId/pledges
+   * Body: { amount } — one of the item's giving levels
+   * Access: Authenticated users who can see the auction
+   */
+  async pledgeFundANeed(req, res) {
+    try {
+      const amount = parseFloat(req.body?.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({ success: false, message: 'A positive amount is required' });
+      }
+      const result = await fundANeedService.pledge(req.params.auctionId, req.params.itemId, req.user.id, amount);
+      broadcastPledge(req.params.auctionId, result);
+      return res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'pledging to Fund-a-Need item', FUND_A_NEED_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/fund-a-need/:itemId/clerk-pledges
+   * Clerk entry: record a raised paddle at a giving level
+   * Body: { paddleNumber, amount }
+   * Access: site_admin, school_admin, teacher
+   */
+  async placeClerkPledge(req, res) {
+    try {
+      const paddle = parseInt(req.body?.paddleNumber, 10);
+      const amount = parseFloat(req.body?.amount);
+      if (!Number.isInteger(paddle) || paddle <= 0 || !Number.isFinite(amount) || amount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'paddleNumber and a positive amount are required'
+        });
+      }
+      const result = await paddleService.placeClerkPledge(
+        req.params.auctionId,
+        { paddleNumber: paddle, itemId: req.params.itemId, amount },
+        req.user
+      );
+      broadcastPledge(req.params.auctionId, result);
+      return res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'placing clerk pledge', FUND_A_NEED_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/fund-a-need/:itemId/close
+   * Stop taking pledges on an item
+   * Access: site_admin, school_admin (own school)
+   */
+  async closeFundANeedItem(req, res) {
+    try {
+      await fundANeedService.closeItem(req.params.auctionId, req.params.itemId, req.user);
+      return res.json({ success: true, message: 'Fund-a-Need item closed' });
+    } catch (error) {
+      return sendServiceError(res, error, 'closing Fund-a-Need item', FUND_A_NEED_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * GET /api/auctions/templates/list
+   * Saved auction templates (own school; SITE_ADMIN may pass ?schoolId=)
+   * Access: site_admin, school_admin, teacher
+   */
+  async listTemplates(req, res) {
+    try {
+      const templates = await auctionTemplateService.listTemplates(req.user, req.query.schoolId || null);
+      return res.json({ success: true, templates });
+    } catch (error) {
+      return sendServiceError(res, error, 'listing auction templates', TEMPLATE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/template
+   * Save this auction's settings as a named template
+   * Body: { name }
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async saveTemplate(req, res) {
+    try {
+      const template = await auctionTemplateService.saveTemplate(req.params.auctionId, req.body?.name, req.user);
+      return res.status(201).json({ success: true, template });
+    } catch (error) {
+      return sendServiceError(res, error, 'saving auction template', TEMPLATE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * DELETE /api/auctions/templates/:templateId
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async deleteTemplate(req, res) {
+    try {
+      await auctionTemplateService.deleteTemplate(req.params.templateId, req.user);
+      return res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+      return sendServiceError(res, error, 'deleting auction template', TEMPLATE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/templates/:templateId/auctions
+   * Create a DRAFT auction from a template
+   * Body: { offsetDays, title? }
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async createFromTemplate(req, res) {
+    try {
+      const { offsetDays, title } = req.body || {};
+      const result = await auctionTemplateService.createFromTemplate(
+        req.params.templateId,
+        { offsetDays: Number(offsetDays), title },
+        req.user
+      );
+      return res.status(201).json(result);
+    } catch (error) {
+      return sendServiceError(res, error, 'creating auction from template', TEMPLATE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/clone
+   * Create a DRAFT auction with this auction's settings
+   * Body: { offsetDays, title?, carryOverUnsold? }
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async cloneAuction(req, res) {
+    try {
+      const { offsetDays, title, carryOverUnsold } = req.body || {};
+      const result = await auctionTemplateService.cloneAuction(
+        req.params.auctionId,
+        { offsetDays: Number(offsetDays), title, carryOverUnsold: carryOverUnsold === true },
+        req.user
+      );
+      return res.status(201).json(result);
+    } catch (error) {
+      return sendServiceError(res, error, 'cloning auction', TEMPLATE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/invitations
+   * Guest list and invite codes
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async listInvitations(req, res) {
+    try {
+      const result = await auctionInviteService.listInvitations(req.params.auctionId, req.user);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'listing auction invitations', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/invitations
+   * Add guests by email and send each new guest an invitation
+   * Body: { emails } — an array, or text separated by commas/newlines
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async addGuests(req, res) {
+    try {
+      const result = await auctionInviteService.addGuests(req.params.auctionId, req.body?.emails, req.user);
+      return res.status(201).json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'adding auction guests', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * DELETE /api/auctions/:auctionId/invitations/:invitationId
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async removeGuest(req, res) {
+    try {
+      await auctionInviteService.removeGuest(req.params.auctionId, req.params.invitationId, req.user);
+      return res.json({ success: true, message: 'Guest removed' });
+    } catch (error) {
+      return sendServiceError(res, error, 'removing auction guest', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/invite-codes
+   * Body: { maxUses?, expiresAt? }
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async createInviteCode(req, res) {
+    try {
+      const { maxUses, expiresAt } = req.body || {};
+      const code = await auctionInviteService.createCode(req.params.auctionId, {
+        maxUses: maxUses === undefined || maxUses === null || maxUses === '' ? null : Number(maxUses),
+        expiresAt: expiresAt || null
+      }, req.user);
+      return res.status(201).json({ success: true, code });
+    } catch (error) {
+      return sendServiceError(res, error, 'creating invite code', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * DELETE /api/auctions/:auctionId/invite-codes/:codeId
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async revokeInviteCode(req, res) {
+    try {
+      await auctionInviteService.revokeCode(req.params.auctionId, req.params.codeId, req.user);
+      return res.json({ success: true, message: 'Invite code revoked' });
+    } catch (error) {
+      return sendServiceError(res, error, 'revoking invite code', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * GET /api/auctions/invites/:code
+   * The auction an invite code opens — public, for the invite landing page
+   */
+  async lookupInviteCode(req, res) {
+    try {
+      const invite = await auctionInviteService.lookupCode(req.params.code);
+      return res.json({ success: true, invite });
+    } catch (error) {
+      return sendServiceError(res, error, 'looking up invite code', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/invites/redeem
+   * Body: { code }
+   * Access: any authenticated user
+   */
+  async redeemInviteCode(req, res) {
+    try {
+      const result = await auctionInviteService.redeem(req.body?.code, req.user.id, requestContext(req));
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'redeeming invite code', INVITE_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * GET /api/auctions/partner-invitations
+   * Joint auctions the user's school has been invited into and not answered
+   * Access: school_admin
+   */
+  async listPartnerInvitations(req, res) {
+    try {
+      const invitations = await jointAuctionService.listPendingInvitations(req.user);
+      return res.json({ success: true, invitations });
+    } catch (error) {
+      return sendServiceError(res, error, 'listing partner invitations', PARTNER_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/partners
+   * Schools in a joint auction with their pieces and proceeds
+   * Access: site_admin, school_admin (host or partner school)
+   */
+  async listPartners(req, res) {
+    try {
+      const result = await jointAuctionService.listPartners(req.params.auctionId, req.user);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return sendServiceError(res, error, 'listing partner schools', PARTNER_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/partners
+   * Body: { schoolId }
+   * Access: site_admin, school_admin (host school)
+   */
+  async invitePartner(req, res) {
+    try {
+      const partner = await jointAuctionService.invitePartner(req.params.auctionId, req.body?.schoolId, req.user);
+      return res.status(201).json({ success: true, partner });
+    } catch (error) {
+      return sendServiceError(res, error, 'inviting partner school', PARTNER_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * POST /api/auctions/:auctionId/partners/respond
+   * Body: { accept, paymentGatewayId?, schoolId? (site_admin only) }
+   * Access: site_admin, school_admin (invited school)
+   */
+  async respondToPartnerInvitation(req, res) {
+    try {
+      const { accept, paymentGatewayId, schoolId } = req.body || {};
+      const partner = await jointAuctionService.respond(req.params.auctionId, req.user, {
+        accept: accept === true,
+        paymentGatewayId: paymentGatewayId || null,
+        schoolId: schoolId || null
+      });
+      return res.json({ success: true, partner });
+    } catch (error) {
+      return sendServiceError(res, error, 'responding to partner invitation', PARTNER_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * DELETE /api/auctions/:auctionId/partners/:schoolId
+   * Access: site_admin, school_admin (host school)
+   */
+  async removePartner(req, res) {
+    try {
+      await jointAuctionService.removePartner(req.params.auctionId, req.params.schoolId, req.user);
+      return res.json({ success: true, message: 'Partner school removed' });
+    } catch (error) {
+      return sendServiceError(res, error, 'removing partner school', PARTNER_ERROR_STATUS);
+    }
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/catalog.pdf
+   * Printable catalog: cover with charity beneficiary, one page per piece
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async getCatalogPdf(req, res) {
+    return this._sendPrintable(req, res, 'catalog');
+  }
+
+  /**
+   * GET /api/auctions/:auctionId/bid-sheets.pdf
+   * One paper bid sheet per piece, each with a QR code to bid online
+   * Access: site_admin, school_admin, teacher (own school)
+   */
+  async getBidSheetsPdf(req, res) {
+    return this._sendPrintable(req, res, 'bid-sheets');
+  }
+
+  /** @private */
+  async _sendPrintable(req, res, kind) {
+    try {
+      const data = await catalogService.loadAuction(req.params.auctionId);
+      if (req.user.role !== 'SITE_ADMIN' && req.user.schoolId !== data.auction.school_id) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to print this auction' });
+      }
+
+      const pdf = kind === 'catalog'
+        ? await catalogService.renderCatalog(data)
+        : await catalogService.renderBidSheets(data);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="auction-${data.auction.id}-${kind}.pdf"`);
+      return res.status(200).send(pdf);
+    } catch (error) {
+      if (error.message === 'AUCTION_NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Auction not found' });
+      }
+      console.error(`Error rendering ${kind} PDF:`, error);
+      return res.status(500).json({ success: false, message: 'Could not generate the PDF' });
+    }
+  }
 }
 
 module.exports = new AuctionController();
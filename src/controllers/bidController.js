@@ -5,6 +5,8 @@
 
 const biddingService = require('../services/biddingService');
 const { pool } = require('../models/index');
+const { resolveIncrementSchedule, nextMinimumBid } = require('../utils/bidIncrements');
+const { requestContext } = require('../utils/requestContext');
 
 class BidController {
   /**
@@ -13,7 +15,7 @@ class BidController {
    */
   async placeBid(req, res) {
     try {
-      const { artworkId, bidAmount } = req.body;
+      const { artworkId, bidAmount, maxAmount } = req.body;
       const userId = req.user?.id;
 
       // Validate token
@@ -39,7 +41,10 @@ class BidController {
         });
       }
 
-      const result = await biddingService.placeBid(artworkId, userId, bidAmount);
+      const result = await biddingService.placeBid(artworkId, userId, bidAmount, {
+        maxAmount,
+        context: requestContext(req)
+      });
 
       return res.status(201).json(result);
     } catch (error) {
@@ -260,7 +265,8 @@ class BidController {
 
       // Get artwork and current bid info
       const result = await pool.query(
-        `SELECT a.starting_bid_amount, au.auction_status, au.ends_at,
+        `SELECT a.starting_bid_amount, a.bid_increment_schedule, au.auction_status, au.ends_at,
+                au.bid_increment_schedule AS auction_bid_increments,
                 (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE') as current_bid
          FROM artwork a
          JOIN auctions au ON a.auction_id = au.id
@@ -289,10 +295,11 @@ class BidController {
         });
       }
 
-      const minIncrement = 10; // $10.00 minimum increment (matches biddingService.js)
+      // Same tiered schedule biddingService.placeBid enforces
+      const schedule = resolveIncrementSchedule(artwork.bid_increment_schedule, artwork.auction_bid_increments);
       const currentBid = artwork.current_bid ? parseFloat(artwork.current_bid) : 0;
       const startingBid = artwork.starting_bid_amount ? parseFloat(artwork.starting_bid_amount) : 0;
-      const minimumBid = currentBid > 0 ? currentBid + minIncrement : startingBid;
+      const minimumBid = nextMinimumBid(schedule, currentBid, startingBid);
 
       if (bidAmount < minimumBid) {
         return res.status(200).json({
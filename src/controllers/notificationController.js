@@ -104,7 +104,7 @@ class NotificationController {
 
       // Validate preference fields
       const validKeys = [
-        'email_outbid', 'email_auction_ending', 'email_winner', 'email_payment', 'email_security',
+        'email_outbid', 'email_auction_ending', 'email_winner', 'email_payment', 'email_security', 'email_watchlist',
         'sms_outbid', 'sms_auction_ending', 'sms_winner'
       ];
 
@@ -6,10 +6,39 @@
  */
 
 const ValidationUtils = require('../utils/validationUtils');
+const { toGatewayType } = require('../services/webhookEventService');
+
+/** Invoice checkout error codes → HTTP status */
+const INVOICE_ERROR_STATUS = {
+  AUCTION_NOT_FOUND: { status: 404, message: 'Auction not found' },
+  NOTHING_TO_PAY: { status: 409, message: 'Nothing left to pay for this auction' },
+  INVOICE_AMOUNT_MISMATCH: { status: 409, message: 'Your invoice has changed. Please review the new total and pay again.' },
+  INVOICE_SPANS_GATEWAYS: { status: 409, message: 'Pieces from this auction are paid to different schools. Please pay each piece separately.' },
+  IDEMPOTENCY_KEY_REUSED: { status: 409, message: 'This payment attempt already failed. Please try again.' }
+};
 
 class PaymentController {
-  constructor(paymentService) {
+  /**
+   * @param {Object} paymentService
+   * @param {Object} [donationReceiptService] - Issues charity tax receipts after a payment
+   * @param {Object} [webhookEventService] - Stores and processes gateway webhook events
+   */
+  constructor(paymentService, donationReceiptService = null, webhookEventService = null) {
     this.paymentService = paymentService;
+    this.donationReceiptService = donationReceiptService;
+    this.webhookEventService = webhookEventService;
+  }
+
+  /**
+   * Issue and email any donation receipts the payment earned (charity
+   * auctions only). Runs after the response; a failure here never affects
+   * the payment.
+   * @private
+   */
+  _issueReceipts(auctionId, userId) {
+    if (!this.donationReceiptService) { return; }
+    setImmediate(() => this.donationReceiptService.issueForDonor(auctionId, userId)
+      .catch(err => console.error('[receipts] issuing after payment failed:', err.message)));
   }
 
   /**
@@ -22,7 +51,7 @@ class PaymentController {
   async processPayment(req, res, next) {
     try {
       // 1. Extract and validate input
-      const { auctionId, amount, paymentToken, description } = req.body;
+      const { auctionId, amount, paymentToken, description, pledgeId } = req.body;
       const userId = req.user.id;
 
       // 2. Validate required fields
@@ -43,6 +72,14 @@ class PaymentController {
         });
       }
 
+      if (pledgeId && !ValidationUtils.validateUUID(pledgeId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pledge ID format',
+          errors: ['pledgeId must be a valid UUID']
+        });
+      }
+
       if (!ValidationUtils.validateAmount(amount)) {
         return res.status(400).json({
           success: false,
@@ -63,11 +100,14 @@ class PaymentController {
         auctionId,
         amount,
         paymentToken,
+        pledgeId: pledgeId || null,
         description: sanitizedDescription,
         idempotencyKey,
         ipAddress: req.ip
       });
 
+      this._issueReceipts(auctionId, userId);
+
       // 7. Return transaction (NO sensitive data like token)
       return res.status(201).json({
         success: true,
@@ -87,6 +127,105 @@ class PaymentController {
     }
   }
 
+  /**
+   * Consolidated invoice: every unpaid piece the user won in an auction, with
+   * platform fees, plus their unpaid Fund-a-Need pledges
+   * GET /api/payments/invoices/:auctionId
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next middleware
+   */
+  async getInvoice(req, res, next) {
+    try {
+      const { auctionId } = req.params;
+      if (!ValidationUtils.validateUUID(auctionId)) {
+        return res.status(400).json({ success: false, message: 'Invalid auction ID format' });
+      }
+
+      const invoice = await this.paymentService.getInvoice(req.user.id, auctionId);
+      return res.json({ success: true, invoice });
+    } catch (error) {
+      return this._invoiceError(res, next, error);
+    }
+  }
+
+  /**
+   * Pay a whole invoice with one charge
+   * POST /api/payments/invoices/:auctionId
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next middleware
+   */
+  async payInvoice(req, res, next) {
+    try {
+      const { auctionId } = req.params;
+      const { amount, paymentToken } = req.body;
+
+      if (!ValidationUtils.validateUUID(auctionId)) {
+        return res.status(400).json({ success: false, message: 'Invalid auction ID format' });
+      }
+      if (amount === undefined || !paymentToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: amount, paymentToken',
+          errors: ['amount is required', 'paymentToken is required']
+        });
+      }
+      if (!ValidationUtils.validateAmount(amount)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment amount',
+          errors: ['amount must be positive and less than $999,999.99']
+        });
+      }
+      const idempotencyKey = req.headers['idempotency-key'];
+      if (idempotencyKey !== undefined && !ValidationUtils.validateUUID(idempotencyKey)) {
+        return res.status(400).json({ success: false, message: 'Idempotency-Key must be a UUID' });
+      }
+
+      const result = await this.paymentService.processPayment({
+        invoice: true,
+        userId: req.user.id,
+        auctionId,
+        amount,
+        paymentToken,
+        idempotencyKey,
+        ipAddress: req.ip
+      });
+
+      this._issueReceipts(auctionId, req.user.id);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Payment processed successfully',
+        data: {
+          invoiceId: result.invoiceId,
+          transactionIds: result.transactionIds,
+          auctionId,
+          amount: result.hammerTotal,
+          platformFee: result.platformFee,
+          pledgeTotal: result.pledgeTotal,
+          totalCharged: result.totalAmount,
+          status: result.status,
+          createdAt: result.timestamp
+        }
+      });
+    } catch (error) {
+      return this._invoiceError(res, next, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _invoiceError(res, next, error) {
+    const mapped = INVOICE_ERROR_STATUS[error.message];
+    if (mapped) {
+      return res.status(mapped.status).json({ success: false, message: mapped.message });
+    }
+    return next(error);
+  }
+
   /**
    * Get payment transaction details
    * GET /api/payments/:transactionId
@@ -235,76 +374,60 @@ class PaymentController {
 
   /**
    * Handle payment gateway webhooks
-   * POST /api/webhooks/payment
-   * Unprotected but signature verified
+   * POST /api/payments/webhooks/payment
+   * Unprotected but signature verified. The event is stored before it is
+   * processed, so a gateway retry is never applied twice and a failed event
+   * can be re-driven later.
    * @param {Object} req - Express request
    * @param {Object} res - Express response
    * @param {Function} next - Express next middleware
    */
   async handleWebhook(req, res, next) {
-    try {
-      // 1. Extract webhook signature from headers
-      const signature = req.headers['x-webhook-signature'];
-      const gateway = req.headers['x-gateway'];
-
-      if (!signature || !gateway) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing webhook signature or gateway header'
-        });
-      }
+    // 1. Which gateway is calling
+    const gatewayType = toGatewayType(req.headers['x-gateway']);
+    if (!gatewayType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing or unknown gateway header'
+      });
+    }
 
-      // 2. Verify webhook signature (must match gateway secret)
-      const isValid = await this.paymentService.verifyWebhookSignature(
-        gateway,
-        signature,
-        req.rawBody || JSON.stringify(req.body)
+    // 2. Verify the signature with that gateway
+    let verified;
+    try {
+      verified = await this.paymentService.verifyWebhook(
+        gatewayType,
+        req.rawBody || JSON.stringify(req.body),
+        req.headers
       );
+    } catch (error) {
+      console.warn(`Webhook verification failed (${gatewayType}):`, error.message);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
 
-      if (!isValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid webhook signature'
-        });
-      }
-
-      // 3. Extract webhook event type and data
-      const { type, data } = req.body;
-
-      if (!type || !data) {
-        return res.status(400).json({
-          success: false,
-          message: 'Missing webhook type or data'
-        });
-      }
-
-      // 4. Process webhook based on type
-      switch (type) {
-        case 'payment.completed':
-          await this.paymentService.handlePaymentCompleted(data);
-          break;
-        case 'payment.failed':
-          await this.paymentService.handlePaymentFailed(data);
-          break;
-        case 'payment.refunded':
-          await this.paymentService.handlePaymentRefunded(data);
-          break;
-        default:
-          // Ignore unknown webhook types
-          break;
-      }
-
-      // 5. Return success to acknowledge webhook
+    // 3. Store, then process. Processing errors stay on the stored event;
+    //    only a failure to store is reported, so the gateway sends it again.
+    try {
+      const { event, duplicate } = await this.webhookEventService.receive(gatewayType, verified);
       return res.json({
         success: true,
-        message: 'Webhook processed'
+        message: duplicate ? 'Webhook already received' : 'Webhook processed',
+        data: { eventId: event.eventId, status: event.status, duplicate }
       });
     } catch (error) {
-      // Don't expose errors to gateway - just log and acknowledge
-      console.error('Webhook processing error:', error);
-      return res.json({
-        success: true,
-        message: 'Webhook acknowledged'
+      if (error.message === 'INVALID_WEBHOOK_EVENT') {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing webhook event id or type'
+        });
+      }
+      console.error('Webhook storage error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Webhook could not be recorded'
       });
     }
   }
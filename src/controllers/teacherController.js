@@ -8,6 +8,9 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const ValidationUtils = require('../utils/validationUtils');
 const { pool } = require('../models/index');
+const auctionService = require('../services/auctionService');
+const artworkSearchService = require('../services/artworkSearchService');
+const { pieceSchoolSql } = require('../utils/auctionTenancy');
 const { EmailProvider, EmailTemplateService, getSharedEmailProvider, notifyArtworkStatusChanged } = require('../services/notificationService');
 
 const _smtpPort = Number.parseInt(process.env.SMTP_PORT, 10) || 587;
@@ -297,7 +300,8 @@ class TeacherController {
   }
 
   /**
-     * Get artwork submissions for teacher's school
+     * Get artwork submissions for teacher's school, including its students'
+     * pieces in joint auctions hosted by another school
      * @param {Request} req - Express request
      * @param {Response} res - Express response
      */
@@ -311,7 +315,10 @@ class TeacherController {
                         aw.artwork_status AS status,
                         aw.rejection_reason AS "rejectionReason",
                         aw.starting_bid_amount AS "startingBid",
-                        aw.description, aw.created_at AS "submittedAt",
+                        aw.buy_now_price AS "buyNowPrice",
+                        aw.description, aw.artist_statement AS "artistStatement",
+                        aw.created_at AS "submittedAt",
+                        ARRAY(SELECT t.tag FROM artwork_tags t WHERE t.artwork_id = aw.id ORDER BY t.tag) AS tags,
                         aw.dimensions_width_cm AS width,
                         aw.dimensions_height_cm AS height,
                         u.first_name || ' ' || COALESCE(u.last_name, '') AS "studentName",
@@ -320,7 +327,7 @@ class TeacherController {
                  FROM   artwork aw
                  JOIN   auctions a ON a.id = aw.auction_id
                  JOIN   users    u ON u.id = aw.created_by_user_id
-                 WHERE  a.school_id = $1
+                 WHERE  ${pieceSchoolSql('aw', 'a')} = $1
                    AND  aw.deleted_at IS NULL
                    AND  aw.artwork_status IN ('SUBMITTED','PENDING_APPROVAL','APPROVED','REJECTED')
                  ORDER  BY aw.created_at DESC`,
@@ -344,7 +351,7 @@ class TeacherController {
       const teacherId = req.user.id;
 
       // Optional pricing — validate BEFORE any DB access so bad input costs no round-trip
-      const { startingBid, reserve } = req.body || {};
+      const { startingBid, reserve, buyNowPrice } = req.body || {};
 
       if (startingBid !== undefined && startingBid !== null) {
         if (typeof startingBid !== 'number' || !Number.isFinite(startingBid) || startingBid < 0) {
@@ -359,6 +366,13 @@ class TeacherController {
         }
       }
 
+      if (buyNowPrice !== undefined && buyNowPrice !== null) {
+        const minForBuyNow = (startingBid !== undefined && startingBid !== null) ? startingBid : 0;
+        if (typeof buyNowPrice !== 'number' || !Number.isFinite(buyNowPrice) || buyNowPrice <= minForBuyNow) {
+          return res.status(400).json({ success: false, message: 'buyNowPrice must be > startingBid' });
+        }
+      }
+
       const schoolId  = await TeacherController._resolveSchoolId(req.user.id);
 
       const result = await pool.query(
@@ -368,15 +382,16 @@ class TeacherController {
                      approved_by_user_id = $1,
                      updated_at          = NOW(),
                      starting_bid_amount = COALESCE($4, starting_bid_amount),
-                     reserve_bid_amount  = COALESCE($5, reserve_bid_amount)
+                     reserve_bid_amount  = COALESCE($5, reserve_bid_amount),
+                     buy_now_price       = COALESCE($6, buy_now_price)
                  FROM auctions a
                  WHERE aw.auction_id = a.id
                    AND aw.id = $2
-                   AND a.school_id = $3
+                   AND ${pieceSchoolSql('aw', 'a')} = $3
                    AND aw.deleted_at IS NULL
                    AND aw.artwork_status IN ('SUBMITTED','PENDING_APPROVAL')
                  RETURNING aw.id`,
-        [teacherId, id, schoolId, startingBid ?? null, reserve ?? null]
+        [teacherId, id, schoolId, startingBid ?? null, reserve ?? null, buyNowPrice ?? null]
       );
 
       if (result.rowCount === 0) {
@@ -423,6 +438,31 @@ class TeacherController {
     }
   }
 
+  /**
+     * Replace the browsing tags on a piece from the teacher's school.
+     * PUT /api/teacher/submissions/:id/tags
+     * Body: { tags: ['portrait', 'charcoal'] }
+     */
+  static async setSubmissionTags(req, res) {
+    try {
+      const schoolId = await TeacherController._resolveSchoolId(req.user.id);
+      const tags = await artworkSearchService.setTags(req.params.id, req.body?.tags, schoolId, req.user.id);
+      return res.json({ success: true, tags });
+    } catch (error) {
+      if (error.message === 'ARTWORK_NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Submission not found' });
+      }
+      if (error.message === 'INVALID_TAG' || error.message === 'TOO_MANY_TAGS') {
+        return res.status(400).json({
+          success: false,
+          message: 'Tags must be 1-40 letters, numbers, spaces or hyphens, at most 20 per piece'
+        });
+      }
+      logger.error('Set submission tags error', { error: error.message, userId: req.user?.id });
+      return res.status(500).json({ success: false, message: 'Error saving tags' });
+    }
+  }
+
   /**
      * Reject an artwork submission.
      * PUT /api/teacher/submissions/:id/reject
@@ -442,7 +482,7 @@ class TeacherController {
                  FROM auctions a
                  WHERE aw.auction_id = a.id
                    AND aw.id = $2
-                   AND a.school_id = $3
+                   AND ${pieceSchoolSql('aw', 'a')} = $3
                    AND aw.deleted_at IS NULL
                    AND aw.artwork_status IN ('SUBMITTED','PENDING_APPROVAL')
                  RETURNING aw.id`,
@@ -494,6 +534,88 @@ class TeacherController {
     }
   }
 
+  /**
+     * List lots in the teacher's school that closed under their reserve and
+     * are waiting for an accept/release decision.
+     * GET /api/teacher/reserve-decisions
+     */
+  static async getReserveDecisions(req, res) {
+    try {
+      const schoolId = await TeacherController._resolveSchoolId(req.user.id);
+
+      const result = await pool.query(
+        `SELECT aw.id, aw.title, aw.artist_name AS "artistName",
+                        aw.reserve_bid_amount AS "reservePrice",
+                        a.id AS "auctionId", a.title AS "auctionTitle",
+                        b.bid_amount AS "topBid", b.placed_at AS "topBidAt",
+                        u.first_name || ' ' || COALESCE(u.last_name, '') AS "topBidderName"
+                 FROM   artwork aw
+                 JOIN   auctions a ON a.id = aw.auction_id
+                 LEFT JOIN LATERAL (
+                   SELECT bid_amount, placed_at, placed_by_user_id FROM bids
+                   WHERE  artwork_id = aw.id AND bid_status = 'ACTIVE'
+                   ORDER  BY bid_amount DESC, placed_at ASC LIMIT 1
+                 ) b ON true
+                 LEFT JOIN users u ON u.id = b.placed_by_user_id
+                 WHERE  ${pieceSchoolSql('aw', 'a')} = $1
+                   AND  aw.deleted_at IS NULL
+                   AND  aw.reserve_status = 'PENDING_DECISION'
+                 ORDER  BY aw.finalized_at ASC`,
+        [schoolId]
+      );
+
+      return res.json({ success: true, data: result.rows });
+    } catch (error) {
+      logger.error('Get reserve decisions error', { error: error.message, userId: req.user?.id });
+      return res.status(500).json({ success: false, message: 'Error fetching reserve decisions' });
+    }
+  }
+
+  /**
+     * Accept the top bid on a lot that missed its reserve, or release it unsold.
+     * POST /api/teacher/reserve-decisions/:id
+     * Body: { decision: 'ACCEPT' | 'RELEASE' }
+     */
+  static async decideReserve(req, res) {
+    try {
+      const { id } = req.params;
+      const { decision } = req.body || {};
+
+      if (!['ACCEPT', 'RELEASE'].includes(decision)) {
+        return res.status(400).json({ success: false, message: 'decision must be ACCEPT or RELEASE' });
+      }
+
+      const schoolId = await TeacherController._resolveSchoolId(req.user.id);
+      if (!schoolId) {
+        return res.status(403).json({ success: false, message: 'No school assigned' });
+      }
+
+      const result = await auctionService.resolveReserveDecision(id, {
+        accept: decision === 'ACCEPT',
+        decidedByUserId: req.user.id,
+        schoolId
+      });
+
+      return res.json({
+        success: true,
+        data: result,
+        message: decision === 'ACCEPT' ? 'Top bid accepted' : 'Artwork released unsold'
+      });
+    } catch (error) {
+      if (error.message === 'Artwork not found') {
+        return res.status(404).json({ success: false, message: 'Artwork not found' });
+      }
+      if (error.message === 'RESERVE_DECISION_NOT_PENDING') {
+        return res.status(409).json({ success: false, message: 'This artwork is not awaiting a reserve decision' });
+      }
+      if (error.message === 'RESERVE_DECISION_NO_BID') {
+        return res.status(409).json({ success: false, message: 'There is no bid to accept' });
+      }
+      logger.error('Reserve decision error', { error: error.message, userId: req.user?.id });
+      return res.status(500).json({ success: false, message: 'Error recording reserve decision' });
+    }
+  }
+
   /**
      * Get auctions created by teacher
      * @param {Request} req - Express request
@@ -504,7 +626,7 @@ class TeacherController {
       const userId = req.user.id;
 
       const result = await pool.query(
-        `SELECT a.id, a.title, a.description, a.auction_status,
+        `SELECT a.id, a.title, a.description, a.auction_status, a.visibility,
                         a.starts_at, a.ends_at, a.created_at,
                         (SELECT COUNT(*) FROM bids b
                          JOIN artwork aw ON b.artwork_id = aw.id
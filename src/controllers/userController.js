@@ -7,6 +7,8 @@
 
 const crypto = require('crypto');
 const ValidationUtils = require('../utils/validationUtils');
+const auctionInviteService = require('../services/auctionInviteService');
+const { requestContext } = require('../utils/requestContext');
 const { tokenBlacklist } = require('../services/authenticationService');
 const { setRefreshCookie, clearRefreshCookie } = require('../utils/refreshCookie');
 const { setAccessCookie, clearAccessCookie } = require('../utils/accessCookie');
@@ -49,7 +51,7 @@ class UserController {
    */
   async register(req, res, next) {
     try {
-      const { email, password, firstName, lastName, dateOfBirth, parentEmail, schoolId, phone, accountType } = req.body;
+      const { email, password, firstName, lastName, dateOfBirth, parentEmail, schoolId, phone, accountType, inviteCode } = req.body;
 
       // 1. Validate required fields
       if (!email || !password || !firstName) {
@@ -82,11 +84,12 @@ class UserController {
       const sanitizedEmail = ValidationUtils.sanitizeString(email, 254).toLowerCase();
       const sanitizedFirstName = ValidationUtils.sanitizeString(firstName, 100);
 
-      // 5. Determine role based on account type
+      // 5. Determine role based on account type. Someone registering through
+      // an invite-only auction's invite code is always a BIDDER.
       let finalRole = 'STUDENT'; // Default to student
       if (accountType === 'teacher') {
         finalRole = 'TEACHER';
-      } else if (accountType === 'bidder') {
+      } else if (accountType === 'bidder' || inviteCode) {
         finalRole = 'BIDDER';
       }
 
@@ -96,6 +99,10 @@ class UserController {
           return res.status(400).json({ success: false, message: 'Missing required fields', errors: ['lastName'] });
         }
         const sanitizedLastName = ValidationUtils.sanitizeString(lastName, 100);
+        // Check the code before creating the account, so a bad link doesn't leave one behind
+        if (inviteCode) {
+          await auctionInviteService.lookupCode(inviteCode);
+        }
         const user = await this.userModel.create({
           email: sanitizedEmail,
           password,
@@ -106,6 +113,11 @@ class UserController {
           schoolId: null,
           role: 'BIDDER'
         });
+        if (inviteCode) {
+          // Best-effort: the account stands even if the last use of the code went in the meantime
+          await auctionInviteService.redeem(inviteCode, user.id, requestContext(req))
+            .catch(err => console.warn('[register] invite code not redeemed:', err.message));
+        }
         const rawToken = crypto.randomBytes(32).toString('hex');
         const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
         const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
@@ -239,7 +251,9 @@ class UserController {
         'INVALID_LAST_NAME': { status: 400, message: 'Last name must be 2–100 characters' },
         'INVALID_ROLE': { status: 400, message: 'Invalid account type' },
         'INVALID_DATE_OF_BIRTH': { status: 400, message: 'Invalid date of birth' },
-        'COPPA_PARENTAL_CONSENT_REQUIRED': { status: 400, message: 'Parental consent required for users under 13' }
+        'COPPA_PARENTAL_CONSENT_REQUIRED': { status: 400, message: 'Parental consent required for users under 13' },
+        'INVITE_CODE_INVALID': { status: 400, message: 'This invite code is not valid' },
+        'INVITE_CODE_USED_UP': { status: 400, message: 'This invite code has already been used the maximum number of times' }
       };
 
       const mapped = validationErrors[error.message];
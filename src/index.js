@@ -296,6 +296,502 @@ async function startServer() {
         console.warn('⚠️  Gallery comments schema warning:', gcErr.message);
       }
 
+      // Tiered bid increment schedules (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE auctions ADD COLUMN IF NOT EXISTS bid_increment_schedule JSONB');
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS bid_increment_schedule JSONB');
+        console.log('✅ Bid increment schema ready');
+      } catch (incErr) {
+        console.warn('⚠️  Bid increment schema warning:', incErr.message);
+      }
+
+      // Soft close / per-lot close times (idempotent, safe every boot).
+      try {
+        await db.query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS soft_close_scope VARCHAR(10) NOT NULL DEFAULT 'AUCTION'
+          CHECK (soft_close_scope IN ('AUCTION', 'ARTWORK'))`);
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS closes_at TIMESTAMP WITH TIME ZONE');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_artwork_closes_at ON artwork(closes_at) WHERE closes_at IS NOT NULL');
+        console.log('✅ Soft close schema ready');
+      } catch (scErr) {
+        console.warn('⚠️  Soft close schema warning:', scErr.message);
+      }
+
+      // Staggered lot closing (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP WITH TIME ZONE');
+        console.log('✅ Staggered close schema ready');
+      } catch (stErr) {
+        console.warn('⚠️  Staggered close schema warning:', stErr.message);
+      }
+
+      // Buy-It-Now (idempotent, safe every boot).
+      try {
+        await db.query(`ALTER TABLE artwork ADD COLUMN IF NOT EXISTS buy_now_price DECIMAL(10, 2)
+          CHECK (buy_now_price IS NULL OR buy_now_price > 0)`);
+        await db.query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS buy_now_cutoff_percent INTEGER NOT NULL DEFAULT 75
+          CHECK (buy_now_cutoff_percent BETWEEN 1 AND 100)`);
+        console.log('✅ Buy-now schema ready');
+      } catch (bnErr) {
+        console.warn('⚠️  Buy-now schema warning:', bnErr.message);
+      }
+
+      // Bid approval queue (idempotent, safe every boot).
+      // The one place bids_bid_status_check is defined: PENDING/REJECTED for
+      // approval, VOIDED for wins that lapse to a second-chance offer.
+      try {
+        await db.query('ALTER TABLE bids DROP CONSTRAINT IF EXISTS bids_bid_status_check');
+        await db.query(`ALTER TABLE bids ADD CONSTRAINT bids_bid_status_check
+          CHECK (bid_status IN ('PENDING', 'ACTIVE', 'OUTBID', 'ACCEPTED', 'REJECTED', 'CANCELLED', 'VOIDED'))`);
+        await db.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS reviewed_by_user_id UUID REFERENCES users(id)');
+        await db.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE');
+        await db.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS rejection_reason TEXT');
+        await db.query("CREATE INDEX IF NOT EXISTS idx_bids_pending ON bids(auction_id, placed_at) WHERE bid_status = 'PENDING'");
+        console.log('✅ Bid approval schema ready');
+      } catch (baErr) {
+        console.warn('⚠️  Bid approval schema warning:', baErr.message);
+      }
+
+      // Second-chance offers for unpaid wins (idempotent, safe every boot).
+      // VOIDED bids are allowed by the bid approval block above.
+      try {
+        await db.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS won_at TIMESTAMP WITH TIME ZONE');
+        await db.query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS payment_grace_hours INTEGER NOT NULL DEFAULT 72
+          CHECK (payment_grace_hours BETWEEN 1 AND 720)`);
+        await db.query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS second_chance_offer_hours INTEGER NOT NULL DEFAULT 48
+          CHECK (second_chance_offer_hours BETWEEN 1 AND 720)`);
+        await db.query(`CREATE TABLE IF NOT EXISTS second_chance_offers (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+          bid_id UUID NOT NULL REFERENCES bids(id) ON DELETE CASCADE,
+          offered_to_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          offer_amount DECIMAL(10, 2) NOT NULL CHECK (offer_amount > 0),
+          token_hash VARCHAR(64) NOT NULL UNIQUE,
+          offer_status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+            CHECK (offer_status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED')),
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          responded_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_second_chance_artwork ON second_chance_offers(artwork_id)');
+        await db.query("CREATE INDEX IF NOT EXISTS idx_second_chance_pending ON second_chance_offers(expires_at) WHERE offer_status = 'PENDING'");
+        await db.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_second_chance_one_open ON second_chance_offers(artwork_id) WHERE offer_status = 'PENDING'");
+        await db.query("CREATE INDEX IF NOT EXISTS idx_bids_unpaid_wins ON bids(won_at) WHERE bid_status = 'ACCEPTED'");
+        console.log('✅ Second-chance schema ready');
+      } catch (scoErr) {
+        console.warn('⚠️  Second-chance schema warning:', scoErr.message);
+      }
+
+      // Reserve-not-met seller decisions (idempotent, safe every boot).
+      try {
+        await db.query(`ALTER TABLE artwork ADD COLUMN IF NOT EXISTS reserve_status VARCHAR(20)
+          CHECK (reserve_status IN ('PENDING_DECISION', 'ACCEPTED', 'RELEASED'))`);
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS reserve_decided_at TIMESTAMP WITH TIME ZONE');
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS reserve_decided_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL');
+        await db.query("CREATE INDEX IF NOT EXISTS idx_artwork_reserve_pending ON artwork(auction_id) WHERE reserve_status = 'PENDING_DECISION'");
+        console.log('✅ Reserve decision schema ready');
+      } catch (rdErr) {
+        console.warn('⚠️  Reserve decision schema warning:', rdErr.message);
+      }
+
+      // Login session each bid was placed from (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS session_jti VARCHAR(64)');
+        console.log('✅ Bid session column ready');
+      } catch (bsErr) {
+        console.warn('⚠️  Bid session column warning:', bsErr.message);
+      }
+
+      // Paddle numbers and clerk entry for live events (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_guest BOOLEAN NOT NULL DEFAULT FALSE');
+        await db.query('ALTER TABLE bids ADD COLUMN IF NOT EXISTS entered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL');
+        await db.query(`CREATE TABLE IF NOT EXISTS auction_paddles (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          paddle_number INTEGER NOT NULL CHECK (paddle_number > 0),
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          registered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (auction_id, paddle_number),
+          UNIQUE (auction_id, user_id)
+        )`);
+        console.log('✅ Paddle schema ready');
+      } catch (padErr) {
+        console.warn('⚠️  Paddle schema warning:', padErr.message);
+      }
+
+      // Offline bid sync from QR-code artwork pages (idempotent, safe every boot).
+      try {
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_codes_artwork_unique ON qr_codes(artwork_id)');
+        await db.query('ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS offline_nonce VARCHAR(64)');
+        await db.query('ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS bid_id UUID REFERENCES bids(id) ON DELETE SET NULL');
+        await db.query(`ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS sync_status VARCHAR(20)
+          CHECK (sync_status IN ('PENDING', 'ACCEPTED', 'REJECTED'))`);
+        await db.query('ALTER TABLE qr_code_scans ADD COLUMN IF NOT EXISTS sync_message TEXT');
+        await db.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_qr_scans_offline_nonce
+          ON qr_code_scans(scanned_by_user_id, offline_nonce) WHERE offline_nonce IS NOT NULL`);
+        console.log('✅ Offline bid sync schema ready');
+      } catch (obErr) {
+        console.warn('⚠️  Offline bid sync schema warning:', obErr.message);
+      }
+
+      // Auction templates and unsold carry-over (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS auction_templates (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL CHECK (length(trim(name)) > 0),
+          settings JSONB NOT NULL,
+          source_auction_id UUID REFERENCES auctions(id) ON DELETE SET NULL,
+          created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (school_id, name)
+        )`);
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS carried_over_from_artwork_id UUID REFERENCES artwork(id) ON DELETE SET NULL');
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_artwork_carried_over_from
+          ON artwork(carried_over_from_artwork_id) WHERE carried_over_from_artwork_id IS NOT NULL`);
+        console.log('✅ Auction template schema ready');
+      } catch (atErr) {
+        console.warn('⚠️  Auction template schema warning:', atErr.message);
+      }
+
+      // Invite-only auction guest lists and invite codes (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS auction_invite_codes (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          code VARCHAR(32) NOT NULL UNIQUE,
+          max_uses INTEGER CHECK (max_uses IS NULL OR max_uses > 0),
+          use_count INTEGER NOT NULL DEFAULT 0,
+          expires_at TIMESTAMP WITH TIME ZONE,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_auction_invite_codes_auction ON auction_invite_codes(auction_id)');
+        await db.query(`CREATE TABLE IF NOT EXISTS auction_invitations (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          email VARCHAR(255) NOT NULL,
+          user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+          source VARCHAR(20) NOT NULL CHECK (source IN ('GUEST_LIST', 'INVITE_CODE')),
+          invite_code_id UUID REFERENCES auction_invite_codes(id) ON DELETE SET NULL,
+          invited_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          redeemed_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (auction_id, email)
+        )`);
+        await db.query(`CREATE INDEX IF NOT EXISTS idx_auction_invitations_user
+          ON auction_invitations(user_id) WHERE user_id IS NOT NULL`);
+        console.log('✅ Auction invitation schema ready');
+      } catch (aiErr) {
+        console.warn('⚠️  Auction invitation schema warning:', aiErr.message);
+      }
+
+      // Joint multi-school auctions: partner schools and each piece's school (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS auction_partner_schools (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+          partner_status VARCHAR(20) NOT NULL DEFAULT 'INVITED' CHECK (partner_status IN ('INVITED', 'ACCEPTED', 'DECLINED')),
+          payment_gateway_id UUID REFERENCES payment_gateways(id) ON DELETE RESTRICT,
+          invited_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          responded_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          responded_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (auction_id, school_id)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_auction_partner_schools_school ON auction_partner_schools(school_id)');
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id) ON DELETE SET NULL');
+        await db.query(`UPDATE artwork aw SET school_id = a.school_id
+          FROM auctions a
+          WHERE a.id = aw.auction_id AND aw.school_id IS NULL`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_artwork_school_id ON artwork(school_id)');
+        console.log('✅ Joint auction schema ready');
+      } catch (jaErr) {
+        console.warn('⚠️  Joint auction schema warning:', jaErr.message);
+      }
+
+      // Auction-ending reminder claims, one per auction and offset (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS auction_ending_reminders (
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          reminder_minutes INTEGER NOT NULL CHECK (reminder_minutes > 0),
+          recipient_count INTEGER,
+          sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (auction_id, reminder_minutes)
+        )`);
+        console.log('✅ Auction reminder schema ready');
+      } catch (arErr) {
+        console.warn('⚠️  Auction reminder schema warning:', arErr.message);
+      }
+
+      // Watching single pieces, alongside auction_watchlist (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS artwork_watchlist (
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+          last_alerted_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, artwork_id)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_artwork_watchlist_artwork ON artwork_watchlist(artwork_id)');
+        // Watchlist emails honour their own toggle in notification_preferences
+        await db.query(`CREATE TABLE IF NOT EXISTS notification_preferences (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+          email_outbid BOOLEAN DEFAULT true,
+          email_auction_ending BOOLEAN DEFAULT true,
+          email_winner BOOLEAN DEFAULT true,
+          email_payment BOOLEAN DEFAULT true,
+          email_security BOOLEAN DEFAULT true,
+          email_watchlist BOOLEAN DEFAULT true,
+          sms_outbid BOOLEAN DEFAULT false,
+          sms_auction_ending BOOLEAN DEFAULT false,
+          sms_winner BOOLEAN DEFAULT true,
+          unsubscribe_token VARCHAR(255),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.query('ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS email_watchlist BOOLEAN DEFAULT true');
+        console.log('✅ Artwork watchlist schema ready');
+      } catch (awErr) {
+        console.warn('⚠️  Artwork watchlist schema warning:', awErr.message);
+      }
+
+      // Artwork search: artist statement, full-text vector, teacher tags (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE artwork ADD COLUMN IF NOT EXISTS artist_statement TEXT');
+        await db.query(`ALTER TABLE artwork ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+          setweight(to_tsvector('english', coalesce(artist_statement, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(description, '')), 'C')
+        ) STORED`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_artwork_search_vector ON artwork USING GIN (search_vector)');
+        await db.query(`CREATE TABLE IF NOT EXISTS artwork_tags (
+          artwork_id UUID NOT NULL REFERENCES artwork(id) ON DELETE CASCADE,
+          tag VARCHAR(40) NOT NULL,
+          created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (artwork_id, tag)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_artwork_tags_tag ON artwork_tags(tag)');
+        console.log('✅ Artwork search schema ready');
+      } catch (asErr) {
+        console.warn('⚠️  Artwork search schema warning:', asErr.message);
+      }
+
+      // Fund-a-Need items and pledges; transactions may pay a pledge (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS fund_a_need_items (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+          title VARCHAR(255) NOT NULL,
+          description TEXT,
+          giving_levels DECIMAL(10, 2)[] NOT NULL,
+          goal_amount DECIMAL(10, 2) CHECK (goal_amount IS NULL OR goal_amount > 0),
+          item_status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (item_status IN ('OPEN', 'CLOSED')),
+          created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          closed_at TIMESTAMP WITH TIME ZONE
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_fund_a_need_items_auction ON fund_a_need_items(auction_id)');
+        await db.query(`CREATE TABLE IF NOT EXISTS fund_a_need_pledges (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          item_id UUID NOT NULL REFERENCES fund_a_need_items(id) ON DELETE RESTRICT,
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+          user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+          amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+          paddle_number INT,
+          entered_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          pledge_status VARCHAR(20) NOT NULL DEFAULT 'PLEDGED' CHECK (pledge_status IN ('PLEDGED', 'PAID', 'CANCELLED')),
+          transaction_id UUID,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          paid_at TIMESTAMP WITH TIME ZONE
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_fund_a_need_pledges_item ON fund_a_need_pledges(item_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_fund_a_need_pledges_user ON fund_a_need_pledges(user_id)');
+        await db.query('ALTER TABLE transactions ALTER COLUMN artwork_id DROP NOT NULL');
+        await db.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pledge_id UUID REFERENCES fund_a_need_pledges(id) ON DELETE RESTRICT');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_transactions_pledge_id ON transactions(pledge_id)');
+        console.log('✅ Fund-a-Need schema ready');
+      } catch (fnErr) {
+        console.warn('⚠️  Fund-a-Need schema warning:', fnErr.message);
+      }
+
+      // Consolidated checkout invoices; split transactions share a gateway charge (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS payment_invoices (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+          buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+          gateway_id UUID REFERENCES payment_gateways(id) ON DELETE RESTRICT,
+          gateway_transaction_id VARCHAR(500),
+          hammer_total DECIMAL(10, 2) NOT NULL,
+          platform_fee_total DECIMAL(10, 2) NOT NULL,
+          pledge_total DECIMAL(10, 2) NOT NULL,
+          total_amount DECIMAL(10, 2) NOT NULL CHECK (total_amount > 0),
+          invoice_status VARCHAR(20) NOT NULL CHECK (invoice_status IN ('PAID', 'FAILED')),
+          idempotency_key UUID UNIQUE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_payment_invoices_buyer ON payment_invoices(buyer_user_id, auction_id)');
+        await db.query('ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_gateway_transaction_id_key');
+        // Still one row per piece or pledge of a charge (NULLs never clash, hence COALESCE)
+        await db.query('CREATE UNIQUE INDEX IF NOT EXISTS transactions_gateway_charge_line_key ON transactions(gateway_transaction_id, COALESCE(artwork_id, pledge_id))');
+        await db.query('ALTER TABLE transactions ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES payment_invoices(id) ON DELETE RESTRICT');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_transactions_invoice_id ON transactions(invoice_id)');
+        console.log('✅ Payment invoice schema ready');
+      } catch (piErr) {
+        console.warn('⚠️  Payment invoice schema warning:', piErr.message);
+      }
+
+      // Offline (cash / check / school store) payments and the winners view that reads them (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS offline_payments (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+          artwork_id UUID NOT NULL UNIQUE REFERENCES artwork(id) ON DELETE RESTRICT,
+          buyer_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+          amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+          payment_method VARCHAR(20) NOT NULL CHECK (payment_method IN ('CASH', 'CHECK', 'SCHOOL_STORE')),
+          check_number VARCHAR(50),
+          received_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+          recorded_by_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+          notes TEXT,
+          received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          CONSTRAINT check_number_check CHECK (payment_method <> 'CHECK' OR check_number IS NOT NULL)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_offline_payments_auction ON offline_payments(auction_id)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_offline_payments_received_by ON offline_payments(received_by_user_id)');
+        await db.query('DROP VIEW IF EXISTS auction_winners');
+        await db.query(`CREATE VIEW auction_winners AS
+          SELECT a.id AS auction_id, a.school_id, aw.id AS artwork_id, aw.title AS artwork_title,
+                 u.id AS winner_user_id, u.email AS winner_email, u.first_name, u.last_name,
+                 b.bid_amount, b.placed_at AS winning_bid_time,
+                 CASE WHEN t.id IS NOT NULL OR op.id IS NOT NULL THEN 'PAID' ELSE 'AWAITING_PAYMENT' END AS payment_status,
+                 COALESCE(op.payment_method, CASE WHEN t.id IS NOT NULL THEN 'ONLINE' END) AS payment_method
+          FROM auctions a
+          JOIN artwork aw ON a.id = aw.auction_id
+          JOIN bids b ON aw.id = b.artwork_id AND b.bid_status = 'ACCEPTED'
+          JOIN users u ON b.placed_by_user_id = u.id
+          LEFT JOIN LATERAL (
+            SELECT id FROM transactions
+            WHERE artwork_id = aw.id AND buyer_user_id = u.id AND transaction_status = 'COMPLETED'
+            LIMIT 1
+          ) t ON true
+          LEFT JOIN offline_payments op ON op.artwork_id = aw.id
+          WHERE a.auction_status = 'ENDED'`);
+        console.log('✅ Offline payment schema ready');
+      } catch (opErr) {
+        console.warn('⚠️  Offline payment schema warning:', opErr.message);
+      }
+
+      // Donation receipts for charity auctions, and each school's receipt settings (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE schools ADD COLUMN IF NOT EXISTS tax_id VARCHAR(50)');
+        await db.query('ALTER TABLE schools ADD COLUMN IF NOT EXISTS receipt_signatory_name VARCHAR(255)');
+        await db.query('ALTER TABLE schools ADD COLUMN IF NOT EXISTS receipt_signatory_title VARCHAR(255)');
+        await db.query(`CREATE TABLE IF NOT EXISTS donation_receipts (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          receipt_number BIGSERIAL UNIQUE,
+          school_id UUID NOT NULL REFERENCES schools(id) ON DELETE RESTRICT,
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+          donor_user_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+          transaction_id UUID UNIQUE REFERENCES transactions(id) ON DELETE RESTRICT,
+          offline_payment_id UUID UNIQUE REFERENCES offline_payments(id) ON DELETE RESTRICT,
+          description VARCHAR(255) NOT NULL,
+          amount_paid DECIMAL(10, 2) NOT NULL,
+          fair_market_value DECIMAL(10, 2) NOT NULL,
+          deductible_amount DECIMAL(10, 2) NOT NULL,
+          tax_year INT NOT NULL,
+          paid_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          issued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          emailed_at TIMESTAMP WITH TIME ZONE,
+          reissue_count INT NOT NULL DEFAULT 0,
+          CONSTRAINT receipt_source_check CHECK ((transaction_id IS NULL) <> (offline_payment_id IS NULL)),
+          CONSTRAINT receipt_amount_check CHECK (amount_paid > 0 AND fair_market_value >= 0 AND deductible_amount >= 0)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_donation_receipts_donor ON donation_receipts(donor_user_id, tax_year)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_donation_receipts_auction ON donation_receipts(auction_id)');
+        console.log('✅ Donation receipt schema ready');
+      } catch (drErr) {
+        console.warn('⚠️  Donation receipt schema warning:', drErr.message);
+      }
+
+      // Per-auction settlement statements, and each gateway's processing fee rate (idempotent, safe every boot).
+      try {
+        await db.query('ALTER TABLE payment_gateways ADD COLUMN IF NOT EXISTS processing_fee_percentage DECIMAL(5, 2) NOT NULL DEFAULT 2.90');
+        await db.query('ALTER TABLE payment_gateways ADD COLUMN IF NOT EXISTS processing_fee_fixed DECIMAL(10, 2) NOT NULL DEFAULT 0.30');
+        await db.query(`CREATE TABLE IF NOT EXISTS settlement_statements (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE RESTRICT,
+          school_id UUID NOT NULL REFERENCES schools(id) ON DELETE RESTRICT,
+          payment_gateway_id UUID REFERENCES payment_gateways(id) ON DELETE SET NULL,
+          settlement_account_name VARCHAR(255),
+          settlement_account_last_four VARCHAR(4),
+          currency_code VARCHAR(3) NOT NULL DEFAULT 'USD',
+          statement_status VARCHAR(20) NOT NULL DEFAULT 'DRAFT' CHECK (statement_status IN ('DRAFT', 'APPROVED')),
+          platform_fee_percentage DECIMAL(5, 2) NOT NULL,
+          platform_fee_minimum DECIMAL(10, 2) NOT NULL,
+          platform_fee_waived BOOLEAN NOT NULL DEFAULT FALSE,
+          fee_waiver_reason TEXT,
+          sale_count INT NOT NULL DEFAULT 0,
+          minimum_fee_applied_count INT NOT NULL DEFAULT 0,
+          gross_hammer DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          buyer_fees_collected DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          offline_collected DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          refunds_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          chargebacks_total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          platform_fee_due DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          gateway_fees DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          net_payable DECIMAL(12, 2) NOT NULL DEFAULT 0,
+          line_items JSONB NOT NULL DEFAULT '[]',
+          generated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          approved_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+          approved_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          CONSTRAINT settlement_statement_unique UNIQUE (auction_id, school_id),
+          CONSTRAINT settlement_approval_check CHECK (statement_status <> 'APPROVED' OR approved_at IS NOT NULL)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_settlement_statements_school ON settlement_statements(school_id)');
+        console.log('✅ Settlement statement schema ready');
+      } catch (ssErr) {
+        console.warn('⚠️  Settlement statement schema warning:', ssErr.message);
+      }
+
+      // Stored payment gateway webhook events for dedupe and replay (idempotent, safe every boot).
+      try {
+        await db.query(`CREATE TABLE IF NOT EXISTS payment_webhook_events (
+          id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+          gateway_type VARCHAR(50) NOT NULL CHECK (gateway_type IN ('STRIPE', 'SQUARE', 'PAYPAL', 'AUTHORIZE_NET')),
+          gateway_event_id VARCHAR(255) NOT NULL,
+          event_type VARCHAR(100) NOT NULL,
+          gateway_charge_id VARCHAR(500),
+          gateway_refund_id VARCHAR(255),
+          payload JSONB NOT NULL,
+          processing_status VARCHAR(20) NOT NULL DEFAULT 'RECEIVED' CHECK (processing_status IN ('RECEIVED', 'PROCESSING', 'PROCESSED', 'IGNORED', 'FAILED')),
+          attempt_count INT NOT NULL DEFAULT 0,
+          last_error TEXT,
+          transactions_updated INT NOT NULL DEFAULT 0,
+          received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+          last_attempt_at TIMESTAMP WITH TIME ZONE,
+          processed_at TIMESTAMP WITH TIME ZONE,
+          CONSTRAINT payment_webhook_event_unique UNIQUE (gateway_type, gateway_event_id)
+        )`);
+        await db.query('CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_status ON payment_webhook_events(processing_status, received_at)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_charge ON payment_webhook_events(gateway_charge_id)');
+        await db.query('ALTER TABLE payment_webhook_events ADD COLUMN IF NOT EXISTS gateway_refund_id VARCHAR(255)');
+        await db.query('CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_refund ON payment_webhook_events(gateway_type, gateway_refund_id) WHERE gateway_refund_id IS NOT NULL');
+        console.log('✅ Payment webhook event schema ready');
+      } catch (weErr) {
+        console.warn('⚠️  Payment webhook event schema warning:', weErr.message);
+      }
+
       // Scheduled auction transitions (auto-start / auto-end). Not in tests.
       if (process.env.NODE_ENV !== 'test') {
         const auctionScheduler = require('./services/auctionScheduler');
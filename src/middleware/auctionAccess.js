@@ -0,0 +1,41 @@
+'use strict';
+const auctionInviteService = require('../services/auctionInviteService');
+
+// Postgres "invalid input syntax" — a malformed id can't name any auction
+const INVALID_ID = '22P02';
+
+function notFound(res) {
+  return res.status(404).json({ success: false, message: 'Auction not found' });
+}
+
+// Guest-list guard for an auction's routes (:auctionId). Someone not invited to
+// an INVITED_ONLY auction gets the same 404 as for a missing one, so the
+// auction's existence is not disclosed. Runs after (optional) verifyToken.
+async function requireAuctionAccess(req, res, next) {
+  try {
+    if (!await auctionInviteService.canAccess(req.params.auctionId, req.user?.id || null)) {
+      return notFound(res);
+    }
+    req.auctionAccessGranted = true;
+    return next();
+  } catch (err) {
+    if (err.code === INVALID_ID) { return notFound(res); }
+    return next(err);
+  }
+}
+
+// Same guard for routes keyed by a piece of artwork (:artworkId), checked
+// against the auction the piece is in.
+async function requireArtworkAuctionAccess(req, res, next) {
+  try {
+    if (!await auctionInviteService.canAccessArtwork(req.params.artworkId, req.user?.id || null)) {
+      return res.status(404).json({ success: false, message: 'Artwork not found' });
+    }
+    return next();
+  } catch (err) {
+    if (err.code === INVALID_ID) { return res.status(404).json({ success: false, message: 'Artwork not found' }); }
+    return next(err);
+  }
+}
+
+module.exports = { requireAuctionAccess, requireArtworkAuctionAccess };
@@ -324,6 +324,61 @@ router.post(
   adminController.closeForcibly
 );
 
+// ============================================================================
+// Bid Approval & History Routes (4 routes)
+// ============================================================================
+
+/**
+ * GET /api/admin/bids/pending
+ * List bids awaiting review on auctions that require bid approval
+ * Query: { auctionId?: UUID }
+ */
+router.get(
+  '/bids/pending',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.listPendingBids
+);
+
+/**
+ * POST /api/admin/bids/:bidId/approve
+ * Approve a pending bid (PENDING -> ACTIVE, or OUTBID if overtaken)
+ */
+router.post(
+  '/bids/:bidId/approve',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.approveBid
+);
+
+/**
+ * POST /api/admin/bids/:bidId/reject
+ * Reject a pending bid (PENDING -> REJECTED)
+ * Body: { reason?: 'string' }
+ */
+router.post(
+  '/bids/:bidId/reject',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.rejectBid
+);
+
+/**
+ * GET /api/admin/artwork/:artworkId/bids
+ * Every bid on a piece with the client IP, user agent and login session it
+ * was placed from (bid disputes)
+ */
+router.get(
+  '/artwork/:artworkId/bids',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.getArtworkBidHistory
+);
+
 // ============================================================================
 // Payment Management Routes (4 routes)
 // ============================================================================
@@ -379,6 +434,138 @@ router.get(
   adminController.getPaymentStatistics
 );
 
+/**
+ * POST /api/admin/artwork/:artworkId/offline-payments
+ * Record a cash, check or school store payment against a win
+ * Body: { method: 'CASH'|'CHECK'|'SCHOOL_STORE', amount?: number, checkNumber?: string,
+ *         receivedByUserId?: uuid, notes?: string }
+ */
+router.post(
+  '/artwork/:artworkId/offline-payments',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.recordOfflinePayment
+);
+
+/**
+ * GET /api/admin/auctions/:auctionId/cash-drawer
+ * Offline payment totals per volunteer, and wins still unpaid
+ */
+router.get(
+  '/auctions/:auctionId/cash-drawer',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.getCashDrawer
+);
+
+/**
+ * POST /api/admin/receipts/reissue
+ * Re-issue charity donation receipts (school admins: own school's receipts)
+ * Body: { auctionId?: uuid, taxYear?: number } (at least one)
+ */
+router.post(
+  '/receipts/reissue',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.reissueDonationReceipts
+);
+
+// ============================================================================
+// Settlement Statement Routes (4 routes)
+// ============================================================================
+
+/**
+ * GET /api/admin/auctions/:auctionId/settlements
+ * Per-school settlement statements for an ended auction (drafts refreshed)
+ */
+router.get(
+  '/auctions/:auctionId/settlements',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.getSettlements
+);
+
+/**
+ * PUT /api/admin/settlements/:statementId/fee-waiver
+ * Waive or restore the platform fee on a draft statement
+ * Body: { waived: boolean, reason?: string }
+ */
+router.put(
+  '/settlements/:statementId/fee-waiver',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN']),
+  adminController.setSettlementFeeWaiver
+);
+
+/**
+ * POST /api/admin/settlements/:statementId/approve
+ * Approve and lock a settlement statement
+ */
+router.post(
+  '/settlements/:statementId/approve',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN']),
+  adminController.approveSettlement
+);
+
+/**
+ * GET /api/admin/settlements/:statementId/export?format=csv|pdf
+ * Download a settlement statement
+ */
+router.get(
+  '/settlements/:statementId/export',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.exportSettlement
+);
+
+// ============================================================================
+// Payment Webhook Event Routes (3 routes)
+// ============================================================================
+
+/**
+ * GET /api/admin/webhook-events?status=&gateway=&chargeId=&page=&limit=
+ * Stored payment gateway webhook events, newest first
+ */
+router.get(
+  '/webhook-events',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN']),
+  adminController.listWebhookEvents
+);
+
+/**
+ * GET /api/admin/webhook-events/:eventId
+ * One webhook event with its payload and the transactions of its charge
+ */
+router.get(
+  '/webhook-events/:eventId',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN']),
+  adminController.getWebhookEvent
+);
+
+/**
+ * POST /api/admin/webhook-events/:eventId/redrive
+ * Process a failed webhook event again
+ */
+router.post(
+  '/webhook-events/:eventId/redrive',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN']),
+  adminController.redriveWebhookEvent
+);
+
 // ============================================================================
 // CSV Report Export Routes (4 routes)
 // Must be declared before /reports/:type* patterns to avoid param capture
@@ -417,7 +604,7 @@ router.get(
 );
 
 // ============================================================================
-// Compliance Reporting Routes (4 routes)
+// Compliance & Integrity Reporting Routes (5 routes)
 // ============================================================================
 
 /**
@@ -489,6 +676,20 @@ router.get(
   adminController.generateCCPAReport
 );
 
+/**
+ * GET /api/admin/reports/bid-integrity
+ * Shill-bidding / collusion report for one auction
+ * Query: auctionId
+ * Returns: flagged bidders (risk score, level, reasons) and flagged bids (reason codes)
+ */
+router.get(
+  '/reports/bid-integrity',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  adminController.generateBidIntegrityReport
+);
+
 // ============================================================================
 // Dashboard & Monitoring Routes (3 routes)
 // ============================================================================
@@ -653,6 +854,7 @@ router.get(
 // ============================================================================
 
 const { getSharedEmailProvider, notifyArtworkShipped } = require('../services/notificationService');
+const bidIntegrityService = require('../services/bidIntegrityService');
 
 /**
  * GET /api/admin/wins
@@ -687,6 +889,13 @@ router.get(
                 b.tracking_number  AS "trackingNumber",
                 b.delivered_at    AS "deliveredAt",
                 b.fulfillment_notes AS "fulfillmentNotes",
+                b.won_at          AS "wonAt",
+                EXISTS (SELECT 1 FROM transactions t
+                         WHERE t.artwork_id = b.artwork_id AND t.buyer_user_id = b.placed_by_user_id
+                           AND t.transaction_type = 'SALE'
+                           AND t.transaction_status IN ('AUTHORIZED', 'CHARGED', 'COMPLETED'))
+                  OR op.id IS NOT NULL AS paid,
+                op.payment_method AS "offlinePaymentMethod",
                 aw.id             AS "artworkId",
                 aw.title          AS "artworkTitle",
                 a.id              AS "auctionId",
@@ -700,6 +909,7 @@ router.get(
          JOIN   auctions a  ON  a.id = b.auction_id
          JOIN   artwork  aw ON aw.id = b.artwork_id
          JOIN   users    u  ON  u.id = b.placed_by_user_id
+         LEFT JOIN offline_payments op ON op.artwork_id = b.artwork_id
          WHERE  b.bid_status = 'ACCEPTED'
            AND  a.deleted_at IS NULL
            ${schoolCondition}
@@ -709,6 +919,13 @@ router.get(
         queryParams
       );
 
+      // Best-effort: a failed integrity check must not hide the wins themselves
+      try {
+        await bidIntegrityService.flagWins(result.rows);
+      } catch (integrityErr) {
+        console.error('[integrity] flagging wins failed:', integrityErr.message);
+      }
+
       return res.json({ success: true, wins: result.rows });
     } catch (error) {
       console.error('Admin wins error:', error);
@@ -828,6 +1045,67 @@ router.patch(
   }
 );
 
+/**
+ * POST /api/admin/wins/:id/void
+ * Void an unpaid win and offer the piece to the next-highest bidder
+ * (second-chance offer). The scheduler does the same automatically once the
+ * auction's payment grace period passes.
+ * Body: { reason?: string }
+ * RBAC: SITE_ADMIN (any win), SCHOOL_ADMIN (own school only).
+ */
+router.post(
+  '/wins/:id/void',
+  verifyToken,
+  requireAdmin2fa,
+  verifyRole(['SITE_ADMIN', 'SCHOOL_ADMIN']),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+      const { pool } = require('../models/index');
+      const secondChanceService = require('../services/secondChanceService');
+
+      const bidResult = await pool.query(
+        `SELECT a.school_id
+         FROM   bids b
+         JOIN   auctions a ON a.id = b.auction_id
+         WHERE  b.id = $1 AND b.bid_status = 'ACCEPTED'`,
+        [id]
+      );
+
+      if (bidResult.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Win not found' });
+      }
+
+      if (req.user.role === 'SCHOOL_ADMIN' && bidResult.rows[0].school_id !== req.user.schoolId) {
+        return res.status(403).json({ success: false, message: 'Access denied: not your school' });
+      }
+
+      const result = await secondChanceService.voidUnpaidWin(id, {
+        voidedByUserId: req.user.id,
+        reason: typeof reason === 'string' && reason.trim() ? reason.trim() : 'Payment not received'
+      });
+
+      return res.json({
+        success: true,
+        result,
+        message: result.offer
+          ? 'Win voided and offered to the next bidder'
+          : 'Win voided; no other bidders are left to offer it to'
+      });
+    } catch (error) {
+      if (error.message === 'WIN_ALREADY_PAID') {
+        return res.status(409).json({ success: false, message: 'This win has already been paid' });
+      }
+      if (error.message === 'WIN_NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Win not found' });
+      }
+      console.error('Admin void win error:', error);
+      return res.status(500).json({ success: false, message: 'Internal server error' });
+    }
+  }
+);
+
 // ============================================================================
 // Session Management (admin force-logout)
 // ============================================================================
@@ -915,11 +1193,25 @@ router.delete(
   - PUT    /api/admin/auctions/:auctionId/extend
   - POST   /api/admin/auctions/:auctionId/close
 
-  PAYMENT MANAGEMENT (4 routes):
+  PAYMENT MANAGEMENT (7 routes):
   - GET    /api/admin/payments/:paymentId
   - GET    /api/admin/payments
   - POST   /api/admin/payments/:paymentId/refund
   - GET    /api/admin/payments/statistics
+  - POST   /api/admin/artwork/:artworkId/offline-payments
+  - GET    /api/admin/auctions/:auctionId/cash-drawer
+  - POST   /api/admin/receipts/reissue
+
+  SETTLEMENT STATEMENTS (4 routes):
+  - GET    /api/admin/auctions/:auctionId/settlements
+  - PUT    /api/admin/settlements/:statementId/fee-waiver
+  - POST   /api/admin/settlements/:statementId/approve
+  - GET    /api/admin/settlements/:statementId/export
+
+  PAYMENT WEBHOOK EVENTS (3 routes):
+  - GET    /api/admin/webhook-events
+  - GET    /api/admin/webhook-events/:eventId
+  - POST   /api/admin/webhook-events/:eventId/redrive
 
   CSV REPORT EXPORTS (4 routes):
   - GET    /api/admin/reports/revenue/export
@@ -927,11 +1219,12 @@ router.delete(
   - GET    /api/admin/reports/performance/export
   - GET    /api/admin/reports/compliance/export
 
-  COMPLIANCE REPORTING (4 routes):
+  COMPLIANCE & INTEGRITY REPORTING (5 routes):
   - GET    /api/admin/reports/gdpr
   - GET    /api/admin/reports/coppa
   - GET    /api/admin/reports/ferpa
   - GET    /api/admin/reports/ccpa
+  - GET    /api/admin/reports/bid-integrity
 
   DASHBOARD & MONITORING (3 routes):
   - GET    /api/admin/audit-logs
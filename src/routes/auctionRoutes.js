@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const auctionController = require('../controllers/auctionController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireAuctionAccess } = require('../middleware/auctionAccess');
+const watchlistService = require('../services/watchlistService');
 
 /**
  * POST /api/auctions
@@ -45,6 +47,20 @@ router.get(
   (req, res) => auctionController.getActiveAuctions(req, res)
 );
 
+/**
+ * GET /api/auctions/artwork/search
+ * Search pieces across auctions: q (title, description, artist statement),
+ * medium, grade, gradeBand, sizeClass, priceBand, tag, minPrice, maxPrice,
+ * auctionId, sort, limit, offset. List filters take repeated or
+ * comma-separated values. Returns the matching page and facet counts.
+ * Access: Public (optional auth — authenticated users see more auctions)
+ */
+router.get(
+  '/artwork/search',
+  authMiddleware.optionalVerifyToken,
+  (req, res) => auctionController.searchArtwork(req, res)
+);
+
 /**
  * GET /api/auctions/carousel
  * Returns up to 20 approved artwork items for the homepage hero carousel.
@@ -55,14 +71,76 @@ router.get(
   (req, res) => auctionController.getCarouselArtwork(req, res)
 );
 
+/**
+ * GET    /api/auctions/templates/list
+ * Saved auction templates (own school; SITE_ADMIN may pass ?schoolId=)
+ * POST   /api/auctions/templates/:templateId/auctions
+ * Create a DRAFT auction from a template, dates shifted by offsetDays
+ * DELETE /api/auctions/templates/:templateId
+ * Access: site_admin, school_admin, teacher
+ */
+router.get(
+  '/templates/list',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.listTemplates(req, res)
+);
+
+router.post(
+  '/templates/:templateId/auctions',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.createFromTemplate(req, res)
+);
+
+router.delete(
+  '/templates/:templateId',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.deleteTemplate(req, res)
+);
+
+/**
+ * GET  /api/auctions/invites/:code
+ * What an invite code opens (auction title, school, dates) — no auth required
+ * POST /api/auctions/invites/redeem
+ * Redeem an invite code onto the auction's guest list
+ * Access: any authenticated user
+ */
+router.get(
+  '/invites/:code',
+  (req, res) => auctionController.lookupInviteCode(req, res)
+);
+
+router.post(
+  '/invites/redeem',
+  authMiddleware.verifyToken,
+  (req, res) => auctionController.redeemInviteCode(req, res)
+);
+
+/**
+ * GET /api/auctions/partner-invitations
+ * Joint auctions the user's school is invited into, awaiting an answer
+ * Access: school_admin
+ */
+router.get(
+  '/partner-invitations',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SCHOOL_ADMIN'),
+  (req, res) => auctionController.listPartnerInvitations(req, res)
+);
+
 /**
  * GET /api/auctions/:auctionId/public
  * Public read-only preview — no auth required.
  * Returns title, description, status, end time, and artworks (current high bid only).
- * No bidder identities, no bid history.
+ * No bidder identities, no bid history. Invite-only auctions are shown to
+ * signed-in guests only.
  */
 router.get(
   '/:auctionId/public',
+  authMiddleware.optionalVerifyToken,
+  requireAuctionAccess,
   (req, res) => auctionController.getAuctionPublic(req, res)
 );
 
@@ -74,6 +152,7 @@ router.get(
 router.get(
   '/:auctionId',
   authMiddleware.verifyToken,
+  requireAuctionAccess,
   (req, res) => auctionController.getAuction(req, res)
 );
 
@@ -85,6 +164,7 @@ router.get(
 router.get(
   '/:auctionId/artwork',
   authMiddleware.verifyToken,
+  requireAuctionAccess,
   (req, res) => auctionController.getAuctionArtwork(req, res)
 );
 
@@ -96,6 +176,7 @@ router.get(
 router.get(
   '/:auctionId/bids',
   authMiddleware.verifyToken,
+  requireAuctionAccess,
   (req, res) => auctionController.getBidsForAuction(req, res)
 );
 
@@ -107,6 +188,7 @@ router.get(
 router.get(
   '/:auctionId/winner',
   authMiddleware.verifyToken,
+  requireAuctionAccess,
   (req, res) => auctionController.getAuctionWinner(req, res)
 );
 
@@ -177,16 +259,10 @@ router.delete(
 router.post(
   '/:auctionId/watchlist',
   authMiddleware.verifyToken,
+  requireAuctionAccess,
   async (req, res) => {
     try {
-      const { pool } = require('../models/index');
-      const { auctionId } = req.params;
-      const userId = req.user.id;
-      await pool.query(
-        `INSERT INTO auction_watchlist (user_id, auction_id)
-         VALUES ($1, $2) ON CONFLICT DO NOTHING`,
-        [userId, auctionId]
-      );
+      await watchlistService.watchAuction(req.user.id, req.params.auctionId);
       return res.json({ success: true });
     } catch (err) {
       return res.status(500).json({ success: false, message: err.message });
@@ -203,13 +279,45 @@ router.delete(
   authMiddleware.verifyToken,
   async (req, res) => {
     try {
-      const { pool } = require('../models/index');
-      const { auctionId } = req.params;
-      const userId = req.user.id;
-      await pool.query(
-        'DELETE FROM auction_watchlist WHERE user_id = $1 AND auction_id = $2',
-        [userId, auctionId]
-      );
+      await watchlistService.unwatchAuction(req.user.id, req.params.auctionId);
+      return res.json({ success: true });
+    } catch (err) {
+      return res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * POST /api/auctions/:auctionId/artwork/:artworkId/watchlist
+ * Add a single piece to the authenticated user's watchlist
+ */
+router.post(
+  '/:auctionId/artwork/:artworkId/watchlist',
+  authMiddleware.verifyToken,
+  requireAuctionAccess,
+  async (req, res) => {
+    try {
+      await watchlistService.watchArtwork(req.user.id, req.params.auctionId, req.params.artworkId);
+      return res.json({ success: true });
+    } catch (err) {
+      if (err.message === 'ARTWORK_NOT_FOUND' || err.code === '22P02') {
+        return res.status(404).json({ success: false, message: 'Artwork not found' });
+      }
+      return res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+/**
+ * DELETE /api/auctions/:auctionId/artwork/:artworkId/watchlist
+ * Remove a single piece from the authenticated user's watchlist
+ */
+router.delete(
+  '/:auctionId/artwork/:artworkId/watchlist',
+  authMiddleware.verifyToken,
+  async (req, res) => {
+    try {
+      await watchlistService.unwatchArtwork(req.user.id, req.params.artworkId);
       return res.json({ success: true });
     } catch (err) {
       return res.status(500).json({ success: false, message: err.message });
@@ -217,4 +325,238 @@ router.delete(
   }
 );
 
+/**
+ * POST /api/auctions/:auctionId/paddles/me
+ * Register the authenticated user for the auction and assign a paddle number
+ * GET  /api/auctions/:auctionId/paddles/me
+ * The authenticated user's paddle number (null if not registered)
+ */
+router.post(
+  '/:auctionId/paddles/me',
+  authMiddleware.verifyToken,
+  requireAuctionAccess,
+  (req, res) => auctionController.registerPaddle(req, res)
+);
+
+router.get(
+  '/:auctionId/paddles/me',
+  authMiddleware.verifyToken,
+  requireAuctionAccess,
+  (req, res) => auctionController.getMyPaddle(req, res)
+);
+
+/**
+ * GET  /api/auctions/:auctionId/paddles
+ * List registered paddles
+ * POST /api/auctions/:auctionId/paddles
+ * Register a walk-in (guest bidder when no account matches the email)
+ * Access: site_admin, school_admin, teacher
+ */
+router.get(
+  '/:auctionId/paddles',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.listPaddles(req, res)
+);
+
+router.post(
+  '/:auctionId/paddles',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.registerWalkIn(req, res)
+);
+
+/**
+ * POST /api/auctions/:auctionId/clerk-bids
+ * Clerk entry: record a paper bid-sheet bid for a paddle number
+ * Access: site_admin, school_admin, teacher
+ */
+router.post(
+  '/:auctionId/clerk-bids',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.placeClerkBid(req, res)
+);
+
+/**
+ * GET  /api/auctions/:auctionId/fund-a-need
+ * Fund-a-Need items with giving levels and running totals
+ * POST /api/auctions/:auctionId/fund-a-need/:itemId/pledges
+ * Pledge at one of an item's giving levels
+ * Access: Authenticated users who can see the auction
+ */
+router.get(
+  '/:auctionId/fund-a-need',
+  authMiddleware.verifyToken,
+  requireAuctionAccess,
+  (req, res) => auctionController.listFundANeedItems(req, res)
+);
+
+router.post(
+  '/:auctionId/fund-a-need/:itemId/pledges',
+  authMiddleware.verifyToken,
+  requireAuctionAccess,
+  (req, res) => auctionController.pledgeFundANeed(req, res)
+);
+
+/**
+ * POST /api/auctions/:auctionId/fund-a-need
+ * Add a Fund-a-Need item ({ title, description?, givingLevels, goalAmount? })
+ * POST /api/auctions/:auctionId/fund-a-need/:itemId/close
+ * Stop taking pledges
+ * Access: site_admin, school_admin
+ */
+router.post(
+  '/:auctionId/fund-a-need',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN'),
+  (req, res) => auctionController.createFundANeedItem(req, res)
+);
+
+router.post(
+  '/:auctionId/fund-a-need/:itemId/close',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN'),
+  (req, res) => auctionController.closeFundANeedItem(req, res)
+);
+
+/**
+ * POST /api/auctions/:auctionId/fund-a-need/:itemId/clerk-pledges
+ * Clerk entry: record a raised paddle ({ paddleNumber, amount })
+ * Access: site_admin, school_admin, teacher
+ */
+router.post(
+  '/:auctionId/fund-a-need/:itemId/clerk-pledges',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.placeClerkPledge(req, res)
+);
+
+/**
+ * GET /api/auctions/:auctionId/catalog.pdf
+ * GET /api/auctions/:auctionId/bid-sheets.pdf
+ * Printable catalog and paper bid sheets
+ * Access: site_admin, school_admin, teacher
+ */
+router.get(
+  '/:auctionId/catalog.pdf',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.getCatalogPdf(req, res)
+);
+
+router.get(
+  '/:auctionId/bid-sheets.pdf',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.getBidSheetsPdf(req, res)
+);
+
+/**
+ * POST /api/auctions/:auctionId/template
+ * Save this auction's settings as a named template
+ * POST /api/auctions/:auctionId/clone
+ * New DRAFT with this auction's settings, optionally carrying over unsold pieces
+ * Access: site_admin, school_admin, teacher
+ */
+router.post(
+  '/:auctionId/template',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.saveTemplate(req, res)
+);
+
+router.post(
+  '/:auctionId/clone',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.cloneAuction(req, res)
+);
+
+/**
+ * GET    /api/auctions/:auctionId/invitations
+ * Guest list and invite codes of an invite-only auction
+ * POST   /api/auctions/:auctionId/invitations
+ * Add guests by email ({ emails: "a@x.org, b@y.org" } or an array)
+ * DELETE /api/auctions/:auctionId/invitations/:invitationId
+ * POST   /api/auctions/:auctionId/invite-codes
+ * Create a shareable invite code ({ maxUses?, expiresAt? })
+ * DELETE /api/auctions/:auctionId/invite-codes/:codeId
+ * Revoke an invite code
+ * Access: site_admin, school_admin, teacher
+ */
+router.get(
+  '/:auctionId/invitations',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.listInvitations(req, res)
+);
+
+router.post(
+  '/:auctionId/invitations',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.addGuests(req, res)
+);
+
+router.delete(
+  '/:auctionId/invitations/:invitationId',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.removeGuest(req, res)
+);
+
+router.post(
+  '/:auctionId/invite-codes',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.createInviteCode(req, res)
+);
+
+router.delete(
+  '/:auctionId/invite-codes/:codeId',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'),
+  (req, res) => auctionController.revokeInviteCode(req, res)
+);
+
+/**
+ * GET    /api/auctions/:auctionId/partners
+ * Host and partner schools of a joint auction, with per-school proceeds
+ * POST   /api/auctions/:auctionId/partners
+ * Invite a partner school ({ schoolId }) — host school only
+ * POST   /api/auctions/:auctionId/partners/respond
+ * Accept or decline for the user's school ({ accept, paymentGatewayId? })
+ * DELETE /api/auctions/:auctionId/partners/:schoolId
+ * Remove a partner school — host school only
+ * Access: site_admin, school_admin
+ */
+router.get(
+  '/:auctionId/partners',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN'),
+  (req, res) => auctionController.listPartners(req, res)
+);
+
+router.post(
+  '/:auctionId/partners',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN'),
+  (req, res) => auctionController.invitePartner(req, res)
+);
+
+router.post(
+  '/:auctionId/partners/respond',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN'),
+  (req, res) => auctionController.respondToPartnerInvitation(req, res)
+);
+
+router.delete(
+  '/:auctionId/partners/:schoolId',
+  authMiddleware.verifyToken,
+  authMiddleware.verifyRole('SITE_ADMIN', 'SCHOOL_ADMIN'),
+  (req, res) => auctionController.removePartner(req, res)
+);
+
 module.exports = router;
@@ -6,9 +6,55 @@
 const express = require('express');
 const router = express.Router();
 const biddingService = require('../services/biddingService');
+const secondChanceService = require('../services/secondChanceService');
+const offlineBidService = require('../services/offlineBidService');
 const realtimeService = require('../services/realtimeService');
 const authMiddleware = require('../middleware/authMiddleware');
+const { requireAuctionAccess, requireArtworkAuctionAccess } = require('../middleware/auctionAccess');
 const { publicArtistName } = require('../utils/piiUtils');
+const { requestContext } = require('../utils/requestContext');
+
+/**
+ * Tell every open page about a newly placed bid. State-read and broadcast are
+ * best-effort — a failure here must NOT turn a committed bid into an error.
+ * Every bid moves the price, so the new current bid and minimum next bid
+ * always go out; `leaderChanged` is false when an existing proxy absorbed
+ * the bid, and pages only show the outbid notice when the lead changed hands.
+ * @returns {Object|null} the artwork's bidding state after the bid
+ */
+async function broadcastPlacedBid(artworkId, result) {
+  let state = null;
+  try {
+    state = await biddingService.getBiddingState(artworkId);
+    realtimeService.broadcastBidUpdate(state.auctionId, {
+      bidId: result.bidId,
+      artworkId,
+      amount: result.bidAmount,
+      currentBid: state.currentBid,
+      nextMinimumBid: state.nextMinimumBid,
+      totalBids: state.totalBids,
+      leaderChanged: result.leaderChanged !== false
+    });
+  } catch (broadcastErr) {
+    console.error('[broadcast] bid update failed:', broadcastErr.message);
+  }
+
+  // Soft close: a late bid pushed the close out — tell every open page
+  if (result.extension) {
+    try {
+      realtimeService.broadcastAuctionStatusChange(result.extension.auctionId, 'EXTENDED', {
+        scope: result.extension.scope,
+        artworkId: result.extension.artworkId,
+        endTime: result.extension.endTime,
+        auctionEndTime: result.extension.auctionEndTime
+      });
+    } catch (broadcastErr) {
+      console.error('[broadcast] soft-close extension failed:', broadcastErr.message);
+    }
+  }
+
+  return state;
+}
 
 /**
  * POST /api/bidding/place
@@ -16,7 +62,7 @@ const { publicArtistName } = require('../utils/piiUtils');
  */
 router.post('/place', authMiddleware.verifyToken, async (req, res) => {
   try {
-    const { artworkId, bidAmount } = req.body;
+    const { artworkId, bidAmount, maxAmount } = req.body;
     const userId = req.user.id;
 
     // Validate inputs
@@ -34,34 +80,79 @@ router.post('/place', authMiddleware.verifyToken, async (req, res) => {
       });
     }
 
+    if (maxAmount !== undefined && maxAmount !== null && (typeof maxAmount !== 'number' || maxAmount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum bid must be a positive number'
+      });
+    }
+
     // Normalize to 2 decimal places to match DECIMAL(10,2) DB column and
     // avoid IEEE 754 drift in minimum-bid increment comparisons
     const normalizedBidAmount = Math.round(bidAmount * 100) / 100;
+    const normalizedMaxAmount = typeof maxAmount === 'number' ? Math.round(maxAmount * 100) / 100 : null;
+
+    const result = await biddingService.placeBid(artworkId, userId, normalizedBidAmount, {
+      maxAmount: normalizedMaxAmount,
+      context: requestContext(req)
+    });
 
-    const result = await biddingService.placeBid(artworkId, userId, normalizedBidAmount);
+    const state = await broadcastPlacedBid(artworkId, result);
 
-    // State-read and broadcast are best-effort — a failure here must NOT turn a
-    // committed bid into a 400 error. Isolate in their own try/catch.
-    let state = null;
+    return res.status(200).json({
+      success: true,
+      data: result,
+      ...(state && { biddingState: state })
+    });
+  } catch (error) {
+    console.error('Error placing bid:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/bidding/buy-now
+ * Buy a piece outright at its Buy-It-Now price, closing it immediately
+ */
+router.post('/buy-now', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const { artworkId } = req.body;
+
+    if (!artworkId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Artwork ID is required'
+      });
+    }
+
+    const result = await biddingService.buyNow(artworkId, req.user.id, requestContext(req));
+
+    // Best-effort, as for /place: the sale is committed whatever happens here
     try {
-      state = await biddingService.getBiddingState(artworkId);
-      realtimeService.broadcastBidUpdate(state.auctionId, {
+      realtimeService.broadcastBidUpdate(result.auctionId, {
         bidId: result.bidId,
         artworkId,
-        amount: normalizedBidAmount,
-        totalBids: state.totalBids
+        amount: result.amount,
+        buyNow: true
+      });
+      realtimeService.broadcastAuctionStatusChange(result.auctionId, 'LOT_CLOSED', {
+        artworkId,
+        winningBid: result.amount,
+        buyNow: true
       });
     } catch (broadcastErr) {
-      console.error('[broadcast] bid update failed:', broadcastErr.message);
+      console.error('[broadcast] buy-now failed:', broadcastErr.message);
     }
 
     return res.status(200).json({
       success: true,
-      data: result,
-      ...(state && { biddingState: state })
+      data: result
     });
   } catch (error) {
-    console.error('Error placing bid:', error);
+    console.error('Error buying artwork:', error);
     return res.status(400).json({
       success: false,
       message: error.message
@@ -69,6 +160,117 @@ router.post('/place', authMiddleware.verifyToken, async (req, res) => {
   }
 });
 
+/** Status codes for second-chance offer errors; anything else is a 400 */
+const SECOND_CHANCE_ERRORS = {
+  OFFER_NOT_FOUND: { status: 404, message: 'Offer not found. Please use the link from your email.' },
+  OFFER_NOT_YOURS: { status: 403, message: 'This offer was made to a different account' },
+  OFFER_EXPIRED: { status: 410, message: 'This offer has expired' },
+  OFFER_NOT_AVAILABLE: { status: 409, message: 'This offer has already been answered' }
+};
+
+function sendSecondChanceError(res, error) {
+  const mapped = SECOND_CHANCE_ERRORS[error.message];
+  if (!mapped) {
+    console.error('Second-chance offer error:', error);
+  }
+  return res.status(mapped ? mapped.status : 400).json({
+    success: false,
+    error: mapped ? error.message : undefined,
+    message: mapped ? mapped.message : error.message
+  });
+}
+
+/**
+ * GET /api/bidding/second-chance/:offerId?token=
+ * Show a second-chance offer to the bidder it was emailed to
+ */
+router.get('/second-chance/:offerId', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const offer = await secondChanceService.getOffer(req.params.offerId, req.query.token, req.user.id);
+    return res.status(200).json({ success: true, data: offer });
+  } catch (error) {
+    return sendSecondChanceError(res, error);
+  }
+});
+
+/**
+ * POST /api/bidding/second-chance/:offerId/accept
+ * Take the piece at the offered price. Body: { token }
+ */
+router.post('/second-chance/:offerId/accept', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const result = await secondChanceService.respondToOffer(req.params.offerId, req.body.token, req.user.id, true);
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    return sendSecondChanceError(res, error);
+  }
+});
+
+/**
+ * POST /api/bidding/second-chance/:offerId/decline
+ * Pass on the piece; it is offered to the next bidder. Body: { token }
+ */
+router.post('/second-chance/:offerId/decline', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const result = await secondChanceService.respondToOffer(req.params.offerId, req.body.token, req.user.id, false);
+    return res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    return sendSecondChanceError(res, error);
+  }
+});
+
+/**
+ * POST /api/bidding/offline/scan
+ * Record an online QR-code scan of an artwork and issue the key the page
+ * signs offline-queued bids with. Body: { auctionId, artworkId }
+ */
+router.post('/offline/scan', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const { auctionId, artworkId } = req.body;
+    if (!auctionId || !artworkId) {
+      return res.status(400).json({ success: false, message: 'Auction ID and artwork ID are required' });
+    }
+    const scan = await offlineBidService.recordScan(auctionId, artworkId, req.user.id, requestContext(req));
+    return res.status(201).json({ success: true, data: scan });
+  } catch (error) {
+    const status = { ARTWORK_NOT_FOUND: 404, OFFLINE_BIDS_UNAVAILABLE: 503 }[error.message] || 500;
+    console.error('Error recording QR scan:', error);
+    return res.status(status).json({ success: false, message: error.message });
+  }
+});
+
+/**
+ * POST /api/bidding/offline/sync
+ * Replay bids queued while offline, oldest first, against the current state.
+ * Body: { bids: [{ scanId, artworkId, amount, placedAt, nonce, signature }] }
+ * Responds with one outcome per bid; a rejected bid doesn't fail the request.
+ */
+router.post('/offline/sync', authMiddleware.verifyToken, async (req, res) => {
+  try {
+    const outcomes = await offlineBidService.syncBids(req.user.id, req.body.bids, requestContext(req));
+
+    for (const outcome of outcomes) {
+      if (outcome.status === 'ACCEPTED') {
+        await broadcastPlacedBid(outcome.artworkId, outcome.result);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: outcomes.map(({ result, ...outcome }) => ({
+        ...outcome,
+        ...(result && { isWinning: result.isWinning, pending: !!result.pending })
+      }))
+    });
+  } catch (error) {
+    if (error.message === 'INVALID_OFFLINE_BATCH') {
+      return res.status(400).json({ success: false, message: 'Send between 1 and 50 queued bids' });
+    }
+    console.error('Error syncing offline bids:', error);
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 /**
  * POST /api/bidding/withdraw
  * Withdraw a bid
@@ -104,7 +306,7 @@ router.post('/withdraw', authMiddleware.verifyToken, async (req, res) => {
  * GET /api/bidding/artwork/:artworkId/history
  * Get bid history for artwork
  */
-router.get('/artwork/:artworkId/history', authMiddleware.verifyToken, async (req, res) => {
+router.get('/artwork/:artworkId/history', authMiddleware.verifyToken, requireArtworkAuctionAccess, async (req, res) => {
   try {
     const { artworkId } = req.params;
     const requestingUserId = req.user.id;
@@ -129,7 +331,7 @@ router.get('/artwork/:artworkId/history', authMiddleware.verifyToken, async (req
  * GET /api/bidding/artwork/:artworkId/state
  * Get current bidding state for artwork
  */
-router.get('/artwork/:artworkId/state', authMiddleware.verifyToken, async (req, res) => {
+router.get('/artwork/:artworkId/state', authMiddleware.verifyToken, requireArtworkAuctionAccess, async (req, res) => {
   try {
     const { artworkId } = req.params;
 
@@ -200,7 +402,7 @@ router.get('/user/active', authMiddleware.verifyToken, async (req, res) => {
  * GET /api/bidding/auction/:auctionId/winner
  * Get auction winner information
  */
-router.get('/auction/:auctionId/winner', authMiddleware.verifyToken, async (req, res) => {
+router.get('/auction/:auctionId/winner', authMiddleware.verifyToken, requireAuctionAccess, async (req, res) => {
   try {
     const { auctionId } = req.params;
     const isAdmin = ['SITE_ADMIN', 'SCHOOL_ADMIN'].includes(req.user.role);
@@ -229,6 +431,13 @@ router.post('/auction/:auctionId/close', authMiddleware.verifyToken, authMiddlew
     const { auctionId } = req.params;
 
     const result = await biddingService.closeAuction(auctionId);
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.message,
+        data: result
+      });
+    }
 
     // Best-effort broadcast — failure must not mask the successful closure
     try {
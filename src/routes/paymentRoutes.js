@@ -13,19 +13,28 @@ const {
   StripeGateway,
   SquareGateway,
   PayPalGateway,
+  AuthorizeNetGateway,
   PaymentService,
   FraudDetectionService
 } = require('../services/paymentService');
 
 /**
  * NullPaymentService — stand-in when no gateway env vars are configured.
+ * Invoices can still be viewed; only charging needs a gateway.
  */
 class NullPaymentService {
+  constructor(db) { this.db = db; }
   _notConfigured() { throw new Error('PaymentService not configured'); }
+
+  async getInvoice(userId, auctionId) {
+    return new PaymentService({ db: this.db }).getInvoice(userId, auctionId);
+  }
+
   async processPayment()   { this._notConfigured(); }
   async getPaymentStatus() { this._notConfigured(); }
   async processRefund()    { this._notConfigured(); }
   async handleWebhook()    { this._notConfigured(); }
+  async verifyWebhook()    { this._notConfigured(); }
 }
 
 function buildPaymentService(db) {
@@ -51,9 +60,14 @@ function buildPaymentService(db) {
       webhookId: process.env.PAYPAL_WEBHOOK_ID
     });
   }
+  if (process.env.AUTHORIZE_NET_SIGNATURE_KEY) {
+    gateways.AUTHORIZE_NET = new AuthorizeNetGateway({
+      signatureKey: process.env.AUTHORIZE_NET_SIGNATURE_KEY
+    });
+  }
 
   if (Object.keys(gateways).length === 0) {
-    return new NullPaymentService();
+    return new NullPaymentService(db);
   }
 
   return new PaymentService({
@@ -70,7 +84,11 @@ let _paymentController = null;
 function getPaymentController() {
   if (!_paymentController) {
     const { pool } = require('../models/index');
-    _paymentController = new PaymentController(buildPaymentService(pool));
+    _paymentController = new PaymentController(
+      buildPaymentService(pool),
+      require('../services/donationReceiptService'),
+      require('../services/webhookEventService')
+    );
   }
   return _paymentController;
 }
@@ -89,7 +107,8 @@ function getPaymentController() {
  *   "auctionId": "uuid",
  *   "amount": 175.00,
  *   "paymentToken": "tok_123",
- *   "description": "Payment for auction xyz"
+ *   "description": "Payment for auction xyz",
+ *   "pledgeId": "uuid"  (optional — pays a Fund-a-Need pledge; the pledged amount is charged)
  * }
  *
  * Response: 201
@@ -112,6 +131,57 @@ router.post('/',
   (req, res, next) => getPaymentController().processPayment(req, res, next)
 );
 
+/**
+ * GET /api/payments/invoices/:auctionId
+ * Consolidated invoice for one auction: every unpaid piece the user won,
+ * with its platform fee, plus their unpaid Fund-a-Need pledges
+ * Auth: Required (the buyer)
+ *
+ * Response: 200
+ * {
+ *   "success": true,
+ *   "invoice": {
+ *     "auctionId": "uuid",
+ *     "auctionTitle": "Spring Gala",
+ *     "items": [{ "bidId", "artworkId", "title", "hammerAmount", "platformFee", "totalAmount" }],
+ *     "pledges": [{ "pledgeId", "title", "amount" }],
+ *     "hammerTotal": 350.00,
+ *     "platformFeeTotal": 12.78,
+ *     "pledgeTotal": 100.00,
+ *     "totalAmount": 462.78
+ *   }
+ * }
+ */
+router.get('/invoices/:auctionId',
+  authMiddleware.verifyToken,
+  (req, res, next) => getPaymentController().getInvoice(req, res, next)
+);
+
+/**
+ * POST /api/payments/invoices/:auctionId
+ * Pay the whole invoice with one charge. The charge is recorded as one
+ * transaction per piece and per pledge so refunds and fulfillment stay per
+ * item.
+ * Auth: Required (the buyer)
+ *
+ * Body:
+ * {
+ *   "amount": 462.78,  (the invoice total the buyer was shown; 409 if it has changed)
+ *   "paymentToken": "tok_123"
+ * }
+ *
+ * Response: 201
+ * {
+ *   "success": true,
+ *   "data": { "invoiceId", "transactionIds", "auctionId", "amount", "platformFee",
+ *             "pledgeTotal", "totalCharged", "status", "createdAt" }
+ * }
+ */
+router.post('/invoices/:auctionId',
+  authMiddleware.verifyToken,
+  (req, res, next) => getPaymentController().payInvoice(req, res, next)
+);
+
 /**
  * GET /api/payments/:transactionId
  * Get payment transaction details
@@ -179,21 +249,29 @@ router.post('/:transactionId/refund',
 );
 
 /**
- * POST /api/webhooks/payment
+ * POST /api/payments/webhooks/payment
  * Generic payment webhook handler
  * Auth: NOT required (signature verified instead)
  *
+ * Every verified event is stored (payment_webhook_events) before it is
+ * processed; a repeat of an event already handled is acknowledged without
+ * being applied again.
+ *
  * Headers:
- * - X-Webhook-Signature: <signature>
  * - X-Gateway: stripe|square|paypal|authorize.net
+ * - The gateway's own signature header (Stripe-Signature,
+ *   X-Square-HmacSha256-Signature, PayPal-Transmission-*, X-ANET-Signature),
+ *   or X-Webhook-Signature
  *
  * Body: Gateway-specific event JSON
  *
  * Response: 200
  * {
  *   "success": true,
- *   "message": "Webhook processed"
+ *   "message": "Webhook processed",
+ *   "data": { "eventId": "uuid", "status": "PROCESSED", "duplicate": false }
  * }
+ * Response: 500 when the event could not be stored (the gateway retries)
  */
 router.post('/webhooks/payment',
   (req, res, next) => getPaymentController().handleWebhook(req, res, next)
@@ -5,6 +5,7 @@
  */
 const express = require('express');
 const { validateImageDataUrl } = require('../utils/imageUtils');
+const { participatingSchoolSql } = require('../utils/auctionTenancy');
 
 function mapItem(row) {
   return {
@@ -208,9 +209,9 @@ module.exports = (db) => {
       }
 
       const auctionRes = await db.query(
-        `SELECT id FROM auctions
-         WHERE id = $1 AND school_id = $2 AND deleted_at IS NULL
-           AND auction_status IN ('APPROVED','LIVE')`,
+        `SELECT a.id FROM auctions a
+         WHERE a.id = $1 AND ${participatingSchoolSql('a', '$2')} AND a.deleted_at IS NULL
+           AND a.auction_status IN ('APPROVED','LIVE')`,
         [auctionId, schoolId]
       );
       if (auctionRes.rowCount === 0) {
@@ -226,13 +227,13 @@ module.exports = (db) => {
         `INSERT INTO artwork
            (auction_id, created_by_user_id, portfolio_item_id, title, artist_name, medium,
             artist_grade, dimensions_width_cm, dimensions_height_cm, starting_bid_amount,
-            description, image_url, artwork_status)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,0,$10,$11,'SUBMITTED')
+            description, image_url, school_id, artwork_status)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,0,$10,$11,$12,'SUBMITTED')
          RETURNING id`,
         [
           auctionId, studentId, req.params.id, item.title, artistName, item.medium,
           item.artist_grade, item.dimensions_width_cm, item.dimensions_height_cm,
-          item.description, item.image_url
+          item.description, item.image_url, schoolId
         ]
       );
 
@@ -22,6 +22,8 @@ const PRESET_COLORS = {
 
 const VALID_PRESETS = Object.keys(PRESET_COLORS);
 const HEX_RE = /^#[0-9A-Fa-f]{6}$/;
+// EIN (12-3456789) or a local charity/registration number
+const TAX_ID_RE = /^[A-Za-z0-9-]{1,50}$/;
 
 function resolveTheme(preset, colors) {
   if (preset && PRESET_COLORS[preset]) {return PRESET_COLORS[preset];}
@@ -361,5 +363,105 @@ module.exports = (db) => {
     }
   });
 
+  /**
+   * Only a site admin or this school's own admin may see or change how its
+   * donation receipts are issued
+   */
+  function canManageReceipts(user, schoolId) {
+    return user.role === 'SITE_ADMIN' || (user.role === 'SCHOOL_ADMIN' && user.schoolId === schoolId);
+  }
+
+  /**
+   * GET /api/schools/:schoolId/receipt-settings
+   * Tax ID and signatory printed on the school's charity donation receipts
+   * Auth: SITE_ADMIN (any school) | SCHOOL_ADMIN (own school only)
+   */
+  router.get('/:schoolId/receipt-settings', authMiddleware.verifyToken, async (req, res, next) => {
+    try {
+      const { schoolId } = req.params;
+      if (!canManageReceipts(req.user, schoolId)) {
+        return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+      }
+
+      const result = await db.query(
+        'SELECT tax_id, receipt_signatory_name, receipt_signatory_title FROM schools WHERE id = $1',
+        [schoolId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'School not found' });
+      }
+
+      const row = result.rows[0];
+      return res.json({
+        success: true,
+        data: {
+          schoolId,
+          taxId: row.tax_id,
+          signatoryName: row.receipt_signatory_name,
+          signatoryTitle: row.receipt_signatory_title
+        }
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  /**
+   * PUT /api/schools/:schoolId/receipt-settings
+   * Set the tax ID and signatory for donation receipts. Takes effect on every
+   * receipt the next time it is viewed or re-issued.
+   * Auth: SITE_ADMIN (any school) | SCHOOL_ADMIN (own school only)
+   *
+   * Body: { taxId: string|null, signatoryName: string|null, signatoryTitle: string|null }
+   */
+  router.put('/:schoolId/receipt-settings', authMiddleware.verifyToken, async (req, res, next) => {
+    try {
+      const { schoolId } = req.params;
+      if (!canManageReceipts(req.user, schoolId)) {
+        return res.status(403).json({ success: false, message: 'You can only change receipt settings for your own school' });
+      }
+
+      const clean = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+      const taxId = clean(req.body.taxId);
+      const signatoryName = clean(req.body.signatoryName);
+      const signatoryTitle = clean(req.body.signatoryTitle);
+
+      if (taxId !== null && !TAX_ID_RE.test(taxId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tax ID may only contain letters, digits and hyphens (max 50 characters)'
+        });
+      }
+      if ((signatoryName?.length || 0) > 255 || (signatoryTitle?.length || 0) > 255) {
+        return res.status(400).json({ success: false, message: 'Signatory name and title must be 255 characters or fewer' });
+      }
+
+      const result = await db.query(
+        `UPDATE schools
+         SET tax_id = $1, receipt_signatory_name = $2, receipt_signatory_title = $3, updated_at = NOW()
+         WHERE id = $4
+         RETURNING tax_id, receipt_signatory_name, receipt_signatory_title`,
+        [taxId, signatoryName, signatoryTitle, schoolId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'School not found' });
+      }
+
+      const row = result.rows[0];
+      return res.json({
+        success: true,
+        message: 'Receipt settings updated',
+        data: {
+          schoolId,
+          taxId: row.tax_id,
+          signatoryName: row.receipt_signatory_name,
+          signatoryTitle: row.receipt_signatory_title
+        }
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+
   return router;
 };
@@ -221,6 +221,19 @@ router.put('/submissions/:id/approve', async (req, res, next) => {
   }
 });
 
+/**
+ * PUT /api/teacher/submissions/:id/tags
+ * Replace a piece's browsing tags (school-scoped)
+ * Body: { tags: [...] }
+ */
+router.put('/submissions/:id/tags', async (req, res, next) => {
+  try {
+    return await TeacherController.setSubmissionTags(req, res);
+  } catch (error) {
+    return next(error);
+  }
+});
+
 /**
  * PUT /api/teacher/submissions/:id/reject
  * Reject a student artwork submission
@@ -234,4 +247,29 @@ router.put('/submissions/:id/reject', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/teacher/reserve-decisions
+ * Lots that closed under their reserve, awaiting accept/release (school-scoped)
+ */
+router.get('/reserve-decisions', async (req, res, next) => {
+  try {
+    return await TeacherController.getReserveDecisions(req, res);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+/**
+ * POST /api/teacher/reserve-decisions/:id
+ * Accept the top bid anyway or release the piece unsold
+ * Body: { decision: 'ACCEPT' | 'RELEASE' }
+ */
+router.post('/reserve-decisions/:id', async (req, res, next) => {
+  try {
+    return await TeacherController.decideReserve(req, res);
+  } catch (error) {
+    return next(error);
+  }
+});
+
 module.exports = router;
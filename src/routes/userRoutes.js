@@ -10,6 +10,10 @@ const jwt      = require('jsonwebtoken');
 const { UserModel } = require('../models');
 const { JWTService, TwoFactorService, RBACService, SessionService, tokenBlacklist } = require('../services/authenticationService');
 const UserController = require('../controllers/userController');
+const { participatingSchoolSql } = require('../utils/auctionTenancy');
+const watchlistService = require('../services/watchlistService');
+const fundANeedService = require('../services/fundANeedService');
+const donationReceiptService = require('../services/donationReceiptService');
 
 /** Mask the last segment of an IPv4 address or last 4 groups of IPv6. */
 function maskIp(ip) {
@@ -221,6 +225,19 @@ module.exports = (db) => {
     }
   });
 
+  // ---------------------------------------------------------------------------
+  // GET /api/user/watchlist  — watched auctions and pieces, with current bid
+  // and quick-bid amounts for pieces still open
+  // ---------------------------------------------------------------------------
+  router.get('/watchlist', async (req, res, next) => {
+    try {
+      const watchlist = await watchlistService.listForUser(req.user?.id);
+      return res.json({ success: true, ...watchlist });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
   // ---------------------------------------------------------------------------
   // GET /api/user/bids/history  — all bids placed by user
   // ---------------------------------------------------------------------------
@@ -293,6 +310,95 @@ module.exports = (db) => {
     }
   });
 
+  // ---------------------------------------------------------------------------
+  // GET /api/user/pledges  — Fund-a-Need pledges, paid and still to pay
+  // ---------------------------------------------------------------------------
+  router.get('/pledges', async (req, res, next) => {
+    try {
+      const pledges = await fundANeedService.listPledgesForUser(req.user?.id);
+      return res.json({ success: true, pledges });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /api/user/pledges/:pledgeId  — single pledge for checkout
+  // ---------------------------------------------------------------------------
+  router.get('/pledges/:pledgeId', async (req, res, next) => {
+    try {
+      const [pledge] = await fundANeedService.listPledgesForUser(req.user?.id, req.params.pledgeId);
+      if (!pledge) {
+        return res.status(404).json({ success: false, message: 'Pledge not found' });
+      }
+      return res.json({ success: true, pledge });
+    } catch (err) {
+      if (err.code === '22P02') {
+        return res.status(404).json({ success: false, message: 'Pledge not found' });
+      }
+      return next(err);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /api/user/receipts  — charity donation (tax) receipts
+  // ---------------------------------------------------------------------------
+  router.get('/receipts', async (req, res, next) => {
+    try {
+      const receipts = await donationReceiptService.listForDonor(req.user?.id);
+      return res.json({ success: true, receipts });
+    } catch (err) {
+      return next(err);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /api/user/receipts/statements/:year  — year-end statement
+  // HTML page by default; ?format=pdf downloads a PDF, ?format=json returns data
+  // ---------------------------------------------------------------------------
+  router.get('/receipts/statements/:year', async (req, res, next) => {
+    try {
+      const statement = await donationReceiptService.getAnnualStatement(req.user?.id, req.params.year);
+      if (req.query.format === 'json') {
+        return res.json({ success: true, statement });
+      }
+      if (req.query.format === 'pdf') {
+        const pdf = await donationReceiptService.renderStatementPdf(statement);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="donation-statement-${statement.taxYear}.pdf"`);
+        return res.send(pdf);
+      }
+      return res.type('html').send(donationReceiptService.renderStatementHtml(statement));
+    } catch (err) {
+      if (err.message === 'INVALID_TAX_YEAR') {
+        return res.status(400).json({ success: false, message: 'Tax year must be a four-digit year' });
+      }
+      return next(err);
+    }
+  });
+
+  // ---------------------------------------------------------------------------
+  // GET /api/user/receipts/:receiptId  — one receipt
+  // HTML page by default; ?format=pdf downloads a PDF
+  // ---------------------------------------------------------------------------
+  router.get('/receipts/:receiptId', async (req, res, next) => {
+    try {
+      const receipt = await donationReceiptService.getReceipt(req.params.receiptId, req.user?.id);
+      if (req.query.format === 'pdf') {
+        const pdf = await donationReceiptService.renderReceiptPdf(receipt);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="donation-receipt-${receipt.receiptNumber}.pdf"`);
+        return res.send(pdf);
+      }
+      return res.type('html').send(donationReceiptService.renderReceiptHtml(receipt));
+    } catch (err) {
+      if (err.message === 'RECEIPT_NOT_FOUND' || err.code === '22P02') {
+        return res.status(404).json({ success: false, message: 'Receipt not found' });
+      }
+      return next(err);
+    }
+  });
+
   // ---------------------------------------------------------------------------
   // GET /api/user/wins  — accepted/winning bids
   // ---------------------------------------------------------------------------
@@ -434,7 +540,7 @@ module.exports = (db) => {
 
   // ---------------------------------------------------------------------------
   // GET /api/user/artwork/auctions  — auctions the student can submit to
-  //   (school-scoped, status DRAFT or APPROVED)
+  //   (own school's or joint auctions it is a partner in; DRAFT, APPROVED or LIVE)
   // ---------------------------------------------------------------------------
   router.get('/artwork/auctions', async (req, res, next) => {
     try {
@@ -445,12 +551,12 @@ module.exports = (db) => {
       }
 
       const result = await db.query(
-        `SELECT id, title, starts_at, ends_at, auction_status
-         FROM   auctions
-         WHERE  school_id  = $1
-           AND  auction_status IN ('DRAFT', 'APPROVED', 'LIVE')
-           AND  deleted_at IS NULL
-         ORDER  BY starts_at ASC`,
+        `SELECT a.id, a.title, a.starts_at, a.ends_at, a.auction_status
+         FROM   auctions a
+         WHERE  ${participatingSchoolSql('a', '$1')}
+           AND  a.auction_status IN ('DRAFT', 'APPROVED', 'LIVE')
+           AND  a.deleted_at IS NULL
+         ORDER  BY a.starts_at ASC`,
         [schoolId]
       );
 
@@ -470,7 +576,7 @@ module.exports = (db) => {
       const userId = req.user?.id;
       const {
         auctionId, title, artistName, medium,
-        width, height, startingBid, description, imageData
+        width, height, startingBid, description, artistStatement, imageData
       } = req.body;
 
       if (!auctionId || !title || !artistName || startingBid === undefined) {
@@ -480,12 +586,12 @@ module.exports = (db) => {
         });
       }
 
-      // Verify the auction belongs to the student's school
+      // Verify the auction belongs to (or is a joint auction with) the student's school
       const schoolId = req.user?.schoolId;
       const auctionCheck = await db.query(
-        `SELECT id FROM auctions
-         WHERE id = $1 AND school_id = $2 AND deleted_at IS NULL
-           AND auction_status IN ('DRAFT', 'APPROVED', 'LIVE')`,
+        `SELECT a.id FROM auctions a
+         WHERE a.id = $1 AND ${participatingSchoolSql('a', '$2')} AND a.deleted_at IS NULL
+           AND a.auction_status IN ('DRAFT', 'APPROVED', 'LIVE')`,
         [auctionId, schoolId]
       );
       if (auctionCheck.rowCount === 0) {
@@ -499,8 +605,9 @@ module.exports = (db) => {
         `INSERT INTO artwork
            (auction_id, created_by_user_id, title, artist_name, medium,
             dimensions_width_cm, dimensions_height_cm, starting_bid_amount,
-            description, image_url, artwork_status)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,'SUBMITTED')
+            description, image_url, school_id, artist_statement, artist_grade, artwork_status)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,
+                 (SELECT grade_level FROM users WHERE id = $2),'SUBMITTED')
          RETURNING id, title, artwork_status, created_at`,
         [
           auctionId, userId,
@@ -510,7 +617,9 @@ module.exports = (db) => {
           height ? Number.parseFloat(height) : null,
           Number.parseFloat(startingBid),
           description || null,
-          imageUrl
+          imageUrl,
+          schoolId,
+          artistStatement ? String(artistStatement).trim() || null : null
         ]
       );
 
@@ -8,6 +8,19 @@
  */
 
 const { pool, UserModel } = require('../models/index');
+const biddingService = require('./biddingService');
+const bidIntegrityService = require('./bidIntegrityService');
+const watchlistService = require('./watchlistService');
+const donationReceiptService = require('./donationReceiptService');
+const settlementService = require('./settlementService');
+const webhookEventService = require('./webhookEventService');
+const { schoolParticipates, pieceSchoolSql, participatingSchoolSql } = require('../utils/auctionTenancy');
+
+/** How a win can be paid at pickup instead of online */
+const OFFLINE_PAYMENT_METHODS = ['CASH', 'CHECK', 'SCHOOL_STORE'];
+
+/** Cash drawer buckets, keyed by offline_payments.payment_method */
+const DRAWER_BUCKETS = { CASH: 'cash', CHECK: 'check', SCHOOL_STORE: 'schoolStore' };
 
 /**
  * AdminService - Handles all administrative operations
@@ -414,7 +427,8 @@ class AdminService {
 
     // Get user's bid history
     const bidsResult = await pool.query(
-      'SELECT b.id, b.bid_amount, b.bid_status, b.placed_at FROM bids b WHERE b.placed_by_user_id = $1 ORDER BY b.placed_at DESC',
+      `SELECT b.id, b.bid_amount, b.bid_status, b.placed_at, b.ip_address, b.user_agent
+       FROM bids b WHERE b.placed_by_user_id = $1 ORDER BY b.placed_at DESC`,
       [userId]
     );
 
@@ -449,7 +463,9 @@ class AdminService {
               s.name        AS school_name,
               u.first_name  AS creator_first_name,
               u.last_name   AS creator_last_name,
-              u.email       AS creator_email
+              u.email       AS creator_email,
+              ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                    WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids
        FROM auctions a
        LEFT JOIN schools s ON s.id = a.school_id
        LEFT JOIN users   u ON u.id = a.created_by_user_id
@@ -463,8 +479,8 @@ class AdminService {
 
     const auction = result.rows[0];
 
-    // Multi-tenant check
-    if (admin.role === 'SCHOOL_ADMIN' && auction.school_id !== admin.school_id) {
+    // Multi-tenant check: a joint auction's partners may view it too
+    if (!schoolParticipates(admin.role, admin.school_id, auction.school_id, auction.partner_school_ids || [])) {
       throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
     }
 
@@ -490,8 +506,9 @@ class AdminService {
       WHERE a.deleted_at IS NULL`;
     const params = [];
 
+    // Own school's auctions, and joint auctions it is a partner in
     if (admin.role === 'SCHOOL_ADMIN') {
-      query += ' AND a.school_id = $1';
+      query += ` AND ${participatingSchoolSql('a', '$1')}`;
       params.push(admin.school_id);
     }
 
@@ -525,7 +542,7 @@ class AdminService {
 
     // Multi-tenant isolation
     if (admin.role === 'SCHOOL_ADMIN') {
-      query += ' AND a.school_id = $2';
+      query += ` AND ${participatingSchoolSql('a', '$2')}`;
       params.push(admin.school_id);
     }
 
@@ -565,7 +582,7 @@ class AdminService {
 
     if (admin.role === 'SCHOOL_ADMIN') {
       params.push(admin.school_id);
-      query += ` AND a.school_id = $${params.length}`;
+      query += ` AND ${participatingSchoolSql('a', `$${params.length}`)}`;
     }
 
     query += ' ORDER BY a.created_at DESC LIMIT 50';
@@ -663,6 +680,8 @@ class AdminService {
       'Admin activated auction to LIVE'
     );
 
+    setImmediate(() => { watchlistService.alertAuctionLive(auctionId); });
+
     return { success: true, auctionId, newStatus: 'LIVE' };
   }
 
@@ -896,6 +915,172 @@ class AdminService {
     return { success: true, auctionId };
   }
 
+  /**
+   * ========== BID APPROVAL (3 methods) ==========
+   */
+
+  /**
+   * List bids awaiting review on live auctions that require bid approval.
+   * RBAC: SITE_ADMIN sees all; SCHOOL_ADMIN sees bids on own school's pieces only
+   * @param {string|null} auctionId - Optional filter to one auction
+   * @param {string} adminId - Requesting admin's user ID
+   */
+  async listPendingBids(auctionId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    const params = [];
+    let query = `
+      SELECT b.id, b.bid_amount, b.placed_at, b.ip_address, b.user_agent,
+             b.artwork_id, aw.title AS artwork_title,
+             b.auction_id, a.title AS auction_title, ${pieceSchoolSql('aw', 'a')} AS school_id,
+             b.placed_by_user_id AS bidder_id, u.first_name, u.last_name, u.email,
+             (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = b.artwork_id AND bid_status = 'ACTIVE') AS current_bid
+      FROM bids b
+      JOIN artwork aw ON aw.id = b.artwork_id
+      JOIN auctions a ON a.id = b.auction_id
+      JOIN users u    ON u.id = b.placed_by_user_id
+      WHERE b.bid_status = 'PENDING'
+        AND a.auction_status = 'LIVE'
+        AND aw.finalized_at IS NULL
+        AND a.deleted_at IS NULL`;
+
+    if (auctionId) {
+      params.push(auctionId);
+      query += ` AND b.auction_id = $${params.length}`;
+    }
+
+    if (admin.role === 'SCHOOL_ADMIN') {
+      params.push(admin.school_id);
+      query += ` AND ${pieceSchoolSql('aw', 'a')} = $${params.length}`;
+    }
+
+    query += ' ORDER BY b.placed_at ASC LIMIT 200';
+
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  /**
+   * Approve a pending bid: PENDING -> ACTIVE (or OUTBID if overtaken meanwhile)
+   */
+  async approveBid(bidId, adminId) {
+    await this._verifyBidScope(bidId, adminId);
+
+    const result = await biddingService.approvePendingBid(bidId, adminId);
+
+    await this.logAdminAction(
+      adminId,
+      'BID_APPROVED',
+      'BID',
+      bidId,
+      { bid_status: 'PENDING' },
+      { bid_status: result.isWinning ? 'ACTIVE' : 'OUTBID' },
+      'Admin approved pending bid'
+    );
+
+    return result;
+  }
+
+  /**
+   * Reject a pending bid: PENDING -> REJECTED
+   */
+  async rejectBid(bidId, reason, adminId) {
+    await this._verifyBidScope(bidId, adminId);
+
+    const result = await biddingService.rejectPendingBid(bidId, adminId, reason || null);
+
+    await this.logAdminAction(
+      adminId,
+      'BID_REJECTED',
+      'BID',
+      bidId,
+      { bid_status: 'PENDING' },
+      { bid_status: 'REJECTED' },
+      reason || 'Admin rejected pending bid'
+    );
+
+    return result;
+  }
+
+  /**
+   * Multi-tenant check for bid review: the piece bid on must belong to the
+   * SCHOOL_ADMIN's school (in a joint auction, not just the auction).
+   * @private
+   */
+  async _verifyBidScope(bidId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    const bidResult = await pool.query(
+      `SELECT ${pieceSchoolSql('aw', 'a')} AS school_id FROM bids b
+       JOIN artwork aw ON aw.id = b.artwork_id
+       JOIN auctions a ON a.id = b.auction_id
+       WHERE b.id = $1`,
+      [bidId]
+    );
+
+    if (bidResult.rows.length === 0) {
+      throw new Error('BID_NOT_FOUND');
+    }
+
+    if (admin.role === 'SCHOOL_ADMIN' && bidResult.rows[0].school_id !== admin.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+  }
+
+  /**
+   * ========== BID HISTORY ==========
+   */
+
+  /**
+   * Every bid on a piece, oldest first, with where each was placed from
+   * (client IP, user agent, login session) for resolving bid disputes.
+   * Auto-bids placed by the proxy engine have no client context.
+   * RBAC: SITE_ADMIN sees all; SCHOOL_ADMIN sees own school's pieces only
+   * @param {string} artworkId
+   * @param {string} adminId - Requesting admin's user ID
+   */
+  async getArtworkBidHistory(artworkId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    const artworkResult = await pool.query(
+      `SELECT aw.id, aw.title, aw.auction_id, a.title AS auction_title, ${pieceSchoolSql('aw', 'a')} AS school_id
+       FROM artwork aw
+       JOIN auctions a ON a.id = aw.auction_id
+       WHERE aw.id = $1`,
+      [artworkId]
+    );
+
+    if (artworkResult.rows.length === 0) {
+      throw new Error('ARTWORK_NOT_FOUND');
+    }
+
+    const artwork = artworkResult.rows[0];
+    if (admin.role === 'SCHOOL_ADMIN' && artwork.school_id !== admin.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+
+    const bidsResult = await pool.query(
+      `SELECT b.id, b.bid_amount, b.bid_status, b.is_auto_bid, b.placed_at,
+              b.ip_address, b.user_agent, b.session_jti,
+              b.placed_by_user_id AS bidder_id, u.first_name, u.last_name, u.email
+       FROM bids b
+       JOIN users u ON u.id = b.placed_by_user_id
+       WHERE b.artwork_id = $1
+       ORDER BY b.placed_at ASC, b.bid_amount ASC`,
+      [artworkId]
+    );
+
+    return {
+      artwork: {
+        id: artwork.id,
+        title: artwork.title,
+        auctionId: artwork.auction_id,
+        auctionTitle: artwork.auction_title
+      },
+      bids: bidsResult.rows
+    };
+  }
+
   /**
    * ========== PAYMENT MANAGEMENT (4 methods) ==========
    */
@@ -1061,47 +1246,559 @@ class AdminService {
     };
   }
 
+  /**
+   * ========== OFFLINE PAYMENTS (2 methods) ==========
+   */
+
+  /**
+   * Record a cash, check or school store payment taken at pickup against a
+   * win. One payment settles a piece; a piece already paid online cannot be
+   * paid again. received_by is the volunteer whose drawer holds the money
+   * (the recording admin unless named).
+   * RBAC: SITE_ADMIN (all), SCHOOL_ADMIN (own school's pieces only)
+   * @param {string} artworkId
+   * @param {Object} payment - { method, amount?, checkNumber?, receivedByUserId?, notes? };
+   *   amount defaults to the winning bid
+   * @param {string} adminId
+   * @returns {Promise<Object>} The recorded payment
+   */
+  async recordOfflinePayment(artworkId, { method, amount, checkNumber, receivedByUserId, notes } = {}, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    if (!OFFLINE_PAYMENT_METHODS.includes(method)) {
+      throw new Error('INVALID_PAYMENT_METHOD');
+    }
+    const cleanCheckNumber = method === 'CHECK' && checkNumber ? String(checkNumber).trim().slice(0, 50) : null;
+    if (method === 'CHECK' && !cleanCheckNumber) {
+      throw new Error('CHECK_NUMBER_REQUIRED');
+    }
+
+    const winResult = await pool.query(
+      `SELECT aw.id, aw.title, aw.auction_id, ${pieceSchoolSql('aw', 'a')} AS school_id,
+              b.placed_by_user_id AS buyer_user_id, b.bid_amount,
+              EXISTS (SELECT 1 FROM transactions t
+                      WHERE t.artwork_id = aw.id AND t.transaction_type = 'SALE'
+                        AND t.transaction_status IN ('AUTHORIZED', 'CHARGED', 'COMPLETED')) AS paid_online
+       FROM artwork aw
+       JOIN auctions a ON a.id = aw.auction_id
+       JOIN bids b ON b.artwork_id = aw.id AND b.bid_status = 'ACCEPTED'
+       WHERE aw.id = $1`,
+      [artworkId]
+    );
+
+    if (winResult.rows.length === 0) {
+      throw new Error('WIN_NOT_FOUND');
+    }
+
+    const win = winResult.rows[0];
+    if (admin.role === 'SCHOOL_ADMIN' && win.school_id !== admin.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+    if (win.paid_online) {
+      throw new Error('ALREADY_PAID');
+    }
+
+    const paidAmount = amount === undefined || amount === null || amount === ''
+      ? parseFloat(win.bid_amount)
+      : Number(amount);
+    if (!Number.isFinite(paidAmount) || paidAmount <= 0 || Math.abs(paidAmount * 100 - Math.round(paidAmount * 100)) > 1e-6) {
+      throw new Error('INVALID_AMOUNT');
+    }
+
+    const receiverId = receivedByUserId || adminId;
+    if (receiverId !== adminId) {
+      const receiver = await pool.query(
+        'SELECT id FROM users WHERE id = $1 AND account_status = $2 AND deleted_at IS NULL',
+        [receiverId, 'ACTIVE']
+      );
+      if (receiver.rows.length === 0) {
+        throw new Error('RECEIVER_NOT_FOUND');
+      }
+    }
+
+    // UNIQUE (artwork_id) makes a second recording of the same piece a no-op
+    const inserted = await pool.query(
+      `INSERT INTO offline_payments
+         (auction_id, artwork_id, buyer_user_id, amount, payment_method, check_number,
+          received_by_user_id, recorded_by_user_id, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (artwork_id) DO NOTHING
+       RETURNING *`,
+      [win.auction_id, artworkId, win.buyer_user_id, paidAmount, method, cleanCheckNumber,
+        receiverId, adminId, notes ? String(notes).trim() : null]
+    );
+
+    if (inserted.rows.length === 0) {
+      throw new Error('ALREADY_PAID');
+    }
+
+    const payment = inserted.rows[0];
+    await this.logAdminAction(
+      adminId,
+      'OFFLINE_PAYMENT_RECORDED',
+      'PAYMENT',
+      payment.id,
+      null,
+      {
+        artwork_id: artworkId,
+        buyer_user_id: win.buyer_user_id,
+        amount: paidAmount,
+        payment_method: method,
+        check_number: cleanCheckNumber,
+        received_by_user_id: receiverId
+      },
+      payment.notes || `Admin recorded ${method.toLowerCase().replace('_', ' ')} payment`
+    );
+
+    setImmediate(() => donationReceiptService.issueForDonor(payment.auction_id, win.buyer_user_id)
+      .catch(err => console.error('[receipts] issuing after offline payment failed:', err.message)));
+
+    return {
+      paymentId: payment.id,
+      auctionId: payment.auction_id,
+      artworkId,
+      artworkTitle: win.title,
+      buyerUserId: win.buyer_user_id,
+      amount: paidAmount,
+      method,
+      checkNumber: cleanCheckNumber,
+      receivedByUserId: receiverId,
+      notes: payment.notes,
+      receivedAt: payment.received_at
+    };
+  }
+
+  /**
+   * End-of-night cash drawer for an auction: every offline payment, totals
+   * per volunteer by method (with check numbers to match against the
+   * physical checks), and the wins still waiting on payment.
+   * RBAC: SITE_ADMIN (all), SCHOOL_ADMIN (own school's pieces in auctions it takes part in)
+   * @param {string} auctionId
+   * @param {string} adminId
+   */
+  async getCashDrawer(auctionId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    const auctionResult = await pool.query(
+      `SELECT a.id, a.title, a.school_id,
+              ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                    WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids
+       FROM auctions a
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [auctionId]
+    );
+
+    if (auctionResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+
+    const auction = auctionResult.rows[0];
+    if (!schoolParticipates(admin.role, admin.school_id, auction.school_id, auction.partner_school_ids || [])) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+
+    // In a joint auction each school reconciles its own pieces
+    const params = [auctionId];
+    let scope = '';
+    if (admin.role === 'SCHOOL_ADMIN') {
+      params.push(admin.school_id);
+      scope = `AND ${pieceSchoolSql('aw', 'a')} = $2`;
+    }
+
+    const entriesResult = await pool.query(
+      `SELECT op.id, op.artwork_id, aw.title AS artwork_title, op.amount, op.payment_method,
+              op.check_number, op.notes, op.received_at, op.received_by_user_id,
+              r.first_name AS received_by_first_name, r.last_name AS received_by_last_name,
+              op.buyer_user_id, buyer.first_name AS buyer_first_name, buyer.last_name AS buyer_last_name
+       FROM offline_payments op
+       JOIN artwork aw ON aw.id = op.artwork_id
+       JOIN auctions a ON a.id = op.auction_id
+       JOIN users r ON r.id = op.received_by_user_id
+       JOIN users buyer ON buyer.id = op.buyer_user_id
+       WHERE op.auction_id = $1 ${scope}
+       ORDER BY op.received_at ASC`,
+      params
+    );
+
+    const outstandingResult = await pool.query(
+      `SELECT aw.id AS artwork_id, aw.title AS artwork_title, b.bid_amount,
+              u.id AS buyer_user_id, u.first_name AS buyer_first_name, u.last_name AS buyer_last_name
+       FROM bids b
+       JOIN artwork aw ON aw.id = b.artwork_id
+       JOIN auctions a ON a.id = b.auction_id
+       JOIN users u ON u.id = b.placed_by_user_id
+       WHERE b.auction_id = $1 AND b.bid_status = 'ACCEPTED' ${scope}
+         AND NOT EXISTS (SELECT 1 FROM transactions t
+                         WHERE t.artwork_id = aw.id AND t.transaction_type = 'SALE'
+                           AND t.transaction_status IN ('AUTHORIZED', 'CHARGED', 'COMPLETED'))
+         AND NOT EXISTS (SELECT 1 FROM offline_payments op WHERE op.artwork_id = aw.id)
+       ORDER BY aw.title ASC`,
+      params
+    );
+
+    // Sum in cents so the drawer totals match to the penny
+    const emptyBuckets = () => ({
+      cash: { count: 0, cents: 0 },
+      check: { count: 0, cents: 0, checkNumbers: [] },
+      schoolStore: { count: 0, cents: 0 }
+    });
+    const totals = emptyBuckets();
+    const drawers = new Map();
+    const entries = entriesResult.rows.map(row => {
+      const cents = Math.round(parseFloat(row.amount) * 100);
+      const bucket = DRAWER_BUCKETS[row.payment_method];
+      if (!drawers.has(row.received_by_user_id)) {
+        drawers.set(row.received_by_user_id, {
+          receivedByUserId: row.received_by_user_id,
+          receivedByName: `${row.received_by_first_name || ''} ${row.received_by_last_name || ''}`.trim(),
+          ...emptyBuckets()
+        });
+      }
+      for (const target of [drawers.get(row.received_by_user_id), totals]) {
+        target[bucket].count += 1;
+        target[bucket].cents += cents;
+        if (row.payment_method === 'CHECK') {
+          target.check.checkNumbers.push(row.check_number);
+        }
+      }
+      return {
+        paymentId: row.id,
+        artworkId: row.artwork_id,
+        artworkTitle: row.artwork_title,
+        buyerUserId: row.buyer_user_id,
+        buyerName: `${row.buyer_first_name || ''} ${row.buyer_last_name || ''}`.trim(),
+        amount: cents / 100,
+        method: row.payment_method,
+        checkNumber: row.check_number,
+        receivedByUserId: row.received_by_user_id,
+        notes: row.notes,
+        receivedAt: row.received_at
+      };
+    });
+
+    const toDollars = (buckets) => {
+      const out = {};
+      let cents = 0;
+      for (const key of Object.values(DRAWER_BUCKETS)) {
+        const { cents: bucketCents, ...rest } = buckets[key];
+        out[key] = { ...rest, total: bucketCents / 100 };
+        cents += bucketCents;
+      }
+      return { ...out, total: cents / 100 };
+    };
+
+    await this.logAdminAction(adminId, 'CASH_DRAWER_VIEWED', 'AUCTION', auctionId, null, null, 'Admin viewed cash drawer');
+
+    return {
+      auction: { id: auction.id, title: auction.title },
+      drawers: [...drawers.values()].map(({ receivedByUserId, receivedByName, ...buckets }) => ({
+        receivedByUserId,
+        receivedByName,
+        ...toDollars(buckets)
+      })),
+      totals: { ...toDollars(totals), count: entries.length },
+      entries,
+      outstanding: outstandingResult.rows.map(row => ({
+        artworkId: row.artwork_id,
+        artworkTitle: row.artwork_title,
+        buyerUserId: row.buyer_user_id,
+        buyerName: `${row.buyer_first_name || ''} ${row.buyer_last_name || ''}`.trim(),
+        winningBid: parseFloat(row.bid_amount)
+      }))
+    };
+  }
+
+  /**
+   * ========== DONATION RECEIPTS (1 method) ==========
+   */
+
+  /**
+   * Bulk re-issue charity donation receipts for an auction and/or a tax
+   * year: issues any that are missing, refreshes amounts from the current
+   * fair market values, and emails every receipt again.
+   * RBAC: SITE_ADMIN (all), SCHOOL_ADMIN (receipts issued by own school only)
+   * @param {Object} scope - { auctionId?, taxYear? } (at least one)
+   * @param {string} adminId
+   * @returns {Promise<{ issued: number, reissued: number }>}
+   */
+  async reissueDonationReceipts({ auctionId = null, taxYear = null } = {}, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    if (auctionId) {
+      const auctionResult = await pool.query(
+        'SELECT id, charity_beneficiary_name FROM auctions WHERE id = $1 AND deleted_at IS NULL',
+        [auctionId]
+      );
+      if (auctionResult.rows.length === 0) {
+        throw new Error('AUCTION_NOT_FOUND');
+      }
+      if (!auctionResult.rows[0].charity_beneficiary_name) {
+        throw new Error('NOT_CHARITY_AUCTION');
+      }
+    }
+
+    const schoolId = admin.role === 'SCHOOL_ADMIN' ? admin.school_id : null;
+    const result = await donationReceiptService.reissue({ auctionId, taxYear, schoolId });
+
+    await this.logAdminAction(
+      adminId,
+      'DONATION_RECEIPTS_REISSUED',
+      'AUCTION',
+      auctionId,
+      null,
+      { auction_id: auctionId, tax_year: taxYear, school_id: schoolId, issued: result.issued, reissued: result.reissued },
+      'Admin re-issued donation receipts'
+    );
+
+    return { issued: result.issued, reissued: result.reissued };
+  }
+
+  /**
+   * ========== SETTLEMENT STATEMENTS (4 methods) ==========
+   */
+
+  /**
+   * Settlement statements for an ended auction, refreshed first so drafts
+   * show the latest payments, refunds and chargebacks.
+   * RBAC: SITE_ADMIN (all schools), SCHOOL_ADMIN (own school's statement, in auctions it takes part in)
+   * @param {string} auctionId
+   * @param {string} adminId
+   */
+  async getSettlements(auctionId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    const auctionResult = await pool.query(
+      `SELECT a.id, a.school_id,
+              ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                    WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids
+       FROM auctions a
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [auctionId]
+    );
+    if (auctionResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    const auction = auctionResult.rows[0];
+    if (!schoolParticipates(admin.role, admin.school_id, auction.school_id, auction.partner_school_ids || [])) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+
+    await settlementService.generateForAuction(auctionId);
+    return settlementService.listForAuction(auctionId, admin.role === 'SCHOOL_ADMIN' ? admin.school_id : null);
+  }
+
+  /**
+   * Waive or restore the platform fee on a draft statement.
+   * RBAC: SITE_ADMIN only
+   * @param {string} statementId
+   * @param {Object} waiver - { waived: boolean, reason?: string } (reason required to waive)
+   * @param {string} adminId
+   */
+  async setSettlementFeeWaiver(statementId, { waived, reason } = {}, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+    if (admin.role !== 'SITE_ADMIN') {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    const cleanReason = typeof reason === 'string' ? reason.trim() : '';
+    if (waived && !cleanReason) {
+      throw new Error('WAIVER_REASON_REQUIRED');
+    }
+
+    const before = await settlementService.getStatement(statementId);
+    const statement = await settlementService.setFeeWaiver(statementId, waived === true, cleanReason || null);
+
+    await this.logAdminAction(
+      adminId,
+      waived ? 'SETTLEMENT_FEE_WAIVED' : 'SETTLEMENT_FEE_WAIVER_REMOVED',
+      'SETTLEMENT',
+      statementId,
+      { platform_fee_waived: before.platformFeeWaived, platform_fee_due: before.platformFeeDue },
+      { platform_fee_waived: statement.platformFeeWaived, platform_fee_due: statement.platformFeeDue },
+      cleanReason || 'Admin removed platform fee waiver'
+    );
+
+    return statement;
+  }
+
+  /**
+   * Approve a draft statement; its figures are locked from then on.
+   * RBAC: SITE_ADMIN only
+   * @param {string} statementId
+   * @param {string} adminId
+   */
+  async approveSettlement(statementId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+    if (admin.role !== 'SITE_ADMIN') {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+
+    const statement = await settlementService.approve(statementId, adminId);
+
+    await this.logAdminAction(
+      adminId,
+      'SETTLEMENT_APPROVED',
+      'SETTLEMENT',
+      statementId,
+      { statement_status: 'DRAFT' },
+      { statement_status: 'APPROVED', net_payable: statement.netPayable, school_id: statement.schoolId },
+      'Admin approved settlement statement'
+    );
+
+    return statement;
+  }
+
+  /**
+   * Export a statement as CSV or PDF. Drafts are refreshed first.
+   * RBAC: SITE_ADMIN (all), SCHOOL_ADMIN (own school's statements only)
+   * @param {string} statementId
+   * @param {string} format - 'csv' | 'pdf'
+   * @param {string} adminId
+   * @returns {Promise<{ filename: string, contentType: string, body: string|Buffer }>}
+   */
+  async exportSettlement(statementId, format, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+    if (!['csv', 'pdf'].includes(format)) {
+      throw new Error('INVALID_EXPORT_FORMAT');
+    }
+
+    let statement = await settlementService.getStatement(statementId);
+    if (admin.role === 'SCHOOL_ADMIN' && statement.schoolId !== admin.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+    if (statement.status === 'DRAFT') {
+      await settlementService.generateForAuction(statement.auctionId);
+      statement = await settlementService.getStatement(statementId);
+    }
+
+    const filename = `settlement-${statement.auctionId.slice(0, 8)}-${statement.schoolId.slice(0, 8)}.${format}`;
+    if (format === 'csv') {
+      return { filename, contentType: 'text/csv', body: settlementService.toCsv(statement) };
+    }
+    return { filename, contentType: 'application/pdf', body: await settlementService.renderPdf(statement) };
+  }
+
+  /**
+   * ========== PAYMENT WEBHOOK EVENTS (3 methods) ==========
+   */
+
+  /**
+   * Stored gateway webhook events, newest first.
+   * RBAC: SITE_ADMIN only (events span every school)
+   * @param {Object} filters - { status, gateway, chargeId, page, limit }
+   * @param {string} adminId
+   */
+  async listWebhookEvents(filters, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+    if (admin.role !== 'SITE_ADMIN') {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    return webhookEventService.list(filters);
+  }
+
+  /**
+   * One webhook event with its payload and the transactions of its charge.
+   * RBAC: SITE_ADMIN only
+   * @param {string} eventId
+   * @param {string} adminId
+   */
+  async getWebhookEvent(eventId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+    if (admin.role !== 'SITE_ADMIN') {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    return webhookEventService.getEvent(eventId);
+  }
+
+  /**
+   * Process a failed webhook event again.
+   * RBAC: SITE_ADMIN only
+   * @param {string} eventId
+   * @param {string} adminId
+   */
+  async redriveWebhookEvent(eventId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+    if (admin.role !== 'SITE_ADMIN') {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+
+    const event = await webhookEventService.redrive(eventId);
+
+    await this.logAdminAction(
+      adminId,
+      'WEBHOOK_EVENT_REDRIVEN',
+      'WEBHOOK_EVENT',
+      eventId,
+      { processing_status: 'FAILED' },
+      { processing_status: event.status, transactions_updated: event.transactionsUpdated },
+      'Admin re-drove failed webhook event'
+    );
+
+    return event;
+  }
+
   /**
    * ========== CSV REPORT EXPORTS (4 methods) ==========
    */
 
   /**
-   * Revenue report CSV — all completed transactions (last 12 months)
+   * Revenue report CSV — all completed transactions and offline (cash,
+   * check, school store) payments of the last 12 months, each under the
+   * school whose piece was sold. Fund-a-Need pledges are typed apart from
+   * artwork sales, under the auction's school.
    */
   async generateRevenueReportCSV(adminId) {
     const admin = await this.verifyAdminAccess(adminId);
 
-    let query = `
+    // Each sale counts for the school whose piece sold (joint auctions split by school)
+    const params = [];
+    let scope = '';
+    if (admin.role === 'SCHOOL_ADMIN') {
+      params.push(admin.school_id);
+      scope = `AND ${pieceSchoolSql('aw', 'a')} = $1`;
+    }
+
+    const query = `
       SELECT
         t.id            AS transaction_id,
         t.created_at    AS date,
         t.total_amount  AS amount,
         t.transaction_status AS status,
+        'ONLINE'        AS method,
+        CASE WHEN t.pledge_id IS NOT NULL THEN 'FUND_A_NEED' ELSE 'ARTWORK_SALE' END AS revenue_type,
+        COALESCE(aw.title, fi.title) AS item_title,
         a.title         AS auction_title,
         s.name          AS school_name
       FROM transactions t
       LEFT JOIN auctions a ON a.id = t.auction_id
-      LEFT JOIN schools  s ON s.id = a.school_id
-      WHERE t.created_at >= NOW() - INTERVAL '12 months'
+      LEFT JOIN artwork aw ON aw.id = t.artwork_id
+      LEFT JOIN fund_a_need_pledges fp ON fp.id = t.pledge_id
+      LEFT JOIN fund_a_need_items   fi ON fi.id = fp.item_id
+      LEFT JOIN schools  s ON s.id = ${pieceSchoolSql('aw', 'a')}
+      WHERE t.created_at >= NOW() - INTERVAL '12 months' ${scope}
+      UNION ALL
+      SELECT
+        op.id, op.received_at, op.amount, 'COMPLETED', op.payment_method, 'ARTWORK_SALE',
+        aw.title, a.title, s.name
+      FROM offline_payments op
+      JOIN auctions a ON a.id = op.auction_id
+      JOIN artwork aw ON aw.id = op.artwork_id
+      LEFT JOIN schools  s ON s.id = ${pieceSchoolSql('aw', 'a')}
+      WHERE op.received_at >= NOW() - INTERVAL '12 months' ${scope}
+      ORDER BY date DESC
     `;
-    const params = [];
-
-    if (admin.role === 'SCHOOL_ADMIN') {
-      query += ` AND a.school_id = $${params.length + 1}`;
-      params.push(admin.school_id);
-    }
-
-    query += ' ORDER BY t.created_at DESC';
 
     const result = await pool.query(query, params);
 
-    const header = 'Transaction ID,Date,Amount,Status,Auction Title,School\n';
+    const header = 'Transaction ID,Date,Amount,Status,Method,Type,Item,Auction Title,School\n';
     const rows = result.rows.map(r =>
       [
         r.transaction_id,
         new Date(r.date).toISOString(),
         r.amount,
         r.status,
+        r.method,
+        r.revenue_type,
+        `"${(r.item_title || '').replace(/"/g, '""')}"`,
         `"${(r.auction_title || '').replace(/"/g, '""')}"`,
         `"${(r.school_name || '').replace(/"/g, '""')}"`
       ].join(',')
@@ -1204,7 +1901,10 @@ class AdminService {
   }
 
   /**
-   * Compliance & audit trail report CSV — all stored compliance reports
+   * Compliance & audit trail report CSV — all stored compliance reports, each
+   * with the school's completed artwork sales (online and offline) and
+   * Fund-a-Need pledge payments over the report period (donations are receipted differently
+   * from purchases, so they are never lumped together)
    */
   async generateComplianceReportCSV(adminId) {
     const admin = await this.verifyAdminAccess(adminId);
@@ -1217,10 +1917,32 @@ class AdminService {
         cr.report_period_end   AS end_date,
         cr.created_at          AS generated_at,
         u.email                AS generated_by,
-        s.name                 AS school_name
+        s.name                 AS school_name,
+        money.artwork_sales + offline.artwork_sales AS artwork_sales,
+        money.fund_a_need_pledges
       FROM compliance_reports cr
       LEFT JOIN users   u ON u.id = cr.generated_by_user_id
       LEFT JOIN schools s ON s.id = cr.school_id
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(t.total_amount) FILTER (WHERE t.pledge_id IS NULL), 0)     AS artwork_sales,
+               COALESCE(SUM(t.total_amount) FILTER (WHERE t.pledge_id IS NOT NULL), 0) AS fund_a_need_pledges
+        FROM transactions t
+        JOIN auctions a ON a.id = t.auction_id
+        LEFT JOIN artwork aw ON aw.id = t.artwork_id
+        WHERE t.transaction_status = 'COMPLETED'
+          AND ${pieceSchoolSql('aw', 'a')} = cr.school_id
+          AND t.created_at >= cr.report_period_start
+          AND t.created_at <  cr.report_period_end + INTERVAL '1 day'
+      ) money ON true
+      LEFT JOIN LATERAL (
+        SELECT COALESCE(SUM(op.amount), 0) AS artwork_sales
+        FROM offline_payments op
+        JOIN auctions a ON a.id = op.auction_id
+        JOIN artwork aw ON aw.id = op.artwork_id
+        WHERE ${pieceSchoolSql('aw', 'a')} = cr.school_id
+          AND op.received_at >= cr.report_period_start
+          AND op.received_at <  cr.report_period_end + INTERVAL '1 day'
+      ) offline ON true
     `;
     const params = [];
 
@@ -1233,7 +1955,7 @@ class AdminService {
 
     const result = await pool.query(query, params);
 
-    const header = 'Report ID,Type,Start Date,End Date,Generated At,Generated By,School\n';
+    const header = 'Report ID,Type,Start Date,End Date,Generated At,Generated By,School,Artwork Sales,Fund-a-Need Pledges\n';
     const rows = result.rows.map(r =>
       [
         r.report_id,
@@ -1242,7 +1964,9 @@ class AdminService {
         r.end_date   ? new Date(r.end_date).toISOString()   : '',
         new Date(r.generated_at).toISOString(),
         `"${(r.generated_by || '').replace(/"/g, '""')}"`,
-        `"${(r.school_name || '').replace(/"/g, '""')}"`
+        `"${(r.school_name || '').replace(/"/g, '""')}"`,
+        r.artwork_sales,
+        r.fund_a_need_pledges
       ].join(',')
     );
     return header + rows.join('\n');
@@ -1529,6 +2253,50 @@ class AdminService {
     return reports;
   }
 
+  /**
+   * Shill-bidding / collusion report for one auction: bidders and bids flagged
+   * by bidIntegrityService, each with the signals that tripped.
+   * RBAC: SITE_ADMIN (all), SCHOOL_ADMIN (own school only)
+   * @param {string} auctionId
+   * @param {string} adminId - Requesting admin's user ID
+   */
+  async generateBidIntegrityReport(auctionId, adminId) {
+    const admin = await this.verifyAdminAccess(adminId);
+
+    const auctionResult = await pool.query(
+      'SELECT id, title, school_id FROM auctions WHERE id = $1 AND deleted_at IS NULL',
+      [auctionId]
+    );
+
+    if (auctionResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+
+    const auction = auctionResult.rows[0];
+    if (admin.role === 'SCHOOL_ADMIN' && auction.school_id !== admin.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+
+    const analysis = await bidIntegrityService.analyzeAuction(auctionId);
+
+    await this.logAdminAction(
+      adminId,
+      'BID_INTEGRITY_REPORT_GENERATED',
+      'AUCTION',
+      auctionId,
+      null,
+      analysis.summary,
+      'Generated bid integrity report'
+    );
+
+    return {
+      reportType: 'BID_INTEGRITY',
+      auctionTitle: auction.title,
+      generatedAt: new Date(),
+      ...analysis
+    };
+  }
+
   /**
    * Get audit log with filtering
    */
@@ -0,0 +1,271 @@
+/**
+ * Artwork Search Service
+ * Full-text search and faceted browsing across the pieces of open auctions
+ * ("paintings under $50 by 9th graders"), and teacher-assigned tags.
+ *
+ * Facet counts follow the usual multi-select rule: each facet is counted
+ * with every filter applied except its own, so picking "Painting" still
+ * shows how many drawings there are. Tags narrow (a piece must carry every
+ * chosen tag), so their counts apply all filters.
+ */
+
+const { pool } = require('../models/index');
+const { publicArtistName } = require('../utils/piiUtils');
+const { pieceSchoolSql } = require('../utils/auctionTenancy');
+const {
+  PRICE_BANDS, FACET_LABELS, gradeNumberSql, gradeBandSql, sizeClassSql, priceBandSql, normalizeTags
+} = require('../utils/artworkFacets');
+
+const ORDER_BY = {
+  relevance: 'rank DESC, closes_at ASC',
+  ending: 'closes_at ASC, created_at ASC',
+  price_asc: 'price ASC, closes_at ASC',
+  price_desc: 'price DESC, closes_at ASC',
+  newest: 'created_at DESC'
+};
+
+/** Facets in the order they are returned, with how their values sort */
+const FACETS = [
+  { key: 'medium', column: 'medium_key', byCount: true },
+  { key: 'gradeBand', column: 'grade_band' },
+  { key: 'grade', column: 'grade' },
+  { key: 'sizeClass', column: 'size_class' },
+  { key: 'priceBand', column: 'price_band' }
+];
+
+class ArtworkSearchService {
+  /**
+   * APPROVED and LIVE auctions with what the role filters need to decide
+   * whether a viewer may browse them.
+   * @returns {Promise<Object[]>}
+   */
+  async searchableAuctions() {
+    const result = await pool.query(
+      `SELECT a.id, a.school_id, a.auction_status, a.visibility,
+              ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                    WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids
+         FROM auctions a
+        WHERE a.auction_status IN ('APPROVED', 'LIVE') AND a.deleted_at IS NULL`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Search the approved (and sold) pieces of the given auctions.
+   * @param {string[]} auctionIds - Auctions the viewer may browse
+   * @param {Object} filters - From parseSearchFilters
+   * @returns {Promise<{total: number, artwork: Object[], facets: Object}>}
+   */
+  async search(auctionIds, filters) {
+    const params = [auctionIds];
+    let rank = '0';
+    let textMatch = '';
+    if (filters.q) {
+      params.push(filters.q);
+      rank = 'ts_rank(a.search_vector, websearch_to_tsquery(\'english\', $2))';
+      textMatch = 'AND a.search_vector @@ websearch_to_tsquery(\'english\', $2)';
+    }
+
+    const grade = gradeNumberSql('COALESCE(a.artist_grade, u.grade_level)');
+    // A piece already sold (buy-now, or its lot closed) is priced at its
+    // ACCEPTED winning bid; otherwise at the leading ACTIVE one
+    const price = 'COALESCE(top.current_bid, a.starting_bid_amount)';
+    const base = `WITH base AS (
+      SELECT a.id, a.title, a.description, a.artist_statement, a.artist_name, a.image_url, a.medium,
+             a.dimensions_width_cm, a.dimensions_height_cm, a.starting_bid_amount, a.buy_now_price,
+             a.artwork_status, a.created_at, a.auction_id, au.title AS auction_title,
+             COALESCE(a.closes_at, au.ends_at) AS closes_at,
+             top.current_bid, top.bid_count,
+             ${price} AS price,
+             ${priceBandSql(price)} AS price_band,
+             lower(trim(a.medium)) AS medium_key,
+             ${grade} AS grade,
+             ${gradeBandSql(grade)} AS grade_band,
+             ${sizeClassSql('a')} AS size_class,
+             ARRAY(SELECT t.tag FROM artwork_tags t WHERE t.artwork_id = a.id ORDER BY t.tag) AS tags,
+             ${rank} AS rank
+        FROM artwork a
+        JOIN auctions au ON au.id = a.auction_id
+        JOIN users u ON u.id = a.created_by_user_id
+        LEFT JOIN LATERAL (
+          SELECT COALESCE(MAX(b.bid_amount) FILTER (WHERE b.bid_status = 'ACCEPTED'),
+                          MAX(b.bid_amount) FILTER (WHERE b.bid_status = 'ACTIVE')) AS current_bid,
+                 COUNT(*) AS bid_count
+            FROM bids b
+           WHERE b.artwork_id = a.id AND b.bid_status IN ('ACTIVE', 'OUTBID', 'ACCEPTED')
+        ) top ON true
+       WHERE a.auction_id = ANY($1::uuid[])
+         AND a.deleted_at IS NULL
+         AND a.artwork_status IN ('APPROVED', 'SOLD')
+         ${textMatch}
+    )`;
+
+    const conditions = this._conditions(filters, params);
+    const where = (except) => {
+      const applied = Object.entries(conditions)
+        .filter(([key]) => key !== except)
+        .map(([, sql]) => sql);
+      return applied.length > 0 ? `WHERE ${applied.join(' AND ')}` : '';
+    };
+
+    const facetParams = [...params];
+    params.push(filters.limit, filters.offset);
+    const results = await pool.query(
+      `${base}
+       SELECT *, COUNT(*) OVER () AS total FROM base
+       ${where(null)}
+       ORDER BY ${ORDER_BY[filters.sort]}
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const facetSql = FACETS.map(f =>
+      `SELECT '${f.key}' AS facet, ${f.column}::text AS value, COUNT(*) AS count FROM base
+        ${where(f.key) || 'WHERE true'} AND ${f.column} IS NOT NULL GROUP BY ${f.column}`
+    );
+    facetSql.push(
+      `SELECT 'tags' AS facet, tag AS value, COUNT(*) AS count FROM base, unnest(base.tags) AS tag
+        ${where(null)} GROUP BY tag`
+    );
+    const facetRows = await pool.query(`${base}\n${facetSql.join('\nUNION ALL\n')}`, facetParams);
+
+    return {
+      total: results.rows.length > 0 ? parseInt(results.rows[0].total, 10) : 0,
+      artwork: results.rows.map(row => this._mapPiece(row)),
+      facets: this._facets(facetRows.rows)
+    };
+  }
+
+  /**
+   * One SQL condition per active filter, keyed by facet, over the base CTE.
+   * @private
+   */
+  _conditions(filters, params) {
+    const conditions = {};
+    const add = (key, sql, value) => {
+      params.push(value);
+      conditions[key] = sql.replace('?', `$${params.length}`);
+    };
+    if (filters.medium.length) { add('medium', 'medium_key = ANY(?::text[])', filters.medium); }
+    if (filters.grade.length) { add('grade', 'grade = ANY(?::int[])', filters.grade); }
+    if (filters.gradeBand.length) { add('gradeBand', 'grade_band = ANY(?::text[])', filters.gradeBand); }
+    if (filters.sizeClass.length) { add('sizeClass', 'size_class = ANY(?::text[])', filters.sizeClass); }
+    if (filters.priceBand.length) { add('priceBand', 'price_band = ANY(?::text[])', filters.priceBand); }
+    if (filters.tags.length) { add('tags', 'tags @> ?::text[]', filters.tags); }
+    if (filters.minPrice !== null) { add('minPrice', 'price >= ?::numeric', filters.minPrice); }
+    if (filters.maxPrice !== null) { add('maxPrice', 'price <= ?::numeric', filters.maxPrice); }
+    return conditions;
+  }
+
+  /**
+   * Facet rows grouped into { facet: [{ value, label, count }] }.
+   * @private
+   */
+  _facets(rows) {
+    const facets = { medium: [], gradeBand: [], grade: [], sizeClass: [], priceBand: [], tags: [] };
+    for (const row of rows) {
+      let { value } = row;
+      let label = FACET_LABELS[row.facet]?.[value] || value;
+      if (row.facet === 'grade') {
+        value = Number(value);
+        label = value === 0 ? 'Kindergarten' : `Grade ${value}`;
+      } else if (row.facet === 'medium') {
+        label = value.replace(/\b\w/g, c => c.toUpperCase());
+      }
+      facets[row.facet].push({ value, label, count: parseInt(row.count, 10) });
+    }
+    const order = {
+      gradeBand: ['ELEMENTARY', 'MIDDLE', 'HIGH'],
+      sizeClass: ['SMALL', 'MEDIUM', 'LARGE'],
+      priceBand: PRICE_BANDS.map(b => b.key)
+    };
+    for (const key of Object.keys(order)) {
+      facets[key].sort((x, y) => order[key].indexOf(x.value) - order[key].indexOf(y.value));
+    }
+    facets.grade.sort((x, y) => x.value - y.value);
+    for (const key of ['medium', 'tags']) {
+      facets[key].sort((x, y) => y.count - x.count || x.label.localeCompare(y.label));
+    }
+    return facets;
+  }
+
+  /**
+   * Public fields only — the artist's name is reduced as in getAuctionArtwork.
+   * @private
+   */
+  _mapPiece(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      artistStatement: row.artist_statement,
+      imageUrl: row.image_url,
+      medium: row.medium || null,
+      dimensions: (row.dimensions_width_cm && row.dimensions_height_cm)
+        ? `${row.dimensions_width_cm} × ${row.dimensions_height_cm} cm`
+        : null,
+      auctionId: row.auction_id,
+      auctionTitle: row.auction_title,
+      startingPrice: row.starting_bid_amount,
+      currentBid: row.current_bid,
+      bidCount: parseInt(row.bid_count, 10),
+      price: parseFloat(row.price),
+      closesAt: row.closes_at,
+      buyNowPrice: row.buy_now_price || null,
+      sold: row.artwork_status === 'SOLD',
+      gradeBand: row.grade_band,
+      sizeClass: row.size_class,
+      priceBand: row.price_band,
+      tags: row.tags,
+      artistName: publicArtistName(row.artist_name)
+    };
+  }
+
+  /**
+   * Replace a piece's tags. Teachers and school admins tag their own
+   * school's pieces only.
+   * @param {string} artworkId
+   * @param {string[]} tags
+   * @param {string} schoolId - Actor's school
+   * @param {string} userId - Actor
+   * @returns {Promise<string[]>} Normalized tags
+   */
+  async setTags(artworkId, tags, schoolId, userId) {
+    const normalized = normalizeTags(tags);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const piece = await client.query(
+        `SELECT aw.id FROM artwork aw
+           JOIN auctions a ON a.id = aw.auction_id
+          WHERE aw.id = $1 AND ${pieceSchoolSql('aw', 'a')} = $2 AND aw.deleted_at IS NULL
+          FOR UPDATE OF aw`,
+        [artworkId, schoolId]
+      );
+      if (piece.rows.length === 0) {
+        throw new Error('ARTWORK_NOT_FOUND');
+      }
+      await client.query(
+        'DELETE FROM artwork_tags WHERE artwork_id = $1 AND NOT (tag = ANY($2::text[]))',
+        [artworkId, normalized]
+      );
+      if (normalized.length > 0) {
+        await client.query(
+          `INSERT INTO artwork_tags (artwork_id, tag, created_by_user_id)
+           SELECT $1, unnest($2::text[]), $3
+           ON CONFLICT DO NOTHING`,
+          [artworkId, normalized, userId]
+        );
+      }
+      await client.query('COMMIT');
+      return normalized;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new ArtworkSearchService();
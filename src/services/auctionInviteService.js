@@ -0,0 +1,520 @@
+/**
+ * Auction Invite Service
+ * Guest lists and invite codes for INVITED_ONLY auctions. Organizers add
+ * guests by email or create shareable codes; redeeming a code puts the
+ * redeemer on the guest list. canAccess is the single check every read,
+ * bid and websocket path uses: an INVITED_ONLY auction is visible to its
+ * own school's staff, SITE_ADMIN and its guests, and to no one else.
+ * A guest-list email is linked to an account the first time that account
+ * is checked, and every redemption (email or code) is audited.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../models/index');
+const ValidationUtils = require('../utils/validationUtils');
+const { getSharedEmailProvider, notifyAuctionInvitation } = require('./notificationService');
+
+/** Staff who organize an auction's guest list */
+const ORGANIZER_ROLES = ['SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'];
+
+/** Staff of the auction's school (or a joint auction's partner), who always see its invite-only auctions */
+const SCHOOL_STAFF_ROLES = ['SCHOOL_ADMIN', 'TEACHER'];
+
+/** No 0/O or 1/I, so codes read back over the phone; 32 symbols keeps randomBytes unbiased */
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/** Largest guest list accepted in one upload */
+const MAX_GUESTS_PER_UPLOAD = 500;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function generateCode() {
+  return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+/** Codes are matched case-insensitively and ignoring spaces/dashes */
+function normalizeCode(code) {
+  return typeof code === 'string' ? code.replace(/[\s-]/g, '').toUpperCase() : '';
+}
+
+/**
+ * Split an uploaded guest list (array, or text separated by commas,
+ * semicolons or whitespace) into unique lowercased addresses.
+ * @returns {Object} { valid: string[], invalid: string[] }
+ */
+function parseEmails(input) {
+  const entries = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+  const valid = new Set();
+  const invalid = [];
+  for (const entry of entries) {
+    const email = typeof entry === 'string' ? entry.trim().toLowerCase() : '';
+    if (!email) {
+      continue;
+    }
+    if (ValidationUtils.validateEmail(email)) {
+      valid.add(email);
+    } else {
+      invalid.push(email);
+    }
+  }
+  return { valid: [...valid], invalid };
+}
+
+class AuctionInviteService {
+  /**
+   * Whether a user may see (and bid in) an auction. Anything that is not
+   * INVITED_ONLY is left to the usual role rules and returns true. Role and
+   * school are read live, not from the token.
+   * @param {string} auctionId
+   * @param {string|null} userId - null for anonymous requests
+   * @returns {boolean} false also when the auction does not exist
+   */
+  async canAccess(auctionId, userId) {
+    const result = await pool.query(
+      `SELECT a.id, a.school_id, a.visibility,
+              u.id AS user_id, u.role, u.school_id AS user_school_id,
+              EXISTS (SELECT 1 FROM auction_partner_schools ps
+                      WHERE ps.auction_id = a.id AND ps.school_id = u.school_id
+                        AND ps.partner_status = 'ACCEPTED') AS user_school_partner,
+              i.id AS invitation_id, i.user_id AS invitation_user_id
+       FROM auctions a
+       LEFT JOIN users u ON u.id = $2 AND u.deleted_at IS NULL
+       LEFT JOIN LATERAL (
+         SELECT inv.id, inv.user_id
+         FROM auction_invitations inv
+         WHERE inv.auction_id = a.id
+           AND (inv.user_id = u.id OR (inv.user_id IS NULL AND inv.email = lower(u.email)))
+         ORDER BY inv.user_id IS NULL
+         LIMIT 1
+       ) i ON TRUE
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [auctionId, userId || null]
+    );
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    const row = result.rows[0];
+    if (row.visibility !== 'INVITED_ONLY') {
+      return true;
+    }
+    if (!row.user_id) {
+      return false;
+    }
+    const ownSchool = row.user_school_id === row.school_id || row.user_school_partner === true;
+    if (row.role === 'SITE_ADMIN' || (SCHOOL_STAFF_ROLES.includes(row.role) && ownSchool)) {
+      return true;
+    }
+    if (!row.invitation_id) {
+      return false;
+    }
+    if (!row.invitation_user_id) {
+      await this._claimGuestListInvitation(row.invitation_id, auctionId, row.user_id);
+    }
+    return true;
+  }
+
+  /**
+   * canAccess for the auction an artwork belongs to. Artwork outside any
+   * auction is left to the caller.
+   * @param {string} artworkId
+   * @param {string|null} userId
+   * @returns {boolean}
+   */
+  async canAccessArtwork(artworkId, userId) {
+    const result = await pool.query(
+      'SELECT auction_id FROM artwork WHERE id = $1 AND deleted_at IS NULL',
+      [artworkId]
+    );
+    const auctionId = result.rows[0]?.auction_id;
+    return auctionId ? this.canAccess(auctionId, userId) : true;
+  }
+
+  /**
+   * canAccess for a websocket channel id, which is either an auction or an
+   * artwork. Ids that match neither carry no events, so there is nothing to
+   * hide.
+   * @param {string} resourceId
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  async canAccessResource(resourceId, userId) {
+    if (!UUID_PATTERN.test(String(resourceId))) {
+      return true;
+    }
+    const result = await pool.query(
+      `SELECT id AS auction_id FROM auctions WHERE id = $1
+       UNION ALL
+       SELECT auction_id FROM artwork WHERE id = $1 AND auction_id IS NOT NULL`,
+      [resourceId]
+    );
+    return result.rows.length === 0 || this.canAccess(result.rows[0].auction_id, userId);
+  }
+
+  /**
+   * Ids of the INVITED_ONLY auctions a user is on the guest list of, for
+   * filtering auction lists without a query per row.
+   * @param {string|null} userId
+   * @returns {Set<string>}
+   */
+  async invitedAuctionIds(userId) {
+    if (!userId) {
+      return new Set();
+    }
+    const result = await pool.query(
+      `SELECT inv.auction_id
+       FROM auction_invitations inv
+       JOIN users u ON u.id = $1
+       WHERE inv.user_id = u.id OR (inv.user_id IS NULL AND inv.email = lower(u.email))`,
+      [userId]
+    );
+    return new Set(result.rows.map(r => r.auction_id));
+  }
+
+  /**
+   * Add email addresses to an auction's guest list and email each new
+   * guest an invitation. Addresses already on the list are skipped.
+   * @param {string} auctionId
+   * @param {string|string[]} emails
+   * @param {Object} organizer - req.user
+   * @returns {Object} { added: string[], alreadyInvited: string[], invalid: string[] }
+   */
+  async addGuests(auctionId, emails, organizer) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertOrganizer(auction, organizer);
+
+    const { valid, invalid } = parseEmails(emails);
+    if (valid.length === 0) {
+      throw new Error('NO_VALID_EMAILS');
+    }
+    if (valid.length > MAX_GUESTS_PER_UPLOAD) {
+      throw new Error('TOO_MANY_GUESTS');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO auction_invitations (auction_id, email, source, invited_by_user_id)
+       SELECT $1, email, 'GUEST_LIST', $3 FROM unnest($2::text[]) AS email
+       ON CONFLICT (auction_id, email) DO NOTHING
+       RETURNING email`,
+      [auctionId, valid, organizer.id]
+    );
+    const added = result.rows.map(r => r.email);
+    const alreadyInvited = valid.filter(email => !added.includes(email));
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_guests_added', 'auction', auctionId,
+        JSON.stringify({ added: added.length, already_invited: alreadyInvited.length, invalid: invalid.length }), organizer.id]
+    );
+
+    if (added.length > 0) {
+      setImmediate(async () => {
+        const emailProvider = getSharedEmailProvider();
+        for (const email of added) {
+          await notifyAuctionInvitation(emailProvider, pool, {
+            email,
+            auctionId,
+            auctionTitle: auction.title,
+            schoolName: auction.school_name,
+            startsAt: auction.starts_at
+          }).catch(err => console.error('[notification] auction invitation failed:', err.message));
+        }
+      });
+    }
+
+    return { added, alreadyInvited, invalid };
+  }
+
+  /**
+   * An auction's guest list and invite codes, for its organizers.
+   * @returns {Object} { invitations, codes }
+   */
+  async listInvitations(auctionId, organizer) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertOrganizer(auction, organizer);
+
+    const [invitations, codes] = await Promise.all([
+      pool.query(
+        `SELECT inv.id, inv.email, inv.source, inv.user_id, inv.redeemed_at, inv.created_at,
+                c.code AS invite_code
+         FROM auction_invitations inv
+         LEFT JOIN auction_invite_codes c ON c.id = inv.invite_code_id
+         WHERE inv.auction_id = $1
+         ORDER BY inv.created_at ASC`,
+        [auctionId]
+      ),
+      pool.query(
+        `SELECT id, code, max_uses, use_count, expires_at, revoked_at, created_at
+         FROM auction_invite_codes
+         WHERE auction_id = $1
+         ORDER BY created_at DESC`,
+        [auctionId]
+      )
+    ]);
+    return { invitations: invitations.rows, codes: codes.rows };
+  }
+
+  /**
+   * Take someone off the guest list. They lose access straight away.
+   */
+  async removeGuest(auctionId, invitationId, organizer) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertOrganizer(auction, organizer);
+
+    const result = await pool.query(
+      'DELETE FROM auction_invitations WHERE id = $1 AND auction_id = $2 RETURNING email',
+      [invitationId, auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('INVITATION_NOT_FOUND');
+    }
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_guest_removed', 'auction', auctionId,
+        JSON.stringify({ invitation_id: invitationId }), organizer.id]
+    );
+  }
+
+  /**
+   * Create a shareable invite code, optionally capped and/or expiring.
+   * @param {string} auctionId
+   * @param {Object} options - { maxUses?, expiresAt? }
+   * @param {Object} organizer - req.user
+   * @returns {Object} Code row
+   */
+  async createCode(auctionId, { maxUses = null, expiresAt = null } = {}, organizer) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertOrganizer(auction, organizer);
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      throw new Error('INVALID_MAX_USES');
+    }
+    let expiry = null;
+    if (expiresAt !== null) {
+      expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new Error('INVALID_EXPIRY');
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO auction_invite_codes (auction_id, code, max_uses, expires_at, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, code, max_uses, use_count, expires_at, revoked_at, created_at`,
+      [auctionId, generateCode(), maxUses, expiry, organizer.id]
+    );
+    const code = result.rows[0];
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_invite_code_created', 'auction', auctionId,
+        JSON.stringify({ invite_code_id: code.id, max_uses: maxUses, expires_at: expiry }), organizer.id]
+    );
+
+    return code;
+  }
+
+  /**
+   * Stop a code from being redeemed. Guests who already used it keep access.
+   */
+  async revokeCode(auctionId, codeId, organizer) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertOrganizer(auction, organizer);
+
+    const result = await pool.query(
+      `UPDATE auction_invite_codes SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND auction_id = $2
+       RETURNING id`,
+      [codeId, auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('INVITE_CODE_NOT_FOUND');
+    }
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_invite_code_revoked', 'auction', auctionId,
+        JSON.stringify({ invite_code_id: codeId }), organizer.id]
+    );
+  }
+
+  /**
+   * What an invite code opens, for the invite landing page. Only the
+   * auction's public details; nothing about who else was invited.
+   * @param {string} code
+   * @returns {Object} { auctionId, title, schoolName, startsAt, endsAt, status }
+   */
+  async lookupCode(code) {
+    const result = await pool.query(
+      `SELECT c.max_uses, c.use_count, c.expires_at, c.revoked_at,
+              a.id AS auction_id, a.title, a.starts_at, a.ends_at, a.auction_status,
+              s.name AS school_name
+       FROM auction_invite_codes c
+       JOIN auctions a ON a.id = c.auction_id AND a.deleted_at IS NULL
+       LEFT JOIN schools s ON s.id = a.school_id
+       WHERE c.code = $1`,
+      [normalizeCode(code)]
+    );
+    const row = result.rows[0];
+    this._assertRedeemable(row);
+
+    return {
+      auctionId: row.auction_id,
+      title: row.title,
+      schoolName: row.school_name || null,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      status: row.auction_status
+    };
+  }
+
+  /**
+   * Redeem an invite code: put the user on the auction's guest list.
+   * Redeeming again (or with an email already on the list) is harmless and
+   * does not use up another slot.
+   * @param {string} code
+   * @param {string} userId
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Object} { auctionId, alreadyInvited }
+   */
+  async redeem(code, userId, { ipAddress = null, userAgent = null } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const codeResult = await client.query(
+        `SELECT c.id, c.auction_id, c.max_uses, c.use_count, c.expires_at, c.revoked_at
+         FROM auction_invite_codes c
+         JOIN auctions a ON a.id = c.auction_id AND a.deleted_at IS NULL
+         WHERE c.code = $1
+         FOR UPDATE OF c`,
+        [normalizeCode(code)]
+      );
+      const invite = codeResult.rows[0];
+      if (!invite) {
+        throw new Error('INVITE_CODE_INVALID');
+      }
+
+      const userResult = await client.query(
+        'SELECT id, email FROM users WHERE id = $1 AND deleted_at IS NULL',
+        [userId]
+      );
+      if (userResult.rows.length === 0) {
+        throw new Error('USER_NOT_FOUND');
+      }
+      const email = String(userResult.rows[0].email).toLowerCase();
+
+      const existing = await client.query(
+        `SELECT id, user_id FROM auction_invitations
+         WHERE auction_id = $1 AND (user_id = $2 OR email = $3)
+         ORDER BY user_id IS NULL
+         LIMIT 1`,
+        [invite.auction_id, userId, email]
+      );
+      // Already a guest: nothing to redeem, even if the code has since lapsed
+      if (existing.rows.length > 0 && existing.rows[0].user_id === userId) {
+        await client.query('COMMIT');
+        return { auctionId: invite.auction_id, alreadyInvited: true };
+      }
+      this._assertRedeemable(invite);
+
+      if (existing.rows.length > 0) {
+        await client.query(
+          'UPDATE auction_invitations SET user_id = $1, redeemed_at = NOW() WHERE id = $2',
+          [userId, existing.rows[0].id]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO auction_invitations (auction_id, email, user_id, source, invite_code_id, redeemed_at)
+           VALUES ($1, $2, $3, 'INVITE_CODE', $4, NOW())`,
+          [invite.auction_id, email, userId, invite.id]
+        );
+        await client.query(
+          'UPDATE auction_invite_codes SET use_count = use_count + 1 WHERE id = $1',
+          [invite.id]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        ['AUCTION', 'auction_invite_redeemed', 'auction', invite.auction_id,
+          JSON.stringify({ via: 'INVITE_CODE', invite_code_id: invite.id }), userId, ipAddress, userAgent]
+      );
+
+      await client.query('COMMIT');
+      return { auctionId: invite.auction_id, alreadyInvited: existing.rows.length > 0 };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Link a guest-list email to the account that just opened the auction.
+   * @private
+   */
+  async _claimGuestListInvitation(invitationId, auctionId, userId) {
+    const claimed = await pool.query(
+      'UPDATE auction_invitations SET user_id = $1, redeemed_at = NOW() WHERE id = $2 AND user_id IS NULL',
+      [userId, invitationId]
+    );
+    if (claimed.rowCount > 0) {
+      await pool.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['AUCTION', 'auction_invite_redeemed', 'auction', auctionId,
+          JSON.stringify({ via: 'GUEST_LIST', invitation_id: invitationId }), userId]
+      );
+    }
+  }
+
+  /** @private */
+  _assertRedeemable(invite) {
+    if (!invite || invite.revoked_at || (invite.expires_at && new Date(invite.expires_at) <= new Date())) {
+      throw new Error('INVITE_CODE_INVALID');
+    }
+    if (invite.max_uses !== null && invite.use_count >= invite.max_uses) {
+      throw new Error('INVITE_CODE_USED_UP');
+    }
+  }
+
+  /** @private */
+  async _loadAuction(auctionId) {
+    const result = await pool.query(
+      `SELECT a.id, a.school_id, a.title, a.starts_at, a.visibility, s.name AS school_name
+       FROM auctions a
+       LEFT JOIN schools s ON s.id = a.school_id
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Staff organize their own school's auctions; SITE_ADMIN any.
+   * @private
+   */
+  _assertOrganizer(auction, user) {
+    if (!user || !ORGANIZER_ROLES.includes(user.role)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    if (user.role !== 'SITE_ADMIN' && user.schoolId !== auction.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+  }
+}
+
+module.exports = new AuctionInviteService();
@@ -2,14 +2,35 @@
 /**
  * Auction scheduler — in-process sweep that makes scheduled transitions happen:
  *   APPROVED → LIVE  when starts_at arrives (never DRAFT/PENDING_APPROVAL;
- *                     a fully expired APPROVED auction stays APPROVED)
+ *                     a fully expired APPROVED auction stays APPROVED);
+ *                     the auction's watchers are emailed
+ *   lot      → closed when an artwork's staggered closes_at passes while the
+ *                     auction is LIVE (closeLot: winner, audit, winner email)
  *   LIVE     → ENDED when ends_at passes (full finalization via endAuction:
  *                     winners, fees, audit, winner emails)
- * Auto-extend safe: every sweep reads the CURRENT ends_at. Restart safe: the
+ *   win      → VOIDED when a winner hasn't paid within the auction's
+ *                     payment_grace_hours; the piece goes to the runner-up
+ *                     as a second-chance offer
+ *   offer    → EXPIRED when a second-chance offer goes unanswered; the
+ *                     next bidder in line gets one
+ *   reminder → sent   when a LIVE auction comes within one of the
+ *                     AUCTION_ENDING_REMINDERS offsets of ends_at: watchers
+ *                     (of the auction or any piece in it) and bidders are
+ *                     emailed and the websocket ending-soon event goes
+ *                     out. Each reminder is claimed in
+ *                     auction_ending_reminders before sending, so it goes out
+ *                     at most once across restarts and instances.
+ * Auto-extend safe: every sweep reads the CURRENT ends_at, and endAuction
+ * re-checks it under the row lock (soft-close bids can move it at any time;
+ * ends_at is always the latest lot close). Restart safe: the
  * sweep is stateless. Double-run safe: endAuction row-locks and no-ops on ENDED.
  */
 const { pool } = require('../models/index');
 const auctionService = require('./auctionService');
+const secondChanceService = require('./secondChanceService');
+const realtimeService = require('./realtimeService');
+const watchlistService = require('./watchlistService');
+const { getSharedEmailProvider, notifyAuctionEnding } = require('./notificationService');
 
 let _timer = null;
 let _sweeping = false;
@@ -17,6 +38,34 @@ let _sweeping = false;
 /** Cap per-tick auto-end work so a backlog can't exhaust the pool. */
 const MAX_ENDS_PER_SWEEP = 100;
 
+const DEFAULT_ENDING_REMINDERS = '24h,1h,10m';
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440 };
+
+/**
+ * Reminder offsets in minutes, largest first, from a list such as
+ * "24h,1h,10m" (a bare number is minutes). Unreadable entries are skipped;
+ * an empty list turns reminders off.
+ */
+function _reminderOffsets(value = process.env.AUCTION_ENDING_REMINDERS ?? DEFAULT_ENDING_REMINDERS) {
+  const offsets = new Set();
+  for (const part of String(value).split(',')) {
+    const match = /^(\d+)\s*([mhd]?)$/i.exec(part.trim());
+    if (!match) { continue; }
+    const minutes = Number.parseInt(match[1], 10) * UNIT_MINUTES[(match[2] || 'm').toLowerCase()];
+    if (minutes > 0) { offsets.add(minutes); }
+  }
+  return [...offsets].sort((a, b) => b - a);
+}
+
+function _formatTimeLeft(minutes) {
+  if (minutes >= 60) {
+    const hours = Math.round(minutes / 60);
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  const mins = Math.max(1, Math.round(minutes));
+  return `${mins} minute${mins === 1 ? '' : 's'}`;
+}
+
 async function _autoStart() {
   // EXISTS guard mirrors the manual start path's artwork check: an APPROVED
   // auction with no approved artwork must never auto-go LIVE (empty auction).
@@ -42,10 +91,41 @@ async function _autoStart() {
     } catch (err) {
       console.error('[auction-scheduler] audit failed for auto-start %s: %s', row.id, err.message);
     }
+    await watchlistService.alertAuctionLive(row.id);
   }
   return due.rows.length;
 }
 
+async function _autoCloseLots() {
+  const due = await pool.query(
+    `SELECT a.id FROM artwork a
+       JOIN auctions au ON au.id = a.auction_id
+      WHERE au.auction_status = 'LIVE' AND au.deleted_at IS NULL
+        AND a.closes_at <= NOW() AND a.finalized_at IS NULL
+      ORDER BY a.closes_at ASC
+      LIMIT ${MAX_ENDS_PER_SWEEP}`
+  );
+  let closed = 0;
+  for (const row of due.rows) {
+    try {
+      const result = await auctionService.closeLot(row.id);
+      if (!result?.success) { continue; }
+      closed++;
+      try {
+        realtimeService.broadcastAuctionStatusChange(result.auctionId, 'LOT_CLOSED', {
+          artworkId: row.id,
+          winningBid: result.winner?.winningBid || null
+        });
+      } catch (err) {
+        console.error('[broadcast] lot closed failed:', err.message);
+      }
+    } catch (err) {
+      console.error('[auction-scheduler] closeLot failed for %s: %s', row.id, err.message);
+    }
+  }
+  return closed;
+}
+
 async function _autoEnd() {
   const due = await pool.query(
     `SELECT id FROM auctions
@@ -56,8 +136,10 @@ async function _autoEnd() {
   let ended = 0;
   for (const row of due.rows) {
     try {
-      await auctionService.endAuction(row.id);
-      ended++;
+      // onlyIfDue: a soft-close bid may have pushed ends_at out between the
+      // SELECT above and endAuction's row lock; the next sweep picks it up.
+      const result = await auctionService.endAuction(row.id, { onlyIfDue: true });
+      if (result?.success !== false) { ended++; }
     } catch (err) {
       console.error('[auction-scheduler] endAuction failed for %s: %s', row.id, err.message);
     }
@@ -65,19 +147,156 @@ async function _autoEnd() {
   return ended;
 }
 
+async function _autoVoidUnpaidWins() {
+  // won_at IS NULL (wins from before the payment clock existed) never matches
+  const due = await pool.query(
+    `SELECT b.id FROM bids b
+       JOIN auctions au ON au.id = b.auction_id
+      WHERE b.bid_status = 'ACCEPTED' AND au.deleted_at IS NULL
+        AND b.won_at <= NOW() - make_interval(hours => au.payment_grace_hours)
+        AND NOT EXISTS (SELECT 1 FROM transactions t
+                         WHERE t.artwork_id = b.artwork_id AND t.buyer_user_id = b.placed_by_user_id
+                           AND t.transaction_type = 'SALE'
+                           AND t.transaction_status IN ('AUTHORIZED', 'CHARGED', 'COMPLETED'))
+        AND NOT EXISTS (SELECT 1 FROM offline_payments op WHERE op.artwork_id = b.artwork_id)
+      ORDER BY b.won_at ASC
+      LIMIT ${MAX_ENDS_PER_SWEEP}`
+  );
+  let voided = 0;
+  for (const row of due.rows) {
+    try {
+      await secondChanceService.voidUnpaidWin(row.id, {
+        reason: 'Payment was not received within the payment period'
+      });
+      voided++;
+    } catch (err) {
+      console.error('[auction-scheduler] voidUnpaidWin failed for %s: %s', row.id, err.message);
+    }
+  }
+  return voided;
+}
+
+async function _autoExpireOffers() {
+  const due = await pool.query(
+    `SELECT id FROM second_chance_offers
+      WHERE offer_status = 'PENDING' AND expires_at <= NOW()
+      ORDER BY expires_at ASC
+      LIMIT ${MAX_ENDS_PER_SWEEP}`
+  );
+  let expired = 0;
+  for (const row of due.rows) {
+    try {
+      const result = await secondChanceService.expireOffer(row.id);
+      if (result.expired) { expired++; }
+    } catch (err) {
+      console.error('[auction-scheduler] expireOffer failed for %s: %s', row.id, err.message);
+    }
+  }
+  return expired;
+}
+
+async function _sendEndingReminders() {
+  const offsets = _reminderOffsets();
+  if (offsets.length === 0) { return 0; }
+
+  const due = await pool.query(
+    `SELECT id, title, ends_at FROM auctions
+      WHERE auction_status = 'LIVE' AND deleted_at IS NULL
+        AND ends_at > NOW() AND ends_at <= NOW() + make_interval(mins => $1)
+      ORDER BY ends_at ASC
+      LIMIT ${MAX_ENDS_PER_SWEEP}`,
+    [offsets[0]]
+  );
+  let sent = 0;
+  for (const auction of due.rows) {
+    try {
+      const msLeft = new Date(auction.ends_at).getTime() - Date.now();
+      // Only the most urgent offset that has come due: after a restart an
+      // auction 30 minutes out gets the 1h reminder, not a late 24h one too.
+      const offset = offsets.filter(m => msLeft <= m * 60000).pop();
+      if (!offset) { continue; }
+
+      const claim = await pool.query(
+        `INSERT INTO auction_ending_reminders (auction_id, reminder_minutes)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING
+         RETURNING auction_id`,
+        [auction.id, offset]
+      );
+      if (claim.rows.length === 0) { continue; } // already sent, here or on another instance
+      sent++;
+
+      try {
+        realtimeService.broadcastAuctionEndingSoon(auction.id, msLeft);
+      } catch (err) {
+        console.error('[broadcast] auction ending soon failed:', err.message);
+      }
+
+      const recipients = await pool.query(
+        `SELECT u.id, u.email, u.first_name FROM users u
+          WHERE u.deleted_at IS NULL AND u.account_status = 'ACTIVE'
+            AND (EXISTS (SELECT 1 FROM auction_watchlist w WHERE w.auction_id = $1 AND w.user_id = u.id)
+              OR EXISTS (SELECT 1 FROM artwork_watchlist aw JOIN artwork a ON a.id = aw.artwork_id
+                          WHERE a.auction_id = $1 AND aw.user_id = u.id)
+              OR EXISTS (SELECT 1 FROM bids b
+                          WHERE b.auction_id = $1 AND b.placed_by_user_id = u.id
+                            AND b.bid_status NOT IN ('CANCELLED', 'REJECTED')))`,
+        [auction.id]
+      );
+      await pool.query(
+        'UPDATE auction_ending_reminders SET recipient_count = $3 WHERE auction_id = $1 AND reminder_minutes = $2',
+        [auction.id, offset, recipients.rows.length]
+      );
+
+      const emailProvider = getSharedEmailProvider();
+      const endsIn = _formatTimeLeft(msLeft / 60000);
+      for (const user of recipients.rows) {
+        try {
+          await notifyAuctionEnding(emailProvider, pool, {
+            userId: user.id,
+            email: user.email,
+            firstName: user.first_name,
+            auctionId: auction.id,
+            auctionTitle: auction.title,
+            endsAt: auction.ends_at,
+            endsIn
+          });
+        } catch (err) {
+          console.error('[notification] ending reminder failed for %s: %s', user.id, err.message);
+        }
+      }
+    } catch (err) {
+      console.error('[auction-scheduler] ending reminder failed for %s: %s', auction.id, err.message);
+    }
+  }
+  return sent;
+}
+
 async function sweep() {
   // Re-entrancy guard: if finalization outruns the interval, skip this tick
   // rather than stacking overlapping sweeps on the pool.
-  if (_sweeping) { return { started: 0, ended: 0 }; }
+  if (_sweeping) { return { started: 0, lotsClosed: 0, ended: 0, winsVoided: 0, offersExpired: 0, remindersSent: 0 }; }
   _sweeping = true;
   try {
     let started = 0;
+    let lotsClosed = 0;
     let ended = 0;
+    let winsVoided = 0;
+    let offersExpired = 0;
+    let remindersSent = 0;
     try { started = await _autoStart(); }
     catch (err) { console.error('[auction-scheduler] auto-start sweep failed: %s', err.message); }
+    try { lotsClosed = await _autoCloseLots(); }
+    catch (err) { console.error('[auction-scheduler] lot-close sweep failed: %s', err.message); }
     try { ended = await _autoEnd(); }
     catch (err) { console.error('[auction-scheduler] auto-end sweep failed: %s', err.message); }
-    return { started, ended };
+    try { winsVoided = await _autoVoidUnpaidWins(); }
+    catch (err) { console.error('[auction-scheduler] unpaid-win sweep failed: %s', err.message); }
+    try { offersExpired = await _autoExpireOffers(); }
+    catch (err) { console.error('[auction-scheduler] second-chance expiry sweep failed: %s', err.message); }
+    try { remindersSent = await _sendEndingReminders(); }
+    catch (err) { console.error('[auction-scheduler] ending reminder sweep failed: %s', err.message); }
+    return { started, lotsClosed, ended, winsVoided, offersExpired, remindersSent };
   } finally {
     _sweeping = false;
   }
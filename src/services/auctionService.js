@@ -5,9 +5,15 @@
  */
 
 const { pool } = require('../models/index');
-const { getSharedEmailProvider, notifyAuctionWon } = require('./notificationService');
+const { getSharedEmailProvider, notifyAuctionWon, notifyReserveReleased } = require('./notificationService');
 const QRCode = require('qrcode');
 const { publicArtistName } = require('../utils/piiUtils');
+const { parseIncrementSchedule } = require('../utils/bidIncrements');
+const { pieceSchoolSql, participatingSchoolSql } = require('../utils/auctionTenancy');
+const watchlistService = require('./watchlistService');
+const settlementService = require('./settlementService');
+
+const AUCTION_VISIBILITIES = ['PUBLIC', 'SCHOOL_ONLY', 'INVITED_ONLY'];
 
 class AuctionService {
   /**
@@ -26,17 +32,32 @@ class AuctionService {
         description,
         schoolId,
         charityBeneficiaryName,
+        charityWebsiteUrl = null,
+        visibility = 'SCHOOL_ONLY',
         startTime,
         endTime,
         platformFeePercentage = 3.5,
+        platformFeeMinimum = 50,
+        platformFeeWaivable = true,
         autoExtendMinutes = 0,
         artworkIds = [],
         createdByUserId,
-        paymentGatewayId
+        paymentGatewayId,
+        bidIncrements = null,
+        artworkBidIncrements = {},
+        artworkClosingTimes = {},
+        softCloseScope = 'AUCTION',
+        buyNowCutoffPercent = 75,
+        artworkBuyNowPrices = {},
+        requireApprovalForBids = false,
+        paymentGraceHours = 72,
+        secondChanceOfferHours = 48,
+        carryOverUnsoldFrom = null
       } = auctionData;
 
       // Validate inputs
       this._validateAuctionInputs(auctionData);
+      const incrementSchedule = parseIncrementSchedule(bidIncrements);
 
       // Verify school exists
       const schoolResult = await client.query(
@@ -55,8 +76,10 @@ class AuctionService {
           starts_at, ends_at, auction_status,
           platform_fee_percentage, auto_extend_minutes,
           created_by_user_id, payment_gateway_id,
-          created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+          bid_increment_schedule, soft_close_scope, buy_now_cutoff_percent,
+          require_approval_for_bids, payment_grace_hours, second_chance_offer_hours,
+          charity_website_url, visibility, platform_fee_minimum, platform_fee_waivable, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, NOW())
          RETURNING *`,
         [
           title,
@@ -69,7 +92,17 @@ class AuctionService {
           platformFeePercentage,
           autoExtendMinutes,
           createdByUserId,
-          paymentGatewayId
+          paymentGatewayId,
+          incrementSchedule ? JSON.stringify(incrementSchedule) : null,
+          softCloseScope,
+          buyNowCutoffPercent,
+          requireApprovalForBids === true,
+          paymentGraceHours,
+          secondChanceOfferHours,
+          charityWebsiteUrl || null,
+          visibility,
+          platformFeeMinimum,
+          platformFeeWaivable !== false
         ]
       );
 
@@ -92,6 +125,14 @@ class AuctionService {
         }
       }
 
+      await this._applyArtworkBidIncrements(client, auction.id, artworkBidIncrements);
+      await this._applyArtworkClosingTimes(client, auction, artworkClosingTimes);
+      await this._applyArtworkBuyNowPrices(client, auction.id, artworkBuyNowPrices);
+
+      const carriedOverCount = carryOverUnsoldFrom
+        ? await this._carryOverUnsoldArtwork(client, carryOverUnsoldFrom, auction)
+        : 0;
+
       // Generate QR code for auction
       const qrCodeUrl = await this._generateQRCode(auction.id);
 
@@ -99,7 +140,11 @@ class AuctionService {
       await client.query(
         `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
          VALUES ($1, $2, $3, $4, $5)`,
-        ['AUCTION', 'auction_created', 'auction', auction.id, JSON.stringify({ title, school_id: schoolId })]
+        ['AUCTION', 'auction_created', 'auction', auction.id, JSON.stringify({
+          title,
+          school_id: schoolId,
+          ...(carryOverUnsoldFrom && { carried_over_from: carryOverUnsoldFrom, carried_over_count: carriedOverCount })
+        })]
       );
 
       await client.query('COMMIT');
@@ -113,10 +158,18 @@ class AuctionService {
         schoolId: auction.school_id,
         startTime: auction.starts_at,
         endTime: auction.ends_at,
+        visibility: auction.visibility,
         platformFeePercentage: auction.platform_fee_percentage,
         autoExtendMinutes: auction.auto_extend_minutes,
+        softCloseScope: auction.soft_close_scope,
+        buyNowCutoffPercent: auction.buy_now_cutoff_percent,
+        requireApprovalForBids: auction.require_approval_for_bids,
+        paymentGraceHours: auction.payment_grace_hours,
+        secondChanceOfferHours: auction.second_chance_offer_hours,
+        bidIncrements: incrementSchedule,
         qrCode: qrCodeUrl,
-        artworkCount: artworkIds?.length || 0
+        artworkCount: (artworkIds?.length || 0) + carriedOverCount,
+        carriedOverCount
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -135,6 +188,8 @@ class AuctionService {
     const result = await pool.query(
       `SELECT a.*,
               s.name AS school_name,
+              ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                    WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids,
               (SELECT COUNT(*) FROM artwork WHERE auction_id = a.id) as artwork_count,
               (SELECT COUNT(*) FROM bids b JOIN artwork aw ON b.artwork_id = aw.id
                WHERE aw.auction_id = a.id AND b.bid_status = 'ACTIVE') as total_bids,
@@ -161,7 +216,9 @@ class AuctionService {
       description: auction.description,
       schoolId: auction.school_id,
       schoolName: auction.school_name || null,
+      partnerSchoolIds: auction.partner_school_ids || [],
       status: auction.auction_status,
+      visibility: auction.visibility,
       startTime: auction.starts_at,
       endTime: auction.ends_at,
       createdBy: auction.created_by_user_id,
@@ -172,6 +229,12 @@ class AuctionService {
       totalCurrentValue: auction.total_current_value || 0,
       platformFeePercentage: auction.platform_fee_percentage,
       autoExtendMinutes: auction.auto_extend_minutes,
+      softCloseScope: auction.soft_close_scope,
+      buyNowCutoffPercent: auction.buy_now_cutoff_percent,
+      requireApprovalForBids: auction.require_approval_for_bids,
+      paymentGraceHours: auction.payment_grace_hours,
+      secondChanceOfferHours: auction.second_chance_offer_hours,
+      bidIncrements: auction.bid_increment_schedule || null,
       createdAt: auction.created_at,
       updatedAt: auction.updated_at
     };
@@ -215,7 +278,14 @@ class AuctionService {
         'starts_at',
         'ends_at',
         'platform_fee_percentage',
-        'auto_extend_minutes'
+        'auto_extend_minutes',
+        'soft_close_scope',
+        'bid_increment_schedule',
+        'buy_now_cutoff_percent',
+        'require_approval_for_bids',
+        'payment_grace_hours',
+        'second_chance_offer_hours',
+        'visibility'
       ];
 
       const updateFields = [];
@@ -229,26 +299,49 @@ class AuctionService {
         startTime: 'starts_at',
         endTime: 'ends_at',
         platformFeePercentage: 'platform_fee_percentage',
-        autoExtendMinutes: 'auto_extend_minutes'
+        autoExtendMinutes: 'auto_extend_minutes',
+        softCloseScope: 'soft_close_scope',
+        bidIncrements: 'bid_increment_schedule',
+        buyNowCutoffPercent: 'buy_now_cutoff_percent',
+        requireApprovalForBids: 'require_approval_for_bids',
+        paymentGraceHours: 'payment_grace_hours',
+        secondChanceOfferHours: 'second_chance_offer_hours',
+        visibility: 'visibility'
       };
 
       Object.keys(updates).forEach(key => {
         const snakeKey = fieldMap[key] || key.replace(/([A-Z])/g, '_$1').toLowerCase();
         if (allowedFields.includes(snakeKey)) {
+          let value = updates[key];
+          if (snakeKey === 'bid_increment_schedule') {
+            // null clears the schedule back to the flat default
+            const schedule = parseIncrementSchedule(value);
+            value = schedule ? JSON.stringify(schedule) : null;
+          }
           updateFields.push(`${snakeKey} = $${paramCount}`);
-          values.push(updates[key]);
+          values.push(value);
           paramCount++;
         }
       });
 
-      if (updateFields.length === 0) {
+      const hasArtworkIncrements = updates.artworkBidIncrements && Object.keys(updates.artworkBidIncrements).length > 0;
+      const hasClosingTimes = updates.artworkClosingTimes && Object.keys(updates.artworkClosingTimes).length > 0;
+      const hasBuyNowPrices = updates.artworkBuyNowPrices && Object.keys(updates.artworkBuyNowPrices).length > 0;
+      this._validateSoftCloseSettings(updates);
+      this._validateBuyNowSettings(updates);
+      this._validateSecondChanceSettings(updates);
+      if (updates.visibility !== undefined && !AUCTION_VISIBILITIES.includes(updates.visibility)) {
+        throw new Error(`Visibility must be one of ${AUCTION_VISIBILITIES.join(', ')}`);
+      }
+      if (updateFields.length === 0 && !hasArtworkIncrements && !hasClosingTimes && !hasBuyNowPrices) {
         throw new Error('No valid fields to update');
       }
 
       values.push(auctionId);
+      updateFields.push('updated_at = NOW()');
 
       const updateResult = await client.query(
-        `UPDATE auctions SET ${updateFields.join(', ')}, updated_at = NOW()
+        `UPDATE auctions SET ${updateFields.join(', ')}
          WHERE id = $${paramCount}
          RETURNING *`,
         values
@@ -256,6 +349,10 @@ class AuctionService {
 
       const updated = updateResult.rows[0];
 
+      await this._applyArtworkBidIncrements(client, auctionId, updates.artworkBidIncrements);
+      await this._applyArtworkClosingTimes(client, updated, updates.artworkClosingTimes);
+      await this._applyArtworkBuyNowPrices(client, auctionId, updates.artworkBuyNowPrices);
+
       // Log update
       await client.query(
         `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
@@ -334,6 +431,8 @@ class AuctionService {
 
       await client.query('COMMIT');
 
+      setImmediate(() => { watchlistService.alertAuctionLive(auctionId); });
+
       return {
         success: true,
         auctionId,
@@ -367,6 +466,8 @@ class AuctionService {
     let query = `
       SELECT a.*,
              s.name AS school_name,
+             ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                   WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids,
              (SELECT MAX(b.bid_amount) FROM bids b
               JOIN artwork aw ON b.artwork_id = aw.id
               WHERE aw.auction_id = a.id AND b.bid_status = 'ACTIVE') AS current_bid,
@@ -395,8 +496,9 @@ class AuctionService {
       paramCount++;
     }
 
+    // A school's auctions include joint auctions it is a partner in
     if (schoolId) {
-      query += ` AND a.school_id = $${paramCount}`;
+      query += ` AND ${participatingSchoolSql('a', `$${paramCount}`)}`;
       params.push(schoolId);
       paramCount++;
     }
@@ -428,7 +530,7 @@ class AuctionService {
     const result = await pool.query(query, params);
 
     // Get total count
-    let countQuery = 'SELECT COUNT(*) as count FROM auctions WHERE deleted_at IS NULL';
+    let countQuery = 'SELECT COUNT(*) as count FROM auctions a WHERE deleted_at IS NULL';
     const countParams = [];
     if (status) {
       let dbStatus = status.toUpperCase();
@@ -442,7 +544,7 @@ class AuctionService {
       countParams.push(dbStatus);
     }
     if (schoolId) {
-      countQuery += ` AND school_id = $${countParams.length + 1}`;
+      countQuery += ` AND ${participatingSchoolSql('a', `$${countParams.length + 1}`)}`;
       countParams.push(schoolId);
     }
 
@@ -455,7 +557,9 @@ class AuctionService {
         id: auction.id,
         title: auction.title,
         status: auction.auction_status,
+        visibility: auction.visibility,
         schoolId: auction.school_id,
+        partnerSchoolIds: auction.partner_school_ids || [],
         school: auction.school_name || null,
         startTime: auction.starts_at,
         endTime: auction.ends_at,
@@ -481,6 +585,8 @@ class AuctionService {
   async getActiveAuctions() {
     const result = await pool.query(
       `SELECT a.*, 
+              ARRAY(SELECT ps.school_id FROM auction_partner_schools ps
+                    WHERE ps.auction_id = a.id AND ps.partner_status = 'ACCEPTED') AS partner_school_ids,
               (SELECT COUNT(*) FROM artwork WHERE auction_id = a.id) as artwork_count,
               (SELECT COUNT(DISTINCT placed_by_user_id) FROM bids b 
                JOIN artwork aw ON b.artwork_id = aw.id 
@@ -499,11 +605,13 @@ class AuctionService {
         auctionId: auction.id,
         title: auction.title,
         schoolId: auction.school_id,
+        partnerSchoolIds: auction.partner_school_ids || [],
         artworkCount: parseInt(auction.artwork_count),
         uniqueBidders: parseInt(auction.unique_bidders),
         endTime: auction.ends_at,
         timeRemaining: Math.max(0, timeRemaining),
-        status: auction.auction_status
+        status: auction.auction_status,
+        visibility: auction.visibility
       };
     });
   }
@@ -511,9 +619,13 @@ class AuctionService {
   /**
    * End an auction and determine winner
    * @param {string} auctionId - ID of the auction
+   * @param {Object} [options]
+   * @param {boolean} [options.onlyIfDue=false] - Re-check ends_at under the row
+   *   lock and no-op if a soft-close bid pushed it out since the caller looked
+   *   (used by the scheduler; manual closes end immediately)
    * @returns {Object} Auction closure with winner information
    */
-  async endAuction(auctionId) {
+  async endAuction(auctionId, { onlyIfDue = false } = {}) {
     const client = await pool.connect();
 
     try {
@@ -522,7 +634,8 @@ class AuctionService {
       // Get auction with locking
       const auctionResult = await client.query(
         `SELECT a.*, 
-                (SELECT COUNT(*) FROM artwork WHERE auction_id = a.id) as artwork_count
+                (SELECT COUNT(*) FROM artwork WHERE auction_id = a.id) as artwork_count,
+                a.ends_at <= NOW() AS is_due
          FROM auctions a
          WHERE a.id = $1 FOR UPDATE`,
         [auctionId]
@@ -534,6 +647,16 @@ class AuctionService {
 
       const auction = auctionResult.rows[0];
 
+      if (onlyIfDue && auction.auction_status === 'LIVE' && !auction.is_due) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          extended: true,
+          endTime: auction.ends_at,
+          message: 'Auction end time was extended'
+        };
+      }
+
       if (auction.auction_status !== 'LIVE') {
         // Close the transaction before returning — releasing a pooled client
         // with an open BEGIN leaks "idle in transaction" + keeps the row lock.
@@ -546,13 +669,33 @@ class AuctionService {
         };
       }
 
+      // Lots with a staggered close still in the future keep the auction open
+      // (ends_at normally tracks the latest lot close; this guards manual ends)
+      const openLots = await client.query(
+        `SELECT COUNT(*) AS open_count FROM artwork
+          WHERE auction_id = $1 AND closes_at > NOW() AND finalized_at IS NULL`,
+        [auctionId]
+      );
+      const openCount = parseInt(openLots.rows[0]?.open_count, 10) || 0;
+      if (openCount > 0) {
+        await client.query('ROLLBACK');
+        return {
+          success: false,
+          openLots: openCount,
+          message: `${openCount} lot(s) are still open; the auction ends after the last lot closes`
+        };
+      }
+
       // Get all artwork in auction with highest bids. FOR UPDATE serializes
       // against placeBid's artwork row lock so an in-flight last-second bid
-      // commits before the winner is read.
+      // commits before the winner is read. Lots already finalized by a
+      // staggered close contribute their accepted bid to the totals only.
       const artworkResult = await client.query(
-        `SELECT a.id, a.title,
+        `SELECT a.id, a.title, a.finalized_at, a.reserve_bid_amount, a.school_id,
                 (SELECT placed_by_user_id FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC, placed_at ASC LIMIT 1) as winner_id,
-                (SELECT bid_amount FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC, placed_at ASC LIMIT 1) as winning_bid
+                (SELECT bid_amount FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC, placed_at ASC LIMIT 1) as winning_bid,
+                (SELECT bid_amount FROM bids WHERE artwork_id = a.id AND bid_status = 'ACCEPTED' ORDER BY bid_amount DESC LIMIT 1) as accepted_bid,
+                (SELECT placed_by_user_id FROM bids WHERE artwork_id = a.id AND bid_status = 'ACCEPTED' ORDER BY bid_amount DESC LIMIT 1) as accepted_winner_id
          FROM artwork a
          WHERE a.auction_id = $1
          FOR UPDATE OF a`,
@@ -562,34 +705,56 @@ class AuctionService {
       const artwork = artworkResult.rows;
       let totalRevenue = 0;
       const winners = [];
+      // Joint auctions: each piece's proceeds go to the school it belongs to
+      const revenueBySchool = new Map();
+      const addRevenue = (piece, amount) => {
+        totalRevenue += amount;
+        const schoolId = piece.school_id || auction.school_id;
+        revenueBySchool.set(schoolId, (revenueBySchool.get(schoolId) || 0) + amount);
+      };
 
       // Process each artwork
       for (const piece of artwork) {
-        if (piece.winner_id && piece.winning_bid) {
-          totalRevenue += parseFloat(piece.winning_bid);
-
-          winners.push({
-            artworkId: piece.id,
-            artworkTitle: piece.title,
-            winnerId: piece.winner_id,
-            winningBid: piece.winning_bid
-          });
+        if (piece.finalized_at) {
+          if (piece.accepted_winner_id) {
+            addRevenue(piece, parseFloat(piece.accepted_bid));
+            winners.push({
+              artworkId: piece.id,
+              artworkTitle: piece.title,
+              winnerId: piece.accepted_winner_id,
+              winningBid: piece.accepted_bid,
+              closedEarlier: true
+            });
+          }
+          continue;
+        }
 
-          // Mark the single winning bid ACCEPTED (highest amount, earliest placed on tie).
-          // NOTE: UPDATE has no ORDER BY/LIMIT in Postgres — pick the row in a subselect.
-          await client.query(
-            `UPDATE bids SET bid_status = 'ACCEPTED'
-             WHERE id = (SELECT id FROM bids
-                          WHERE artwork_id = $1 AND bid_status = 'ACTIVE'
-                          ORDER BY bid_amount DESC, placed_at ASC
-                          LIMIT 1)`,
-            [piece.id]
-          );
+        const winner = await this._finalizeLot(client, piece);
+        if (winner) {
+          addRevenue(piece, parseFloat(winner.winningBid));
+          winners.push(winner);
         }
       }
 
       // Calculate platform fee
       const platformFee = this._calculatePlatformFee(totalRevenue, auction.platform_fee_percentage);
+      const schoolTotals = [...revenueBySchool].map(([schoolId, revenue]) => {
+        const schoolFee = this._calculatePlatformFee(revenue, auction.platform_fee_percentage);
+        return { schoolId, revenue, platformFee: schoolFee, charityRevenue: revenue - schoolFee };
+      });
+
+      // Propagate auction outcome to linked portfolio items
+      await client.query(
+        `UPDATE portfolio_items pi
+            SET submission_state = CASE
+                  WHEN EXISTS (SELECT 1 FROM bids b WHERE b.artwork_id = aw.id AND b.bid_status = 'ACCEPTED')
+                       THEN 'SOLD' ELSE 'UNSOLD' END,
+                updated_at = NOW()
+           FROM artwork aw
+          WHERE aw.auction_id = $1 AND aw.portfolio_item_id = pi.id
+            AND pi.submission_state = 'IN_AUCTION' AND aw.deleted_at IS NULL`,
+        [auctionId]
+      );
 
       // Update auction status to ENDED
       await client.query(
@@ -609,38 +774,21 @@ class AuctionService {
           JSON.stringify({
             winners_count: winners.length,
             total_revenue: totalRevenue,
-            platform_fee: platformFee
+            platform_fee: platformFee,
+            school_totals: schoolTotals
           })
         ]
       );
 
       await client.query('COMMIT');
 
-      // Notify winners non-blocking (after commit so DB state is consistent)
-      if (winners.length > 0) {
-        setImmediate(async () => {
-          const emailProvider = getSharedEmailProvider();
-          for (const winner of winners) {
-            try {
-              const userResult = await pool.query(
-                'SELECT id, email, first_name FROM users WHERE id = $1 AND deleted_at IS NULL',
-                [winner.winnerId]
-              );
-              if (userResult.rows.length === 0) {continue;}
-              const user = userResult.rows[0];
-              await notifyAuctionWon(emailProvider, pool, {
-                userId: user.id,
-                email: user.email,
-                firstName: user.first_name,
-                artworkTitle: winner.artworkTitle,
-                winningBidDollars: parseFloat(winner.winningBid)
-              });
-            } catch (err) {
-              console.error('[notification] auction-won failed for winner %s: %s', winner.winnerId, err.message);
-            }
-          }
-        });
-      }
+      // Notify winners non-blocking (after commit so DB state is consistent).
+      // Lots closed earlier by the scheduler were emailed at their own close.
+      this._notifyWinners(winners.filter(w => !w.closedEarlier));
+
+      // Draft settlement statements; refreshed as late payments come in
+      setImmediate(() => settlementService.generateForAuction(auctionId)
+        .catch(err => console.error('[settlement] generating statements for %s failed: %s', auctionId, err.message)));
 
       return {
         success: true,
@@ -649,6 +797,7 @@ class AuctionService {
         totalRevenue,
         platformFee,
         charityRevenue: totalRevenue - platformFee,
+        schoolTotals,
         winnersCount: winners.length,
         winners,
         message: `Auction ended with ${winners.length} winning bids`
@@ -661,6 +810,300 @@ class AuctionService {
     }
   }
 
+  /**
+   * Finalize a single lot whose staggered `closes_at` has passed while the
+   * rest of the auction is still running. Same winner rules as endAuction;
+   * the winner email for this piece goes out immediately.
+   * @param {string} artworkId - ID of the artwork
+   * @returns {Object} { success, artworkId, winner } — success is false when
+   *   the lot isn't due (e.g. a soft-close bid extended it) or already closed
+   */
+  async closeLot(artworkId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const lotResult = await client.query(
+        `SELECT a.id, a.title, a.auction_id, a.finalized_at, a.reserve_bid_amount,
+                a.closes_at IS NOT NULL AND a.closes_at <= NOW() AS is_due,
+                au.auction_status,
+                (SELECT placed_by_user_id FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC, placed_at ASC LIMIT 1) as winner_id,
+                (SELECT bid_amount FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC, placed_at ASC LIMIT 1) as winning_bid
+         FROM artwork a
+         JOIN auctions au ON au.id = a.auction_id
+         WHERE a.id = $1
+         FOR UPDATE OF a`,
+        [artworkId]
+      );
+
+      if (lotResult.rows.length === 0) {
+        throw new Error('Artwork not found');
+      }
+
+      const piece = lotResult.rows[0];
+
+      if (piece.finalized_at || !piece.is_due || piece.auction_status !== 'LIVE') {
+        await client.query('ROLLBACK');
+        return { success: false, artworkId, message: 'Lot is not due to close' };
+      }
+
+      const winner = await this._finalizeLot(client, piece);
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          'AUCTION',
+          'lot_closed',
+          'artwork',
+          artworkId,
+          JSON.stringify({
+            auction_id: piece.auction_id,
+            winner_id: winner?.winnerId || null,
+            winning_bid: winner?.winningBid || null
+          })
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      this._notifyWinners(winner ? [winner] : []);
+
+      return { success: true, artworkId, auctionId: piece.auction_id, winner };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark a lot's winning bid ACCEPTED and stamp the lot finalized. A top bid
+   * under the reserve is left ACTIVE and the lot is held UNSOLD for the
+   * seller to accept or release (see resolveReserveDecision).
+   * Caller holds the artwork row lock inside an open transaction.
+   * @private
+   * @param {Object} piece - Row with id, title, reserve_bid_amount, winner_id, winning_bid
+   * @returns {Object|null} Winner entry, or null when the lot had no bids or missed its reserve
+   */
+  async _finalizeLot(client, piece) {
+    let winner = null;
+    const reserve = piece.reserve_bid_amount ? parseFloat(piece.reserve_bid_amount) : 0;
+
+    if (piece.winner_id && piece.winning_bid && reserve && parseFloat(piece.winning_bid) < reserve) {
+      await client.query(
+        `UPDATE artwork SET artwork_status = 'UNSOLD', reserve_status = 'PENDING_DECISION', updated_at = NOW()
+         WHERE id = $1`,
+        [piece.id]
+      );
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        ['AUCTION', 'reserve_not_met', 'artwork', piece.id, JSON.stringify({
+          top_bidder_id: piece.winner_id,
+          top_bid: parseFloat(piece.winning_bid),
+          reserve
+        })]
+      );
+    } else if (piece.winner_id && piece.winning_bid) {
+      winner = {
+        artworkId: piece.id,
+        artworkTitle: piece.title,
+        winnerId: piece.winner_id,
+        winningBid: piece.winning_bid
+      };
+
+      // Mark the single winning bid ACCEPTED (highest amount, earliest placed on tie).
+      // NOTE: UPDATE has no ORDER BY/LIMIT in Postgres — pick the row in a subselect.
+      await client.query(
+        `UPDATE bids SET bid_status = 'ACCEPTED', won_at = NOW()
+         WHERE id = (SELECT id FROM bids
+                      WHERE artwork_id = $1 AND bid_status = 'ACTIVE'
+                      ORDER BY bid_amount DESC, placed_at ASC
+                      LIMIT 1)`,
+        [piece.id]
+      );
+    }
+
+    // Bids still waiting on an organizer missed their chance
+    await client.query(
+      `UPDATE bids SET bid_status = 'REJECTED', reviewed_at = NOW(),
+                       rejection_reason = 'Bidding closed before the bid was reviewed'
+       WHERE artwork_id = $1 AND bid_status = 'PENDING'`,
+      [piece.id]
+    );
+
+    await client.query(
+      'UPDATE artwork SET finalized_at = NOW() WHERE id = $1',
+      [piece.id]
+    );
+
+    return winner;
+  }
+
+  /**
+   * Settle a lot that closed under its reserve: accept the top bid anyway
+   * (it becomes the ACCEPTED win) or release the piece unsold. The top
+   * bidder is emailed either way.
+   * @param {string} artworkId - ID of the artwork
+   * @param {Object} options
+   * @param {boolean} options.accept - true to sell at the top bid, false to release
+   * @param {string} options.decidedByUserId - Teacher or admin making the call
+   * @param {string|null} [options.schoolId] - Restrict to this school's auctions (null = any)
+   * @returns {Object} { success, artworkId, decision, winner }
+   */
+  async resolveReserveDecision(artworkId, { accept, decidedByUserId, schoolId = null }) {
+    const client = await pool.connect();
+    let piece;
+    let topBid;
+
+    try {
+      await client.query('BEGIN');
+
+      const lotResult = await client.query(
+        `SELECT a.id, a.title, a.auction_id, a.reserve_status, a.reserve_bid_amount, a.portfolio_item_id
+         FROM artwork a
+         JOIN auctions au ON au.id = a.auction_id
+         WHERE a.id = $1 AND ($2::uuid IS NULL OR ${pieceSchoolSql('a', 'au')} = $2)
+         FOR UPDATE OF a`,
+        [artworkId, schoolId]
+      );
+      piece = lotResult.rows[0];
+      if (!piece) {
+        throw new Error('Artwork not found');
+      }
+      if (piece.reserve_status !== 'PENDING_DECISION') {
+        throw new Error('RESERVE_DECISION_NOT_PENDING');
+      }
+
+      const bidResult = await client.query(
+        `SELECT b.id, b.placed_by_user_id, b.bid_amount, u.email, u.first_name
+         FROM bids b
+         JOIN users u ON u.id = b.placed_by_user_id
+         WHERE b.artwork_id = $1 AND b.bid_status = 'ACTIVE'
+         ORDER BY b.bid_amount DESC, b.placed_at ASC
+         LIMIT 1`,
+        [artworkId]
+      );
+      topBid = bidResult.rows[0] || null;
+
+      if (accept && !topBid) {
+        throw new Error('RESERVE_DECISION_NO_BID');
+      }
+
+      if (accept) {
+        await client.query(
+          'UPDATE bids SET bid_status = \'ACCEPTED\', won_at = NOW(), updated_at = NOW() WHERE id = $1',
+          [topBid.id]
+        );
+      } else if (topBid) {
+        await client.query(
+          `UPDATE bids SET bid_status = 'REJECTED', rejection_reason = 'Reserve price not met',
+                           reviewed_by_user_id = $2, reviewed_at = NOW(), updated_at = NOW()
+           WHERE id = $1`,
+          [topBid.id, decidedByUserId]
+        );
+      }
+
+      await client.query(
+        `UPDATE artwork SET artwork_status = $2, reserve_status = $3,
+                            reserve_decided_at = NOW(), reserve_decided_by_user_id = $4, updated_at = NOW()
+         WHERE id = $1`,
+        [artworkId, accept ? 'SOLD' : 'UNSOLD', accept ? 'ACCEPTED' : 'RELEASED', decidedByUserId]
+      );
+
+      if (accept && piece.portfolio_item_id) {
+        await client.query(
+          `UPDATE portfolio_items SET submission_state = 'SOLD', updated_at = NOW()
+           WHERE id = $1 AND submission_state IN ('IN_AUCTION', 'UNSOLD')`,
+          [piece.portfolio_item_id]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['AUCTION', accept ? 'reserve_accepted' : 'reserve_released', 'artwork', artworkId, JSON.stringify({
+          bid_id: topBid?.id || null,
+          bidder_id: topBid?.placed_by_user_id || null,
+          amount: topBid ? parseFloat(topBid.bid_amount) : null,
+          reserve: parseFloat(piece.reserve_bid_amount)
+        }), decidedByUserId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const winner = accept ? {
+      artworkId,
+      artworkTitle: piece.title,
+      winnerId: topBid.placed_by_user_id,
+      winningBid: topBid.bid_amount
+    } : null;
+
+    if (winner) {
+      this._notifyWinners([winner]);
+    } else if (topBid) {
+      setImmediate(() => {
+        notifyReserveReleased(getSharedEmailProvider(), pool, {
+          userId: topBid.placed_by_user_id,
+          email: topBid.email,
+          firstName: topBid.first_name,
+          artworkTitle: piece.title,
+          bidDollars: parseFloat(topBid.bid_amount)
+        }).catch(err => console.error('[notification] reserve released failed:', err.message));
+      });
+    }
+
+    return {
+      success: true,
+      artworkId,
+      auctionId: piece.auction_id,
+      decision: accept ? 'ACCEPTED' : 'RELEASED',
+      winner
+    };
+  }
+
+  /**
+   * Send auction-won emails, one per winning piece. Non-blocking; call only
+   * after COMMIT so the recipient sees consistent state.
+   * @private
+   */
+  _notifyWinners(winners) {
+    if (winners.length === 0) { return; }
+
+    setImmediate(async () => {
+      const emailProvider = getSharedEmailProvider();
+      for (const winner of winners) {
+        try {
+          const userResult = await pool.query(
+            'SELECT id, email, first_name FROM users WHERE id = $1 AND deleted_at IS NULL',
+            [winner.winnerId]
+          );
+          if (userResult.rows.length === 0) {continue;}
+          const user = userResult.rows[0];
+          await notifyAuctionWon(emailProvider, pool, {
+            userId: user.id,
+            email: user.email,
+            firstName: user.first_name,
+            artworkTitle: winner.artworkTitle,
+            winningBidDollars: parseFloat(winner.winningBid)
+          });
+        } catch (err) {
+          console.error('[notification] auction-won failed for winner %s: %s', winner.winnerId, err.message);
+        }
+      }
+    });
+  }
+
   /**
    * Auto-extend auction if bid received near end time
    * @param {string} auctionId - ID of the auction
@@ -685,8 +1128,8 @@ class AuctionService {
 
       const auction = auctionResult.rows[0];
 
-      // Check if auto-extend is enabled
-      if (!auction.auto_extend_enabled) {
+      // Check if auto-extend is enabled (a soft-close window is configured)
+      if ((auction.auto_extend_minutes || 0) <= 0) {
         // Same leak shape as endAuction's guard: close the transaction first.
         await client.query('ROLLBACK');
         return {
@@ -705,6 +1148,13 @@ class AuctionService {
         [newEndTime, auctionId]
       );
 
+      // Lots with their own close that are still open move with the auction
+      await client.query(
+        `UPDATE artwork SET closes_at = closes_at + make_interval(mins => $2)
+          WHERE auction_id = $1 AND closes_at IS NOT NULL AND closes_at > NOW()`,
+        [auctionId, extendMinutes]
+      );
+
       // Log action
       await client.query(
         `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
@@ -840,6 +1290,182 @@ class AuctionService {
     };
   }
 
+  /**
+   * Set or clear staggered per-artwork closing times. Keys are artwork ids,
+   * values are timestamps (null makes the piece close with the auction).
+   * Every lot must close inside the auction window; auctions.ends_at stays
+   * the latest close so the scheduler finalizes the auction after the last lot.
+   * @private
+   * @param {Object} auction - Auction row (id, starts_at, ends_at) after any update
+   */
+  async _applyArtworkClosingTimes(client, auction, artworkClosingTimes) {
+    if (artworkClosingTimes && typeof artworkClosingTimes === 'object') {
+      const startsAt = new Date(auction.starts_at);
+      const endsAt = new Date(auction.ends_at);
+
+      for (const [artworkId, raw] of Object.entries(artworkClosingTimes)) {
+        const closesAt = raw === null || raw === '' ? null : new Date(raw);
+        if (closesAt !== null) {
+          if (isNaN(closesAt.getTime())) {
+            throw new Error('Invalid artwork closing time');
+          }
+          if (closesAt <= startsAt || closesAt > endsAt) {
+            throw new Error('Artwork closing times must fall within the auction window');
+          }
+        }
+        const result = await client.query(
+          'UPDATE artwork SET closes_at = $1 WHERE id = $2 AND auction_id = $3',
+          [closesAt, artworkId, auction.id]
+        );
+        if (result.rowCount === 0) {
+          throw new Error('ARTWORK_NOT_IN_AUCTION');
+        }
+      }
+    }
+
+    // Moving ends_at earlier must not strand a lot closing after the auction
+    const stranded = await client.query(
+      'SELECT COUNT(*) AS count FROM artwork WHERE auction_id = $1 AND closes_at > $2',
+      [auction.id, auction.ends_at]
+    );
+    if ((parseInt(stranded.rows[0]?.count, 10) || 0) > 0) {
+      throw new Error('Artwork closing times must fall within the auction window');
+    }
+  }
+
+  /**
+   * Set or clear per-artwork Buy-It-Now prices. Keys are artwork ids, values
+   * are prices (null removes buy-now from the piece). A price must sit above
+   * the piece's starting bid.
+   * @private
+   */
+  async _applyArtworkBuyNowPrices(client, auctionId, artworkBuyNowPrices) {
+    if (!artworkBuyNowPrices || typeof artworkBuyNowPrices !== 'object') { return; }
+
+    for (const [artworkId, raw] of Object.entries(artworkBuyNowPrices)) {
+      let price = null;
+      if (raw !== null && raw !== undefined && raw !== '') {
+        price = Number(raw);
+        if (!Number.isFinite(price) || price <= 0) {
+          throw new Error('Buy-now price must be a positive number');
+        }
+        price = Math.round(price * 100) / 100;
+      }
+
+      const result = await client.query(
+        `UPDATE artwork SET buy_now_price = $1
+          WHERE id = $2 AND auction_id = $3
+          RETURNING starting_bid_amount`,
+        [price, artworkId, auctionId]
+      );
+      if (result.rowCount === 0) {
+        throw new Error('ARTWORK_NOT_IN_AUCTION');
+      }
+      const startingBid = parseFloat(result.rows[0].starting_bid_amount) || 0;
+      if (price !== null && price <= startingBid) {
+        throw new Error('Buy-now price must be higher than the starting bid');
+      }
+    }
+  }
+
+  /**
+   * Copy the pieces that went unsold in an ended auction of the same school
+   * into a newly created one. A piece counts as unsold when it was approved
+   * (or released after missing its reserve), has no accepted bid and is not
+   * still waiting on a reserve decision. Copies keep their price settings;
+   * a staggered closing time moves with the auction and is dropped if it
+   * no longer fits the window. Each piece is carried over at most once, and
+   * its portfolio item goes back to IN_AUCTION. From a joint auction only the
+   * host school's own pieces come over, not its partners'.
+   * @private
+   * @param {string} sourceAuctionId
+   * @param {Object} auction - New auctions row
+   * @returns {number} Pieces carried over
+   */
+  async _carryOverUnsoldArtwork(client, sourceAuctionId, auction) {
+    const sourceResult = await client.query(
+      `SELECT id, auction_status, starts_at FROM auctions
+       WHERE id = $1 AND school_id = $2 AND deleted_at IS NULL`,
+      [sourceAuctionId, auction.school_id]
+    );
+    if (sourceResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    if (sourceResult.rows[0].auction_status !== 'ENDED') {
+      throw new Error('SOURCE_AUCTION_NOT_ENDED');
+    }
+
+    const copied = await client.query(
+      `INSERT INTO artwork (
+         auction_id, created_by_user_id, title, description, artist_statement, artist_name, artist_grade, medium,
+         dimensions_width_cm, dimensions_height_cm, dimensions_depth_cm, estimated_value,
+         starting_bid_amount, reserve_bid_amount, buy_now_price, bid_increment_schedule,
+         closes_at, image_url, image_storage_key, artwork_status, approved_at, approved_by_user_id,
+         portfolio_item_id, carried_over_from_artwork_id, school_id
+       )
+       SELECT $1, a.created_by_user_id, a.title, a.description, a.artist_statement, a.artist_name, a.artist_grade, a.medium,
+              a.dimensions_width_cm, a.dimensions_height_cm, a.dimensions_depth_cm, a.estimated_value,
+              a.starting_bid_amount, a.reserve_bid_amount, a.buy_now_price, a.bid_increment_schedule,
+              CASE WHEN a.closes_at + ($3::timestamptz - $4::timestamptz) > $3::timestamptz
+                    AND a.closes_at + ($3::timestamptz - $4::timestamptz) <= $5::timestamptz
+                   THEN a.closes_at + ($3::timestamptz - $4::timestamptz) END,
+              a.image_url, a.image_storage_key, 'APPROVED', NOW(), a.approved_by_user_id,
+              a.portfolio_item_id, a.id, $6
+       FROM artwork a
+       WHERE a.auction_id = $2
+         AND COALESCE(a.school_id, $6) = $6
+         AND a.deleted_at IS NULL
+         AND a.artwork_status IN ('APPROVED', 'UNSOLD')
+         AND a.reserve_status IS DISTINCT FROM 'PENDING_DECISION'
+         AND NOT EXISTS (SELECT 1 FROM bids b WHERE b.artwork_id = a.id AND b.bid_status = 'ACCEPTED')
+         AND NOT EXISTS (SELECT 1 FROM artwork c WHERE c.carried_over_from_artwork_id = a.id AND c.deleted_at IS NULL)
+       RETURNING id, portfolio_item_id`,
+      [auction.id, sourceAuctionId, auction.starts_at, sourceResult.rows[0].starts_at, auction.ends_at, auction.school_id]
+    );
+
+    if (copied.rows.length > 0) {
+      await client.query(
+        `INSERT INTO artwork_tags (artwork_id, tag, created_by_user_id)
+         SELECT c.id, t.tag, t.created_by_user_id
+         FROM artwork c JOIN artwork_tags t ON t.artwork_id = c.carried_over_from_artwork_id
+         WHERE c.id = ANY($1)`,
+        [copied.rows.map((r) => r.id)]
+      );
+    }
+
+    const portfolioItemIds = copied.rows.map((r) => r.portfolio_item_id).filter(Boolean);
+    if (portfolioItemIds.length > 0) {
+      await client.query(
+        `UPDATE portfolio_items SET submission_state = 'IN_AUCTION', updated_at = NOW()
+         WHERE id = ANY($1) AND submission_state = 'UNSOLD'`,
+        [portfolioItemIds]
+      );
+    }
+
+    return copied.rows.length;
+  }
+
+  /**
+   * Set or clear per-artwork bid increment overrides. Keys are artwork ids,
+   * values are schedules (null reverts the piece to the auction schedule).
+   * Only artwork already attached to the auction can be changed.
+   * @private
+   */
+  async _applyArtworkBidIncrements(client, auctionId, artworkBidIncrements) {
+    if (!artworkBidIncrements || typeof artworkBidIncrements !== 'object') { return; }
+
+    for (const [artworkId, raw] of Object.entries(artworkBidIncrements)) {
+      const schedule = parseIncrementSchedule(raw);
+      const result = await client.query(
+        'UPDATE artwork SET bid_increment_schedule = $1 WHERE id = $2 AND auction_id = $3',
+        [schedule ? JSON.stringify(schedule) : null, artworkId, auctionId]
+      );
+      if (result.rowCount === 0) {
+        throw new Error('ARTWORK_NOT_IN_AUCTION');
+      }
+    }
+  }
+
   /**
    * Calculate platform fee
    * @private
@@ -849,12 +1475,19 @@ class AuctionService {
   }
 
   /**
-   * Generate QR code for auction
+   * Generate QR code for auction, or for one piece in it. A piece's code opens
+   * the same artwork page as its wall label (and enables offline bidding there).
+   * @param {string} auctionId
+   * @param {string} [artworkId]
+   * @returns {string|null} PNG data URL
    * @private
    */
-  async _generateQRCode(auctionId) {
+  async _generateQRCode(auctionId, artworkId = null) {
     try {
-      const auctionUrl = `${process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live'}/auctions/${auctionId}`;
+      const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+      const auctionUrl = artworkId
+        ? `${baseUrl}/auction-detail.html?id=${encodeURIComponent(auctionId)}&artwork=${encodeURIComponent(artworkId)}`
+        : `${baseUrl}/auctions/${auctionId}`;
       const qrCode = await QRCode.toDataURL(auctionUrl);
       return qrCode;
     } catch (error) {
@@ -868,7 +1501,10 @@ class AuctionService {
    * @private
    */
   _validateAuctionInputs(data) {
-    const { title, description: _description, schoolId, startTime, endTime, platformFeePercentage } = data;
+    const {
+      title, description: _description, schoolId, startTime, endTime,
+      platformFeePercentage, platformFeeMinimum, visibility
+    } = data;
 
     if (!title || typeof title !== 'string' || title.trim().length === 0) {
       throw new Error('Valid auction title is required');
@@ -898,6 +1534,66 @@ class AuctionService {
         throw new Error('Platform fee percentage must be between 0 and 100');
       }
     }
+
+    if (platformFeeMinimum !== undefined && (typeof platformFeeMinimum !== 'number' || platformFeeMinimum < 0)) {
+      throw new Error('Platform fee minimum must be zero or more');
+    }
+
+    if (visibility !== undefined && !AUCTION_VISIBILITIES.includes(visibility)) {
+      throw new Error(`Visibility must be one of ${AUCTION_VISIBILITIES.join(', ')}`);
+    }
+
+    this._validateSoftCloseSettings(data);
+    this._validateBuyNowSettings(data);
+    this._validateSecondChanceSettings(data);
+  }
+
+  /**
+   * Validate soft-close (anti-sniping) settings
+   * @private
+   */
+  _validateSoftCloseSettings({ autoExtendMinutes, softCloseScope }) {
+    if (autoExtendMinutes !== undefined && autoExtendMinutes !== null) {
+      if (!Number.isInteger(autoExtendMinutes) || autoExtendMinutes < 0 || autoExtendMinutes > 60) {
+        throw new Error('Auto-extend minutes must be a whole number between 0 and 60');
+      }
+    }
+
+    if (softCloseScope !== undefined && !['AUCTION', 'ARTWORK'].includes(softCloseScope)) {
+      throw new Error('Soft close scope must be AUCTION or ARTWORK');
+    }
+  }
+
+  /**
+   * Validate the Buy-It-Now cutoff (percent of the buy-now price the high
+   * bid may reach before buy-now is withdrawn). The column is NOT NULL, so
+   * null is rejected rather than left for the database to refuse.
+   * @private
+   */
+  _validateBuyNowSettings({ buyNowCutoffPercent }) {
+    if (buyNowCutoffPercent !== undefined) {
+      if (!Number.isInteger(buyNowCutoffPercent) || buyNowCutoffPercent < 1 || buyNowCutoffPercent > 100) {
+        throw new Error('Buy-now cutoff percent must be a whole number between 1 and 100');
+      }
+    }
+  }
+
+  /**
+   * Validate unpaid-win settings: how long a winner has to pay, and how long
+   * a runner-up has to take up a second-chance offer. Both are required
+   * (omit them to keep the current value; null is rejected)
+   * @private
+   */
+  _validateSecondChanceSettings({ paymentGraceHours, secondChanceOfferHours }) {
+    const checks = [
+      [paymentGraceHours, 'Payment grace period'],
+      [secondChanceOfferHours, 'Second-chance offer window']
+    ];
+    for (const [hours, label] of checks) {
+      if (hours !== undefined && (!Number.isInteger(hours) || hours < 1 || hours > 720)) {
+        throw new Error(`${label} must be a whole number of hours between 1 and 720`);
+      }
+    }
   }
 }
 
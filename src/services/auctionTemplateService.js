@@ -0,0 +1,246 @@
+/**
+ * Auction Template Service
+ * Saved auction set-ups for schools that run the same event every year.
+ * A template keeps an auction's settings (fees, visibility, payment gateway,
+ * charity beneficiary, bid increments, description, soft-close and payment
+ * windows) and its dates. A new DRAFT is made from a template — or straight
+ * from a past auction — through auctionService.createAuction, with the dates
+ * shifted by a whole number of days. Cloning can also carry the source
+ * auction's unsold pieces into the new draft.
+ */
+
+const { pool } = require('../models/index');
+const auctionService = require('./auctionService');
+
+/** Staff who may save templates and create auctions from them */
+const TEMPLATE_ROLES = ['SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'];
+
+/** Longest date shift accepted, in days */
+const MAX_OFFSET_DAYS = 3650;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Template settings captured from an auctions row. Field names are the
+ * auctionService.createAuction inputs, so settings spread straight into it.
+ */
+function settingsFromAuction(auction) {
+  return {
+    title: auction.title,
+    description: auction.description,
+    charityBeneficiaryName: auction.charity_beneficiary_name,
+    charityWebsiteUrl: auction.charity_website_url,
+    visibility: auction.visibility,
+    paymentGatewayId: auction.payment_gateway_id,
+    platformFeePercentage: Number(auction.platform_fee_percentage),
+    platformFeeMinimum: Number(auction.platform_fee_minimum),
+    platformFeeWaivable: auction.platform_fee_waivable !== false,
+    autoExtendMinutes: auction.auto_extend_minutes ?? 0,
+    softCloseScope: auction.soft_close_scope,
+    buyNowCutoffPercent: auction.buy_now_cutoff_percent,
+    requireApprovalForBids: auction.require_approval_for_bids === true,
+    paymentGraceHours: auction.payment_grace_hours,
+    secondChanceOfferHours: auction.second_chance_offer_hours,
+    bidIncrements: auction.bid_increment_schedule || null,
+    startTime: new Date(auction.starts_at).toISOString(),
+    endTime: new Date(auction.ends_at).toISOString()
+  };
+}
+
+function shiftDate(value, offsetDays) {
+  return new Date(new Date(value).getTime() + offsetDays * DAY_MS).toISOString();
+}
+
+class AuctionTemplateService {
+  /**
+   * Save an auction's settings as a named template for its school.
+   * Saving again under an existing name replaces that template.
+   * @param {string} auctionId
+   * @param {string} name
+   * @param {Object} user - req.user
+   * @returns {Object} Template row
+   */
+  async saveTemplate(auctionId, name, user) {
+    const templateName = typeof name === 'string' ? name.trim() : '';
+    if (!templateName || templateName.length > 100) {
+      throw new Error('INVALID_TEMPLATE_NAME');
+    }
+
+    const auction = await this._loadAuction(auctionId);
+    this._assertStaff(auction.school_id, user);
+
+    const result = await pool.query(
+      `INSERT INTO auction_templates (school_id, name, settings, source_auction_id, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (school_id, name) DO UPDATE
+         SET settings = EXCLUDED.settings, source_auction_id = EXCLUDED.source_auction_id, updated_at = NOW()
+       RETURNING id, school_id, name, settings, source_auction_id, created_at, updated_at`,
+      [auction.school_id, templateName, JSON.stringify(settingsFromAuction(auction)), auction.id, user.id]
+    );
+    const template = result.rows[0];
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_template_saved', 'auction_template', template.id,
+        JSON.stringify({ name: templateName, source_auction_id: auction.id }), user.id]
+    );
+
+    return template;
+  }
+
+  /**
+   * Templates the user can use: their own school's, or for SITE_ADMIN the
+   * given school's (every school's when none is given).
+   * @param {Object} user - req.user
+   * @param {string} [schoolId] - SITE_ADMIN filter
+   * @returns {Array<Object>}
+   */
+  async listTemplates(user, schoolId = null) {
+    if (!user || !TEMPLATE_ROLES.includes(user.role)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    const scope = user.role === 'SITE_ADMIN' ? schoolId : user.schoolId;
+    if (user.role !== 'SITE_ADMIN' && !scope) {
+      return [];
+    }
+
+    const result = await pool.query(
+      `SELECT t.id, t.school_id, t.name, t.settings, t.source_auction_id, t.created_at, t.updated_at,
+              s.name AS school_name
+       FROM auction_templates t
+       LEFT JOIN schools s ON s.id = t.school_id
+       WHERE ($1::uuid IS NULL OR t.school_id = $1)
+       ORDER BY t.name ASC`,
+      [scope || null]
+    );
+    return result.rows;
+  }
+
+  /**
+   * @param {string} templateId
+   * @param {Object} user - req.user
+   */
+  async deleteTemplate(templateId, user) {
+    const template = await this._loadTemplate(templateId);
+    this._assertStaff(template.school_id, user);
+
+    await pool.query('DELETE FROM auction_templates WHERE id = $1', [templateId]);
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_template_deleted', 'auction_template', templateId,
+        JSON.stringify({ name: template.name }), user.id]
+    );
+  }
+
+  /**
+   * New DRAFT auction from a template, dates shifted by offsetDays.
+   * @param {string} templateId
+   * @param {Object} options - { offsetDays, title? }
+   * @param {Object} user - req.user
+   * @returns {Object} auctionService.createAuction result
+   */
+  async createFromTemplate(templateId, { offsetDays, title } = {}, user) {
+    const template = await this._loadTemplate(templateId);
+    this._assertStaff(template.school_id, user);
+
+    return this._createDraft(template.school_id, template.settings, { offsetDays, title }, user);
+  }
+
+  /**
+   * New DRAFT auction copying a past auction's settings, dates shifted by
+   * offsetDays. With carryOverUnsold, the pieces that went unsold in the
+   * (ended) source auction are copied in too.
+   * @param {string} auctionId
+   * @param {Object} options - { offsetDays, title?, carryOverUnsold? }
+   * @param {Object} user - req.user
+   * @returns {Object} auctionService.createAuction result
+   */
+  async cloneAuction(auctionId, { offsetDays, title, carryOverUnsold = false } = {}, user) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertStaff(auction.school_id, user);
+
+    return this._createDraft(auction.school_id, settingsFromAuction(auction), {
+      offsetDays,
+      title,
+      carryOverUnsoldFrom: carryOverUnsold === true ? auction.id : null
+    }, user);
+  }
+
+  /** @private */
+  async _createDraft(schoolId, settings, { offsetDays, title, carryOverUnsoldFrom = null }, user) {
+    if (!Number.isInteger(offsetDays) || offsetDays < 0 || offsetDays > MAX_OFFSET_DAYS) {
+      throw new Error('INVALID_DATE_OFFSET');
+    }
+
+    return auctionService.createAuction({
+      ...settings,
+      title: typeof title === 'string' && title.trim() ? title.trim() : settings.title,
+      schoolId,
+      startTime: shiftDate(settings.startTime, offsetDays),
+      endTime: shiftDate(settings.endTime, offsetDays),
+      paymentGatewayId: await this._resolveGateway(schoolId, settings.paymentGatewayId),
+      createdByUserId: user.id,
+      carryOverUnsoldFrom
+    });
+  }
+
+  /**
+   * The saved gateway if the school still has it switched on, otherwise the
+   * school's primary (or any) active gateway.
+   * @private
+   */
+  async _resolveGateway(schoolId, preferredGatewayId) {
+    const result = await pool.query(
+      `SELECT id FROM payment_gateways
+       WHERE school_id = $1 AND is_active = TRUE
+       ORDER BY (id = $2::uuid) IS TRUE DESC, is_primary DESC
+       LIMIT 1`,
+      [schoolId, preferredGatewayId || null]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('NO_PAYMENT_GATEWAY');
+    }
+    return result.rows[0].id;
+  }
+
+  /** @private */
+  async _loadAuction(auctionId) {
+    const result = await pool.query(
+      'SELECT * FROM auctions WHERE id = $1 AND deleted_at IS NULL',
+      [auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  /** @private */
+  async _loadTemplate(templateId) {
+    const result = await pool.query(
+      'SELECT id, school_id, name, settings FROM auction_templates WHERE id = $1',
+      [templateId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('TEMPLATE_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Staff work with their own school's auctions; SITE_ADMIN with any.
+   * @private
+   */
+  _assertStaff(schoolId, user) {
+    if (!user || !TEMPLATE_ROLES.includes(user.role)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    if (user.role !== 'SITE_ADMIN' && user.schoolId !== schoolId) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+  }
+}
+
+module.exports = new AuctionTemplateService();
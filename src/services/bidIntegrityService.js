@@ -0,0 +1,355 @@
+/**
+ * Bid Integrity Service
+ * Automated shill-bidding / collusion checks over the bids on an auction.
+ * Each bid and bidder is scored against a fixed set of signals — shared
+ * network or device with the artist or with another bidder, accounts created
+ * just before bidding, bidders who only ever back one student, and bids that
+ * repeatedly ratchet up a single rival without winning. The result is a lead
+ * for a human reviewer, not a verdict: families and school networks share IPs
+ * legitimately, which is why a shared address alone never reaches HIGH.
+ */
+
+const { pool } = require('../models/index');
+
+/** Signal weights; a bidder's score is the sum over their distinct signals */
+const RISK_WEIGHTS = {
+  SHARES_DEVICE_WITH_ARTIST: 3,
+  SHARES_IP_WITH_ARTIST: 2,
+  SHARES_DEVICE_WITH_BIDDER: 2,
+  SHARES_IP_WITH_BIDDER: 1,
+  RATCHETS_RIVAL: 2,
+  NEW_ACCOUNT: 1,
+  SINGLE_ARTIST_BIDDER: 1
+};
+
+const HIGH_RISK_SCORE = 3;
+const MEDIUM_RISK_SCORE = 2;
+
+/** An account younger than this at its first bid in the auction is "new" */
+const NEW_ACCOUNT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** Bids needed before "only ever bids on one student" means anything */
+const SINGLE_ARTIST_MIN_BIDS = 3;
+
+/** Manual bids answering the same rival on one piece before it looks like ratcheting */
+const RATCHET_MIN_RESPONSES = 3;
+
+/** Bids that never counted are left out of every check */
+const IGNORED_STATUSES = ['REJECTED', 'CANCELLED'];
+
+function riskLevel(score) {
+  if (score >= HIGH_RISK_SCORE) {return 'HIGH';}
+  if (score >= MEDIUM_RISK_SCORE) {return 'MEDIUM';}
+  return 'LOW';
+}
+
+/** Same browser on the same network address is treated as the same device */
+function deviceKey(ipAddress, userAgent) {
+  return ipAddress && userAgent ? `${ipAddress}|${userAgent}` : null;
+}
+
+class BidIntegrityService {
+  /**
+   * Integrity report for one auction.
+   * @param {string} auctionId
+   * @returns {Object} { auctionId, summary, bidders, bids } — only flagged bidders and bids are listed
+   */
+  async analyzeAuction(auctionId) {
+    const reports = await this.analyzeAuctions([auctionId]);
+    return reports.get(auctionId);
+  }
+
+  /**
+   * Integrity reports for several auctions in three queries.
+   * @param {string[]} auctionIds
+   * @returns {Map<string, Object>} auctionId -> report (see analyzeAuction)
+   */
+  async analyzeAuctions(auctionIds) {
+    const reports = new Map();
+    if (auctionIds.length === 0) {return reports;}
+
+    const bidsResult = await pool.query(
+      `SELECT b.id, b.auction_id, b.artwork_id, b.placed_by_user_id, b.bid_amount, b.bid_status,
+              b.is_auto_bid, b.placed_at, host(b.ip_address) AS ip_address, b.user_agent,
+              b.entered_by_user_id,
+              aw.title AS artwork_title, aw.created_by_user_id AS artist_id,
+              u.first_name, u.last_name, u.email, u.created_at AS account_created_at
+       FROM bids b
+       JOIN artwork aw ON aw.id = b.artwork_id
+       JOIN users u    ON u.id = b.placed_by_user_id
+       WHERE b.auction_id = ANY($1::uuid[])
+         AND b.bid_status <> ALL($2::text[])
+       ORDER BY b.artwork_id, b.placed_at ASC, b.bid_amount ASC`,
+      [auctionIds, IGNORED_STATUSES]
+    );
+    // A paper bid keyed in by a clerk carries the clerk's network and device,
+    // not the bidder's, so it is left out of the network checks
+    const bids = bidsResult.rows.map((b) => (
+      b.entered_by_user_id ? { ...b, ip_address: null, user_agent: null } : b
+    ));
+
+    const artistIds = [...new Set(bids.map((b) => b.artist_id))];
+    const bidderIds = [...new Set(bids.map((b) => b.placed_by_user_id))];
+    const artistFootprints = await this._loadArtistFootprints(artistIds);
+    const bidderBreadth = await this._loadBidderBreadth(bidderIds);
+
+    for (const auctionId of auctionIds) {
+      const auctionBids = bids.filter((b) => b.auction_id === auctionId);
+      reports.set(auctionId, this._buildReport(auctionId, auctionBids, artistFootprints, bidderBreadth));
+    }
+    return reports;
+  }
+
+  /**
+   * Annotate admin win rows with their winner's integrity risk on that auction.
+   * Adds `highRisk` (boolean) and `riskReasons` (signal codes) to each win.
+   * @param {Object[]} wins - Rows with auctionId and winnerId
+   * @returns {Object[]} the same rows
+   */
+  async flagWins(wins) {
+    const auctionIds = [...new Set(wins.map((w) => w.auctionId))];
+    const reports = await this.analyzeAuctions(auctionIds);
+
+    for (const win of wins) {
+      const bidder = reports.get(win.auctionId)?.bidders.find((b) => b.userId === win.winnerId);
+      win.highRisk = bidder?.riskLevel === 'HIGH';
+      win.riskReasons = bidder ? bidder.reasons.map((r) => r.code) : [];
+    }
+    return wins;
+  }
+
+  /**
+   * Where each artist has been seen from: their login sessions plus any bids
+   * they placed themselves on other work.
+   * @private
+   * @returns {Map<string, { ips: Set<string>, devices: Set<string> }>}
+   */
+  async _loadArtistFootprints(artistIds) {
+    const footprints = new Map();
+    if (artistIds.length === 0) {return footprints;}
+
+    const result = await pool.query(
+      `SELECT user_id, host(ip_address) AS ip_address, user_agent
+       FROM user_sessions
+       WHERE user_id = ANY($1::uuid[]) AND ip_address IS NOT NULL
+       UNION
+       SELECT placed_by_user_id, host(ip_address), user_agent
+       FROM bids
+       WHERE placed_by_user_id = ANY($1::uuid[]) AND ip_address IS NOT NULL`,
+      [artistIds]
+    );
+
+    for (const row of result.rows) {
+      if (!footprints.has(row.user_id)) {
+        footprints.set(row.user_id, { ips: new Set(), devices: new Set() });
+      }
+      const footprint = footprints.get(row.user_id);
+      footprint.ips.add(row.ip_address);
+      const device = deviceKey(row.ip_address, row.user_agent);
+      if (device) {footprint.devices.add(device);}
+    }
+    return footprints;
+  }
+
+  /**
+   * How many manual bids each bidder has ever placed and on how many
+   * different students' work.
+   * @private
+   * @returns {Map<string, { bidCount: number, artistCount: number, artistId: string }>}
+   */
+  async _loadBidderBreadth(bidderIds) {
+    const breadth = new Map();
+    if (bidderIds.length === 0) {return breadth;}
+
+    const result = await pool.query(
+      `SELECT b.placed_by_user_id AS user_id, COUNT(*) AS bid_count,
+              COUNT(DISTINCT aw.created_by_user_id) AS artist_count,
+              MIN(aw.created_by_user_id::text) AS artist_id
+       FROM bids b
+       JOIN artwork aw ON aw.id = b.artwork_id
+       WHERE b.placed_by_user_id = ANY($1::uuid[])
+         AND b.is_auto_bid = false
+         AND b.bid_status <> ALL($2::text[])
+       GROUP BY b.placed_by_user_id`,
+      [bidderIds, IGNORED_STATUSES]
+    );
+
+    for (const row of result.rows) {
+      breadth.set(row.user_id, {
+        bidCount: parseInt(row.bid_count, 10),
+        artistCount: parseInt(row.artist_count, 10),
+        artistId: row.artist_id
+      });
+    }
+    return breadth;
+  }
+
+  /**
+   * Score one auction's bids. Pure: everything it needs is passed in.
+   * @private
+   */
+  _buildReport(auctionId, bids, artistFootprints, bidderBreadth) {
+    const bidReasons = new Map(bids.map((b) => [b.id, new Map()]));
+    const bidderReasons = new Map();
+
+    const flagBid = (bid, code, detail) => {
+      bidReasons.get(bid.id).set(code, detail);
+      if (!bidderReasons.has(bid.placed_by_user_id)) {bidderReasons.set(bid.placed_by_user_id, new Map());}
+      const reasons = bidderReasons.get(bid.placed_by_user_id);
+      if (!reasons.has(code)) {reasons.set(code, detail);}
+    };
+
+    // Who else bid from the same address / device in this auction
+    const usersByIp = new Map();
+    const usersByDevice = new Map();
+    for (const bid of bids) {
+      const device = deviceKey(bid.ip_address, bid.user_agent);
+      if (bid.ip_address) {
+        if (!usersByIp.has(bid.ip_address)) {usersByIp.set(bid.ip_address, new Set());}
+        usersByIp.get(bid.ip_address).add(bid.placed_by_user_id);
+      }
+      if (device) {
+        if (!usersByDevice.has(device)) {usersByDevice.set(device, new Set());}
+        usersByDevice.get(device).add(bid.placed_by_user_id);
+      }
+    }
+
+    const firstBidAt = new Map();
+    for (const bid of bids) {
+      const device = deviceKey(bid.ip_address, bid.user_agent);
+
+      // Network overlap with the student whose work this is. A shared device
+      // already implies a shared address, so only the stronger signal counts.
+      const footprint = artistFootprints.get(bid.artist_id);
+      if (footprint && device && footprint.devices.has(device)) {
+        flagBid(bid, 'SHARES_DEVICE_WITH_ARTIST', { artistId: bid.artist_id, ipAddress: bid.ip_address });
+      } else if (footprint && bid.ip_address && footprint.ips.has(bid.ip_address)) {
+        flagBid(bid, 'SHARES_IP_WITH_ARTIST', { artistId: bid.artist_id, ipAddress: bid.ip_address });
+      }
+
+      // Network overlap with other bidders in the same auction
+      const others = (set) => [...set].filter((id) => id !== bid.placed_by_user_id);
+      const deviceMates = device ? others(usersByDevice.get(device)) : [];
+      const ipMates = bid.ip_address ? others(usersByIp.get(bid.ip_address)) : [];
+      if (deviceMates.length > 0) {
+        flagBid(bid, 'SHARES_DEVICE_WITH_BIDDER', { userIds: deviceMates, ipAddress: bid.ip_address });
+      } else if (ipMates.length > 0) {
+        flagBid(bid, 'SHARES_IP_WITH_BIDDER', { userIds: ipMates, ipAddress: bid.ip_address });
+      }
+
+      if (!firstBidAt.has(bid.placed_by_user_id)) {firstBidAt.set(bid.placed_by_user_id, bid);}
+    }
+
+    // Accounts opened just before their first bid here
+    for (const bid of firstBidAt.values()) {
+      const ageMs = new Date(bid.placed_at) - new Date(bid.account_created_at);
+      if (ageMs >= 0 && ageMs < NEW_ACCOUNT_WINDOW_MS) {
+        flagBid(bid, 'NEW_ACCOUNT', { accountAgeHours: Math.round(ageMs / 36e5 * 10) / 10 });
+      }
+    }
+
+    // Bidders whose whole history backs a single student
+    for (const bid of bids) {
+      const breadth = bidderBreadth.get(bid.placed_by_user_id);
+      if (!bid.is_auto_bid && breadth && breadth.bidCount >= SINGLE_ARTIST_MIN_BIDS && breadth.artistCount === 1) {
+        flagBid(bid, 'SINGLE_ARTIST_BIDDER', { artistId: breadth.artistId, bidCount: breadth.bidCount });
+      }
+    }
+
+    this._flagRatcheting(bids, flagBid);
+
+    const flaggedBids = bids
+      .filter((b) => bidReasons.get(b.id).size > 0)
+      .map((b) => ({
+        bidId: b.id,
+        artworkId: b.artwork_id,
+        artworkTitle: b.artwork_title,
+        bidderId: b.placed_by_user_id,
+        amount: parseFloat(b.bid_amount),
+        isAutoBid: b.is_auto_bid,
+        placedAt: b.placed_at,
+        ipAddress: b.ip_address,
+        userAgent: b.user_agent,
+        reasons: [...bidReasons.get(b.id).keys()]
+      }));
+
+    const bidCounts = new Map();
+    for (const bid of bids) {bidCounts.set(bid.placed_by_user_id, (bidCounts.get(bid.placed_by_user_id) || 0) + 1);}
+
+    const flaggedBidders = [...bidderReasons.entries()]
+      .map(([userId, reasons]) => {
+        const bid = firstBidAt.get(userId);
+        const riskScore = [...reasons.keys()].reduce((sum, code) => sum + RISK_WEIGHTS[code], 0);
+        return {
+          userId,
+          firstName: bid.first_name,
+          lastName: bid.last_name,
+          email: bid.email,
+          accountCreatedAt: bid.account_created_at,
+          bidCount: bidCounts.get(userId),
+          riskScore,
+          riskLevel: riskLevel(riskScore),
+          reasons: [...reasons.entries()].map(([code, detail]) => ({ code, ...detail }))
+        };
+      })
+      .sort((a, b) => b.riskScore - a.riskScore);
+
+    return {
+      auctionId,
+      summary: {
+        totalBids: bids.length,
+        totalBidders: firstBidAt.size,
+        flaggedBids: flaggedBids.length,
+        flaggedBidders: flaggedBidders.length,
+        highRiskBidders: flaggedBidders.filter((b) => b.riskLevel === 'HIGH').length
+      },
+      bidders: flaggedBidders,
+      bids: flaggedBids
+    };
+  }
+
+  /**
+   * Ratcheting: a bidder who keeps answering the same rival on one piece —
+   * each manual bid placed straight after that rival's — and still doesn't
+   * end up on top has been pushing the rival's price rather than trying to
+   * win. Bids arrive grouped by artwork in placement order.
+   * @private
+   */
+  _flagRatcheting(bids, flagBid) {
+    const byArtwork = new Map();
+    for (const bid of bids) {
+      if (!byArtwork.has(bid.artwork_id)) {byArtwork.set(bid.artwork_id, []);}
+      byArtwork.get(bid.artwork_id).push(bid);
+    }
+
+    for (const artworkBids of byArtwork.values()) {
+      const top = artworkBids.reduce((best, b) => (
+        parseFloat(b.bid_amount) > parseFloat(best.bid_amount) ? b : best
+      ));
+
+      // responses[bidder][rival] = bids the bidder placed straight after the rival
+      const responses = new Map();
+      for (let i = 1; i < artworkBids.length; i++) {
+        const prev = artworkBids[i - 1];
+        const bid = artworkBids[i];
+        if (bid.is_auto_bid || bid.placed_by_user_id === prev.placed_by_user_id) {continue;}
+
+        const key = `${bid.placed_by_user_id}|${prev.placed_by_user_id}`;
+        if (!responses.has(key)) {responses.set(key, { rivalId: prev.placed_by_user_id, bids: [] });}
+        responses.get(key).bids.push(bid);
+      }
+
+      for (const { rivalId, bids: answered } of responses.values()) {
+        const bidderId = answered[0].placed_by_user_id;
+        if (answered.length < RATCHET_MIN_RESPONSES || bidderId === top.placed_by_user_id) {continue;}
+        for (const bid of answered) {
+          flagBid(bid, 'RATCHETS_RIVAL', {
+            rivalId, artworkId: bid.artwork_id, responses: answered.length
+          });
+        }
+      }
+    }
+  }
+}
+
+module.exports = new BidIntegrityService();
@@ -5,18 +5,55 @@
  */
 
 const { pool } = require('../models/index');
-const { getSharedEmailProvider, notifyOutbid } = require('./notificationService');
+const {
+  getSharedEmailProvider, notifyOutbid, notifyAuctionWon, notifyBuyNowSold, notifyBidReviewed
+} = require('./notificationService');
 const { publicArtistName } = require('../utils/piiUtils');
+const { resolveIncrementSchedule, incrementFor, nextMinimumBid } = require('../utils/bidIncrements');
+const auctionInviteService = require('./auctionInviteService');
+const watchlistService = require('./watchlistService');
+const auctionService = require('./auctionService');
+
+/**
+ * Audit-detail fields recording how a bid was entered: the login session,
+ * for a paper bid keyed in at a live event the clerk who entered it, and for
+ * a bid queued offline the (signed) time it was captured on the device.
+ */
+function entryDetails(context) {
+  return {
+    session_jti: context.sessionJti || null,
+    ...(context.enteredByUserId && { entered_by: 'CLERK', clerk_user_id: context.enteredByUserId }),
+    ...(context.offlinePlacedAt && { entered_by: 'OFFLINE_SYNC', offline_placed_at: context.offlinePlacedAt })
+  };
+}
 
 class BiddingService {
   /**
    * Place a bid on artwork
+   *
+   * Supports proxy (maximum) bidding: when `options.maxAmount` is supplied the
+   * bidder's ceiling is stored on the bid as `auto_bid_max_amount` and the
+   * system bids on their behalf, one increment at a time, whenever someone
+   * else bids. Competing proxies are resolved here, inside the same
+   * row-locked transaction, so the visible price only ever moves to one
+   * increment above the losing ceiling. A plain bid is a proxy whose ceiling
+   * equals its amount.
+   *
    * @param {string} artworkId - ID of the artwork
    * @param {string} userId - ID of the bidder
    * @param {number} bidAmount - The bid amount in cents
-   * @returns {Object} Bid result with confirmation and details
+   * @param {Object} [options]
+   * @param {number} [options.maxAmount] - Secret maximum the system may bid up to
+   * @param {Object} [options.context] - { ipAddress, userAgent, sessionJti } from
+   *   utils/requestContext, stored on the bid and its audit row for disputes.
+   *   `enteredByUserId` marks a paper bid keyed in by a clerk on the bidder's behalf;
+   *   `offlinePlacedAt` marks a bid replayed from a device's offline queue.
+   * @returns {Object} Bid result with confirmation and details. `isWinning`
+   *   tells the bidder whether they lead after proxy resolution; `leaderChanged`
+   *   is false when an existing proxy absorbed the bid (no outbid email or
+   *   broadcast is warranted in that case).
    */
-  async placeBid(artworkId, userId, bidAmount) {
+  async placeBid(artworkId, userId, bidAmount, options = {}) {
     const client = await pool.connect();
 
     try {
@@ -24,52 +61,67 @@ class BiddingService {
 
       // Validate inputs
       this._validateBidInputs(artworkId, userId, bidAmount);
-
-      // Get artwork and auction info
-      const artworkResult = await client.query(
-        `SELECT a.*, au.auction_status, au.ends_at, au.id as auction_id,
-                (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE') as current_bid,
-                au.ends_at <= NOW() AS auction_ended
-         FROM artwork a
-         JOIN auctions au ON a.auction_id = au.id
-         WHERE a.id = $1 FOR UPDATE`,
-        [artworkId]
-      );
-
-      if (artworkResult.rows.length === 0) {
-        throw new Error('Artwork not found');
+      const maxAmount = options.maxAmount ?? null;
+      if (maxAmount !== null) {
+        this._validateMaxAmount(bidAmount, maxAmount);
       }
+      const context = options.context || {};
 
-      const artwork = artworkResult.rows[0];
+      // Get artwork and auction info, plus the current leader's proxy ceiling
+      const artwork = await this._lockArtworkForBidding(client, artworkId);
 
       // Validate auction is active
       if (artwork.auction_status !== 'LIVE') {
         throw new Error(`Auction is not active. Current status: ${artwork.auction_status}`);
       }
 
-      // Validate auction hasn't ended — use DB clock (NOW()) to avoid app/DB clock skew
+      // Validate auction (or this lot, if it has its own close) hasn't ended —
+      // use DB clock (NOW()) to avoid app/DB clock skew
       if (artwork.auction_ended) {
-        throw new Error('Auction has ended');
+        throw new Error(artwork.closes_at ? 'Bidding on this artwork has closed' : 'Auction has ended');
       }
 
+      // Lot already settled (staggered close or bought outright)
+      if (artwork.finalized_at) {
+        throw new Error('Bidding on this artwork has closed');
+      }
+
+      await this._assertInvited(artwork, userId, context);
+
       // Validate user is not the artist
       if (artwork.created_by_user_id === userId) {
         throw new Error('Artist cannot bid on their own artwork');
       }
 
-      // Validate bid amount against current highest + minimum increment
+      // A proxy would bid on the user's behalf without the organizer vetting it
+      if (artwork.require_approval_for_bids && maxAmount !== null) {
+        throw new Error('Maximum bids are not available in auctions where bids need organizer approval');
+      }
+
       const currentBid = artwork.current_bid ? parseFloat(artwork.current_bid) : 0;
+      const leaderId = currentBid > 0 ? artwork.current_bidder_id : null;
+      const leaderMax = artwork.current_bidder_max ? parseFloat(artwork.current_bidder_max) : currentBid;
+
+      // The current leader raising their own ceiling doesn't move the price
+      if (leaderId && leaderId === userId && maxAmount !== null) {
+        return await this._raiseOwnMaximum(client, artworkId, artwork, userId, maxAmount, leaderMax, context);
+      }
+
+      // Validate bid amount against current highest + the tiered increment
+      // (artwork override, else the auction's schedule, else a flat $10)
+      const schedule = resolveIncrementSchedule(artwork.bid_increment_schedule, artwork.auction_bid_increments);
       const startingBid = artwork.starting_bid_amount ? parseFloat(artwork.starting_bid_amount) : 0;
-      const minimumBid = currentBid > 0 ? currentBid + 10 : startingBid; // $10 minimum increment
+      const minimumBid = nextMinimumBid(schedule, currentBid, startingBid);
 
       if (bidAmount < minimumBid) {
         throw new Error(`Bid amount $${bidAmount.toFixed(2)} is below minimum required $${minimumBid.toFixed(2)}`);
       }
 
-      // Check for reserve price (if exists)
-      if (artwork.reserve_bid_amount && bidAmount < parseFloat(artwork.reserve_bid_amount)) {
-        throw new Error(`Bid does not meet reserve price of $${parseFloat(artwork.reserve_bid_amount).toFixed(2)}`);
-      }
+      // Bids below the reserve are allowed so bidding can build toward it; the
+      // lot is held for a seller decision at close if it never gets there.
+      // A proxy whose ceiling reaches the reserve lifts the visible bid to it.
+      const reserve = artwork.reserve_bid_amount ? parseFloat(artwork.reserve_bid_amount) : 0;
+      const ceiling = maxAmount ?? bidAmount;
 
       // Check user's account status
       const userResult = await client.query(
@@ -85,6 +137,29 @@ class BiddingService {
         throw new Error('User account is not active');
       }
 
+      // Vetted auctions: the bid waits for an organizer instead of taking the lead
+      if (artwork.require_approval_for_bids) {
+        return await this._queueForApproval(client, artworkId, artwork, userId, bidAmount, context);
+      }
+
+      // An existing proxy whose ceiling meets or beats the new one defends the
+      // lead (ties go to the earlier bidder).
+      if (leaderId && leaderId !== userId && leaderMax >= ceiling) {
+        return await this._defendWithProxy(client, artworkId, artwork, {
+          userId, bidAmount, maxAmount, ceiling, leaderId, leaderMax, schedule, context
+        });
+      }
+
+      // The new bid takes the lead. Against a proxy the visible price only
+      // needs to clear the exhausted ceiling by one increment.
+      let placedAmount = bidAmount;
+      if (leaderId && leaderId !== userId && leaderMax > bidAmount) {
+        placedAmount = Math.min(ceiling, leaderMax + incrementFor(schedule, leaderMax));
+      }
+      if (reserve && placedAmount < reserve && ceiling >= reserve) {
+        placedAmount = reserve;
+      }
+
       // Mark previous highest bid as OUTBID, capturing the previous bidder's id
       const outbidResult = await client.query(
         `UPDATE bids SET bid_status = 'OUTBID'
@@ -94,12 +169,28 @@ class BiddingService {
       );
       const prevBidderId = outbidResult.rows?.length > 0 ? outbidResult.rows[0].placed_by_user_id : null;
 
-      // Create bid record
+      // Record the exhausted proxy's final auto-bid so the history shows it
+      // was carried all the way to its ceiling before losing the lead. The
+      // system places it on the leader's behalf, so it has no client context.
+      if (leaderId && leaderId !== userId && leaderMax > currentBid) {
+        await client.query(
+          `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                             is_auto_bid, auto_bid_max_amount)
+           VALUES ($1, $2, $3, $4, 'OUTBID', NOW(), true, $4)`,
+          [artwork.auction_id, artworkId, leaderId, leaderMax]
+        );
+      }
+
+      // Create bid record. A leader re-bidding keeps the higher of their ceilings.
+      const storedMax = leaderId === userId ? Math.max(ceiling, leaderMax) : ceiling;
+      const isProxy = storedMax > placedAmount;
       const bidResult = await client.query(
-        `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at, ip_address, user_agent)
-         VALUES ($1, $2, $3, $4, 'ACTIVE', NOW(), $5, $6)
+        `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                           is_auto_bid, auto_bid_max_amount, ip_address, user_agent, session_jti, entered_by_user_id)
+         VALUES ($1, $2, $3, $4, 'ACTIVE', NOW(), $5, $6, $7, $8, $9, $10)
          RETURNING id, bid_amount, placed_at`,
-        [artwork.auction_id, artworkId, userId, bidAmount, '0.0.0.0', 'unknown']
+        [artwork.auction_id, artworkId, userId, placedAmount, isProxy, isProxy ? storedMax : null,
+          context.ipAddress || null, context.userAgent || null, context.sessionJti || null, context.enteredByUserId || null]
       );
 
       const bid = bidResult.rows[0];
@@ -116,11 +207,20 @@ class BiddingService {
 
       // Log bid activity for compliance
       await client.query(
-        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        ['BID', 'bid_placed', 'artwork', artworkId, JSON.stringify({ bid_id: bid.id, amount: bidAmount }), userId]
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id,
+                                 ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        ['BID', 'bid_placed', 'artwork', artworkId, JSON.stringify({
+          bid_id: bid.id,
+          amount: placedAmount,
+          ...entryDetails(context),
+          ...(isProxy && { max_amount: storedMax }),
+          ...(prevBidderId && prevBidderId !== userId && leaderMax > currentBid && { proxy_exhausted_user_id: prevBidderId })
+        }), userId, context.ipAddress || null, context.userAgent || null]
       );
 
+      const extension = await this._applySoftClose(client, artworkId, artwork, bid.id);
+
       await client.query('COMMIT');
 
       // Fire outbid notification non-blocking (after commit so DB state is visible)
@@ -131,21 +231,418 @@ class BiddingService {
             email: prevBidder.email,
             firstName: prevBidder.first_name,
             artworkTitle: artwork.title,
-            newBidDollars: bidAmount,
-            auctionEndsAt: artwork.ends_at,
+            newBidDollars: placedAmount,
+            auctionEndsAt: extension?.endTime || artwork.closes_at || artwork.ends_at,
             artworkId,
             auctionId: artwork.auction_id
           }).catch(err => console.error('[notification] outbid failed:', err.message));
         });
       }
+      setImmediate(() => {
+        watchlistService.alertNewBid(artworkId, { amount: placedAmount, excludeUserIds: [userId, prevBidderId] });
+      });
 
       return {
         success: true,
         bidId: bid.id,
         artworkId,
-        bidAmount,
+        bidAmount: placedAmount,
+        ...(isProxy && { maxAmount: storedMax }),
+        isWinning: true,
+        leaderChanged: prevBidderId !== userId,
+        extension,
         timestamp: bid.placed_at,
-        message: `Bid placed successfully for $${bidAmount.toFixed(2)}`
+        message: `Bid placed successfully for $${placedAmount.toFixed(2)}`
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Buy a piece outright at its Buy-It-Now price.
+   *
+   * Closes this one lot immediately: the buyer's purchase is recorded as an
+   * ACCEPTED bid (so endAuction and payments treat it like any other win),
+   * every other bid is OUTBID, and the artwork is marked SOLD and finalized.
+   * Buy-now is withdrawn once the high bid reaches the auction's
+   * `buy_now_cutoff_percent` of the price, and is never offered where bids
+   * need organizer approval (an outright purchase can't wait for review).
+   *
+   * @param {string} artworkId - ID of the artwork
+   * @param {string} userId - ID of the buyer
+   * @param {Object} [context] - { ipAddress, userAgent, sessionJti } from utils/requestContext
+   * @returns {Object} Purchase confirmation
+   */
+  async buyNow(artworkId, userId, context = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      if (!artworkId || !userId) {
+        throw new Error('Missing required fields: artworkId, userId');
+      }
+
+      const artworkResult = await client.query(
+        `SELECT a.*, au.auction_status, au.id as auction_id, au.buy_now_cutoff_percent,
+                au.visibility AS auction_visibility, au.require_approval_for_bids,
+                (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE') as current_bid,
+                COALESCE(a.closes_at, au.ends_at) <= NOW() AS auction_ended
+         FROM artwork a
+         JOIN auctions au ON a.auction_id = au.id
+         WHERE a.id = $1 FOR UPDATE`,
+        [artworkId]
+      );
+
+      if (artworkResult.rows.length === 0) {
+        throw new Error('Artwork not found');
+      }
+
+      const artwork = artworkResult.rows[0];
+
+      if (artwork.auction_status !== 'LIVE') {
+        throw new Error(`Auction is not active. Current status: ${artwork.auction_status}`);
+      }
+
+      if (artwork.auction_ended || artwork.finalized_at) {
+        throw new Error('Bidding on this artwork has closed');
+      }
+
+      await this._assertInvited(artwork, userId, context);
+
+      if (artwork.created_by_user_id === userId) {
+        throw new Error('Artist cannot buy their own artwork');
+      }
+
+      if (artwork.require_approval_for_bids) {
+        throw new Error('Buy-It-Now is not available in auctions where bids need organizer approval');
+      }
+
+      const currentBid = artwork.current_bid ? parseFloat(artwork.current_bid) : 0;
+      if (!this._buyNowAvailable(artwork, currentBid)) {
+        throw new Error('Buy-It-Now is not available for this artwork');
+      }
+      const price = parseFloat(artwork.buy_now_price);
+
+      const userResult = await client.query(
+        'SELECT id, account_status FROM users WHERE id = $1',
+        [userId]
+      );
+
+      if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+      }
+
+      if (userResult.rows[0].account_status !== 'ACTIVE') {
+        throw new Error('User account is not active');
+      }
+
+      // Bids still awaiting organizer approval can no longer win either
+      await client.query(
+        `UPDATE bids SET bid_status = CASE WHEN bid_status = 'PENDING' THEN 'REJECTED' ELSE 'OUTBID' END
+         WHERE artwork_id = $1 AND bid_status IN ('ACTIVE', 'PENDING')`,
+        [artworkId]
+      );
+
+      const bidResult = await client.query(
+        `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                           is_auto_bid, ip_address, user_agent, session_jti, won_at)
+         VALUES ($1, $2, $3, $4, 'ACCEPTED', NOW(), false, $5, $6, $7, NOW())
+         RETURNING id, bid_amount, placed_at`,
+        [artwork.auction_id, artworkId, userId, price,
+          context.ipAddress || null, context.userAgent || null, context.sessionJti || null]
+      );
+
+      const bid = bidResult.rows[0];
+
+      await client.query(
+        `UPDATE artwork SET artwork_status = 'SOLD', finalized_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [artworkId]
+      );
+
+      // Everyone else who bid on the piece has now lost it
+      const losersResult = await client.query(
+        `SELECT DISTINCT u.id, u.email, u.first_name
+         FROM bids b
+         JOIN users u ON u.id = b.placed_by_user_id
+         WHERE b.artwork_id = $1 AND b.placed_by_user_id != $2
+           AND b.bid_status = 'OUTBID' AND u.deleted_at IS NULL`,
+        [artworkId, userId]
+      );
+
+      const buyerResult = await client.query(
+        'SELECT id, email, first_name FROM users WHERE id = $1 AND deleted_at IS NULL',
+        [userId]
+      );
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id,
+                                 ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        ['BID', 'buy_now_purchased', 'artwork', artworkId, JSON.stringify({
+          bid_id: bid.id,
+          amount: price,
+          high_bid_at_purchase: currentBid,
+          ...entryDetails(context)
+        }), userId, context.ipAddress || null, context.userAgent || null]
+      );
+
+      await client.query('COMMIT');
+
+      // Fire buyer and losing-bidder emails non-blocking (after commit)
+      const losers = losersResult.rows;
+      const buyer = buyerResult.rows[0];
+      setImmediate(async () => {
+        const emailProvider = getSharedEmailProvider();
+        if (buyer) {
+          await notifyAuctionWon(emailProvider, pool, {
+            userId: buyer.id,
+            email: buyer.email,
+            firstName: buyer.first_name,
+            artworkTitle: artwork.title,
+            winningBidDollars: price
+          }).catch(err => console.error('[notification] buy-now won failed:', err.message));
+        }
+        for (const loser of losers) {
+          await notifyBuyNowSold(emailProvider, pool, {
+            userId: loser.id,
+            email: loser.email,
+            firstName: loser.first_name,
+            artworkTitle: artwork.title,
+            buyNowPrice: price,
+            auctionId: artwork.auction_id
+          }).catch(err => console.error('[notification] buy-now sold failed:', err.message));
+        }
+      });
+
+      return {
+        success: true,
+        bidId: bid.id,
+        artworkId,
+        auctionId: artwork.auction_id,
+        amount: price,
+        outbidUserIds: losers.map(l => l.id),
+        timestamp: bid.placed_at,
+        message: `Purchased for $${price.toFixed(2)}`
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Whether Buy-It-Now is still offered on a piece.
+   * @private
+   * @param {Object} artwork - Row with buy_now_price, buy_now_cutoff_percent
+   *   and require_approval_for_bids
+   * @param {number} currentBid - Highest active bid (0 when none)
+   * @returns {boolean}
+   */
+  _buyNowAvailable(artwork, currentBid) {
+    if (artwork.require_approval_for_bids) { return false; }
+    const price = artwork.buy_now_price ? parseFloat(artwork.buy_now_price) : 0;
+    if (!price) { return false; }
+    const cutoffPercent = artwork.buy_now_cutoff_percent ?? 100;
+    return currentBid < price * cutoffPercent / 100;
+  }
+
+  /**
+   * Approve a bid held for organizer review (auctions with
+   * `require_approval_for_bids`). The bid is re-checked against the price as
+   * it stands now: if it still clears the next minimum it takes the lead, as
+   * placeBid would have; if approved bids overtook it while it waited, it is
+   * recorded as OUTBID.
+   *
+   * @param {string} bidId - ID of the PENDING bid
+   * @param {string} reviewerId - Admin approving the bid
+   * @returns {Object} { bidId, artworkId, auctionId, bidAmount, isWinning, leaderChanged, extension }
+   */
+  async approvePendingBid(bidId, reviewerId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { bid, artwork } = await this._lockPendingBid(client, bidId);
+
+      if (artwork.auction_status !== 'LIVE' || artwork.auction_ended || artwork.finalized_at) {
+        throw new Error('BIDDING_CLOSED');
+      }
+
+      const schedule = resolveIncrementSchedule(artwork.bid_increment_schedule, artwork.auction_bid_increments);
+      const currentBid = artwork.current_bid ? parseFloat(artwork.current_bid) : 0;
+      const startingBid = artwork.starting_bid_amount ? parseFloat(artwork.starting_bid_amount) : 0;
+      const amount = parseFloat(bid.bid_amount);
+      const leads = amount >= nextMinimumBid(schedule, currentBid, startingBid);
+
+      let prevBidderId = null;
+      if (leads) {
+        const outbidResult = await client.query(
+          `UPDATE bids SET bid_status = 'OUTBID'
+           WHERE artwork_id = $1 AND bid_status = 'ACTIVE'
+           RETURNING placed_by_user_id`,
+          [artwork.id]
+        );
+        prevBidderId = outbidResult.rows?.length > 0 ? outbidResult.rows[0].placed_by_user_id : null;
+      }
+
+      await client.query(
+        `UPDATE bids SET bid_status = $2, reviewed_by_user_id = $3, reviewed_at = NOW()
+         WHERE id = $1`,
+        [bidId, leads ? 'ACTIVE' : 'OUTBID', reviewerId]
+      );
+
+      const usersResult = await client.query(
+        'SELECT id, email, first_name FROM users WHERE id = ANY($1) AND deleted_at IS NULL',
+        [[bid.placed_by_user_id, prevBidderId].filter(Boolean)]
+      );
+      const bidder = usersResult.rows.find(u => u.id === bid.placed_by_user_id);
+      const prevBidder = prevBidderId && prevBidderId !== bid.placed_by_user_id
+        ? usersResult.rows.find(u => u.id === prevBidderId)
+        : null;
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['BID', 'bid_approved', 'artwork', artwork.id, JSON.stringify({
+          bid_id: bidId,
+          bidder_id: bid.placed_by_user_id,
+          amount,
+          leads
+        }), reviewerId]
+      );
+
+      // The lead changes hands at approval time, so that's when the bid "lands"
+      const extension = leads ? await this._applySoftClose(client, artwork.id, artwork, bidId) : null;
+
+      await client.query('COMMIT');
+
+      setImmediate(async () => {
+        const emailProvider = getSharedEmailProvider();
+        if (bidder) {
+          await notifyBidReviewed(emailProvider, pool, {
+            userId: bidder.id,
+            email: bidder.email,
+            firstName: bidder.first_name,
+            artworkTitle: artwork.title,
+            bidDollars: amount,
+            approved: true,
+            leading: leads,
+            artworkId: artwork.id,
+            auctionId: artwork.auction_id
+          }).catch(err => console.error('[notification] bid approved failed:', err.message));
+        }
+        if (prevBidder) {
+          await notifyOutbid(emailProvider, pool, {
+            userId: prevBidder.id,
+            email: prevBidder.email,
+            firstName: prevBidder.first_name,
+            artworkTitle: artwork.title,
+            newBidDollars: amount,
+            auctionEndsAt: extension?.endTime || artwork.closes_at || artwork.ends_at,
+            artworkId: artwork.id,
+            auctionId: artwork.auction_id
+          }).catch(err => console.error('[notification] outbid failed:', err.message));
+        }
+        if (leads) {
+          await watchlistService.alertNewBid(artwork.id, {
+            amount, excludeUserIds: [bid.placed_by_user_id, prevBidderId]
+          });
+        }
+      });
+
+      return {
+        success: true,
+        bidId,
+        artworkId: artwork.id,
+        auctionId: artwork.auction_id,
+        bidAmount: amount,
+        isWinning: leads,
+        leaderChanged: leads,
+        extension,
+        message: leads
+          ? 'Bid approved and is now the high bid'
+          : 'Bid approved, but it has since been outbid'
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Reject a bid held for organizer review.
+   * @param {string} bidId - ID of the PENDING bid
+   * @param {string} reviewerId - Admin rejecting the bid
+   * @param {string} [reason] - Shown to the bidder
+   * @returns {Object} { bidId, artworkId, auctionId }
+   */
+  async rejectPendingBid(bidId, reviewerId, reason = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { bid, artwork } = await this._lockPendingBid(client, bidId);
+
+      await client.query(
+        `UPDATE bids SET bid_status = 'REJECTED', reviewed_by_user_id = $2, reviewed_at = NOW(),
+                         rejection_reason = $3
+         WHERE id = $1`,
+        [bidId, reviewerId, reason]
+      );
+
+      const bidderResult = await client.query(
+        'SELECT id, email, first_name FROM users WHERE id = $1 AND deleted_at IS NULL',
+        [bid.placed_by_user_id]
+      );
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['BID', 'bid_rejected', 'artwork', artwork.id, JSON.stringify({
+          bid_id: bidId,
+          bidder_id: bid.placed_by_user_id,
+          amount: parseFloat(bid.bid_amount),
+          reason
+        }), reviewerId]
+      );
+
+      await client.query('COMMIT');
+
+      const bidder = bidderResult.rows[0];
+      if (bidder) {
+        setImmediate(() => {
+          notifyBidReviewed(getSharedEmailProvider(), pool, {
+            userId: bidder.id,
+            email: bidder.email,
+            firstName: bidder.first_name,
+            artworkTitle: artwork.title,
+            bidDollars: parseFloat(bid.bid_amount),
+            approved: false,
+            reason,
+            artworkId: artwork.id,
+            auctionId: artwork.auction_id
+          }).catch(err => console.error('[notification] bid rejected failed:', err.message));
+        });
+      }
+
+      return {
+        success: true,
+        bidId,
+        artworkId: artwork.id,
+        auctionId: artwork.auction_id,
+        message: 'Bid rejected'
       };
     } catch (error) {
       await client.query('ROLLBACK');
@@ -186,16 +683,20 @@ class BiddingService {
         throw new Error('Unauthorized: Cannot withdraw another user\'s bid');
       }
 
-      // Check if withdrawal is allowed
+      // Check if withdrawal is allowed. The piece closes at its own closes_at
+      // when it has one (staggered close, per-lot soft close), as in placeBid.
       const auctionResult = await client.query(
-        'SELECT ends_at, auction_status FROM auctions WHERE id = $1',
-        [bid.auction_id]
+        `SELECT COALESCE(a.closes_at, au.ends_at) AS ends_at, au.auction_status
+         FROM artwork a
+         JOIN auctions au ON au.id = a.auction_id
+         WHERE a.id = $1`,
+        [bid.artwork_id]
       );
 
       const auction = auctionResult.rows[0];
       const timeUntilEnd = new Date(auction.ends_at) - new Date();
 
-      // Don't allow withdrawal if bid is highest and auction ends in less than 5 minutes
+      // Don't allow withdrawal if bid is highest and its lot closes in less than 5 minutes
       if (bid.bid_status === 'ACTIVE' && timeUntilEnd < 5 * 60 * 1000) {
         throw new Error('Cannot withdraw the highest bid when auction is ending soon');
       }
@@ -297,8 +798,11 @@ class BiddingService {
    */
   async getBiddingState(artworkId) {
     const result = await pool.query(
-      `SELECT a.id, a.title, a.starting_bid_amount, a.reserve_bid_amount,
-              au.id as auction_id, au.auction_status, au.ends_at,
+      `SELECT a.id, a.title, a.starting_bid_amount, a.reserve_bid_amount, a.bid_increment_schedule,
+              a.buy_now_price, a.artwork_status, a.finalized_at, a.reserve_status, au.buy_now_cutoff_percent,
+              au.require_approval_for_bids, au.id as auction_id, au.auction_status,
+              COALESCE(a.closes_at, au.ends_at) AS ends_at, a.closes_at,
+              au.bid_increment_schedule AS auction_bid_increments,
               (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE') as current_bid,
               (SELECT placed_by_user_id FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC LIMIT 1) as current_bidder_id,
               (SELECT COUNT(*) FROM bids WHERE artwork_id = a.id AND bid_status IN ('ACTIVE', 'OUTBID')) as total_bids
@@ -316,20 +820,34 @@ class BiddingService {
     const now = new Date();
     const endTime = new Date(state.ends_at);
     const timeRemaining = Math.max(0, endTime - now);
+    const schedule = resolveIncrementSchedule(state.bid_increment_schedule, state.auction_bid_increments);
+    const currentBid = state.current_bid ? parseFloat(state.current_bid) : 0;
+    const startingBid = state.starting_bid_amount ? parseFloat(state.starting_bid_amount) : 0;
+    // The reserve amount itself stays private; bidders only see whether it's met
+    const reserve = state.reserve_bid_amount ? parseFloat(state.reserve_bid_amount) : 0;
 
     return {
       artworkId: state.id,
       title: state.title,
       auctionId: state.auction_id,
       startingPrice: state.starting_bid_amount,
-      reservePrice: state.reserve_bid_amount,
+      reserveNotMet: reserve > 0 && currentBid < reserve,
+      reserveDecisionPending: state.reserve_status === 'PENDING_DECISION',
       currentBid: state.current_bid,
       currentBidderId: state.current_bidder_id,
       totalBids: parseInt(state.total_bids),
+      nextMinimumBid: nextMinimumBid(schedule, currentBid, startingBid),
+      bidIncrement: incrementFor(schedule, currentBid),
+      bidIncrements: schedule,
       auctionStatus: state.auction_status,
       endTime: state.ends_at,
+      closesIndividually: !!state.closes_at,
       timeRemaining,
-      auctionActive: state.auction_status === 'LIVE' && endTime > now
+      auctionActive: state.auction_status === 'LIVE' && endTime > now && !state.finalized_at,
+      sold: state.artwork_status === 'SOLD',
+      buyNowPrice: state.buy_now_price || null,
+      buyNowAvailable: state.auction_status === 'LIVE' && endTime > now && !state.finalized_at &&
+        this._buyNowAvailable(state, currentBid)
     };
   }
 
@@ -340,7 +858,7 @@ class BiddingService {
    */
   async getUserBidHistory(userId) {
     const result = await pool.query(
-      `SELECT b.id, b.artwork_id, b.bid_amount, b.placed_at, b.bid_status,
+      `SELECT b.id, b.artwork_id, b.bid_amount, b.auto_bid_max_amount, b.placed_at, b.bid_status,
               a.title, a.image_url,
               au.auction_status, au.ends_at,
               (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE') as highest_bid
@@ -358,6 +876,7 @@ class BiddingService {
       title: row.title,
       imageUrl: row.image_url,
       bidAmount: row.bid_amount,
+      maxAmount: row.auto_bid_max_amount,
       highestBid: row.highest_bid,
       isWinning: row.bid_status === 'ACTIVE',
       timestamp: row.placed_at,
@@ -368,107 +887,47 @@ class BiddingService {
   }
 
   /**
-   * Close an auction and determine winner
+   * Close an auction and determine winner. Finalization is
+   * auctionService.endAuction's (lot finalize, reserve holds, settlement), so
+   * this endpoint and the scheduler close auctions the same way.
    * @param {string} auctionId - ID of the auction to close
-   * @returns {Object} Closure result with winner info
+   * @returns {Object} endAuction's result plus the top `winner` with name/email;
+   *   success false (untouched) when the auction isn't LIVE or lots are still open
    */
   async closeAuction(auctionId) {
-    const client = await pool.connect();
-
-    try {
-      await client.query('BEGIN');
-
-      // Get auction info
-      const auctionResult = await client.query(
-        'SELECT id, school_id, auction_status FROM auctions WHERE id = $1 FOR UPDATE',
-        [auctionId]
-      );
-
-      if (auctionResult.rows.length === 0) {
-        throw new Error('Auction not found');
-      }
-
-      const _auction = auctionResult.rows[0];
-
-      // Update auction status to ENDED
-      await client.query(
-        'UPDATE auctions SET auction_status = $1 WHERE id = $2',
-        ['ENDED', auctionId]
-      );
-
-      // Find the highest active bid PER ARTWORK in this auction (one winner per piece)
-      const winnerResult = await client.query(
-        `SELECT DISTINCT ON (b.artwork_id)
-                b.placed_by_user_id, b.bid_amount, b.artwork_id,
-                u.first_name, u.last_name, u.email
-         FROM bids b
-         JOIN artwork a ON b.artwork_id = a.id
-         JOIN users u ON b.placed_by_user_id = u.id
-         WHERE a.auction_id = $1 AND b.bid_status = 'ACTIVE'
-         ORDER BY b.artwork_id, b.bid_amount DESC`,
-        [auctionId]
-      );
-
-      const winners = [];
-
-      for (const row of winnerResult.rows) {
-        winners.push({
-          id: row.placed_by_user_id,
-          name: `${row.first_name} ${row.last_name}`,
-          email: row.email,
-          bidAmount: row.bid_amount,
-          artworkId: row.artwork_id
-        });
-
-        // Mark winning bid as ACCEPTED for this artwork
-        await client.query(
-          `UPDATE bids SET bid_status = 'ACCEPTED'
-           WHERE artwork_id = $1 AND placed_by_user_id = $2 AND bid_status = 'ACTIVE'`,
-          [row.artwork_id, row.placed_by_user_id]
-        );
-      }
-
-      // Backward-compatible: expose the top winner for callers that expect a single `winner`
-      const winner = winners.length > 0 ? winners[0] : null;
-
-      // Propagate auction outcome to linked portfolio items
-      await client.query(
-        `UPDATE portfolio_items pi
-            SET submission_state = CASE
-                  WHEN EXISTS (SELECT 1 FROM bids b WHERE b.artwork_id = aw.id AND b.bid_status = 'ACCEPTED')
-                       THEN 'SOLD' ELSE 'UNSOLD' END,
-                updated_at = NOW()
-           FROM artwork aw
-          WHERE aw.auction_id = $1 AND aw.portfolio_item_id = pi.id
-            AND pi.submission_state = 'IN_AUCTION' AND aw.deleted_at IS NULL`,
-        [auctionId]
-      );
+    const result = await auctionService.endAuction(auctionId);
+    if (!result.success) {
+      return result;
+    }
 
-      // Log auction closure
-      await client.query(
-        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
-         VALUES ($1, $2, $3, $4, $5)`,
-        ['AUCTION', 'auction_closed', 'auction', auctionId,
-          JSON.stringify({ winners_count: winners.length, total_bids_accepted: winners.length })]
+    // Backward-compatible: expose the top winner for callers that expect a single `winner`
+    const top = result.winners.reduce(
+      (best, w) => (!best || parseFloat(w.winningBid) > parseFloat(best.winningBid) ? w : best),
+      null
+    );
+    let winner = null;
+    if (top) {
+      const userResult = await pool.query(
+        'SELECT first_name, last_name, email FROM users WHERE id = $1',
+        [top.winnerId]
       );
-
-      await client.query('COMMIT');
-
-      return {
-        success: true,
-        auctionId,
-        winner,
-        winners,
-        message: winners.length > 0
-          ? `Auction closed. ${winners.length} winner(s) determined.`
-          : 'Auction closed with no winner'
+      const user = userResult.rows[0] || {};
+      winner = {
+        id: top.winnerId,
+        name: `${user.first_name || ''} ${user.last_name || ''}`.trim(),
+        email: user.email || null,
+        bidAmount: top.winningBid,
+        artworkId: top.artworkId
       };
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
     }
+
+    return {
+      ...result,
+      winner,
+      message: result.winners.length > 0
+        ? `Auction closed. ${result.winners.length} winner(s) determined.`
+        : 'Auction closed with no winner'
+    };
   }
 
   /**
@@ -547,6 +1006,366 @@ class BiddingService {
     }));
   }
 
+  /**
+   * Lock an artwork row for a bid decision and load everything placeBid needs:
+   * auction state, increment schedules, the current leader and their proxy
+   * ceiling, and the soft-close flags. Every path that changes a piece's bids
+   * takes this lock first, so they serialize per artwork.
+   * @private
+   */
+  async _lockArtworkForBidding(client, artworkId) {
+    const artworkResult = await client.query(
+      `SELECT a.*, au.auction_status, au.ends_at, au.id as auction_id,
+              au.bid_increment_schedule AS auction_bid_increments,
+              au.require_approval_for_bids, au.visibility AS auction_visibility,
+              (SELECT MAX(bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE') as current_bid,
+              (SELECT id FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC LIMIT 1) as current_bid_id,
+              (SELECT placed_by_user_id FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC LIMIT 1) as current_bidder_id,
+              (SELECT COALESCE(auto_bid_max_amount, bid_amount) FROM bids WHERE artwork_id = a.id AND bid_status = 'ACTIVE' ORDER BY bid_amount DESC LIMIT 1) as current_bidder_max,
+              au.auto_extend_minutes, au.soft_close_scope,
+              COALESCE(a.closes_at, au.ends_at) <= NOW() AS auction_ended,
+              (au.auto_extend_minutes > 0
+               AND COALESCE(a.closes_at, au.ends_at) <= NOW() + make_interval(mins => au.auto_extend_minutes)) AS in_soft_close
+       FROM artwork a
+       JOIN auctions au ON a.auction_id = au.id
+       WHERE a.id = $1 FOR UPDATE`,
+      [artworkId]
+    );
+
+    if (artworkResult.rows.length === 0) {
+      throw new Error('Artwork not found');
+    }
+
+    return artworkResult.rows[0];
+  }
+
+  /**
+   * Invite-only auctions take bids from their guest list only. A paper bid
+   * keyed in by a clerk is exempt: staff let that bidder in at the door.
+   * @private
+   */
+  async _assertInvited(artwork, userId, context) {
+    if (artwork.auction_visibility !== 'INVITED_ONLY' || context.enteredByUserId) {
+      return;
+    }
+    if (!await auctionInviteService.canAccess(artwork.auction_id, userId)) {
+      throw new Error('You have not been invited to this auction');
+    }
+  }
+
+  /**
+   * Hold a bid for organizer review. It doesn't touch the current leader,
+   * the soft close, or anyone's outbid email until it is approved.
+   * @private
+   */
+  async _queueForApproval(client, artworkId, artwork, userId, bidAmount, context) {
+    const bidResult = await client.query(
+      `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                         is_auto_bid, ip_address, user_agent, session_jti, entered_by_user_id)
+       VALUES ($1, $2, $3, $4, 'PENDING', NOW(), false, $5, $6, $7, $8)
+       RETURNING id, bid_amount, placed_at`,
+      [artwork.auction_id, artworkId, userId, bidAmount,
+        context.ipAddress || null, context.userAgent || null, context.sessionJti || null, context.enteredByUserId || null]
+    );
+    const bid = bidResult.rows[0];
+
+    await client.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id,
+                               ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      ['BID', 'bid_pending_approval', 'artwork', artworkId,
+        JSON.stringify({ bid_id: bid.id, amount: bidAmount, ...entryDetails(context) }), userId,
+        context.ipAddress || null, context.userAgent || null]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      success: true,
+      bidId: bid.id,
+      artworkId,
+      bidAmount,
+      pending: true,
+      isWinning: false,
+      leaderChanged: false,
+      extension: null,
+      timestamp: bid.placed_at,
+      message: 'Bid received and awaiting organizer approval'
+    };
+  }
+
+  /**
+   * Look up a PENDING bid and lock its artwork. The status is re-read after
+   * the lock so two admins reviewing the same bid can't both act on it.
+   * @private
+   * @returns {Object} { bid, artwork }
+   */
+  async _lockPendingBid(client, bidId) {
+    const lookup = await client.query('SELECT artwork_id FROM bids WHERE id = $1', [bidId]);
+    if (lookup.rows.length === 0) {
+      throw new Error('BID_NOT_FOUND');
+    }
+
+    const artwork = await this._lockArtworkForBidding(client, lookup.rows[0].artwork_id);
+
+    const bidResult = await client.query(
+      `SELECT id, placed_by_user_id, bid_amount FROM bids
+       WHERE id = $1 AND bid_status = 'PENDING'`,
+      [bidId]
+    );
+    if (bidResult.rows.length === 0) {
+      throw new Error('BID_NOT_PENDING');
+    }
+
+    return { bid: bidResult.rows[0], artwork };
+  }
+
+  /**
+   * Record a challenger's bid that an existing proxy out-reaches. The
+   * challenger is carried to their own ceiling and the leader's proxy answers
+   * one increment above it (capped at the leader's maximum). The lead does
+   * not change hands, so no outbid email is sent.
+   * @private
+   */
+  async _defendWithProxy(client, artworkId, artwork, { userId, bidAmount, maxAmount, ceiling, leaderId, leaderMax, schedule, context }) {
+    let proxyAmount = Math.min(leaderMax, ceiling + incrementFor(schedule, ceiling));
+    const reserve = artwork.reserve_bid_amount ? parseFloat(artwork.reserve_bid_amount) : 0;
+    if (reserve && proxyAmount < reserve && leaderMax >= reserve) {
+      proxyAmount = reserve;
+    }
+
+    await client.query(
+      'UPDATE bids SET bid_status = \'OUTBID\' WHERE id = $1',
+      [artwork.current_bid_id]
+    );
+
+    const challengerResult = await client.query(
+      `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                         is_auto_bid, auto_bid_max_amount, ip_address, user_agent, session_jti, entered_by_user_id)
+       VALUES ($1, $2, $3, $4, 'OUTBID', NOW(), $5, $6, $7, $8, $9, $10)
+       RETURNING id, bid_amount, placed_at`,
+      [artwork.auction_id, artworkId, userId, ceiling, maxAmount !== null && maxAmount > bidAmount, maxAmount !== null ? ceiling : null,
+        context.ipAddress || null, context.userAgent || null, context.sessionJti || null, context.enteredByUserId || null]
+    );
+    const challengerBid = challengerResult.rows[0];
+
+    // The answering auto-bid is system-placed, so it carries no client context
+    const proxyResult = await client.query(
+      `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                         is_auto_bid, auto_bid_max_amount)
+       VALUES ($1, $2, $3, $4, 'ACTIVE', NOW(), true, $5)
+       RETURNING id`,
+      [artwork.auction_id, artworkId, leaderId, proxyAmount, leaderMax]
+    );
+
+    await client.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id,
+                               ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $10, $11), ($1, $7, $3, $4, $8, $9, NULL, NULL)`,
+      [
+        'BID', 'bid_placed', 'artwork', artworkId,
+        JSON.stringify({
+          bid_id: challengerBid.id, amount: ceiling, outbid_by_proxy: true, ...entryDetails(context)
+        }), userId,
+        'auto_bid_placed',
+        JSON.stringify({ bid_id: proxyResult.rows[0].id, amount: proxyAmount, max_amount: leaderMax }), leaderId,
+        context.ipAddress || null, context.userAgent || null
+      ]
+    );
+
+    const extension = await this._applySoftClose(client, artworkId, artwork, challengerBid.id);
+
+    await client.query('COMMIT');
+
+    return {
+      success: true,
+      bidId: challengerBid.id,
+      artworkId,
+      bidAmount: ceiling,
+      isWinning: false,
+      leaderChanged: false,
+      extension,
+      currentBid: proxyAmount,
+      timestamp: challengerBid.placed_at,
+      message: `Another bidder's maximum bid is higher. Current bid is now $${proxyAmount.toFixed(2)}`
+    };
+  }
+
+  /**
+   * Soft close (anti-sniping): a bid landing within `auto_extend_minutes` of
+   * the close pushes the close out to that many minutes after the bid. With
+   * `soft_close_scope = 'AUCTION'` the whole auction moves; with 'ARTWORK'
+   * only this lot does. Runs inside placeBid's transaction, after the bid row
+   * is written, so the extension commits or rolls back with the bid.
+   *
+   * auctions.ends_at always stays the latest close of any lot, so the
+   * scheduler (which sweeps on ends_at) never finalizes an auction while an
+   * extended lot is still open.
+   * @private
+   * @returns {Object|null} { scope, auctionId, artworkId, endTime, auctionEndTime } or null
+   */
+  async _applySoftClose(client, artworkId, artwork, bidId) {
+    if (!artwork.in_soft_close) { return null; }
+
+    const minutes = parseInt(artwork.auto_extend_minutes, 10);
+    const scope = artwork.soft_close_scope === 'ARTWORK' ? 'ARTWORK' : 'AUCTION';
+    let endTime;
+    let auctionEndTime;
+
+    if (scope === 'ARTWORK') {
+      // Pin every other lot that was following the auction close to the
+      // current close, so moving ends_at below doesn't extend them too.
+      await client.query(
+        `UPDATE artwork SET closes_at = $2
+          WHERE auction_id = $1 AND closes_at IS NULL AND id <> $3
+            AND NOW() + make_interval(mins => $4) > $2`,
+        [artwork.auction_id, artwork.ends_at, artworkId, minutes]
+      );
+      const lot = await client.query(
+        `UPDATE artwork SET closes_at = GREATEST(COALESCE(closes_at, $2), NOW() + make_interval(mins => $3))
+          WHERE id = $1
+          RETURNING closes_at`,
+        [artworkId, artwork.ends_at, minutes]
+      );
+      endTime = lot.rows[0].closes_at;
+      const auctionResult = await client.query(
+        `UPDATE auctions SET ends_at = GREATEST(ends_at, $2), updated_at = NOW()
+          WHERE id = $1
+          RETURNING ends_at`,
+        [artwork.auction_id, endTime]
+      );
+      auctionEndTime = auctionResult.rows[0].ends_at;
+    } else {
+      const auctionResult = await client.query(
+        `UPDATE auctions SET ends_at = GREATEST(ends_at, NOW() + make_interval(mins => $2)), updated_at = NOW()
+          WHERE id = $1
+          RETURNING ends_at`,
+        [artwork.auction_id, minutes]
+      );
+      endTime = auctionResult.rows[0].ends_at;
+      auctionEndTime = endTime;
+      // Lots with their own close that are still open move with the auction
+      await client.query(
+        `UPDATE artwork SET closes_at = GREATEST(closes_at, $2)
+          WHERE auction_id = $1 AND closes_at IS NOT NULL AND closes_at > NOW()`,
+        [artwork.auction_id, endTime]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      ['AUCTION', 'auction_auto_extended', 'auction', artwork.auction_id, JSON.stringify({
+        scope,
+        artwork_id: artworkId,
+        bid_id: bidId,
+        extended_by_minutes: minutes,
+        new_end_time: endTime
+      })]
+    );
+
+    return {
+      scope,
+      auctionId: artwork.auction_id,
+      artworkId: scope === 'ARTWORK' ? artworkId : null,
+      endTime,
+      auctionEndTime
+    };
+  }
+
+  /**
+   * Raise the secret maximum on the caller's own leading bid. The visible
+   * price only moves when the new maximum reaches an unmet reserve: the
+   * proxy then answers at the reserve, the same lift placeBid applies.
+   * @private
+   */
+  async _raiseOwnMaximum(client, artworkId, artwork, userId, maxAmount, currentMax, context) {
+    if (maxAmount <= currentMax) {
+      throw new Error(`New maximum must be higher than your current maximum of $${currentMax.toFixed(2)}`);
+    }
+
+    const currentBid = parseFloat(artwork.current_bid);
+    const reserve = artwork.reserve_bid_amount ? parseFloat(artwork.reserve_bid_amount) : 0;
+    const liftToReserve = reserve && currentBid < reserve && maxAmount >= reserve;
+    let bidId = artwork.current_bid_id;
+    let extension = null;
+
+    if (liftToReserve) {
+      await client.query(
+        'UPDATE bids SET bid_status = \'OUTBID\' WHERE id = $1',
+        [artwork.current_bid_id]
+      );
+      // System-placed on the leader's behalf, like a defending proxy bid
+      const liftResult = await client.query(
+        `INSERT INTO bids (auction_id, artwork_id, placed_by_user_id, bid_amount, bid_status, placed_at,
+                           is_auto_bid, auto_bid_max_amount)
+         VALUES ($1, $2, $3, $4, 'ACTIVE', NOW(), $5, $6)
+         RETURNING id`,
+        [artwork.auction_id, artworkId, userId, reserve, maxAmount > reserve, maxAmount > reserve ? maxAmount : null]
+      );
+      bidId = liftResult.rows[0].id;
+    } else {
+      await client.query(
+        'UPDATE bids SET is_auto_bid = true, auto_bid_max_amount = $1 WHERE id = $2',
+        [maxAmount, artwork.current_bid_id]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id,
+                               ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      ['BID', 'bid_max_raised', 'artwork', artworkId, JSON.stringify({
+        bid_id: bidId, max_amount: maxAmount, ...(liftToReserve && { amount: reserve }), ...entryDetails(context)
+      }), userId, context.ipAddress || null, context.userAgent || null]
+    );
+
+    if (liftToReserve) {
+      extension = await this._applySoftClose(client, artworkId, artwork, bidId);
+    }
+
+    await client.query('COMMIT');
+
+    const bidAmount = liftToReserve ? reserve : currentBid;
+    if (liftToReserve) {
+      setImmediate(() => {
+        watchlistService.alertNewBid(artworkId, { amount: bidAmount, excludeUserIds: [userId] });
+      });
+    }
+
+    return {
+      success: true,
+      bidId,
+      artworkId,
+      bidAmount,
+      maxAmount,
+      isWinning: true,
+      leaderChanged: false,
+      extension,
+      message: liftToReserve
+        ? `Maximum bid raised to $${maxAmount.toFixed(2)}. Current bid is now $${bidAmount.toFixed(2)}`
+        : `Maximum bid raised to $${maxAmount.toFixed(2)}`
+    };
+  }
+
+  /**
+   * Validate a proxy bid ceiling
+   * @private
+   */
+  _validateMaxAmount(bidAmount, maxAmount) {
+    if (typeof maxAmount !== 'number' || !Number.isFinite(maxAmount) || maxAmount <= 0) {
+      throw new Error('Invalid maximum bid amount');
+    }
+
+    if (maxAmount < bidAmount) {
+      throw new Error('Maximum bid cannot be lower than the bid amount');
+    }
+
+    if (maxAmount > 999999999) {
+      throw new Error('Maximum bid exceeds maximum allowed');
+    }
+  }
+
   /**
    * Validate bid inputs
    * @private
@@ -0,0 +1,271 @@
+/**
+ * Catalog Service
+ * Printable PDFs for an auction: the event catalog (cover with the charity
+ * beneficiary, then one page per piece) and paper bid sheets (one per piece,
+ * with a QR code to bid online and numbered rows for paddle bids).
+ * Artist names go through piiUtils.publicArtistName — student surnames are
+ * never printed.
+ */
+
+const PDFDocument = require('pdfkit');
+const { pool } = require('../models/index');
+const auctionService = require('./auctionService');
+const { publicArtistName } = require('../utils/piiUtils');
+const { resolveIncrementSchedule, incrementFor } = require('../utils/bidIncrements');
+
+/** Pieces that belong in print: approved, or already decided */
+const PRINTABLE_STATUSES = ['APPROVED', 'SOLD', 'UNSOLD'];
+
+/** Write-in rows on each bid sheet */
+const BID_SHEET_ROWS = 15;
+
+/**
+ * Only inline PNG/JPEG data URLs are embedded. Anything else (a remote URL, a
+ * path) is skipped: PDFKit would read a plain string as a local file path.
+ */
+const IMAGE_DATA_URL = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=\s]+)$/;
+
+function money(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+function dimensions(piece) {
+  const sides = [piece.dimensions_width_cm, piece.dimensions_height_cm, piece.dimensions_depth_cm]
+    .filter((d) => d !== null && d !== undefined)
+    .map((d) => Number(d));
+  return sides.length >= 2 ? `${sides.join(' × ')} cm` : null;
+}
+
+function longDate(value) {
+  return new Date(value).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+}
+
+class CatalogService {
+  /**
+   * Auction and its printable pieces, in catalog (lot) order.
+   * @param {string} auctionId
+   * @returns {Object} { auction, pieces }
+   */
+  async loadAuction(auctionId) {
+    const auctionResult = await pool.query(
+      `SELECT a.id, a.title, a.description, a.school_id, a.starts_at, a.ends_at,
+              a.charity_beneficiary_name, a.charity_website_url, a.bid_increment_schedule,
+              s.name AS school_name
+       FROM auctions a
+       LEFT JOIN schools s ON s.id = a.school_id
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [auctionId]
+    );
+    if (auctionResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+
+    const piecesResult = await pool.query(
+      `SELECT id, title, description, artist_name, medium,
+              dimensions_width_cm, dimensions_height_cm, dimensions_depth_cm,
+              starting_bid_amount, bid_increment_schedule, image_url
+       FROM artwork
+       WHERE auction_id = $1 AND deleted_at IS NULL AND artwork_status = ANY($2)
+       ORDER BY created_at ASC`,
+      [auctionId, PRINTABLE_STATUSES]
+    );
+
+    return { auction: auctionResult.rows[0], pieces: piecesResult.rows };
+  }
+
+  /**
+   * Paginated catalog: cover page, then one page per piece.
+   * @param {Object} data - from loadAuction
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderCatalog({ auction, pieces }) {
+    const doc = this._newDocument(`${auction.title} — Catalog`);
+
+    // Cover
+    doc.moveDown(6);
+    if (auction.school_name) {
+      doc.font('Helvetica').fontSize(14).text(auction.school_name, { align: 'center' });
+      doc.moveDown(0.5);
+    }
+    doc.font('Helvetica-Bold').fontSize(30).text(auction.title, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(12)
+      .text(`${longDate(auction.starts_at)} – ${longDate(auction.ends_at)}`, { align: 'center' });
+    if (auction.charity_beneficiary_name) {
+      doc.moveDown(3);
+      doc.fontSize(12).text('Proceeds benefit', { align: 'center' });
+      doc.font('Helvetica-Bold').fontSize(18).text(auction.charity_beneficiary_name, { align: 'center' });
+      if (auction.charity_website_url) {
+        doc.font('Helvetica').fontSize(11).text(auction.charity_website_url, { align: 'center' });
+      }
+    }
+    if (auction.description) {
+      doc.moveDown(3);
+      doc.font('Helvetica').fontSize(11).text(auction.description, { align: 'center' });
+    }
+    doc.moveDown(3);
+    doc.fontSize(11).text(`${pieces.length} ${pieces.length === 1 ? 'piece' : 'pieces'}`, { align: 'center' });
+
+    // One piece per page
+    pieces.forEach((piece, i) => {
+      doc.addPage();
+      const top = doc.y;
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const imageHeight = 360;
+      if (this._embedImage(doc, piece.image_url, doc.page.margins.left, top, width, imageHeight)) {
+        doc.y = top + imageHeight + 18;
+      }
+
+      doc.font('Helvetica').fontSize(10).fillColor('#666666').text(`Lot ${i + 1}`);
+      doc.fillColor('#000000');
+      doc.font('Helvetica-Bold').fontSize(20).text(piece.title);
+      doc.font('Helvetica').fontSize(13).text(publicArtistName(piece.artist_name));
+      doc.moveDown(0.75);
+      doc.fontSize(11);
+      if (piece.medium) { doc.text(`Medium: ${piece.medium}`); }
+      const size = dimensions(piece);
+      if (size) { doc.text(`Dimensions: ${size}`); }
+      doc.text(`Starting bid: ${money(piece.starting_bid_amount)}`);
+      if (piece.description) {
+        doc.moveDown(0.75);
+        doc.text(piece.description);
+      }
+    });
+
+    return this._finish(doc, auction.title);
+  }
+
+  /**
+   * One bid sheet per piece: details, QR code to the piece's bidding page,
+   * and numbered rows for paddle number and amount.
+   * @param {Object} data - from loadAuction
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderBidSheets({ auction, pieces }) {
+    const doc = this._newDocument(`${auction.title} — Bid Sheets`);
+    const qrCodes = await Promise.all(
+      pieces.map((piece) => auctionService._generateQRCode(auction.id, piece.id))
+    );
+
+    pieces.forEach((piece, i) => {
+      if (i > 0) { doc.addPage(); }
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+      const qrSize = 110;
+      const textWidth = right - left - qrSize - 18;
+
+      doc.font('Helvetica').fontSize(10).fillColor('#666666')
+        .text(`${auction.title} · Lot ${i + 1}`, left, doc.page.margins.top, { width: textWidth });
+      doc.fillColor('#000000');
+      doc.font('Helvetica-Bold').fontSize(20).text(piece.title, { width: textWidth });
+      doc.font('Helvetica').fontSize(13).text(publicArtistName(piece.artist_name), { width: textWidth });
+      doc.moveDown(0.5);
+      doc.fontSize(11);
+      const details = [piece.medium, dimensions(piece)].filter(Boolean).join(' · ');
+      if (details) { doc.text(details, { width: textWidth }); }
+
+      const schedule = resolveIncrementSchedule(piece.bid_increment_schedule, auction.bid_increment_schedule);
+      const starting = Number(piece.starting_bid_amount);
+      doc.font('Helvetica-Bold').text(`Starting bid: ${money(starting)}`, { width: textWidth });
+      doc.font('Helvetica')
+        .text(`Each bid must be at least ${money(incrementFor(schedule, starting))} more than the one above it.`, { width: textWidth });
+
+      if (qrCodes[i]) {
+        doc.image(qrCodes[i], right - qrSize, doc.page.margins.top, { width: qrSize });
+        doc.fontSize(8).text('Scan to bid online', right - qrSize, doc.page.margins.top + qrSize + 2,
+          { width: qrSize, align: 'center' });
+      }
+
+      this._bidRows(doc, left, Math.max(doc.y, doc.page.margins.top + qrSize + 16) + 20, right - left);
+    });
+
+    if (pieces.length === 0) {
+      doc.font('Helvetica').fontSize(12).text('This auction has no approved pieces yet.');
+    }
+
+    return this._finish(doc, auction.title);
+  }
+
+  /**
+   * Ruled table: # | Paddle # | Bid amount
+   * @private
+   */
+  _bidRows(doc, left, top, width) {
+    const rowHeight = 28;
+    const cols = [left, left + 40, left + 40 + (width - 40) / 2, left + width];
+    const bottom = top + rowHeight * (BID_SHEET_ROWS + 1);
+
+    doc.font('Helvetica-Bold').fontSize(11);
+    doc.text('#', cols[0] + 6, top + 9);
+    doc.text('Paddle #', cols[1] + 6, top + 9);
+    doc.text('Bid amount', cols[2] + 6, top + 9);
+    doc.font('Helvetica').fontSize(10);
+    for (let row = 1; row <= BID_SHEET_ROWS; row++) {
+      doc.text(String(row), cols[0] + 6, top + row * rowHeight + 9);
+    }
+
+    doc.lineWidth(0.75);
+    for (let row = 0; row <= BID_SHEET_ROWS + 1; row++) {
+      doc.moveTo(left, top + row * rowHeight).lineTo(left + width, top + row * rowHeight);
+    }
+    for (const x of cols) {
+      doc.moveTo(x, top).lineTo(x, bottom);
+    }
+    doc.stroke();
+  }
+
+  /**
+   * Draw an artwork image if it is an inline PNG/JPEG.
+   * @returns {boolean} whether an image was drawn
+   * @private
+   */
+  _embedImage(doc, imageUrl, x, y, width, height) {
+    const match = IMAGE_DATA_URL.exec(imageUrl || '');
+    if (!match) { return false; }
+    try {
+      doc.image(Buffer.from(match[2], 'base64'), x, y, { fit: [width, height], align: 'center', valign: 'center' });
+      return true;
+    } catch (error) {
+      // Corrupt upload — print the page without it rather than fail the whole catalog
+      console.warn('[catalog] skipped unreadable artwork image:', error.message);
+      return false;
+    }
+  }
+
+  /** @private */
+  _newDocument(title) {
+    return new PDFDocument({
+      size: 'LETTER',
+      margin: 54,
+      bufferPages: true,
+      info: { Title: title, Creator: 'Silent Auction Gallery' }
+    });
+  }
+
+  /**
+   * Stamp page numbers, close the document and collect its bytes.
+   * @private
+   */
+  _finish(doc, footer) {
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;  // writing in the margin must not trigger a page break
+      doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text(`${footer} · Page ${i + 1} of ${count}`, doc.page.margins.left, doc.page.height - 36,
+          { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: 'center' });
+      doc.page.margins.bottom = bottomMargin;
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+}
+
+module.exports = new CatalogService();
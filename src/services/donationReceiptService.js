@@ -0,0 +1,506 @@
+/**
+ * Donation Receipt Service
+ * Tax receipts for charity auctions (auctions with a charity beneficiary).
+ * Every completed payment — an online transaction or an offline payment —
+ * gets one receipt; the deductible portion is what was paid over the fair
+ * market value of what the donor received:
+ *   - artwork: artwork.estimated_value (no estimate on file means nothing
+ *     can be claimed, so the whole price counts as value received)
+ *   - Fund-a-Need pledges: nothing is received, the whole pledge is deductible
+ * Only the hammer amount counts; the platform fee goes to the platform, not
+ * the charity. The issuing school's tax ID and signatory are read when a
+ * receipt is rendered, so re-issuing picks up corrected settings.
+ */
+
+const PDFDocument = require('pdfkit');
+const { pool } = require('../models/index');
+const { getSharedEmailProvider, notifyDonationReceipt } = require('./notificationService');
+
+/**
+ * Completed payments in charity auctions, shaped like a receipt. Callers
+ * filter the outer query (src.auction_id, src.donor_user_id, ...).
+ */
+const RECEIPT_SOURCES_SQL = `
+  SELECT t.id AS transaction_id, NULL::uuid AS offline_payment_id,
+         t.buyer_user_id AS donor_user_id, t.auction_id,
+         COALESCE(aw.school_id, a.school_id) AS school_id,
+         COALESCE(aw.title, fi.title) AS description,
+         t.hammer_amount AS amount_paid,
+         CASE WHEN t.pledge_id IS NOT NULL THEN 0
+              ELSE LEAST(COALESCE(aw.estimated_value, t.hammer_amount), t.hammer_amount) END AS fair_market_value,
+         t.created_at AS paid_at
+  FROM transactions t
+  JOIN auctions a ON a.id = t.auction_id
+  LEFT JOIN artwork aw ON aw.id = t.artwork_id
+  LEFT JOIN fund_a_need_pledges fp ON fp.id = t.pledge_id
+  LEFT JOIN fund_a_need_items fi ON fi.id = fp.item_id
+  WHERE t.transaction_type = 'SALE' AND t.transaction_status = 'COMPLETED'
+    AND a.charity_beneficiary_name IS NOT NULL
+  UNION ALL
+  SELECT NULL::uuid, op.id, op.buyer_user_id, op.auction_id,
+         COALESCE(aw.school_id, a.school_id), aw.title, op.amount,
+         LEAST(COALESCE(aw.estimated_value, op.amount), op.amount),
+         op.received_at
+  FROM offline_payments op
+  JOIN auctions a ON a.id = op.auction_id
+  JOIN artwork aw ON aw.id = op.artwork_id
+  WHERE a.charity_beneficiary_name IS NOT NULL`;
+
+/** A receipt stops counting once its online payment is refunded */
+const RECEIPT_VALID_SQL = `(r.transaction_id IS NULL OR EXISTS (
+  SELECT 1 FROM transactions t WHERE t.id = r.transaction_id AND t.transaction_status = 'COMPLETED'))`;
+
+const RECEIPT_SELECT_SQL = `
+  SELECT r.*, a.title AS auction_title, a.charity_beneficiary_name,
+         s.name AS school_name, s.address_line1, s.address_line2, s.city, s.state_province, s.postal_code,
+         s.tax_id, s.receipt_signatory_name, s.receipt_signatory_title,
+         u.first_name AS donor_first_name, u.last_name AS donor_last_name, u.email AS donor_email
+  FROM donation_receipts r
+  JOIN auctions a ON a.id = r.auction_id
+  JOIN schools s ON s.id = r.school_id
+  JOIN users u ON u.id = r.donor_user_id`;
+
+function money(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' }[c]));
+}
+
+function longDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { dateStyle: 'long' });
+}
+
+/**
+ * Receipt numbers print as R-000042
+ * @param {string|number} receiptNumber
+ * @returns {string}
+ */
+function formatReceiptNumber(receiptNumber) {
+  return `R-${String(receiptNumber).padStart(6, '0')}`;
+}
+
+class DonationReceiptService {
+  /**
+   * Issue receipts for a donor's completed payments in an auction that have
+   * none yet, and email them. Called after a payment goes through; safe to
+   * call again (a payment never gets two receipts).
+   * @param {string} auctionId
+   * @param {string} donorUserId
+   * @returns {Promise<string[]>} New receipt IDs
+   */
+  async issueForDonor(auctionId, donorUserId) {
+    const ids = await this._issueMissing('src.auction_id = $1 AND src.donor_user_id = $2', [auctionId, donorUserId]);
+    await this.emailReceipts(ids);
+    return ids;
+  }
+
+  /**
+   * Bulk re-issue: issue anything missing, refresh the amounts of existing
+   * receipts from the current fair market values, and email every receipt
+   * in scope again. At least one of auctionId / taxYear is required.
+   * @param {Object} scope
+   * @param {string} [scope.auctionId]
+   * @param {number} [scope.taxYear]
+   * @param {string} [scope.schoolId] - Limit to one issuing school (school admins)
+   * @returns {Promise<{ issued: number, reissued: number, receiptIds: string[] }>}
+   */
+  async reissue({ auctionId = null, taxYear = null, schoolId = null } = {}) {
+    if (!auctionId && !taxYear) {
+      throw new Error('REISSUE_SCOPE_REQUIRED');
+    }
+    const year = taxYear === null ? null : Number(taxYear);
+    if (year !== null && (!Number.isInteger(year) || year < 2000 || year > 2100)) {
+      throw new Error('INVALID_TAX_YEAR');
+    }
+
+    const params = [auctionId, year, schoolId];
+    const scope = `($1::uuid IS NULL OR %.auction_id = $1)
+      AND ($2::int IS NULL OR %.tax_year = $2)
+      AND ($3::uuid IS NULL OR %.school_id = $3)`;
+
+    const issued = await this._issueMissing(
+      scope.replaceAll('%.tax_year', 'EXTRACT(YEAR FROM src.paid_at)::int').replaceAll('%', 'src'),
+      params
+    );
+
+    const refreshed = await pool.query(
+      `UPDATE donation_receipts r
+       SET description = LEFT(src.description, 255),
+           fair_market_value = src.fair_market_value,
+           deductible_amount = GREATEST(src.amount_paid - src.fair_market_value, 0),
+           reissue_count = r.reissue_count + 1
+       FROM (${RECEIPT_SOURCES_SQL}) src
+       WHERE (r.transaction_id = src.transaction_id OR r.offline_payment_id = src.offline_payment_id)
+         AND NOT (r.id = ANY($4::uuid[]))
+         AND ${scope.replaceAll('%', 'r')}
+       RETURNING r.id`,
+      [...params, issued]
+    );
+
+    const receiptIds = [...issued, ...refreshed.rows.map(row => row.id)];
+    await this.emailReceipts(receiptIds);
+    return { issued: issued.length, reissued: refreshed.rows.length, receiptIds };
+  }
+
+  /**
+   * Email receipts to their donors, one at a time. A failed send is logged
+   * and skipped so one bad address does not hold up the rest.
+   * @param {string[]} receiptIds
+   * @returns {Promise<number>} How many were sent
+   */
+  async emailReceipts(receiptIds) {
+    if (receiptIds.length === 0) { return 0; }
+    const result = await pool.query(
+      `${RECEIPT_SELECT_SQL} WHERE r.id = ANY($1::uuid[]) ORDER BY r.receipt_number ASC`,
+      [receiptIds]
+    );
+    const emailProvider = getSharedEmailProvider();
+    const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+    let sent = 0;
+    for (const row of result.rows) {
+      const receipt = this._mapReceipt(row);
+      try {
+        await notifyDonationReceipt(emailProvider, pool, {
+          email: row.donor_email,
+          firstName: row.donor_first_name,
+          receipt,
+          receiptLink: `${baseUrl}/api/user/receipts/${encodeURIComponent(receipt.receiptId)}`,
+          pdfLink: `${baseUrl}/api/user/receipts/${encodeURIComponent(receipt.receiptId)}?format=pdf`
+        });
+        await pool.query('UPDATE donation_receipts SET emailed_at = NOW() WHERE id = $1', [row.id]);
+        sent++;
+      } catch (error) {
+        console.error('[receipts] emailing receipt %s failed: %s', receipt.receiptNumber, error.message);
+      }
+    }
+    return sent;
+  }
+
+  /**
+   * A donor's receipts, newest first.
+   * @param {string} donorUserId
+   * @returns {Promise<Object[]>}
+   */
+  async listForDonor(donorUserId) {
+    const result = await pool.query(
+      `${RECEIPT_SELECT_SQL}
+       WHERE r.donor_user_id = $1 AND ${RECEIPT_VALID_SQL}
+       ORDER BY r.paid_at DESC`,
+      [donorUserId]
+    );
+    return result.rows.map(row => this._mapReceipt(row));
+  }
+
+  /**
+   * One receipt, only to the donor it was issued to.
+   * @param {string} receiptId
+   * @param {string} donorUserId
+   * @returns {Promise<Object>}
+   */
+  async getReceipt(receiptId, donorUserId) {
+    const result = await pool.query(
+      `${RECEIPT_SELECT_SQL}
+       WHERE r.id = $1 AND r.donor_user_id = $2 AND ${RECEIPT_VALID_SQL}`,
+      [receiptId, donorUserId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('RECEIPT_NOT_FOUND');
+    }
+    return this._mapReceipt(result.rows[0]);
+  }
+
+  /**
+   * Year-end statement: every receipt a donor holds for one tax year, with
+   * totals. Receipts from several schools are listed together; each line
+   * names its issuing school.
+   * @param {string} donorUserId
+   * @param {number} taxYear
+   * @returns {Promise<Object>}
+   */
+  async getAnnualStatement(donorUserId, taxYear) {
+    const year = Number(taxYear);
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+      throw new Error('INVALID_TAX_YEAR');
+    }
+    const [donorResult, receiptsResult] = await Promise.all([
+      pool.query('SELECT first_name, last_name, email FROM users WHERE id = $1', [donorUserId]),
+      pool.query(
+        `${RECEIPT_SELECT_SQL}
+         WHERE r.donor_user_id = $1 AND r.tax_year = $2 AND ${RECEIPT_VALID_SQL}
+         ORDER BY r.paid_at ASC`,
+        [donorUserId, year]
+      )
+    ]);
+    const donor = donorResult.rows[0] || {};
+    const receipts = receiptsResult.rows.map(row => this._mapReceipt(row));
+    const cents = (key) => receipts.reduce((sum, r) => sum + Math.round(r[key] * 100), 0) / 100;
+    return {
+      taxYear: year,
+      donorName: `${donor.first_name || ''} ${donor.last_name || ''}`.trim(),
+      donorEmail: donor.email || null,
+      receipts,
+      amountPaid: cents('amountPaid'),
+      fairMarketValue: cents('fairMarketValue'),
+      deductibleAmount: cents('deductibleAmount')
+    };
+  }
+
+  /**
+   * Stand-alone HTML page for one receipt (printable from the browser).
+   * @param {Object} receipt - from getReceipt
+   * @returns {string}
+   */
+  renderReceiptHtml(receipt) {
+    return this._htmlPage(`Donation Receipt ${receipt.receiptNumber}`, `
+      ${this._issuerHtml(receipt)}
+      <h1>Donation Receipt</h1>
+      <p><strong>Receipt:</strong> ${escapeHtml(receipt.receiptNumber)}<br>
+         <strong>Date of contribution:</strong> ${escapeHtml(longDate(receipt.paidAt))}<br>
+         <strong>Donor:</strong> ${escapeHtml(receipt.donorName)}</p>
+      <p>Thank you for your contribution to <strong>${escapeHtml(receipt.beneficiary)}</strong>
+         through ${escapeHtml(receipt.auctionTitle)}.</p>
+      <table>
+        <tr><th>Item</th><td>${escapeHtml(receipt.description)}</td></tr>
+        <tr><th>Amount paid</th><td>${money(receipt.amountPaid)}</td></tr>
+        <tr><th>Fair market value of goods received</th><td>${money(receipt.fairMarketValue)}</td></tr>
+        <tr><th>Deductible contribution</th><td><strong>${money(receipt.deductibleAmount)}</strong></td></tr>
+      </table>
+      <p>${escapeHtml(this._valueStatement(receipt))}</p>
+      ${this._signatureHtml(receipt)}`);
+  }
+
+  /**
+   * Stand-alone HTML page for a year-end statement.
+   * @param {Object} statement - from getAnnualStatement
+   * @returns {string}
+   */
+  renderStatementHtml(statement) {
+    const rows = statement.receipts.map(r => `
+        <tr>
+          <td>${escapeHtml(r.receiptNumber)}</td>
+          <td>${escapeHtml(longDate(r.paidAt))}</td>
+          <td>${escapeHtml(r.description)}<br><small>${escapeHtml(r.beneficiary)} · ${escapeHtml(r.schoolName)}${r.taxId ? ` · Tax ID ${escapeHtml(r.taxId)}` : ''}</small></td>
+          <td>${money(r.amountPaid)}</td>
+          <td>${money(r.fairMarketValue)}</td>
+          <td>${money(r.deductibleAmount)}</td>
+        </tr>`).join('');
+    return this._htmlPage(`${statement.taxYear} Donation Statement`, `
+      <h1>${statement.taxYear} Donation Statement</h1>
+      <p><strong>Donor:</strong> ${escapeHtml(statement.donorName)}</p>
+      ${statement.receipts.length === 0
+    ? `<p>No donations were receipted for ${statement.taxYear}.</p>`
+    : `<table>
+        <tr><th>Receipt</th><th>Date</th><th>Item</th><th>Paid</th><th>Fair market value</th><th>Deductible</th></tr>
+        ${rows}
+        <tr><th colspan="3">Total</th><th>${money(statement.amountPaid)}</th><th>${money(statement.fairMarketValue)}</th><th>${money(statement.deductibleAmount)}</th></tr>
+      </table>
+      <p>Each contribution is described in its own receipt. Keep this statement with your tax records.</p>`}`);
+  }
+
+  /**
+   * One-page PDF receipt.
+   * @param {Object} receipt - from getReceipt
+   * @returns {Promise<Buffer>}
+   */
+  async renderReceiptPdf(receipt) {
+    const doc = this._newDocument(`Donation Receipt ${receipt.receiptNumber}`);
+    this._issuerPdf(doc, receipt);
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(20).text('Donation Receipt');
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(11)
+      .text(`Receipt: ${receipt.receiptNumber}`)
+      .text(`Date of contribution: ${longDate(receipt.paidAt)}`)
+      .text(`Donor: ${receipt.donorName}`);
+    doc.moveDown();
+    doc.text(`Thank you for your contribution to ${receipt.beneficiary} through ${receipt.auctionTitle}.`);
+    doc.moveDown();
+    for (const [label, value] of [
+      ['Item', receipt.description],
+      ['Amount paid', money(receipt.amountPaid)],
+      ['Fair market value of goods received', money(receipt.fairMarketValue)],
+      ['Deductible contribution', money(receipt.deductibleAmount)]
+    ]) {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+    }
+    doc.moveDown();
+    doc.text(this._valueStatement(receipt));
+    this._signaturePdf(doc, receipt);
+    return this._finish(doc);
+  }
+
+  /**
+   * PDF year-end statement.
+   * @param {Object} statement - from getAnnualStatement
+   * @returns {Promise<Buffer>}
+   */
+  async renderStatementPdf(statement) {
+    const doc = this._newDocument(`${statement.taxYear} Donation Statement`);
+    doc.font('Helvetica-Bold').fontSize(20).text(`${statement.taxYear} Donation Statement`);
+    doc.font('Helvetica').fontSize(11).text(`Donor: ${statement.donorName}`);
+    doc.moveDown();
+    if (statement.receipts.length === 0) {
+      doc.text(`No donations were receipted for ${statement.taxYear}.`);
+      return this._finish(doc);
+    }
+    for (const r of statement.receipts) {
+      doc.font('Helvetica-Bold').text(`${r.receiptNumber} · ${longDate(r.paidAt)} · ${r.description}`);
+      doc.font('Helvetica').fontSize(10)
+        .text(`${r.beneficiary} · ${r.schoolName}${r.taxId ? ` · Tax ID ${r.taxId}` : ''}`)
+        .text(`Paid ${money(r.amountPaid)} · Fair market value ${money(r.fairMarketValue)} · Deductible ${money(r.deductibleAmount)}`);
+      doc.fontSize(11).moveDown(0.5);
+    }
+    doc.moveDown();
+    doc.font('Helvetica-Bold')
+      .text(`Total paid ${money(statement.amountPaid)} · Fair market value ${money(statement.fairMarketValue)} · Deductible ${money(statement.deductibleAmount)}`);
+    doc.font('Helvetica').moveDown()
+      .text('Each contribution is described in its own receipt. Keep this statement with your tax records.');
+    return this._finish(doc);
+  }
+
+  /**
+   * Insert a receipt for every source matching `where` that has none.
+   * @returns {Promise<string[]>} New receipt IDs
+   * @private
+   */
+  async _issueMissing(where, params) {
+    const result = await pool.query(
+      `INSERT INTO donation_receipts
+         (school_id, auction_id, donor_user_id, transaction_id, offline_payment_id, description,
+          amount_paid, fair_market_value, deductible_amount, tax_year, paid_at)
+       SELECT src.school_id, src.auction_id, src.donor_user_id, src.transaction_id, src.offline_payment_id,
+              LEFT(src.description, 255), src.amount_paid, src.fair_market_value,
+              GREATEST(src.amount_paid - src.fair_market_value, 0), EXTRACT(YEAR FROM src.paid_at)::int, src.paid_at
+       FROM (${RECEIPT_SOURCES_SQL}) src
+       WHERE ${where}
+       ON CONFLICT DO NOTHING
+       RETURNING id`,
+      params
+    );
+    return result.rows.map(row => row.id);
+  }
+
+  /**
+   * Goods-or-services disclosure printed on every receipt.
+   * @private
+   */
+  _valueStatement(receipt) {
+    if (receipt.fairMarketValue === 0) {
+      return 'No goods or services were provided in exchange for this contribution.';
+    }
+    if (receipt.deductibleAmount === 0) {
+      return 'The goods received are valued at the full amount paid, so no part of this payment is deductible.';
+    }
+    return `In exchange for this contribution you received goods with an estimated fair market value of ${money(receipt.fairMarketValue)}. `
+      + `The amount of your contribution that is deductible is limited to the excess of the amount paid over that value, ${money(receipt.deductibleAmount)}.`;
+  }
+
+  /** @private */
+  _issuerLines(receipt) {
+    const cityLine = [receipt.city, receipt.stateProvince].filter(Boolean).join(', ')
+      + (receipt.postalCode ? ` ${receipt.postalCode}` : '');
+    return [receipt.addressLine1, receipt.addressLine2, cityLine.trim(),
+      receipt.taxId ? `Tax ID: ${receipt.taxId}` : null].filter(Boolean);
+  }
+
+  /** @private */
+  _issuerHtml(receipt) {
+    return `<header><strong>${escapeHtml(receipt.schoolName)}</strong><br>
+      ${this._issuerLines(receipt).map(escapeHtml).join('<br>')}</header>`;
+  }
+
+  /** @private */
+  _issuerPdf(doc, receipt) {
+    doc.font('Helvetica-Bold').fontSize(14).text(receipt.schoolName);
+    doc.font('Helvetica').fontSize(10);
+    for (const line of this._issuerLines(receipt)) { doc.text(line); }
+  }
+
+  /** @private */
+  _signatureHtml(receipt) {
+    if (!receipt.signatoryName) { return ''; }
+    return `<p class="signature">${escapeHtml(receipt.signatoryName)}<br>
+      ${escapeHtml(receipt.signatoryTitle || '')}<br>${escapeHtml(receipt.schoolName)}</p>`;
+  }
+
+  /** @private */
+  _signaturePdf(doc, receipt) {
+    if (!receipt.signatoryName) { return; }
+    doc.moveDown(3);
+    doc.font('Helvetica-Oblique').fontSize(14).text(receipt.signatoryName);
+    doc.font('Helvetica').fontSize(10);
+    if (receipt.signatoryTitle) { doc.text(receipt.signatoryTitle); }
+    doc.text(receipt.schoolName);
+  }
+
+  /** @private */
+  _htmlPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 720px; margin: 2rem auto; color: #222; line-height: 1.5; }
+    table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+    th, td { border-bottom: 1px solid #ccc; padding: 0.4rem; text-align: left; vertical-align: top; }
+    .signature { margin-top: 3rem; font-style: italic; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+
+  /** @private */
+  _newDocument(title) {
+    return new PDFDocument({ size: 'LETTER', margin: 54, info: { Title: title, Creator: 'Silent Auction Gallery' } });
+  }
+
+  /** @private */
+  _finish(doc) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+
+  /** @private */
+  _mapReceipt(row) {
+    return {
+      receiptId: row.id,
+      receiptNumber: formatReceiptNumber(row.receipt_number),
+      auctionId: row.auction_id,
+      auctionTitle: row.auction_title,
+      beneficiary: row.charity_beneficiary_name,
+      description: row.description,
+      amountPaid: parseFloat(row.amount_paid),
+      fairMarketValue: parseFloat(row.fair_market_value),
+      deductibleAmount: parseFloat(row.deductible_amount),
+      taxYear: row.tax_year,
+      paidAt: row.paid_at,
+      issuedAt: row.issued_at,
+      emailedAt: row.emailed_at,
+      donorName: `${row.donor_first_name || ''} ${row.donor_last_name || ''}`.trim(),
+      schoolName: row.school_name,
+      addressLine1: row.address_line1,
+      addressLine2: row.address_line2,
+      city: row.city,
+      stateProvince: row.state_province,
+      postalCode: row.postal_code,
+      taxId: row.tax_id,
+      signatoryName: row.receipt_signatory_name,
+      signatoryTitle: row.receipt_signatory_title
+    };
+  }
+}
+
+module.exports = new DonationReceiptService();
+module.exports.formatReceiptNumber = formatReceiptNumber;
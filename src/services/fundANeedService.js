@@ -0,0 +1,279 @@
+/**
+ * Fund-a-Need Service
+ * Donation-style "raise your paddle" items inside an auction. An item has
+ * fixed giving levels ("$500, $250, $100, $50 for art supplies") and takes
+ * any number of pledges, from the same donor too. Bidders pledge from the
+ * auction page; at a live event clerks key in raised paddles
+ * (paddleService.placeClerkPledge). Each pledge is then paid through the
+ * normal payment flow (transactions.pledge_id) and is reported apart from
+ * artwork sales.
+ */
+
+const { pool } = require('../models/index');
+const { schoolCanManage } = require('../utils/auctionTenancy');
+
+const MAX_GIVING_LEVELS = 10;
+const MAX_GIVING_LEVEL = 100000;
+
+/** Pledges are taken while the auction is running */
+const PLEDGE_STATUSES = ['LIVE'];
+const CLOSED_STATUSES = ['ENDED', 'CANCELLED'];
+
+/**
+ * Validate giving levels: positive whole-cent amounts, no duplicates,
+ * highest first.
+ * @param {number[]} levels
+ * @returns {number[]}
+ * @throws {Error} INVALID_GIVING_LEVELS
+ */
+function parseGivingLevels(levels) {
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_GIVING_LEVELS) {
+    throw new Error('INVALID_GIVING_LEVELS');
+  }
+  const amounts = levels.map(Number);
+  if (amounts.some(a => !Number.isFinite(a) || a <= 0 || a > MAX_GIVING_LEVEL || Math.round(a * 100) !== a * 100)) {
+    throw new Error('INVALID_GIVING_LEVELS');
+  }
+  return [...new Set(amounts)].sort((x, y) => y - x);
+}
+
+class FundANeedService {
+  /**
+   * Add a Fund-a-Need item to an auction that has not ended.
+   * @param {string} auctionId
+   * @param {Object} item - { title, description?, givingLevels, goalAmount? }
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} The item with zero totals
+   */
+  async createItem(auctionId, { title, description = null, givingLevels, goalAmount = null }, user) {
+    const cleanTitle = String(title || '').trim();
+    if (!cleanTitle || cleanTitle.length > 255) {
+      throw new Error('INVALID_TITLE');
+    }
+    const levels = parseGivingLevels(givingLevels);
+    const goal = goalAmount === null || goalAmount === undefined || goalAmount === '' ? null : Number(goalAmount);
+    if (goal !== null && (!Number.isFinite(goal) || goal <= 0)) {
+      throw new Error('INVALID_GOAL_AMOUNT');
+    }
+
+    const auction = await this._getManagedAuction(auctionId, user);
+    if (CLOSED_STATUSES.includes(auction.auction_status)) {
+      throw new Error('AUCTION_CLOSED');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO fund_a_need_items (auction_id, title, description, giving_levels, goal_amount, created_by_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [auctionId, cleanTitle, description ? String(description).trim() : null, levels, goal, user.id]
+    );
+    return this._mapItem({ ...result.rows[0], pledge_count: 0, total_pledged: 0 });
+  }
+
+  /**
+   * An auction's items with their running totals.
+   * @param {string} auctionId
+   * @returns {Promise<Object[]>}
+   */
+  async listItems(auctionId) {
+    const result = await pool.query(
+      `SELECT i.*,
+              COUNT(p.id) FILTER (WHERE p.pledge_status <> 'CANCELLED') AS pledge_count,
+              COALESCE(SUM(p.amount) FILTER (WHERE p.pledge_status <> 'CANCELLED'), 0) AS total_pledged
+       FROM fund_a_need_items i
+       LEFT JOIN fund_a_need_pledges p ON p.item_id = i.id
+       WHERE i.auction_id = $1
+       GROUP BY i.id
+       ORDER BY i.created_at ASC`,
+      [auctionId]
+    );
+    return result.rows.map(row => this._mapItem(row));
+  }
+
+  /**
+   * Record a pledge at one of the item's giving levels. The donor's paddle
+   * number is kept when they hold one for the auction.
+   * @param {string} auctionId
+   * @param {string} itemId
+   * @param {string} userId - Donor
+   * @param {number} amount
+   * @param {Object} [options]
+   * @param {string} [options.enteredByUserId] - Clerk who keyed it in
+   * @returns {Promise<Object>} { pledge, totals } — totals for the projector
+   */
+  async pledge(auctionId, itemId, userId, amount, { enteredByUserId = null } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Locking the item serializes pledges so the running total is exact
+      const itemResult = await client.query(
+        `SELECT i.id, i.title, i.giving_levels, i.goal_amount, i.item_status, a.auction_status, p.paddle_number
+         FROM fund_a_need_items i
+         JOIN auctions a ON a.id = i.auction_id
+         LEFT JOIN auction_paddles p ON p.auction_id = i.auction_id AND p.user_id = $3
+         WHERE i.id = $1 AND i.auction_id = $2 AND a.deleted_at IS NULL
+         FOR UPDATE OF i`,
+        [itemId, auctionId, userId]
+      );
+      if (itemResult.rows.length === 0) {
+        throw new Error('FUND_A_NEED_NOT_FOUND');
+      }
+      const item = itemResult.rows[0];
+      if (item.item_status !== 'OPEN' || !PLEDGE_STATUSES.includes(item.auction_status)) {
+        throw new Error('FUND_A_NEED_CLOSED');
+      }
+      const pledgeAmount = Number(amount);
+      if (!item.giving_levels.map(Number).includes(pledgeAmount)) {
+        throw new Error('INVALID_GIVING_LEVEL');
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO fund_a_need_pledges (item_id, auction_id, user_id, amount, paddle_number, entered_by_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, amount, paddle_number, created_at`,
+        [itemId, auctionId, userId, pledgeAmount, item.paddle_number, enteredByUserId]
+      );
+      const pledge = inserted.rows[0];
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['PAYMENT', 'fund_a_need_pledged', 'fund_a_need_item', itemId,
+          JSON.stringify({
+            pledge_id: pledge.id,
+            amount: pledgeAmount,
+            donor_user_id: userId,
+            ...(enteredByUserId && { entered_by_user_id: enteredByUserId })
+          }),
+          enteredByUserId || userId]
+      );
+
+      const totals = await client.query(
+        `SELECT COUNT(*) AS pledge_count, COALESCE(SUM(amount), 0) AS total_pledged
+         FROM fund_a_need_pledges WHERE item_id = $1 AND pledge_status <> 'CANCELLED'`,
+        [itemId]
+      );
+      await client.query('COMMIT');
+
+      return {
+        pledge: {
+          pledgeId: pledge.id,
+          itemId,
+          amount: pledgeAmount,
+          paddleNumber: pledge.paddle_number,
+          createdAt: pledge.created_at
+        },
+        totals: {
+          itemId,
+          title: item.title,
+          goalAmount: item.goal_amount === null ? null : parseFloat(item.goal_amount),
+          pledgeCount: parseInt(totals.rows[0].pledge_count, 10),
+          totalPledged: parseFloat(totals.rows[0].total_pledged)
+        }
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Stop taking pledges on an item. Closing twice is a no-op.
+   * @param {string} auctionId
+   * @param {string} itemId
+   * @param {Object} user - req.user
+   */
+  async closeItem(auctionId, itemId, user) {
+    await this._getManagedAuction(auctionId, user);
+    const result = await pool.query(
+      `UPDATE fund_a_need_items
+       SET item_status = 'CLOSED', closed_at = COALESCE(closed_at, NOW())
+       WHERE id = $1 AND auction_id = $2
+       RETURNING id`,
+      [itemId, auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('FUND_A_NEED_NOT_FOUND');
+    }
+  }
+
+  /**
+   * A donor's pledges, newest first, with what is still to pay.
+   * @param {string} userId
+   * @param {string} [pledgeId] - Just this one (checkout)
+   * @returns {Promise<Object[]>}
+   */
+  async listPledgesForUser(userId, pledgeId = null) {
+    const params = [userId];
+    let only = '';
+    if (pledgeId) {
+      params.push(pledgeId);
+      only = 'AND p.id = $2';
+    }
+    const result = await pool.query(
+      `SELECT p.id, p.amount, p.pledge_status, p.paddle_number, p.created_at, p.paid_at,
+              i.id AS item_id, i.title AS item_title, a.id AS auction_id, a.title AS auction_title
+       FROM fund_a_need_pledges p
+       JOIN fund_a_need_items i ON i.id = p.item_id
+       JOIN auctions a ON a.id = p.auction_id
+       WHERE p.user_id = $1 AND p.pledge_status <> 'CANCELLED' AND a.deleted_at IS NULL ${only}
+       ORDER BY p.created_at DESC`,
+      params
+    );
+    return result.rows.map(row => ({
+      pledgeId: row.id,
+      itemId: row.item_id,
+      itemTitle: row.item_title,
+      auctionId: row.auction_id,
+      auctionTitle: row.auction_title,
+      amount: parseFloat(row.amount),
+      paddleNumber: row.paddle_number,
+      paid: row.pledge_status === 'PAID',
+      pledgedAt: row.created_at,
+      paidAt: row.paid_at
+    }));
+  }
+
+  /**
+   * Auction row, if the user may set up its Fund-a-Need items.
+   * @private
+   */
+  async _getManagedAuction(auctionId, user) {
+    const result = await pool.query(
+      'SELECT id, school_id, auction_status FROM auctions WHERE id = $1 AND deleted_at IS NULL',
+      [auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    const auction = result.rows[0];
+    if (!schoolCanManage(user.role, user.schoolId, auction.school_id)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    return auction;
+  }
+
+  /**
+   * @private
+   */
+  _mapItem(row) {
+    return {
+      itemId: row.id,
+      auctionId: row.auction_id,
+      title: row.title,
+      description: row.description,
+      givingLevels: row.giving_levels.map(Number),
+      goalAmount: row.goal_amount === null ? null : parseFloat(row.goal_amount),
+      status: row.item_status,
+      pledgeCount: parseInt(row.pledge_count, 10),
+      totalPledged: parseFloat(row.total_pledged),
+      createdAt: row.created_at,
+      closedAt: row.closed_at
+    };
+  }
+}
+
+module.exports = new FundANeedService();
+module.exports.parseGivingLevels = parseGivingLevels;
@@ -0,0 +1,356 @@
+/**
+ * Joint Auction Service
+ * Multi-school auctions. The host school (auctions.school_id) invites
+ * partner schools; a partner's admin accepts, choosing the gateway its
+ * pieces are paid through, or declines. The host runs the auction itself,
+ * while every school reviews and manages only its own pieces (artwork
+ * .school_id), and proceeds are reported per school.
+ */
+
+const { pool } = require('../models/index');
+const { schoolCanManage, pieceSchoolSql } = require('../utils/auctionTenancy');
+const { getSharedEmailProvider, notifyPartnerSchoolInvited } = require('./notificationService');
+
+/** Partners can only be changed before the auction has run */
+const EDITABLE_STATUSES = ['DRAFT', 'PENDING_APPROVAL', 'APPROVED'];
+
+class JointAuctionService {
+  /**
+   * Invite a school into an auction as a partner. Re-inviting a school that
+   * declined asks it again.
+   * @param {string} auctionId
+   * @param {string} schoolId - Partner school
+   * @param {Object} actor - req.user; host SCHOOL_ADMIN or SITE_ADMIN
+   * @returns {Object} Partner row
+   */
+  async invitePartner(auctionId, schoolId, actor) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertHost(auction, actor);
+    if (!EDITABLE_STATUSES.includes(auction.auction_status)) {
+      throw new Error('AUCTION_NOT_EDITABLE');
+    }
+    if (!schoolId || schoolId === auction.school_id) {
+      throw new Error('INVALID_PARTNER_SCHOOL');
+    }
+
+    const school = await pool.query(
+      'SELECT id, name FROM schools WHERE id = $1 AND account_status = \'ACTIVE\'',
+      [schoolId]
+    );
+    if (school.rows.length === 0) {
+      throw new Error('SCHOOL_NOT_FOUND');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO auction_partner_schools (auction_id, school_id, invited_by_user_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (auction_id, school_id) DO UPDATE
+         SET partner_status = 'INVITED', invited_by_user_id = EXCLUDED.invited_by_user_id,
+             responded_by_user_id = NULL, responded_at = NULL, payment_gateway_id = NULL
+         WHERE auction_partner_schools.partner_status = 'DECLINED'
+       RETURNING id, auction_id, school_id, partner_status, created_at`,
+      [auctionId, schoolId, actor.id]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('PARTNER_ALREADY_INVITED');
+    }
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_partner_invited', 'auction', auctionId,
+        JSON.stringify({ school_id: schoolId }), actor.id]
+    );
+
+    setImmediate(async () => {
+      try {
+        const admins = await pool.query(
+          `SELECT email, first_name FROM users
+           WHERE school_id = $1 AND role = 'SCHOOL_ADMIN' AND account_status = 'ACTIVE' AND deleted_at IS NULL`,
+          [schoolId]
+        );
+        const emailProvider = getSharedEmailProvider();
+        for (const admin of admins.rows) {
+          await notifyPartnerSchoolInvited(emailProvider, pool, {
+            email: admin.email,
+            firstName: admin.first_name,
+            auctionTitle: auction.title,
+            hostSchoolName: auction.school_name,
+            schoolName: school.rows[0].name,
+            startsAt: auction.starts_at
+          });
+        }
+      } catch (err) {
+        console.error('[notification] partner school invitation failed:', err.message);
+      }
+    });
+
+    return result.rows[0];
+  }
+
+  /**
+   * Accept or decline an invitation on behalf of the actor's school.
+   * Accepting picks the gateway the school's pieces are paid through:
+   * the one given, else the school's primary active gateway.
+   * @param {string} auctionId
+   * @param {Object} actor - req.user; partner SCHOOL_ADMIN, or SITE_ADMIN naming schoolId
+   * @param {Object} response - { accept, paymentGatewayId?, schoolId? }
+   * @returns {Object} Partner row
+   */
+  async respond(auctionId, actor, { accept, paymentGatewayId = null, schoolId = null } = {}) {
+    const partnerSchoolId = actor?.role === 'SITE_ADMIN' ? schoolId : actor?.schoolId;
+    if (!partnerSchoolId) {
+      throw new Error('INVALID_PARTNER_SCHOOL');
+    }
+    if (!schoolCanManage(actor?.role, actor?.schoolId, partnerSchoolId)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const invite = await client.query(
+        `SELECT ps.id, ps.partner_status
+         FROM auction_partner_schools ps
+         JOIN auctions a ON a.id = ps.auction_id AND a.deleted_at IS NULL
+         WHERE ps.auction_id = $1 AND ps.school_id = $2
+         FOR UPDATE OF ps`,
+        [auctionId, partnerSchoolId]
+      );
+      if (invite.rows.length === 0) {
+        throw new Error('PARTNER_INVITATION_NOT_FOUND');
+      }
+      if (invite.rows[0].partner_status !== 'INVITED') {
+        throw new Error('PARTNER_ALREADY_RESPONDED');
+      }
+
+      let gatewayId = null;
+      if (accept === true) {
+        const gateway = await client.query(
+          `SELECT id FROM payment_gateways
+           WHERE school_id = $1 AND is_active = TRUE AND ($2::uuid IS NULL OR id = $2::uuid)
+           ORDER BY is_primary DESC, created_at ASC
+           LIMIT 1`,
+          [partnerSchoolId, paymentGatewayId]
+        );
+        if (gateway.rows.length === 0) {
+          throw new Error('PARTNER_GATEWAY_REQUIRED');
+        }
+        gatewayId = gateway.rows[0].id;
+      }
+
+      const result = await client.query(
+        `UPDATE auction_partner_schools
+         SET partner_status = $1, payment_gateway_id = $2, responded_by_user_id = $3, responded_at = NOW()
+         WHERE id = $4
+         RETURNING id, auction_id, school_id, partner_status, payment_gateway_id, responded_at`,
+        [accept === true ? 'ACCEPTED' : 'DECLINED', gatewayId, actor.id, invite.rows[0].id]
+      );
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['AUCTION', accept === true ? 'auction_partner_accepted' : 'auction_partner_declined', 'auction', auctionId,
+          JSON.stringify({ school_id: partnerSchoolId, payment_gateway_id: gatewayId }), actor.id]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Take a partner out of an auction. Refused once any of its pieces are
+   * in the auction; those have to be withdrawn first.
+   * @param {string} auctionId
+   * @param {string} schoolId
+   * @param {Object} actor - req.user; host SCHOOL_ADMIN or SITE_ADMIN
+   */
+  async removePartner(auctionId, schoolId, actor) {
+    const auction = await this._loadAuction(auctionId);
+    this._assertHost(auction, actor);
+    if (!EDITABLE_STATUSES.includes(auction.auction_status)) {
+      throw new Error('AUCTION_NOT_EDITABLE');
+    }
+
+    const pieces = await pool.query(
+      `SELECT COUNT(*) AS count FROM artwork
+       WHERE auction_id = $1 AND school_id = $2 AND deleted_at IS NULL
+         AND artwork_status NOT IN ('REJECTED', 'WITHDRAWN')`,
+      [auctionId, schoolId]
+    );
+    if (parseInt(pieces.rows[0].count, 10) > 0) {
+      throw new Error('PARTNER_HAS_ARTWORK');
+    }
+
+    const result = await pool.query(
+      'DELETE FROM auction_partner_schools WHERE auction_id = $1 AND school_id = $2 RETURNING id',
+      [auctionId, schoolId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('PARTNER_INVITATION_NOT_FOUND');
+    }
+
+    await pool.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['AUCTION', 'auction_partner_removed', 'auction', auctionId,
+        JSON.stringify({ school_id: schoolId }), actor.id]
+    );
+  }
+
+  /**
+   * The schools in an auction with each one's pieces and proceeds (the
+   * accepted winning bids on its pieces). Partners see every school taking
+   * part but only their own figures.
+   * @param {string} auctionId
+   * @param {Object} actor - req.user
+   * @returns {Object} { auctionId, hostSchoolId, schools: [...] }
+   */
+  async listPartners(auctionId, actor) {
+    const auction = await this._loadAuction(auctionId);
+
+    const [partners, totals] = await Promise.all([
+      pool.query(
+        `SELECT ps.school_id, s.name AS school_name, ps.partner_status, ps.responded_at, ps.created_at
+         FROM auction_partner_schools ps
+         JOIN schools s ON s.id = ps.school_id
+         WHERE ps.auction_id = $1
+         ORDER BY ps.created_at ASC`,
+        [auctionId]
+      ),
+      this.proceedsBySchool(auctionId)
+    ]);
+
+    const isHost = schoolCanManage(actor?.role, actor?.schoolId, auction.school_id);
+    const accepted = partners.rows.filter(p => p.partner_status === 'ACCEPTED').map(p => p.school_id);
+    const ownPartner = partners.rows.find(p => p.school_id === actor?.schoolId);
+    if (!isHost && !(actor?.role === 'SCHOOL_ADMIN' && ownPartner)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+
+    const figures = (schoolId) => {
+      if (!isHost && schoolId !== actor.schoolId) {
+        return { pieceCount: null, soldCount: null, proceeds: null };
+      }
+      const row = totals.find(t => t.schoolId === schoolId);
+      return row
+        ? { pieceCount: row.pieceCount, soldCount: row.soldCount, proceeds: row.proceeds }
+        : { pieceCount: 0, soldCount: 0, proceeds: 0 };
+    };
+
+    return {
+      auctionId,
+      title: auction.title,
+      hostSchoolId: auction.school_id,
+      schools: [
+        { schoolId: auction.school_id, schoolName: auction.school_name, role: 'HOST', status: 'ACCEPTED', ...figures(auction.school_id) },
+        // A partner sees the others only once they have joined
+        ...partners.rows
+          .filter(p => isHost || accepted.includes(p.school_id) || p.school_id === actor.schoolId)
+          .map(p => ({
+            schoolId: p.school_id,
+            schoolName: p.school_name,
+            role: 'PARTNER',
+            status: p.partner_status,
+            respondedAt: p.responded_at,
+            ...figures(p.school_id)
+          }))
+      ]
+    };
+  }
+
+  /**
+   * Invitations waiting on the actor's school.
+   * @param {Object} actor - req.user; SCHOOL_ADMIN
+   * @returns {Array}
+   */
+  async listPendingInvitations(actor) {
+    if (actor?.role !== 'SCHOOL_ADMIN' || !actor.schoolId) {
+      return [];
+    }
+    const result = await pool.query(
+      `SELECT a.id AS auction_id, a.title, a.starts_at, a.ends_at, s.name AS host_school_name, ps.created_at
+       FROM auction_partner_schools ps
+       JOIN auctions a ON a.id = ps.auction_id AND a.deleted_at IS NULL
+       JOIN schools s ON s.id = a.school_id
+       WHERE ps.school_id = $1 AND ps.partner_status = 'INVITED'
+       ORDER BY a.starts_at ASC`,
+      [actor.schoolId]
+    );
+    return result.rows.map(r => ({
+      auctionId: r.auction_id,
+      title: r.title,
+      startsAt: r.starts_at,
+      endsAt: r.ends_at,
+      hostSchoolName: r.host_school_name,
+      invitedAt: r.created_at
+    }));
+  }
+
+  /**
+   * Pieces, sales and proceeds per school for an auction. A piece's
+   * proceeds are its accepted winning bid.
+   * @param {string} auctionId
+   * @param {Object} [db] - Transaction client; defaults to the pool
+   * @returns {Array} [{ schoolId, pieceCount, soldCount, proceeds }]
+   */
+  async proceedsBySchool(auctionId, db = pool) {
+    const result = await db.query(
+      `SELECT ${pieceSchoolSql('aw', 'a')} AS school_id,
+              COUNT(aw.id) AS piece_count,
+              COUNT(w.bid_amount) AS sold_count,
+              COALESCE(SUM(w.bid_amount), 0) AS proceeds
+       FROM artwork aw
+       JOIN auctions a ON a.id = aw.auction_id
+       LEFT JOIN LATERAL (
+         SELECT bid_amount FROM bids
+         WHERE artwork_id = aw.id AND bid_status = 'ACCEPTED'
+         ORDER BY bid_amount DESC
+         LIMIT 1
+       ) w ON TRUE
+       WHERE aw.auction_id = $1 AND aw.deleted_at IS NULL
+       GROUP BY ${pieceSchoolSql('aw', 'a')}`,
+      [auctionId]
+    );
+    return result.rows.map(r => ({
+      schoolId: r.school_id,
+      pieceCount: parseInt(r.piece_count, 10),
+      soldCount: parseInt(r.sold_count, 10),
+      proceeds: Number.parseFloat(r.proceeds)
+    }));
+  }
+
+  /** @private */
+  async _loadAuction(auctionId) {
+    const result = await pool.query(
+      `SELECT a.id, a.school_id, a.title, a.starts_at, a.auction_status, s.name AS school_name
+       FROM auctions a
+       LEFT JOIN schools s ON s.id = a.school_id
+       WHERE a.id = $1 AND a.deleted_at IS NULL`,
+      [auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Only the host school's admins (and SITE_ADMIN) run a joint auction.
+   * @private
+   */
+  _assertHost(auction, actor) {
+    if (!schoolCanManage(actor?.role, actor?.schoolId, auction.school_id)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+  }
+}
+
+module.exports = new JointAuctionService();
@@ -47,6 +47,7 @@ const crypto = require('crypto');
  *   email_winner BOOLEAN DEFAULT true,
  *   email_payment BOOLEAN DEFAULT true,
  *   email_security BOOLEAN DEFAULT true,
+ *   email_watchlist BOOLEAN DEFAULT true,
  *   sms_outbid BOOLEAN DEFAULT false,
  *   sms_auction_ending BOOLEAN DEFAULT false,
  *   sms_winner BOOLEAN DEFAULT true,
@@ -81,7 +82,18 @@ class EmailTemplateService {
       'auction-approved': EmailTemplateService.auctionApprovedTemplate,
       'student-registration-invite': EmailTemplateService.studentRegistrationInviteTemplate,
       'artwork-status-changed': EmailTemplateService.artworkStatusChangedTemplate,
-      'artwork-shipped': EmailTemplateService.artworkShippedTemplate
+      'artwork-shipped': EmailTemplateService.artworkShippedTemplate,
+      'buy-now-sold': EmailTemplateService.buyNowSoldTemplate,
+      'bid-approved': EmailTemplateService.bidApprovedTemplate,
+      'bid-rejected': EmailTemplateService.bidRejectedTemplate,
+      'second-chance-offer': EmailTemplateService.secondChanceOfferTemplate,
+      'win-voided': EmailTemplateService.winVoidedTemplate,
+      'reserve-not-met': EmailTemplateService.reserveNotMetTemplate,
+      'auction-invitation': EmailTemplateService.auctionInvitationTemplate,
+      'partner-school-invitation': EmailTemplateService.partnerSchoolInvitationTemplate,
+      'watched-auction-live': EmailTemplateService.watchedAuctionLiveTemplate,
+      'watched-artwork-bid': EmailTemplateService.watchedArtworkBidTemplate,
+      'donation-receipt': EmailTemplateService.donationReceiptTemplate
     };
 
     const templateFn = templates[templateId];
@@ -143,13 +155,13 @@ class EmailTemplateService {
   }
 
   static auctionEndingTemplate(data) {
-    const { firstName, artworkTitle, auctionEndTime, auctionLink } = data;
+    const { firstName, artworkTitle, auctionEndTime, auctionLink, endsIn = '1 hour' } = data;
     return {
-      subject: `⏰ ${this.escapeHtml(artworkTitle)} - Auction Ends in 1 Hour!`,
+      subject: `⏰ ${this.escapeHtml(artworkTitle)} - Auction Ends in ${this.escapeHtml(endsIn)}!`,
       html: `
         <h2>Auction Ending Soon</h2>
         <p>Hi ${this.escapeHtml(firstName)},</p>
-        <p><strong>${this.escapeHtml(artworkTitle)}</strong> will close in 1 hour!</p>
+        <p><strong>${this.escapeHtml(artworkTitle)}</strong> will close in ${this.escapeHtml(endsIn)}!</p>
         <p><strong>Closes at:</strong> ${auctionEndTime}</p>
         <p><a href="${auctionLink}" style="background-color: #fd7e14; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Auction</a></p>
       `,
@@ -302,6 +314,180 @@ class EmailTemplateService {
     };
   }
 
+  static buyNowSoldTemplate(data) {
+    const { firstName, artworkTitle, buyNowPrice, auctionLink } = data;
+    return {
+      subject: `${this.escapeHtml(artworkTitle)} has been sold`,
+      html: `
+        <h2>This piece has been sold</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p><strong>${this.escapeHtml(artworkTitle)}</strong> was purchased at its Buy-It-Now price of $${buyNowPrice.toFixed(2)}, so bidding on it has closed.</p>
+        <p>Thank you for bidding — there may be other pieces you'd love in the same auction.</p>
+        <p><a href="${auctionLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Browse the Auction</a></p>
+      `,
+      text: `${artworkTitle} was sold at its Buy-It-Now price of $${buyNowPrice.toFixed(2)}. Browse the auction: ${auctionLink}`
+    };
+  }
+
+  static bidApprovedTemplate(data) {
+    const { firstName, artworkTitle, bidAmount, leading, auctionLink } = data;
+    const outcome = leading
+      ? 'and is now the high bid'
+      : 'but another approved bid overtook it while it was waiting';
+    return {
+      subject: `Your bid on ${this.escapeHtml(artworkTitle)} was approved`,
+      html: `
+        <h2>Bid Approved</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>The organizers approved your bid of $${bidAmount.toFixed(2)} on <strong>${this.escapeHtml(artworkTitle)}</strong>, ${outcome}.</p>
+        <p><a href="${auctionLink}" style="background-color: #28a745; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Auction</a></p>
+      `,
+      text: `Your bid of $${bidAmount.toFixed(2)} on ${artworkTitle} was approved, ${outcome}. View auction: ${auctionLink}`
+    };
+  }
+
+  static bidRejectedTemplate(data) {
+    const { firstName, artworkTitle, bidAmount, reason, auctionLink } = data;
+    return {
+      subject: `Your bid on ${this.escapeHtml(artworkTitle)} was not accepted`,
+      html: `
+        <h2>Bid Not Accepted</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>The organizers did not accept your bid of $${bidAmount.toFixed(2)} on <strong>${this.escapeHtml(artworkTitle)}</strong>.</p>
+        ${reason ? `<p><strong>Reason:</strong> ${this.escapeHtml(reason)}</p>` : ''}
+        <p><a href="${auctionLink}" style="background-color: #6c757d; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Auction</a></p>
+      `,
+      text: `Your bid of $${bidAmount.toFixed(2)} on ${artworkTitle} was not accepted.${reason ? ` Reason: ${reason}` : ''} View auction: ${auctionLink}`
+    };
+  }
+
+  static secondChanceOfferTemplate(data) {
+    const { firstName, artworkTitle, offerAmount, expiresAt, offerLink } = data;
+    return {
+      subject: `Second chance: ${this.escapeHtml(artworkTitle)} is available`,
+      html: `
+        <h2>It's Not Too Late!</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>The winning bidder on <strong>${this.escapeHtml(artworkTitle)}</strong> didn't complete their purchase. As the next-highest bidder, you can have it for your bid of $${offerAmount.toFixed(2)}.</p>
+        <p><strong>This offer expires:</strong> ${expiresAt}</p>
+        <p><a href="${offerLink}" style="background-color: #28a745; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Offer</a></p>
+      `,
+      text: `${artworkTitle} is available to you for your bid of $${offerAmount.toFixed(2)} until ${expiresAt}. View offer: ${offerLink}`
+    };
+  }
+
+  static winVoidedTemplate(data) {
+    const { firstName, artworkTitle, reason } = data;
+    return {
+      subject: `Your win on ${this.escapeHtml(artworkTitle)} has been cancelled`,
+      html: `
+        <h2>Win Cancelled</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>Your winning bid on <strong>${this.escapeHtml(artworkTitle)}</strong> has been cancelled and the piece offered to another bidder.</p>
+        ${reason ? `<p><strong>Reason:</strong> ${this.escapeHtml(reason)}</p>` : ''}
+        <p>Please contact the auction organizers if you believe this is a mistake.</p>
+      `,
+      text: `Your winning bid on ${artworkTitle} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`
+    };
+  }
+
+  static reserveNotMetTemplate(data) {
+    const { firstName, artworkTitle, bidAmount } = data;
+    return {
+      subject: `${this.escapeHtml(artworkTitle)} did not sell`,
+      html: `
+        <h2>Reserve Not Met</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>Your bid of $${bidAmount.toFixed(2)} on <strong>${this.escapeHtml(artworkTitle)}</strong> was the highest, but it did not reach the seller's reserve price.</p>
+        <p>The seller has decided not to sell the piece at that price, so you have not been charged. Thank you for bidding!</p>
+      `,
+      text: `Your bid of $${bidAmount.toFixed(2)} on ${artworkTitle} did not reach the reserve price and the piece was not sold. You have not been charged.`
+    };
+  }
+
+  static auctionInvitationTemplate(data) {
+    const { auctionTitle, schoolName, startsAt, inviteLink } = data;
+    return {
+      subject: `You're invited: ${this.escapeHtml(auctionTitle)}`,
+      html: `
+        <h2>You're Invited!</h2>
+        <p>${this.escapeHtml(schoolName)} has added you to the guest list for <strong>${this.escapeHtml(auctionTitle)}</strong>, a private silent auction of student artwork.</p>
+        <p><strong>Bidding opens:</strong> ${startsAt}</p>
+        <p>Sign in (or create a free bidder account) with this email address to view the auction and bid.</p>
+        <p><a href="${inviteLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Invitation</a></p>
+      `,
+      text: `${schoolName} has invited you to ${auctionTitle}, a private silent auction opening ${startsAt}. Sign in or register with this email address to view it: ${inviteLink}`
+    };
+  }
+
+  static partnerSchoolInvitationTemplate(data) {
+    const { firstName, auctionTitle, hostSchoolName, schoolName, startsAt, respondLink } = data;
+    return {
+      subject: `Join a joint auction: ${this.escapeHtml(auctionTitle)}`,
+      html: `
+        <h2>Joint Auction Invitation</h2>
+        <p>Hello ${this.escapeHtml(firstName)},</p>
+        <p>${this.escapeHtml(hostSchoolName)} has invited ${this.escapeHtml(schoolName)} to take part in <strong>${this.escapeHtml(auctionTitle)}</strong>, opening ${startsAt}.</p>
+        <p>Once you accept, your teachers can review your students' submissions and your school's proceeds are paid through your own payment gateway.</p>
+        <p><a href="${respondLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Review Invitation</a></p>
+      `,
+      text: `Hello ${firstName},\n\n${hostSchoolName} has invited ${schoolName} to take part in ${auctionTitle}, opening ${startsAt}. Review the invitation: ${respondLink}`
+    };
+  }
+
+  static watchedAuctionLiveTemplate(data) {
+    const { firstName, auctionTitle, auctionEndTime, auctionLink } = data;
+    return {
+      subject: `🟢 ${this.escapeHtml(auctionTitle)} is open for bidding`,
+      html: `
+        <h2>Bidding Is Open</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p><strong>${this.escapeHtml(auctionTitle)}</strong>, an auction on your watchlist, is now live.</p>
+        <p><strong>Bidding closes:</strong> ${auctionEndTime}</p>
+        <p><a href="${auctionLink}" style="background-color: #28a745; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Start Bidding</a></p>
+      `,
+      text: `${auctionTitle}, an auction on your watchlist, is now live. Bidding closes ${auctionEndTime}. ${auctionLink}`
+    };
+  }
+
+  static watchedArtworkBidTemplate(data) {
+    const { firstName, artworkTitle, currentBid, auctionEndTime, auctionLink } = data;
+    return {
+      subject: `New bid on ${this.escapeHtml(artworkTitle)}`,
+      html: `
+        <h2>New Bid on a Watched Piece</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>Someone just bid on <strong>${this.escapeHtml(artworkTitle)}</strong>, a piece on your watchlist.</p>
+        <p><strong>Current bid:</strong> $${currentBid.toFixed(2)}</p>
+        <p><strong>Bidding closes:</strong> ${auctionEndTime}</p>
+        <p><a href="${auctionLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Piece</a></p>
+      `,
+      text: `New bid on ${artworkTitle}: $${currentBid.toFixed(2)}. Bidding closes ${auctionEndTime}. ${auctionLink}`
+    };
+  }
+
+  static donationReceiptTemplate(data) {
+    const { firstName, receiptNumber, beneficiary, schoolName, taxId, description, paidOn,
+      amountPaid, fairMarketValue, deductibleAmount, receiptLink, pdfLink } = data;
+    return {
+      subject: `Your donation receipt ${receiptNumber} - ${this.escapeHtml(beneficiary)}`,
+      html: `
+        <h2>Donation Receipt ${this.escapeHtml(receiptNumber)}</h2>
+        <p>Hi ${this.escapeHtml(firstName)},</p>
+        <p>Thank you for supporting <strong>${this.escapeHtml(beneficiary)}</strong>. Please keep this receipt for your tax records.</p>
+        <p><strong>Issued by:</strong> ${this.escapeHtml(schoolName)}${taxId ? ` (Tax ID ${this.escapeHtml(taxId)})` : ''}</p>
+        <p><strong>Item:</strong> ${this.escapeHtml(description)}<br>
+           <strong>Date:</strong> ${paidOn}<br>
+           <strong>Amount paid:</strong> $${amountPaid.toFixed(2)}<br>
+           <strong>Fair market value received:</strong> $${fairMarketValue.toFixed(2)}<br>
+           <strong>Deductible contribution:</strong> $${deductibleAmount.toFixed(2)}</p>
+        <p><a href="${receiptLink}" style="background-color: #17a2b8; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Receipt</a>
+           &nbsp;<a href="${pdfLink}">Download PDF</a></p>
+      `,
+      text: `Donation receipt ${receiptNumber} from ${schoolName}: paid $${amountPaid.toFixed(2)}, deductible $${deductibleAmount.toFixed(2)}. ${pdfLink}`
+    };
+  }
+
   static studentRegistrationInviteTemplate(data) {
     const { studentName, teacherName, schoolName, registrationLink } = data;
     const escapedStudent = this.escapeHtml(studentName);
@@ -669,7 +855,7 @@ class NotificationService {
   buildSMSMessage(templateId, data) {
     const messages = {
       'outbid-alert': `SAG: Outbid on ${data.artworkTitle}! Current: $${data.currentBid} - ${data.auctionLink}`,
-      'auction-ending': `SAG: ${data.artworkTitle} ends in 1 hour! ${data.auctionLink}`,
+      'auction-ending': `SAG: ${data.artworkTitle} ends in ${data.endsIn || '1 hour'}! ${data.auctionLink}`,
       'winner-notification': `SAG: You won ${data.artworkTitle}! Pay: $${data.winningBid} - ${data.paymentLink}`,
       'payment-receipt': `SAG: Payment confirmed for $${data.amount}. TxnID: ${data.transactionId}`
     };
@@ -720,6 +906,7 @@ class NotificationService {
       email_winner,
       email_payment,
       email_security,
+      email_watchlist,
       sms_outbid,
       sms_auction_ending,
       sms_winner
@@ -728,8 +915,8 @@ class NotificationService {
     const result = await this.db.query(
       `INSERT INTO notification_preferences 
        (user_id, email_outbid, email_auction_ending, email_winner, email_payment, 
-        email_security, sms_outbid, sms_auction_ending, sms_winner)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        email_security, sms_outbid, sms_auction_ending, sms_winner, email_watchlist)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        ON CONFLICT (user_id) DO UPDATE SET
        email_outbid = COALESCE($2, email_outbid),
        email_auction_ending = COALESCE($3, email_auction_ending),
@@ -739,10 +926,11 @@ class NotificationService {
        sms_outbid = COALESCE($7, sms_outbid),
        sms_auction_ending = COALESCE($8, sms_auction_ending),
        sms_winner = COALESCE($9, sms_winner),
+       email_watchlist = COALESCE($10, email_watchlist),
        updated_at = NOW()
        RETURNING *`,
       [userId, email_outbid, email_auction_ending, email_winner, email_payment,
-        email_security, sms_outbid, sms_auction_ending, sms_winner]
+        email_security, sms_outbid, sms_auction_ending, sms_winner, email_watchlist]
     );
 
     return result.rows[0];
@@ -759,11 +947,14 @@ class NotificationService {
    * Process unsubscribe request
    */
   async unsubscribe(token, channel) {
+    // Watchlist alerts are email-only
+    const watchlist = channel === 'email' ? 'email_watchlist = false,' : '';
     const result = await this.db.query(
       `UPDATE notification_preferences 
        SET ${channel}_outbid = false,
            ${channel}_auction_ending = false,
            ${channel}_winner = false,
+           ${watchlist}
            updated_at = NOW()
        WHERE unsubscribe_token = $1
        RETURNING user_id`,
@@ -807,6 +998,7 @@ class NotificationService {
       email_winner: true,
       email_payment: true,
       email_security: true,
+      email_watchlist: true,
       sms_outbid: false,
       sms_auction_ending: false,
       sms_winner: true
@@ -948,6 +1140,256 @@ async function notifyArtworkShipped(emailProvider, db, data) {
   await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
 }
 
+/**
+ * Notify a bidder that a piece they bid on was bought outright.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, artworkTitle, buyNowPrice, auctionId }
+ */
+async function notifyBuyNowSold(emailProvider, db, data) {
+  const { userId, email, firstName, artworkTitle, buyNowPrice, auctionId } = data;
+  // Losing a piece to buy-now is an outbid from the bidder's point of view
+  if (!await _checkEmailPref(db, userId, 'email_outbid')) {return;}
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const auctionLink = auctionId ? `${baseUrl}/auction-detail.html?id=${auctionId}` : `${baseUrl}/auction-detail.html`;
+  const tmpl = EmailTemplateService.generateTemplate('buy-now-sold', {
+    firstName, artworkTitle, buyNowPrice, auctionLink
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Tell a bidder the organizers approved or rejected a bid that was held for
+ * review. Records an in-app BID_ACCEPTED / BID_REJECTED notification, then
+ * emails if the bidder allows bid emails.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for the notification row and preference lookup
+ * @param {object} data - { userId, email, firstName, artworkTitle, bidDollars, approved, leading, reason, artworkId, auctionId }
+ */
+async function notifyBidReviewed(emailProvider, db, data) {
+  const { userId, email, firstName, artworkTitle, bidDollars, approved, leading, reason, artworkId, auctionId } = data;
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  let auctionLink = `${baseUrl}/auction-detail.html`;
+  if (auctionId) {
+    auctionLink += `?id=${auctionId}`;
+    if (artworkId) {auctionLink += `&artwork=${artworkId}`;}
+  }
+  const tmpl = EmailTemplateService.generateTemplate(approved ? 'bid-approved' : 'bid-rejected', {
+    firstName, artworkTitle, bidAmount: bidDollars, leading, reason, auctionLink
+  });
+
+  try {
+    await db.query(
+      `INSERT INTO notifications (user_id, notification_type, notification_channel, subject, message,
+                                  related_resource_type, related_resource_id)
+       VALUES ($1, $2, 'IN_APP', $3, $4, 'artwork', $5)`,
+      [userId, approved ? 'BID_ACCEPTED' : 'BID_REJECTED', tmpl.subject, tmpl.text, artworkId || null]
+    );
+  } catch (err) {
+    console.error('[notification] bid review record failed:', err.message);
+  }
+
+  if (!await _checkEmailPref(db, userId, 'email_outbid')) {return;}
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Email a runner-up their second-chance offer with its accept link.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, artworkTitle, offerDollars, expiresAt, offerId, token }
+ */
+async function notifySecondChanceOffer(emailProvider, db, data) {
+  const { userId, email, firstName, artworkTitle, offerDollars, expiresAt, offerId, token } = data;
+  // The offer is a win in all but name, so it follows the winner preference
+  if (!await _checkEmailPref(db, userId, 'email_winner')) {return;}
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const offerLink = `${baseUrl}/second-chance.html?offer=${encodeURIComponent(offerId)}&token=${encodeURIComponent(token)}`;
+  const tmpl = EmailTemplateService.generateTemplate('second-chance-offer', {
+    firstName,
+    artworkTitle,
+    offerAmount: offerDollars,
+    expiresAt: new Date(expiresAt).toLocaleString(),
+    offerLink
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Tell a winner their unpaid win was voided.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, artworkTitle, reason }
+ */
+async function notifyWinVoided(emailProvider, db, data) {
+  const { userId, email, firstName, artworkTitle, reason } = data;
+  if (!await _checkEmailPref(db, userId, 'email_winner')) {return;}
+  const tmpl = EmailTemplateService.generateTemplate('win-voided', { firstName, artworkTitle, reason });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Tell the top bidder that a lot closed under its reserve and the seller
+ * released it instead of accepting their bid.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, artworkTitle, bidDollars }
+ */
+async function notifyReserveReleased(emailProvider, db, data) {
+  const { userId, email, firstName, artworkTitle, bidDollars } = data;
+  if (!await _checkEmailPref(db, userId, 'email_winner')) {return;}
+  const tmpl = EmailTemplateService.generateTemplate('reserve-not-met', { firstName, artworkTitle, bidAmount: bidDollars });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Email a guest-list address its invitation to an INVITED_ONLY auction.
+ * The recipient may not have an account yet, so there is no preference check.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - unused; kept for the notify* signature
+ * @param {object} data - { email, auctionId, auctionTitle, schoolName, startsAt }
+ */
+async function notifyAuctionInvitation(emailProvider, db, data) {
+  const { email, auctionId, auctionTitle, schoolName, startsAt } = data;
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const inviteLink = `${baseUrl}/invite.html?auction=${encodeURIComponent(auctionId)}`;
+  const tmpl = EmailTemplateService.generateTemplate('auction-invitation', {
+    auctionTitle,
+    schoolName,
+    startsAt: new Date(startsAt).toLocaleString(),
+    inviteLink
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Tell a school admin that another school invited theirs into a joint auction.
+ * A staff notice rather than a bidder email, so there is no preference check.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - unused; kept for the notify* signature
+ * @param {object} data - { email, firstName, auctionTitle, hostSchoolName, schoolName, startsAt }
+ */
+async function notifyPartnerSchoolInvited(emailProvider, db, data) {
+  const { email, firstName, auctionTitle, hostSchoolName, schoolName, startsAt } = data;
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const tmpl = EmailTemplateService.generateTemplate('partner-school-invitation', {
+    firstName,
+    auctionTitle,
+    hostSchoolName,
+    schoolName,
+    startsAt: new Date(startsAt).toLocaleString(),
+    respondLink: `${baseUrl}/auction-partners.html`
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Remind a watcher or bidder that an auction is about to end.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, auctionId, auctionTitle, endsAt, endsIn }
+ */
+async function notifyAuctionEnding(emailProvider, db, data) {
+  const { userId, email, firstName, auctionId, auctionTitle, endsAt, endsIn } = data;
+  if (!await _checkEmailPref(db, userId, 'email_auction_ending')) {return;}
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const tmpl = EmailTemplateService.generateTemplate('auction-ending', {
+    firstName,
+    artworkTitle: auctionTitle,
+    auctionEndTime: new Date(endsAt).toLocaleString(),
+    endsIn,
+    auctionLink: `${baseUrl}/auction-detail.html?id=${encodeURIComponent(auctionId)}`
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Tell a watcher that a watched auction has gone live.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, auctionId, auctionTitle, endsAt }
+ */
+async function notifyWatchedAuctionLive(emailProvider, db, data) {
+  const { userId, email, firstName, auctionId, auctionTitle, endsAt } = data;
+  if (!await _checkEmailPref(db, userId, 'email_watchlist')) {return;}
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const tmpl = EmailTemplateService.generateTemplate('watched-auction-live', {
+    firstName,
+    auctionTitle,
+    auctionEndTime: new Date(endsAt).toLocaleString(),
+    auctionLink: `${baseUrl}/auction-detail.html?id=${encodeURIComponent(auctionId)}`
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Tell a watcher that a watched piece has a new bid.
+ * Non-blocking: caller should wrap in setImmediate.
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} db - pg Pool for preference lookup
+ * @param {object} data - { userId, email, firstName, artworkTitle, currentBidDollars, closesAt, auctionId }
+ */
+async function notifyWatchedArtworkBid(emailProvider, db, data) {
+  const { userId, email, firstName, artworkTitle, currentBidDollars, closesAt, auctionId } = data;
+  if (!await _checkEmailPref(db, userId, 'email_watchlist')) {return;}
+  const baseUrl = process.env.FRONTEND_URL || process.env.SITE_URL || 'https://sag.live';
+  const tmpl = EmailTemplateService.generateTemplate('watched-artwork-bid', {
+    firstName,
+    artworkTitle,
+    currentBid: Number(currentBidDollars),
+    auctionEndTime: new Date(closesAt).toLocaleString(),
+    auctionLink: `${baseUrl}/auction-detail.html?id=${encodeURIComponent(auctionId)}`
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
+/**
+ * Email a donor their tax receipt. Sent regardless of notification
+ * preferences: it is a tax record, not a marketing or activity email.
+ * Callers run this in the background (setImmediate or a batch loop).
+ *
+ * @param {object} emailProvider - EmailProvider instance
+ * @param {object} _db - unused; kept so every notify helper takes the same arguments
+ * @param {object} data - { email, firstName, receipt, receiptLink, pdfLink }
+ */
+async function notifyDonationReceipt(emailProvider, _db, data) {
+  const { email, firstName, receipt, receiptLink, pdfLink } = data;
+  const tmpl = EmailTemplateService.generateTemplate('donation-receipt', {
+    firstName,
+    receiptNumber: receipt.receiptNumber,
+    beneficiary: receipt.beneficiary,
+    schoolName: receipt.schoolName,
+    taxId: receipt.taxId,
+    description: receipt.description,
+    paidOn: new Date(receipt.paidAt).toLocaleDateString(),
+    amountPaid: receipt.amountPaid,
+    fairMarketValue: receipt.fairMarketValue,
+    deductibleAmount: receipt.deductibleAmount,
+    receiptLink,
+    pdfLink
+  });
+  await emailProvider.send(email, tmpl.subject, tmpl.html, tmpl.text);
+}
+
 // Lazy shared provider — instantiated on first use so NODE_ENV is evaluated at runtime
 let _sharedEmailProvider = null;
 function getSharedEmailProvider() {
@@ -967,6 +1409,17 @@ module.exports = {
   getSharedEmailProvider,
   notifyOutbid,
   notifyAuctionWon,
+  notifyAuctionEnding,
   notifyArtworkStatusChanged,
-  notifyArtworkShipped
+  notifyArtworkShipped,
+  notifyBuyNowSold,
+  notifyBidReviewed,
+  notifySecondChanceOffer,
+  notifyWinVoided,
+  notifyReserveReleased,
+  notifyAuctionInvitation,
+  notifyPartnerSchoolInvited,
+  notifyWatchedAuctionLive,
+  notifyWatchedArtworkBid,
+  notifyDonationReceipt
 };
@@ -0,0 +1,226 @@
+/**
+ * Offline Bid Service
+ * Bids captured on a QR-code artwork page while the device had no connection
+ * (school gyms have poor Wi-Fi). Opening the page online records a QR scan and
+ * issues a signing key derived from that scan; bids queued offline are signed
+ * with it, so the server can trust the capture time on replay. On reconnect
+ * the queue is replayed in capture order against the current auction state
+ * through biddingService.placeBid — each bid is accepted or rejected on its
+ * own and the outcome reported back. Every replayed bid that passes the
+ * signature check is recorded in qr_code_scans (offline_scan, synced_at,
+ * sync_status).
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../models/index');
+const biddingService = require('./biddingService');
+const auctionInviteService = require('./auctionInviteService');
+
+/** How long after the online scan queued bids are still honoured */
+const OFFLINE_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+/** Tolerance for the device clock running ahead of or behind the server */
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+/** Upper bound on one sync request */
+const MAX_SYNC_BATCH = 50;
+
+function deviceType(userAgent) {
+  if (!userAgent) { return null; }
+  if (/iPad|Tablet/i.test(userAgent)) { return 'TABLET'; }
+  if (/Mobi|Android|iPhone/i.test(userAgent)) { return 'MOBILE'; }
+  return 'DESKTOP';
+}
+
+/** Canonical string a queued bid is signed over (client builds the same) */
+function signingPayload({ scanId, artworkId, amount, placedAt, nonce }) {
+  return `${scanId}|${artworkId}|${Number(amount).toFixed(2)}|${placedAt}|${nonce}`;
+}
+
+class OfflineBidService {
+  /**
+   * Record an online scan of an artwork's QR code and, if the code allows
+   * offline bidding, hand back the key for signing queued bids.
+   * @param {string} auctionId
+   * @param {string} artworkId
+   * @param {string} userId
+   * @param {Object} [context] - utils/requestContext
+   * @returns {Object} { scanId, offlineEnabled, offlineKey, expiresAt }
+   */
+  async recordScan(auctionId, artworkId, userId, context = {}) {
+    const artworkResult = await pool.query(
+      `SELECT aw.id, au.visibility
+       FROM artwork aw
+       JOIN auctions au ON au.id = aw.auction_id
+       WHERE aw.id = $1 AND aw.auction_id = $2 AND aw.deleted_at IS NULL`,
+      [artworkId, auctionId]
+    );
+    if (artworkResult.rows.length === 0) {
+      throw new Error('ARTWORK_NOT_FOUND');
+    }
+    // Someone off an invite-only auction's guest list learns nothing about its pieces
+    if (artworkResult.rows[0].visibility === 'INVITED_ONLY' && !await auctionInviteService.canAccess(auctionId, userId)) {
+      throw new Error('ARTWORK_NOT_FOUND');
+    }
+
+    // Labels are printed client-side, so the qr_codes row is created on first scan
+    const qrResult = await pool.query(
+      `INSERT INTO qr_codes (auction_id, artwork_id, scans_count)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (artwork_id) DO UPDATE SET scans_count = qr_codes.scans_count + 1
+       RETURNING id, offline_enabled`,
+      [auctionId, artworkId]
+    );
+    const qrCode = qrResult.rows[0];
+
+    const scanResult = await pool.query(
+      `INSERT INTO qr_code_scans (qr_code_id, scanned_by_user_id, ip_address, user_agent, device_type, offline_scan)
+       VALUES ($1, $2, $3, $4, $5, FALSE)
+       RETURNING id, created_at`,
+      [qrCode.id, userId, context.ipAddress || null, context.userAgent || null, deviceType(context.userAgent)]
+    );
+    const scan = scanResult.rows[0];
+
+    if (qrCode.offline_enabled === false) {
+      return { scanId: scan.id, offlineEnabled: false, offlineKey: null, expiresAt: null };
+    }
+
+    return {
+      scanId: scan.id,
+      offlineEnabled: true,
+      offlineKey: this._deriveKey(scan.id, userId),
+      expiresAt: new Date(new Date(scan.created_at).getTime() + OFFLINE_WINDOW_MS).toISOString()
+    };
+  }
+
+  /**
+   * Replay a device's queued bids, oldest capture first.
+   * @param {string} userId
+   * @param {Array<Object>} queued - [{ scanId, artworkId, amount, placedAt, nonce, signature }]
+   * @param {Object} [context] - utils/requestContext of the sync request
+   * @returns {Array<Object>} one outcome per queued bid, in replay order:
+   *   { nonce, artworkId, amount, placedAt, status: 'ACCEPTED'|'REJECTED'|'DUPLICATE',
+   *     message, bidId?, result? }
+   */
+  async syncBids(userId, queued, context = {}) {
+    if (!Array.isArray(queued) || queued.length === 0 || queued.length > MAX_SYNC_BATCH) {
+      throw new Error('INVALID_OFFLINE_BATCH');
+    }
+
+    const ordered = [...queued].sort((a, b) => Date.parse(a.placedAt) - Date.parse(b.placedAt));
+
+    const scanIds = [...new Set(ordered.map((b) => b.scanId).filter(Boolean))];
+    const scansResult = await pool.query(
+      `SELECT s.id, s.created_at, s.scanned_by_user_id, q.id AS qr_code_id, q.artwork_id, q.offline_enabled
+       FROM qr_code_scans s
+       JOIN qr_codes q ON q.id = s.qr_code_id
+       WHERE s.id = ANY($1) AND s.offline_scan = FALSE`,
+      [scanIds]
+    );
+    const scans = new Map(scansResult.rows.map((s) => [s.id, s]));
+
+    const outcomes = [];
+    for (const bid of ordered) {
+      outcomes.push(await this._replay(userId, bid, scans.get(bid.scanId), context));
+    }
+    return outcomes;
+  }
+
+  /**
+   * Verify and place one queued bid.
+   * @private
+   */
+  async _replay(userId, bid, scan, context) {
+    const outcome = { nonce: bid.nonce, artworkId: bid.artworkId, amount: bid.amount, placedAt: bid.placedAt };
+    const reject = (message) => ({ ...outcome, status: 'REJECTED', message });
+
+    if (!scan || scan.scanned_by_user_id !== userId || scan.artwork_id !== bid.artworkId
+      || scan.offline_enabled === false) {
+      return reject('This bid was not queued from a valid scan of this artwork');
+    }
+    if (!bid.nonce || typeof bid.nonce !== 'string' || bid.nonce.length > 64) {
+      return reject('Missing bid reference');
+    }
+    const amount = Math.round(Number(bid.amount) * 100) / 100;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return reject('Invalid bid amount');
+    }
+    if (!this._verifySignature(scan.id, userId, bid)) {
+      return reject('Bid signature is invalid');
+    }
+
+    // The capture time must fall inside the scan's offline window and not in the future
+    const placedAt = Date.parse(bid.placedAt);
+    const scannedAt = new Date(scan.created_at).getTime();
+    if (!Number.isFinite(placedAt)
+      || placedAt < scannedAt - CLOCK_SKEW_MS
+      || placedAt > scannedAt + OFFLINE_WINDOW_MS
+      || placedAt > Date.now() + CLOCK_SKEW_MS) {
+      return reject('Bid timestamp is outside the offline bidding window');
+    }
+    const placedAtIso = new Date(placedAt).toISOString();
+
+    // Claim the nonce before placing, so a queue synced twice (two tabs,
+    // a retried request) can only ever place each bid once
+    const claim = await pool.query(
+      `INSERT INTO qr_code_scans (qr_code_id, scanned_by_user_id, ip_address, user_agent, device_type,
+                                  offline_scan, synced_at, offline_nonce, sync_status, created_at)
+       VALUES ($1, $2, $3, $4, $5, TRUE, NOW(), $6, 'PENDING', $7)
+       ON CONFLICT (scanned_by_user_id, offline_nonce) WHERE offline_nonce IS NOT NULL DO NOTHING
+       RETURNING id`,
+      [scan.qr_code_id, userId, context.ipAddress || null, context.userAgent || null,
+        deviceType(context.userAgent), bid.nonce, placedAtIso]
+    );
+    if (claim.rows.length === 0) {
+      return { ...outcome, status: 'DUPLICATE', message: 'Already synced' };
+    }
+    const syncRowId = claim.rows[0].id;
+
+    let result;
+    try {
+      result = await biddingService.placeBid(bid.artworkId, userId, amount, {
+        context: { ...context, offlinePlacedAt: placedAtIso }
+      });
+    } catch (error) {
+      await this._recordOutcome(syncRowId, 'REJECTED', null, error.message);
+      return reject(error.message);
+    }
+
+    await this._recordOutcome(syncRowId, 'ACCEPTED', result.bidId || null, result.message || null);
+    return { ...outcome, status: 'ACCEPTED', message: result.message, bidId: result.bidId, result };
+  }
+
+  /** @private */
+  async _recordOutcome(syncRowId, status, bidId, message) {
+    await pool.query(
+      'UPDATE qr_code_scans SET sync_status = $2, bid_id = $3, sync_message = $4 WHERE id = $1',
+      [syncRowId, status, bidId, message]
+    );
+  }
+
+  /**
+   * Per-scan signing key: HMAC of the scan and bidder under the server secret,
+   * so nothing needs storing and a key is useless for anyone else's scan.
+   * @private
+   */
+  _deriveKey(scanId, userId) {
+    const secret = process.env.JWT_ACCESS_SECRET;
+    if (!secret) {
+      throw new Error('OFFLINE_BIDS_UNAVAILABLE');
+    }
+    return crypto.createHmac('sha256', secret).update(`offline-bid|${scanId}|${userId}`).digest('hex');
+  }
+
+  /** @private */
+  _verifySignature(scanId, userId, bid) {
+    if (typeof bid.signature !== 'string' || !/^[0-9a-f]{64}$/i.test(bid.signature)) {
+      return false;
+    }
+    const expected = crypto.createHmac('sha256', this._deriveKey(scanId, userId))
+      .update(signingPayload({ ...bid, scanId }))
+      .digest();
+    return crypto.timingSafeEqual(expected, Buffer.from(bid.signature, 'hex'));
+  }
+}
+
+module.exports = new OfflineBidService();
@@ -0,0 +1,307 @@
+/**
+ * Paddle Service
+ * Paddle numbers and clerk entry for live, in-person events. Every bidder
+ * registered for an auction holds a short per-auction paddle number; at a
+ * gallery night volunteers ("clerks") key paper bid-sheet bids in against
+ * that number, through the same biddingService.placeBid validation as online
+ * bids. Walk-in guests without an account get a lightweight BIDDER record
+ * (users.is_guest) that cannot log in.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { pool } = require('../models/index');
+const biddingService = require('./biddingService');
+const fundANeedService = require('./fundANeedService');
+const auctionInviteService = require('./auctionInviteService');
+
+/** Staff who may register walk-ins and key in paper bids */
+const CLERK_ROLES = ['SITE_ADMIN', 'SCHOOL_ADMIN', 'TEACHER'];
+
+/** Registration stays open until the auction is over */
+const CLOSED_STATUSES = ['ENDED', 'CANCELLED'];
+
+/**
+ * Placeholder address for a guest who gives no email. `.invalid` is reserved
+ * (RFC 2606), so outbid and win emails to it are never delivered — staff
+ * tell the guest the result at the event.
+ */
+function guestEmail() {
+  return `guest-${crypto.randomUUID()}@guests.invalid`;
+}
+
+class PaddleService {
+  /**
+   * Register a bidder for an auction, assigning the next paddle number.
+   * Idempotent: an already-registered bidder gets their existing paddle back.
+   * Only guests may register for an invite-only auction.
+   * @param {string} auctionId
+   * @param {string} userId
+   * @returns {Object} { auctionId, userId, paddleNumber, created }
+   */
+  async registerBidder(auctionId, userId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const auction = await this._lockOpenAuction(client, auctionId);
+      if (auction.visibility === 'INVITED_ONLY' && !await auctionInviteService.canAccess(auctionId, userId)) {
+        throw new Error('AUCTION_NOT_FOUND');
+      }
+      const paddle = await this._assignPaddle(client, auctionId, userId, userId);
+      await client.query('COMMIT');
+      return paddle;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Clerk registers someone at the door. An email that matches an existing
+   * account registers that account; otherwise a guest BIDDER is created.
+   * @param {string} auctionId
+   * @param {Object} guest - { firstName, lastName?, email?, phoneNumber? }
+   * @param {Object} clerk - req.user ({ id, role, schoolId })
+   * @returns {Object} { auctionId, userId, paddleNumber, created, guest }
+   */
+  async registerWalkIn(auctionId, { firstName, lastName = null, email = null, phoneNumber = null }, clerk) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const auction = await this._lockOpenAuction(client, auctionId);
+      this._assertClerk(auction, clerk);
+
+      let userId = null;
+      if (email) {
+        const existing = await client.query(
+          'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
+          [email]
+        );
+        userId = existing.rows[0]?.id || null;
+      }
+
+      const isGuest = !userId;
+      if (isGuest) {
+        if (!firstName) {
+          throw new Error('GUEST_NAME_REQUIRED');
+        }
+        // Random, never-disclosed password: the record exists to hold bids, not to log in
+        const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+        const guestResult = await client.query(
+          `INSERT INTO users (email, password_hash, first_name, last_name, phone_number, role,
+                              school_id, account_status, is_guest)
+           VALUES ($1, $2, $3, $4, $5, 'BIDDER', $6, 'ACTIVE', TRUE)
+           RETURNING id`,
+          [email || guestEmail(), passwordHash, firstName, lastName, phoneNumber, auction.school_id]
+        );
+        userId = guestResult.rows[0].id;
+      }
+
+      const paddle = await this._assignPaddle(client, auctionId, userId, clerk.id);
+
+      await client.query('COMMIT');
+      return { ...paddle, guest: isGuest };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * The caller's paddle for an auction, or null if they haven't registered.
+   */
+  async getPaddle(auctionId, userId) {
+    const result = await pool.query(
+      'SELECT paddle_number FROM auction_paddles WHERE auction_id = $1 AND user_id = $2',
+      [auctionId, userId]
+    );
+    return result.rows.length > 0
+      ? { auctionId, userId, paddleNumber: result.rows[0].paddle_number }
+      : null;
+  }
+
+  /**
+   * Every paddle registered for an auction, for the clerk's lookup sheet.
+   * @param {string} auctionId
+   * @param {Object} clerk - req.user
+   */
+  async listPaddles(auctionId, clerk) {
+    const auctionResult = await pool.query(
+      'SELECT id, school_id FROM auctions WHERE id = $1 AND deleted_at IS NULL',
+      [auctionId]
+    );
+    if (auctionResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    this._assertClerk(auctionResult.rows[0], clerk);
+
+    const result = await pool.query(
+      `SELECT p.paddle_number, p.user_id, p.created_at,
+              u.first_name, u.last_name, u.is_guest
+       FROM auction_paddles p
+       JOIN users u ON u.id = p.user_id
+       WHERE p.auction_id = $1
+       ORDER BY p.paddle_number ASC`,
+      [auctionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Key in a paper bid for a paddle. Goes through biddingService.placeBid, so
+   * increments, proxies, reserves, soft close and approval all apply; the bid
+   * and its audit row are tagged with the clerk who entered it.
+   * @param {string} auctionId
+   * @param {Object} entry - { paddleNumber, artworkId, bidAmount }
+   * @param {Object} clerk - req.user
+   * @param {Object} [context] - utils/requestContext of the clerk's request
+   * @returns {Object} placeBid's result plus { paddleNumber, bidderName }
+   */
+  async placeClerkBid(auctionId, { paddleNumber, artworkId, bidAmount }, clerk, context = {}) {
+    const lookup = await pool.query(
+      `SELECT au.school_id, aw.auction_id AS artwork_auction_id,
+              p.user_id, u.first_name, u.last_name
+       FROM auctions au
+       LEFT JOIN artwork aw        ON aw.id = $3 AND aw.deleted_at IS NULL
+       LEFT JOIN auction_paddles p ON p.auction_id = au.id AND p.paddle_number = $2
+       LEFT JOIN users u           ON u.id = p.user_id
+       WHERE au.id = $1 AND au.deleted_at IS NULL`,
+      [auctionId, paddleNumber, artworkId]
+    );
+
+    if (lookup.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    const row = lookup.rows[0];
+    this._assertClerk(row, clerk);
+
+    if (!row.user_id) {
+      throw new Error('PADDLE_NOT_FOUND');
+    }
+    if (row.artwork_auction_id !== auctionId) {
+      throw new Error('ARTWORK_NOT_IN_AUCTION');
+    }
+
+    const result = await biddingService.placeBid(artworkId, row.user_id, bidAmount, {
+      context: { ...context, enteredByUserId: clerk.id }
+    });
+
+    return {
+      ...result,
+      paddleNumber,
+      bidderName: [row.first_name, row.last_name].filter(Boolean).join(' ')
+    };
+  }
+
+  /**
+   * Key in a raised paddle for a Fund-a-Need item at one of its giving
+   * levels. The pledge is tagged with the clerk who entered it.
+   * @param {string} auctionId
+   * @param {Object} entry - { paddleNumber, itemId, amount }
+   * @param {Object} clerk - req.user
+   * @returns {Object} fundANeedService.pledge's result plus { paddleNumber, bidderName }
+   */
+  async placeClerkPledge(auctionId, { paddleNumber, itemId, amount }, clerk) {
+    const lookup = await pool.query(
+      `SELECT au.school_id, p.user_id, u.first_name, u.last_name
+       FROM auctions au
+       LEFT JOIN auction_paddles p ON p.auction_id = au.id AND p.paddle_number = $2
+       LEFT JOIN users u           ON u.id = p.user_id
+       WHERE au.id = $1 AND au.deleted_at IS NULL`,
+      [auctionId, paddleNumber]
+    );
+
+    if (lookup.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    const row = lookup.rows[0];
+    this._assertClerk(row, clerk);
+
+    if (!row.user_id) {
+      throw new Error('PADDLE_NOT_FOUND');
+    }
+
+    const result = await fundANeedService.pledge(auctionId, itemId, row.user_id, amount, {
+      enteredByUserId: clerk.id
+    });
+
+    return {
+      ...result,
+      paddleNumber,
+      bidderName: [row.first_name, row.last_name].filter(Boolean).join(' ')
+    };
+  }
+
+  /**
+   * Lock the auction row (serializes paddle numbering) and make sure it is
+   * still taking registrations.
+   * @private
+   */
+  async _lockOpenAuction(client, auctionId) {
+    const result = await client.query(
+      'SELECT id, school_id, auction_status, visibility FROM auctions WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [auctionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    if (CLOSED_STATUSES.includes(result.rows[0].auction_status)) {
+      throw new Error('AUCTION_CLOSED');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Existing paddle, or the next number up. Caller holds the auction lock.
+   * @private
+   */
+  async _assignPaddle(client, auctionId, userId, registeredByUserId) {
+    const existing = await client.query(
+      'SELECT paddle_number FROM auction_paddles WHERE auction_id = $1 AND user_id = $2',
+      [auctionId, userId]
+    );
+    if (existing.rows.length > 0) {
+      return { auctionId, userId, paddleNumber: existing.rows[0].paddle_number, created: false };
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO auction_paddles (auction_id, paddle_number, user_id, registered_by_user_id)
+       SELECT $1, COALESCE(MAX(paddle_number), 0) + 1, $2, $3
+       FROM auction_paddles WHERE auction_id = $1
+       RETURNING paddle_number`,
+      [auctionId, userId, registeredByUserId]
+    );
+    const paddleNumber = inserted.rows[0].paddle_number;
+
+    await client.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      ['BID', 'paddle_assigned', 'auction', auctionId,
+        JSON.stringify({ paddle_number: paddleNumber, bidder_user_id: userId }), registeredByUserId]
+    );
+
+    return { auctionId, userId, paddleNumber, created: true };
+  }
+
+  /**
+   * Clerks work their own school's events; SITE_ADMIN works any.
+   * @private
+   */
+  _assertClerk(auction, clerk) {
+    if (!clerk || !CLERK_ROLES.includes(clerk.role)) {
+      throw new Error('INSUFFICIENT_PERMISSIONS');
+    }
+    if (clerk.role !== 'SITE_ADMIN' && clerk.schoolId !== auction.school_id) {
+      throw new Error('CROSS_SCHOOL_ACCESS_DENIED');
+    }
+  }
+}
+
+module.exports = new PaddleService();
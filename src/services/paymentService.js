@@ -11,6 +11,8 @@ const crypto = require('crypto');
 // Use Node.js built-in randomUUID instead of uuid package
 const uuidv4 = () => crypto.randomUUID();
 
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
 // ============================================================================
 // 4.1 Payment Gateway Interface (Abstract)
 // ============================================================================
@@ -313,9 +315,10 @@ class SquareGateway extends PaymentGateway {
         throw new Error('Invalid signature');
       }
 
+      // Square events carry their id in event_id; data.id is the object's id
       return {
         eventType: webhookData.type,
-        eventId: webhookData.id,
+        eventId: webhookData.event_id,
         data: webhookData.data
       };
     } catch (error) {
@@ -499,6 +502,42 @@ class PayPalGateway extends PaymentGateway {
   }
 }
 
+// ============================================================================
+// 4.3c Authorize.net Gateway Implementation (webhooks only)
+// ============================================================================
+
+/**
+ * Verifies Authorize.net webhook notifications. Charging through Authorize.net
+ * is not built yet, so every other gateway method still throws.
+ */
+class AuthorizeNetGateway extends PaymentGateway {
+  /**
+   * X-ANET-Signature is "sha512=" + the HMAC-SHA512 of the raw body, keyed
+   * with the merchant's Signature Key.
+   * @param {string|Buffer} webhookData - Request body exactly as received
+   * @param {string} signature - X-ANET-Signature header
+   */
+  async validateWebhook(webhookData, signature) {
+    try {
+      const expected = crypto.createHmac('sha512', this.config.signatureKey).update(webhookData).digest('hex');
+      const received = String(signature || '').replace(/^sha512=/i, '').toLowerCase();
+      if (received.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))) {
+        throw new Error('Invalid signature');
+      }
+
+      const notification = JSON.parse(webhookData);
+      return {
+        eventType: notification.eventType,
+        eventId: notification.notificationId,
+        data: notification.payload
+      };
+    } catch (error) {
+      throw new Error(`AUTHORIZE_NET_WEBHOOK_INVALID: ${error.message}`);
+    }
+  }
+}
+
 // ============================================================================
 // 4.4 Payment Service (Multi-Gateway Orchestration)
 // ============================================================================
@@ -517,16 +556,28 @@ class PaymentService {
    * @returns {Promise<Object>} - Transaction result
    */
   async processPayment(paymentData) {
+    // A whole invoice (every unpaid win and pledge in the auction) is one charge
+    if (paymentData.invoice) {
+      return this._processInvoicePayment(paymentData);
+    }
+
     const {
       userId,
-      auctionId,
       artworkId,
-      amount,
+      pledgeId,
       currency,
       paymentMethodId,
       gatewayId,
       metadata
     } = paymentData;
+    let { auctionId, amount } = paymentData;
+
+    // A Fund-a-Need pledge is charged exactly what was pledged
+    if (pledgeId) {
+      const pledge = await this._getUnpaidPledge(pledgeId, userId);
+      auctionId = pledge.auction_id;
+      amount = parseFloat(pledge.amount);
+    }
 
     // Validate amount
     if (amount <= 0) {
@@ -536,8 +587,9 @@ class PaymentService {
     // Get payment method (tokenized)
     const paymentMethod = await this._getPaymentMethod(paymentMethodId);
 
-    // Get payment gateway config
-    const gatewayConfig = await this._getGatewayConfig(gatewayId);
+    // Get payment gateway config; by default the gateway of the school whose piece sold
+    const resolvedGatewayId = gatewayId || await this._selectGatewayId(auctionId, artworkId);
+    const gatewayConfig = await this._getGatewayConfig(resolvedGatewayId);
 
     // Fraud detection checks
     await this.fraudDetectionService.checkTransaction({
@@ -567,20 +619,24 @@ class PaymentService {
         metadata: {
           auctionId,
           artworkId,
+          pledgeId,
           buyerId: userId
         }
       });
 
-      // Calculate platform fee
-      const feeCalculation = await this._calculatePlatformFee(auctionId, amount);
+      // Calculate platform fee; donations carry none, same as on an invoice
+      const feeCalculation = pledgeId
+        ? { platformFee: 0 }
+        : await this._calculatePlatformFee(auctionId, amount);
 
       // Record transaction
       const transaction = await this._recordTransaction({
         auctionId,
         artworkId,
+        pledgeId,
         buyerId: userId,
         paymentMethodId,
-        gatewayId,
+        gatewayId: resolvedGatewayId,
         hammerAmount: amount,
         platformFee: feeCalculation.platformFee,
         totalAmount: amount + feeCalculation.platformFee,
@@ -590,11 +646,15 @@ class PaymentService {
         idempotencyKey
       });
 
+      if (pledgeId) {
+        await this._markPledgePaid(pledgeId, transaction.id);
+      }
+
       // Record compliance audit
       await this.complianceService.logTransaction({
         transactionId: transaction.id,
         userId,
-        action: 'PAYMENT_PROCESSED',
+        action: pledgeId ? 'PLEDGE_PAYMENT_PROCESSED' : 'PAYMENT_PROCESSED',
         amount,
         gatewayType: gatewayConfig.gateway_type
       });
@@ -613,9 +673,10 @@ class PaymentService {
       await this._recordFailedTransaction({
         auctionId,
         artworkId,
+        pledgeId,
         buyerId: userId,
         paymentMethodId,
-        gatewayId,
+        gatewayId: resolvedGatewayId,
         amount,
         errorMessage: error.message,
         idempotencyKey
@@ -625,6 +686,306 @@ class PaymentService {
     }
   }
 
+  /**
+   * A buyer's consolidated invoice for one auction: every won piece not yet
+   * paid for, with its platform fee, and every unpaid Fund-a-Need pledge
+   * (donations carry no fee).
+   * @param {string} userId - Buyer
+   * @param {string} auctionId - Auction UUID
+   * @param {Object} [db] - Client to read through (checkout reads inside its transaction)
+   * @returns {Promise<Object>} - { auctionId, auctionTitle, items, pledges,
+   *   hammerTotal, platformFeeTotal, pledgeTotal, totalAmount }
+   */
+  async getInvoice(userId, auctionId, db = this.db) {
+    const auction = await db.query(
+      'SELECT id, title FROM auctions WHERE id = $1 AND deleted_at IS NULL',
+      [auctionId]
+    );
+
+    if (auction.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+
+    // Pieces paid for (or refunded) already, online or at pickup, are settled
+    // and stay off the invoice
+    const wins = await db.query(
+      `SELECT b.id AS bid_id, b.bid_amount, aw.id AS artwork_id, aw.title AS artwork_title
+       FROM bids b
+       JOIN artwork aw ON aw.id = b.artwork_id
+       WHERE b.placed_by_user_id = $1 AND b.auction_id = $2 AND b.bid_status = 'ACCEPTED'
+         AND NOT EXISTS (
+           SELECT 1 FROM transactions t
+           WHERE t.artwork_id = b.artwork_id AND t.buyer_user_id = $1
+             AND t.transaction_status IN ('COMPLETED', 'REFUNDED')
+         )
+         AND NOT EXISTS (SELECT 1 FROM offline_payments op WHERE op.artwork_id = b.artwork_id)
+       ORDER BY b.placed_at ASC`,
+      [userId, auctionId]
+    );
+
+    const pledges = await db.query(
+      `SELECT p.id, p.amount, i.title
+       FROM fund_a_need_pledges p
+       JOIN fund_a_need_items i ON i.id = p.item_id
+       WHERE p.user_id = $1 AND p.auction_id = $2 AND p.pledge_status = 'PLEDGED'
+       ORDER BY p.created_at ASC`,
+      [userId, auctionId]
+    );
+
+    const fees = await Promise.all(
+      wins.rows.map(row => this._calculatePlatformFee(auctionId, parseFloat(row.bid_amount)))
+    );
+
+    const items = wins.rows.map((row, i) => ({
+      bidId: row.bid_id,
+      artworkId: row.artwork_id,
+      title: row.artwork_title,
+      hammerAmount: roundCents(fees[i].hammerAmount),
+      platformFee: roundCents(fees[i].platformFee),
+      totalAmount: roundCents(fees[i].hammerAmount + fees[i].platformFee)
+    }));
+    const pledgeLines = pledges.rows.map(row => ({
+      pledgeId: row.id,
+      title: row.title,
+      amount: roundCents(parseFloat(row.amount))
+    }));
+
+    const hammerTotal = roundCents(items.reduce((sum, item) => sum + item.hammerAmount, 0));
+    const platformFeeTotal = roundCents(items.reduce((sum, item) => sum + item.platformFee, 0));
+    const pledgeTotal = roundCents(pledgeLines.reduce((sum, pledge) => sum + pledge.amount, 0));
+
+    return {
+      auctionId,
+      auctionTitle: auction.rows[0].title,
+      items,
+      pledges: pledgeLines,
+      hammerTotal,
+      platformFeeTotal,
+      pledgeTotal,
+      totalAmount: roundCents(hammerTotal + platformFeeTotal + pledgeTotal)
+    };
+  }
+
+  /**
+   * Charge a buyer's whole invoice once, then split the charge into one
+   * transactions row per piece and per pledge (all sharing the gateway
+   * transaction and the invoice) so refunds and fulfillment still work item
+   * by item.
+   *
+   * The buyer's wins and pledges are locked for the whole checkout, so a
+   * second request waits and then finds nothing left to pay. The caller's
+   * Idempotency-Key is sent to the gateway and stored on the invoice; a retry
+   * with the key of a paid invoice gets that invoice back without a charge.
+   * @private
+   */
+  async _processInvoicePayment(paymentData) {
+    const { userId, auctionId, amount, currency, paymentMethodId, gatewayId, metadata = {} } = paymentData;
+    const idempotencyKey = paymentData.idempotencyKey || uuidv4();
+
+    const client = await this.db.connect();
+    let chargeResult = null;
+    let settled = false;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `SELECT id FROM bids
+         WHERE placed_by_user_id = $1 AND auction_id = $2 AND bid_status = 'ACCEPTED'
+         FOR UPDATE`,
+        [userId, auctionId]
+      );
+      await client.query(
+        `SELECT id FROM fund_a_need_pledges
+         WHERE user_id = $1 AND auction_id = $2 AND pledge_status = 'PLEDGED'
+         FOR UPDATE`,
+        [userId, auctionId]
+      );
+
+      // Read after the lock so a request that waited sees the first one's result
+      const existing = await this._getInvoiceByIdempotencyKey(idempotencyKey, userId, client);
+      if (existing) {
+        if (existing.invoice_status !== 'PAID') {
+          throw new Error('IDEMPOTENCY_KEY_REUSED');
+        }
+        await client.query('ROLLBACK');
+        settled = true;
+        return this._invoicePaymentResult(existing);
+      }
+
+      const invoice = await this.getInvoice(userId, auctionId, client);
+      if (invoice.items.length === 0 && invoice.pledges.length === 0) {
+        throw new Error('NOTHING_TO_PAY');
+      }
+      // The buyer agreed to the total they were shown; a new win since then means a new look
+      if (amount !== undefined && amount !== null && roundCents(Number(amount)) !== invoice.totalAmount) {
+        throw new Error('INVOICE_AMOUNT_MISMATCH');
+      }
+
+      const paymentMethod = await this._getPaymentMethod(paymentMethodId);
+
+      // One charge needs one gateway: a joint auction whose partner schools take
+      // their own payments is paid school by school instead
+      let resolvedGatewayId = gatewayId;
+      if (!resolvedGatewayId) {
+        const gatewayIds = await Promise.all([
+          ...invoice.items.map(item => this._selectGatewayId(auctionId, item.artworkId)),
+          ...(invoice.pledges.length > 0 ? [this._selectGatewayId(auctionId, null)] : [])
+        ]);
+        if (new Set(gatewayIds).size > 1) {
+          throw new Error('INVOICE_SPANS_GATEWAYS');
+        }
+        resolvedGatewayId = gatewayIds[0];
+      }
+      const gatewayConfig = await this._getGatewayConfig(resolvedGatewayId);
+
+      await this.fraudDetectionService.checkTransaction({
+        userId,
+        amount: invoice.totalAmount,
+        paymentMethod,
+        metadata
+      });
+
+      const gateway = this.gateways[gatewayConfig.gateway_type];
+      if (!gateway) {
+        throw new Error('GATEWAY_NOT_AVAILABLE');
+      }
+
+      try {
+        chargeResult = await gateway.chargeCard({
+          amount: invoice.totalAmount,
+          currency: currency || 'USD',
+          token: paymentMethod.token,
+          idempotencyKey,
+          customerEmail: metadata.customerEmail,
+          metadata: {
+            auctionId,
+            buyerId: userId,
+            itemCount: invoice.items.length,
+            pledgeCount: invoice.pledges.length
+          }
+        });
+      } catch (error) {
+        await this._recordInvoice({
+          auctionId, buyerId: userId, gatewayId: resolvedGatewayId, invoice, invoiceStatus: 'FAILED', idempotencyKey
+        }, client);
+        await client.query('COMMIT');
+        settled = true;
+        throw error;
+      }
+
+      // The invoice and every line are written together or not at all
+      const invoiceRow = await this._recordInvoice({
+        auctionId,
+        buyerId: userId,
+        gatewayId: resolvedGatewayId,
+        gatewayTransactionId: chargeResult.transactionId,
+        invoice,
+        invoiceStatus: 'PAID',
+        idempotencyKey
+      }, client);
+
+      const line = {
+        auctionId,
+        buyerId: userId,
+        paymentMethodId,
+        gatewayId: resolvedGatewayId,
+        gatewayTransactionId: chargeResult.transactionId,
+        transactionStatus: 'COMPLETED',
+        gatewayResponse: chargeResult,
+        invoiceId: invoiceRow.id
+      };
+      const audit = [];
+      for (const item of invoice.items) {
+        const transaction = await this._recordTransaction({
+          ...line,
+          artworkId: item.artworkId,
+          hammerAmount: item.hammerAmount,
+          platformFee: item.platformFee,
+          totalAmount: item.totalAmount,
+          idempotencyKey: uuidv4()
+        }, client);
+        audit.push({ transactionId: transaction.id, action: 'PAYMENT_PROCESSED', amount: item.totalAmount });
+      }
+      for (const pledge of invoice.pledges) {
+        const transaction = await this._recordTransaction({
+          ...line,
+          pledgeId: pledge.pledgeId,
+          hammerAmount: pledge.amount,
+          platformFee: 0,
+          totalAmount: pledge.amount,
+          idempotencyKey: uuidv4()
+        }, client);
+        await this._markPledgePaid(pledge.pledgeId, transaction.id, client);
+        audit.push({ transactionId: transaction.id, action: 'PLEDGE_PAYMENT_PROCESSED', amount: pledge.amount });
+      }
+
+      await client.query('COMMIT');
+      settled = true;
+
+      for (const entry of audit) {
+        await this.complianceService.logTransaction({
+          ...entry,
+          userId,
+          gatewayType: gatewayConfig.gateway_type
+        });
+      }
+
+      return {
+        invoiceId: invoiceRow.id,
+        transactionIds: audit.map(entry => entry.transactionId),
+        gatewayTransactionId: chargeResult.transactionId,
+        status: 'COMPLETED',
+        hammerTotal: invoice.hammerTotal,
+        platformFee: invoice.platformFeeTotal,
+        pledgeTotal: invoice.pledgeTotal,
+        totalAmount: invoice.totalAmount,
+        timestamp: chargeResult.timestamp
+      };
+    } catch (error) {
+      if (!settled) {
+        await client.query('ROLLBACK');
+      }
+      if (chargeResult && !settled) {
+        // Money was taken but nothing was recorded: needs reconciling by hand
+        console.error(`[payments] invoice charge ${chargeResult.transactionId} captured but not recorded:`, error.message);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _getInvoiceByIdempotencyKey(idempotencyKey, userId, db = this.db) {
+    const result = await db.query(
+      `SELECT i.*,
+              ARRAY(SELECT t.id FROM transactions t WHERE t.invoice_id = i.id ORDER BY t.created_at) AS transaction_ids
+       FROM payment_invoices i
+       WHERE i.idempotency_key = $1 AND i.buyer_user_id = $2`,
+      [idempotencyKey, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The processPayment result for an invoice paid earlier.
+   * @private
+   */
+  _invoicePaymentResult(row) {
+    return {
+      invoiceId: row.id,
+      transactionIds: row.transaction_ids,
+      gatewayTransactionId: row.gateway_transaction_id,
+      status: 'COMPLETED',
+      hammerTotal: parseFloat(row.hammer_total),
+      platformFee: parseFloat(row.platform_fee_total),
+      pledgeTotal: parseFloat(row.pledge_total),
+      totalAmount: parseFloat(row.total_amount),
+      timestamp: row.created_at
+    };
+  }
+
   /**
    * Refund a completed transaction
    * @param {string} transactionId - Transaction UUID
@@ -735,6 +1096,32 @@ class PaymentService {
     }
   }
 
+  /**
+   * Verify an inbound webhook with the gateway it claims to come from.
+   * @param {string} gatewayType - STRIPE, SQUARE, PAYPAL, AUTHORIZE_NET
+   * @param {string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lower-cased)
+   * @returns {Promise<Object>} { eventId, eventType, data }
+   * @throws {Error} WEBHOOK_GATEWAY_NOT_CONFIGURED, or the gateway's *_WEBHOOK_INVALID
+   */
+  async verifyWebhook(gatewayType, rawBody, headers) {
+    const gateway = this.gateways[gatewayType];
+    if (!gateway) {
+      throw new Error('WEBHOOK_GATEWAY_NOT_CONFIGURED');
+    }
+
+    switch (gatewayType) {
+      case 'PAYPAL':
+        return gateway.validateWebhook(rawBody, headers);
+      case 'SQUARE':
+        return gateway.validateWebhook(JSON.parse(rawBody), headers['x-square-hmacsha256-signature'] || headers['x-webhook-signature']);
+      case 'AUTHORIZE_NET':
+        return gateway.validateWebhook(rawBody, headers['x-anet-signature'] || headers['x-webhook-signature']);
+      default:
+        return gateway.validateWebhook(rawBody, headers['stripe-signature'] || headers['x-webhook-signature']);
+    }
+  }
+
   /**
    * Calculate platform fee with minimum and maximum rules
    * @param {string} auctionId - Auction UUID
@@ -783,6 +1170,30 @@ class PaymentService {
     return result.rows[0];
   }
 
+  /**
+   * The gateway a sale is paid through: the auction's, unless the piece
+   * belongs to an accepted partner school in a joint auction, whose own
+   * gateway then takes the payment.
+   * @private
+   */
+  async _selectGatewayId(auctionId, artworkId) {
+    const result = await this.db.query(
+      `SELECT COALESCE(ps.payment_gateway_id, au.payment_gateway_id) AS gateway_id
+       FROM auctions au
+       LEFT JOIN artwork aw ON aw.id = $2 AND aw.auction_id = au.id
+       LEFT JOIN auction_partner_schools ps
+         ON ps.auction_id = au.id AND ps.school_id = aw.school_id AND ps.partner_status = 'ACCEPTED'
+       WHERE au.id = $1`,
+      [auctionId, artworkId || null]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('GATEWAY_NOT_FOUND');
+    }
+
+    return result.rows[0].gateway_id;
+  }
+
   async _getGatewayConfig(gatewayId) {
     const result = await this.db.query(
       'SELECT id, gateway_type, api_key_encrypted, api_secret_encrypted FROM payment_gateways WHERE id = $1',
@@ -796,6 +1207,36 @@ class PaymentService {
     return result.rows[0];
   }
 
+  /**
+   * The user's own Fund-a-Need pledge, if it still needs paying.
+   * @private
+   */
+  async _getUnpaidPledge(pledgeId, userId) {
+    const result = await this.db.query(
+      `SELECT id, auction_id, amount FROM fund_a_need_pledges
+       WHERE id = $1 AND user_id = $2 AND pledge_status = 'PLEDGED'`,
+      [pledgeId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('PLEDGE_NOT_FOUND');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  async _markPledgePaid(pledgeId, transactionId, db = this.db) {
+    await db.query(
+      `UPDATE fund_a_need_pledges
+       SET pledge_status = 'PAID', paid_at = CURRENT_TIMESTAMP, transaction_id = $2
+       WHERE id = $1 AND pledge_status = 'PLEDGED'`,
+      [pledgeId, transactionId]
+    );
+  }
+
   async _getTransaction(transactionId) {
     const result = await this.db.query(
       'SELECT * FROM transactions WHERE id = $1',
@@ -809,10 +1250,11 @@ class PaymentService {
     return result.rows[0];
   }
 
-  async _recordTransaction(transactionData) {
+  async _recordTransaction(transactionData, db = this.db) {
     const {
       auctionId,
       artworkId,
+      pledgeId,
       buyerId,
       paymentMethodId,
       gatewayId,
@@ -822,15 +1264,16 @@ class PaymentService {
       gatewayTransactionId,
       transactionStatus,
       gatewayResponse,
-      idempotencyKey
+      idempotencyKey,
+      invoiceId
     } = transactionData;
 
-    const result = await this.db.query(
+    const result = await db.query(
       `INSERT INTO transactions (
         auction_id, artwork_id, buyer_user_id, payment_method_id, gateway_id,
         hammer_amount, platform_fee, total_amount, gateway_transaction_id,
-        transaction_status, payment_gateway_response, idempotency_key
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        transaction_status, payment_gateway_response, idempotency_key, pledge_id, invoice_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *`,
       [
         auctionId,
@@ -844,6 +1287,35 @@ class PaymentService {
         gatewayTransactionId,
         transactionStatus,
         JSON.stringify(gatewayResponse),
+        idempotencyKey,
+        pledgeId || null,
+        invoiceId || null
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * @private
+   */
+  async _recordInvoice({ auctionId, buyerId, gatewayId, gatewayTransactionId = null, invoice, invoiceStatus, idempotencyKey }, db = this.db) {
+    const result = await db.query(
+      `INSERT INTO payment_invoices (
+        auction_id, buyer_user_id, gateway_id, gateway_transaction_id,
+        hammer_total, platform_fee_total, pledge_total, total_amount, invoice_status, idempotency_key
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *`,
+      [
+        auctionId,
+        buyerId,
+        gatewayId,
+        gatewayTransactionId,
+        invoice.hammerTotal,
+        invoice.platformFeeTotal,
+        invoice.pledgeTotal,
+        invoice.totalAmount,
+        invoiceStatus,
         idempotencyKey
       ]
     );
@@ -856,8 +1328,8 @@ class PaymentService {
     const result = await this.db.query(
       `INSERT INTO transactions (
         auction_id, artwork_id, buyer_user_id, payment_method_id, gateway_id,
-        hammer_amount, total_amount, transaction_status, payment_gateway_response, idempotency_key
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'FAILED', $8, $9)
+        hammer_amount, total_amount, transaction_status, payment_gateway_response, idempotency_key, pledge_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'FAILED', $8, $9, $10)
       RETURNING *`,
       [
         transactionData.auctionId,
@@ -868,7 +1340,8 @@ class PaymentService {
         transactionData.amount,
         transactionData.amount,
         JSON.stringify({ error: transactionData.errorMessage }),
-        transactionData.idempotencyKey
+        transactionData.idempotencyKey,
+        transactionData.pledgeId || null
       ]
     );
 
@@ -1067,6 +1540,7 @@ module.exports = {
   StripeGateway,
   SquareGateway,
   PayPalGateway,
+  AuthorizeNetGateway,
   PaymentService,
   FraudDetectionService
 };
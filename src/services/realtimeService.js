@@ -6,6 +6,7 @@
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const { tokenBlacklist } = require('./authenticationService');
+const auctionInviteService = require('./auctionInviteService');
 
 class RealtimeService {
   constructor() {
@@ -62,7 +63,10 @@ class RealtimeService {
           });
           break;
         case 'subscribe':
-          this._handleSubscribe(ws, data);
+          this._handleSubscribe(ws, data).catch((err) => {
+            console.error('Subscription error:', err.message);
+            ws.send(JSON.stringify({ type: 'error', message: 'Subscription failed' }));
+          });
           break;
         case 'unsubscribe':
           this._handleUnsubscribe(ws, data);
@@ -189,7 +193,7 @@ class RealtimeService {
    * Handle subscription to auction/artwork updates
    * @private
    */
-  _handleSubscribe(ws, data) {
+  async _handleSubscribe(ws, data) {
     if (!ws.userId) {
       ws.send(JSON.stringify({
         type: 'error',
@@ -226,6 +230,15 @@ class RealtimeService {
       return;
     }
 
+    // Invite-only auctions: only their guests (and staff) may follow the bidding
+    if (!await auctionInviteService.canAccessResource(resourceId, ws.userId)) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        message: 'Not authorized to subscribe to this resource'
+      }));
+      return;
+    }
+
     const subscriptions = this.subscriptions.get(ws.userId);
     subscriptions.add(resourceId);
 
@@ -388,6 +401,39 @@ class RealtimeService {
     console.log(`Broadcasted auction status change for ${auctionId}: ${status}`);
   }
 
+  /**
+   * Broadcast a Fund-a-Need item's new running total (projector screen and
+   * auction page)
+   * @param {string} auctionId - ID of auction
+   * @param {Object} totals - { itemId, title, goalAmount, pledgeCount, totalPledged, lastPledge }
+   */
+  broadcastFundANeedUpdate(auctionId, totals) {
+    const event = {
+      type: 'fund_a_need_update',
+      auctionId,
+      data: totals,
+      timestamp: new Date()
+    };
+
+    if (!this.eventHistory.has(auctionId)) {
+      this.eventHistory.set(auctionId, []);
+    }
+    const history = this.eventHistory.get(auctionId);
+    history.push(event);
+    if (history.length > 50) {history.shift();}
+
+    this.clients.forEach((connections, userId) => {
+      const subscriptions = this.subscriptions.get(userId) || new Set();
+      if (subscriptions.has(auctionId)) {
+        connections.forEach((ws) => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(event));
+          }
+        });
+      }
+    });
+  }
+
   /**
    * Broadcast auction ending soon notification
    * @param {string} auctionId - ID of auction
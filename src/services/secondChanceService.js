@@ -0,0 +1,432 @@
+/**
+ * Second-Chance Service
+ * Recovers a sale when a winner doesn't pay: the unpaid win is voided and the
+ * piece is offered to the next-highest distinct bidder at their own highest
+ * bid. Offers carry an emailed, expiring accept link; a declined or expired
+ * offer moves on to the following bidder until someone accepts or the bidders
+ * run out. Every step is written to audit_logs.
+ */
+
+const crypto = require('crypto');
+const { pool } = require('../models/index');
+const {
+  getSharedEmailProvider, notifyAuctionWon, notifySecondChanceOffer, notifyWinVoided
+} = require('./notificationService');
+
+/** A win counts as paid once a sale for it is at least authorized */
+const PAID_STATUSES = ['AUTHORIZED', 'CHARGED', 'COMPLETED'];
+
+class SecondChanceService {
+  /**
+   * Void an unpaid win and offer the piece to the runner-up.
+   * @param {string} bidId - The ACCEPTED (winning) bid
+   * @param {Object} [options]
+   * @param {string|null} [options.voidedByUserId] - Admin voiding it; null for the scheduler
+   * @param {string} [options.reason] - Recorded in the audit log and shown to the winner
+   * @returns {Object} { bidId, artworkId, auctionId, offer } — offer is null when no bidder is left
+   */
+  async voidUnpaidWin(bidId, { voidedByUserId = null, reason = 'Payment not received' } = {}) {
+    const client = await pool.connect();
+    let offer = null;
+    let win;
+
+    try {
+      await client.query('BEGIN');
+
+      win = await this._lockWin(client, bidId);
+
+      const paid = await client.query(
+        `SELECT 1 FROM transactions
+         WHERE artwork_id = $1 AND buyer_user_id = $2
+           AND transaction_type = 'SALE' AND transaction_status = ANY($3)
+         UNION ALL
+         SELECT 1 FROM offline_payments WHERE artwork_id = $1
+         LIMIT 1`,
+        [win.artwork_id, win.placed_by_user_id, PAID_STATUSES]
+      );
+      if (paid.rows.length > 0) {
+        throw new Error('WIN_ALREADY_PAID');
+      }
+
+      await client.query(
+        'UPDATE bids SET bid_status = \'VOIDED\', updated_at = NOW() WHERE id = $1',
+        [bidId]
+      );
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['BID', 'win_voided', 'artwork', win.artwork_id, JSON.stringify({
+          bid_id: bidId,
+          winner_id: win.placed_by_user_id,
+          amount: parseFloat(win.bid_amount),
+          reason,
+          by: voidedByUserId ? 'admin' : 'scheduler'
+        }), voidedByUserId]
+      );
+
+      offer = await this._offerToNextBidder(client, win);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    setImmediate(() => {
+      const emailProvider = getSharedEmailProvider();
+      notifyWinVoided(emailProvider, pool, {
+        userId: win.placed_by_user_id,
+        email: win.email,
+        firstName: win.first_name,
+        artworkTitle: win.title,
+        reason
+      }).catch(err => console.error('[notification] win voided failed:', err.message));
+      this._sendOffer(emailProvider, offer, win.title);
+    });
+
+    return {
+      success: true,
+      bidId,
+      artworkId: win.artwork_id,
+      auctionId: win.auction_id,
+      offer: offer && { offerId: offer.id, userId: offer.userId, amount: offer.amount, expiresAt: offer.expiresAt }
+    };
+  }
+
+  /**
+   * Load an offer for its recipient, checking the emailed token.
+   * @param {string} offerId
+   * @param {string} token - Raw token from the accept link
+   * @param {string} userId - Logged-in user; must be the recipient
+   * @returns {Object} Offer details for the accept page
+   */
+  async getOffer(offerId, token, userId) {
+    const result = await pool.query(
+      `SELECT o.id, o.offer_amount, o.offer_status, o.expires_at, o.offered_to_user_id, o.token_hash,
+              o.artwork_id, aw.title AS artwork_title, o.auction_id, au.title AS auction_title
+       FROM second_chance_offers o
+       JOIN artwork aw ON aw.id = o.artwork_id
+       JOIN auctions au ON au.id = o.auction_id
+       WHERE o.id = $1`,
+      [offerId]
+    );
+
+    const offer = result.rows[0];
+    this._verifyRecipient(offer, token, userId);
+
+    return {
+      offerId: offer.id,
+      artworkId: offer.artwork_id,
+      artworkTitle: offer.artwork_title,
+      auctionId: offer.auction_id,
+      auctionTitle: offer.auction_title,
+      amount: parseFloat(offer.offer_amount),
+      status: offer.offer_status,
+      expiresAt: offer.expires_at,
+      expired: offer.offer_status === 'PENDING' && new Date(offer.expires_at) <= new Date()
+    };
+  }
+
+  /**
+   * Accept or decline an offer. Accepting makes the recipient's bid the
+   * winning (ACCEPTED) bid; declining moves the offer to the next bidder.
+   * @param {string} offerId
+   * @param {string} token - Raw token from the accept link
+   * @param {string} userId - Logged-in user; must be the recipient
+   * @param {boolean} accept
+   * @returns {Object} { offerId, artworkId, auctionId, status, nextOffer }
+   */
+  async respondToOffer(offerId, token, userId, accept) {
+    const client = await pool.connect();
+    let offer;
+    let nextOffer = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT o.*, aw.title AS artwork_title
+         FROM second_chance_offers o
+         JOIN artwork aw ON aw.id = o.artwork_id
+         WHERE o.id = $1 FOR UPDATE OF o`,
+        [offerId]
+      );
+      offer = result.rows[0];
+      this._verifyRecipient(offer, token, userId);
+
+      if (offer.offer_status !== 'PENDING') {
+        throw new Error('OFFER_NOT_AVAILABLE');
+      }
+      if (new Date(offer.expires_at) <= new Date()) {
+        throw new Error('OFFER_EXPIRED');
+      }
+
+      const status = accept ? 'ACCEPTED' : 'DECLINED';
+      await client.query(
+        'UPDATE second_chance_offers SET offer_status = $2, responded_at = NOW() WHERE id = $1',
+        [offerId, status]
+      );
+
+      if (accept) {
+        await client.query(
+          'UPDATE bids SET bid_status = \'ACCEPTED\', won_at = NOW(), updated_at = NOW() WHERE id = $1',
+          [offer.bid_id]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details, user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        ['BID', accept ? 'second_chance_accepted' : 'second_chance_declined', 'artwork', offer.artwork_id,
+          JSON.stringify({ offer_id: offerId, bid_id: offer.bid_id, amount: parseFloat(offer.offer_amount) }), userId]
+      );
+
+      if (!accept) {
+        nextOffer = await this._offerToNextBidder(client, {
+          artwork_id: offer.artwork_id,
+          auction_id: offer.auction_id
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    setImmediate(async () => {
+      const emailProvider = getSharedEmailProvider();
+      if (accept) {
+        const userResult = await pool.query(
+          'SELECT email, first_name FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]
+        ).catch(() => ({ rows: [] }));
+        const user = userResult.rows[0];
+        if (user) {
+          await notifyAuctionWon(emailProvider, pool, {
+            userId,
+            email: user.email,
+            firstName: user.first_name,
+            artworkTitle: offer.artwork_title,
+            winningBidDollars: parseFloat(offer.offer_amount)
+          }).catch(err => console.error('[notification] second-chance win failed:', err.message));
+        }
+      } else {
+        this._sendOffer(emailProvider, nextOffer, offer.artwork_title);
+      }
+    });
+
+    return {
+      success: true,
+      offerId,
+      artworkId: offer.artwork_id,
+      auctionId: offer.auction_id,
+      status: accept ? 'ACCEPTED' : 'DECLINED',
+      nextOffer: Boolean(nextOffer)
+    };
+  }
+
+  /**
+   * Expire an ignored offer and move on to the next bidder. No-op when the
+   * offer was answered (or already expired) before the lock was taken.
+   * @param {string} offerId
+   * @returns {Object} { expired, nextOffer }
+   */
+  async expireOffer(offerId) {
+    const client = await pool.connect();
+    let offer;
+    let nextOffer = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const artworkResult = await client.query(
+        `SELECT aw.id, aw.title FROM artwork aw
+         JOIN second_chance_offers o ON o.artwork_id = aw.id
+         WHERE o.id = $1
+         FOR UPDATE OF aw`,
+        [offerId]
+      );
+
+      const result = await client.query(
+        `UPDATE second_chance_offers SET offer_status = 'EXPIRED'
+         WHERE id = $1 AND offer_status = 'PENDING' AND expires_at <= NOW()
+         RETURNING id, artwork_id, auction_id, offered_to_user_id`,
+        [offerId]
+      );
+      if (artworkResult.rows.length === 0 || result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { expired: false, nextOffer: false };
+      }
+      offer = { ...result.rows[0], artwork_title: artworkResult.rows[0].title };
+
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        ['BID', 'second_chance_expired', 'artwork', offer.artwork_id,
+          JSON.stringify({ offer_id: offerId, user_id: offer.offered_to_user_id })]
+      );
+
+      nextOffer = await this._offerToNextBidder(client, offer);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    setImmediate(() => this._sendOffer(getSharedEmailProvider(), nextOffer, offer.artwork_title));
+
+    return { expired: true, nextOffer: Boolean(nextOffer) };
+  }
+
+  /**
+   * Lock the artwork behind a winning bid and load the win.
+   * @private
+   */
+  async _lockWin(client, bidId) {
+    const lookup = await client.query('SELECT artwork_id FROM bids WHERE id = $1', [bidId]);
+    if (lookup.rows.length === 0) {
+      throw new Error('WIN_NOT_FOUND');
+    }
+
+    // Same per-artwork lock as bidding and lot close, so they serialize
+    await client.query('SELECT id FROM artwork WHERE id = $1 FOR UPDATE', [lookup.rows[0].artwork_id]);
+
+    const winResult = await client.query(
+      `SELECT b.id, b.artwork_id, b.auction_id, b.placed_by_user_id, b.bid_amount,
+              aw.title, u.email, u.first_name
+       FROM bids b
+       JOIN artwork aw ON aw.id = b.artwork_id
+       JOIN users u ON u.id = b.placed_by_user_id
+       WHERE b.id = $1 AND b.bid_status = 'ACCEPTED'`,
+      [bidId]
+    );
+    if (winResult.rows.length === 0) {
+      throw new Error('WIN_NOT_FOUND');
+    }
+
+    return winResult.rows[0];
+  }
+
+  /**
+   * Offer a piece to the highest remaining distinct bidder, at that bidder's
+   * own highest bid. Skips anyone whose win was voided or who has already
+   * had an offer for the piece. Caller holds the artwork lock.
+   * @private
+   * @param {Object} piece - { artwork_id, auction_id }
+   * @returns {Object|null} { id, userId, amount, expiresAt, token, email, firstName } or null when nobody is left
+   */
+  async _offerToNextBidder(client, piece) {
+    const candidates = await client.query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (b.placed_by_user_id)
+                b.id, b.placed_by_user_id, b.bid_amount, b.placed_at, u.email, u.first_name
+         FROM bids b
+         JOIN users u ON u.id = b.placed_by_user_id
+         WHERE b.artwork_id = $1
+           AND b.bid_status = 'OUTBID'
+           AND u.account_status = 'ACTIVE' AND u.deleted_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM bids v
+                            WHERE v.artwork_id = b.artwork_id AND v.placed_by_user_id = b.placed_by_user_id
+                              AND v.bid_status = 'VOIDED')
+           AND NOT EXISTS (SELECT 1 FROM second_chance_offers o
+                            WHERE o.artwork_id = b.artwork_id AND o.offered_to_user_id = b.placed_by_user_id)
+         ORDER BY b.placed_by_user_id, b.bid_amount DESC, b.placed_at ASC
+       ) best
+       ORDER BY bid_amount DESC, placed_at ASC
+       LIMIT 1`,
+      [piece.artwork_id]
+    );
+
+    if (candidates.rows.length === 0) {
+      await client.query(
+        `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        ['BID', 'second_chance_exhausted', 'artwork', piece.artwork_id, JSON.stringify({ auction_id: piece.auction_id })]
+      );
+      return null;
+    }
+
+    const next = candidates.rows[0];
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
+
+    const offerResult = await client.query(
+      `INSERT INTO second_chance_offers (auction_id, artwork_id, bid_id, offered_to_user_id, offer_amount,
+                                         token_hash, expires_at)
+       SELECT $1, $2, $3, $4, $5, $6, NOW() + make_interval(hours => au.second_chance_offer_hours)
+       FROM auctions au WHERE au.id = $1
+       RETURNING id, expires_at`,
+      [piece.auction_id, piece.artwork_id, next.id, next.placed_by_user_id, next.bid_amount, tokenHash]
+    );
+    const offer = offerResult.rows[0];
+
+    await client.query(
+      `INSERT INTO audit_logs (action_category, action_type, resource_type, resource_id, action_details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      ['BID', 'second_chance_offered', 'artwork', piece.artwork_id, JSON.stringify({
+        offer_id: offer.id,
+        bid_id: next.id,
+        user_id: next.placed_by_user_id,
+        amount: parseFloat(next.bid_amount),
+        expires_at: offer.expires_at
+      })]
+    );
+
+    return {
+      id: offer.id,
+      userId: next.placed_by_user_id,
+      amount: parseFloat(next.bid_amount),
+      expiresAt: offer.expires_at,
+      token: rawToken,
+      email: next.email,
+      firstName: next.first_name,
+      artworkId: piece.artwork_id,
+      auctionId: piece.auction_id
+    };
+  }
+
+  /**
+   * Email an offer's accept link. Only called after COMMIT.
+   * @private
+   */
+  _sendOffer(emailProvider, offer, artworkTitle) {
+    if (!offer) { return; }
+    notifySecondChanceOffer(emailProvider, pool, {
+      userId: offer.userId,
+      email: offer.email,
+      firstName: offer.firstName,
+      artworkTitle,
+      offerDollars: offer.amount,
+      expiresAt: offer.expiresAt,
+      offerId: offer.id,
+      token: offer.token
+    }).catch(err => console.error('[notification] second-chance offer failed:', err.message));
+  }
+
+  /**
+   * Token and recipient check shared by the offer page and its actions.
+   * @private
+   */
+  _verifyRecipient(offer, token, userId) {
+    if (!offer || !token) {
+      throw new Error('OFFER_NOT_FOUND');
+    }
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    if (tokenHash !== offer.token_hash) {
+      throw new Error('OFFER_NOT_FOUND');
+    }
+    if (offer.offered_to_user_id !== userId) {
+      throw new Error('OFFER_NOT_YOURS');
+    }
+  }
+}
+
+module.exports = new SecondChanceService();
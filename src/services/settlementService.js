@@ -0,0 +1,497 @@
+/**
+ * Settlement Service
+ * Per-auction settlement statements: how much each school actually gets.
+ * One statement per (auction, school); in a joint auction each school is
+ * paid through its own gateway, so online payments count for the school
+ * whose gateway took them, offline payments for the school whose piece sold.
+ *
+ * Money paid online lands in the school's settlement account, less:
+ *   - refunds and chargebacks (the full amount returned to the buyer)
+ *   - the platform fee buyers paid on top of the hammer price (already
+ *     at platform_fee_minimum where that applied), unless a SITE_ADMIN
+ *     waived it for this statement, in which case the school keeps it
+ *   - gateway processing fees, estimated per charge from the gateway's rate
+ * Cash, check and school store payments are already in the school's hands;
+ * they are reported but not part of the payout.
+ *
+ * Statements are generated when an auction ends and refreshed while DRAFT;
+ * once a SITE_ADMIN approves one its figures no longer change.
+ */
+
+const PDFDocument = require('pdfkit');
+const { pool } = require('../models/index');
+
+/** Sale statuses that mean the buyer was charged (refunds and chargebacks come off later) */
+const CHARGED_STATUSES = ['COMPLETED', 'REFUNDED', 'CHARGEBACK'];
+
+const STATEMENT_SELECT_SQL = `
+  SELECT ss.*, a.title AS auction_title, a.ends_at AS auction_ended_at, a.platform_fee_waivable,
+         s.name AS school_name, u.first_name AS approved_by_first_name, u.last_name AS approved_by_last_name
+  FROM settlement_statements ss
+  JOIN auctions a ON a.id = ss.auction_id
+  JOIN schools s ON s.id = ss.school_id
+  LEFT JOIN users u ON u.id = ss.approved_by_user_id`;
+
+function cents(value) {
+  return Math.round(parseFloat(value || 0) * 100);
+}
+
+function money(amount) {
+  return `$${Number(amount || 0).toFixed(2)}`;
+}
+
+function csvText(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Work out a school's statement from its payments. All sums in cents.
+ * @param {Object} auction - platform_fee_percentage
+ * @param {Object[]} onlineRows - Charged SALE transactions through the school's gateway,
+ *   with their completed refund (refund_amount, refund_reason) and the gateway's rate
+ * @param {Object[]} offlineRows - Offline payments for the school's pieces
+ * @param {boolean} feeWaived
+ * @returns {Object} Totals (dollars) and line items
+ */
+function computeSettlement(auction, onlineRows, offlineRows, feeWaived) {
+  const feePercent = parseFloat(auction.platform_fee_percentage);
+  const sum = { gross: 0, buyerFees: 0, offline: 0, refunds: 0, chargebacks: 0, feeDue: 0, gatewayFees: 0 };
+  let minimumApplied = 0;
+  // One gateway fee per charge; an invoice is one charge covering several transactions
+  const charges = new Map();
+
+  const lineItems = onlineRows.map(row => {
+    const hammer = cents(row.hammer_amount);
+    const fee = cents(row.platform_fee);
+    const total = cents(row.total_amount);
+    const isChargeback = row.refund_reason === 'CHARGEBACK' || row.transaction_status === 'CHARGEBACK';
+    const refunded = row.refund_reason && !isChargeback ? cents(row.refund_amount) : 0;
+    let chargedBack = 0;
+    if (isChargeback) {
+      chargedBack = row.refund_reason === 'CHARGEBACK' ? cents(row.refund_amount) : total;
+    }
+
+    sum.gross += hammer;
+    sum.buyerFees += fee;
+    sum.refunds += refunded;
+    sum.chargebacks += chargedBack;
+    if (row.transaction_status === 'COMPLETED' && !feeWaived) {
+      sum.feeDue += fee;
+    }
+    if (fee > 0 && fee > Math.round(hammer * feePercent / 100)) {
+      minimumApplied++;
+    }
+
+    const charge = charges.get(row.gateway_transaction_id)
+      || { cents: 0, percent: parseFloat(row.processing_fee_percentage || 0), fixed: cents(row.processing_fee_fixed) };
+    charge.cents += total;
+    charges.set(row.gateway_transaction_id, charge);
+
+    return {
+      transactionId: row.id,
+      paidAt: row.created_at,
+      type: row.pledge_id ? 'PLEDGE' : 'SALE',
+      method: 'ONLINE',
+      description: row.description,
+      hammer: hammer / 100,
+      platformFee: fee / 100,
+      total: total / 100,
+      refunded: refunded / 100,
+      chargedBack: chargedBack / 100,
+      status: row.transaction_status
+    };
+  });
+
+  for (const charge of charges.values()) {
+    sum.gatewayFees += Math.round(charge.cents * charge.percent / 100) + charge.fixed;
+  }
+
+  for (const row of offlineRows) {
+    const amount = cents(row.amount);
+    sum.offline += amount;
+    lineItems.push({
+      offlinePaymentId: row.id,
+      paidAt: row.received_at,
+      type: 'SALE',
+      method: row.payment_method,
+      description: row.description,
+      hammer: amount / 100,
+      platformFee: 0,
+      total: amount / 100,
+      refunded: 0,
+      chargedBack: 0,
+      status: 'COMPLETED'
+    });
+  }
+
+  lineItems.sort((a, b) => new Date(a.paidAt) - new Date(b.paidAt));
+  const netPayable = sum.gross + sum.buyerFees - sum.refunds - sum.chargebacks - sum.feeDue - sum.gatewayFees;
+
+  return {
+    saleCount: lineItems.length,
+    minimumFeeAppliedCount: minimumApplied,
+    grossHammer: sum.gross / 100,
+    buyerFeesCollected: sum.buyerFees / 100,
+    offlineCollected: sum.offline / 100,
+    refundsTotal: sum.refunds / 100,
+    chargebacksTotal: sum.chargebacks / 100,
+    platformFeeDue: sum.feeDue / 100,
+    gatewayFees: sum.gatewayFees / 100,
+    netPayable: netPayable / 100,
+    lineItems
+  };
+}
+
+class SettlementService {
+  /**
+   * Generate (or refresh) the DRAFT statements for an ended auction: one for
+   * the host school and one for every school that took payments in it.
+   * Approved statements are left as they are.
+   * @param {string} auctionId
+   * @returns {Promise<Object[]>} Every statement for the auction
+   */
+  async generateForAuction(auctionId) {
+    const auctionResult = await pool.query(
+      `SELECT id, school_id, auction_status, payment_gateway_id, platform_fee_percentage, platform_fee_minimum
+       FROM auctions WHERE id = $1 AND deleted_at IS NULL`,
+      [auctionId]
+    );
+    if (auctionResult.rows.length === 0) {
+      throw new Error('AUCTION_NOT_FOUND');
+    }
+    const auction = auctionResult.rows[0];
+    if (auction.auction_status !== 'ENDED') {
+      throw new Error('AUCTION_NOT_ENDED');
+    }
+
+    const [onlineResult, offlineResult, existingResult] = await Promise.all([
+      pool.query(
+        `SELECT t.id, t.created_at, t.pledge_id, t.gateway_id, t.gateway_transaction_id, t.transaction_status,
+                t.hammer_amount, t.platform_fee, t.total_amount,
+                COALESCE(aw.title, fi.title) AS description,
+                pg.school_id, pg.processing_fee_percentage, pg.processing_fee_fixed,
+                r.refund_amount, r.refund_reason
+         FROM transactions t
+         JOIN payment_gateways pg ON pg.id = t.gateway_id
+         LEFT JOIN artwork aw ON aw.id = t.artwork_id
+         LEFT JOIN fund_a_need_pledges fp ON fp.id = t.pledge_id
+         LEFT JOIN fund_a_need_items fi ON fi.id = fp.item_id
+         LEFT JOIN refunds r ON r.transaction_id = t.id AND r.refund_status = 'COMPLETED'
+         WHERE t.auction_id = $1 AND t.transaction_type = 'SALE'
+           AND t.transaction_status = ANY($2::varchar[])
+         ORDER BY t.created_at ASC`,
+        [auctionId, CHARGED_STATUSES]
+      ),
+      pool.query(
+        `SELECT op.id, op.received_at, op.amount, op.payment_method, aw.title AS description,
+                COALESCE(aw.school_id, a.school_id) AS school_id
+         FROM offline_payments op
+         JOIN artwork aw ON aw.id = op.artwork_id
+         JOIN auctions a ON a.id = op.auction_id
+         WHERE op.auction_id = $1
+         ORDER BY op.received_at ASC`,
+        [auctionId]
+      ),
+      pool.query(
+        'SELECT school_id, statement_status, platform_fee_waived FROM settlement_statements WHERE auction_id = $1',
+        [auctionId]
+      )
+    ]);
+
+    const existing = new Map(existingResult.rows.map(row => [row.school_id, row]));
+    const schoolIds = [...new Set([
+      auction.school_id,
+      ...onlineResult.rows.map(row => row.school_id),
+      ...offlineResult.rows.map(row => row.school_id)
+    ])];
+
+    const gatewayResult = await pool.query(
+      `SELECT id, school_id, is_primary, is_active, settlement_account_name, settlement_account_last_four, currency_code
+       FROM payment_gateways
+       WHERE school_id = ANY($1::uuid[]) OR id = $2`,
+      [schoolIds, auction.payment_gateway_id]
+    );
+
+    for (const schoolId of schoolIds) {
+      const current = existing.get(schoolId);
+      if (current?.statement_status === 'APPROVED') { continue; }
+
+      const online = onlineResult.rows.filter(row => row.school_id === schoolId);
+      const offline = offlineResult.rows.filter(row => row.school_id === schoolId);
+      const totals = computeSettlement(auction, online, offline, current?.platform_fee_waived === true);
+      const gateway = this._settlementGateway(gatewayResult.rows, auction, schoolId, online);
+
+      await pool.query(
+        `INSERT INTO settlement_statements
+           (auction_id, school_id, payment_gateway_id, settlement_account_name, settlement_account_last_four,
+            currency_code, platform_fee_percentage, platform_fee_minimum, sale_count, minimum_fee_applied_count,
+            gross_hammer, buyer_fees_collected, offline_collected, refunds_total, chargebacks_total,
+            platform_fee_due, gateway_fees, net_payable, line_items, generated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, NOW())
+         ON CONFLICT (auction_id, school_id) DO UPDATE SET
+           payment_gateway_id = EXCLUDED.payment_gateway_id,
+           settlement_account_name = EXCLUDED.settlement_account_name,
+           settlement_account_last_four = EXCLUDED.settlement_account_last_four,
+           currency_code = EXCLUDED.currency_code,
+           platform_fee_percentage = EXCLUDED.platform_fee_percentage,
+           platform_fee_minimum = EXCLUDED.platform_fee_minimum,
+           sale_count = EXCLUDED.sale_count,
+           minimum_fee_applied_count = EXCLUDED.minimum_fee_applied_count,
+           gross_hammer = EXCLUDED.gross_hammer,
+           buyer_fees_collected = EXCLUDED.buyer_fees_collected,
+           offline_collected = EXCLUDED.offline_collected,
+           refunds_total = EXCLUDED.refunds_total,
+           chargebacks_total = EXCLUDED.chargebacks_total,
+           platform_fee_due = EXCLUDED.platform_fee_due,
+           gateway_fees = EXCLUDED.gateway_fees,
+           net_payable = EXCLUDED.net_payable,
+           line_items = EXCLUDED.line_items,
+           generated_at = NOW()
+         WHERE settlement_statements.statement_status = 'DRAFT'`,
+        [
+          auctionId, schoolId, gateway?.id || null, gateway?.settlement_account_name || null,
+          gateway?.settlement_account_last_four || null, gateway?.currency_code || 'USD',
+          auction.platform_fee_percentage, auction.platform_fee_minimum,
+          totals.saleCount, totals.minimumFeeAppliedCount, totals.grossHammer, totals.buyerFeesCollected,
+          totals.offlineCollected, totals.refundsTotal, totals.chargebacksTotal, totals.platformFeeDue,
+          totals.gatewayFees, totals.netPayable, JSON.stringify(totals.lineItems)
+        ]
+      );
+    }
+
+    return this.listForAuction(auctionId);
+  }
+
+  /**
+   * Statements for an auction, host school first.
+   * @param {string} auctionId
+   * @param {string} [schoolId] - Only this school's statement
+   * @returns {Promise<Object[]>}
+   */
+  async listForAuction(auctionId, schoolId = null) {
+    const result = await pool.query(
+      `${STATEMENT_SELECT_SQL}
+       WHERE ss.auction_id = $1 AND ($2::uuid IS NULL OR ss.school_id = $2)
+       ORDER BY (ss.school_id = a.school_id) DESC, s.name ASC`,
+      [auctionId, schoolId]
+    );
+    return result.rows.map(row => this._mapStatement(row));
+  }
+
+  /**
+   * @param {string} statementId
+   * @returns {Promise<Object>}
+   */
+  async getStatement(statementId) {
+    const result = await pool.query(`${STATEMENT_SELECT_SQL} WHERE ss.id = $1`, [statementId]);
+    if (result.rows.length === 0) {
+      throw new Error('STATEMENT_NOT_FOUND');
+    }
+    return this._mapStatement(result.rows[0]);
+  }
+
+  /**
+   * Waive (or restore) the platform fee on a DRAFT statement, then refresh
+   * it. Only auctions created as fee-waivable can be waived.
+   * @param {string} statementId
+   * @param {boolean} waived
+   * @param {string|null} reason
+   * @returns {Promise<Object>} The refreshed statement
+   */
+  async setFeeWaiver(statementId, waived, reason) {
+    const statement = await this.getStatement(statementId);
+    if (statement.status === 'APPROVED') {
+      throw new Error('STATEMENT_LOCKED');
+    }
+    if (waived && !statement.platformFeeWaivable) {
+      throw new Error('FEE_NOT_WAIVABLE');
+    }
+
+    await pool.query(
+      `UPDATE settlement_statements SET platform_fee_waived = $2, fee_waiver_reason = $3
+       WHERE id = $1 AND statement_status = 'DRAFT'`,
+      [statementId, waived, waived ? reason : null]
+    );
+    await this.generateForAuction(statement.auctionId);
+    return this.getStatement(statementId);
+  }
+
+  /**
+   * Approve a DRAFT statement, locking its figures.
+   * @param {string} statementId
+   * @param {string} approvedByUserId
+   * @returns {Promise<Object>}
+   */
+  async approve(statementId, approvedByUserId) {
+    const result = await pool.query(
+      `UPDATE settlement_statements
+       SET statement_status = 'APPROVED', approved_by_user_id = $2, approved_at = NOW()
+       WHERE id = $1 AND statement_status = 'DRAFT'
+       RETURNING id`,
+      [statementId, approvedByUserId]
+    );
+    if (result.rows.length === 0) {
+      await this.getStatement(statementId); // STATEMENT_NOT_FOUND
+      throw new Error('STATEMENT_LOCKED');
+    }
+    return this.getStatement(statementId);
+  }
+
+  /**
+   * CSV export: a summary block, then one row per payment.
+   * @param {Object} statement
+   * @returns {string}
+   */
+  toCsv(statement) {
+    const summary = this._summaryLines(statement).map(([label, value]) => `${csvText(label)},${csvText(value)}`);
+    const header = 'Date,Type,Method,Item,Hammer,Platform Fee,Total Paid,Refunded,Charged Back,Status';
+    const rows = statement.lineItems.map(line => [
+      new Date(line.paidAt).toISOString(),
+      line.type,
+      line.method,
+      csvText(line.description),
+      line.hammer.toFixed(2),
+      line.platformFee.toFixed(2),
+      line.total.toFixed(2),
+      line.refunded.toFixed(2),
+      line.chargedBack.toFixed(2),
+      line.status
+    ].join(','));
+    return [...summary, '', header, ...rows].join('\n');
+  }
+
+  /**
+   * PDF export.
+   * @param {Object} statement
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(statement) {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 54,
+      info: { Title: `Settlement Statement - ${statement.auctionTitle}`, Creator: 'Silent Auction Gallery' }
+    });
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Settlement Statement');
+    doc.font('Helvetica').fontSize(11).text(`${statement.auctionTitle} · ${statement.schoolName}`);
+    doc.fillColor(statement.status === 'APPROVED' ? '#1B5E20' : '#B7820A')
+      .text(statement.status === 'APPROVED'
+        ? `Approved ${new Date(statement.approvedAt).toLocaleDateString('en-US', { dateStyle: 'long' })} by ${statement.approvedByName}`
+        : 'DRAFT — figures may change until approved')
+      .fillColor('black');
+    doc.moveDown();
+
+    for (const [label, value] of this._summaryLines(statement).slice(3)) {
+      const bold = label === 'Net payable';
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(`${label}: `, { continued: true }).text(value);
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Payments');
+    doc.font('Helvetica').fontSize(9);
+    if (statement.lineItems.length === 0) {
+      doc.text('No payments yet.');
+    }
+    for (const line of statement.lineItems) {
+      const adjustments = [
+        line.refunded > 0 ? `refunded ${money(line.refunded)}` : null,
+        line.chargedBack > 0 ? `charged back ${money(line.chargedBack)}` : null
+      ].filter(Boolean).join(', ');
+      doc.text(`${new Date(line.paidAt).toLocaleDateString()} · ${line.method} · ${line.description || line.type} · `
+        + `hammer ${money(line.hammer)} · fee ${money(line.platformFee)}${adjustments ? ` · ${adjustments}` : ''}`);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      doc.on('data', (chunk) => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+
+  /**
+   * Label/value pairs shared by the CSV and PDF exports.
+   * @private
+   */
+  _summaryLines(statement) {
+    const account = statement.settlementAccountName
+      ? `${statement.settlementAccountName}${statement.settlementAccountLastFour ? ` ****${statement.settlementAccountLastFour}` : ''}`
+      : 'Not on file';
+    const feeLabel = `${statement.platformFeePercentage}% (minimum ${money(statement.platformFeeMinimum)} per sale`
+      + `${statement.minimumFeeAppliedCount ? `, applied to ${statement.minimumFeeAppliedCount}` : ''})`;
+    return [
+      ['Settlement Statement', statement.auctionTitle],
+      ['School', statement.schoolName],
+      ['Status', statement.status],
+      ['Settlement account', account],
+      ['Payments', String(statement.saleCount)],
+      ['Gross hammer (online)', money(statement.grossHammer)],
+      ['Buyer platform fees collected', money(statement.buyerFeesCollected)],
+      ['Refunds', `-${money(statement.refundsTotal)}`],
+      ['Chargebacks', `-${money(statement.chargebacksTotal)}`],
+      ['Platform fee', feeLabel],
+      ['Platform fee due', statement.platformFeeWaived
+        ? `${money(0)} (waived: ${statement.feeWaiverReason || 'no reason given'})`
+        : `-${money(statement.platformFeeDue)}`],
+      ['Gateway fees (estimated)', `-${money(statement.gatewayFees)}`],
+      ['Net payable', money(statement.netPayable)],
+      ['Collected offline (held by school, not in payout)', money(statement.offlineCollected)]
+    ];
+  }
+
+  /**
+   * The account a school's payout goes to: the gateway that took its
+   * payments, else the auction's own gateway for the host, else the
+   * school's primary active gateway.
+   * @private
+   */
+  _settlementGateway(gateways, auction, schoolId, onlineRows) {
+    const byId = (id) => gateways.find(g => g.id === id);
+    if (onlineRows.length > 0) { return byId(onlineRows[0].gateway_id); }
+    if (schoolId === auction.school_id) { return byId(auction.payment_gateway_id); }
+    return gateways
+      .filter(g => g.school_id === schoolId && g.is_active !== false)
+      .sort((a, b) => Number(b.is_primary === true) - Number(a.is_primary === true))[0];
+  }
+
+  /** @private */
+  _mapStatement(row) {
+    return {
+      statementId: row.id,
+      auctionId: row.auction_id,
+      auctionTitle: row.auction_title,
+      schoolId: row.school_id,
+      schoolName: row.school_name,
+      status: row.statement_status,
+      paymentGatewayId: row.payment_gateway_id,
+      settlementAccountName: row.settlement_account_name,
+      settlementAccountLastFour: row.settlement_account_last_four,
+      currencyCode: row.currency_code,
+      platformFeePercentage: parseFloat(row.platform_fee_percentage),
+      platformFeeMinimum: parseFloat(row.platform_fee_minimum),
+      platformFeeWaivable: row.platform_fee_waivable !== false,
+      platformFeeWaived: row.platform_fee_waived,
+      feeWaiverReason: row.fee_waiver_reason,
+      saleCount: row.sale_count,
+      minimumFeeAppliedCount: row.minimum_fee_applied_count,
+      grossHammer: parseFloat(row.gross_hammer),
+      buyerFeesCollected: parseFloat(row.buyer_fees_collected),
+      offlineCollected: parseFloat(row.offline_collected),
+      refundsTotal: parseFloat(row.refunds_total),
+      chargebacksTotal: parseFloat(row.chargebacks_total),
+      platformFeeDue: parseFloat(row.platform_fee_due),
+      gatewayFees: parseFloat(row.gateway_fees),
+      netPayable: parseFloat(row.net_payable),
+      lineItems: row.line_items || [],
+      generatedAt: row.generated_at,
+      approvedAt: row.approved_at,
+      approvedByName: row.approved_by_first_name
+        ? `${row.approved_by_first_name} ${row.approved_by_last_name || ''}`.trim()
+        : null
+    };
+  }
+}
+
+module.exports = new SettlementService();
+module.exports.computeSettlement = computeSettlement;
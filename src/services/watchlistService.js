@@ -0,0 +1,244 @@
+/**
+ * Watchlist Service
+ * Bidders watch whole auctions (auction_watchlist) or single pieces
+ * (artwork_watchlist). Watchers are emailed when a watched auction goes
+ * LIVE and when a watched piece gets a new bid; the scheduler's ending
+ * reminders (auctionScheduler) include them too.
+ */
+
+const { pool } = require('../models/index');
+const {
+  getSharedEmailProvider, notifyWatchedAuctionLive, notifyWatchedArtworkBid
+} = require('./notificationService');
+const { resolveIncrementSchedule, incrementFor, nextMinimumBid } = require('../utils/bidIncrements');
+
+/** A busy piece alerts each watcher at most once in this many minutes */
+const BID_ALERT_THROTTLE_MINUTES = 15;
+
+class WatchlistService {
+  /**
+   * Watch an auction. Watching twice is a no-op.
+   * @param {string} userId
+   * @param {string} auctionId
+   */
+  async watchAuction(userId, auctionId) {
+    await pool.query(
+      `INSERT INTO auction_watchlist (user_id, auction_id)
+       VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+      [userId, auctionId]
+    );
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} auctionId
+   */
+  async unwatchAuction(userId, auctionId) {
+    await pool.query(
+      'DELETE FROM auction_watchlist WHERE user_id = $1 AND auction_id = $2',
+      [userId, auctionId]
+    );
+  }
+
+  /**
+   * Watch a single piece. Only approved pieces of the given auction can be
+   * watched. Watching twice is a no-op.
+   * @param {string} userId
+   * @param {string} auctionId
+   * @param {string} artworkId
+   */
+  async watchArtwork(userId, auctionId, artworkId) {
+    const artwork = await pool.query(
+      `SELECT id FROM artwork
+        WHERE id = $1 AND auction_id = $2 AND artwork_status IN ('APPROVED', 'SOLD')`,
+      [artworkId, auctionId]
+    );
+    if (artwork.rows.length === 0) {
+      throw new Error('ARTWORK_NOT_FOUND');
+    }
+    await pool.query(
+      `INSERT INTO artwork_watchlist (user_id, artwork_id)
+       VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+      [userId, artworkId]
+    );
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} artworkId
+   */
+  async unwatchArtwork(userId, artworkId) {
+    await pool.query(
+      'DELETE FROM artwork_watchlist WHERE user_id = $1 AND artwork_id = $2',
+      [userId, artworkId]
+    );
+  }
+
+  /**
+   * Everything a user watches, soonest-closing first. Pieces still open for
+   * bidding carry two quick-bid amounts: the minimum next bid and one
+   * increment above it.
+   * @param {string} userId
+   * @returns {Promise<{auctions: Object[], artwork: Object[]}>}
+   */
+  async listForUser(userId) {
+    const auctions = await pool.query(
+      `SELECT au.id, au.title, au.auction_status, au.starts_at, au.ends_at, s.name AS school_name,
+              (SELECT COUNT(*) FROM artwork a
+                WHERE a.auction_id = au.id AND a.artwork_status = 'APPROVED') AS piece_count,
+              (SELECT MAX(b.bid_amount) FROM bids b
+                WHERE b.auction_id = au.id AND b.bid_status = 'ACTIVE') AS highest_bid
+         FROM auction_watchlist w
+         JOIN auctions au ON au.id = w.auction_id
+         LEFT JOIN schools s ON s.id = au.school_id
+        WHERE w.user_id = $1 AND au.deleted_at IS NULL
+        ORDER BY au.ends_at ASC`,
+      [userId]
+    );
+
+    const artwork = await pool.query(
+      `SELECT a.id, a.title, a.image_url, a.starting_bid_amount, a.bid_increment_schedule, a.finalized_at,
+              COALESCE(a.closes_at, au.ends_at) AS closes_at,
+              COALESCE(a.closes_at, au.ends_at) > NOW() AS is_open,
+              au.id AS auction_id, au.title AS auction_title, au.auction_status,
+              au.bid_increment_schedule AS auction_bid_increments,
+              top.bid_amount AS current_bid, top.placed_by_user_id AS leader_id
+         FROM artwork_watchlist w
+         JOIN artwork a ON a.id = w.artwork_id
+         JOIN auctions au ON au.id = a.auction_id
+         LEFT JOIN LATERAL (
+           SELECT b.bid_amount, b.placed_by_user_id FROM bids b
+            WHERE b.artwork_id = a.id AND b.bid_status = 'ACTIVE'
+            ORDER BY b.bid_amount DESC LIMIT 1
+         ) top ON true
+        WHERE w.user_id = $1 AND au.deleted_at IS NULL
+        ORDER BY closes_at ASC`,
+      [userId]
+    );
+
+    return {
+      auctions: auctions.rows.map(row => ({
+        auctionId: row.id,
+        title: row.title,
+        status: row.auction_status,
+        schoolName: row.school_name,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        pieceCount: parseInt(row.piece_count, 10),
+        highestBid: row.highest_bid === null ? null : parseFloat(row.highest_bid)
+      })),
+      artwork: artwork.rows.map(row => this._artworkEntry(row, userId))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _artworkEntry(row, userId) {
+    const currentBid = row.current_bid === null ? null : parseFloat(row.current_bid);
+    const biddable = row.auction_status === 'LIVE' && row.is_open && !row.finalized_at;
+    let quickBids = [];
+    if (biddable) {
+      const schedule = resolveIncrementSchedule(row.bid_increment_schedule, row.auction_bid_increments);
+      const minimum = nextMinimumBid(schedule, currentBid || 0, parseFloat(row.starting_bid_amount) || 0);
+      quickBids = [minimum, Math.round((minimum + incrementFor(schedule, minimum)) * 100) / 100];
+    }
+    return {
+      artworkId: row.id,
+      title: row.title,
+      imageUrl: row.image_url,
+      auctionId: row.auction_id,
+      auctionTitle: row.auction_title,
+      auctionStatus: row.auction_status,
+      currentBid,
+      isLeading: currentBid !== null && row.leader_id === userId,
+      closesAt: row.closes_at,
+      biddable,
+      quickBids
+    };
+  }
+
+  /**
+   * Email everyone watching an auction that it has gone LIVE. Never throws —
+   * callers run it after the status change has committed.
+   * @param {string} auctionId
+   * @returns {Promise<number>} Watchers emailed
+   */
+  async alertAuctionLive(auctionId) {
+    try {
+      const watchers = await pool.query(
+        `SELECT u.id, u.email, u.first_name, au.title, au.ends_at
+           FROM auction_watchlist w
+           JOIN users u ON u.id = w.user_id
+           JOIN auctions au ON au.id = w.auction_id
+          WHERE w.auction_id = $1 AND u.deleted_at IS NULL AND u.account_status = 'ACTIVE'`,
+        [auctionId]
+      );
+      const emailProvider = getSharedEmailProvider();
+      for (const watcher of watchers.rows) {
+        await notifyWatchedAuctionLive(emailProvider, pool, {
+          userId: watcher.id,
+          email: watcher.email,
+          firstName: watcher.first_name,
+          auctionId,
+          auctionTitle: watcher.title,
+          endsAt: watcher.ends_at
+        }).catch(err => console.error('[notification] watched auction live failed:', err.message));
+      }
+      return watchers.rows.length;
+    } catch (err) {
+      console.error('[watchlist] live alert failed for auction %s: %s', auctionId, err.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Email everyone watching a piece that it has a new bid. The bidder and the
+   * outbid leader (who gets an outbid email instead) are skipped, and each
+   * watcher is alerted at most once per BID_ALERT_THROTTLE_MINUTES. Never
+   * throws.
+   * @param {string} artworkId
+   * @param {Object} options
+   * @param {number} options.amount - New current bid
+   * @param {string[]} [options.excludeUserIds]
+   * @returns {Promise<number>} Watchers emailed
+   */
+  async alertNewBid(artworkId, { amount, excludeUserIds = [] }) {
+    try {
+      const watchers = await pool.query(
+        `WITH due AS (
+           UPDATE artwork_watchlist SET last_alerted_at = NOW()
+            WHERE artwork_id = $1 AND NOT (user_id = ANY($2::uuid[]))
+              AND (last_alerted_at IS NULL OR last_alerted_at < NOW() - make_interval(mins => $3))
+           RETURNING user_id
+         )
+         SELECT u.id, u.email, u.first_name, a.title, a.auction_id,
+                COALESCE(a.closes_at, au.ends_at) AS closes_at
+           FROM due
+           JOIN users u ON u.id = due.user_id
+           JOIN artwork a ON a.id = $1
+           JOIN auctions au ON au.id = a.auction_id
+          WHERE u.deleted_at IS NULL AND u.account_status = 'ACTIVE'`,
+        [artworkId, excludeUserIds.filter(Boolean), BID_ALERT_THROTTLE_MINUTES]
+      );
+      const emailProvider = getSharedEmailProvider();
+      for (const watcher of watchers.rows) {
+        await notifyWatchedArtworkBid(emailProvider, pool, {
+          userId: watcher.id,
+          email: watcher.email,
+          firstName: watcher.first_name,
+          artworkTitle: watcher.title,
+          currentBidDollars: amount,
+          closesAt: watcher.closes_at,
+          auctionId: watcher.auction_id
+        }).catch(err => console.error('[notification] watched artwork bid failed:', err.message));
+      }
+      return watchers.rows.length;
+    } catch (err) {
+      console.error('[watchlist] bid alert failed for artwork %s: %s', artworkId, err.message);
+      return 0;
+    }
+  }
+}
+
+module.exports = new WatchlistService();
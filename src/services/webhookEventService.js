@@ -0,0 +1,539 @@
+/**
+ * Webhook Event Service
+ * Every verified payment gateway webhook is stored before it is acted on.
+ * (gateway_type, gateway_event_id) is unique, so a gateway retry of an event
+ * we already handled is recognised and skipped. Each event is then mapped
+ * onto the transactions it concerns (by gateway_transaction_id): payment
+ * confirmations and failures, refunds made at the gateway, and disputes.
+ * Status changes are guarded by the transaction's current status, so applying
+ * an event twice changes nothing the second time. Events that fail keep
+ * their error and a SITE_ADMIN can re-drive them once the cause is fixed.
+ */
+
+const { pool } = require('../models/index');
+
+/** X-Gateway header → payment_gateways.gateway_type */
+const GATEWAY_TYPES = {
+  stripe: 'STRIPE',
+  square: 'SQUARE',
+  paypal: 'PAYPAL',
+  'authorize.net': 'AUTHORIZE_NET',
+  authorize_net: 'AUTHORIZE_NET'
+};
+
+const EVENT_STATUSES = ['RECEIVED', 'PROCESSING', 'PROCESSED', 'IGNORED', 'FAILED'];
+
+/** A claim older than this is taken to have died with its process */
+const STALE_CLAIM_MINUTES = 5;
+
+/** What each kind of event does to the transactions of its charge */
+const TRANSITIONS = {
+  PAYMENT_COMPLETED: { from: ['PENDING', 'AUTHORIZED', 'CHARGED'], to: 'COMPLETED' },
+  PAYMENT_FAILED: { from: ['PENDING', 'AUTHORIZED', 'CHARGED'], to: 'FAILED' },
+  REFUNDED: { from: ['COMPLETED'], to: 'REFUNDED' },
+  // The gateway takes the money back as soon as a dispute is opened
+  DISPUTE_OPENED: { from: ['COMPLETED'], to: 'CHARGEBACK' },
+  DISPUTE_LOST: { from: ['COMPLETED'], to: 'CHARGEBACK' },
+  DISPUTE_WON: { from: ['CHARGEBACK'], to: 'COMPLETED' }
+};
+
+/**
+ * @param {string} header - X-Gateway value (stripe, square, paypal, authorize.net)
+ * @returns {string|null} gateway_type
+ */
+function toGatewayType(header) {
+  return GATEWAY_TYPES[String(header || '').trim().toLowerCase()] || null;
+}
+
+/**
+ * PayPal refunds point back at their capture through the "up" link.
+ * @private
+ */
+function paypalCaptureId(resource) {
+  const up = (resource.links || []).find(link => link.rel === 'up');
+  return up ? up.href.split('/').pop() : null;
+}
+
+/**
+ * Map a gateway event onto what it means for our transactions.
+ * @param {string} gatewayType
+ * @param {string} eventType - The gateway's own event name
+ * @param {Object} data - Event object as returned by the gateway's validateWebhook
+ * @returns {{ action: string|null, chargeId: string|null, refund: Object|null }}
+ *   action is null for events we don't act on. refund is set on REFUNDED:
+ *   { amount, cumulative, refundId } — amount is null when the gateway doesn't
+ *   report it; cumulative means it is the charge's running refunded total
+ *   (Stripe) rather than this one refund; refundId identifies a single refund
+ */
+function normalizeEvent(gatewayType, eventType, data = {}) {
+  const event = (action, chargeId, refund = null) => ({ action, chargeId: chargeId || null, refund });
+
+  switch (gatewayType) {
+    case 'STRIPE':
+      switch (eventType) {
+        case 'payment_intent.succeeded': return event('PAYMENT_COMPLETED', data.id);
+        case 'payment_intent.payment_failed': return event('PAYMENT_FAILED', data.id);
+        case 'charge.refunded':
+          return event('REFUNDED', data.payment_intent, {
+            amount: data.amount_refunded === undefined ? null : data.amount_refunded / 100,
+            cumulative: true,
+            refundId: null
+          });
+        case 'charge.dispute.created': return event('DISPUTE_OPENED', data.payment_intent);
+        case 'charge.dispute.closed':
+          if (data.status === 'won') { return event('DISPUTE_WON', data.payment_intent); }
+          if (data.status === 'lost') { return event('DISPUTE_LOST', data.payment_intent); }
+          break;
+        default: break;
+      }
+      break;
+
+    case 'SQUARE': {
+      const object = data.object || {};
+      if (eventType === 'payment.updated' && object.payment) {
+        if (object.payment.status === 'COMPLETED') { return event('PAYMENT_COMPLETED', object.payment.id); }
+        if (['FAILED', 'CANCELED'].includes(object.payment.status)) { return event('PAYMENT_FAILED', object.payment.id); }
+      }
+      if (['refund.created', 'refund.updated'].includes(eventType) && object.refund?.status === 'COMPLETED') {
+        const refunded = object.refund.amount_money?.amount;
+        return event('REFUNDED', object.refund.payment_id, {
+          amount: refunded === undefined ? null : refunded / 100,
+          cumulative: false,
+          refundId: object.refund.id || null
+        });
+      }
+      if (eventType === 'dispute.created' && object.dispute) {
+        return event('DISPUTE_OPENED', object.dispute.disputed_payment?.payment_id);
+      }
+      if (eventType === 'dispute.state.updated' && object.dispute) {
+        const paymentId = object.dispute.disputed_payment?.payment_id;
+        if (object.dispute.state === 'WON') { return event('DISPUTE_WON', paymentId); }
+        if (object.dispute.state === 'LOST') { return event('DISPUTE_LOST', paymentId); }
+      }
+      break;
+    }
+
+    case 'PAYPAL':
+      switch (eventType) {
+        case 'PAYMENT.CAPTURE.COMPLETED': return event('PAYMENT_COMPLETED', data.id);
+        case 'PAYMENT.CAPTURE.DENIED': return event('PAYMENT_FAILED', data.id);
+        case 'PAYMENT.CAPTURE.REFUNDED':
+          return event('REFUNDED', paypalCaptureId(data), {
+            amount: data.amount ? parseFloat(data.amount.value) : null,
+            cumulative: false,
+            refundId: data.id || null
+          });
+        case 'CUSTOMER.DISPUTE.CREATED':
+          return event('DISPUTE_OPENED', data.disputed_transactions?.[0]?.seller_transaction_id);
+        case 'CUSTOMER.DISPUTE.RESOLVED': {
+          const captureId = data.disputed_transactions?.[0]?.seller_transaction_id;
+          const outcome = data.dispute_outcome?.outcome_code;
+          if (outcome === 'RESOLVED_SELLER_FAVOUR') { return event('DISPUTE_WON', captureId); }
+          if (outcome === 'RESOLVED_BUYER_FAVOUR') { return event('DISPUTE_LOST', captureId); }
+          break;
+        }
+        default: break;
+      }
+      break;
+
+    // A refund notification only carries the refund's own transaction id, not
+    // the charge it refunds, so only voids (which keep the charge's id) map
+    case 'AUTHORIZE_NET':
+      switch (eventType) {
+        case 'net.authorize.payment.authcapture.created':
+        case 'net.authorize.payment.capture.created':
+          return event('PAYMENT_COMPLETED', data.id);
+        case 'net.authorize.payment.fraud.declined': return event('PAYMENT_FAILED', data.id);
+        case 'net.authorize.payment.void.created':
+          return event('REFUNDED', data.id, { amount: null, cumulative: false, refundId: null });
+        default: break;
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return event(null, null);
+}
+
+class WebhookEventService {
+  /**
+   * Store a verified gateway event and process it. A repeat of an event we
+   * already handled is only looked up; a repeat of one that failed is tried
+   * again. Processing errors are recorded on the event, not thrown, so the
+   * gateway is only asked to retry when the event could not be stored.
+   * @param {string} gatewayType - STRIPE, SQUARE, PAYPAL, AUTHORIZE_NET
+   * @param {Object} verified - { eventId, eventType, data } from the gateway's validateWebhook
+   * @returns {Promise<Object>} { event, duplicate }
+   * @throws {Error} INVALID_WEBHOOK_EVENT
+   */
+  async receive(gatewayType, { eventId, eventType, data }) {
+    if (!eventId || !eventType) {
+      throw new Error('INVALID_WEBHOOK_EVENT');
+    }
+    const { chargeId } = normalizeEvent(gatewayType, eventType, data);
+
+    const inserted = await pool.query(
+      `INSERT INTO payment_webhook_events (gateway_type, gateway_event_id, event_type, gateway_charge_id, payload)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (gateway_type, gateway_event_id) DO NOTHING
+       RETURNING *`,
+      [gatewayType, eventId, eventType, chargeId, JSON.stringify(data || {})]
+    );
+    const duplicate = inserted.rows.length === 0;
+    let row = inserted.rows[0];
+    if (duplicate) {
+      const existing = await pool.query(
+        'SELECT * FROM payment_webhook_events WHERE gateway_type = $1 AND gateway_event_id = $2',
+        [gatewayType, eventId]
+      );
+      row = existing.rows[0];
+    }
+
+    try {
+      row = (await this._process(row.id)) || row;
+    } catch (error) {
+      console.error(`[webhooks] ${gatewayType} event ${eventId} failed:`, error.message);
+      row = { ...row, processing_status: 'FAILED', last_error: error.message };
+    }
+
+    return { event: this._mapEvent(row), duplicate };
+  }
+
+  /**
+   * List stored events, newest first.
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - processing_status
+   * @param {string} [filters.gateway] - gateway_type
+   * @param {string} [filters.chargeId] - gateway_transaction_id the events are about
+   * @param {number} [filters.page=1]
+   * @param {number} [filters.limit=50]
+   * @returns {Promise<Object>} { events, total, page, limit }
+   * @throws {Error} INVALID_EVENT_STATUS
+   */
+  async list({ status, gateway, chargeId, page = 1, limit = 50 } = {}) {
+    if (status && !EVENT_STATUSES.includes(status)) {
+      throw new Error('INVALID_EVENT_STATUS');
+    }
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+
+    const where = [];
+    const params = [];
+    if (status) { params.push(status); where.push(`processing_status = $${params.length}`); }
+    if (gateway) { params.push(gateway); where.push(`gateway_type = $${params.length}`); }
+    if (chargeId) { params.push(chargeId); where.push(`gateway_charge_id = $${params.length}`); }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [rows, count] = await Promise.all([
+      pool.query(
+        `SELECT id, gateway_type, gateway_event_id, event_type, gateway_charge_id, processing_status,
+                attempt_count, last_error, transactions_updated, received_at, last_attempt_at, processed_at
+         FROM payment_webhook_events ${whereSql}
+         ORDER BY received_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, pageSize, (pageNum - 1) * pageSize]
+      ),
+      pool.query(`SELECT COUNT(*) AS total FROM payment_webhook_events ${whereSql}`, params)
+    ]);
+
+    return {
+      events: rows.rows.map(row => this._mapEvent(row)),
+      total: parseInt(count.rows[0].total, 10),
+      page: pageNum,
+      limit: pageSize
+    };
+  }
+
+  /**
+   * One event with its payload and the transactions of its charge.
+   * @param {string} id
+   * @returns {Promise<Object>}
+   * @throws {Error} EVENT_NOT_FOUND
+   */
+  async getEvent(id) {
+    const result = await pool.query('SELECT * FROM payment_webhook_events WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      throw new Error('EVENT_NOT_FOUND');
+    }
+    const event = this._mapEvent(result.rows[0]);
+
+    const transactions = event.gatewayChargeId
+      ? await pool.query(
+        `SELECT t.id, t.auction_id, t.transaction_status, t.total_amount, t.updated_at, aw.title AS artwork_title
+         FROM transactions t
+         LEFT JOIN artwork aw ON aw.id = t.artwork_id
+         WHERE t.gateway_transaction_id = $1
+         ORDER BY t.created_at`,
+        [event.gatewayChargeId]
+      )
+      : { rows: [] };
+
+    return {
+      ...event,
+      payload: result.rows[0].payload,
+      transactions: transactions.rows.map(t => ({
+        transactionId: t.id,
+        auctionId: t.auction_id,
+        artworkTitle: t.artwork_title,
+        status: t.transaction_status,
+        totalAmount: parseFloat(t.total_amount),
+        updatedAt: t.updated_at
+      }))
+    };
+  }
+
+  /**
+   * Process a FAILED event again. A repeat failure is recorded on the event
+   * and returned, not thrown.
+   * @param {string} id
+   * @returns {Promise<Object>} The event after the attempt
+   * @throws {Error} EVENT_NOT_FOUND, EVENT_NOT_REDRIVABLE
+   */
+  async redrive(id) {
+    const existing = await pool.query('SELECT processing_status FROM payment_webhook_events WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      throw new Error('EVENT_NOT_FOUND');
+    }
+    if (existing.rows[0].processing_status !== 'FAILED') {
+      throw new Error('EVENT_NOT_REDRIVABLE');
+    }
+
+    let processed;
+    try {
+      processed = await this._process(id);
+    } catch (error) {
+      console.error(`[webhooks] redrive of event ${id} failed:`, error.message);
+      const failed = await pool.query('SELECT * FROM payment_webhook_events WHERE id = $1', [id]);
+      return this._mapEvent(failed.rows[0]);
+    }
+    if (!processed) {
+      // Another redrive claimed it first
+      throw new Error('EVENT_NOT_REDRIVABLE');
+    }
+    return this._mapEvent(processed);
+  }
+
+  /**
+   * Claim an event and apply it. Returns null when the event is already
+   * handled or another worker holds it.
+   * @private
+   */
+  async _process(id) {
+    const claimed = await pool.query(
+      `UPDATE payment_webhook_events
+       SET processing_status = 'PROCESSING', attempt_count = attempt_count + 1,
+           last_attempt_at = NOW(), last_error = NULL
+       WHERE id = $1
+         AND (processing_status IN ('RECEIVED', 'FAILED')
+              OR (processing_status = 'PROCESSING' AND last_attempt_at < NOW() - INTERVAL '${STALE_CLAIM_MINUTES} minutes'))
+       RETURNING *`,
+      [id]
+    );
+    if (claimed.rows.length === 0) {
+      return null;
+    }
+    const event = claimed.rows[0];
+
+    try {
+      const { status, updated } = await this._apply(event);
+      const done = await pool.query(
+        `UPDATE payment_webhook_events
+         SET processing_status = $2, transactions_updated = $3, processed_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [id, status, updated]
+      );
+      return done.rows[0];
+    } catch (error) {
+      await pool.query(
+        'UPDATE payment_webhook_events SET processing_status = \'FAILED\', last_error = $2 WHERE id = $1',
+        [id, error.message]
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Move the charge's transactions along. Transactions already past the
+   * event (refunded by us, already completed) are left as they are.
+   * @private
+   * @returns {Promise<Object>} { status: PROCESSED|IGNORED, updated }
+   * @throws {Error} REFUND_EXCEEDS_CHARGE
+   */
+  async _apply(event) {
+    const { action, chargeId, refund } = normalizeEvent(event.gateway_type, event.event_type, event.payload);
+    if (!action || !chargeId) {
+      return { status: 'IGNORED', updated: 0 };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `SELECT t.id, t.transaction_status, t.total_amount, COALESCE(r.refund_amount, 0) AS refunded_amount
+         FROM transactions t
+         LEFT JOIN refunds r ON r.transaction_id = t.id AND r.refund_status = 'COMPLETED'
+         WHERE t.gateway_transaction_id = $1
+         ORDER BY t.created_at
+         FOR UPDATE OF t`,
+        [chargeId]
+      );
+      if (result.rows.length === 0) {
+        // Not one of our charges
+        await client.query('ROLLBACK');
+        return { status: 'IGNORED', updated: 0 };
+      }
+
+      let updated;
+      if (action === 'REFUNDED') {
+        updated = await this._applyRefund(client, event, result.rows, refund);
+      } else {
+        const { from, to } = TRANSITIONS[action];
+        const ids = result.rows.filter(t => from.includes(t.transaction_status)).map(t => t.id);
+        if (ids.length > 0) {
+          await client.query(
+            `UPDATE transactions SET transaction_status = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = ANY($2::uuid[])`,
+            [to, ids]
+          );
+        }
+        updated = ids.length;
+      }
+
+      await client.query('COMMIT');
+      return { status: 'PROCESSED', updated };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a refund made at the gateway: from its dashboard, or one of ours
+   * that failed here but went through there. Stripe reports the charge's
+   * running refunded total, so only what we haven't recorded yet is new;
+   * Square and PayPal report each refund once per event, and an event for a
+   * refund id already applied is skipped.
+   *
+   * A refund equal to what is left on one transaction goes on that
+   * transaction; otherwise it is taken from the charge's transactions in the
+   * order they were made. A transaction refunded in full moves to REFUNDED;
+   * one refunded in part stays COMPLETED with its refund row holding the
+   * amount, which settlement nets off.
+   * @private
+   * @returns {Promise<number>} Transactions refunded (in full or in part)
+   * @throws {Error} REFUND_EXCEEDS_CHARGE
+   */
+  async _applyRefund(client, event, transactions, refund) {
+    const cents = value => Math.round(parseFloat(value) * 100);
+
+    if (refund?.refundId) {
+      // Applied by an earlier event, or made from the app (refundTransaction
+      // keeps the gateway's refund id on the refund row)
+      const applied = await client.query(
+        `SELECT 1 FROM payment_webhook_events
+         WHERE gateway_type = $1 AND gateway_refund_id = $2 AND id <> $3
+         UNION ALL
+         SELECT 1 FROM refunds
+         WHERE transaction_id = ANY($4::uuid[]) AND gateway_refund_id = $2`,
+        [event.gateway_type, refund.refundId, event.id, transactions.map(t => t.id)]
+      );
+      if (applied.rows.length > 0) {
+        return 0;
+      }
+    }
+
+    const open = transactions
+      .filter(t => TRANSITIONS.REFUNDED.from.includes(t.transaction_status))
+      .map(t => ({ id: t.id, left: cents(t.total_amount) - cents(t.refunded_amount) }))
+      .filter(t => t.left > 0);
+
+    let remaining;
+    if (refund?.amount === null || refund?.amount === undefined) {
+      // Amount not reported: the whole charge
+      remaining = open.reduce((sum, t) => sum + t.left, 0);
+    } else if (refund.cumulative) {
+      remaining = cents(refund.amount) - transactions.reduce((sum, t) => sum + cents(t.refunded_amount), 0);
+    } else {
+      remaining = cents(refund.amount);
+    }
+
+    const parts = [];
+    const exact = open.find(t => t.left === remaining);
+    for (const t of exact ? [exact] : open) {
+      if (remaining <= 0) { break; }
+      const take = Math.min(t.left, remaining);
+      parts.push({ id: t.id, amount: take / 100, full: take === t.left });
+      remaining -= take;
+    }
+    if (remaining > 0) {
+      throw new Error('REFUND_EXCEEDS_CHARGE');
+    }
+
+    if (parts.length > 0) {
+      // A second part refund of the same transaction adds to its refund row
+      await client.query(
+        `INSERT INTO refunds (transaction_id, refund_amount, refund_reason, refund_notes, gateway_refund_id,
+                              refund_status, processed_at)
+         SELECT part.id, part.amount, 'SELLER_REQUEST', $3, $4, 'COMPLETED', NOW()
+         FROM unnest($1::uuid[], $2::numeric[]) AS part(id, amount)
+         ON CONFLICT (transaction_id) DO UPDATE
+           SET refund_amount = CASE WHEN refunds.refund_status = 'COMPLETED'
+                                    THEN refunds.refund_amount + EXCLUDED.refund_amount
+                                    ELSE EXCLUDED.refund_amount END,
+               refund_notes = CASE WHEN refunds.refund_status = 'COMPLETED'
+                                   THEN CONCAT_WS(E'\\n', refunds.refund_notes, EXCLUDED.refund_notes)
+                                   ELSE EXCLUDED.refund_notes END,
+               gateway_refund_id = COALESCE(EXCLUDED.gateway_refund_id, refunds.gateway_refund_id),
+               refund_status = 'COMPLETED', processed_at = NOW(), updated_at = CURRENT_TIMESTAMP`,
+        [parts.map(p => p.id), parts.map(p => p.amount), `Refunded at the gateway (event ${event.gateway_event_id})`,
+          refund?.refundId || null]
+      );
+      const full = parts.filter(p => p.full).map(p => p.id);
+      if (full.length > 0) {
+        await client.query(
+          `UPDATE transactions SET transaction_status = 'REFUNDED', updated_at = CURRENT_TIMESTAMP
+           WHERE id = ANY($1::uuid[])`,
+          [full]
+        );
+      }
+    }
+
+    if (refund?.refundId) {
+      await client.query(
+        'UPDATE payment_webhook_events SET gateway_refund_id = $2 WHERE id = $1',
+        [event.id, refund.refundId]
+      );
+    }
+
+    return parts.length;
+  }
+
+  /**
+   * @private
+   */
+  _mapEvent(row) {
+    return {
+      eventId: row.id,
+      gatewayType: row.gateway_type,
+      gatewayEventId: row.gateway_event_id,
+      eventType: row.event_type,
+      gatewayChargeId: row.gateway_charge_id,
+      status: row.processing_status,
+      attemptCount: row.attempt_count,
+      lastError: row.last_error,
+      transactionsUpdated: row.transactions_updated,
+      receivedAt: row.received_at,
+      lastAttemptAt: row.last_attempt_at,
+      processedAt: row.processed_at
+    };
+  }
+}
+
+module.exports = new WebhookEventService();
+module.exports.normalizeEvent = normalizeEvent;
+module.exports.toGatewayType = toGatewayType;
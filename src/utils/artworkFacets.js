@@ -0,0 +1,199 @@
+/**
+ * Browsing facets for artwork search: medium, grade, grade band, size class,
+ * price band and teacher-assigned tags.
+ *
+ * Only tags are stored as such. Grade band and size class are derived from
+ * the free-text grade and the dimensions, and price band from the current
+ * price (highest active bid, else the starting bid), so they never go stale.
+ * Pure — the SQL helpers return expressions for the caller's query.
+ */
+
+const GRADE_BANDS = ['ELEMENTARY', 'MIDDLE', 'HIGH'];
+const SIZE_CLASSES = ['SMALL', 'MEDIUM', 'LARGE'];
+
+/** Upper bounds are exclusive; the last band is open-ended */
+const PRICE_BANDS = Object.freeze([
+  { key: 'UNDER_25', min: 0, max: 25, label: 'Under $25' },
+  { key: '25_50', min: 25, max: 50, label: '$25 – $50' },
+  { key: '50_100', min: 50, max: 100, label: '$50 – $100' },
+  { key: '100_250', min: 100, max: 250, label: '$100 – $250' },
+  { key: '250_PLUS', min: 250, max: null, label: '$250 and up' }
+]);
+
+const FACET_LABELS = {
+  gradeBand: { ELEMENTARY: 'Elementary (K–5)', MIDDLE: 'Middle school (6–8)', HIGH: 'High school (9–12)' },
+  sizeClass: { SMALL: 'Small (up to 30 cm)', MEDIUM: 'Medium (30–75 cm)', LARGE: 'Large (over 75 cm)' },
+  priceBand: Object.fromEntries(PRICE_BANDS.map(b => [b.key, b.label]))
+};
+
+/** Longest side, in cm, for each size class */
+const SMALL_MAX_CM = 30;
+const MEDIUM_MAX_CM = 75;
+
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 &'-]{0,39}$/;
+
+const SORTS = ['relevance', 'ending', 'price_asc', 'price_desc', 'newest'];
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+/**
+ * SQL for a grade as a number (K = 0) from free text such as "9", "9th",
+ * "Grade 10" or "K"; NULL when there is no grade.
+ * @param {string} gradeExpr - SQL expression for the grade text
+ * @returns {string}
+ */
+function gradeNumberSql(gradeExpr) {
+  return `(CASE WHEN ${gradeExpr} ~* '^\\s*(k|kindergarten)\\s*$' THEN 0
+    ELSE NULLIF(substring(${gradeExpr} from '\\d{1,2}'), '')::int END)`;
+}
+
+/**
+ * SQL for the grade band of a grade number expression (see gradeNumberSql).
+ * @param {string} gradeNumberExpr
+ * @returns {string}
+ */
+function gradeBandSql(gradeNumberExpr) {
+  return `(CASE WHEN ${gradeNumberExpr} BETWEEN 0 AND 5 THEN 'ELEMENTARY'
+    WHEN ${gradeNumberExpr} BETWEEN 6 AND 8 THEN 'MIDDLE'
+    WHEN ${gradeNumberExpr} BETWEEN 9 AND 12 THEN 'HIGH' END)`;
+}
+
+/**
+ * SQL for a piece's size class from its longest side; NULL without dimensions.
+ * @param {string} artworkAlias
+ * @returns {string}
+ */
+function sizeClassSql(artworkAlias) {
+  const longest = `GREATEST(${artworkAlias}.dimensions_width_cm, ${artworkAlias}.dimensions_height_cm, ${artworkAlias}.dimensions_depth_cm)`;
+  return `(CASE WHEN ${longest} IS NULL THEN NULL
+    WHEN ${longest} <= ${SMALL_MAX_CM} THEN 'SMALL'
+    WHEN ${longest} <= ${MEDIUM_MAX_CM} THEN 'MEDIUM'
+    ELSE 'LARGE' END)`;
+}
+
+/**
+ * SQL for the price band of a price expression.
+ * @param {string} priceExpr
+ * @returns {string}
+ */
+function priceBandSql(priceExpr) {
+  const branches = PRICE_BANDS
+    .filter(b => b.max !== null)
+    .map(b => `WHEN ${priceExpr} < ${b.max} THEN '${b.key}'`)
+    .join(' ');
+  return `(CASE ${branches} ELSE '${PRICE_BANDS[PRICE_BANDS.length - 1].key}' END)`;
+}
+
+/**
+ * Normalize a teacher-entered tag: trimmed, lower case, single spaces.
+ * @param {string} raw
+ * @returns {string}
+ * @throws {Error} INVALID_TAG
+ */
+function normalizeTag(raw) {
+  const tag = String(raw ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!TAG_PATTERN.test(tag)) {
+    throw new Error('INVALID_TAG');
+  }
+  return tag;
+}
+
+/**
+ * Normalize a piece's full tag list, dropping duplicates.
+ * @param {string[]} tags
+ * @returns {string[]}
+ * @throws {Error} INVALID_TAG, TOO_MANY_TAGS
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new Error('INVALID_TAG');
+  }
+  const unique = [...new Set(tags.map(normalizeTag))];
+  if (unique.length > MAX_TAGS) {
+    throw new Error('TOO_MANY_TAGS');
+  }
+  return unique;
+}
+
+/** A query-string value as a list: repeated params or comma-separated */
+function listParam(value) {
+  if (value === undefined || value === null || value === '') { return []; }
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+function enumParam(value, allowed) {
+  const values = listParam(value).map(v => v.toUpperCase());
+  if (values.some(v => !allowed.includes(v))) {
+    throw new Error('INVALID_SEARCH_FILTER');
+  }
+  return values;
+}
+
+function priceParam(value) {
+  if (value === undefined || value === null || value === '') { return null; }
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new Error('INVALID_SEARCH_FILTER');
+  }
+  return price;
+}
+
+/**
+ * Parse search filters from a query string.
+ * @param {Object} query - req.query
+ * @returns {Object} { q, auctionId, medium, grade, gradeBand, sizeClass,
+ *   priceBand, tags, minPrice, maxPrice, sort, limit, offset }
+ * @throws {Error} INVALID_SEARCH_FILTER
+ */
+function parseSearchFilters(query = {}) {
+  const q = String(query.q || '').trim().slice(0, 200);
+  const grade = listParam(query.grade).map(g => (/^k$/i.test(g) ? 0 : Number(g)));
+  if (grade.some(g => !Number.isInteger(g) || g < 0 || g > 12)) {
+    throw new Error('INVALID_SEARCH_FILTER');
+  }
+  let tags;
+  try {
+    tags = listParam(query.tag).map(normalizeTag);
+  } catch {
+    throw new Error('INVALID_SEARCH_FILTER');
+  }
+  const sort = query.sort || (q ? 'relevance' : 'ending');
+  if (!SORTS.includes(sort) || (sort === 'relevance' && !q)) {
+    throw new Error('INVALID_SEARCH_FILTER');
+  }
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(Number.parseInt(query.offset, 10) || 0, 0);
+
+  return {
+    q,
+    auctionId: query.auctionId || null,
+    medium: listParam(query.medium).map(m => m.toLowerCase()),
+    grade,
+    gradeBand: enumParam(query.gradeBand, GRADE_BANDS),
+    sizeClass: enumParam(query.sizeClass, SIZE_CLASSES),
+    priceBand: enumParam(query.priceBand, PRICE_BANDS.map(b => b.key)),
+    tags,
+    minPrice: priceParam(query.minPrice),
+    maxPrice: priceParam(query.maxPrice),
+    sort,
+    limit,
+    offset
+  };
+}
+
+module.exports = {
+  GRADE_BANDS,
+  SIZE_CLASSES,
+  PRICE_BANDS,
+  FACET_LABELS,
+  MAX_TAGS,
+  gradeNumberSql,
+  gradeBandSql,
+  sizeClassSql,
+  priceBandSql,
+  normalizeTag,
+  normalizeTags,
+  parseSearchFilters
+};
@@ -2,9 +2,14 @@
  * Tenant-isolation predicate for auction management.
  * SITE_ADMIN manages every school; SCHOOL_ADMIN manages only their own.
  * Pure — the caller loads the auction's school_id and passes it in.
+ *
+ * In a joint auction the host school (auctions.school_id) runs the auction
+ * itself — settings, start/end, partners — while each school manages only
+ * its own pieces: pass the host for auction-wide actions and the piece's
+ * school (pieceSchoolSql) for anything done to a piece.
  * @param {string} actorRole
  * @param {string|null|undefined} actorSchoolId
- * @param {string|null|undefined} auctionSchoolId
+ * @param {string|null|undefined} auctionSchoolId - Host school, or the piece's school
  * @returns {boolean}
  */
 function schoolCanManage(actorRole, actorSchoolId, auctionSchoolId) {
@@ -15,4 +20,43 @@ function schoolCanManage(actorRole, actorSchoolId, auctionSchoolId) {
   return false;
 }
 
-module.exports = { schoolCanManage };
+/**
+ * Whether the actor's school takes part in an auction, as host or as an
+ * accepted partner. Taking part lets a school's admins see the auction and
+ * their own pieces in it, not run it.
+ * @param {string} actorRole
+ * @param {string|null|undefined} actorSchoolId
+ * @param {string|null|undefined} hostSchoolId
+ * @param {string[]} [partnerSchoolIds] - Accepted partners only
+ * @returns {boolean}
+ */
+function schoolParticipates(actorRole, actorSchoolId, hostSchoolId, partnerSchoolIds = []) {
+  if (schoolCanManage(actorRole, actorSchoolId, hostSchoolId)) { return true; }
+  return actorRole === 'SCHOOL_ADMIN' && !!actorSchoolId && partnerSchoolIds.includes(actorSchoolId);
+}
+
+/**
+ * SQL for the school a piece belongs to. Pieces created before joint
+ * auctions have no school of their own and belong to the auction's.
+ * @param {string} artworkAlias
+ * @param {string} auctionAlias
+ * @returns {string}
+ */
+function pieceSchoolSql(artworkAlias, auctionAlias) {
+  return `COALESCE(${artworkAlias}.school_id, ${auctionAlias}.school_id)`;
+}
+
+/**
+ * SQL condition: the school in `schoolParam` hosts the auction or is an
+ * accepted partner in it.
+ * @param {string} auctionAlias
+ * @param {string} schoolParam - Placeholder such as '$2'
+ * @returns {string}
+ */
+function participatingSchoolSql(auctionAlias, schoolParam) {
+  return `(${auctionAlias}.school_id = ${schoolParam} OR EXISTS (
+    SELECT 1 FROM auction_partner_schools ps
+    WHERE ps.auction_id = ${auctionAlias}.id AND ps.school_id = ${schoolParam} AND ps.partner_status = 'ACCEPTED'))`;
+}
+
+module.exports = { schoolCanManage, schoolParticipates, pieceSchoolSql, participatingSchoolSql };
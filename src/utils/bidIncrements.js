@@ -0,0 +1,117 @@
+/**
+ * Tiered bid increment schedules.
+ *
+ * A schedule is an ordered list of tiers. Each tier applies while the current
+ * price is below `upTo`; the final tier has `upTo: null` and covers everything
+ * above. Example — $1 under $20, $5 under $100, $25 above:
+ *   [{ upTo: 20, increment: 1 }, { upTo: 100, increment: 5 }, { upTo: null, increment: 25 }]
+ *
+ * Schedules are stored as JSONB on auctions (the default for every piece) and
+ * optionally on artwork (an override for a single piece). Pure — no DB access.
+ */
+
+/** Flat $10 increment used when neither the artwork nor its auction sets one */
+const DEFAULT_BID_INCREMENTS = Object.freeze([Object.freeze({ upTo: null, increment: 10 })]);
+
+const MAX_TIERS = 20;
+
+/**
+ * Validate and normalize a schedule from user input or a DB row.
+ * @param {Array|string|null|undefined} raw - Tier array, or its JSON encoding
+ * @returns {Array|null} Normalized schedule sorted by `upTo`, or null when unset
+ * @throws {Error} When the schedule is malformed
+ */
+function parseIncrementSchedule(raw) {
+  if (raw === null || raw === undefined || raw === '') { return null; }
+
+  let tiers = raw;
+  if (typeof raw === 'string') {
+    try {
+      tiers = JSON.parse(raw);
+    } catch {
+      throw new Error('Invalid bid increment schedule: not valid JSON');
+    }
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    throw new Error(`Invalid bid increment schedule: expected 1-${MAX_TIERS} tiers`);
+  }
+
+  const normalized = tiers.map(tier => {
+    const increment = Number(tier?.increment);
+    const upTo = tier?.upTo === null || tier?.upTo === undefined ? null : Number(tier.upTo);
+    if (!Number.isFinite(increment) || increment <= 0) {
+      throw new Error('Invalid bid increment schedule: each tier needs a positive increment');
+    }
+    if (upTo !== null && (!Number.isFinite(upTo) || upTo <= 0)) {
+      throw new Error('Invalid bid increment schedule: tier thresholds must be positive');
+    }
+    return { upTo: upTo === null ? null : Math.round(upTo * 100) / 100, increment: Math.round(increment * 100) / 100 };
+  });
+
+  const openEnded = normalized.filter(t => t.upTo === null);
+  if (openEnded.length !== 1) {
+    throw new Error('Invalid bid increment schedule: exactly one tier must have no upper bound');
+  }
+
+  const bounded = normalized.filter(t => t.upTo !== null).sort((a, b) => a.upTo - b.upTo);
+  for (let i = 1; i < bounded.length; i++) {
+    if (bounded[i].upTo === bounded[i - 1].upTo) {
+      throw new Error('Invalid bid increment schedule: duplicate tier threshold');
+    }
+  }
+
+  return [...bounded, openEnded[0]];
+}
+
+/**
+ * Pick the schedule in force for a piece: artwork override, then auction default.
+ * Stored values that fail validation fall back rather than blocking bidding.
+ * @param {Array|string|null} artworkSchedule
+ * @param {Array|string|null} auctionSchedule
+ * @returns {Array}
+ */
+function resolveIncrementSchedule(artworkSchedule, auctionSchedule) {
+  for (const candidate of [artworkSchedule, auctionSchedule]) {
+    try {
+      const parsed = parseIncrementSchedule(candidate);
+      if (parsed) { return parsed; }
+    } catch {
+      // fall through to the next level
+    }
+  }
+  return DEFAULT_BID_INCREMENTS;
+}
+
+/**
+ * Increment that applies at the given price.
+ * @param {Array} schedule - Normalized schedule
+ * @param {number} amount - Current price
+ * @returns {number}
+ */
+function incrementFor(schedule, amount) {
+  const tier = schedule.find(t => t.upTo === null || amount < t.upTo);
+  return tier.increment;
+}
+
+/**
+ * Lowest acceptable next bid.
+ * @param {Array} schedule - Normalized schedule
+ * @param {number} currentBid - Highest active bid (0 when none)
+ * @param {number} startingBid - Opening price
+ * @returns {number}
+ */
+function nextMinimumBid(schedule, currentBid, startingBid) {
+  if (currentBid > 0) {
+    return Math.round((currentBid + incrementFor(schedule, currentBid)) * 100) / 100;
+  }
+  return startingBid;
+}
+
+module.exports = {
+  DEFAULT_BID_INCREMENTS,
+  parseIncrementSchedule,
+  resolveIncrementSchedule,
+  incrementFor,
+  nextMinimumBid
+};
@@ -0,0 +1,23 @@
+/**
+ * Who-placed-it context recorded on bids and their audit rows, so a disputed
+ * bid can be traced to a network address, browser and login session.
+ * req.ip already honours the app's `trust proxy` setting (X-Forwarded-For is only
+ * believed from the configured hop), so it is the real client address behind
+ * the load balancer and cannot be spoofed by a client-supplied header.
+ */
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * @param {Request} req - Express request, after verifyToken
+ * @returns {{ ipAddress: string|null, userAgent: string|null, sessionJti: string|null }}
+ */
+function requestContext(req) {
+  const userAgent = req?.headers?.['user-agent'];
+  return {
+    ipAddress: req?.ip || null,
+    userAgent: userAgent ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+    sessionJti: req?.user?.jti || null
+  };
+}
+
+module.exports = { requestContext };
@@ -47,6 +47,51 @@ function canAccessRole(userRole, requiredRole) {
   return userIndex <= requiredIndex;
 }
 
+/**
+ * Whether the user's school hosts the auction or is a partner in it (a
+ * joint auction lists its accepted partners in partnerSchoolIds).
+ * @param {Object} user - User object { schoolId }
+ * @param {Object} auction - Auction object { school_id, partnerSchoolIds }
+ * @returns {boolean}
+ */
+function isAuctionSchool(user, auction) {
+  if (!user.schoolId) {
+    return false;
+  }
+  const partnerSchoolIds = auction.partnerSchoolIds || auction.partner_school_ids || [];
+  return user.schoolId === (auction.school_id || auction.schoolId) || partnerSchoolIds.includes(user.schoolId);
+}
+
+/**
+ * Check the guest list of an INVITED_ONLY auction
+ *
+ * Rules:
+ * - Not INVITED_ONLY: no restriction here
+ * - SITE_ADMIN: sees all
+ * - SCHOOL_ADMIN/TEACHER: sees own school's, including joint auctions it is a partner in
+ * - Everyone else: only when invited (auction.viewerInvited, which the
+ *   caller resolves from auction_invitations)
+ *
+ * @param {Object} user - User object { id, role, schoolId }
+ * @param {Object} auction - Auction object { school_id, visibility, viewerInvited }
+ * @returns {boolean} True if the guest list does not keep the user out
+ */
+function canSeeInviteOnlyAuction(user, auction) {
+  if (!auction || auction.visibility !== 'INVITED_ONLY') {
+    return true;
+  }
+  if (!user || !user.role) {
+    return false;
+  }
+  if (user.role === 'SITE_ADMIN') {
+    return true;
+  }
+  if (['SCHOOL_ADMIN', 'TEACHER'].includes(user.role) && isAuctionSchool(user, auction)) {
+    return true;
+  }
+  return auction.viewerInvited === true || auction.viewer_invited === true;
+}
+
 /**
  * Check if user can view an auction based on role and status
  *
@@ -55,22 +100,27 @@ function canAccessRole(userRole, requiredRole) {
  * - SCHOOL_ADMIN: sees own school (DRAFT, APPROVED, LIVE, CLOSED)
  * - TEACHER: sees own school + APPROVED only
  * - STUDENT/BIDDER: sees APPROVED only
+ * - INVITED_ONLY auctions: only staff and guests (canSeeInviteOnlyAuction);
+ *   an invited STUDENT may see another school's
  *
  * @param {Object} user - User object { id, role, schoolId }
- * @param {Object} auction - Auction object { school_id, status }
+ * @param {Object} auction - Auction object { school_id, status, visibility, viewerInvited }
  * @returns {boolean} True if user can view auction
  */
 function canViewAuction(user, auction) {
   if (!user || !user.role || !auction) {
     return false;
   }
+  if (!canSeeInviteOnlyAuction(user, auction)) {
+    return false;
+  }
+  const invitedGuest = auction.visibility === 'INVITED_ONLY';
 
   // Handle both camelCase (service responses) and snake_case (raw DB rows)
-  const auctionSchoolId = auction.school_id || auction.schoolId;
   const auctionStatus = auction.status || auction.auction_status;
 
-  // School isolation: enforce school_id matching
-  const sameSchool = user.schoolId === auctionSchoolId;
+  // School isolation: the host school or a joint auction's partner
+  const sameSchool = isAuctionSchool(user, auction);
 
   switch (user.role) {
     case 'SITE_ADMIN':
@@ -86,8 +136,9 @@ function canViewAuction(user, auction) {
       return sameSchool && ['APPROVED', 'LIVE'].includes(auctionStatus);
 
     case 'STUDENT':
-      // Can see APPROVED and LIVE auctions from own school
-      return sameSchool && ['APPROVED', 'LIVE'].includes(auctionStatus);
+      // Can see APPROVED and LIVE auctions from own school, or any school's
+      // invite-only auction they are a guest of
+      return (sameSchool || invitedGuest) && ['APPROVED', 'LIVE'].includes(auctionStatus);
 
     case 'BIDDER':
       // BIDDERs are external users with no school affiliation — can view any APPROVED or LIVE auction
@@ -171,12 +222,13 @@ function canViewArtwork(user, artwork) {
       return sameSchool;
 
     case 'STUDENT':
-      // Can see own draft submissions + approved artwork only
-      return sameSchool && (ownSubmission || artworkStatus === 'APPROVED');
+      // Can see own draft submissions + approved (or already sold) artwork only
+      return sameSchool && (ownSubmission || artworkStatus === 'APPROVED' || artworkStatus === 'SOLD');
 
     case 'BIDDER':
-      // BIDDERs are external users with no school affiliation — can see any APPROVED artwork
-      return artworkStatus === 'APPROVED';
+      // BIDDERs are external users with no school affiliation — can see any
+      // APPROVED artwork, and pieces sold mid-auction via Buy-It-Now
+      return artworkStatus === 'APPROVED' || artworkStatus === 'SOLD';
 
     default:
       return false;
@@ -383,6 +435,7 @@ function getRoleByIndex(index) {
 module.exports = {
   ROLE_HIERARCHY,
   canAccessRole,
+  canSeeInviteOnlyAuction,
   canViewAuction,
   canEditAuction,
   canViewArtwork,
@@ -186,6 +186,45 @@ describe('attachEventListeners() and submitBid()', () => {
     expect(document.getElementById('leading-bidder-piece').textContent).toContain('Sunset');
   });
 
+  test('9b — offline submitBid queues the bid on the device instead of posting it', async () => {
+    const onLine = jest.spyOn(globalThis.navigator, 'onLine', 'get').mockReturnValue(false);
+    globalThis.OfflineBidQueue = { canQueue: jest.fn(() => true), enqueue: jest.fn().mockResolvedValue(true) };
+
+    const inst = makeInstance({ currentPiece: { id: 'art-1', title: 'Sunset' } });
+    const form = document.getElementById('bidding-form');
+    await inst.submitBid(new Event('submit', { cancelable: true }), form);
+
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    expect(globalThis.OfflineBidQueue.enqueue).toHaveBeenCalledWith('art-1', 150);
+    expect(globalThis.UIComponents.createToast).toHaveBeenCalledWith(expect.objectContaining({ type: 'info' }));
+
+    onLine.mockRestore();
+    delete globalThis.OfflineBidQueue;
+  });
+
+  test('9c — synced offline bids report each outcome to the bidder', async () => {
+    globalThis.OfflineBidQueue = {
+      sync: jest.fn()
+        .mockResolvedValueOnce([
+          { nonce: 'a', amount: 85, status: 'ACCEPTED', message: 'Bid placed', isWinning: true },
+          { nonce: 'b', amount: 90, status: 'REJECTED', message: 'Auction has ended' }
+        ])
+        .mockResolvedValueOnce(null)
+    };
+    const inst = makeInstance({ isUserLoggedIn: true });
+    inst.loadBidHistory = jest.fn();
+    inst.loadBiddingState = jest.fn();
+
+    await inst.syncOfflineBids();
+
+    expect(globalThis.UIComponents.createToast).toHaveBeenCalledWith(expect.objectContaining({ type: 'success' }));
+    expect(globalThis.UIComponents.createToast).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'warning', message: expect.stringContaining('Auction has ended')
+    }));
+    expect(inst.loadBidHistory).toHaveBeenCalled();
+    delete globalThis.OfflineBidQueue;
+  });
+
   test('10 — handleNewBid with outbidCurrentUser:true hides leading-bidder banner', () => {
     document.getElementById('leading-bidder-banner').hidden = false;
 
@@ -214,14 +253,22 @@ describe('displayArtworkPiece() min-bid hint', () => {
     `;
   });
 
-  test('12 — min-bid hint equals currentBid + $10 increment', () => {
+  test('12 — min-bid hint uses the server-computed next minimum bid', () => {
     const inst = makeInstance();
     inst.displayArtworkPiece({
       id: 'art-1', title: 'Sunset', artistName: 'Alice',
-      imageUrl: '', startingPrice: 100, currentBid: 200,
+      imageUrl: '', startingPrice: 100, currentBid: 200, nextMinimumBid: 225,
       bidCount: 3, medium: 'Oil', dimensions: '10x10'
     });
-    expect(document.getElementById('min-bid-amount').textContent).toBe('$210.00');
+    expect(document.getElementById('min-bid-amount').textContent).toBe('$225.00');
+  });
+
+  test('12b — bidding state from the server replaces the hint', () => {
+    const inst = makeInstance();
+    inst.currentPiece = { id: 'art-1', currentBid: 200 };
+    inst.applyBiddingState({ artworkId: 'art-1', currentBid: 200, nextMinimumBid: 205, bidIncrement: 5 });
+    expect(document.getElementById('min-bid-amount').textContent).toBe('$205.00');
+    expect(inst.currentPiece.nextMinimumBid).toBe(205);
   });
 });
 
@@ -257,6 +304,15 @@ describe('_focusArtwork()', () => {
     expect(inst.currentPiece.id).toBe('art-2');
   });
 
+  test('1b — registers the QR scan for offline bidding when a bidder arrives by QR code', () => {
+    globalThis.OfflineBidQueue = { registerScan: jest.fn() };
+    const inst = makeInstance({ artworks, focusArtworkId: 'art-2', isVisitor: false });
+    inst.renderArtworkGallery(artworks);
+    inst._focusArtwork();
+    expect(globalThis.OfflineBidQueue.registerScan).toHaveBeenCalledWith('auction-1', 'art-2');
+    delete globalThis.OfflineBidQueue;
+  });
+
   test('2 — falls back to first artwork when focusArtworkId does not match', () => {
     const inst = makeInstance({ artworks, focusArtworkId: 'nonexistent', isVisitor: false });
     inst.renderArtworkGallery(artworks);
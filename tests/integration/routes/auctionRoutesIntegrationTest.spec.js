@@ -16,6 +16,13 @@ jest.mock('../../../src/models/index', () => {
   };
 });
 
+// Guest-list checks for invite-only auctions have their own tests; pass
+// through here so the pool mocks below line up with the controller queries.
+jest.mock('../../../src/middleware/auctionAccess', () => ({
+  requireAuctionAccess: (req, res, next) => next(),
+  requireArtworkAuctionAccess: (req, res, next) => next()
+}));
+
 const request = require('supertest');
 const jwt = require('jsonwebtoken');
 const createApp = require('../../../src/app');
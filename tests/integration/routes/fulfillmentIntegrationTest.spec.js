@@ -11,6 +11,7 @@
  *  7.  GET  /api/user/wins — returns fulfillment fields (shipped, trackingCarrier, etc.)
  *  8.  GET  /api/user/wins — returns shipped=false when shipped_at IS NULL
  *  9.  GET  /api/admin/wins — returns unshipped wins list
+ *  9b. GET  /api/admin/wins — flags high integrity-risk winners
  * 10.  notifyArtworkShipped — sends shipped email with tracking info
  * 11.  notifyArtworkShipped — skips send when email_winner pref is false
  */
@@ -228,6 +229,32 @@ describe('G14 — GET /api/admin/wins', () => {
     expect(res.body.success).toBe(true);
     expect(Array.isArray(res.body.wins)).toBe(true);
   });
+
+  test('flags a winner who bid from the artist\'s device as high risk', async () => {
+    const token = makeToken({ role: 'SITE_ADMIN', twoFaEnabled: true });
+    const winRow = { bidId: 'bid-1', artworkId: 'aw-1', auctionId: 'auc-1', winnerId: 'user-1' };
+    const bidRow = {
+      id: 'bid-1', auction_id: 'auc-1', artwork_id: 'aw-1', placed_by_user_id: 'user-1',
+      bid_amount: '50.00', bid_status: 'ACCEPTED', is_auto_bid: false, placed_at: new Date(),
+      ip_address: '198.51.100.4', user_agent: 'Mozilla/5.0', artwork_title: 'Cool Art',
+      artist_id: 'artist-1', first_name: 'Bob', last_name: 'Smith', email: 'bob@example.com',
+      account_created_at: new Date('2025-01-01')
+    };
+
+    mockPool.query
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })       // tokenBlacklist.isRevoked
+      .mockResolvedValueOnce({ rows: [winRow], rowCount: 1 }) // SELECT wins
+      .mockResolvedValueOnce({ rows: [bidRow] })              // integrity: auction bids
+      .mockResolvedValueOnce({ rows: [{ user_id: 'artist-1', ip_address: '198.51.100.4', user_agent: 'Mozilla/5.0' }] })
+      .mockResolvedValue({ rows: [], rowCount: 0 });
+
+    const res = await request(app)
+      .get('/api/admin/wins')
+      .set(authCookie(token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.wins[0]).toMatchObject({ highRisk: true, riskReasons: ['SHARES_DEVICE_WITH_ARTIST'] });
+  });
 });
 
 // ── GET /api/user/wins ───────────────────────────────────────────────────────
@@ -40,3 +40,66 @@ describe('PaymentController construction', () => {
     expect(() => require('../../../src/routes/paymentRoutes')).not.toThrow();
   });
 });
+
+describe('PaymentController.handleWebhook', () => {
+  function mockRes() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  }
+
+  const verified = { eventId: 'evt_1', eventType: 'charge.refunded', data: { payment_intent: 'pi_1' } };
+
+  function build({ verifyWebhook, receive }) {
+    return new PaymentController(
+      { verifyWebhook: verifyWebhook || jest.fn().mockResolvedValue(verified) },
+      null,
+      { receive: receive || jest.fn() }
+    );
+  }
+
+  test('rejects a missing or unknown gateway header', async () => {
+    const ctrl = build({});
+    const res = mockRes();
+    await ctrl.handleWebhook({ headers: { 'x-gateway': 'venmo' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(ctrl.paymentService.verifyWebhook).not.toHaveBeenCalled();
+  });
+
+  test('rejects an event the gateway does not verify', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const ctrl = build({ verifyWebhook: jest.fn().mockRejectedValue(new Error('STRIPE_WEBHOOK_INVALID: bad sig')) });
+    const res = mockRes();
+    await ctrl.handleWebhook({ headers: { 'x-gateway': 'stripe' }, rawBody: '{}', body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(ctrl.webhookEventService.receive).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+  });
+
+  test('verifies the raw body, stores the event and acknowledges a repeat', async () => {
+    const receive = jest.fn().mockResolvedValue({ event: { eventId: 'we-1', status: 'PROCESSED' }, duplicate: true });
+    const ctrl = build({ receive });
+    const res = mockRes();
+    const headers = { 'x-gateway': 'Stripe', 'stripe-signature': 't=1,v1=abc' };
+
+    await ctrl.handleWebhook({ headers, rawBody: '{"id":"evt_1"}', body: { id: 'evt_1' } }, res);
+
+    expect(ctrl.paymentService.verifyWebhook).toHaveBeenCalledWith('STRIPE', '{"id":"evt_1"}', headers);
+    expect(receive).toHaveBeenCalledWith('STRIPE', verified);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      message: 'Webhook already received',
+      data: { eventId: 'we-1', status: 'PROCESSED', duplicate: true }
+    });
+  });
+
+  test('asks the gateway to retry when the event could not be stored', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ctrl = build({ receive: jest.fn().mockRejectedValue(new Error('connection refused')) });
+    const res = mockRes();
+    await ctrl.handleWebhook({ headers: { 'x-gateway': 'paypal' }, body: {} }, res);
+    expect(res.status).toHaveBeenCalledWith(500);
+    console.error.mockRestore();
+  });
+});
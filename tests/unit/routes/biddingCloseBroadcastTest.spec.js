@@ -153,4 +153,21 @@ describe('Finding 2 — auction-close broadcast winner reduction', () => {
     expect(res.body.data.winner.name).toBe('Sophia Williams');
     expect(res.body.data.winner.id).toBe('user-secret-id');
   });
+
+  test('refused close (lots still open) returns 409 without broadcasting', async () => {
+    biddingService.closeAuction.mockResolvedValue({
+      success: false,
+      openLots: 2,
+      message: '2 lot(s) are still open; the auction ends after the last lot closes'
+    });
+
+    const res = await request(app)
+      .post('/api/bidding/auction/auction-99/close')
+      .set(authCookie(makeAdminToken()));
+
+    expect(res.status).toBe(409);
+    expect(res.body.success).toBe(false);
+    expect(res.body.message).toMatch(/still open/);
+    expect(realtimeService.broadcastAuctionStatusChange).not.toHaveBeenCalled();
+  });
 });
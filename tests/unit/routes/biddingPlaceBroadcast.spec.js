@@ -0,0 +1,84 @@
+/**
+ * Bid placement broadcast
+ *
+ * POST /api/bidding/place always pushes the new current price and minimum
+ * next bid to open pages, including when an existing proxy absorbs the bid;
+ * `leaderChanged` tells pages whether the lead changed hands.
+ */
+
+process.env.NODE_ENV = 'test';
+if (!process.env.JWT_ACCESS_SECRET) { process.env.JWT_ACCESS_SECRET = 'test-access-secret'; }
+if (!process.env.JWT_REFRESH_SECRET) { process.env.JWT_REFRESH_SECRET = 'test-refresh-secret'; }
+
+jest.mock('../../../src/models/index', () => {
+  const actual = jest.requireActual('../../../src/models/index');
+  return { ...actual, pool: { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) } };
+});
+
+jest.mock('../../../src/services/biddingService', () => ({
+  placeBid: jest.fn(),
+  getBiddingState: jest.fn()
+}));
+
+jest.mock('../../../src/services/realtimeService', () => ({
+  broadcastAuctionStatusChange: jest.fn(),
+  broadcastBidUpdate: jest.fn(),
+  getStats: jest.fn().mockReturnValue({})
+}));
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const createApp = require('../../../src/app');
+const mockDb = require('../../helpers/mockDb');
+const biddingService = require('../../../src/services/biddingService');
+const realtimeService = require('../../../src/services/realtimeService');
+const { authCookie } = require('../../helpers/authCookie');
+
+function makeBidderToken() {
+  return jwt.sign({ userId: 'user-456', role: 'BIDDER', schoolId: null }, process.env.JWT_ACCESS_SECRET, { algorithm: 'HS256', expiresIn: '15m' });
+}
+
+describe('POST /api/bidding/place broadcast', () => {
+  let app;
+
+  beforeAll(() => {
+    mockDb.reset();
+    app = createApp(mockDb);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    biddingService.getBiddingState.mockResolvedValue({
+      auctionId: 'auction-1', currentBid: '150.00', nextMinimumBid: 160, totalBids: 4
+    });
+  });
+
+  test('broadcasts the new price when a proxy absorbs the bid', async () => {
+    biddingService.placeBid.mockResolvedValue({
+      success: true, bidId: 'bid-3', artworkId: 'art-1', bidAmount: 140, isWinning: false, leaderChanged: false, extension: null
+    });
+
+    const res = await request(app)
+      .post('/api/bidding/place')
+      .set(authCookie(makeBidderToken()))
+      .send({ artworkId: 'art-1', bidAmount: 140 });
+
+    expect(res.status).toBe(200);
+    expect(realtimeService.broadcastBidUpdate).toHaveBeenCalledWith('auction-1', expect.objectContaining({
+      currentBid: '150.00', nextMinimumBid: 160, totalBids: 4, leaderChanged: false
+    }));
+  });
+
+  test('marks the broadcast as a lead change when the bid takes the lead', async () => {
+    biddingService.placeBid.mockResolvedValue({
+      success: true, bidId: 'bid-4', artworkId: 'art-1', bidAmount: 150, isWinning: true, leaderChanged: true, extension: null
+    });
+
+    await request(app)
+      .post('/api/bidding/place')
+      .set(authCookie(makeBidderToken()))
+      .send({ artworkId: 'art-1', bidAmount: 150 });
+
+    expect(realtimeService.broadcastBidUpdate.mock.calls[0][1].leaderChanged).toBe(true);
+  });
+});
@@ -6,12 +6,37 @@
 
 const AdminService = require('../../../src/services/adminService');
 const { pool } = require('../../../src/models/index');
+const biddingService = require('../../../src/services/biddingService');
+const donationReceiptService = require('../../../src/services/donationReceiptService');
+const settlementService = require('../../../src/services/settlementService');
+const webhookEventService = require('../../../src/services/webhookEventService');
 
 // Mock the shared pool from models/index
 jest.mock('../../../src/models/index', () => ({
   pool: { query: jest.fn() }
 }));
 
+jest.mock('../../../src/services/donationReceiptService', () => ({
+  issueForDonor: jest.fn().mockResolvedValue([]),
+  reissue: jest.fn()
+}));
+
+jest.mock('../../../src/services/settlementService', () => ({
+  generateForAuction: jest.fn(),
+  listForAuction: jest.fn(),
+  getStatement: jest.fn(),
+  setFeeWaiver: jest.fn(),
+  approve: jest.fn(),
+  toCsv: jest.fn(),
+  renderPdf: jest.fn()
+}));
+
+jest.mock('../../../src/services/webhookEventService', () => ({
+  list: jest.fn(),
+  getEvent: jest.fn(),
+  redrive: jest.fn()
+}));
+
 describe('AdminService', () => {
   let adminService;
   let mockPool;
@@ -199,6 +224,54 @@ describe('AdminService', () => {
       await expect(adminService.closeForcibly(auctionId, 'Force close', adminId))
         .rejects.toThrow('AUCTION_ALREADY_CLOSED');
     });
+
+    test('approveBid - should block SCHOOL_ADMIN from another school\'s bids', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [{ school_id: 'school-2' }] }); // bid's auction
+
+      await expect(adminService.approveBid('bid-1', 'school-admin-123'))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+    });
+
+    test('rejectBid - should delegate to the bidding service and audit the review', async () => {
+      const spy = jest.spyOn(biddingService, 'rejectPendingBid')
+        .mockResolvedValue({ success: true, bidId: 'bid-1', artworkId: 'art-1', auctionId: 'auction-1' });
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [{ school_id: 'school-1' }] }) // bid's auction
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      const result = await adminService.rejectBid('bid-1', 'Duplicate account', 'school-admin-123');
+
+      expect(result.success).toBe(true);
+      expect(spy).toHaveBeenCalledWith('bid-1', 'school-admin-123', 'Duplicate account');
+      spy.mockRestore();
+    });
+
+    test('getArtworkBidHistory - should return every bid with where it was placed from', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1', title: 'Sunset', auction_id: 'auction-1', auction_title: 'Spring', school_id: 'school-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', ip_address: '203.0.113.7', user_agent: 'Mozilla/5.0', session_jti: 'jti-abc' }] });
+
+      const result = await adminService.getArtworkBidHistory('art-1', 'school-admin-123');
+
+      expect(result.artwork).toEqual({ id: 'art-1', title: 'Sunset', auctionId: 'auction-1', auctionTitle: 'Spring' });
+      expect(result.bids[0]).toMatchObject({ ip_address: '203.0.113.7', session_jti: 'jti-abc' });
+      expect(mockPool.query.mock.calls[2][0]).toContain('b.ip_address, b.user_agent, b.session_jti');
+    });
+
+    test('getArtworkBidHistory - should block SCHOOL_ADMIN from another school\'s artwork', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1', school_id: 'school-2' }] });
+
+      await expect(adminService.getArtworkBidHistory('art-1', 'school-admin-123'))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
   });
 
   // ========== PAYMENT MANAGEMENT TESTS (3 tests) ==========
@@ -250,6 +323,198 @@ describe('AdminService', () => {
     });
   });
 
+  // ========== OFFLINE PAYMENT TESTS (5 tests) ==========
+
+  describe('Offline Payments', () => {
+    const win = {
+      id: 'art-1', title: 'Sunflowers', auction_id: 'auc-1', school_id: 'school-1',
+      buyer_user_id: 'buyer-1', bid_amount: '120.00', paid_online: false
+    };
+
+    test('recordOfflinePayment - should record a check against the win and audit it', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'admin-123', role: 'SCHOOL_ADMIN', school_id: 'school-1' }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [win] }) // win lookup
+        .mockResolvedValueOnce({ rows: [{ id: 'vol-1' }] }) // receiver
+        .mockResolvedValueOnce({ rows: [{ id: 'op-1', auction_id: 'auc-1', notes: 'Paid at pickup', received_at: new Date() }] }) // INSERT
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      const payment = await adminService.recordOfflinePayment('art-1', {
+        method: 'CHECK', checkNumber: ' 1042 ', receivedByUserId: 'vol-1', notes: 'Paid at pickup'
+      }, 'admin-123');
+
+      expect(mockPool.query.mock.calls[3][1]).toEqual(
+        ['auc-1', 'art-1', 'buyer-1', 120, 'CHECK', '1042', 'vol-1', 'admin-123', 'Paid at pickup']
+      );
+      const audit = mockPool.query.mock.calls[4];
+      expect(audit[0]).toContain('INSERT INTO admin_audit_logs');
+      expect(audit[1]).toEqual(expect.arrayContaining(['admin-123', 'OFFLINE_PAYMENT_RECORDED', 'PAYMENT', 'op-1']));
+      expect(JSON.parse(audit[1][5])).toMatchObject({ payment_method: 'CHECK', check_number: '1042', received_by_user_id: 'vol-1' });
+      expect(payment).toMatchObject({ paymentId: 'op-1', amount: 120, method: 'CHECK', checkNumber: '1042' });
+
+      await new Promise(resolve => { setImmediate(resolve); });
+      expect(donationReceiptService.issueForDonor).toHaveBeenCalledWith('auc-1', 'buyer-1');
+    });
+
+    test('recordOfflinePayment - should validate method and check number', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ role: 'SITE_ADMIN', school_id: null }] });
+
+      await expect(adminService.recordOfflinePayment('art-1', { method: 'IOU' }, 'admin-123'))
+        .rejects.toThrow('INVALID_PAYMENT_METHOD');
+      await expect(adminService.recordOfflinePayment('art-1', { method: 'CHECK' }, 'admin-123'))
+        .rejects.toThrow('CHECK_NUMBER_REQUIRED');
+    });
+
+    test('recordOfflinePayment - should refuse a piece already paid online or offline', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] })
+        .mockResolvedValueOnce({ rows: [{ ...win, paid_online: true }] });
+
+      await expect(adminService.recordOfflinePayment('art-1', { method: 'CASH' }, 'admin-123'))
+        .rejects.toThrow('ALREADY_PAID');
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] })
+        .mockResolvedValueOnce({ rows: [win] })
+        .mockResolvedValueOnce({ rows: [] }); // ON CONFLICT DO NOTHING
+
+      await expect(adminService.recordOfflinePayment('art-1', { method: 'CASH' }, 'admin-123'))
+        .rejects.toThrow('ALREADY_PAID');
+    });
+
+    test('recordOfflinePayment - should enforce school isolation', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-2' }] })
+        .mockResolvedValueOnce({ rows: [win] });
+
+      await expect(adminService.recordOfflinePayment('art-1', { method: 'CASH' }, 'admin-123'))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+    });
+
+    test('getCashDrawer - should total each volunteer\'s drawer by method', async () => {
+      const entry = (id, receiver, method, amount, checkNumber = null) => ({
+        id, artwork_id: `art-${id}`, artwork_title: `Piece ${id}`, amount, payment_method: method,
+        check_number: checkNumber, received_by_user_id: receiver, received_by_first_name: receiver,
+        received_by_last_name: '', buyer_user_id: 'buyer-1', buyer_first_name: 'Ann', buyer_last_name: 'Lee'
+      });
+
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'auc-1', title: 'Spring Gala', school_id: 'school-1', partner_school_ids: [] }] })
+        .mockResolvedValueOnce({ rows: [
+          entry('1', 'Sam', 'CASH', '20.10'),
+          entry('2', 'Sam', 'CHECK', '55.00', '1042'),
+          entry('3', 'Kim', 'CASH', '0.20'),
+          entry('4', 'Kim', 'SCHOOL_STORE', '15.00')
+        ] })
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-9', artwork_title: 'Late', bid_amount: '30.00', buyer_user_id: 'b-2', buyer_first_name: 'Jo', buyer_last_name: 'Ng' }] })
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      const drawer = await adminService.getCashDrawer('auc-1', 'admin-123');
+
+      expect(drawer.drawers.map(d => [d.receivedByName, d.cash.total, d.check.total, d.schoolStore.total, d.total]))
+        .toEqual([['Sam', 20.1, 55, 0, 75.1], ['Kim', 0.2, 0, 15, 15.2]]);
+      expect(drawer.drawers[0].check.checkNumbers).toEqual(['1042']);
+      expect(drawer.totals).toMatchObject({ total: 90.3, count: 4, cash: { count: 2, total: 20.3 } });
+      expect(drawer.outstanding).toEqual([
+        { artworkId: 'art-9', artworkTitle: 'Late', buyerUserId: 'b-2', buyerName: 'Jo Ng', winningBid: 30 }
+      ]);
+    });
+  });
+
+  describe('Donation Receipts', () => {
+    test('reissueDonationReceipts - should scope a school admin to their own school\'s receipts and audit it', async () => {
+      donationReceiptService.reissue.mockResolvedValueOnce({ issued: 1, reissued: 4, receiptIds: ['r-1'] });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'auc-1', charity_beneficiary_name: 'Food Bank' }] })
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      const result = await adminService.reissueDonationReceipts({ auctionId: 'auc-1', taxYear: 2026 }, 'admin-123');
+
+      expect(donationReceiptService.reissue).toHaveBeenCalledWith({ auctionId: 'auc-1', taxYear: 2026, schoolId: 'school-1' });
+      expect(mockPool.query.mock.calls[2][1]).toEqual(expect.arrayContaining(['DONATION_RECEIPTS_REISSUED', 'AUCTION', 'auc-1']));
+      expect(result).toEqual({ issued: 1, reissued: 4 });
+    });
+
+    test('reissueDonationReceipts - should refuse an auction without a charity beneficiary', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'auc-1', charity_beneficiary_name: null }] });
+
+      await expect(adminService.reissueDonationReceipts({ auctionId: 'auc-1' }, 'admin-123'))
+        .rejects.toThrow('NOT_CHARITY_AUCTION');
+      expect(donationReceiptService.reissue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Settlement Statements', () => {
+    test('getSettlements - should refresh drafts and show a school admin only their school\'s statement', async () => {
+      settlementService.listForAuction.mockResolvedValueOnce([{ statementId: 'st-1', schoolId: 'school-1' }]);
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'auc-1', school_id: 'school-2', partner_school_ids: ['school-1'] }] });
+
+      const statements = await adminService.getSettlements('auc-1', 'admin-123');
+
+      expect(settlementService.generateForAuction).toHaveBeenCalledWith('auc-1');
+      expect(settlementService.listForAuction).toHaveBeenCalledWith('auc-1', 'school-1');
+      expect(statements).toHaveLength(1);
+    });
+
+    test('approveSettlement - should be site-admin only', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] });
+
+      await expect(adminService.approveSettlement('st-1', 'admin-123')).rejects.toThrow('INSUFFICIENT_PERMISSIONS');
+      expect(settlementService.approve).not.toHaveBeenCalled();
+    });
+
+    test('setSettlementFeeWaiver - should require a reason and audit the change', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] });
+      await expect(adminService.setSettlementFeeWaiver('st-1', { waived: true, reason: ' ' }, 'admin-123'))
+        .rejects.toThrow('WAIVER_REASON_REQUIRED');
+
+      settlementService.getStatement.mockResolvedValueOnce({ platformFeeWaived: false, platformFeeDue: 35 });
+      settlementService.setFeeWaiver.mockResolvedValueOnce({ platformFeeWaived: true, platformFeeDue: 0 });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] })
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      await adminService.setSettlementFeeWaiver('st-1', { waived: true, reason: 'Title I school' }, 'admin-123');
+
+      expect(settlementService.setFeeWaiver).toHaveBeenCalledWith('st-1', true, 'Title I school');
+      expect(mockPool.query.mock.calls[2][1]).toEqual(expect.arrayContaining(['SETTLEMENT_FEE_WAIVED', 'SETTLEMENT', 'st-1']));
+    });
+
+    test('exportSettlement - should keep a school admin to their own school\'s statements', async () => {
+      settlementService.getStatement.mockResolvedValueOnce({ statementId: 'st-1', schoolId: 'school-2', status: 'APPROVED' });
+      mockPool.query.mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] });
+
+      await expect(adminService.exportSettlement('st-1', 'csv', 'admin-123')).rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+    });
+  });
+
+  describe('Payment Webhook Events', () => {
+    test('listWebhookEvents - should be site-admin only', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] });
+
+      await expect(adminService.listWebhookEvents({}, 'admin-123')).rejects.toThrow('INSUFFICIENT_PERMISSIONS');
+      expect(webhookEventService.list).not.toHaveBeenCalled();
+    });
+
+    test('redriveWebhookEvent - should re-drive and audit the attempt', async () => {
+      webhookEventService.redrive.mockResolvedValueOnce({ eventId: 'we-1', status: 'PROCESSED', transactionsUpdated: 2 });
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] })
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      const event = await adminService.redriveWebhookEvent('we-1', 'admin-123');
+
+      expect(event.status).toBe('PROCESSED');
+      expect(mockPool.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['WEBHOOK_EVENT_REDRIVEN', 'WEBHOOK_EVENT', 'we-1']));
+    });
+  });
+
   // ========== COMPLIANCE TESTS (3 tests) ==========
 
   describe('Compliance Reporting', () => {
@@ -322,6 +587,30 @@ describe('AdminService', () => {
       expect(report.summary.denied).toBe(1);
     });
 
+    test('generateBidIntegrityReport - should block SCHOOL_ADMIN from another school\'s auction', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SCHOOL_ADMIN', school_id: 'school-1' }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [{ id: 'auction-1', title: 'Spring', school_id: 'school-2' }] });
+
+      await expect(adminService.generateBidIntegrityReport('auction-1', 'school-admin-123'))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('generateBidIntegrityReport - should run the integrity checks and audit the report', async () => {
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ role: 'SITE_ADMIN', school_id: null }] }) // verifyAdminAccess
+        .mockResolvedValueOnce({ rows: [{ id: 'auction-1', title: 'Spring', school_id: 'school-1' }] })
+        .mockResolvedValueOnce({ rows: [] }) // integrity: auction bids
+        .mockResolvedValueOnce(undefined); // logAdminAction
+
+      const report = await adminService.generateBidIntegrityReport('auction-1', 'admin-123');
+
+      expect(report).toMatchObject({ reportType: 'BID_INTEGRITY', auctionId: 'auction-1', auctionTitle: 'Spring' });
+      expect(report.summary.totalBids).toBe(0);
+      expect(mockPool.query.mock.calls[3][1]).toEqual(expect.arrayContaining(['BID_INTEGRITY_REPORT_GENERATED']));
+    });
+
     test('getAuditLog - should support filtering by action and resource type', async () => {
       const filters = {
         action: 'AUCTION_APPROVED',
@@ -0,0 +1,130 @@
+'use strict';
+/**
+ * Artwork Search Service Tests
+ * Full-text search with facet counts, and teacher-assigned tags
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../../../src/models/index');
+const artworkSearchService = require('../../../src/services/artworkSearchService');
+const { parseSearchFilters } = require('../../../src/utils/artworkFacets');
+
+const closesAt = new Date('2026-11-01T20:00:00Z');
+
+function pieceRow(overrides = {}) {
+  return {
+    id: 'art-1', title: 'Harbor at Dusk', description: 'Oil on canvas', artist_statement: 'My grandfather\'s boat',
+    artist_name: 'Maya Lopez', image_url: '/uploads/harbor.jpg', medium: 'Painting',
+    dimensions_width_cm: '40.00', dimensions_height_cm: '30.00', starting_bid_amount: '20.00', buy_now_price: null,
+    artwork_status: 'APPROVED', auction_id: 'auc-1', auction_title: 'Spring Show', closes_at: closesAt,
+    current_bid: '45.00', bid_count: '3', price: '45.00', price_band: '25_50', grade_band: 'HIGH',
+    size_class: 'MEDIUM', tags: ['seascape'], total: '2',
+    ...overrides
+  };
+}
+
+describe('ArtworkSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  describe('search', () => {
+    it('applies text and facet filters and counts each facet without its own filter', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [pieceRow(), pieceRow({ id: 'art-2', artwork_status: 'SOLD' })] })
+        .mockResolvedValueOnce({
+          rows: [
+            { facet: 'medium', value: 'painting', count: '2' },
+            { facet: 'medium', value: 'drawing', count: '5' },
+            { facet: 'grade', value: '9', count: '2' },
+            { facet: 'priceBand', value: '25_50', count: '2' },
+            { facet: 'priceBand', value: 'UNDER_25', count: '4' },
+            { facet: 'tags', value: 'seascape', count: '1' }
+          ]
+        });
+
+      const filters = parseSearchFilters({ q: 'harbor', medium: 'painting', grade: '9', priceBand: 'UNDER_25,25_50' });
+      const result = await artworkSearchService.search(['auc-1', 'auc-2'], filters);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain("websearch_to_tsquery('english', $2)");
+      expect(sql).toContain("a.artwork_status IN ('APPROVED', 'SOLD')");
+      // Every bid counts, winning ones included; a sold piece is priced at its winning bid
+      expect(sql).toContain("b.bid_status IN ('ACTIVE', 'OUTBID', 'ACCEPTED')");
+      expect(sql).toContain(`COALESCE(MAX(b.bid_amount) FILTER (WHERE b.bid_status = 'ACCEPTED'),
+                          MAX(b.bid_amount) FILTER (WHERE b.bid_status = 'ACTIVE')) AS current_bid`);
+      expect(sql).toContain('medium_key = ANY($3::text[]) AND grade = ANY($4::int[]) AND price_band = ANY($5::text[])');
+      expect(params).toEqual([['auc-1', 'auc-2'], 'harbor', ['painting'], [9], ['UNDER_25', '25_50'], 24, 0]);
+
+      const [facetSql, facetParams] = pool.query.mock.calls[1];
+      expect(facetParams).toEqual(params.slice(0, 5));
+      const mediumCount = facetSql.split('UNION ALL')[0];
+      expect(mediumCount).not.toContain('medium_key = ANY');
+      expect(mediumCount).toContain('grade = ANY($4::int[])');
+
+      expect(result.total).toBe(2);
+      expect(result.artwork[0]).toMatchObject({
+        id: 'art-1', artistName: 'Maya L.', price: 45, bidCount: 3, dimensions: '40.00 × 30.00 cm', sold: false
+      });
+      expect(result.artwork[1].sold).toBe(true);
+      expect(result.facets.medium.map(f => [f.value, f.label, f.count])).toEqual([
+        ['drawing', 'Drawing', 5], ['painting', 'Painting', 2]
+      ]);
+      expect(result.facets.grade).toEqual([{ value: 9, label: 'Grade 9', count: 2 }]);
+      expect(result.facets.priceBand.map(f => f.value)).toEqual(['UNDER_25', '25_50']);
+    });
+
+    it('sorts by closing time and returns nothing when no piece matches', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await artworkSearchService.search(['auc-1'], parseSearchFilters({}));
+
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY closes_at ASC, created_at ASC');
+      expect(pool.query.mock.calls[0][0]).not.toContain('websearch_to_tsquery');
+      expect(result).toEqual({
+        total: 0, artwork: [], facets: { medium: [], gradeBand: [], grade: [], sizeClass: [], priceBand: [], tags: [] }
+      });
+    });
+  });
+
+  describe('setTags', () => {
+    let client;
+    beforeEach(() => {
+      client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+    });
+
+    it('replaces the tags of a piece from the actor\'s school', async () => {
+      client.query.mockImplementation(async (sql) => (sql.includes('FOR UPDATE') ? { rows: [{ id: 'art-1' }] } : { rows: [] }));
+
+      const tags = await artworkSearchService.setTags('art-1', ['Seascape', ' Oil  Paint '], 'school-1', 'user-1');
+
+      expect(tags).toEqual(['seascape', 'oil paint']);
+      const sqls = client.query.mock.calls.map(c => c[0]);
+      expect(sqls[0]).toBe('BEGIN');
+      expect(client.query.mock.calls[1][1]).toEqual(['art-1', 'school-1']);
+      expect(client.query.mock.calls[2][1]).toEqual(['art-1', ['seascape', 'oil paint']]);
+      expect(client.query.mock.calls[3][1]).toEqual(['art-1', ['seascape', 'oil paint'], 'user-1']);
+      expect(sqls.at(-1)).toBe('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('refuses a piece from another school', async () => {
+      await expect(artworkSearchService.setTags('art-1', ['seascape'], 'school-2', 'user-1'))
+        .rejects.toThrow('ARTWORK_NOT_FOUND');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('validates tags before opening a transaction', async () => {
+      await expect(artworkSearchService.setTags('art-1', ['<b>'], 'school-1', 'user-1')).rejects.toThrow('INVALID_TAG');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+});
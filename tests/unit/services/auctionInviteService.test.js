@@ -0,0 +1,211 @@
+'use strict';
+/**
+ * Auction Invite Service Tests
+ * Who can see an INVITED_ONLY auction, guest-list uploads, invite codes and
+ * redeeming them
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(),
+  notifyAuctionInvitation: jest.fn().mockResolvedValue()
+}));
+
+const { pool } = require('../../../src/models/index');
+const auctionInviteService = require('../../../src/services/auctionInviteService');
+
+const inviteOnly = { id: 'auc-1', school_id: 'school-1', visibility: 'INVITED_ONLY' };
+const teacher = { id: 'teacher-1', role: 'TEACHER', schoolId: 'school-1' };
+const galaAuction = {
+  id: 'auc-1', school_id: 'school-1', title: 'Spring Gala', starts_at: new Date('2026-11-01T17:00:00Z'),
+  visibility: 'INVITED_ONLY', school_name: 'Lincoln High'
+};
+
+function accessRow(overrides = {}) {
+  return {
+    ...inviteOnly, user_id: 'user-1', role: 'BIDDER', user_school_id: null,
+    invitation_id: null, invitation_user_id: null, ...overrides
+  };
+}
+
+describe('AuctionInviteService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('canAccess', () => {
+    it('leaves auctions that are not invite-only to the usual rules', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...inviteOnly, visibility: 'PUBLIC', user_id: null }] });
+      await expect(auctionInviteService.canAccess('auc-1', null)).resolves.toBe(true);
+
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(auctionInviteService.canAccess('missing', 'user-1')).resolves.toBe(false);
+    });
+
+    it('admits own-school staff and SITE_ADMIN but not anonymous or uninvited users', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [accessRow({ user_id: null, role: null })] });
+      await expect(auctionInviteService.canAccess('auc-1', null)).resolves.toBe(false);
+
+      pool.query.mockResolvedValueOnce({ rows: [accessRow({ role: 'TEACHER', user_school_id: 'school-1' })] });
+      await expect(auctionInviteService.canAccess('auc-1', 'user-1')).resolves.toBe(true);
+
+      pool.query.mockResolvedValueOnce({ rows: [accessRow({ role: 'TEACHER', user_school_id: 'school-2' })] });
+      await expect(auctionInviteService.canAccess('auc-1', 'user-1')).resolves.toBe(false);
+
+      pool.query.mockResolvedValueOnce({ rows: [accessRow({ role: 'SITE_ADMIN' })] });
+      await expect(auctionInviteService.canAccess('auc-1', 'user-1')).resolves.toBe(true);
+
+      pool.query.mockResolvedValueOnce({ rows: [accessRow()] });
+      await expect(auctionInviteService.canAccess('auc-1', 'user-1')).resolves.toBe(false);
+    });
+
+    it('claims a guest-list email for the account and audits it once', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [accessRow({ invitation_id: 'inv-1' })] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({});
+
+      await expect(auctionInviteService.canAccess('auc-1', 'user-1')).resolves.toBe(true);
+
+      expect(pool.query.mock.calls[1][0]).toContain('user_id IS NULL');
+      expect(pool.query.mock.calls[1][1]).toEqual(['user-1', 'inv-1']);
+      expect(pool.query.mock.calls[2][1][1]).toBe('auction_invite_redeemed');
+      expect(JSON.parse(pool.query.mock.calls[2][1][4])).toEqual({ via: 'GUEST_LIST', invitation_id: 'inv-1' });
+
+      // Already claimed: no further writes
+      pool.query.mockReset();
+      pool.query.mockResolvedValueOnce({ rows: [accessRow({ invitation_id: 'inv-1', invitation_user_id: 'user-1' })] });
+      await expect(auctionInviteService.canAccess('auc-1', 'user-1')).resolves.toBe(true);
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('addGuests', () => {
+    it('dedupes and lowercases emails, reporting existing and invalid ones', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [galaAuction] })
+        .mockResolvedValueOnce({ rows: [{ email: 'pat@example.com' }] })
+        .mockResolvedValueOnce({});
+
+      const result = await auctionInviteService.addGuests(
+        'auc-1', 'Pat@Example.com, pat@example.com; sam@example.com\nnot-an-email', teacher
+      );
+
+      expect(result).toEqual({
+        added: ['pat@example.com'],
+        alreadyInvited: ['sam@example.com'],
+        invalid: ['not-an-email']
+      });
+      expect(pool.query.mock.calls[1][1]).toEqual(['auc-1', ['pat@example.com', 'sam@example.com'], 'teacher-1']);
+      expect(pool.query.mock.calls[2][1][1]).toBe('auction_guests_added');
+    });
+
+    it('refuses uploads with no valid address and other schools\' staff', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [galaAuction] });
+      await expect(auctionInviteService.addGuests('auc-1', 'nope', teacher)).rejects.toThrow('NO_VALID_EMAILS');
+
+      pool.query.mockResolvedValueOnce({ rows: [galaAuction] });
+      await expect(auctionInviteService.addGuests('auc-1', 'pat@example.com', { ...teacher, schoolId: 'school-2' }))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+    });
+  });
+
+  describe('createCode', () => {
+    it('validates the use cap and expiry', async () => {
+      pool.query.mockResolvedValue({ rows: [galaAuction] });
+      await expect(auctionInviteService.createCode('auc-1', { maxUses: 0 }, teacher)).rejects.toThrow('INVALID_MAX_USES');
+      await expect(auctionInviteService.createCode('auc-1', { expiresAt: '2020-01-01T00:00:00Z' }, teacher))
+        .rejects.toThrow('INVALID_EXPIRY');
+    });
+
+    it('creates an unambiguous 8-character code', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [galaAuction] })
+        .mockResolvedValueOnce({ rows: [{ id: 'code-1', code: 'ABCD2345' }] })
+        .mockResolvedValueOnce({});
+
+      await auctionInviteService.createCode('auc-1', { maxUses: 50 }, teacher);
+
+      const params = pool.query.mock.calls[1][1];
+      expect(params[1]).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+      expect(params[2]).toBe(50);
+      expect(pool.query.mock.calls[2][1][1]).toBe('auction_invite_code_created');
+    });
+  });
+
+  describe('lookupCode', () => {
+    it('rejects unknown, revoked and used-up codes', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(auctionInviteService.lookupCode('nope')).rejects.toThrow('INVITE_CODE_INVALID');
+
+      pool.query.mockResolvedValueOnce({ rows: [{ max_uses: null, use_count: 0, revoked_at: new Date() }] });
+      await expect(auctionInviteService.lookupCode('abcd2345')).rejects.toThrow('INVITE_CODE_INVALID');
+
+      pool.query.mockResolvedValueOnce({ rows: [{ max_uses: 2, use_count: 2, revoked_at: null }] });
+      await expect(auctionInviteService.lookupCode('abcd2345')).rejects.toThrow('INVITE_CODE_USED_UP');
+    });
+  });
+
+  describe('redeem', () => {
+    const code = { id: 'code-1', auction_id: 'auc-1', max_uses: 5, use_count: 1, expires_at: null, revoked_at: null };
+
+    it('adds the user to the guest list and uses up a slot', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [code] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1', email: 'Pat@Example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({}) // INSERT invitation
+        .mockResolvedValueOnce({}) // use_count
+        .mockResolvedValueOnce({}) // audit
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const result = await auctionInviteService.redeem('abcd2345', 'user-1', { ipAddress: '10.0.0.1', userAgent: 'jest' });
+
+      expect(result).toEqual({ auctionId: 'auc-1', alreadyInvited: false });
+      expect(client.query.mock.calls[1][1]).toEqual(['ABCD2345']);
+      expect(client.query.mock.calls[4][1]).toEqual(['auc-1', 'pat@example.com', 'user-1', 'code-1']);
+      expect(client.query.mock.calls[5][0]).toContain('use_count = use_count + 1');
+      expect(client.query.mock.calls[6][1].slice(5)).toEqual(['user-1', '10.0.0.1', 'jest']);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('is a no-op for an existing guest even once the code is used up', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...code, use_count: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1', email: 'pat@example.com' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'inv-1', user_id: 'user-1' }] })
+        .mockResolvedValueOnce({});
+
+      await expect(auctionInviteService.redeem('ABCD2345', 'user-1'))
+        .resolves.toEqual({ auctionId: 'auc-1', alreadyInvited: true });
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('rolls back when the code is used up', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...code, use_count: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-2', email: 'sam@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+
+      await expect(auctionInviteService.redeem('ABCD2345', 'user-2')).rejects.toThrow('INVITE_CODE_USED_UP');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+});
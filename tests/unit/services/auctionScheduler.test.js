@@ -3,17 +3,40 @@ jest.mock('../../../src/models/index', () => ({
   pool: { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) }
 }));
 jest.mock('../../../src/services/auctionService', () => ({
-  endAuction: jest.fn().mockResolvedValue({ success: true })
+  endAuction: jest.fn().mockResolvedValue({ success: true }),
+  closeLot: jest.fn().mockResolvedValue({ success: true, auctionId: 'L1', winner: null })
+}));
+jest.mock('../../../src/services/secondChanceService', () => ({
+  voidUnpaidWin: jest.fn().mockResolvedValue({ success: true }),
+  expireOffer: jest.fn().mockResolvedValue({ expired: true })
+}));
+jest.mock('../../../src/services/realtimeService', () => ({
+  broadcastAuctionStatusChange: jest.fn(),
+  broadcastAuctionEndingSoon: jest.fn()
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(() => ({})),
+  notifyAuctionEnding: jest.fn().mockResolvedValue()
 }));
 
 const { pool } = require('../../../src/models/index');
 const auctionService = require('../../../src/services/auctionService');
+const realtimeService = require('../../../src/services/realtimeService');
+const secondChanceService = require('../../../src/services/secondChanceService');
+const notificationService = require('../../../src/services/notificationService');
 const scheduler = require('../../../src/services/auctionScheduler');
 
 beforeEach(() => {
   pool.query.mockReset();
   pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
   auctionService.endAuction.mockClear();
+  auctionService.closeLot.mockClear();
+  realtimeService.broadcastAuctionStatusChange.mockClear();
+  secondChanceService.voidUnpaidWin.mockClear();
+  secondChanceService.expireOffer.mockClear();
+  realtimeService.broadcastAuctionEndingSoon.mockClear();
+  notificationService.notifyAuctionEnding.mockClear();
+  delete process.env.AUCTION_ENDING_REMINDERS;
   scheduler.stop();
 });
 afterAll(() => scheduler.stop());
@@ -24,6 +47,7 @@ describe('auctionScheduler.sweep', () => {
       .mockResolvedValueOnce({ rows: [{ id: 'a1' }, { id: 'a2' }], rowCount: 2 }) // auto-start UPDATE
       .mockResolvedValueOnce({ rows: [], rowCount: 1 })                            // audit a1
       .mockResolvedValueOnce({ rows: [], rowCount: 1 })                            // audit a2
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })                            // due-lot select
       .mockResolvedValueOnce({ rows: [], rowCount: 0 });                           // due-LIVE select
     const out = await scheduler.sweep();
     expect(out.started).toBe(2);
@@ -44,12 +68,13 @@ describe('auctionScheduler.sweep', () => {
   test('ends every due LIVE auction via auctionService.endAuction', async () => {
     pool.query
       .mockResolvedValueOnce({ rows: [], rowCount: 0 })                          // auto-start
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })                          // due-lot select
       .mockResolvedValueOnce({ rows: [{ id: 'L1' }, { id: 'L2' }], rowCount: 2 }); // due-LIVE select
     const out = await scheduler.sweep();
     expect(out.ended).toBe(2);
-    expect(auctionService.endAuction).toHaveBeenCalledWith('L1');
-    expect(auctionService.endAuction).toHaveBeenCalledWith('L2');
-    const dueSql = pool.query.mock.calls[1][0].replace(/\s+/g, ' ');
+    expect(auctionService.endAuction).toHaveBeenCalledWith('L1', { onlyIfDue: true });
+    expect(auctionService.endAuction).toHaveBeenCalledWith('L2', { onlyIfDue: true });
+    const dueSql = pool.query.mock.calls[2][0].replace(/\s+/g, ' ');
     expect(dueSql).toContain("auction_status = 'LIVE'");
     expect(dueSql).toContain('ends_at <= NOW()');
     expect(dueSql).toContain('LIMIT 100'); // backlog cap per sweep
@@ -60,15 +85,17 @@ describe('auctionScheduler.sweep', () => {
     pool.query.mockImplementationOnce(() => new Promise((resolve) => { releaseFirst = resolve; }));
     const first = scheduler.sweep();                 // blocks on auto-start query
     const second = await scheduler.sweep();          // must skip, not stack
-    expect(second).toEqual({ started: 0, ended: 0 });
+    expect(second).toEqual({ started: 0, lotsClosed: 0, ended: 0, winsVoided: 0, offersExpired: 0, remindersSent: 0 });
     releaseFirst({ rows: [], rowCount: 0 });
     await first;
-    // Only the first sweep's queries ran (auto-start + auto-end selects).
-    expect(pool.query).toHaveBeenCalledTimes(2);
+    // Only the first sweep's queries ran (auto-start, lot-close, auto-end,
+    // unpaid-win, offer-expiry and ending-reminder selects).
+    expect(pool.query).toHaveBeenCalledTimes(6);
   });
 
   test('one failing endAuction does not stop the rest', async () => {
     pool.query
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })
       .mockResolvedValueOnce({ rows: [], rowCount: 0 })
       .mockResolvedValueOnce({ rows: [{ id: 'L1' }, { id: 'L2' }], rowCount: 2 });
     auctionService.endAuction
@@ -79,10 +106,115 @@ describe('auctionScheduler.sweep', () => {
     expect(auctionService.endAuction).toHaveBeenCalledTimes(2);
   });
 
+  test('an auction extended by a soft-close bid after the select is not counted', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })
+      .mockResolvedValueOnce({ rows: [{ id: 'L1' }, { id: 'L2' }], rowCount: 2 });
+    auctionService.endAuction
+      .mockResolvedValueOnce({ success: false, extended: true })
+      .mockResolvedValueOnce({ success: true });
+    const out = await scheduler.sweep();
+    expect(out.ended).toBe(1);
+  });
+
   test('nothing due → no endAuction calls, zero counts', async () => {
     const out = await scheduler.sweep();
-    expect(out).toEqual({ started: 0, ended: 0 });
+    expect(out).toEqual({ started: 0, lotsClosed: 0, ended: 0, winsVoided: 0, offersExpired: 0, remindersSent: 0 });
     expect(auctionService.endAuction).not.toHaveBeenCalled();
+    expect(auctionService.closeLot).not.toHaveBeenCalled();
+  });
+
+  test('closes due staggered lots one by one and broadcasts each', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })                              // auto-start
+      .mockResolvedValueOnce({ rows: [{ id: 'art-1' }, { id: 'art-2' }], rowCount: 2 }); // due-lot select
+    auctionService.closeLot
+      .mockResolvedValueOnce({ success: true, auctionId: 'A1', winner: { winningBid: '40.00' } })
+      .mockResolvedValueOnce({ success: false, artworkId: 'art-2' });                 // extended meanwhile
+    const out = await scheduler.sweep();
+    expect(out.lotsClosed).toBe(1);
+    expect(auctionService.closeLot).toHaveBeenCalledWith('art-1');
+    const lotSql = pool.query.mock.calls[1][0].replace(/\s+/g, ' ');
+    expect(lotSql).toContain('a.closes_at <= NOW()');
+    expect(lotSql).toContain('a.finalized_at IS NULL');
+    expect(realtimeService.broadcastAuctionStatusChange)
+      .toHaveBeenCalledWith('A1', 'LOT_CLOSED', { artworkId: 'art-1', winningBid: '40.00' });
+    expect(realtimeService.broadcastAuctionStatusChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('voids unpaid wins past the grace period and expires ignored offers', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })                    // auto-start
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })                    // due-lot select
+      .mockResolvedValueOnce({ rows: [], rowCount: 0 })                    // due-LIVE select
+      .mockResolvedValueOnce({ rows: [{ id: 'bid-1' }], rowCount: 1 })     // unpaid wins
+      .mockResolvedValueOnce({ rows: [{ id: 'offer-1' }], rowCount: 1 });  // expired offers
+    const out = await scheduler.sweep();
+    expect(out).toMatchObject({ winsVoided: 1, offersExpired: 1 });
+    expect(secondChanceService.voidUnpaidWin).toHaveBeenCalledWith('bid-1', expect.objectContaining({ reason: expect.any(String) }));
+    expect(secondChanceService.expireOffer).toHaveBeenCalledWith('offer-1');
+    const voidSql = pool.query.mock.calls[3][0].replace(/\s+/g, ' ');
+    expect(voidSql).toContain('make_interval(hours => au.payment_grace_hours)');
+    expect(voidSql).toContain('NOT EXISTS (SELECT 1 FROM transactions t');
+  });
+
+  describe('ending-soon reminders', () => {
+    // Five empty selects ahead of the reminder sweep
+    const quietSweep = () => {
+      for (let i = 0; i < 5; i++) { pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 }); }
+    };
+
+    test('sends the most urgent due reminder once: claim, broadcast, email watchers and bidders', async () => {
+      const endsAt = new Date(Date.now() + 30 * 60000);
+      quietSweep();
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'A1', title: 'Spring Gala', ends_at: endsAt }] })   // due auctions
+        .mockResolvedValueOnce({ rows: [{ auction_id: 'A1' }] })                                  // claim
+        .mockResolvedValueOnce({ rows: [{ id: 'u1', email: 'pat@example.com', first_name: 'Pat' }] }) // recipients
+        .mockResolvedValueOnce({ rows: [] });                                                     // recipient_count
+      const out = await scheduler.sweep();
+
+      expect(out.remindersSent).toBe(1);
+      const dueCall = pool.query.mock.calls[5];
+      expect(dueCall[0].replace(/\s+/g, ' ')).toContain("auction_status = 'LIVE'");
+      expect(dueCall[1]).toEqual([1440]); // 24h is the widest default offset
+      // 30 minutes out: the 1h reminder, not a late 24h one
+      expect(pool.query.mock.calls[6][0]).toContain('INSERT INTO auction_ending_reminders');
+      expect(pool.query.mock.calls[6][1]).toEqual(['A1', 60]);
+      const recipientSql = pool.query.mock.calls[7][0];
+      expect(recipientSql).toContain('auction_watchlist');
+      expect(recipientSql).toContain('b.placed_by_user_id = u.id');
+      expect(realtimeService.broadcastAuctionEndingSoon).toHaveBeenCalledWith('A1', expect.any(Number));
+      expect(notificationService.notifyAuctionEnding).toHaveBeenCalledWith({}, pool, expect.objectContaining({
+        userId: 'u1', auctionId: 'A1', auctionTitle: 'Spring Gala', endsIn: '30 minutes'
+      }));
+    });
+
+    test('a reminder another sweep already claimed is not sent again', async () => {
+      quietSweep();
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'A1', title: 'Spring Gala', ends_at: new Date(Date.now() + 5 * 60000) }] })
+        .mockResolvedValueOnce({ rows: [] }); // ON CONFLICT DO NOTHING
+      const out = await scheduler.sweep();
+
+      expect(out.remindersSent).toBe(0);
+      expect(pool.query.mock.calls[6][1]).toEqual(['A1', 10]);
+      expect(realtimeService.broadcastAuctionEndingSoon).not.toHaveBeenCalled();
+      expect(notificationService.notifyAuctionEnding).not.toHaveBeenCalled();
+    });
+
+    test('offsets come from AUCTION_ENDING_REMINDERS; an empty list turns reminders off', async () => {
+      process.env.AUCTION_ENDING_REMINDERS = '2h, 15m, bogus';
+      quietSweep();
+      await scheduler.sweep();
+      expect(pool.query.mock.calls[5][1]).toEqual([120]);
+
+      pool.query.mockClear();
+      process.env.AUCTION_ENDING_REMINDERS = '';
+      await scheduler.sweep();
+      expect(pool.query).toHaveBeenCalledTimes(5);
+    });
   });
 
   test('start() is idempotent and stop() clears the timer', () => {
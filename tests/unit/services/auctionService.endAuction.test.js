@@ -4,10 +4,12 @@ jest.mock('../../../src/models/index', () => ({
 }));
 jest.mock('../../../src/services/notificationService', () => ({
   getSharedEmailProvider: jest.fn(() => ({ send: jest.fn() })),
-  notifyAuctionWon: jest.fn().mockResolvedValue(undefined)
+  notifyAuctionWon: jest.fn().mockResolvedValue(undefined),
+  notifyReserveReleased: jest.fn().mockResolvedValue(undefined)
 }));
 
 const { pool } = require('../../../src/models/index');
+const { notifyReserveReleased } = require('../../../src/services/notificationService');
 const auctionService = require('../../../src/services/auctionService');
 
 describe('endAuction winning-bid update', () => {
@@ -78,4 +80,164 @@ describe('endAuction winning-bid update', () => {
     const artworkCall = client.query.mock.calls.find(c => typeof c[0] === 'string' && /FROM artwork a/.test(c[0]));
     expect(artworkCall[0]).toContain('FOR UPDATE OF a');
   });
+
+  test('onlyIfDue no-ops when a soft-close bid pushed ends_at out', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    const extendedTo = new Date(Date.now() + 120000);
+    client.query.mockImplementation((sql) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') { return Promise.resolve({}); }
+      if (/FROM auctions a/.test(sql)) {
+        return Promise.resolve({ rows: [{ id: 'auc-1', auction_status: 'LIVE', is_due: false, ends_at: extendedTo }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+    const result = await auctionService.endAuction('auc-1', { onlyIfDue: true });
+    expect(result).toMatchObject({ success: false, extended: true, endTime: extendedTo });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(c => /UPDATE auctions/.test(c[0]))).toBe(false);
+  });
+
+  test('endAuction waits while a staggered lot is still open', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') { return Promise.resolve({}); }
+      if (/FROM auctions a/.test(sql)) {
+        return Promise.resolve({ rows: [{ id: 'auc-1', auction_status: 'LIVE', is_due: true }] });
+      }
+      if (/open_count/.test(sql)) {
+        return Promise.resolve({ rows: [{ open_count: '2' }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+    const result = await auctionService.endAuction('auc-1');
+    expect(result).toMatchObject({ success: false, openLots: 2 });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(c => /UPDATE auctions/.test(c[0]))).toBe(false);
+  });
+});
+
+describe('closeLot', () => {
+  test('finalizes a due lot and marks its winner', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') { return Promise.resolve({}); }
+      if (/FROM artwork a/.test(sql)) {
+        return Promise.resolve({ rows: [{
+          id: 'art-1', title: 'Sunset', auction_id: 'auc-1', finalized_at: null,
+          is_due: true, auction_status: 'LIVE', winner_id: 'user-9', winning_bid: '75.00'
+        }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+
+    const result = await auctionService.closeLot('art-1');
+    await new Promise((resolve) => { setImmediate(resolve); });
+
+    expect(result).toMatchObject({ success: true, artworkId: 'art-1', auctionId: 'auc-1' });
+    expect(result.winner.winnerId).toBe('user-9');
+    expect(client.query.mock.calls.some(c => /UPDATE bids/.test(c[0]))).toBe(true);
+    expect(client.query.mock.calls.some(c => /finalized_at = NOW\(\)/.test(c[0]))).toBe(true);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('leaves an already-finalized lot alone', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') { return Promise.resolve({}); }
+      if (/FROM artwork a/.test(sql)) {
+        return Promise.resolve({ rows: [{ id: 'art-1', finalized_at: new Date(), is_due: true, auction_status: 'LIVE' }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+
+    const result = await auctionService.closeLot('art-1');
+    expect(result.success).toBe(false);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(c => /UPDATE bids/.test(c[0]))).toBe(false);
+  });
+
+  test('holds a lot that closed under its reserve for a seller decision', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') { return Promise.resolve({}); }
+      if (/FROM artwork a/.test(sql)) {
+        return Promise.resolve({ rows: [{
+          id: 'art-1', title: 'Sunset', auction_id: 'auc-1', finalized_at: null, reserve_bid_amount: '100.00',
+          is_due: true, auction_status: 'LIVE', winner_id: 'user-9', winning_bid: '75.00'
+        }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+
+    const result = await auctionService.closeLot('art-1');
+
+    expect(result.winner).toBeNull();
+    expect(client.query.mock.calls.some(c => /bid_status = 'ACCEPTED'/.test(c[0]))).toBe(false);
+    const hold = client.query.mock.calls.find(c => /reserve_status = 'PENDING_DECISION'/.test(c[0]));
+    expect(hold[0]).toContain("artwork_status = 'UNSOLD'");
+    expect(client.query.mock.calls.some(c => Array.isArray(c[1]) && c[1].includes('reserve_not_met'))).toBe(true);
+    expect(client.query.mock.calls.some(c => /finalized_at = NOW\(\)/.test(c[0]))).toBe(true);
+  });
+});
+
+describe('resolveReserveDecision', () => {
+  const lot = { id: 'art-1', title: 'Sunset', auction_id: 'auc-1', reserve_status: 'PENDING_DECISION', reserve_bid_amount: '100.00', portfolio_item_id: 'pi-1' };
+  const topBid = { id: 'bid-1', placed_by_user_id: 'user-9', bid_amount: '75.00', email: 'nine@example.com', first_name: 'Nine' };
+
+  function mockLot(client, lotRow, bidRow) {
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (sql === 'BEGIN' || sql === 'COMMIT' || sql === 'ROLLBACK') { return Promise.resolve({}); }
+      if (/FROM artwork a/.test(sql)) { return Promise.resolve({ rows: lotRow ? [lotRow] : [] }); }
+      if (/FROM bids b/.test(sql)) { return Promise.resolve({ rows: bidRow ? [bidRow] : [] }); }
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    });
+  }
+
+  test('accepting makes the top bid the win and marks the piece sold', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    mockLot(client, lot, topBid);
+
+    const result = await auctionService.resolveReserveDecision('art-1', { accept: true, decidedByUserId: 'teacher-1', schoolId: 'school-1' });
+
+    expect(result).toMatchObject({ decision: 'ACCEPTED', winner: { winnerId: 'user-9', winningBid: '75.00' } });
+    expect(client.query.mock.calls[1][1]).toEqual(['art-1', 'school-1']);
+    const win = client.query.mock.calls.find(c => /bid_status = 'ACCEPTED', won_at = NOW\(\)/.test(c[0]));
+    expect(win[1]).toEqual(['bid-1']);
+    const artwork = client.query.mock.calls.find(c => /reserve_decided_at = NOW\(\)/.test(c[0]));
+    expect(artwork[1]).toEqual(['art-1', 'SOLD', 'ACCEPTED', 'teacher-1']);
+    expect(client.query.mock.calls.some(c => /submission_state = 'SOLD'/.test(c[0]))).toBe(true);
+    expect(client.query.mock.calls.some(c => Array.isArray(c[1]) && c[1].includes('reserve_accepted'))).toBe(true);
+  });
+
+  test('releasing rejects the top bid and emails the bidder', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    mockLot(client, lot, topBid);
+
+    const result = await auctionService.resolveReserveDecision('art-1', { accept: false, decidedByUserId: 'teacher-1' });
+    await new Promise((resolve) => { setImmediate(resolve); });
+
+    expect(result).toMatchObject({ decision: 'RELEASED', winner: null });
+    const rejected = client.query.mock.calls.find(c => /bid_status = 'REJECTED'/.test(c[0]));
+    expect(rejected[1]).toEqual(['bid-1', 'teacher-1']);
+    const artwork = client.query.mock.calls.find(c => /reserve_decided_at = NOW\(\)/.test(c[0]));
+    expect(artwork[1]).toEqual(['art-1', 'UNSOLD', 'RELEASED', 'teacher-1']);
+    expect(notifyReserveReleased).toHaveBeenCalledWith(expect.anything(), pool,
+      expect.objectContaining({ userId: 'user-9', artworkTitle: 'Sunset', bidDollars: 75 }));
+  });
+
+  test('refuses a lot that is not waiting on a decision', async () => {
+    const client = { query: jest.fn(), release: jest.fn() };
+    mockLot(client, { ...lot, reserve_status: 'ACCEPTED' }, topBid);
+
+    await expect(auctionService.resolveReserveDecision('art-1', { accept: true, decidedByUserId: 'teacher-1' }))
+      .rejects.toThrow('RESERVE_DECISION_NOT_PENDING');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query.mock.calls.some(c => /UPDATE bids/.test(c[0]))).toBe(false);
+  });
 });
@@ -0,0 +1,52 @@
+'use strict';
+jest.mock('../../../src/models/index', () => ({
+  pool: { connect: jest.fn(), query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) }
+}));
+
+const { pool } = require('../../../src/models/index');
+const auctionService = require('../../../src/services/auctionService');
+
+describe('updateAuction unpaid-win and buy-now settings', () => {
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation((sql) => {
+      if (/FROM auctions WHERE id/.test(sql)) {
+        return Promise.resolve({ rows: [{ auction_status: 'DRAFT' }] });
+      }
+      if (/^UPDATE auctions/.test(sql)) {
+        return Promise.resolve({ rows: [{ id: 'auc-1', title: 'Spring Show', auction_status: 'DRAFT' }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 0 });
+    });
+  });
+
+  test.each([
+    ['paymentGraceHours', /Payment grace period/],
+    ['secondChanceOfferHours', /Second-chance offer window/],
+    ['buyNowCutoffPercent', /Buy-now cutoff percent/]
+  ])('rejects null %s instead of writing NULL into a NOT NULL column', async (field, message) => {
+    await expect(auctionService.updateAuction('auc-1', { [field]: null })).rejects.toThrow(message);
+
+    const updates = client.query.mock.calls.filter(c => /^UPDATE auctions/.test(c[0]));
+    expect(updates).toHaveLength(0);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('writes valid values', async () => {
+    const result = await auctionService.updateAuction('auc-1', { paymentGraceHours: 24, buyNowCutoffPercent: 60 });
+
+    expect(result.success).toBe(true);
+    const [sql, values] = client.query.mock.calls.find(c => /^UPDATE auctions/.test(c[0]));
+    expect(sql).toContain('payment_grace_hours = $1');
+    expect(sql).toContain('buy_now_cutoff_percent = $2');
+    expect(values.slice(0, 2)).toEqual([24, 60]);
+  });
+
+  test('the validator createAuction shares rejects null too', () => {
+    expect(() => auctionService._validateSecondChanceSettings({ paymentGraceHours: null }))
+      .toThrow(/Payment grace period/);
+  });
+});
@@ -0,0 +1,180 @@
+'use strict';
+/**
+ * Auction Template Service Tests
+ * Saved auction settings, new drafts from templates or past auctions with
+ * shifted dates, and unsold pieces carried over
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(),
+  notifyAuctionWon: jest.fn(),
+  notifyReserveReleased: jest.fn()
+}));
+
+const { pool } = require('../../../src/models/index');
+const auctionService = require('../../../src/services/auctionService');
+const auctionTemplateService = require('../../../src/services/auctionTemplateService');
+
+const springGala = {
+  id: 'auc-1', school_id: 'school-1', title: 'Spring Gala', description: 'Annual fundraiser',
+  auction_status: 'ENDED', starts_at: new Date('2026-04-03T17:00:00Z'), ends_at: new Date('2026-04-10T21:00:00Z'),
+  charity_beneficiary_name: 'Art Supplies Fund', charity_website_url: 'https://example.org',
+  visibility: 'PUBLIC', payment_gateway_id: 'gw-1', platform_fee_percentage: '5.00',
+  platform_fee_minimum: '25.00', platform_fee_waivable: false, auto_extend_minutes: 5,
+  soft_close_scope: 'ARTWORK', buy_now_cutoff_percent: 80, require_approval_for_bids: true,
+  payment_grace_hours: 48, second_chance_offer_hours: 24,
+  bid_increment_schedule: [{ upTo: 100, increment: 5 }, { upTo: null, increment: 10 }]
+};
+const admin = { id: 'user-1', role: 'SCHOOL_ADMIN', schoolId: 'school-1' };
+
+describe('AuctionTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('saveTemplate', () => {
+    it('stores the auction settings under a name for its school', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [springGala] })
+        .mockResolvedValueOnce({ rows: [{ id: 'tpl-1', name: 'Spring Gala' }] })
+        .mockResolvedValueOnce({});
+
+      const template = await auctionTemplateService.saveTemplate('auc-1', '  Spring Gala ', admin);
+
+      expect(template.id).toBe('tpl-1');
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('ON CONFLICT (school_id, name) DO UPDATE');
+      expect(params[0]).toBe('school-1');
+      expect(params[1]).toBe('Spring Gala');
+      expect(JSON.parse(params[2])).toEqual({
+        title: 'Spring Gala', description: 'Annual fundraiser',
+        charityBeneficiaryName: 'Art Supplies Fund', charityWebsiteUrl: 'https://example.org',
+        visibility: 'PUBLIC', paymentGatewayId: 'gw-1',
+        platformFeePercentage: 5, platformFeeMinimum: 25, platformFeeWaivable: false,
+        autoExtendMinutes: 5, softCloseScope: 'ARTWORK', buyNowCutoffPercent: 80,
+        requireApprovalForBids: true, paymentGraceHours: 48, secondChanceOfferHours: 24,
+        bidIncrements: springGala.bid_increment_schedule,
+        startTime: '2026-04-03T17:00:00.000Z', endTime: '2026-04-10T21:00:00.000Z'
+      });
+      expect(pool.query.mock.calls[2][1][1]).toBe('auction_template_saved');
+    });
+
+    it('refuses another school\'s auction and blank names', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [springGala] });
+      await expect(auctionTemplateService.saveTemplate('auc-1', 'Gala', { ...admin, schoolId: 'school-2' }))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+      await expect(auctionTemplateService.saveTemplate('auc-1', '   ', admin)).rejects.toThrow('INVALID_TEMPLATE_NAME');
+    });
+  });
+
+  it('lists only the user\'s own school templates', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    await auctionTemplateService.listTemplates(admin, 'school-2');
+
+    expect(pool.query.mock.calls[0][1]).toEqual(['school-1']);
+  });
+
+  describe('creating drafts', () => {
+    let createSpy;
+
+    beforeEach(() => {
+      createSpy = jest.spyOn(auctionService, 'createAuction').mockResolvedValue({ success: true, auctionId: 'auc-2' });
+    });
+
+    it('creates a draft from a template with the dates shifted', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'tpl-1', school_id: 'school-1', name: 'Gala', settings: {
+          title: 'Spring Gala', visibility: 'PUBLIC', paymentGatewayId: 'gw-1',
+          startTime: '2026-04-03T17:00:00.000Z', endTime: '2026-04-10T21:00:00.000Z'
+        } }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'gw-1' }] });
+
+      await auctionTemplateService.createFromTemplate('tpl-1', { offsetDays: 364, title: 'Spring Gala 2027' }, admin);
+
+      expect(createSpy).toHaveBeenCalledWith({
+        title: 'Spring Gala 2027', visibility: 'PUBLIC', paymentGatewayId: 'gw-1', schoolId: 'school-1',
+        startTime: '2027-04-02T17:00:00.000Z', endTime: '2027-04-09T21:00:00.000Z',
+        createdByUserId: 'user-1', carryOverUnsoldFrom: null
+      });
+      expect(pool.query.mock.calls[1][1]).toEqual(['school-1', 'gw-1']);
+    });
+
+    it('clones a past auction and asks for its unsold pieces', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [springGala] })
+        .mockResolvedValueOnce({ rows: [{ id: 'gw-3' }] });  // gw-1 since switched off
+
+      await auctionTemplateService.cloneAuction('auc-1', { offsetDays: 7, carryOverUnsold: true }, admin);
+
+      expect(createSpy.mock.calls[0][0]).toMatchObject({
+        title: 'Spring Gala', description: 'Annual fundraiser', platformFeePercentage: 5,
+        paymentGatewayId: 'gw-3', startTime: '2026-04-10T17:00:00.000Z', endTime: '2026-04-17T21:00:00.000Z',
+        carryOverUnsoldFrom: 'auc-1'
+      });
+    });
+
+    it('rejects a missing or fractional offset and a school with no active gateway', async () => {
+      pool.query.mockResolvedValue({ rows: [springGala] });
+      await expect(auctionTemplateService.cloneAuction('auc-1', {}, admin)).rejects.toThrow('INVALID_DATE_OFFSET');
+      await expect(auctionTemplateService.cloneAuction('auc-1', { offsetDays: 1.5 }, admin))
+        .rejects.toThrow('INVALID_DATE_OFFSET');
+
+      pool.query.mockReset();
+      pool.query
+        .mockResolvedValueOnce({ rows: [springGala] })
+        .mockResolvedValueOnce({ rows: [] });
+      await expect(auctionTemplateService.cloneAuction('auc-1', { offsetDays: 7 }, admin))
+        .rejects.toThrow('NO_PAYMENT_GATEWAY');
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('auctionService._carryOverUnsoldArtwork', () => {
+    const newAuction = {
+      id: 'auc-2', school_id: 'school-1',
+      starts_at: new Date('2027-04-02T17:00:00Z'), ends_at: new Date('2027-04-09T21:00:00Z')
+    };
+
+    it('copies unsold pieces and their tags once and returns their portfolio items to the auction', async () => {
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 'auc-1', auction_status: 'ENDED', starts_at: springGala.starts_at }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'art-9', portfolio_item_id: 'pi-1' }, { id: 'art-10', portfolio_item_id: null }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const count = await auctionService._carryOverUnsoldArtwork(client, 'auc-1', newAuction);
+
+      expect(count).toBe(2);
+      const [copySql, copyParams] = client.query.mock.calls[1];
+      expect(copySql).toContain("a.artwork_status IN ('APPROVED', 'UNSOLD')");
+      expect(copySql).toContain("b.bid_status = 'ACCEPTED'");
+      expect(copySql).toContain('c.carried_over_from_artwork_id = a.id');
+      expect(copyParams).toEqual(['auc-2', 'auc-1', newAuction.starts_at, springGala.starts_at, newAuction.ends_at, newAuction.school_id]);
+      expect(client.query.mock.calls[2][0]).toContain('INSERT INTO artwork_tags');
+      expect(client.query.mock.calls[2][1]).toEqual([['art-9', 'art-10']]);
+      expect(client.query.mock.calls[3][1]).toEqual([['pi-1']]);
+    });
+
+    it('only carries over from an ended auction of the same school', async () => {
+      const client = { query: jest.fn() };
+      client.query.mockResolvedValueOnce({ rows: [{ id: 'auc-1', auction_status: 'LIVE', starts_at: springGala.starts_at }] });
+      await expect(auctionService._carryOverUnsoldArtwork(client, 'auc-1', newAuction))
+        .rejects.toThrow('SOURCE_AUCTION_NOT_ENDED');
+
+      client.query.mockResolvedValueOnce({ rows: [] });
+      await expect(auctionService._carryOverUnsoldArtwork(client, 'auc-9', newAuction))
+        .rejects.toThrow('AUCTION_NOT_FOUND');
+      expect(client.query.mock.calls[1][1]).toEqual(['auc-9', 'school-1']);
+    });
+  });
+});
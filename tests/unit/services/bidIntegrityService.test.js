@@ -0,0 +1,138 @@
+'use strict';
+/**
+ * Bid Integrity Service Tests
+ * Shill-bidding and collusion signals over an auction's bids
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../../../src/models/index');
+const bidIntegrityService = require('../../../src/services/bidIntegrityService');
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date('2026-10-01T18:00:00Z');
+
+let seq = 0;
+function bid(overrides = {}) {
+  seq += 1;
+  return {
+    id: `bid-${seq}`, auction_id: 'auc-1', artwork_id: 'art-1', placed_by_user_id: 'user-a',
+    bid_amount: String(50 + seq), bid_status: 'OUTBID', is_auto_bid: false,
+    placed_at: new Date(start.getTime() + seq * 60000), ip_address: null, user_agent: null,
+    artwork_title: 'Sunset', artist_id: 'artist-1', first_name: 'A', last_name: 'B',
+    email: 'a@example.com', account_created_at: new Date('2025-01-01'), ...overrides
+  };
+}
+
+/** Queue the three analysis queries: bids, artist footprints, bidder breadth */
+function mockQueries(bids, footprints = [], breadth = []) {
+  pool.query
+    .mockResolvedValueOnce({ rows: bids })
+    .mockResolvedValueOnce({ rows: footprints })
+    .mockResolvedValueOnce({ rows: breadth });
+}
+
+describe('BidIntegrityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    seq = 0;
+  });
+
+  it('flags bidders who share the artist\'s device or network, and each other\'s', async () => {
+    mockQueries([
+      bid({ placed_by_user_id: 'user-a', ip_address: '198.51.100.4', user_agent: 'UA-1' }),
+      bid({ placed_by_user_id: 'user-b', ip_address: '198.51.100.4', user_agent: 'UA-2' })
+    ], [{ user_id: 'artist-1', ip_address: '198.51.100.4', user_agent: 'UA-1' }]);
+
+    const report = await bidIntegrityService.analyzeAuction('auc-1');
+
+    const a = report.bidders.find((b) => b.userId === 'user-a');
+    const b = report.bidders.find((x) => x.userId === 'user-b');
+    expect(a.reasons.map((r) => r.code)).toEqual(['SHARES_DEVICE_WITH_ARTIST', 'SHARES_IP_WITH_BIDDER']);
+    expect(a.riskLevel).toBe('HIGH');
+    expect(b.reasons.map((r) => r.code)).toEqual(['SHARES_IP_WITH_ARTIST', 'SHARES_IP_WITH_BIDDER']);
+    expect(b.riskLevel).toBe('HIGH');
+    expect(report.summary).toMatchObject({ totalBids: 2, flaggedBids: 2, highRiskBidders: 2 });
+    expect(pool.query.mock.calls[0][1]).toEqual([['auc-1'], ['REJECTED', 'CANCELLED']]);
+  });
+
+  it('flags brand-new accounts and bidders who only back one student', async () => {
+    const placedAt = new Date(start.getTime() + 60000);
+    mockQueries([
+      bid({ placed_by_user_id: 'user-new', placed_at: placedAt, account_created_at: new Date(placedAt - 2 * HOUR) }),
+      bid({ placed_by_user_id: 'user-fan' })
+    ], [], [
+      { user_id: 'user-new', bid_count: '1', artist_count: '1', artist_id: 'artist-1' },
+      { user_id: 'user-fan', bid_count: '7', artist_count: '1', artist_id: 'artist-1' }
+    ]);
+
+    const report = await bidIntegrityService.analyzeAuction('auc-1');
+
+    expect(report.bidders.find((b) => b.userId === 'user-new').reasons)
+      .toEqual([{ code: 'NEW_ACCOUNT', accountAgeHours: 2 }]);
+    expect(report.bidders.find((b) => b.userId === 'user-fan')).toMatchObject({
+      riskLevel: 'LOW', reasons: [{ code: 'SINGLE_ARTIST_BIDDER', artistId: 'artist-1', bidCount: 7 }]
+    });
+  });
+
+  it('flags a bidder who keeps answering one rival and drops out, but not the rival who won', async () => {
+    const bids = [];
+    for (let i = 0; i < 4; i++) {
+      bids.push(bid({ placed_by_user_id: 'user-rival' }));
+      bids.push(bid({ placed_by_user_id: 'user-shill' }));
+    }
+    bids.push(bid({ placed_by_user_id: 'user-rival', bid_status: 'ACCEPTED' }));
+    mockQueries(bids);
+
+    const report = await bidIntegrityService.analyzeAuction('auc-1');
+
+    expect(report.bidders).toHaveLength(1);
+    expect(report.bidders[0]).toMatchObject({ userId: 'user-shill', riskLevel: 'MEDIUM' });
+    expect(report.bidders[0].reasons[0]).toMatchObject({ code: 'RATCHETS_RIVAL', rivalId: 'user-rival', responses: 4 });
+    expect(report.bids).toHaveLength(4);
+  });
+
+  it('reports nothing for an auction with clean bids', async () => {
+    mockQueries([bid({ placed_by_user_id: 'user-a', ip_address: '203.0.113.1' }), bid({ placed_by_user_id: 'user-b', ip_address: '203.0.113.2' })]);
+
+    const report = await bidIntegrityService.analyzeAuction('auc-1');
+
+    expect(report.bidders).toEqual([]);
+    expect(report.summary).toMatchObject({ totalBids: 2, totalBidders: 2, flaggedBids: 0 });
+  });
+
+  it('ignores the clerk\'s network on paper bids keyed in at the event', async () => {
+    mockQueries([
+      bid({ placed_by_user_id: 'user-a', ip_address: '198.51.100.4', user_agent: 'UA-1', entered_by_user_id: 'clerk-1' }),
+      bid({ placed_by_user_id: 'user-b', ip_address: '198.51.100.4', user_agent: 'UA-1', entered_by_user_id: 'clerk-1' })
+    ], [{ user_id: 'artist-1', ip_address: '198.51.100.4', user_agent: 'UA-1' }]);
+
+    const report = await bidIntegrityService.analyzeAuction('auc-1');
+
+    expect(report.bidders).toEqual([]);
+    expect(report.summary).toMatchObject({ totalBids: 2, flaggedBids: 0 });
+  });
+
+  it('marks high-risk winners on win rows', async () => {
+    mockQueries([
+      bid({ placed_by_user_id: 'user-a', ip_address: '198.51.100.4', user_agent: 'UA-1', bid_status: 'ACCEPTED' })
+    ], [{ user_id: 'artist-1', ip_address: '198.51.100.4', user_agent: 'UA-1' }]);
+    const wins = [
+      { bidId: 'bid-1', auctionId: 'auc-1', winnerId: 'user-a' },
+      { bidId: 'bid-9', auctionId: 'auc-1', winnerId: 'user-z' }
+    ];
+
+    await bidIntegrityService.flagWins(wins);
+
+    expect(wins[0]).toMatchObject({ highRisk: true, riskReasons: ['SHARES_DEVICE_WITH_ARTIST'] });
+    expect(wins[1]).toMatchObject({ highRisk: false, riskReasons: [] });
+    expect(pool.query).toHaveBeenCalledTimes(3);
+  });
+
+  it('skips the queries when there are no wins', async () => {
+    await bidIntegrityService.flagWins([]);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -5,6 +5,7 @@
 
 const biddingService = require('../../../src/services/biddingService');
 const { pool } = require('../../../src/models/index');
+const auctionService = require('../../../src/services/auctionService');
 
 // Mock pool queries
 jest.mock('../../../src/models/index', () => ({
@@ -13,6 +14,8 @@ jest.mock('../../../src/models/index', () => ({
     query: jest.fn()
   }
 }));
+jest.mock('../../../src/services/watchlistService');
+jest.mock('../../../src/services/auctionService');
 
 describe('BiddingService', () => {
   let mockClient;
@@ -93,6 +96,31 @@ describe('BiddingService', () => {
       expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
     });
 
+    it('should enforce the auction\'s tiered increment schedule', async () => {
+      const schedule = [{ upTo: 20, increment: 1 }, { upTo: 100, increment: 5 }, { upTo: null, increment: 25 }];
+
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'art-123', starting_bid_amount: 5, current_bid: 150, auction_status: 'LIVE', ends_at: new Date(Date.now() + 3600000), created_by_user_id: 'artist-789', auction_id: 'auction-123', auction_bid_increments: schedule }] });
+
+      await expect(biddingService.placeBid('art-123', 'user-456', 170)).rejects.toThrow('minimum required $175.00');
+    });
+
+    it('should let an artwork override the auction increment schedule', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'art-123', starting_bid_amount: 1, current_bid: 4, auction_status: 'LIVE', ends_at: new Date(Date.now() + 3600000), created_by_user_id: 'artist-789', auction_id: 'auction-123', bid_increment_schedule: [{ upTo: null, increment: 0.5 }], auction_bid_increments: [{ upTo: null, increment: 25 }] }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 4.5, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 4.5);
+
+      expect(result.bidAmount).toBe(4.5);
+    });
+
     it('should reject artist bidding on their own artwork', async () => {
       const artworkId = 'art-123';
       const userId = 'artist-789'; // Same as created_by_user_id
@@ -140,6 +168,482 @@ describe('BiddingService', () => {
     });
   });
 
+  describe('placeBid request context', () => {
+    const context = { ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0 Test', sessionJti: 'jti-abc' };
+    const liveArtwork = (overrides = {}) => ({
+      id: 'art-123', starting_bid_amount: 50, auction_status: 'LIVE',
+      ends_at: new Date(Date.now() + 3600000), created_by_user_id: 'artist-789',
+      auction_id: 'auction-123', ...overrides
+    });
+
+    it('stores the client IP, user agent and session on the bid and its audit row', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 50, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      await biddingService.placeBid('art-123', 'user-456', 50, { context });
+
+      expect(mockClient.query.mock.calls[4][1].slice(6)).toEqual(['203.0.113.7', 'Mozilla/5.0 Test', 'jti-abc', null]);
+      const auditParams = mockClient.query.mock.calls[5][1];
+      expect(auditParams.slice(6)).toEqual(['203.0.113.7', 'Mozilla/5.0 Test']);
+      expect(JSON.parse(auditParams[4]).session_jti).toBe('jti-abc');
+    });
+
+    it('stores NULLs rather than placeholders when there is no request', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveArtwork()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 50, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      await biddingService.placeBid('art-123', 'user-456', 50);
+
+      expect(mockClient.query.mock.calls[4][1].slice(6)).toEqual([null, null, null, null]);
+    });
+
+    it('credits the challenger\'s context to their bid but not to the proxy\'s answer', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork({ current_bid: 60, current_bid_id: 'bid-1', current_bidder_id: 'user-leader', current_bidder_max: 200 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({})  // UPDATE leader bid OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-2', bid_amount: 100, placed_at: new Date() }] })  // challenger
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-3' }] })  // proxy answer
+        .mockResolvedValueOnce({})  // INSERT audit_logs
+        .mockResolvedValueOnce({});  // COMMIT
+
+      await biddingService.placeBid('art-123', 'user-456', 100, { context });
+
+      expect(mockClient.query.mock.calls[4][1].slice(6)).toEqual(['203.0.113.7', 'Mozilla/5.0 Test', 'jti-abc', null]);
+      expect(mockClient.query.mock.calls[5][0]).not.toContain('ip_address');
+      const auditSql = mockClient.query.mock.calls[6][0];
+      expect(auditSql).toContain('$10, $11), ($1, $7, $3, $4, $8, $9, NULL, NULL)');
+      expect(mockClient.query.mock.calls[6][1].slice(9)).toEqual(['203.0.113.7', 'Mozilla/5.0 Test']);
+    });
+
+    it('tags a clerk-entered bid with the clerk on the bid and its audit row', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveArtwork()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 85, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      await biddingService.placeBid('art-123', 'user-456', 85, { context: { ...context, enteredByUserId: 'clerk-1' } });
+
+      expect(mockClient.query.mock.calls[4][1][9]).toBe('clerk-1');
+      const details = JSON.parse(mockClient.query.mock.calls[5][1][4]);
+      expect(details).toMatchObject({ entered_by: 'CLERK', clerk_user_id: 'clerk-1' });
+      expect(mockClient.query.mock.calls[5][1][5]).toBe('user-456');
+    });
+  });
+
+  describe('placeBid proxy bidding', () => {
+    const liveArtwork = (overrides = {}) => ({
+      id: 'art-123', starting_bid_amount: 50, auction_status: 'LIVE',
+      ends_at: new Date(Date.now() + 3600000), created_by_user_id: 'artist-789',
+      auction_id: 'auction-123', ...overrides
+    });
+
+    it('stores the ceiling on an opening proxy bid', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 50, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 50, { maxAmount: 200 });
+
+      expect(result).toMatchObject({ bidAmount: 50, maxAmount: 200, isWinning: true, leaderChanged: true });
+      const insertParams = mockClient.query.mock.calls[4][1];
+      expect(insertParams.slice(3, 6)).toEqual([50, true, 200]);
+    });
+
+    it('defends the lead when the existing proxy out-reaches the new bid', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork({ current_bid: 60, current_bid_id: 'bid-1', current_bidder_id: 'user-leader', current_bidder_max: 200 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({})  // UPDATE leader bid OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-2', bid_amount: 100, placed_at: new Date() }] })  // challenger
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-3' }] })  // proxy answer
+        .mockResolvedValueOnce({})  // INSERT audit_logs
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 100);
+
+      expect(result).toMatchObject({ isWinning: false, leaderChanged: false, currentBid: 110 });
+      const proxyParams = mockClient.query.mock.calls[5][1];
+      expect(proxyParams.slice(2, 5)).toEqual(['user-leader', 110, 200]);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('awards ties to the earlier proxy at its ceiling', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveArtwork({ current_bid: 60, current_bid_id: 'bid-1', current_bidder_id: 'user-leader', current_bidder_max: 150 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-2', bid_amount: 150, placed_at: new Date() }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-3' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 80, { maxAmount: 150 });
+
+      expect(result.isWinning).toBe(false);
+      expect(result.currentBid).toBe(150);
+    });
+
+    it('exhausts a weaker proxy and takes the lead one increment above it', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork({ current_bid: 60, current_bid_id: 'bid-1', current_bidder_id: 'user-leader', current_bidder_max: 120 })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [{ placed_by_user_id: 'user-leader' }] })  // UPDATE OUTBID
+        .mockResolvedValueOnce({})  // INSERT exhausted proxy bid
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-4', bid_amount: 130, placed_at: new Date() }] })
+        .mockResolvedValueOnce({ rows: [] })  // SELECT previous bidder
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 70, { maxAmount: 500 });
+
+      expect(result).toMatchObject({ bidAmount: 130, maxAmount: 500, isWinning: true, leaderChanged: true });
+      expect(mockClient.query.mock.calls[4][1].slice(2, 4)).toEqual(['user-leader', 120]);
+    });
+
+    it('lets the leader raise their own maximum without moving the price', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveArtwork({ current_bid: 60, current_bid_id: 'bid-1', current_bidder_id: 'user-456', current_bidder_max: 100 })] })
+        .mockResolvedValueOnce({})  // UPDATE max
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 70, { maxAmount: 300 });
+
+      expect(result).toMatchObject({ bidAmount: 60, maxAmount: 300, isWinning: true, leaderChanged: false });
+      expect(mockClient.query.mock.calls[2][1]).toEqual([300, 'bid-1']);
+    });
+
+    it('lifts the leader to the reserve when they raise their maximum past it', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveArtwork({ current_bid: 60, current_bid_id: 'bid-1', current_bidder_id: 'user-456', current_bidder_max: 100, reserve_bid_amount: '150.00' })] })
+        .mockResolvedValueOnce({})  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-2' }] })  // INSERT lifted bid
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 70, { maxAmount: 300 });
+
+      expect(result).toMatchObject({ bidId: 'bid-2', bidAmount: 150, maxAmount: 300, isWinning: true, leaderChanged: false });
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['bid-1']);
+      expect(mockClient.query.mock.calls[3][1].slice(2)).toEqual(['user-456', 150, true, 300]);
+    });
+
+    it('accepts bids below the reserve without revealing it', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork({ reserve_bid_amount: '150.00' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 60, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 60);
+
+      expect(result.isWinning).toBe(true);
+      expect(mockClient.query.mock.calls[4][1][3]).toBe(60);
+    });
+
+    it('lifts a proxy whose ceiling reaches the reserve up to the reserve', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveArtwork({ reserve_bid_amount: '150.00' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 150, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      await biddingService.placeBid('art-123', 'user-456', 60, { maxAmount: 200 });
+
+      expect(mockClient.query.mock.calls[4][1].slice(3, 6)).toEqual([150, true, 200]);
+    });
+
+    it('rejects a maximum below the bid amount', async () => {
+      await expect(biddingService.placeBid('art-123', 'user-456', 100, { maxAmount: 90 }))
+        .rejects.toThrow('Maximum bid cannot be lower');
+    });
+  });
+
+  describe('placeBid soft close', () => {
+    const lateArtwork = (overrides = {}) => ({
+      id: 'art-123', starting_bid_amount: 50, auction_status: 'LIVE',
+      ends_at: new Date(Date.now() + 60000), created_by_user_id: 'artist-789',
+      auction_id: 'auction-123', auto_extend_minutes: 5, in_soft_close: true, ...overrides
+    });
+
+    it('extends the whole auction when a bid lands inside the window', async () => {
+      const newEnd = new Date(Date.now() + 300000);
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [lateArtwork({ soft_close_scope: 'AUCTION' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 50, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log (bid)
+        .mockResolvedValueOnce({ rows: [{ ends_at: newEnd }] })  // UPDATE auctions ends_at
+        .mockResolvedValueOnce({ rowCount: 0 })  // UPDATE open lot closes
+        .mockResolvedValueOnce({})  // INSERT audit_log (extension)
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 50);
+
+      expect(result.extension).toEqual({
+        scope: 'AUCTION', auctionId: 'auction-123', artworkId: null, endTime: newEnd, auctionEndTime: newEnd
+      });
+      expect(mockClient.query.mock.calls[6][0]).toContain('UPDATE auctions SET ends_at = GREATEST');
+      expect(mockClient.query.mock.calls[8][1]).toEqual(expect.arrayContaining(['AUCTION', 'auction_auto_extended', 'auction-123']));
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('extends only the lot when the auction uses per-artwork soft close', async () => {
+      const lotEnd = new Date(Date.now() + 300000);
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [lateArtwork({ soft_close_scope: 'ARTWORK' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 50, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log (bid)
+        .mockResolvedValueOnce({ rowCount: 3 })  // pin sibling lots
+        .mockResolvedValueOnce({ rows: [{ closes_at: lotEnd }] })  // UPDATE artwork closes_at
+        .mockResolvedValueOnce({ rows: [{ ends_at: lotEnd }] })  // UPDATE auctions ends_at
+        .mockResolvedValueOnce({})  // INSERT audit_log (extension)
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 50);
+
+      expect(result.extension).toMatchObject({ scope: 'ARTWORK', artworkId: 'art-123', endTime: lotEnd });
+      expect(mockClient.query.mock.calls[6][0]).toContain('closes_at IS NULL AND id <> $3');
+    });
+
+    it('does not extend outside the window', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [lateArtwork({ in_soft_close: false })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 50, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 50);
+
+      expect(result.extension).toBeNull();
+      expect(mockClient.query).toHaveBeenCalledTimes(7);
+    });
+
+    it('rejects bids on a lot whose own close has passed', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [lateArtwork({ closes_at: new Date(Date.now() - 1000), auction_ended: true })] });
+
+      await expect(biddingService.placeBid('art-123', 'user-456', 50)).rejects.toThrow('Bidding on this artwork has closed');
+    });
+  });
+
+  describe('buyNow', () => {
+    const buyNowArtwork = (overrides = {}) => ({
+      id: 'art-123', title: 'Sunset', auction_status: 'LIVE', auction_ended: false,
+      created_by_user_id: 'artist-789', auction_id: 'auction-123',
+      buy_now_price: '200.00', buy_now_cutoff_percent: 75, current_bid: '100.00', ...overrides
+    });
+
+    it('closes the piece to the buyer and marks it SOLD', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [buyNowArtwork()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE bids OUTBID
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-1', bid_amount: 200, placed_at: new Date() }] })
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE artwork SOLD
+        .mockResolvedValueOnce({ rows: [] })  // losing bidders
+        .mockResolvedValueOnce({ rows: [] })  // buyer
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.buyNow('art-123', 'user-456');
+
+      expect(result).toMatchObject({ success: true, bidId: 'bid-1', auctionId: 'auction-123', amount: 200 });
+      expect(mockClient.query.mock.calls[4][0]).toContain("'ACCEPTED'");
+      expect(mockClient.query.mock.calls[5][0]).toContain("artwork_status = 'SOLD', finalized_at = NOW()");
+      expect(mockClient.query.mock.calls[8][1]).toEqual(expect.arrayContaining(['BID', 'buy_now_purchased']));
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('is withdrawn once bidding reaches the cutoff percentage', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [buyNowArtwork({ current_bid: '150.00' })] });
+
+      await expect(biddingService.buyNow('art-123', 'user-456')).rejects.toThrow('Buy-It-Now is not available');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('is not offered where bids need organizer approval, and leaves pending bids alone', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [buyNowArtwork({ require_approval_for_bids: true })] });
+
+      await expect(biddingService.buyNow('art-123', 'user-456'))
+        .rejects.toThrow('Buy-It-Now is not available in auctions where bids need organizer approval');
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE bids'))).toBe(false);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('rejects pieces without a buy-now price', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [buyNowArtwork({ buy_now_price: null })] });
+
+      await expect(biddingService.buyNow('art-123', 'user-456')).rejects.toThrow('Buy-It-Now is not available');
+    });
+
+    it('rejects a piece that is already sold', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [buyNowArtwork({ finalized_at: new Date() })] });
+
+      await expect(biddingService.buyNow('art-123', 'user-456')).rejects.toThrow('Bidding on this artwork has closed');
+    });
+
+    it('stops further bids on a sold piece', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [buyNowArtwork({ finalized_at: new Date(), ends_at: new Date(Date.now() + 60000) })] });
+
+      await expect(biddingService.placeBid('art-123', 'user-456', 250)).rejects.toThrow('Bidding on this artwork has closed');
+    });
+  });
+
+  describe('bid approval', () => {
+    const vettedArtwork = (overrides = {}) => ({
+      id: 'art-123', title: 'Sunset', starting_bid_amount: 50, auction_status: 'LIVE', auction_ended: false,
+      created_by_user_id: 'artist-789', auction_id: 'auction-123', require_approval_for_bids: true, ...overrides
+    });
+
+    it('holds bids on auctions that require approval without touching the leader', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [vettedArtwork({ current_bid: 60, current_bidder_id: 'user-leader' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456', account_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-9', bid_amount: 100, placed_at: new Date() }] })
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.placeBid('art-123', 'user-456', 100);
+
+      expect(result).toMatchObject({ bidId: 'bid-9', pending: true, isWinning: false, leaderChanged: false });
+      expect(mockClient.query.mock.calls[3][0]).toContain("'PENDING'");
+      expect(mockClient.query.mock.calls.some(([sql]) => /SET bid_status = 'OUTBID'/.test(sql))).toBe(false);
+      expect(mockClient.query.mock.calls[4][1]).toEqual(expect.arrayContaining(['bid_pending_approval']));
+    });
+
+    it('refuses maximum bids when bids need approval', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [vettedArtwork()] });
+
+      await expect(biddingService.placeBid('art-123', 'user-456', 50, { maxAmount: 200 }))
+        .rejects.toThrow('Maximum bids are not available');
+    });
+
+    it('approves a pending bid into the lead and outbids the previous leader', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-123' }] })
+        .mockResolvedValueOnce({ rows: [vettedArtwork({ current_bid: 60, current_bidder_id: 'user-leader' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-9', placed_by_user_id: 'user-456', bid_amount: '100.00' }] })
+        .mockResolvedValueOnce({ rows: [{ placed_by_user_id: 'user-leader' }] })  // UPDATE leader OUTBID
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE bid ACTIVE
+        .mockResolvedValueOnce({ rows: [] })  // users
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.approvePendingBid('bid-9', 'admin-1');
+
+      expect(result).toMatchObject({ bidId: 'bid-9', auctionId: 'auction-123', bidAmount: 100, isWinning: true, leaderChanged: true });
+      expect(mockClient.query.mock.calls[5][1]).toEqual(['bid-9', 'ACTIVE', 'admin-1']);
+      expect(mockClient.query.mock.calls[7][1]).toEqual(expect.arrayContaining(['bid_approved', 'admin-1']));
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('records an approved bid that was overtaken while waiting as OUTBID', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-123' }] })
+        .mockResolvedValueOnce({ rows: [vettedArtwork({ current_bid: 150, current_bidder_id: 'user-leader' })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-9', placed_by_user_id: 'user-456', bid_amount: '100.00' }] })
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE bid OUTBID
+        .mockResolvedValueOnce({ rows: [] })  // users
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.approvePendingBid('bid-9', 'admin-1');
+
+      expect(result).toMatchObject({ isWinning: false, leaderChanged: false, extension: null });
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['bid-9', 'OUTBID', 'admin-1']);
+    });
+
+    it('refuses to review a bid twice', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-123' }] })
+        .mockResolvedValueOnce({ rows: [vettedArtwork()] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(biddingService.approvePendingBid('bid-9', 'admin-1')).rejects.toThrow('BID_NOT_PENDING');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('rejects a pending bid with the reviewer and reason', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-123' }] })
+        .mockResolvedValueOnce({ rows: [vettedArtwork()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-9', placed_by_user_id: 'user-456', bid_amount: '100.00' }] })
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE bid REJECTED
+        .mockResolvedValueOnce({ rows: [] })  // bidder
+        .mockResolvedValueOnce({})  // INSERT audit_log
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await biddingService.rejectPendingBid('bid-9', 'admin-1', 'Unverified bidder');
+
+      expect(result).toMatchObject({ success: true, bidId: 'bid-9', artworkId: 'art-123' });
+      expect(mockClient.query.mock.calls[4][0]).toContain("bid_status = 'REJECTED'");
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['bid-9', 'admin-1', 'Unverified bidder']);
+      expect(mockClient.query.mock.calls[6][1]).toEqual(expect.arrayContaining(['bid_rejected']));
+    });
+  });
+
   describe('withdrawBid', () => {
     it('should successfully withdraw a bid', async () => {
       const bidId = 'bid-123';
@@ -190,6 +694,19 @@ describe('BiddingService', () => {
 
       expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
     });
+
+    it('goes by the piece\'s own close when it closes before the auction', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'bid-123', placed_by_user_id: 'user-456', bid_amount: 50000, auction_id: 'auction-123', artwork_id: 'art-123', bid_status: 'ACTIVE' }] })
+        .mockResolvedValueOnce({ rows: [{ ends_at: new Date(Date.now() + 30000), auction_status: 'LIVE' }] });
+
+      await expect(biddingService.withdrawBid('bid-123', 'user-456')).rejects.toThrow('ending soon');
+
+      const [sql, params] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('COALESCE(a.closes_at, au.ends_at) AS ends_at');
+      expect(params).toEqual(['art-123']);
+    });
   });
 
   describe('getBidHistory', () => {
@@ -251,6 +768,61 @@ describe('BiddingService', () => {
       expect(state.totalBids).toBe(5);
     });
 
+    it('should return the next minimum bid from the increment schedule', async () => {
+      pool.query = jest.fn().mockResolvedValue({
+        rows: [{
+          id: 'art-123', starting_bid_amount: 5, current_bid: '18.00', auction_status: 'LIVE',
+          ends_at: new Date(Date.now() + 3600000), total_bids: '3',
+          auction_bid_increments: [{ upTo: 20, increment: 1 }, { upTo: null, increment: 5 }]
+        }]
+      });
+
+      const state = await biddingService.getBiddingState('art-123');
+
+      expect(state.nextMinimumBid).toBe(19);
+      expect(state.bidIncrement).toBe(1);
+    });
+
+    it('should fall back to a flat $10 increment and the starting price', async () => {
+      pool.query = jest.fn().mockResolvedValue({
+        rows: [{ id: 'art-123', starting_bid_amount: '25.00', current_bid: null, auction_status: 'LIVE', ends_at: new Date(Date.now() + 3600000), total_bids: '0' }]
+      });
+
+      const state = await biddingService.getBiddingState('art-123');
+
+      expect(state.nextMinimumBid).toBe(25);
+      expect(state.bidIncrement).toBe(10);
+    });
+
+    it('should offer buy-now until bidding passes the cutoff', async () => {
+      const row = {
+        id: 'art-123', starting_bid_amount: '25.00', auction_status: 'LIVE', artwork_status: 'APPROVED',
+        ends_at: new Date(Date.now() + 3600000), total_bids: '2', buy_now_price: '100.00', buy_now_cutoff_percent: 75
+      };
+      pool.query = jest.fn()
+        .mockResolvedValueOnce({ rows: [{ ...row, current_bid: '70.00' }] })
+        .mockResolvedValueOnce({ rows: [{ ...row, current_bid: '75.00' }] });
+
+      expect((await biddingService.getBiddingState('art-123')).buyNowAvailable).toBe(true);
+      expect((await biddingService.getBiddingState('art-123')).buyNowAvailable).toBe(false);
+    });
+
+    it('should flag an unmet reserve without exposing its amount', async () => {
+      const row = {
+        id: 'art-123', starting_bid_amount: '25.00', reserve_bid_amount: '100.00', auction_status: 'LIVE',
+        ends_at: new Date(Date.now() + 3600000), total_bids: '2'
+      };
+      pool.query = jest.fn()
+        .mockResolvedValueOnce({ rows: [{ ...row, current_bid: '60.00' }] })
+        .mockResolvedValueOnce({ rows: [{ ...row, current_bid: '100.00' }] });
+
+      const under = await biddingService.getBiddingState('art-123');
+      expect(under.reserveNotMet).toBe(true);
+      expect(under).not.toHaveProperty('reservePrice');
+      expect(JSON.stringify(under)).not.toContain('100.00');
+      expect((await biddingService.getBiddingState('art-123')).reserveNotMet).toBe(false);
+    });
+
     it('should throw error if artwork not found', async () => {
       pool.query = jest.fn().mockResolvedValue({ rows: [] });
 
@@ -277,45 +849,48 @@ describe('BiddingService', () => {
   });
 
   describe('closeAuction', () => {
-    it('should close auction with winner', async () => {
-      const auctionId = 'auction-123';
-
-      // Service queries: BEGIN, SELECT auction, UPDATE auction status,
-      //   SELECT winner (bids JOIN artwork JOIN users), UPDATE bid ACCEPTED,
-      //   UPDATE portfolio_items SOLD/UNSOLD, INSERT audit_log, COMMIT
-      mockClient.query
-        .mockResolvedValueOnce({})  // BEGIN
-        .mockResolvedValueOnce({ rows: [{ id: 'auction-123', school_id: 'school-1', auction_status: 'LIVE' }] })
-        .mockResolvedValueOnce({})  // UPDATE auction status = ENDED
-        .mockResolvedValueOnce({ rows: [{ placed_by_user_id: 'user-456', bid_amount: 50000, artwork_id: 'art-123', first_name: 'John', last_name: 'Doe', email: 'john@example.com' }] })
-        .mockResolvedValueOnce({})  // UPDATE bid status = ACCEPTED
-        .mockResolvedValueOnce({})  // UPDATE portfolio_items SOLD/UNSOLD
-        .mockResolvedValueOnce({})  // INSERT audit_log
-        .mockResolvedValueOnce({});  // COMMIT
+    it('should close through endAuction and name the top winner', async () => {
+      auctionService.endAuction.mockResolvedValue({
+        success: true,
+        auctionId: 'auction-123',
+        winnersCount: 2,
+        winners: [
+          { artworkId: 'art-1', winnerId: 'user-111', winningBid: '40.00' },
+          { artworkId: 'art-2', winnerId: 'user-456', winningBid: '500.00' }
+        ]
+      });
+      pool.query = jest.fn().mockResolvedValue({ rows: [{ first_name: 'John', last_name: 'Doe', email: 'john@example.com' }] });
 
-      const result = await biddingService.closeAuction(auctionId);
+      const result = await biddingService.closeAuction('auction-123');
 
+      expect(auctionService.endAuction).toHaveBeenCalledWith('auction-123');
       expect(result.success).toBe(true);
-      expect(result.winner).not.toBeNull();
-      expect(result.winner.name).toBe('John Doe');
+      expect(result.winners).toHaveLength(2);
+      expect(result.winner).toEqual({
+        id: 'user-456', name: 'John Doe', email: 'john@example.com', bidAmount: '500.00', artworkId: 'art-2'
+      });
+      expect(pool.query.mock.calls[0][1]).toEqual(['user-456']);
     });
 
-    it('should close auction with no winner if no bids', async () => {
-      const auctionId = 'auction-123';
+    it('should pass endAuction refusals through untouched (lots still open)', async () => {
+      const refusal = { success: false, openLots: 2, message: '2 lot(s) are still open; the auction ends after the last lot closes' };
+      auctionService.endAuction.mockResolvedValue(refusal);
+      pool.query = jest.fn();
 
-      mockClient.query
-        .mockResolvedValueOnce({})  // BEGIN
-        .mockResolvedValueOnce({ rows: [{ id: 'auction-123', school_id: 'school-1', auction_status: 'LIVE' }] })
-        .mockResolvedValueOnce({})  // UPDATE auction status = ENDED
-        .mockResolvedValueOnce({ rows: [] })  // SELECT winner — no bids
-        .mockResolvedValueOnce({})  // UPDATE portfolio_items SOLD/UNSOLD
-        .mockResolvedValueOnce({})  // INSERT audit_log
-        .mockResolvedValueOnce({});  // COMMIT
+      const result = await biddingService.closeAuction('auction-123');
+
+      expect(result).toBe(refusal);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should close auction with no winner if no bids', async () => {
+      auctionService.endAuction.mockResolvedValue({ success: true, auctionId: 'auction-123', winnersCount: 0, winners: [] });
 
-      const result = await biddingService.closeAuction(auctionId);
+      const result = await biddingService.closeAuction('auction-123');
 
       expect(result.success).toBe(true);
       expect(result.winner).toBeNull();
+      expect(result.message).toBe('Auction closed with no winner');
     });
   });
 
@@ -0,0 +1,113 @@
+'use strict';
+/**
+ * Catalog Service Tests
+ * Printable catalog and bid-sheet PDFs; student surnames never printed
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn() }
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(),
+  notifyAuctionWon: jest.fn(),
+  notifyReserveReleased: jest.fn()
+}));
+
+const PDFDocument = require('pdfkit');
+const { pool } = require('../../../src/models/index');
+const auctionService = require('../../../src/services/auctionService');
+const catalogService = require('../../../src/services/catalogService');
+
+// 1×1 transparent PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const auction = {
+  id: 'auc-1', title: 'Spring Showcase', description: 'Student work from all grades',
+  school_id: 'school-1', school_name: 'Lincoln High', starts_at: new Date('2026-04-01T17:00:00Z'),
+  ends_at: new Date('2026-04-01T21:00:00Z'), charity_beneficiary_name: 'Art Supplies Fund',
+  charity_website_url: 'https://example.org', bid_increment_schedule: null
+};
+const pieces = [
+  {
+    id: 'art-1', title: 'Sunset', description: 'Oil on canvas', artist_name: 'Maya Rodriguez',
+    medium: 'Oil', dimensions_width_cm: '40.00', dimensions_height_cm: '50.00', dimensions_depth_cm: null,
+    starting_bid_amount: '25.00', bid_increment_schedule: null, image_url: PNG
+  },
+  {
+    id: 'art-2', title: 'Harbor', description: null, artist_name: 'Sam Van Der Berg',
+    medium: null, dimensions_width_cm: null, dimensions_height_cm: null, dimensions_depth_cm: null,
+    starting_bid_amount: '40.00', bid_increment_schedule: null, image_url: '/etc/passwd'
+  }
+];
+
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('CatalogService', () => {
+  let printed;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    printed = [];
+    const text = PDFDocument.prototype.text;
+    jest.spyOn(PDFDocument.prototype, 'text').mockImplementation(function(str, ...args) {
+      printed.push(String(str));
+      return text.call(this, str, ...args);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads only printable pieces of a live (not deleted) auction', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [auction] })
+      .mockResolvedValueOnce({ rows: pieces });
+
+    const data = await catalogService.loadAuction('auc-1');
+
+    expect(data.pieces).toHaveLength(2);
+    expect(pool.query.mock.calls[1][1]).toEqual(['auc-1', ['APPROVED', 'SOLD', 'UNSOLD']]);
+  });
+
+  it('throws AUCTION_NOT_FOUND for a missing auction', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+    await expect(catalogService.loadAuction('nope')).rejects.toThrow('AUCTION_NOT_FOUND');
+  });
+
+  it('renders a cover plus one page per piece, with the beneficiary and public artist names', async () => {
+    const pdf = await catalogService.renderCatalog({ auction, pieces });
+
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pageCount(pdf)).toBe(3);
+    expect(printed).toEqual(expect.arrayContaining([
+      'Art Supplies Fund', 'Sunset', 'Maya R.', 'Medium: Oil', 'Dimensions: 40 × 50 cm',
+      'Starting bid: $25.00', 'Sam V.', 'Spring Showcase · Page 3 of 3'
+    ]));
+    expect(printed.join('\n')).not.toMatch(/Rodriguez|Van Der Berg/);
+  });
+
+  it('renders one bid sheet per piece with a QR code to that piece', async () => {
+    const qrSpy = jest.spyOn(auctionService, '_generateQRCode');
+
+    const pdf = await catalogService.renderBidSheets({ auction, pieces });
+
+    expect(pageCount(pdf)).toBe(2);
+    expect(qrSpy).toHaveBeenCalledWith('auc-1', 'art-1');
+    expect(qrSpy).toHaveBeenCalledWith('auc-1', 'art-2');
+    expect(await qrSpy.mock.results[0].value).toMatch(/^data:image\/png;base64,/);
+    expect(printed).toEqual(expect.arrayContaining(['Paddle #', 'Bid amount', 'Starting bid: $25.00', '15']));
+    expect(printed.join('\n')).not.toMatch(/Rodriguez|Van Der Berg/);
+  });
+
+  it('never hands PDFKit an image source that is not inline PNG/JPEG data', () => {
+    const doc = { image: jest.fn() };
+    expect(catalogService._embedImage(doc, '/etc/passwd', 0, 0, 100, 100)).toBe(false);
+    expect(catalogService._embedImage(doc, 'https://example.com/a.png', 0, 0, 100, 100)).toBe(false);
+    expect(doc.image).not.toHaveBeenCalled();
+    expect(catalogService._embedImage(doc, PNG, 0, 0, 100, 100)).toBe(true);
+    expect(Buffer.isBuffer(doc.image.mock.calls[0][0])).toBe(true);
+  });
+});
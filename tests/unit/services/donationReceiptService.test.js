@@ -0,0 +1,171 @@
+'use strict';
+/**
+ * Donation Receipt Service Tests
+ * Issuing receipts after payment, bulk re-issue scoping, deductible
+ * amounts, year-end statement totals, and receipt rendering
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn() }
+}));
+
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(() => ({ send: jest.fn() })),
+  notifyDonationReceipt: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { pool } = require('../../../src/models/index');
+const { notifyDonationReceipt } = require('../../../src/services/notificationService');
+const donationReceiptService = require('../../../src/services/donationReceiptService');
+const { formatReceiptNumber } = donationReceiptService;
+
+function receiptRow(overrides = {}) {
+  return {
+    id: 'rec-1', receipt_number: '42', auction_id: 'auc-1', auction_title: 'Spring Gala',
+    charity_beneficiary_name: 'Riverside Food Bank', description: 'Sunflowers',
+    amount_paid: '150.00', fair_market_value: '40.00', deductible_amount: '110.00',
+    tax_year: 2026, paid_at: new Date('2026-04-18T19:00:00Z'), issued_at: new Date(), emailed_at: null,
+    donor_first_name: 'Ann', donor_last_name: 'Lee', donor_email: 'ann@example.com',
+    school_name: 'Lincoln High', address_line1: '1 Main St', address_line2: null,
+    city: 'Springfield', state_province: 'IL', postal_code: '62701',
+    tax_id: '12-3456789', receipt_signatory_name: 'Pat Jones', receipt_signatory_title: 'PTA Treasurer',
+    ...overrides
+  };
+}
+
+describe('DonationReceiptService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  it('formats receipt numbers', () => {
+    expect(formatReceiptNumber(42)).toBe('R-000042');
+  });
+
+  describe('issueForDonor', () => {
+    it('issues missing receipts for the donor and emails them', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'rec-1' }] }) // INSERT ... SELECT
+        .mockResolvedValueOnce({ rows: [receiptRow()] }) // receipts to email
+        .mockResolvedValueOnce({}); // emailed_at
+
+      const ids = await donationReceiptService.issueForDonor('auc-1', 'user-1');
+
+      const [insertSql, insertParams] = pool.query.mock.calls[0];
+      expect(insertSql).toContain('ON CONFLICT DO NOTHING');
+      expect(insertSql).toContain('a.charity_beneficiary_name IS NOT NULL');
+      expect(insertParams).toEqual(['auc-1', 'user-1']);
+      expect(notifyDonationReceipt).toHaveBeenCalledWith(expect.anything(), pool, expect.objectContaining({
+        email: 'ann@example.com',
+        receipt: expect.objectContaining({ receiptNumber: 'R-000042', deductibleAmount: 110 })
+      }));
+      expect(pool.query.mock.calls[2][0]).toContain('emailed_at = NOW()');
+      expect(ids).toEqual(['rec-1']);
+    });
+
+    it('does nothing more when every payment already has a receipt', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await donationReceiptService.issueForDonor('auc-1', 'user-1');
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(notifyDonationReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reissue', () => {
+    it('requires an auction or a tax year', async () => {
+      await expect(donationReceiptService.reissue({})).rejects.toThrow('REISSUE_SCOPE_REQUIRED');
+      await expect(donationReceiptService.reissue({ taxYear: 'last' })).rejects.toThrow('INVALID_TAX_YEAR');
+    });
+
+    it('issues what is missing, refreshes the rest and emails them all', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'rec-new' }] }) // issue missing
+        .mockResolvedValueOnce({ rows: [{ id: 'rec-1' }, { id: 'rec-2' }] }) // refresh existing
+        .mockResolvedValueOnce({ rows: [] }); // receipts to email
+
+      const result = await donationReceiptService.reissue({ taxYear: 2026, schoolId: 'school-1' });
+
+      expect(pool.query.mock.calls[0][1]).toEqual([null, 2026, 'school-1']);
+      const [updateSql, updateParams] = pool.query.mock.calls[1];
+      expect(updateSql).toContain('reissue_count = r.reissue_count + 1');
+      expect(updateParams).toEqual([null, 2026, 'school-1', ['rec-new']]);
+      expect(pool.query.mock.calls[2][1]).toEqual([['rec-new', 'rec-1', 'rec-2']]);
+      expect(result).toEqual({ issued: 1, reissued: 2, receiptIds: ['rec-new', 'rec-1', 'rec-2'] });
+    });
+  });
+
+  describe('emailReceipts', () => {
+    it('keeps going when one send fails', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [receiptRow(), receiptRow({ id: 'rec-2', receipt_number: '43' })] })
+        .mockResolvedValueOnce({});
+      notifyDonationReceipt.mockRejectedValueOnce(new Error('mailbox full'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const sent = await donationReceiptService.emailReceipts(['rec-1', 'rec-2']);
+
+      expect(sent).toBe(1);
+      expect(pool.query.mock.calls[1][1]).toEqual(['rec-2']);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getReceipt', () => {
+    it('only returns the donor\'s own, still-valid receipt', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(donationReceiptService.getReceipt('rec-1', 'user-2')).rejects.toThrow('RECEIPT_NOT_FOUND');
+      expect(pool.query.mock.calls[0][0]).toContain("t.transaction_status = 'COMPLETED'");
+      expect(pool.query.mock.calls[0][1]).toEqual(['rec-1', 'user-2']);
+    });
+  });
+
+  describe('getAnnualStatement', () => {
+    it('totals the year\'s receipts in cents', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ first_name: 'Ann', last_name: 'Lee', email: 'ann@example.com' }] })
+        .mockResolvedValueOnce({ rows: [
+          receiptRow({ amount_paid: '0.10', fair_market_value: '0.00', deductible_amount: '0.10' }),
+          receiptRow({ id: 'rec-2', amount_paid: '0.20', fair_market_value: '0.00', deductible_amount: '0.20' })
+        ] });
+
+      const statement = await donationReceiptService.getAnnualStatement('user-1', '2026');
+
+      expect(pool.query.mock.calls[1][1]).toEqual(['user-1', 2026]);
+      expect(statement).toMatchObject({ taxYear: 2026, donorName: 'Ann Lee', amountPaid: 0.3, deductibleAmount: 0.3 });
+    });
+
+    it('rejects a malformed year', async () => {
+      await expect(donationReceiptService.getAnnualStatement('user-1', '26')).rejects.toThrow('INVALID_TAX_YEAR');
+    });
+  });
+
+  describe('rendering', () => {
+    it('prints the deductible portion, tax ID and signatory, escaped', () => {
+      const receipt = donationReceiptService._mapReceipt(receiptRow({ description: '<b>Sunflowers</b>' }));
+
+      const html = donationReceiptService.renderReceiptHtml(receipt);
+
+      expect(html).toContain('R-000042');
+      expect(html).toContain('Tax ID: 12-3456789');
+      expect(html).toContain('$110.00');
+      expect(html).toContain('PTA Treasurer');
+      expect(html).toContain('&lt;b&gt;Sunflowers&lt;/b&gt;');
+    });
+
+    it('says no goods were provided for a pledge', () => {
+      const receipt = donationReceiptService._mapReceipt(receiptRow({ fair_market_value: '0.00', deductible_amount: '150.00' }));
+
+      expect(donationReceiptService.renderReceiptHtml(receipt))
+        .toContain('No goods or services were provided in exchange for this contribution.');
+    });
+
+    it('renders a PDF receipt', async () => {
+      const pdf = await donationReceiptService.renderReceiptPdf(donationReceiptService._mapReceipt(receiptRow()));
+      expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+/**
+ * Fund-a-Need Service Tests
+ * Giving-level validation, item setup permissions, pledging at a giving
+ * level with the running total, and a donor's pledge list
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../../../src/models/index');
+const fundANeedService = require('../../../src/services/fundANeedService');
+const { parseGivingLevels } = fundANeedService;
+
+const schoolAdmin = { id: 'admin-1', role: 'SCHOOL_ADMIN', schoolId: 'school-1' };
+
+function openItem(overrides = {}) {
+  return {
+    id: 'item-1', title: 'Art supplies', giving_levels: ['500.00', '250.00', '100.00'], goal_amount: '5000.00',
+    item_status: 'OPEN', auction_status: 'LIVE', paddle_number: 42,
+    ...overrides
+  };
+}
+
+describe('FundANeedService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  describe('parseGivingLevels', () => {
+    it('dedupes and sorts highest first', () => {
+      expect(parseGivingLevels([100, '500', 250, 100])).toEqual([500, 250, 100]);
+    });
+
+    it.each([
+      [[]],
+      [null],
+      [[0]],
+      [[-50]],
+      [[10.005]],
+      [['lots']],
+      [Array.from({ length: 11 }, (_, i) => i + 1)]
+    ])('rejects %p', (levels) => {
+      expect(() => parseGivingLevels(levels)).toThrow('INVALID_GIVING_LEVELS');
+    });
+  });
+
+  describe('createItem', () => {
+    it('adds an item to the admin\'s own school auction', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'auc-1', school_id: 'school-1', auction_status: 'LIVE' }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 'item-1', auction_id: 'auc-1', title: 'Art supplies', description: null,
+            giving_levels: ['250.00', '100.00'], goal_amount: null, item_status: 'OPEN' }]
+        });
+
+      const item = await fundANeedService.createItem('auc-1', { title: ' Art supplies ', givingLevels: [100, 250] }, schoolAdmin);
+
+      expect(pool.query.mock.calls[1][1]).toEqual(['auc-1', 'Art supplies', null, [250, 100], null, 'admin-1']);
+      expect(item).toMatchObject({ itemId: 'item-1', givingLevels: [250, 100], pledgeCount: 0, totalPledged: 0 });
+    });
+
+    it('refuses another school\'s auction', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 'auc-1', school_id: 'school-2', auction_status: 'LIVE' }] });
+      await expect(fundANeedService.createItem('auc-1', { title: 'Buses', givingLevels: [50] }, schoolAdmin))
+        .rejects.toThrow('INSUFFICIENT_PERMISSIONS');
+    });
+
+    it('refuses an ended auction', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 'auc-1', school_id: 'school-1', auction_status: 'ENDED' }] });
+      await expect(fundANeedService.createItem('auc-1', { title: 'Buses', givingLevels: [50] }, schoolAdmin))
+        .rejects.toThrow('AUCTION_CLOSED');
+    });
+  });
+
+  describe('pledge', () => {
+    it('records a pledge at a giving level and returns the new total', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [openItem()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'pledge-1', amount: '250.00', paddle_number: 42, created_at: new Date() }] })
+        .mockResolvedValueOnce({}) // audit
+        .mockResolvedValueOnce({ rows: [{ pledge_count: '3', total_pledged: '850.00' }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const result = await fundANeedService.pledge('auc-1', 'item-1', 'user-1', 250, { enteredByUserId: 'clerk-1' });
+
+      expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE OF i');
+      expect(client.query.mock.calls[2][1]).toEqual(['item-1', 'auc-1', 'user-1', 250, 42, 'clerk-1']);
+      expect(JSON.parse(client.query.mock.calls[3][1][4])).toMatchObject({ pledge_id: 'pledge-1', entered_by_user_id: 'clerk-1' });
+      expect(result.pledge).toMatchObject({ pledgeId: 'pledge-1', amount: 250, paddleNumber: 42 });
+      expect(result.totals).toEqual({ itemId: 'item-1', title: 'Art supplies', goalAmount: 5000, pledgeCount: 3, totalPledged: 850 });
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('only takes the item\'s giving levels', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [openItem()] });
+
+      await expect(fundANeedService.pledge('auc-1', 'item-1', 'user-1', 300)).rejects.toThrow('INVALID_GIVING_LEVEL');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it.each([
+      ['a closed item', { item_status: 'CLOSED' }],
+      ['an auction that is not live', { auction_status: 'ENDED' }]
+    ])('refuses %s', async (_label, overrides) => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [openItem(overrides)] });
+
+      await expect(fundANeedService.pledge('auc-1', 'item-1', 'user-1', 100)).rejects.toThrow('FUND_A_NEED_CLOSED');
+    });
+
+    it('refuses an item from another auction', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(fundANeedService.pledge('auc-2', 'item-1', 'user-1', 100)).rejects.toThrow('FUND_A_NEED_NOT_FOUND');
+    });
+  });
+
+  describe('listPledgesForUser', () => {
+    it('marks which pledges are paid', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 'pledge-2', amount: '100.00', pledge_status: 'PLEDGED', paddle_number: 42, item_id: 'item-1',
+            item_title: 'Art supplies', auction_id: 'auc-1', auction_title: 'Spring Gala' },
+          { id: 'pledge-1', amount: '250.00', pledge_status: 'PAID', paddle_number: 42, item_id: 'item-1',
+            item_title: 'Art supplies', auction_id: 'auc-1', auction_title: 'Spring Gala' }
+        ]
+      });
+
+      const pledges = await fundANeedService.listPledgesForUser('user-1');
+
+      expect(pledges.map(p => [p.pledgeId, p.amount, p.paid])).toEqual([['pledge-2', 100, false], ['pledge-1', 250, true]]);
+    });
+
+    it('narrows to one pledge for checkout', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await fundANeedService.listPledgesForUser('user-1', 'pledge-1');
+
+      expect(pool.query.mock.calls[0][0]).toContain('AND p.id = $2');
+      expect(pool.query.mock.calls[0][1]).toEqual(['user-1', 'pledge-1']);
+    });
+  });
+});
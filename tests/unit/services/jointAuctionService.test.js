@@ -0,0 +1,191 @@
+'use strict';
+/**
+ * Joint Auction Service Tests
+ * Inviting partner schools, accepting with a gateway, removing partners and
+ * per-school proceeds
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(),
+  notifyPartnerSchoolInvited: jest.fn().mockResolvedValue()
+}));
+
+const { pool } = require('../../../src/models/index');
+const jointAuctionService = require('../../../src/services/jointAuctionService');
+
+const hostAdmin = { id: 'admin-1', role: 'SCHOOL_ADMIN', schoolId: 'school-1' };
+const partnerAdmin = { id: 'admin-2', role: 'SCHOOL_ADMIN', schoolId: 'school-2' };
+const districtAuction = {
+  id: 'auc-1', school_id: 'school-1', title: 'District Art Show', auction_status: 'DRAFT',
+  starts_at: new Date('2026-11-01T17:00:00Z'), school_name: 'Lincoln High'
+};
+
+describe('JointAuctionService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('invitePartner', () => {
+    it('invites an active school and audits it', async () => {
+      jest.spyOn(global, 'setImmediate').mockImplementation(() => {});
+      pool.query
+        .mockResolvedValueOnce({ rows: [districtAuction] })
+        .mockResolvedValueOnce({ rows: [{ id: 'school-2', name: 'Roosevelt Middle' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'ps-1', school_id: 'school-2', partner_status: 'INVITED' }] })
+        .mockResolvedValueOnce({});
+
+      const partner = await jointAuctionService.invitePartner('auc-1', 'school-2', hostAdmin);
+
+      expect(partner.partner_status).toBe('INVITED');
+      expect(pool.query.mock.calls[2][0]).toContain("WHERE auction_partner_schools.partner_status = 'DECLINED'");
+      expect(pool.query.mock.calls[3][1][1]).toBe('auction_partner_invited');
+      expect(setImmediate).toHaveBeenCalled();
+    });
+
+    it('refuses partner admins, the host itself and schools already invited', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [districtAuction] });
+      await expect(jointAuctionService.invitePartner('auc-1', 'school-3', partnerAdmin))
+        .rejects.toThrow('INSUFFICIENT_PERMISSIONS');
+
+      pool.query.mockResolvedValueOnce({ rows: [districtAuction] });
+      await expect(jointAuctionService.invitePartner('auc-1', 'school-1', hostAdmin))
+        .rejects.toThrow('INVALID_PARTNER_SCHOOL');
+
+      pool.query
+        .mockResolvedValueOnce({ rows: [districtAuction] })
+        .mockResolvedValueOnce({ rows: [{ id: 'school-2', name: 'Roosevelt Middle' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      await expect(jointAuctionService.invitePartner('auc-1', 'school-2', hostAdmin))
+        .rejects.toThrow('PARTNER_ALREADY_INVITED');
+    });
+
+    it('refuses once the auction is live', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...districtAuction, auction_status: 'LIVE' }] });
+      await expect(jointAuctionService.invitePartner('auc-1', 'school-2', hostAdmin))
+        .rejects.toThrow('AUCTION_NOT_EDITABLE');
+    });
+  });
+
+  describe('respond', () => {
+    it('accepts with the school\'s primary gateway', async () => {
+      client.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'ps-1', partner_status: 'INVITED' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'gw-2' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'ps-1', partner_status: 'ACCEPTED', payment_gateway_id: 'gw-2' }] })
+        .mockResolvedValueOnce({}) // audit
+        .mockResolvedValueOnce({}); // COMMIT
+
+      const partner = await jointAuctionService.respond('auc-1', partnerAdmin, { accept: true });
+
+      expect(partner.partner_status).toBe('ACCEPTED');
+      expect(client.query.mock.calls[1][1]).toEqual(['auc-1', 'school-2']);
+      expect(client.query.mock.calls[2][1]).toEqual(['school-2', null]);
+      expect(client.query.mock.calls[3][1].slice(0, 3)).toEqual(['ACCEPTED', 'gw-2', 'admin-2']);
+      expect(client.query.mock.calls[4][1][1]).toBe('auction_partner_accepted');
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('rolls back when the school has no active gateway or already answered', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'ps-1', partner_status: 'INVITED' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({});
+      await expect(jointAuctionService.respond('auc-1', partnerAdmin, { accept: true }))
+        .rejects.toThrow('PARTNER_GATEWAY_REQUIRED');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+
+      client.query.mockReset();
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'ps-1', partner_status: 'DECLINED' }] })
+        .mockResolvedValueOnce({});
+      await expect(jointAuctionService.respond('auc-1', partnerAdmin, { accept: true }))
+        .rejects.toThrow('PARTNER_ALREADY_RESPONDED');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    it('requires SITE_ADMIN to name the school and refuses teachers', async () => {
+      await expect(jointAuctionService.respond('auc-1', { id: 'site-1', role: 'SITE_ADMIN' }, { accept: false }))
+        .rejects.toThrow('INVALID_PARTNER_SCHOOL');
+      await expect(jointAuctionService.respond('auc-1', { id: 't-1', role: 'TEACHER', schoolId: 'school-2' }, { accept: true }))
+        .rejects.toThrow('INSUFFICIENT_PERMISSIONS');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removePartner', () => {
+    it('refuses while the partner has pieces in the auction', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [districtAuction] })
+        .mockResolvedValueOnce({ rows: [{ count: '3' }] });
+      await expect(jointAuctionService.removePartner('auc-1', 'school-2', hostAdmin))
+        .rejects.toThrow('PARTNER_HAS_ARTWORK');
+    });
+  });
+
+  describe('listPartners', () => {
+    const partners = {
+      rows: [
+        { school_id: 'school-2', school_name: 'Roosevelt Middle', partner_status: 'ACCEPTED', responded_at: null },
+        { school_id: 'school-3', school_name: 'Adams Elementary', partner_status: 'INVITED', responded_at: null }
+      ]
+    };
+    const totals = {
+      rows: [
+        { school_id: 'school-1', piece_count: '10', sold_count: '4', proceeds: '400.00' },
+        { school_id: 'school-2', piece_count: '6', sold_count: '2', proceeds: '150.50' }
+      ]
+    };
+
+    it('shows the host every school\'s proceeds', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [districtAuction] })
+        .mockResolvedValueOnce(partners)
+        .mockResolvedValueOnce(totals);
+
+      const result = await jointAuctionService.listPartners('auc-1', hostAdmin);
+
+      expect(result.schools.map(s => [s.schoolId, s.role, s.proceeds])).toEqual([
+        ['school-1', 'HOST', 400],
+        ['school-2', 'PARTNER', 150.5],
+        ['school-3', 'PARTNER', 0]
+      ]);
+    });
+
+    it('shows a partner only its own figures and only schools that joined', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [districtAuction] })
+        .mockResolvedValueOnce(partners)
+        .mockResolvedValueOnce(totals);
+
+      const result = await jointAuctionService.listPartners('auc-1', partnerAdmin);
+
+      expect(result.schools.map(s => [s.schoolId, s.proceeds])).toEqual([
+        ['school-1', null],
+        ['school-2', 150.5]
+      ]);
+
+      pool.query
+        .mockResolvedValueOnce({ rows: [districtAuction] })
+        .mockResolvedValueOnce(partners)
+        .mockResolvedValueOnce(totals);
+      await expect(jointAuctionService.listPartners('auc-1', { ...partnerAdmin, schoolId: 'school-9' }))
+        .rejects.toThrow('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+});
@@ -282,6 +282,16 @@ describe('NotificationService', () => {
       expect(result.email_outbid).toBe(false);
       expect(result.sms_outbid).toBe(true);
     });
+
+    test('should save the watchlist email toggle', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ user_id: 'user-123', email_watchlist: false }] });
+
+      await notificationService.updatePreferences('user-123', { email_watchlist: false });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('email_watchlist = COALESCE($10, email_watchlist)');
+      expect(params[9]).toBe(false);
+    });
   });
 
   // ========== Notification History Tests ==========
@@ -332,6 +342,16 @@ describe('NotificationService', () => {
 
       expect(result).toBe(false);
     });
+
+    test('should turn off watchlist alerts with the email channel only', async () => {
+      mockDb.query.mockResolvedValue({ rows: [{ user_id: 'user-123' }] });
+
+      await notificationService.unsubscribe('token-123', 'email');
+      await notificationService.unsubscribe('token-123', 'sms');
+
+      expect(mockDb.query.mock.calls[0][0]).toContain('email_watchlist = false');
+      expect(mockDb.query.mock.calls[1][0]).not.toContain('watchlist');
+    });
   });
 
   // ========== Token Generation Tests ==========
@@ -546,6 +566,16 @@ describe('NotificationController', () => {
     }));
   });
 
+  test('should accept the watchlist email toggle', async () => {
+    req.body = { email_watchlist: false };
+    mockService.updatePreferences.mockResolvedValueOnce({ email_watchlist: false });
+
+    await controller.updatePreferences(req, res, next);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(mockService.updatePreferences).toHaveBeenCalledWith('user-123', { email_watchlist: false });
+  });
+
   test('should reject invalid preference field', async () => {
     req.body = { invalid_field: true };
 
@@ -592,3 +622,33 @@ describe('NotificationController', () => {
     }));
   });
 });
+
+describe('Watchlist alert preference', () => {
+  const { notifyWatchedArtworkBid, notifyWatchedAuctionLive } = require('../../../src/services/notificationService');
+  const bidAlert = {
+    userId: 'user-7', email: 'watcher@example.com', firstName: 'Wren', artworkTitle: 'Harbor',
+    currentBidDollars: 55, closesAt: new Date('2026-11-01T18:00:00Z'), auctionId: 'auc-1'
+  };
+
+  test('skips watchlist emails when email_watchlist is off', async () => {
+    const emailProvider = { send: jest.fn() };
+    const db = { query: jest.fn().mockResolvedValue({ rows: [{ email_outbid: true, email_watchlist: false }] }) };
+
+    await notifyWatchedArtworkBid(emailProvider, db, bidAlert);
+    await notifyWatchedAuctionLive(emailProvider, db, {
+      userId: 'user-7', email: 'watcher@example.com', firstName: 'Wren',
+      auctionId: 'auc-1', auctionTitle: 'Spring Show', endsAt: new Date('2026-11-01T18:00:00Z')
+    });
+
+    expect(emailProvider.send).not.toHaveBeenCalled();
+  });
+
+  test('sends when the user has no preference row yet', async () => {
+    const emailProvider = { send: jest.fn().mockResolvedValue({}) };
+    const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await notifyWatchedArtworkBid(emailProvider, db, bidAlert);
+
+    expect(emailProvider.send).toHaveBeenCalledWith('watcher@example.com', expect.any(String), expect.any(String), expect.any(String));
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+/**
+ * Offline Bid Service Tests
+ * QR scans issue signing keys; bids queued offline are verified and replayed
+ * oldest-first against the current state
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn() }
+}));
+jest.mock('../../../src/services/biddingService', () => ({
+  placeBid: jest.fn()
+}));
+
+const { pool } = require('../../../src/models/index');
+const biddingService = require('../../../src/services/biddingService');
+const offlineBidService = require('../../../src/services/offlineBidService');
+
+const scannedAt = new Date(Date.now() - 30 * 60 * 1000);
+const scanRow = {
+  id: 'scan-1', created_at: scannedAt, scanned_by_user_id: 'user-1',
+  qr_code_id: 'qr-1', artwork_id: 'art-1', offline_enabled: true
+};
+
+/** Sign a queued bid the way public/js/offline-bids.js does */
+function signed(overrides = {}) {
+  const bid = {
+    scanId: 'scan-1', artworkId: 'art-1', amount: 85,
+    placedAt: new Date(scannedAt.getTime() + 5 * 60 * 1000).toISOString(),
+    nonce: crypto.randomUUID(), ...overrides
+  };
+  const key = offlineBidService._deriveKey(bid.scanId, 'user-1');
+  const payload = `${bid.scanId}|${bid.artworkId}|${Number(bid.amount).toFixed(2)}|${bid.placedAt}|${bid.nonce}`;
+  return { ...bid, signature: crypto.createHmac('sha256', key).update(payload).digest('hex') };
+}
+
+describe('OfflineBidService', () => {
+  const originalSecret = process.env.JWT_ACCESS_SECRET;
+
+  beforeAll(() => { process.env.JWT_ACCESS_SECRET = 'test-secret'; });
+  afterAll(() => { process.env.JWT_ACCESS_SECRET = originalSecret; });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  describe('recordScan', () => {
+    it('records the scan and issues a key tied to it', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'qr-1', offline_enabled: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'scan-1', created_at: scannedAt }] });
+
+      const scan = await offlineBidService.recordScan('auc-1', 'art-1', 'user-1', {
+        ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0 (iPhone)'
+      });
+
+      expect(scan.offlineEnabled).toBe(true);
+      expect(scan.offlineKey).toBe(offlineBidService._deriveKey('scan-1', 'user-1'));
+      expect(scan.offlineKey).not.toBe(offlineBidService._deriveKey('scan-1', 'user-2'));
+      expect(pool.query.mock.calls[1][0]).toContain('ON CONFLICT (artwork_id)');
+      expect(pool.query.mock.calls[2][1]).toEqual(['qr-1', 'user-1', '203.0.113.7', 'Mozilla/5.0 (iPhone)', 'MOBILE']);
+    });
+
+    it('issues no key when the QR code has offline bidding switched off', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'qr-1', offline_enabled: false }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'scan-1', created_at: scannedAt }] });
+
+      const scan = await offlineBidService.recordScan('auc-1', 'art-1', 'user-1');
+
+      expect(scan).toMatchObject({ offlineEnabled: false, offlineKey: null });
+    });
+
+    it('rejects artwork that is not in the auction', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(offlineBidService.recordScan('auc-1', 'art-9', 'user-1')).rejects.toThrow('ARTWORK_NOT_FOUND');
+    });
+  });
+
+  describe('syncBids', () => {
+    it('replays bids in capture order, tagging each with its offline time', async () => {
+      const later = signed({ amount: 95, placedAt: new Date(scannedAt.getTime() + 9 * 60 * 1000).toISOString() });
+      const earlier = signed({ amount: 85 });
+      pool.query
+        .mockResolvedValueOnce({ rows: [scanRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 'sync-1' }] })  // claim earlier
+        .mockResolvedValueOnce({})  // outcome
+        .mockResolvedValueOnce({ rows: [{ id: 'sync-2' }] })  // claim later
+        .mockResolvedValueOnce({});
+      biddingService.placeBid
+        .mockResolvedValueOnce({ bidId: 'bid-1', message: 'Bid placed successfully for $85.00', isWinning: true })
+        .mockResolvedValueOnce({ bidId: 'bid-2', message: 'Bid placed successfully for $95.00', isWinning: true });
+
+      const outcomes = await offlineBidService.syncBids('user-1', [later, earlier], { ipAddress: '203.0.113.7' });
+
+      expect(outcomes.map((o) => [o.amount, o.status])).toEqual([[85, 'ACCEPTED'], [95, 'ACCEPTED']]);
+      expect(biddingService.placeBid.mock.calls[0]).toEqual(['art-1', 'user-1', 85, {
+        context: { ipAddress: '203.0.113.7', offlinePlacedAt: earlier.placedAt }
+      }]);
+      const [claimSql, claimParams] = pool.query.mock.calls[1];
+      expect(claimSql).toContain('offline_scan');
+      expect(claimParams.slice(5)).toEqual([earlier.nonce, earlier.placedAt]);
+      expect(pool.query.mock.calls[2][1]).toEqual(['sync-1', 'ACCEPTED', 'bid-1', 'Bid placed successfully for $85.00']);
+    });
+
+    it('reports a bid the current state no longer allows as rejected and records why', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [scanRow] })
+        .mockResolvedValueOnce({ rows: [{ id: 'sync-1' }] })
+        .mockResolvedValueOnce({});
+      biddingService.placeBid.mockRejectedValueOnce(new Error('Bid amount $85.00 is below minimum required $100.00'));
+
+      const [outcome] = await offlineBidService.syncBids('user-1', [signed()]);
+
+      expect(outcome).toMatchObject({ status: 'REJECTED', message: expect.stringContaining('below minimum') });
+      expect(pool.query.mock.calls[2][1]).toEqual(['sync-1', 'REJECTED', null, expect.stringContaining('below minimum')]);
+    });
+
+    it('rejects tampered amounts and forged timestamps without placing them', async () => {
+      const tampered = { ...signed(), amount: 500 };
+      const future = signed({ placedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+      const beforeScan = signed({ placedAt: new Date(scannedAt.getTime() - 60 * 60 * 1000).toISOString() });
+      pool.query.mockResolvedValueOnce({ rows: [scanRow] });
+
+      const outcomes = await offlineBidService.syncBids('user-1', [tampered, future, beforeScan]);
+
+      expect(outcomes.map((o) => o.status)).toEqual(['REJECTED', 'REJECTED', 'REJECTED']);
+      expect(outcomes.find((o) => o.nonce === tampered.nonce).message).toBe('Bid signature is invalid');
+      expect(biddingService.placeBid).not.toHaveBeenCalled();
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('will not replay a bid from someone else\'s scan', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...scanRow, scanned_by_user_id: 'user-2' }] });
+
+      const [outcome] = await offlineBidService.syncBids('user-1', [signed()]);
+
+      expect(outcome.status).toBe('REJECTED');
+      expect(biddingService.placeBid).not.toHaveBeenCalled();
+    });
+
+    it('places a bid synced twice only once', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [scanRow] })
+        .mockResolvedValueOnce({ rows: [] });  // nonce already claimed
+
+      const [outcome] = await offlineBidService.syncBids('user-1', [signed()]);
+
+      expect(outcome.status).toBe('DUPLICATE');
+      expect(biddingService.placeBid).not.toHaveBeenCalled();
+    });
+
+    it('refuses an empty or oversized batch', async () => {
+      await expect(offlineBidService.syncBids('user-1', [])).rejects.toThrow('INVALID_OFFLINE_BATCH');
+      await expect(offlineBidService.syncBids('user-1', Array(51).fill(signed())))
+        .rejects.toThrow('INVALID_OFFLINE_BATCH');
+    });
+  });
+
+  it('accepts a signature made by the browser queue', async () => {
+    require('../../../public/js/offline-bids.js');
+    const bid = { scanId: 'scan-1', artworkId: 'art-1', amount: 85, placedAt: new Date().toISOString(), nonce: 'n-1' };
+    bid.signature = await globalThis.OfflineBidQueue._sign(offlineBidService._deriveKey('scan-1', 'user-1'), bid);
+
+    expect(offlineBidService._verifySignature('scan-1', 'user-1', bid)).toBe(true);
+    expect(offlineBidService._verifySignature('scan-1', 'user-2', bid)).toBe(false);
+  });
+});
@@ -0,0 +1,164 @@
+'use strict';
+/**
+ * Paddle Service Tests
+ * Per-auction paddle numbers, walk-in guests and clerk-entered paper bids
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { connect: jest.fn(), query: jest.fn() }
+}));
+jest.mock('../../../src/services/biddingService', () => ({
+  placeBid: jest.fn()
+}));
+jest.mock('bcrypt', () => ({ hash: jest.fn().mockResolvedValue('hashed') }));
+
+const { pool } = require('../../../src/models/index');
+const biddingService = require('../../../src/services/biddingService');
+const paddleService = require('../../../src/services/paddleService');
+
+const clerk = { id: 'clerk-1', role: 'TEACHER', schoolId: 'school-1' };
+const liveAuction = { id: 'auc-1', school_id: 'school-1', auction_status: 'LIVE' };
+
+describe('PaddleService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  describe('registerBidder', () => {
+    it('assigns the next paddle number and audits it', async () => {
+      client.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [liveAuction] })  // lock auction
+        .mockResolvedValueOnce({ rows: [] })  // existing paddle
+        .mockResolvedValueOnce({ rows: [{ paddle_number: 42 }] })  // INSERT paddle
+        .mockResolvedValueOnce({})  // audit
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const paddle = await paddleService.registerBidder('auc-1', 'user-1');
+
+      expect(paddle).toEqual({ auctionId: 'auc-1', userId: 'user-1', paddleNumber: 42, created: true });
+      expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[3][0]).toContain('COALESCE(MAX(paddle_number), 0) + 1');
+      expect(client.query.mock.calls[4][1][1]).toBe('paddle_assigned');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('returns the existing paddle to a bidder who is already registered', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveAuction] })
+        .mockResolvedValueOnce({ rows: [{ paddle_number: 7 }] })
+        .mockResolvedValueOnce({});
+
+      const paddle = await paddleService.registerBidder('auc-1', 'user-1');
+
+      expect(paddle).toMatchObject({ paddleNumber: 7, created: false });
+      expect(client.query).toHaveBeenCalledTimes(4);
+    });
+
+    it('refuses registration once the auction has ended', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...liveAuction, auction_status: 'ENDED' }] })
+        .mockResolvedValueOnce({});
+
+      await expect(paddleService.registerBidder('auc-1', 'user-1')).rejects.toThrow('AUCTION_CLOSED');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('registerWalkIn', () => {
+    it('creates a guest bidder who cannot log in when no account matches', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveAuction] })
+        .mockResolvedValueOnce({ rows: [{ id: 'guest-1' }] })  // INSERT guest
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ paddle_number: 3 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const paddle = await paddleService.registerWalkIn('auc-1', { firstName: 'Walk', lastName: 'In' }, clerk);
+
+      expect(paddle).toMatchObject({ userId: 'guest-1', paddleNumber: 3, guest: true });
+      const [sql, params] = client.query.mock.calls[2];
+      expect(sql).toContain("'BIDDER'");
+      expect(sql).toContain('is_guest');
+      expect(sql).not.toContain('email_verified_at');
+      expect(params[0]).toMatch(/^guest-[0-9a-f-]+@guests\.invalid$/);
+      expect(params[5]).toBe('school-1');
+      // Paddle registered by the clerk, not the guest
+      expect(client.query.mock.calls[4][1][2]).toBe('clerk-1');
+    });
+
+    it('registers the existing account when the email matches one', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [liveAuction] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-9' }] })  // email lookup
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ paddle_number: 4 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      const paddle = await paddleService.registerWalkIn('auc-1', { email: 'parent@example.com' }, clerk);
+
+      expect(paddle).toMatchObject({ userId: 'user-9', paddleNumber: 4, guest: false });
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO users'))).toBe(false);
+    });
+
+    it('keeps clerks to their own school\'s auctions', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...liveAuction, school_id: 'school-2' }] })
+        .mockResolvedValueOnce({});
+
+      await expect(paddleService.registerWalkIn('auc-1', { firstName: 'Walk' }, clerk))
+        .rejects.toThrow('CROSS_SCHOOL_ACCESS_DENIED');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('placeClerkBid', () => {
+    it('places the bid for the paddle holder through placeBid, tagged with the clerk', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ school_id: 'school-1', artwork_auction_id: 'auc-1', user_id: 'user-42', first_name: 'Pat', last_name: 'Doe' }]
+      });
+      biddingService.placeBid.mockResolvedValueOnce({ success: true, bidId: 'bid-1', message: 'Bid placed' });
+      const context = { ipAddress: '203.0.113.7', userAgent: 'UA', sessionJti: 'jti-1' };
+
+      const result = await paddleService.placeClerkBid(
+        'auc-1', { paddleNumber: 42, artworkId: 'art-1', bidAmount: 85 }, clerk, context
+      );
+
+      expect(biddingService.placeBid).toHaveBeenCalledWith('art-1', 'user-42', 85, {
+        context: { ...context, enteredByUserId: 'clerk-1' }
+      });
+      expect(result).toMatchObject({ success: true, bidId: 'bid-1', paddleNumber: 42, bidderName: 'Pat Doe' });
+    });
+
+    it('rejects a paddle number nobody holds', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ school_id: 'school-1', artwork_auction_id: 'auc-1', user_id: null }]
+      });
+
+      await expect(paddleService.placeClerkBid('auc-1', { paddleNumber: 99, artworkId: 'art-1', bidAmount: 85 }, clerk))
+        .rejects.toThrow('PADDLE_NOT_FOUND');
+      expect(biddingService.placeBid).not.toHaveBeenCalled();
+    });
+
+    it('rejects artwork from a different auction', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ school_id: 'school-1', artwork_auction_id: 'auc-2', user_id: 'user-42' }]
+      });
+
+      await expect(paddleService.placeClerkBid('auc-1', { paddleNumber: 42, artworkId: 'art-9', bidAmount: 85 }, clerk))
+        .rejects.toThrow('ARTWORK_NOT_IN_AUCTION');
+      expect(biddingService.placeBid).not.toHaveBeenCalled();
+    });
+  });
+});
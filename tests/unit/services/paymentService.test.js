@@ -1,4 +1,3 @@
-/* eslint-disable no-unused-vars */
 /**
  * ============================================================================
  * Section 4: Payment Service Unit Tests
@@ -9,6 +8,7 @@
 const {
   StripeGateway,
   SquareGateway,
+  AuthorizeNetGateway,
   PaymentService,
   FraudDetectionService
 } = require('../../../src/services/paymentService');
@@ -17,6 +17,15 @@ const crypto = require('crypto');
 // Use Node.js built-in randomUUID instead of uuid package
 const uuidv4 = () => crypto.randomUUID();
 
+// Square SDK client: only the webhook signature check is exercised here
+const mockVerifySignature = jest.fn();
+jest.mock('square', () => ({
+  Client: jest.fn(() => ({
+    getPaymentsApi: () => ({}),
+    getWebhookSubscriptionsApi: () => ({ verifySignature: mockVerifySignature })
+  }))
+}));
+
 // Mock database
 class MockDatabase {
   async query(sql, params) {
@@ -283,6 +292,93 @@ describe('StripeGateway', () => {
   });
 });
 
+// ============================================================================
+// Square Gateway Tests (webhooks)
+// ============================================================================
+
+describe('SquareGateway', () => {
+  // A refund.updated event as Square sends it
+  const event = {
+    merchant_id: 'ML8M1AQ1GQG2K',
+    type: 'refund.updated',
+    event_id: '6a8f5f28-54a1-4eb0-a98a-3111513fd4fc',
+    created_at: '2026-10-19T17:40:33Z',
+    data: {
+      type: 'refund',
+      id: 'rf_1',
+      object: {
+        refund: {
+          id: 'rf_1', status: 'COMPLETED', payment_id: 'sq_pay_1',
+          amount_money: { amount: 2500, currency: 'USD' }
+        }
+      }
+    }
+  };
+
+  test('Should return the event id from event_id', async () => {
+    mockVerifySignature.mockReturnValueOnce(true);
+    const gateway = new SquareGateway({ apiKey: 'sq_test', webhookSignatureKey: 'sq_sig_key' });
+
+    const result = await gateway.validateWebhook(event, 'signature');
+
+    expect(result).toEqual({ eventType: 'refund.updated', eventId: event.event_id, data: event.data });
+  });
+
+  test('Should reject an event whose signature does not verify', async () => {
+    mockVerifySignature.mockReturnValueOnce(false);
+    const gateway = new SquareGateway({ apiKey: 'sq_test', webhookSignatureKey: 'sq_sig_key' });
+
+    await expect(gateway.validateWebhook(event, 'bad')).rejects.toThrow('SQUARE_WEBHOOK_INVALID');
+  });
+});
+
+// ============================================================================
+// Authorize.net Gateway Tests (webhooks)
+// ============================================================================
+
+describe('AuthorizeNetGateway', () => {
+  const signatureKey = 'ANET_TEST_SIGNATURE_KEY';
+  const body = JSON.stringify({
+    notificationId: 'notif-1',
+    eventType: 'net.authorize.payment.authcapture.created',
+    payload: { entityName: 'transaction', id: '60020981676', authAmount: 45 }
+  });
+  const sign = (raw, key = signatureKey) =>
+    `sha512=${crypto.createHmac('sha512', key).update(raw).digest('hex').toUpperCase()}`;
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new AuthorizeNetGateway({ signatureKey });
+  });
+
+  test('Should accept a notification signed with the Signature Key', async () => {
+    const result = await gateway.validateWebhook(body, sign(body));
+
+    expect(result).toEqual({
+      eventType: 'net.authorize.payment.authcapture.created',
+      eventId: 'notif-1',
+      data: { entityName: 'transaction', id: '60020981676', authAmount: 45 }
+    });
+  });
+
+  test('Should reject a notification signed with another key or altered', async () => {
+    await expect(gateway.validateWebhook(body, sign(body, 'OTHER_KEY')))
+      .rejects.toThrow('AUTHORIZE_NET_WEBHOOK_INVALID');
+    await expect(gateway.validateWebhook(body.replace('45', '4500'), sign(body)))
+      .rejects.toThrow('AUTHORIZE_NET_WEBHOOK_INVALID');
+    await expect(gateway.validateWebhook(body, undefined))
+      .rejects.toThrow('AUTHORIZE_NET_WEBHOOK_INVALID');
+  });
+
+  test('Should be verified from the X-ANET-Signature header', async () => {
+    const service = new PaymentService({ db: new MockDatabase(), gateways: { AUTHORIZE_NET: gateway } });
+
+    const result = await service.verifyWebhook('AUTHORIZE_NET', body, { 'x-anet-signature': sign(body) });
+
+    expect(result.eventId).toBe('notif-1');
+  });
+});
+
 // ============================================================================
 // Payment Service Tests (15 tests)
 // ============================================================================
@@ -496,6 +592,214 @@ describe('PaymentService', () => {
   });
 });
 
+// ============================================================================
+// Consolidated invoice checkout
+// ============================================================================
+
+describe('PaymentService invoices', () => {
+  let paymentService;
+  let db;
+  let gateway;
+  let compliance;
+  let inserted;
+  let client;
+  let failTransactionInsert;
+
+  // Two won pieces ($100, $40) and one $250 pledge; 3.5% fee, $5 minimum
+  function invoiceDb({ gatewayIds = ['gw-1'], paidInvoice = null } = {}) {
+    let gatewayCall = 0;
+    const query = jest.fn(async (sql, params) => {
+      if (sql.includes('WHERE i.idempotency_key = $1')) {
+        return { rows: paidInvoice ? [paidInvoice] : [] };
+      }
+      if (sql.includes('FROM auctions WHERE id = $1 AND deleted_at IS NULL')) {
+        return { rows: [{ id: 'auc-1', title: 'Spring Gala' }] };
+      }
+      if (sql.includes('FROM bids b')) {
+        return {
+          rows: [
+            { bid_id: 'bid-1', bid_amount: '100.00', artwork_id: 'art-1', artwork_title: 'Harbor' },
+            { bid_id: 'bid-2', bid_amount: '40.00', artwork_id: 'art-2', artwork_title: 'Fox' }
+          ]
+        };
+      }
+      if (sql.includes('WHERE id = $1 AND user_id = $2 AND pledge_status')) {
+        return { rows: [{ id: 'pledge-1', auction_id: 'auc-1', amount: '250.00' }] };
+      }
+      if (sql.includes('FROM fund_a_need_pledges p')) {
+        return { rows: [{ id: 'pledge-1', amount: '250.00', title: 'Art supplies' }] };
+      }
+      if (sql.includes('platform_fee_percentage')) {
+        return { rows: [{ platform_fee_percentage: '3.50', platform_fee_minimum: '5.00' }] };
+      }
+      if (sql.includes('FROM payment_methods')) {
+        return { rows: [{ id: 'pm-1', token: 'pm_test_token' }] };
+      }
+      if (sql.includes('AS gateway_id')) {
+        return { rows: [{ gateway_id: gatewayIds[gatewayCall++ % gatewayIds.length] }] };
+      }
+      if (sql.includes('FROM payment_gateways')) {
+        return { rows: [{ id: params[0], gateway_type: 'STRIPE' }] };
+      }
+      if (sql.includes('INSERT INTO payment_invoices')) {
+        inserted.invoices.push(params);
+        return { rows: [{ id: 'inv-1' }] };
+      }
+      if (sql.includes('INSERT INTO transactions')) {
+        if (failTransactionInsert) {
+          throw new Error('insert failed');
+        }
+        inserted.transactions.push(params);
+        return { rows: [{ id: `txn-${inserted.transactions.length}` }] };
+      }
+      return { rows: [] };
+    });
+    client = { query, release: jest.fn() };
+    return { query, connect: jest.fn().mockResolvedValue(client) };
+  }
+
+  function build(options) {
+    db = invoiceDb(options);
+    paymentService = new PaymentService({
+      db,
+      gateways: { STRIPE: gateway },
+      fraudDetectionService: { checkTransaction: jest.fn().mockResolvedValue({ approved: true }) },
+      complianceService: compliance
+    });
+  }
+
+  beforeEach(() => {
+    inserted = { invoices: [], transactions: [] };
+    failTransactionInsert = false;
+    gateway = {
+      chargeCard: jest.fn().mockResolvedValue({ transactionId: 'ch_1', amount: 400, timestamp: new Date() })
+    };
+    compliance = { logTransaction: jest.fn().mockResolvedValue({}) };
+    build();
+  });
+
+  test('lists every unpaid piece with its fee, and pledges without one', async () => {
+    const invoice = await paymentService.getInvoice('user-1', 'auc-1');
+
+    expect(invoice.items.map(i => [i.artworkId, i.hammerAmount, i.platformFee, i.totalAmount])).toEqual([
+      ['art-1', 100, 5, 105],
+      ['art-2', 40, 5, 45]
+    ]);
+    expect(invoice.pledges).toEqual([{ pledgeId: 'pledge-1', title: 'Art supplies', amount: 250 }]);
+    expect(invoice).toMatchObject({ hammerTotal: 140, platformFeeTotal: 10, pledgeTotal: 250, totalAmount: 400 });
+  });
+
+  test('charges the invoice once and records a transaction per item', async () => {
+    const result = await paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 400, paymentMethodId: 'pm-1'
+    });
+
+    expect(gateway.chargeCard).toHaveBeenCalledTimes(1);
+    expect(gateway.chargeCard.mock.calls[0][0].amount).toBe(400);
+    expect(inserted.invoices[0].slice(4, 9)).toEqual([140, 10, 250, 400, 'PAID']);
+    // artwork_id, hammer, fee, total, gateway txn, pledge_id, invoice_id
+    expect(inserted.transactions.map(p => [p[1], p[5], p[6], p[7], p[8], p[12], p[13]])).toEqual([
+      ['art-1', 100, 5, 105, 'ch_1', null, 'inv-1'],
+      ['art-2', 40, 5, 45, 'ch_1', null, 'inv-1'],
+      [undefined, 250, 0, 250, 'ch_1', 'pledge-1', 'inv-1']
+    ]);
+    expect(new Set(inserted.transactions.map(p => p[11])).size).toBe(3);
+    expect(db.query.mock.calls.some(([sql]) => sql.includes("SET pledge_status = 'PAID'"))).toBe(true);
+    expect(compliance.logTransaction).toHaveBeenCalledTimes(3);
+    expect(result).toMatchObject({ invoiceId: 'inv-1', transactionIds: ['txn-1', 'txn-2', 'txn-3'], totalAmount: 400 });
+  });
+
+  test('charges a pledge paid on its own the pledged amount with no fee, as the invoice does', async () => {
+    const result = await paymentService.processPayment({
+      userId: 'user-1', pledgeId: 'pledge-1', paymentMethodId: 'pm-1', metadata: {}
+    });
+
+    expect(gateway.chargeCard.mock.calls[0][0].amount).toBe(250);
+    // hammer, fee, total, pledge_id
+    expect(inserted.transactions.map(p => [p[5], p[6], p[7], p[12]])).toEqual([[250, 0, 250, 'pledge-1']]);
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('platform_fee_percentage'))).toBe(false);
+    expect(result).toMatchObject({ platformFee: 0, totalAmount: 250 });
+  });
+
+  test('refuses a total the invoice no longer matches', async () => {
+    await expect(paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 150, paymentMethodId: 'pm-1'
+    })).rejects.toThrow('INVOICE_AMOUNT_MISMATCH');
+    expect(gateway.chargeCard).not.toHaveBeenCalled();
+  });
+
+  test('refuses a single charge across two schools\' gateways', async () => {
+    build({ gatewayIds: ['gw-1', 'gw-2'] });
+
+    await expect(paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 400, paymentMethodId: 'pm-1'
+    })).rejects.toThrow('INVOICE_SPANS_GATEWAYS');
+  });
+
+  test('records a failed invoice and no transactions when the charge fails', async () => {
+    gateway.chargeCard.mockRejectedValueOnce(new Error('CARD_DECLINED'));
+
+    await expect(paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 400, paymentMethodId: 'pm-1'
+    })).rejects.toThrow('CARD_DECLINED');
+    expect(inserted.invoices[0][8]).toBe('FAILED');
+    expect(inserted.transactions).toHaveLength(0);
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+
+  test('locks the buyer\'s wins and pledges and charges with the caller\'s idempotency key', async () => {
+    await paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 400, paymentMethodId: 'pm-1',
+      idempotencyKey: 'key-1'
+    });
+
+    const sqls = client.query.mock.calls.map(([sql]) => sql);
+    expect(sqls[0]).toBe('BEGIN');
+    expect(sqls[1]).toContain('FROM bids');
+    expect(sqls[1]).toContain('FOR UPDATE');
+    expect(sqls[2]).toContain('FROM fund_a_need_pledges');
+    expect(sqls[2]).toContain('FOR UPDATE');
+    expect(gateway.chargeCard.mock.calls[0][0].idempotencyKey).toBe('key-1');
+    expect(inserted.invoices[0][9]).toBe('key-1');
+    // Compliance is logged once everything is committed
+    expect(sqls.indexOf('COMMIT')).toBeGreaterThan(sqls.findIndex(sql => sql.includes("SET pledge_status = 'PAID'")));
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('returns the paid invoice for a retry with the same key, without charging again', async () => {
+    build({
+      paidInvoice: {
+        id: 'inv-1', invoice_status: 'PAID', gateway_transaction_id: 'ch_1', hammer_total: '140.00',
+        platform_fee_total: '10.00', pledge_total: '250.00', total_amount: '400.00',
+        transaction_ids: ['txn-1', 'txn-2', 'txn-3'], created_at: new Date()
+      }
+    });
+
+    const result = await paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 400, paymentMethodId: 'pm-1',
+      idempotencyKey: 'key-1'
+    });
+
+    expect(gateway.chargeCard).not.toHaveBeenCalled();
+    expect(inserted.invoices).toHaveLength(0);
+    expect(result).toMatchObject({ invoiceId: 'inv-1', transactionIds: ['txn-1', 'txn-2', 'txn-3'], totalAmount: 400 });
+  });
+
+  test('rolls back the invoice and every line when one write fails', async () => {
+    failTransactionInsert = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.processPayment({
+      invoice: true, userId: 'user-1', auctionId: 'auc-1', amount: 400, paymentMethodId: 'pm-1'
+    })).rejects.toThrow('insert failed');
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(compliance.logTransaction).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
+
 // ============================================================================
 // Fraud Detection Service Tests (10 tests)
 // ============================================================================
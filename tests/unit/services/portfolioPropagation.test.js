@@ -72,6 +72,16 @@ describe('Teacher approve sets pricing and propagates IN_AUCTION', () => {
     expect(res.body.success).toBe(false);
     expect(res.body.message).toMatch(/startingBid must be a non-negative number/i);
   });
+
+  test('approve returns 400 when buyNowPrice does not exceed startingBid', async () => {
+    const res = await request(app)
+      .put('/api/teacher/submissions/art-1/approve')
+      .set(authCookie(teacherToken()))
+      .send({ startingBid: 25, buyNowPrice: 25 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/buyNowPrice must be > startingBid/i);
+  });
 });
 
 describe('Teacher reject propagates REJECTED to linked portfolio item', () => {
@@ -118,24 +128,23 @@ describe('Auction close propagates SOLD/UNSOLD to linked portfolio items', () =>
     mockPool.connect.mockResolvedValue(mockClient);
   });
 
-  test('closeAuction issues UPDATE portfolio_items with SOLD/UNSOLD CASE statement', async () => {
-    // Sequence: BEGIN, SELECT auction FOR UPDATE, UPDATE auction ENDED,
-    //   SELECT winners (no bids), UPDATE portfolio_items SOLD/UNSOLD, INSERT audit_log, COMMIT
-    mockClient.query
-      .mockResolvedValueOnce({})                                                                          // BEGIN
-      .mockResolvedValueOnce({ rows: [{ id: 'auc-1', school_id: 'school-1', auction_status: 'LIVE' }] }) // SELECT auction
-      .mockResolvedValueOnce({})                                                                          // UPDATE auction ENDED
-      .mockResolvedValueOnce({ rows: [] })                                                                // SELECT winners
-      .mockResolvedValueOnce({})                                                                          // UPDATE portfolio_items
-      .mockResolvedValueOnce({})                                                                          // INSERT audit_log
-      .mockResolvedValueOnce({});                                                                         // COMMIT
-
-    const biddingService = require('../../../src/services/biddingService');
-    const result = await biddingService.closeAuction('auc-1');
+  test('endAuction issues UPDATE portfolio_items with SOLD/UNSOLD CASE statement', async () => {
+    mockClient.query.mockImplementation((sql) => {
+      if (typeof sql === 'string' && /FROM auctions a/.test(sql)) {
+        return Promise.resolve({ rows: [{ id: 'auc-1', school_id: 'school-1', auction_status: 'LIVE', platform_fee_percentage: 10 }] });
+      }
+      return Promise.resolve({ rows: [], rowCount: 0 });
+    });
+
+    // The bidding route's closeAuction delegates here, so both close paths propagate
+    const auctionService = require('../../../src/services/auctionService');
+    const result = await auctionService.endAuction('auc-1');
 
     expect(result.success).toBe(true);
 
-    const sqls = mockClient.query.mock.calls.map(c => (typeof c[0] === 'string' ? c[0] : '')).join('\n');
-    expect(sqls).toMatch(/UPDATE portfolio_items[\s\S]*submission_state = CASE/i);
+    const sqls = mockClient.query.mock.calls.map(c => (typeof c[0] === 'string' ? c[0] : ''));
+    const propagate = sqls.findIndex(q => /UPDATE portfolio_items[\s\S]*submission_state = CASE/i.test(q));
+    expect(propagate).toBeGreaterThan(-1);
+    expect(propagate).toBeLessThan(sqls.findIndex(q => q.includes('UPDATE auctions SET auction_status')));
   });
 });
@@ -0,0 +1,190 @@
+'use strict';
+/**
+ * Second-Chance Service Tests
+ * Voiding unpaid wins and walking offers down the runner-up bidders
+ */
+
+const crypto = require('crypto');
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { connect: jest.fn(), query: jest.fn().mockResolvedValue({ rows: [] }) }
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(() => ({ send: jest.fn() })),
+  notifyAuctionWon: jest.fn().mockResolvedValue(undefined),
+  notifySecondChanceOffer: jest.fn().mockResolvedValue(undefined),
+  notifyWinVoided: jest.fn().mockResolvedValue(undefined)
+}));
+
+const { pool } = require('../../../src/models/index');
+const notificationService = require('../../../src/services/notificationService');
+const secondChanceService = require('../../../src/services/secondChanceService');
+
+const flush = () => new Promise((resolve) => { setImmediate(resolve); });
+
+describe('SecondChanceService', () => {
+  let client;
+
+  const win = {
+    id: 'bid-win', artwork_id: 'art-1', auction_id: 'auc-1', placed_by_user_id: 'user-winner',
+    bid_amount: '120.00', title: 'Sunset', email: 'winner@example.com', first_name: 'Wyn'
+  };
+  const runnerUp = {
+    id: 'bid-2', placed_by_user_id: 'user-2', bid_amount: '110.00', placed_at: new Date(),
+    email: 'two@example.com', first_name: 'Tu'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  describe('voidUnpaidWin', () => {
+    it('voids the win and offers the piece to the next distinct bidder at their bid', async () => {
+      client.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1' }] })  // artwork lock
+        .mockResolvedValueOnce({ rows: [win] })
+        .mockResolvedValueOnce({ rows: [] })  // paid?
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE bid VOIDED
+        .mockResolvedValueOnce({})  // audit win_voided
+        .mockResolvedValueOnce({ rows: [runnerUp] })  // next bidder
+        .mockResolvedValueOnce({ rows: [{ id: 'offer-1', expires_at: new Date() }] })
+        .mockResolvedValueOnce({})  // audit second_chance_offered
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await secondChanceService.voidUnpaidWin('bid-win', { voidedByUserId: 'admin-1', reason: 'No payment' });
+
+      expect(result.offer).toMatchObject({ offerId: 'offer-1', userId: 'user-2', amount: 110 });
+      expect(client.query.mock.calls[5][0]).toContain("'VOIDED'");
+      expect(client.query.mock.calls[6][1]).toEqual(expect.arrayContaining(['win_voided', 'admin-1']));
+      const nextSql = client.query.mock.calls[7][0].replace(/\s+/g, ' ');
+      expect(nextSql).toContain('DISTINCT ON (b.placed_by_user_id)');
+      expect(nextSql).toContain("v.bid_status = 'VOIDED'");
+      expect(nextSql).toContain('FROM second_chance_offers o');
+      // Only a hash of the emailed token is stored
+      const offerParams = client.query.mock.calls[8][1];
+      expect(offerParams.slice(0, 5)).toEqual(['auc-1', 'art-1', 'bid-2', 'user-2', '110.00']);
+      expect(offerParams[5]).toMatch(/^[0-9a-f]{64}$/);
+      expect(client.query.mock.calls[9][1]).toEqual(expect.arrayContaining(['second_chance_offered']));
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+
+      await flush();
+      expect(notificationService.notifyWinVoided).toHaveBeenCalledWith(
+        expect.anything(), pool, expect.objectContaining({ userId: 'user-winner', reason: 'No payment' }));
+      const offerEmail = notificationService.notifySecondChanceOffer.mock.calls[0][2];
+      expect(offerEmail).toMatchObject({ userId: 'user-2', offerId: 'offer-1', offerDollars: 110 });
+      expect(crypto.createHash('sha256').update(offerEmail.token).digest('hex')).toBe(offerParams[5]);
+    });
+
+    it('refuses to void a win that has been paid', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [win] })
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      await expect(secondChanceService.voidUnpaidWin('bid-win')).rejects.toThrow('WIN_ALREADY_PAID');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('records that the bidders ran out when nobody is left to offer it to', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ artwork_id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1' }] })
+        .mockResolvedValueOnce({ rows: [win] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rowCount: 1 })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })  // no next bidder
+        .mockResolvedValueOnce({})  // audit second_chance_exhausted
+        .mockResolvedValueOnce({});
+
+      const result = await secondChanceService.voidUnpaidWin('bid-win');
+
+      expect(result.offer).toBeNull();
+      expect(client.query.mock.calls[8][1]).toEqual(expect.arrayContaining(['second_chance_exhausted']));
+    });
+  });
+
+  describe('respondToOffer', () => {
+    const token = 'raw-token';
+    const offerRow = (overrides = {}) => ({
+      id: 'offer-1', artwork_id: 'art-1', auction_id: 'auc-1', bid_id: 'bid-2',
+      offered_to_user_id: 'user-2', offer_amount: '110.00', offer_status: 'PENDING',
+      token_hash: crypto.createHash('sha256').update(token).digest('hex'),
+      expires_at: new Date(Date.now() + 3600000), artwork_title: 'Sunset', ...overrides
+    });
+
+    it('makes the runner-up\'s bid the winning bid when accepted', async () => {
+      client.query
+        .mockResolvedValueOnce({})  // BEGIN
+        .mockResolvedValueOnce({ rows: [offerRow()] })
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE offer
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE bid ACCEPTED
+        .mockResolvedValueOnce({})  // audit
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await secondChanceService.respondToOffer('offer-1', token, 'user-2', true);
+
+      expect(result).toMatchObject({ status: 'ACCEPTED', nextOffer: false });
+      expect(client.query.mock.calls[3][0]).toContain("bid_status = 'ACCEPTED', won_at = NOW()");
+      expect(client.query.mock.calls[3][1]).toEqual(['bid-2']);
+      expect(client.query.mock.calls[4][1]).toEqual(expect.arrayContaining(['second_chance_accepted']));
+    });
+
+    it('moves on to the next bidder when declined', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [offerRow()] })
+        .mockResolvedValueOnce({ rowCount: 1 })  // UPDATE offer DECLINED
+        .mockResolvedValueOnce({})  // audit
+        .mockResolvedValueOnce({ rows: [{ ...runnerUp, id: 'bid-3', placed_by_user_id: 'user-3', bid_amount: '100.00' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'offer-2', expires_at: new Date() }] })
+        .mockResolvedValueOnce({})  // audit offered
+        .mockResolvedValueOnce({});  // COMMIT
+
+      const result = await secondChanceService.respondToOffer('offer-1', token, 'user-2', false);
+
+      expect(result).toMatchObject({ status: 'DECLINED', nextOffer: true });
+      expect(client.query.mock.calls[2][1]).toEqual(['offer-1', 'DECLINED']);
+      await flush();
+      expect(notificationService.notifySecondChanceOffer.mock.calls[0][2]).toMatchObject({ userId: 'user-3', offerId: 'offer-2' });
+    });
+
+    it('rejects a wrong token, another user, or an expired offer', async () => {
+      client.query.mockImplementation((sql) => (
+        /FROM second_chance_offers/.test(sql) ? Promise.resolve({ rows: [offerRow()] }) : Promise.resolve({})
+      ));
+      await expect(secondChanceService.respondToOffer('offer-1', 'guess', 'user-2', true)).rejects.toThrow('OFFER_NOT_FOUND');
+      await expect(secondChanceService.respondToOffer('offer-1', token, 'user-9', true)).rejects.toThrow('OFFER_NOT_YOURS');
+
+      client.query.mockImplementation((sql) => (
+        /FROM second_chance_offers/.test(sql)
+          ? Promise.resolve({ rows: [offerRow({ expires_at: new Date(Date.now() - 1000) })] })
+          : Promise.resolve({})
+      ));
+      await expect(secondChanceService.respondToOffer('offer-1', token, 'user-2', true)).rejects.toThrow('OFFER_EXPIRED');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('expireOffer', () => {
+    it('is a no-op when the offer was answered first', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1', title: 'Sunset' }] })
+        .mockResolvedValueOnce({ rows: [] })  // conditional UPDATE matched nothing
+        .mockResolvedValueOnce({});  // ROLLBACK
+
+      const result = await secondChanceService.expireOffer('offer-1');
+
+      expect(result).toEqual({ expired: false, nextOffer: false });
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+});
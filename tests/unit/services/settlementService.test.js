@@ -0,0 +1,172 @@
+'use strict';
+/**
+ * Settlement Service Tests
+ * Net payable math (platform fee minimum and waiver, gateway fees per
+ * charge, refunds, chargebacks, offline payments), generating statements
+ * per school while leaving approved ones locked, approval, and CSV export
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn() }
+}));
+
+const { pool } = require('../../../src/models/index');
+const settlementService = require('../../../src/services/settlementService');
+const { computeSettlement } = settlementService;
+
+const auction = {
+  id: 'auc-1', school_id: 'school-1', auction_status: 'ENDED', payment_gateway_id: 'gw-1',
+  platform_fee_percentage: '10.00', platform_fee_minimum: '5.00'
+};
+
+function sale(overrides = {}) {
+  return {
+    id: 'tx-1', created_at: new Date('2026-05-01T18:00:00Z'), pledge_id: null, gateway_id: 'gw-1',
+    gateway_transaction_id: 'ch_1', transaction_status: 'COMPLETED', description: 'Sunflowers',
+    hammer_amount: '100.00', platform_fee: '10.00', total_amount: '110.00',
+    school_id: 'school-1', processing_fee_percentage: '2.90', processing_fee_fixed: '0.30',
+    refund_amount: null, refund_reason: null,
+    ...overrides
+  };
+}
+
+function statementRow(overrides = {}) {
+  return {
+    id: 'st-1', auction_id: 'auc-1', auction_title: 'Spring Gala', school_id: 'school-1', school_name: 'Lincoln High',
+    statement_status: 'DRAFT', payment_gateway_id: 'gw-1', settlement_account_name: 'Lincoln PTA',
+    settlement_account_last_four: '4242', currency_code: 'USD', platform_fee_percentage: '10.00',
+    platform_fee_minimum: '5.00', platform_fee_waivable: true, platform_fee_waived: false, fee_waiver_reason: null,
+    sale_count: 1, minimum_fee_applied_count: 0, gross_hammer: '100.00', buyer_fees_collected: '10.00',
+    offline_collected: '0.00', refunds_total: '0.00', chargebacks_total: '0.00', platform_fee_due: '10.00',
+    gateway_fees: '3.49', net_payable: '96.51', line_items: [], approved_at: null,
+    ...overrides
+  };
+}
+
+describe('SettlementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  describe('computeSettlement', () => {
+    it('takes the platform fee and one gateway fee per charge off the online total', () => {
+      const totals = computeSettlement(auction, [
+        sale(),
+        // Invoice: two pieces in one charge, the second at the fee minimum
+        sale({ id: 'tx-2', gateway_transaction_id: 'ch_2', hammer_amount: '200.00', platform_fee: '20.00', total_amount: '220.00' }),
+        sale({ id: 'tx-3', gateway_transaction_id: 'ch_2', hammer_amount: '20.00', platform_fee: '5.00', total_amount: '25.00' })
+      ], [], false);
+
+      expect(totals).toMatchObject({
+        saleCount: 3,
+        minimumFeeAppliedCount: 1,
+        grossHammer: 320,
+        buyerFeesCollected: 35,
+        platformFeeDue: 35,
+        // ch_1: 110 * 2.9% + 0.30 = 3.49; ch_2: 245 * 2.9% + 0.30 = 7.41
+        gatewayFees: 10.9,
+        netPayable: 309.1
+      });
+    });
+
+    it('lets the school keep buyer fees when the platform fee is waived', () => {
+      const totals = computeSettlement(auction, [sale()], [], true);
+      expect(totals.platformFeeDue).toBe(0);
+      expect(totals.netPayable).toBe(106.51);
+    });
+
+    it('returns refunds and chargebacks in full and charges no fee on them', () => {
+      const totals = computeSettlement(auction, [
+        sale({ transaction_status: 'REFUNDED', refund_amount: '110.00', refund_reason: 'BUYER_REQUEST' }),
+        sale({ id: 'tx-2', gateway_transaction_id: 'ch_2', transaction_status: 'CHARGEBACK' })
+      ], [], false);
+
+      expect(totals).toMatchObject({ refundsTotal: 110, chargebacksTotal: 110, platformFeeDue: 0 });
+      // Gateway fees are kept by the gateway either way
+      expect(totals.netPayable).toBe(-6.98);
+      expect(totals.lineItems.map(l => [l.refunded, l.chargedBack])).toEqual([[110, 0], [0, 110]]);
+    });
+
+    it('reports offline payments without paying them out', () => {
+      const totals = computeSettlement(auction, [], [
+        { id: 'op-1', received_at: new Date(), amount: '45.00', payment_method: 'CASH', description: 'Vase' }
+      ], false);
+
+      expect(totals).toMatchObject({ offlineCollected: 45, netPayable: 0, saleCount: 1 });
+      expect(totals.lineItems[0]).toMatchObject({ method: 'CASH', hammer: 45, platformFee: 0 });
+    });
+  });
+
+  describe('generateForAuction', () => {
+    it('refuses an auction that has not ended', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ ...auction, auction_status: 'LIVE' }] });
+      await expect(settlementService.generateForAuction('auc-1')).rejects.toThrow('AUCTION_NOT_ENDED');
+    });
+
+    it('writes a draft per school and leaves approved statements alone', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [auction] })
+        .mockResolvedValueOnce({ rows: [sale(), sale({ id: 'tx-9', gateway_id: 'gw-2', school_id: 'school-2' })] }) // online
+        .mockResolvedValueOnce({ rows: [] }) // offline
+        .mockResolvedValueOnce({ rows: [{ school_id: 'school-2', statement_status: 'APPROVED', platform_fee_waived: false }] })
+        .mockResolvedValueOnce({ rows: [
+          { id: 'gw-1', school_id: 'school-1', is_primary: true, settlement_account_name: 'Lincoln PTA', settlement_account_last_four: '4242', currency_code: 'USD' }
+        ] })
+        .mockResolvedValueOnce({}) // upsert school-1
+        .mockResolvedValueOnce({ rows: [statementRow()] }); // list
+
+      const statements = await settlementService.generateForAuction('auc-1');
+
+      const upserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO settlement_statements'));
+      expect(upserts).toHaveLength(1);
+      expect(upserts[0][0]).toContain("WHERE settlement_statements.statement_status = 'DRAFT'");
+      expect(upserts[0][1].slice(0, 5)).toEqual(['auc-1', 'school-1', 'gw-1', 'Lincoln PTA', '4242']);
+      expect(upserts[0][1][17]).toBe(96.51); // net payable
+      expect(statements[0]).toMatchObject({ statementId: 'st-1', netPayable: 96.51, settlementAccountLastFour: '4242' });
+    });
+  });
+
+  describe('approve', () => {
+    it('locks a draft', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'st-1' }] })
+        .mockResolvedValueOnce({ rows: [statementRow({ statement_status: 'APPROVED', approved_at: new Date() })] });
+
+      const statement = await settlementService.approve('st-1', 'admin-1');
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['st-1', 'admin-1']);
+      expect(statement.status).toBe('APPROVED');
+    });
+
+    it('refuses a statement that is already approved', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [statementRow({ statement_status: 'APPROVED' })] });
+
+      await expect(settlementService.approve('st-1', 'admin-1')).rejects.toThrow('STATEMENT_LOCKED');
+    });
+  });
+
+  describe('setFeeWaiver', () => {
+    it('refuses an auction whose fee is not waivable', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [statementRow({ platform_fee_waivable: false })] });
+      await expect(settlementService.setFeeWaiver('st-1', true, 'Title I school')).rejects.toThrow('FEE_NOT_WAIVABLE');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('writes the summary, then one row per payment', () => {
+      const statement = settlementService._mapStatement(statementRow({
+        line_items: [{ paidAt: '2026-05-01T18:00:00.000Z', type: 'SALE', method: 'ONLINE', description: 'Sun "flowers"',
+          hammer: 100, platformFee: 10, total: 110, refunded: 0, chargedBack: 0, status: 'COMPLETED' }]
+      }));
+
+      const csv = settlementService.toCsv(statement).split('\n');
+
+      expect(csv).toContain('"Net payable","$96.51"');
+      expect(csv).toContain('"Settlement account","Lincoln PTA ****4242"');
+      expect(csv[csv.length - 1]).toBe('2026-05-01T18:00:00.000Z,SALE,ONLINE,"Sun ""flowers""",100.00,10.00,110.00,0.00,0.00,COMPLETED');
+    });
+  });
+});
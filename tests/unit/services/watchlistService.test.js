@@ -0,0 +1,137 @@
+'use strict';
+/**
+ * Watchlist Service Tests
+ * Watching pieces, the dashboard listing with quick-bid amounts, and the
+ * auction-live and new-bid alerts
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn() }
+}));
+jest.mock('../../../src/services/notificationService', () => ({
+  getSharedEmailProvider: jest.fn(() => ({})),
+  notifyWatchedAuctionLive: jest.fn().mockResolvedValue(),
+  notifyWatchedArtworkBid: jest.fn().mockResolvedValue()
+}));
+
+const { pool } = require('../../../src/models/index');
+const { notifyWatchedAuctionLive, notifyWatchedArtworkBid } = require('../../../src/services/notificationService');
+const watchlistService = require('../../../src/services/watchlistService');
+
+const closesAt = new Date('2026-11-01T20:00:00Z');
+
+function watchedPiece(overrides = {}) {
+  return {
+    id: 'art-1', title: 'Harbor at Dusk', image_url: null, starting_bid_amount: '25.00',
+    bid_increment_schedule: null, finalized_at: null, closes_at: closesAt, is_open: true,
+    auction_id: 'auc-1', auction_title: 'Spring Show', auction_status: 'LIVE',
+    auction_bid_increments: [{ upTo: 100, increment: 5 }, { upTo: null, increment: 25 }],
+    current_bid: null, leader_id: null,
+    ...overrides
+  };
+}
+
+describe('WatchlistService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+  });
+
+  describe('watchArtwork', () => {
+    it('watches an approved piece of the auction', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'art-1' }] })
+        .mockResolvedValueOnce({});
+
+      await watchlistService.watchArtwork('user-1', 'auc-1', 'art-1');
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['art-1', 'auc-1']);
+      expect(pool.query.mock.calls[1][0]).toContain('ON CONFLICT DO NOTHING');
+      expect(pool.query.mock.calls[1][1]).toEqual(['user-1', 'art-1']);
+    });
+
+    it('refuses a piece from another auction', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(watchlistService.watchArtwork('user-1', 'auc-2', 'art-1'))
+        .rejects.toThrow('ARTWORK_NOT_FOUND');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('listForUser', () => {
+    it('offers the minimum bid and one increment above it on open pieces', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 'auc-1', title: 'Spring Show', auction_status: 'LIVE', starts_at: null, ends_at: closesAt,
+            school_name: 'Lincoln High', piece_count: '12', highest_bid: '140.00'
+          }]
+        })
+        .mockResolvedValueOnce({
+          rows: [
+            watchedPiece(),
+            watchedPiece({ id: 'art-2', current_bid: '95.00', leader_id: 'user-2' }),
+            watchedPiece({ id: 'art-3', current_bid: '60.00', finalized_at: new Date() })
+          ]
+        });
+
+      const result = await watchlistService.listForUser('user-1');
+
+      expect(result.auctions[0]).toMatchObject({ pieceCount: 12, highestBid: 140 });
+      expect(result.artwork.map(p => [p.artworkId, p.currentBid, p.quickBids])).toEqual([
+        ['art-1', null, [25, 30]],
+        ['art-2', 95, [100, 125]],
+        ['art-3', 60, []]
+      ]);
+      expect(result.artwork[2].biddable).toBe(false);
+    });
+
+    it('marks pieces the user is leading', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [watchedPiece({ current_bid: '40.00', leader_id: 'user-1' })] });
+
+      const result = await watchlistService.listForUser('user-1');
+
+      expect(result.artwork[0].isLeading).toBe(true);
+    });
+  });
+
+  describe('alerts', () => {
+    it('emails every active watcher when an auction goes live', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 'user-1', email: 'a@example.com', first_name: 'Ana', title: 'Spring Show', ends_at: closesAt },
+          { id: 'user-2', email: 'b@example.com', first_name: 'Ben', title: 'Spring Show', ends_at: closesAt }
+        ]
+      });
+
+      const sent = await watchlistService.alertAuctionLive('auc-1');
+
+      expect(sent).toBe(2);
+      expect(notifyWatchedAuctionLive).toHaveBeenCalledTimes(2);
+      expect(notifyWatchedAuctionLive.mock.calls[0][2]).toMatchObject({ userId: 'user-1', auctionId: 'auc-1' });
+    });
+
+    it('skips the bidder and outbid leader and throttles busy pieces', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 'user-3', email: 'c@example.com', first_name: 'Cy', title: 'Harbor at Dusk', auction_id: 'auc-1', closes_at: closesAt }]
+      });
+
+      const sent = await watchlistService.alertNewBid('art-1', { amount: 55, excludeUserIds: ['user-1', null] });
+
+      expect(sent).toBe(1);
+      expect(pool.query.mock.calls[0][0]).toContain('last_alerted_at < NOW() - make_interval(mins => $3)');
+      expect(pool.query.mock.calls[0][1]).toEqual(['art-1', ['user-1'], 15]);
+      expect(notifyWatchedArtworkBid.mock.calls[0][2]).toMatchObject({ userId: 'user-3', currentBidDollars: 55 });
+    });
+
+    it('never throws', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      pool.query.mockRejectedValue(new Error('connection lost'));
+
+      await expect(watchlistService.alertAuctionLive('auc-1')).resolves.toBe(0);
+      await expect(watchlistService.alertNewBid('art-1', { amount: 10 })).resolves.toBe(0);
+    });
+  });
+});
@@ -0,0 +1,291 @@
+'use strict';
+/**
+ * Webhook Event Service Tests
+ * Mapping gateway events onto transactions, dedupe of repeated events,
+ * status-guarded transaction updates, failures and re-drive
+ */
+
+jest.mock('../../../src/models/index', () => ({
+  pool: { query: jest.fn(), connect: jest.fn() }
+}));
+
+const { pool } = require('../../../src/models/index');
+const webhookEventService = require('../../../src/services/webhookEventService');
+const { normalizeEvent, toGatewayType } = webhookEventService;
+
+function eventRow(overrides = {}) {
+  return {
+    id: 'we-1', gateway_type: 'STRIPE', gateway_event_id: 'evt_1', event_type: 'charge.refunded',
+    gateway_charge_id: 'pi_1', payload: { payment_intent: 'pi_1', amount_refunded: 11000 },
+    processing_status: 'RECEIVED', attempt_count: 0, last_error: null, transactions_updated: 0,
+    received_at: new Date(), last_attempt_at: null, processed_at: null,
+    ...overrides
+  };
+}
+
+describe('WebhookEventService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.query.mockReset();
+    client = { query: jest.fn(), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  describe('normalizeEvent', () => {
+    it('maps each gateway\'s events onto the charge they concern', () => {
+      expect(toGatewayType('Authorize.net')).toBe('AUTHORIZE_NET');
+      expect(normalizeEvent('STRIPE', 'charge.dispute.closed', { payment_intent: 'pi_1', status: 'won' }))
+        .toEqual({ action: 'DISPUTE_WON', chargeId: 'pi_1', refund: null });
+      expect(normalizeEvent('STRIPE', 'charge.refunded', { payment_intent: 'pi_1', amount_refunded: 7500 }))
+        .toEqual({ action: 'REFUNDED', chargeId: 'pi_1', refund: { amount: 75, cumulative: true, refundId: null } });
+      expect(normalizeEvent('SQUARE', 'refund.updated', {
+        object: { refund: { id: 'rf_1', status: 'COMPLETED', payment_id: 'sq_1', amount_money: { amount: 2500 } } }
+      })).toEqual({ action: 'REFUNDED', chargeId: 'sq_1', refund: { amount: 25, cumulative: false, refundId: 'rf_1' } });
+      expect(normalizeEvent('PAYPAL', 'PAYMENT.CAPTURE.REFUNDED', {
+        id: 'RF123',
+        amount: { value: '25.00' },
+        links: [{ rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAP123' }]
+      })).toEqual({ action: 'REFUNDED', chargeId: 'CAP123', refund: { amount: 25, cumulative: false, refundId: 'RF123' } });
+      expect(normalizeEvent('AUTHORIZE_NET', 'net.authorize.payment.authcapture.created', { id: '60020981676' }))
+        .toEqual({ action: 'PAYMENT_COMPLETED', chargeId: '60020981676', refund: null });
+      expect(normalizeEvent('AUTHORIZE_NET', 'net.authorize.payment.void.created', { id: '60020981676' }))
+        .toEqual({ action: 'REFUNDED', chargeId: '60020981676', refund: { amount: null, cumulative: false, refundId: null } });
+      // Refund notifications don't name the charge they refund
+      expect(normalizeEvent('AUTHORIZE_NET', 'net.authorize.payment.refund.created', { id: '60020981999' }).action).toBeNull();
+      expect(normalizeEvent('STRIPE', 'customer.created', {}).action).toBeNull();
+    });
+  });
+
+  describe('receive', () => {
+    it('stores the event and refunds the charge\'s completed transactions', async () => {
+      // Stripe's running total includes the 55.00 we refunded ourselves
+      const payload = { payment_intent: 'pi_1', amount_refunded: 16500 };
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow({ payload })] }) // insert
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'PROCESSING', attempt_count: 1, payload })] }) // claim
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'PROCESSED', transactions_updated: 1 })] });
+      client.query
+        .mockResolvedValueOnce() // BEGIN
+        .mockResolvedValueOnce({ rows: [
+          { id: 'tx-1', transaction_status: 'COMPLETED', total_amount: '110.00', refunded_amount: '0' },
+          { id: 'tx-2', transaction_status: 'REFUNDED', total_amount: '55.00', refunded_amount: '55.00' }
+        ] })
+        .mockResolvedValue({});
+
+      const { event, duplicate } = await webhookEventService.receive('STRIPE', {
+        eventId: 'evt_1', eventType: 'charge.refunded', data: payload
+      });
+
+      expect(duplicate).toBe(false);
+      expect(pool.query.mock.calls[0][0]).toContain('ON CONFLICT (gateway_type, gateway_event_id) DO NOTHING');
+      expect(pool.query.mock.calls[0][1].slice(0, 4)).toEqual(['STRIPE', 'evt_1', 'charge.refunded', 'pi_1']);
+      // Only the transaction still COMPLETED moves; tx-2 was refunded by us already
+      expect(client.query.mock.calls[2][0]).toContain('INSERT INTO refunds');
+      expect(client.query.mock.calls[2][1].slice(0, 2)).toEqual([['tx-1'], [110]]);
+      expect(client.query.mock.calls[3][1]).toEqual([['tx-1']]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+      expect(pool.query.mock.calls[2][1]).toEqual(['we-1', 'PROCESSED', 1]);
+      expect(event).toMatchObject({ eventId: 'we-1', status: 'PROCESSED', transactionsUpdated: 1 });
+    });
+
+    it('does not apply a repeat of an event it already handled', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] }) // insert hit the unique key
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'PROCESSED' })] })
+        .mockResolvedValueOnce({ rows: [] }); // claim refused
+
+      const { event, duplicate } = await webhookEventService.receive('STRIPE', {
+        eventId: 'evt_1', eventType: 'charge.refunded', data: {}
+      });
+
+      expect(duplicate).toBe(true);
+      expect(event.status).toBe('PROCESSED');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    it('records a processing error on the event instead of throwing', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const payload = { payment_intent: 'pi_1', amount_refunded: 20000 };
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow({ payload })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'PROCESSING', payload })] })
+        .mockResolvedValueOnce({}); // mark FAILED
+      client.query
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce({ rows: [{ id: 'tx-1', transaction_status: 'COMPLETED', total_amount: '110.00', refunded_amount: '0' }] })
+        .mockResolvedValue({});
+
+      const { event } = await webhookEventService.receive('STRIPE', {
+        eventId: 'evt_1', eventType: 'charge.refunded', data: payload
+      });
+
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(pool.query.mock.calls[2][1]).toEqual(['we-1', 'REFUND_EXCEEDS_CHARGE']);
+      expect(event).toMatchObject({ status: 'FAILED', lastError: 'REFUND_EXCEEDS_CHARGE' });
+      console.error.mockRestore();
+    });
+
+    it('puts a part refund on the transaction it matches and only counts Stripe\'s new amount', async () => {
+      // 30.00 was refunded on tx-1 before; the running total is now 85.00, so 55.00 is new
+      const payload = { payment_intent: 'pi_1', amount_refunded: 8500 };
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow({ payload })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'PROCESSING', payload })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'PROCESSED', transactions_updated: 1 })] });
+      client.query
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce({ rows: [
+          { id: 'tx-1', transaction_status: 'COMPLETED', total_amount: '110.00', refunded_amount: '30.00' },
+          { id: 'tx-2', transaction_status: 'COMPLETED', total_amount: '55.00', refunded_amount: '0' }
+        ] })
+        .mockResolvedValue({});
+
+      await webhookEventService.receive('STRIPE', { eventId: 'evt_2', eventType: 'charge.refunded', data: payload });
+
+      expect(client.query.mock.calls[2][1].slice(0, 2)).toEqual([['tx-2'], [55]]);
+      expect(client.query.mock.calls[3][1]).toEqual([['tx-2']]);
+      expect(pool.query.mock.calls[2][1]).toEqual(['we-1', 'PROCESSED', 1]);
+    });
+
+    it('records a refund smaller than any transaction as a part refund', async () => {
+      const payload = { object: { refund: { id: 'rf_1', status: 'COMPLETED', payment_id: 'sq_1', amount_money: { amount: 2000 } } } };
+      const row = { gateway_type: 'SQUARE', event_type: 'refund.updated', gateway_charge_id: 'sq_1', payload };
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow(row)] })
+        .mockResolvedValueOnce({ rows: [eventRow({ ...row, processing_status: 'PROCESSING' })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ ...row, processing_status: 'PROCESSED', transactions_updated: 1 })] });
+      client.query
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce({ rows: [{ id: 'tx-1', transaction_status: 'COMPLETED', total_amount: '110.00', refunded_amount: '0' }] })
+        .mockResolvedValueOnce({ rows: [] }) // refund id not applied yet
+        .mockResolvedValue({});
+
+      await webhookEventService.receive('SQUARE', { eventId: 'sq_evt_1', eventType: 'refund.updated', data: payload });
+
+      expect(client.query.mock.calls[3][1]).toEqual([['tx-1'], [20], expect.any(String), 'rf_1']);
+      // Still COMPLETED: no status update, only the refund id is marked on the event
+      expect(client.query.mock.calls[4][0]).toContain('gateway_refund_id');
+      expect(client.query.mock.calls[4][1]).toEqual(['we-1', 'rf_1']);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    it('does not count a refund twice when the gateway reports it in two events', async () => {
+      const payload = { object: { refund: { id: 'rf_1', status: 'COMPLETED', payment_id: 'sq_1', amount_money: { amount: 2000 } } } };
+      const row = { gateway_type: 'SQUARE', event_type: 'refund.updated', gateway_charge_id: 'sq_1', payload };
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow(row)] })
+        .mockResolvedValueOnce({ rows: [eventRow({ ...row, processing_status: 'PROCESSING' })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ ...row, processing_status: 'PROCESSED' })] });
+      client.query
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce({ rows: [{ id: 'tx-1', transaction_status: 'COMPLETED', total_amount: '110.00', refunded_amount: '20.00' }] })
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] }) // applied by refund.created
+        .mockResolvedValue({});
+
+      await webhookEventService.receive('SQUARE', { eventId: 'sq_evt_2', eventType: 'refund.updated', data: payload });
+
+      expect(client.query).toHaveBeenCalledTimes(4);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(pool.query.mock.calls[2][1]).toEqual(['we-1', 'PROCESSED', 0]);
+    });
+
+    it('skips the webhook for a refund made from the app', async () => {
+      // refundTransaction already refunded tx-1 and kept PayPal's refund id
+      const payload = {
+        id: 'RF123', amount: { value: '110.00' },
+        links: [{ rel: 'up', href: 'https://api.paypal.com/v2/payments/captures/CAP123' }]
+      };
+      const row = { gateway_type: 'PAYPAL', event_type: 'PAYMENT.CAPTURE.REFUNDED', gateway_charge_id: 'CAP123', payload };
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow(row)] })
+        .mockResolvedValueOnce({ rows: [eventRow({ ...row, processing_status: 'PROCESSING' })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ ...row, processing_status: 'PROCESSED' })] });
+      client.query
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce({ rows: [
+          { id: 'tx-1', transaction_status: 'REFUNDED', total_amount: '110.00', refunded_amount: '110.00' },
+          { id: 'tx-2', transaction_status: 'COMPLETED', total_amount: '110.00', refunded_amount: '0' }
+        ] })
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] }) // refunds.gateway_refund_id = RF123
+        .mockResolvedValue({});
+
+      const { event } = await webhookEventService.receive('PAYPAL', {
+        eventId: 'WH-1', eventType: 'PAYMENT.CAPTURE.REFUNDED', data: payload
+      });
+
+      expect(client.query.mock.calls[2][0]).toContain('FROM refunds');
+      expect(client.query.mock.calls[2][1]).toEqual(['PAYPAL', 'RF123', 'we-1', ['tx-1', 'tx-2']]);
+      // tx-2 is not touched and nothing fails
+      expect(client.query).toHaveBeenCalledTimes(4);
+      expect(pool.query.mock.calls[2][1]).toEqual(['we-1', 'PROCESSED', 0]);
+      expect(event.status).toBe('PROCESSED');
+    });
+
+    it('ignores events about charges that are not ours', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow({ event_type: 'charge.dispute.created' })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ event_type: 'charge.dispute.created', processing_status: 'PROCESSING' })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'IGNORED' })] });
+      client.query.mockResolvedValueOnce().mockResolvedValueOnce({ rows: [] }).mockResolvedValue({});
+
+      const { event } = await webhookEventService.receive('STRIPE', {
+        eventId: 'evt_1', eventType: 'charge.dispute.created', data: { payment_intent: 'pi_1' }
+      });
+
+      expect(pool.query.mock.calls[2][1]).toEqual(['we-1', 'IGNORED', 0]);
+      expect(event.status).toBe('IGNORED');
+    });
+
+    it('requires an event id and type', async () => {
+      await expect(webhookEventService.receive('STRIPE', { eventType: 'charge.refunded' }))
+        .rejects.toThrow('INVALID_WEBHOOK_EVENT');
+    });
+  });
+
+  describe('redrive', () => {
+    it('only re-drives failed events', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ processing_status: 'PROCESSED' }] });
+      await expect(webhookEventService.redrive('we-1')).rejects.toThrow('EVENT_NOT_REDRIVABLE');
+
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      await expect(webhookEventService.redrive('we-9')).rejects.toThrow('EVENT_NOT_FOUND');
+    });
+
+    it('moves a charged-back transaction back once the dispute is won', async () => {
+      const won = { payment_intent: 'pi_1', status: 'won' };
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ processing_status: 'FAILED' }] })
+        .mockResolvedValueOnce({ rows: [eventRow({ event_type: 'charge.dispute.closed', payload: won, processing_status: 'PROCESSING', attempt_count: 2 })] })
+        .mockResolvedValueOnce({ rows: [eventRow({ event_type: 'charge.dispute.closed', processing_status: 'PROCESSED', attempt_count: 2, transactions_updated: 1 })] });
+      client.query
+        .mockResolvedValueOnce()
+        .mockResolvedValueOnce({ rows: [{ id: 'tx-1', transaction_status: 'CHARGEBACK', total_amount: '110.00' }] })
+        .mockResolvedValue({});
+
+      const event = await webhookEventService.redrive('we-1');
+
+      expect(pool.query.mock.calls[1][0]).toContain('processing_status IN (\'RECEIVED\', \'FAILED\')');
+      expect(client.query.mock.calls[2][1]).toEqual(['COMPLETED', ['tx-1']]);
+      expect(event).toMatchObject({ status: 'PROCESSED', attemptCount: 2 });
+    });
+  });
+
+  describe('list', () => {
+    it('filters by status and rejects unknown ones', async () => {
+      await expect(webhookEventService.list({ status: 'DONE' })).rejects.toThrow('INVALID_EVENT_STATUS');
+
+      pool.query
+        .mockResolvedValueOnce({ rows: [eventRow({ processing_status: 'FAILED' })] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const result = await webhookEventService.list({ status: 'FAILED', page: '2', limit: '10' });
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['FAILED', 10, 10]);
+      expect(result).toMatchObject({ total: 1, page: 2, limit: 10 });
+      expect(result.events[0].status).toBe('FAILED');
+    });
+  });
+});
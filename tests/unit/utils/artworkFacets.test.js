@@ -0,0 +1,66 @@
+const {
+  PRICE_BANDS,
+  priceBandSql,
+  normalizeTag,
+  normalizeTags,
+  parseSearchFilters
+} = require('../../../src/utils/artworkFacets');
+
+describe('normalizeTags', () => {
+  test('lower-cases, collapses spaces and drops duplicates', () => {
+    expect(normalizeTags(['  Still  Life ', 'still life', 'Portrait'])).toEqual(['still life', 'portrait']);
+  });
+  test('rejects empty, punctuated and overlong tags', () => {
+    expect(() => normalizeTag('')).toThrow('INVALID_TAG');
+    expect(() => normalizeTag('<b>')).toThrow('INVALID_TAG');
+    expect(() => normalizeTag('x'.repeat(41))).toThrow('INVALID_TAG');
+    expect(() => normalizeTags('portrait')).toThrow('INVALID_TAG');
+  });
+  test('caps the number of tags per piece', () => {
+    const tags = Array.from({ length: 21 }, (_, i) => `tag ${i}`);
+    expect(() => normalizeTags(tags)).toThrow('TOO_MANY_TAGS');
+  });
+});
+
+describe('priceBandSql', () => {
+  test('has a branch per bounded band and falls through to the open-ended band', () => {
+    const sql = priceBandSql('p');
+    expect(sql).toContain("WHEN p < 25 THEN 'UNDER_25'");
+    expect(sql).toContain("WHEN p < 250 THEN '100_250'");
+    expect(sql).toContain("ELSE '250_PLUS' END");
+    expect(PRICE_BANDS.at(-1).max).toBeNull();
+  });
+});
+
+describe('parseSearchFilters', () => {
+  test('defaults to soonest-ending, 24 per page, with no filters', () => {
+    expect(parseSearchFilters({})).toEqual({
+      q: '', auctionId: null, medium: [], grade: [], gradeBand: [], sizeClass: [], priceBand: [], tags: [],
+      minPrice: null, maxPrice: null, sort: 'ending', limit: 24, offset: 0
+    });
+  });
+  test('parses "paintings under $50 by 9th graders"', () => {
+    const filters = parseSearchFilters({ medium: 'Painting', grade: '9', priceBand: 'under_25,25_50' });
+    expect(filters).toMatchObject({ medium: ['painting'], grade: [9], priceBand: ['UNDER_25', '25_50'] });
+  });
+  test('ranks by relevance when there is search text', () => {
+    expect(parseSearchFilters({ q: ' harbor ' })).toMatchObject({ q: 'harbor', sort: 'relevance' });
+    expect(parseSearchFilters({ q: 'harbor', sort: 'price_asc' }).sort).toBe('price_asc');
+  });
+  test('accepts repeated params, kindergarten and clamps paging', () => {
+    const filters = parseSearchFilters({ grade: ['K', '3'], tag: ['Still Life'], limit: '500', offset: '-4' });
+    expect(filters).toMatchObject({ grade: [0, 3], tags: ['still life'], limit: 100, offset: 0 });
+  });
+  test.each([
+    [{ grade: '13' }],
+    [{ gradeBand: 'college' }],
+    [{ sizeClass: 'huge' }],
+    [{ priceBand: '1000_PLUS' }],
+    [{ tag: '<script>' }],
+    [{ minPrice: '-1' }],
+    [{ sort: 'relevance' }],
+    [{ sort: 'random' }]
+  ])('rejects %j', (query) => {
+    expect(() => parseSearchFilters(query)).toThrow('INVALID_SEARCH_FILTER');
+  });
+});
@@ -1,4 +1,6 @@
-const { schoolCanManage } = require('../../../src/utils/auctionTenancy');
+const {
+  schoolCanManage, schoolParticipates, pieceSchoolSql, participatingSchoolSql
+} = require('../../../src/utils/auctionTenancy');
 
 describe('schoolCanManage', () => {
   test('SITE_ADMIN can manage any school (even with null own school)', () => {
@@ -18,3 +20,31 @@ describe('schoolCanManage', () => {
     expect(schoolCanManage('STUDENT', 'school-A', 'school-A')).toBe(false);
   });
 });
+
+describe('schoolParticipates', () => {
+  test('host and accepted partner admins take part; others do not', () => {
+    expect(schoolParticipates('SCHOOL_ADMIN', 'school-A', 'school-A', ['school-B'])).toBe(true);
+    expect(schoolParticipates('SCHOOL_ADMIN', 'school-B', 'school-A', ['school-B'])).toBe(true);
+    expect(schoolParticipates('SCHOOL_ADMIN', 'school-C', 'school-A', ['school-B'])).toBe(false);
+    expect(schoolParticipates('SITE_ADMIN', null, 'school-A')).toBe(true);
+  });
+  test('a partner takes part but cannot run the auction', () => {
+    expect(schoolCanManage('SCHOOL_ADMIN', 'school-B', 'school-A')).toBe(false);
+  });
+  test('teachers and admins without a school never take part', () => {
+    expect(schoolParticipates('TEACHER', 'school-B', 'school-A', ['school-B'])).toBe(false);
+    expect(schoolParticipates('SCHOOL_ADMIN', null, 'school-A', [null])).toBe(false);
+  });
+});
+
+describe('SQL fragments', () => {
+  test('a piece falls back to its auction\'s school', () => {
+    expect(pieceSchoolSql('aw', 'a')).toBe('COALESCE(aw.school_id, a.school_id)');
+  });
+  test('participation covers the host and accepted partners', () => {
+    const sql = participatingSchoolSql('a', '$2');
+    expect(sql).toContain('a.school_id = $2');
+    expect(sql).toContain('ps.school_id = $2');
+    expect(sql).toContain('ps.partner_status = \'ACCEPTED\'');
+  });
+});
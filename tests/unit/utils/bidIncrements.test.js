@@ -0,0 +1,58 @@
+const {
+  DEFAULT_BID_INCREMENTS,
+  parseIncrementSchedule,
+  resolveIncrementSchedule,
+  incrementFor,
+  nextMinimumBid
+} = require('../../../src/utils/bidIncrements');
+
+const TIERED = [{ upTo: 20, increment: 1 }, { upTo: 100, increment: 5 }, { upTo: null, increment: 25 }];
+
+describe('parseIncrementSchedule', () => {
+  test('returns null for an unset schedule', () => {
+    expect(parseIncrementSchedule(null)).toBeNull();
+    expect(parseIncrementSchedule(undefined)).toBeNull();
+    expect(parseIncrementSchedule('')).toBeNull();
+  });
+  test('sorts bounded tiers and keeps the open-ended tier last', () => {
+    const parsed = parseIncrementSchedule([{ increment: 25 }, { upTo: 100, increment: 5 }, { upTo: 20, increment: 1 }]);
+    expect(parsed).toEqual(TIERED);
+  });
+  test('accepts the JSON encoding stored in the database', () => {
+    expect(parseIncrementSchedule(JSON.stringify(TIERED))).toEqual(TIERED);
+  });
+  test('rejects malformed schedules', () => {
+    expect(() => parseIncrementSchedule([])).toThrow('expected');
+    expect(() => parseIncrementSchedule([{ upTo: 20, increment: 1 }])).toThrow('no upper bound');
+    expect(() => parseIncrementSchedule([{ upTo: null, increment: 0 }])).toThrow('positive increment');
+    expect(() => parseIncrementSchedule([{ upTo: 20, increment: 1 }, { upTo: 20, increment: 2 }, { increment: 5 }])).toThrow('duplicate');
+    expect(() => parseIncrementSchedule('{nope')).toThrow('JSON');
+  });
+});
+
+describe('resolveIncrementSchedule', () => {
+  test('artwork override wins over the auction schedule', () => {
+    const art = [{ upTo: null, increment: 50 }];
+    expect(resolveIncrementSchedule(art, TIERED)).toEqual(art);
+  });
+  test('falls back to the auction schedule, then the flat default', () => {
+    expect(resolveIncrementSchedule(null, TIERED)).toEqual(TIERED);
+    expect(resolveIncrementSchedule(null, null)).toBe(DEFAULT_BID_INCREMENTS);
+    expect(resolveIncrementSchedule([{ upTo: 5, increment: 1 }], null)).toBe(DEFAULT_BID_INCREMENTS);
+  });
+});
+
+describe('incrementFor / nextMinimumBid', () => {
+  test('picks the tier for the current price', () => {
+    expect(incrementFor(TIERED, 5)).toBe(1);
+    expect(incrementFor(TIERED, 20)).toBe(5);
+    expect(incrementFor(TIERED, 99.99)).toBe(5);
+    expect(incrementFor(TIERED, 2000)).toBe(25);
+  });
+  test('opening bid is the starting price; later bids add the tier increment', () => {
+    expect(nextMinimumBid(TIERED, 0, 15)).toBe(15);
+    expect(nextMinimumBid(TIERED, 12.5, 5)).toBe(13.5);
+    expect(nextMinimumBid(TIERED, 150, 5)).toBe(175);
+    expect(nextMinimumBid(DEFAULT_BID_INCREMENTS, 40, 10)).toBe(50);
+  });
+});
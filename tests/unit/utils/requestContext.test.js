@@ -0,0 +1,16 @@
+const { requestContext } = require('../../../src/utils/requestContext');
+
+describe('requestContext', () => {
+  test('takes the client IP, user agent and token jti from the request', () => {
+    const req = { ip: '203.0.113.7', headers: { 'user-agent': 'Mozilla/5.0' }, user: { id: 'u1', jti: 'jti-abc' } };
+    expect(requestContext(req)).toEqual({ ipAddress: '203.0.113.7', userAgent: 'Mozilla/5.0', sessionJti: 'jti-abc' });
+  });
+  test('truncates an oversized user agent', () => {
+    const req = { ip: '203.0.113.7', headers: { 'user-agent': 'x'.repeat(2000) } };
+    expect(requestContext(req).userAgent).toHaveLength(512);
+  });
+  test('missing values are null, not placeholders', () => {
+    expect(requestContext({ headers: {} })).toEqual({ ipAddress: null, userAgent: null, sessionJti: null });
+    expect(requestContext(undefined)).toEqual({ ipAddress: null, userAgent: null, sessionJti: null });
+  });
+});
@@ -100,6 +100,13 @@ describe('Role Hierarchy Utilities', () => {
       expect(roleHierarchyUtils.canViewAuction(schoolAdmin, otherSchoolAuction)).toBe(false);
     });
 
+    test('partner schools of a joint auction view it like the host', () => {
+      const jointAuction = { ...draftAuction, school_id: 'school-2', partnerSchoolIds: ['school-1'] };
+      expect(roleHierarchyUtils.canViewAuction(schoolAdmin, jointAuction)).toBe(true);
+      expect(roleHierarchyUtils.canViewAuction(teacher, { ...jointAuction, status: 'APPROVED' })).toBe(true);
+      expect(roleHierarchyUtils.canViewAuction(schoolAdmin, { ...jointAuction, partnerSchoolIds: [] })).toBe(false);
+    });
+
     test('TEACHER can only view APPROVED auctions in own school', () => {
       expect(roleHierarchyUtils.canViewAuction(teacher, schoolAuction)).toBe(true);
       expect(roleHierarchyUtils.canViewAuction(teacher, draftAuction)).toBe(false);
@@ -119,6 +126,17 @@ describe('Role Hierarchy Utilities', () => {
       expect(roleHierarchyUtils.canViewAuction(null, schoolAuction)).toBe(false);
       expect(roleHierarchyUtils.canViewAuction(student, null)).toBe(false);
     });
+
+    test('INVITED_ONLY auctions are hidden from everyone but staff and guests', () => {
+      const inviteOnly = { ...schoolAuction, visibility: 'INVITED_ONLY' };
+      const outsider = { id: '6', role: 'STUDENT', schoolId: 'school-2' };
+      expect(roleHierarchyUtils.canViewAuction(bidder, inviteOnly)).toBe(false);
+      expect(roleHierarchyUtils.canViewAuction(student, inviteOnly)).toBe(false);
+      expect(roleHierarchyUtils.canViewAuction(teacher, inviteOnly)).toBe(true);
+      expect(roleHierarchyUtils.canViewAuction(bidder, { ...inviteOnly, viewerInvited: true })).toBe(true);
+      expect(roleHierarchyUtils.canViewAuction(outsider, { ...inviteOnly, viewerInvited: true })).toBe(true);
+      expect(roleHierarchyUtils.canViewAuction(outsider, { ...schoolAuction, viewerInvited: true })).toBe(false);
+    });
   });
 
   // ============ canEditAuction Tests ============